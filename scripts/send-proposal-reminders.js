@@ -0,0 +1,183 @@
+/**
+ * Proposal Reminder Job
+ *
+ * Emails reminders to customers who haven't opened or signed a proposal, following each
+ * proposal's reminder cadence, and moves proposals past their expiry date to 'expired'.
+ * Meant to run on a schedule (e.g. hourly from cron); running it again within a
+ * cadence step sends nothing new.
+ *
+ * Until the backend email endpoint exists (BACKEND_CHANGE_REQUEST_EMAIL_SENDING.md),
+ * emails are written to a local outbox directory instead of being sent: one .html file
+ * per email plus an outbox.jsonl index.
+ *
+ * ⚠️ Uses VITE_SUPABASE_SERVICE_ROLE_KEY, which bypasses Row-Level Security.
+ * Run it from a secure backend environment only, never in the browser.
+ *
+ * Usage:
+ *   node scripts/send-proposal-reminders.js [options]
+ *
+ * Options:
+ *   --dry-run           Report what would happen without emailing, logging or expiring
+ *   --outbox=DIR        Local outbox directory (default: ./tmp/proposal-outbox)
+ *   --base-url=URL      Site the proposal links point to (default: PROPOSAL_BASE_URL or http://localhost:5173)
+ *
+ * Examples:
+ *   node scripts/send-proposal-reminders.js --dry-run
+ *   node scripts/send-proposal-reminders.js --outbox=/var/mail/proposals
+ *
+ * Cron (hourly):
+ *   0 * * * * cd /path/to/app && node scripts/send-proposal-reminders.js >> logs/proposal-reminders.log 2>&1
+ */
+
+// SECURITY: Prevent execution in browser contexts
+if (typeof window !== 'undefined') {
+  throw new Error(
+    'SECURITY ERROR: The proposal reminder job cannot run in browser environments. ' +
+    'Service role key exposure would grant unrestricted database access.'
+  );
+}
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { runProposalReminderJob } from '../src/services/proposalReminderSchedule.js';
+
+// Load environment variables
+dotenv.config();
+
+// Configuration
+const SUPABASE_URL = process.env.VITE_SUPABASE_URL || 'https://supabase.claritybusinesssolutions.ca';
+const SUPABASE_SERVICE_ROLE_KEY = process.env.VITE_SUPABASE_SERVICE_ROLE_KEY;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const optionValue = (name) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+const outboxDir = path.resolve(optionValue('outbox') || './tmp/proposal-outbox');
+const baseUrl = (optionValue('base-url') || process.env.PROPOSAL_BASE_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+if (!SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('❌ Error: VITE_SUPABASE_SERVICE_ROLE_KEY environment variable is required');
+  console.error('   The key MUST be stored in .env file (not committed to git).');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false
+  }
+});
+
+/**
+ * Proposal data access for the job, backed by Supabase
+ */
+const store = {
+  async listOpenProposals() {
+    const { data: proposals, error } = await supabase
+      .from('proposals')
+      .select('id, title, status, access_token, customer_id, sent_at, expires_at, reminder_cadence, reminders_paused')
+      .in('status', ['sent', 'viewed']);
+    if (error) throw new Error(`Failed to load proposals: ${error.message}`);
+    if (proposals.length === 0) return [];
+
+    const customerIds = [...new Set(proposals.map(proposal => proposal.customer_id).filter(Boolean))];
+    const [{ data: customers, error: customerError }, { data: emails, error: emailError }] = await Promise.all([
+      supabase.from('customers').select('id, name, business_name, first_name, last_name').in('id', customerIds),
+      supabase.from('customer_email').select('customer_id, email, is_primary').in('customer_id', customerIds)
+    ]);
+    if (customerError) throw new Error(`Failed to load customers: ${customerError.message}`);
+    if (emailError) throw new Error(`Failed to load customer emails: ${emailError.message}`);
+
+    return proposals.map((proposal) => {
+      const customer = customers.find(item => item.id === proposal.customer_id);
+      const customerEmails = emails.filter(item => item.customer_id === proposal.customer_id);
+      const email = customerEmails.find(item => item.is_primary) || customerEmails[0];
+      return {
+        ...proposal,
+        customer_email: email?.email || null,
+        customer_name: customer
+          ? customer.business_name || customer.name || `${customer.first_name || ''} ${customer.last_name || ''}`.trim()
+          : null
+      };
+    });
+  },
+
+  async listReminders(proposalIds) {
+    const { data, error } = await supabase
+      .from('proposal_reminders')
+      .select('proposal_id, cycle_started_at, cadence_day, status')
+      .in('proposal_id', proposalIds);
+    if (error) throw new Error(`Failed to load reminders: ${error.message}`);
+    return data;
+  },
+
+  async logReminder(entry) {
+    const { error } = await supabase.from('proposal_reminders').insert([entry]);
+    if (error) throw new Error(`Failed to log reminder: ${error.message}`);
+  },
+
+  async expireProposal(proposalId, expiredAt) {
+    const { error } = await supabase
+      .from('proposals')
+      .update({ status: 'expired', expired_at: expiredAt })
+      .eq('id', proposalId)
+      .in('status', ['sent', 'viewed']);
+    if (error) throw new Error(`Failed to expire proposal: ${error.message}`);
+  }
+};
+
+/**
+ * Local mail stand-in: writes each email to the outbox instead of sending it
+ * Takes the same message shape as sendEmailWithAttachment.
+ */
+async function writeToOutbox({ to, toName, subject, html }) {
+  await fs.mkdir(outboxDir, { recursive: true });
+  const sentAt = new Date().toISOString();
+  const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  const fileName = `${sentAt.replace(/[:.]/g, '-')}-${slug}.html`;
+
+  await fs.writeFile(path.join(outboxDir, fileName), html);
+  await fs.appendFile(
+    path.join(outboxDir, 'outbox.jsonl'),
+    `${JSON.stringify({ sentAt, to, toName, subject, file: fileName })}\n`
+  );
+  return { success: true, file: fileName };
+}
+
+async function main() {
+  console.log(`📬 Proposal reminders${dryRun ? ' (dry run)' : ''}`);
+  console.log(`   Outbox: ${outboxDir}`);
+  console.log(`   Links:  ${baseUrl}/proposal/view/...`);
+
+  const results = await runProposalReminderJob({
+    store,
+    sendEmail: writeToOutbox,
+    baseUrl,
+    dryRun
+  });
+
+  console.log(`\n✅ Expired: ${results.expired.length}`);
+  results.expired.forEach(proposalId => console.log(`   - ${proposalId}`));
+  console.log(`✉️  Reminders ${dryRun ? 'due' : 'sent'}: ${results.sent.length}`);
+  results.sent.forEach(reminder => console.log(
+    `   - ${reminder.proposal_id} → ${reminder.recipient_email} (day ${reminder.cadence_day}, ${reminder.stage})`
+  ));
+  console.log(`⏭️  Skipped: ${results.skipped.length}`);
+  results.skipped.forEach(item => console.log(`   - ${item.proposalId}: ${item.reason}`));
+
+  if (results.failed.length > 0) {
+    console.log(`❌ Failed: ${results.failed.length}`);
+    results.failed.forEach(item => console.log(`   - ${item.proposalId}: ${item.error}`));
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Proposal reminder job failed:', error.message);
+  process.exit(1);
+});
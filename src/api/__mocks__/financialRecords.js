@@ -0,0 +1,20 @@
+/**
+ * Manual mock for the Financial Records API
+ * Used with jest.mock('../../api/financialRecords').
+ */
+
+export const fetchFinancialRecords = jest.fn();
+export const fetchUnpaidRecords = jest.fn();
+export const fetchMonthlyRecords = jest.fn();
+export const fetchQuarterlyRecords = jest.fn();
+export const fetchYearlyRecords = jest.fn();
+export const fetchFinancialRecordByRecordId = jest.fn();
+export const fetchFinancialRecordByUUID = jest.fn();
+export const updateFinancialRecordBilledStatus = jest.fn();
+export const bulkUpdateFinancialRecordsBilledStatus = jest.fn();
+export const markFinancialRecordsInvoiced = jest.fn();
+export const fetchRecordsForDateRange = jest.fn();
+export const createFinancialRecord = jest.fn();
+export const fetchMonthlySummary = jest.fn();
+export const fetchQuarterlySummary = jest.fn();
+export const fetchYearlySummary = jest.fn();
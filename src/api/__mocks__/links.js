@@ -0,0 +1,9 @@
+/**
+ * Manual mock for the Links API
+ * Used with jest.mock('../../api/links').
+ */
+
+export const createLink = jest.fn();
+export const fetchLinks = jest.fn();
+export const updateLink = jest.fn();
+export const deleteLink = jest.fn();
@@ -0,0 +1,35 @@
+/**
+ * Manual mock for the Tasks API
+ *
+ * Every request function is a bare jest.fn(); tests set the responses they need.
+ * Used with jest.mock('../../api/tasks') - the real module cannot be automocked since
+ * its imports reach config.js, which relies on import.meta.
+ */
+
+export const fetchTasksForProject = jest.fn();
+export const fetchAssignedTasks = jest.fn();
+export const createTask = jest.fn();
+export const updateTask = jest.fn();
+export const updateTaskStatus = jest.fn();
+export const updateTaskWorkflowStatus = jest.fn();
+export const deleteTask = jest.fn();
+export const startTaskTimer = jest.fn();
+export const stopTaskTimer = jest.fn();
+export const pauseTimer = jest.fn();
+export const resumeTimer = jest.fn();
+export const getActiveTimer = jest.fn();
+export const fetchTaskTimers = jest.fn();
+export const fetchProjectTimers = jest.fn();
+export const createTimeEntry = jest.fn();
+export const updateTimeEntry = jest.fn();
+export const deleteTimeEntry = jest.fn();
+export const reviewTimeEntries = jest.fn();
+export const fetchRecurringTasks = jest.fn();
+export const createRecurringTask = jest.fn();
+export const updateRecurringTask = jest.fn();
+export const deleteRecurringTask = jest.fn();
+export const fetchTaskBoardColumns = jest.fn();
+export const saveTaskBoardColumns = jest.fn();
+export const fetchTimerRoundingPolicy = jest.fn();
+export const saveTimerRoundingPolicy = jest.fn();
+export const fetchTaskNotes = jest.fn();
@@ -0,0 +1,111 @@
+/**
+ * Customer QuickBooks Mappings API Client
+ *
+ * A mapping links a CRM customer to the QuickBooks customer it is invoiced as, so invoicing
+ * doesn't depend on the two names matching. Each CRM customer has at most one mapping.
+ *
+ * Table (see supabase/migrations/007_customer_qbo_mappings.sql):
+ * - customer_qbo_mappings
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Fetches an organization's customer mappings
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Customer mappings
+ */
+export async function fetchCustomerMappings(organizationId) {
+    if (!organizationId) {
+        throw new Error('Missing required parameter: organizationId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('customer_qbo_mappings')
+        .select('*')
+        .eq('organization_id', organizationId);
+
+    if (error) {
+        console.error('[CustomerQboMappings] Error fetching customer mappings:', error);
+        throw new Error(`Failed to fetch customer mappings: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Fetches the mapping of one CRM customer
+ * @param {string} organizationId - Organization UUID
+ * @param {string} customerId - CRM customer UUID
+ * @returns {Promise<Object|null>} Customer mapping, or null if the customer isn't mapped
+ */
+export async function fetchCustomerMapping(organizationId, customerId) {
+    if (!organizationId || !customerId) {
+        throw new Error('Missing required parameters: organizationId and customerId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('customer_qbo_mappings')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('customer_id', customerId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('[CustomerQboMappings] Error fetching customer mapping:', error);
+        throw new Error(`Failed to fetch customer mapping: ${error.message}`);
+    }
+
+    return data || null;
+}
+
+/**
+ * Saves a customer mapping, replacing the CRM customer's existing mapping
+ * @param {Object} mapping - Mapping ({ organization_id, customer_id, qbo_customer_id, qbo_display_name,
+ *   match_score, confirmed_by })
+ * @returns {Promise<Object>} Saved customer mapping
+ */
+export async function saveCustomerMapping(mapping) {
+    if (!mapping?.organization_id || !mapping?.customer_id || !mapping?.qbo_customer_id) {
+        throw new Error('Missing required fields: organization_id, customer_id and qbo_customer_id');
+    }
+
+    console.log('[CustomerQboMappings] Saving customer mapping:', mapping.customer_id, '->', mapping.qbo_customer_id);
+    const { data, error } = await getSupabaseClient()
+        .from('customer_qbo_mappings')
+        .upsert(
+            { ...mapping, updated_at: new Date().toISOString() },
+            { onConflict: 'organization_id,customer_id' }
+        )
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[CustomerQboMappings] Error saving customer mapping:', error);
+        throw new Error(`Failed to save customer mapping: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Deletes a customer mapping
+ * @param {string} mappingId - Customer mapping UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomerMapping(mappingId) {
+    if (!mappingId) {
+        throw new Error('Missing required parameter: mappingId');
+    }
+
+    console.log('[CustomerQboMappings] Deleting customer mapping:', mappingId);
+    const { error } = await getSupabaseClient()
+        .from('customer_qbo_mappings')
+        .delete()
+        .eq('id', mappingId);
+
+    if (error) {
+        console.error('[CustomerQboMappings] Error deleting customer mapping:', error);
+        throw new Error(`Failed to delete customer mapping: ${error.message}`);
+    }
+}
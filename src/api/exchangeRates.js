@@ -0,0 +1,93 @@
+/**
+ * Exchange Rates API Client
+ *
+ * Each organization keeps its own exchange rate table, entered by hand or imported from CSV.
+ * A rate is stored once per currency pair and effective date, so saving a rate for a day that
+ * already has one replaces it.
+ *
+ * Table (see supabase/migrations/005_multi_currency.sql):
+ * - exchange_rates
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Fetches an organization's exchange rates, newest first
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Exchange rates
+ */
+export async function fetchExchangeRates(organizationId) {
+    if (!organizationId) {
+        throw new Error('Missing required parameter: organizationId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('exchange_rates')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('effective_date', { ascending: false });
+
+    if (error) {
+        console.error('[ExchangeRates] Error fetching exchange rates:', error);
+        throw new Error(`Failed to fetch exchange rates: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Saves exchange rates, replacing any rate for the same pair and effective date
+ * @param {string} organizationId - Organization UUID
+ * @param {Array} rates - Rates ({ base_currency, quote_currency, rate, effective_date, source })
+ * @returns {Promise<Array>} Saved exchange rates
+ */
+export async function saveExchangeRates(organizationId, rates) {
+    if (!organizationId || !Array.isArray(rates)) {
+        throw new Error('Missing required parameters: organizationId and rates');
+    }
+    if (rates.length === 0) {
+        return [];
+    }
+
+    console.log('[ExchangeRates] Saving exchange rates:', rates.length);
+    const { data, error } = await getSupabaseClient()
+        .from('exchange_rates')
+        .upsert(
+            rates.map(rate => ({
+                ...rate,
+                organization_id: organizationId,
+                updated_at: new Date().toISOString()
+            })),
+            { onConflict: 'organization_id,base_currency,quote_currency,effective_date' }
+        )
+        .select();
+
+    if (error) {
+        console.error('[ExchangeRates] Error saving exchange rates:', error);
+        throw new Error(`Failed to save exchange rates: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Deletes an exchange rate
+ * @param {string} rateId - Exchange rate UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteExchangeRate(rateId) {
+    if (!rateId) {
+        throw new Error('Missing required parameter: rateId');
+    }
+
+    console.log('[ExchangeRates] Deleting exchange rate:', rateId);
+    const { error } = await getSupabaseClient()
+        .from('exchange_rates')
+        .delete()
+        .eq('id', rateId);
+
+    if (error) {
+        console.error('[ExchangeRates] Error deleting exchange rate:', error);
+        throw new Error(`Failed to delete exchange rate: ${error.message}`);
+    }
+}
@@ -133,6 +133,12 @@ function normalizeFinancialRecords(records) {
             financial_id: record.financial_id,
             inv_id: record.inv_id,
             billing_status: record.billing_status, // 'billed' | 'unbilled'
+            payment_status: record.payment_status || null, // 'unpaid' | 'partially_paid' | 'paid'
+            currency: record.currency || null, // null = home currency
+            fx_rate: record.fx_rate || null, // Rate to fx_home_currency stored when invoiced
+            fx_home_currency: record.fx_home_currency || null,
+            credited_amount: parseFloat(record.credited_amount) || 0, // Credited by credit memos
+            adjusted_at: record.adjusted_at || null,
             created_at: record.created_at,
             updated_at: record.updated_at,
             time_entry_id: record.time_entry_id, // New field from backend
@@ -554,6 +560,38 @@ export async function bulkUpdateFinancialRecordsBilledStatus(recordIds, billedSt
     }
 }
 
+/**
+ * Records the QuickBooks invoice that billed a set of financial records
+ * Uses backend API mark-billed endpoint with the real invoice ID
+ * @param {Array} recordIds - Array of record IDs included on the invoice
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise} Promise resolving to the update result
+ */
+export async function markFinancialRecordsInvoiced(recordIds, invoiceId) {
+    validateParams({ recordIds, invoiceId }, ['recordIds', 'invoiceId']);
+
+    if (!Array.isArray(recordIds) || recordIds.length === 0) {
+        throw new Error('recordIds must be a non-empty array');
+    }
+
+    try {
+        const requestBody = {
+            record_ids: recordIds,
+            invoice_id: String(invoiceId)
+        };
+
+        const data = await dataService.patch('/api/financial-records/mark-billed', requestBody);
+
+        console.log(`[FinancialRecords] Marked ${recordIds.length} records with invoice ${invoiceId}`);
+
+        return data;
+
+    } catch (error) {
+        console.error('[FinancialRecords] Error marking records invoiced:', error);
+        throw error;
+    }
+}
+
 /**
  * Fetches financial records for a specific date range
  * @param {string} startDate - Start date in YYYY-MM-DD format
@@ -596,6 +634,8 @@ export async function fetchRecordsForDateRange(startDate, endDate) {
  * @param {string} params.date - Record date in YYYY-MM-DD format
  * @param {string} [params.productId=null] - Optional product foreign key (UUID)
  * @param {string} [params.projectId=null] - Optional project foreign key (UUID)
+ * @param {string} [params.timeEntryId=null] - Optional time entry the record bills (UUID)
+ * @param {Object} [params.configurationData=null] - Optional details stored with the record (e.g. billing rounding applied)
  * @returns {Promise<Object>} Promise resolving to the created financial record
  */
 export async function createFinancialRecord(params) {
@@ -642,7 +682,9 @@ export async function createFinancialRecord(params) {
             unit_price: params.unitPrice.toString(), // Backend expects string
             date: params.date,
             product_id: params.productId || null,
-            project_id: params.projectId || null
+            project_id: params.projectId || null,
+            time_entry_id: params.timeEntryId || null,
+            configuration_data: params.configurationData || null
         };
 
         // Call backend API via dataService
@@ -128,6 +128,7 @@ export {
     updateQBOCustomer,
     deleteQBOCustomer,
     searchQBOCustomers,
+    listQBOActiveCustomers,
 
     // Invoices
     listQBOInvoices,
@@ -135,8 +136,18 @@ export {
     createQBOInvoice,
     updateQBOInvoice,
     deleteQBOInvoice,
+    findQBOInvoiceByDocNumber,
+    listQBOOpenInvoices,
     sendQBOInvoiceEmail,
 
+    // Credit Memos
+    getQBOCreditMemo,
+    createQBOCreditMemo,
+
+    // Payments
+    getQBOPayment,
+    createQBOPayment,
+
     // Billing & Invoice Operations
     getUnbilledRecords,
     createInvoiceFromRecords,
@@ -156,6 +167,7 @@ export {
     // Items & Vendors
     listQBOItems,
     listQBOVendors,
+    listQBOActiveVendors,
 
     // Query
     executeQBOQuery,
@@ -0,0 +1,71 @@
+/**
+ * Invoice Adjustments API Client
+ *
+ * Invoice adjustments record the credit memos issued against QuickBooks invoices and the sales
+ * each one credits. They make up the adjustment history shown with the sales records.
+ *
+ * Table (see supabase/migrations/006_invoice_adjustments.sql):
+ * - invoice_adjustments
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Fetches the adjustments made to QuickBooks invoices, newest first
+ * @param {string} organizationId - Organization UUID
+ * @param {Array<string>} invoiceIds - QuickBooks invoice IDs
+ * @returns {Promise<Array>} Invoice adjustments
+ */
+export async function fetchInvoiceAdjustments(organizationId, invoiceIds) {
+    if (!organizationId || !Array.isArray(invoiceIds)) {
+        throw new Error('Missing required parameters: organizationId and invoiceIds');
+    }
+    if (invoiceIds.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('invoice_adjustments')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .in('qbo_invoice_id', invoiceIds)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        console.error('[InvoiceAdjustments] Error fetching adjustments:', error);
+        throw new Error(`Failed to fetch invoice adjustments: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Records an adjustment made to a QuickBooks invoice
+ * @param {Object} adjustment - Invoice adjustment
+ * @param {string} adjustment.organization_id - Organization UUID
+ * @param {string} adjustment.qbo_invoice_id - QuickBooks invoice ID
+ * @param {string} adjustment.qbo_credit_memo_id - QuickBooks credit memo ID
+ * @param {number} adjustment.amount - Credited amount
+ * @param {string} adjustment.reason - Why the invoice was adjusted
+ * @param {Array} adjustment.lines - Credited sales ({ sale_id, description, amount })
+ * @returns {Promise<Object>} Created adjustment
+ */
+export async function createInvoiceAdjustment(adjustment) {
+    if (!adjustment?.organization_id || !adjustment?.qbo_invoice_id || !adjustment?.qbo_credit_memo_id) {
+        throw new Error('Missing required parameters: organization_id, qbo_invoice_id and qbo_credit_memo_id');
+    }
+
+    console.log('[InvoiceAdjustments] Recording credit memo for invoice:', adjustment.qbo_invoice_id);
+    const { data, error } = await getSupabaseClient()
+        .from('invoice_adjustments')
+        .insert(adjustment)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[InvoiceAdjustments] Error recording adjustment:', error);
+        throw new Error(`Failed to record invoice adjustment: ${error.message}`);
+    }
+
+    return data;
+}
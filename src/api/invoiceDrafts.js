@@ -0,0 +1,102 @@
+/**
+ * Invoice Drafts API Client
+ *
+ * Invoice drafts hold QuickBooks invoices while they are reviewed. Accountants edit, merge,
+ * split and approve drafts; only approved drafts are submitted to QuickBooks.
+ *
+ * Backend API Endpoints:
+ * - GET /api/invoice-drafts: List drafts (optionally filtered by status or customer)
+ * - POST /api/invoice-drafts: Create draft
+ * - PUT /api/invoice-drafts/{id}: Replace draft
+ * - DELETE /api/invoice-drafts/{id}: Discard draft
+ */
+
+import { dataService } from '../services/dataService';
+
+/**
+ * Unwraps a backend response that may or may not be wrapped in { data }
+ * @param {Object|Array} response - Backend response
+ * @returns {Object|Array} Response payload
+ */
+function unwrapResponse(response) {
+    return response && response.data !== undefined ? response.data : response;
+}
+
+/**
+ * Fetches invoice drafts
+ * @param {Object} [params] - Optional filters
+ * @param {string} [params.status] - Draft status (draft, approved, submitted)
+ * @param {string} [params.customer_id] - Customer UUID
+ * @returns {Promise<Array>} Invoice drafts
+ */
+export async function fetchInvoiceDrafts(params = {}) {
+    try {
+        console.log('[InvoiceDrafts] Fetching invoice drafts:', params);
+        const response = await dataService.get('/api/invoice-drafts', params);
+        const drafts = unwrapResponse(response);
+        return Array.isArray(drafts) ? drafts : [];
+    } catch (error) {
+        console.error('[InvoiceDrafts] Error fetching invoice drafts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Creates an invoice draft
+ * @param {Object} draft - Invoice draft (customer, lines, memo, due date, DocNumber)
+ * @returns {Promise<Object>} Created draft with its ID
+ */
+export async function createInvoiceDraft(draft) {
+    if (!draft) {
+        throw new Error('Missing required parameter: draft');
+    }
+
+    try {
+        console.log('[InvoiceDrafts] Creating invoice draft for customer:', draft.customer_id);
+        const response = await dataService.post('/api/invoice-drafts', draft);
+        return unwrapResponse(response);
+    } catch (error) {
+        console.error('[InvoiceDrafts] Error creating invoice draft:', error);
+        throw error;
+    }
+}
+
+/**
+ * Replaces an invoice draft
+ * @param {string} draftId - Draft UUID
+ * @param {Object} draft - Updated draft
+ * @returns {Promise<Object>} Saved draft
+ */
+export async function updateInvoiceDraft(draftId, draft) {
+    if (!draftId) {
+        throw new Error('Missing required parameter: draftId');
+    }
+
+    try {
+        console.log('[InvoiceDrafts] Updating invoice draft:', draftId);
+        const response = await dataService.put(`/api/invoice-drafts/${draftId}`, draft);
+        return unwrapResponse(response);
+    } catch (error) {
+        console.error('[InvoiceDrafts] Error updating invoice draft:', error);
+        throw error;
+    }
+}
+
+/**
+ * Discards an invoice draft
+ * @param {string} draftId - Draft UUID
+ * @returns {Promise<Object>} Deletion result
+ */
+export async function deleteInvoiceDraft(draftId) {
+    if (!draftId) {
+        throw new Error('Missing required parameter: draftId');
+    }
+
+    try {
+        console.log('[InvoiceDrafts] Deleting invoice draft:', draftId);
+        return await dataService.delete(`/api/invoice-drafts/${draftId}`);
+    } catch (error) {
+        console.error('[InvoiceDrafts] Error deleting invoice draft:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Invoice Sequences API Client
+ *
+ * Invoice sequence numbers are reserved atomically in Supabase so two people invoicing at the
+ * same time never get the same number. Released numbers are handed out again before new ones.
+ *
+ * Database functions (see supabase/migrations/002_invoice_sequences.sql):
+ * - reserve_invoice_sequence(p_organization_id, p_scope_key)
+ * - confirm_invoice_sequence(p_reservation_id, p_doc_number, p_qbo_invoice_id)
+ * - release_invoice_sequence(p_reservation_id)
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Reserves the next sequence number in a scope
+ * @param {string} organizationId - Organization UUID
+ * @param {string} scopeKey - Sequence scope key
+ * @returns {Promise<Object>} Reservation ({ reservationId, sequence })
+ */
+export async function reserveInvoiceSequence(organizationId, scopeKey) {
+    if (!organizationId || !scopeKey) {
+        throw new Error('Missing required parameters: organizationId and scopeKey');
+    }
+
+    console.log('[InvoiceSequences] Reserving sequence for scope:', scopeKey);
+    const { data, error } = await getSupabaseClient().rpc('reserve_invoice_sequence', {
+        p_organization_id: organizationId,
+        p_scope_key: scopeKey
+    });
+
+    if (error) {
+        console.error('[InvoiceSequences] Error reserving sequence:', error);
+        throw new Error(`Failed to reserve invoice sequence: ${error.message}`);
+    }
+
+    const reservation = Array.isArray(data) ? data[0] : data;
+    if (!reservation?.reservation_id) {
+        throw new Error('Failed to reserve invoice sequence: no reservation returned');
+    }
+
+    return {
+        reservationId: reservation.reservation_id,
+        sequence: reservation.reserved_sequence
+    };
+}
+
+/**
+ * Marks a reserved sequence number as used by a QuickBooks invoice
+ * @param {string} reservationId - Reservation UUID
+ * @param {string} docNumber - Invoice DocNumber
+ * @param {string} [qboInvoiceId=null] - QuickBooks invoice ID
+ * @returns {Promise<void>}
+ */
+export async function confirmInvoiceSequence(reservationId, docNumber, qboInvoiceId = null) {
+    if (!reservationId) {
+        throw new Error('Missing required parameter: reservationId');
+    }
+
+    console.log('[InvoiceSequences] Confirming sequence reservation:', reservationId);
+    const { error } = await getSupabaseClient().rpc('confirm_invoice_sequence', {
+        p_reservation_id: reservationId,
+        p_doc_number: docNumber,
+        p_qbo_invoice_id: qboInvoiceId
+    });
+
+    if (error) {
+        console.error('[InvoiceSequences] Error confirming sequence:', error);
+        throw new Error(`Failed to confirm invoice sequence: ${error.message}`);
+    }
+}
+
+/**
+ * Releases a reserved sequence number so it is handed out again
+ * @param {string} reservationId - Reservation UUID
+ * @returns {Promise<void>}
+ */
+export async function releaseInvoiceSequence(reservationId) {
+    if (!reservationId) {
+        throw new Error('Missing required parameter: reservationId');
+    }
+
+    console.log('[InvoiceSequences] Releasing sequence reservation:', reservationId);
+    const { error } = await getSupabaseClient().rpc('release_invoice_sequence', {
+        p_reservation_id: reservationId
+    });
+
+    if (error) {
+        console.error('[InvoiceSequences] Error releasing sequence:', error);
+        throw new Error(`Failed to release invoice sequence: ${error.message}`);
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Project Expenses API Client
+ *
+ * Costs incurred on a project (software, subcontractors, travel). Expenses are synced to
+ * QuickBooks as bills and billable ones are re-billed to the customer.
+ *
+ * Table (see supabase/migrations/008_project_expenses.sql):
+ * - project_expenses
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Fetches a project's expenses, newest first
+ * @param {string} organizationId - Organization UUID
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} Project expenses
+ */
+export async function fetchProjectExpenses(organizationId, projectId) {
+    if (!organizationId || !projectId) {
+        throw new Error('Missing required parameters: organizationId and projectId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('project_expenses')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('project_id', projectId)
+        .order('expense_date', { ascending: false });
+
+    if (error) {
+        console.error('[ProjectExpenses] Error fetching project expenses:', error);
+        throw new Error(`Failed to fetch project expenses: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Creates a project expense
+ * @param {Object} expense - Expense ({ organization_id, project_id, customer_id, vendor_name, qbo_vendor_id,
+ *   description, amount, expense_date, receipt_url, billable, markup_percent, created_by })
+ * @returns {Promise<Object>} Created project expense
+ */
+export async function createProjectExpense(expense) {
+    if (!expense?.organization_id || !expense?.project_id) {
+        throw new Error('Missing required fields: organization_id and project_id');
+    }
+
+    console.log('[ProjectExpenses] Creating expense for project:', expense.project_id);
+    const { data, error } = await getSupabaseClient()
+        .from('project_expenses')
+        .insert(expense)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[ProjectExpenses] Error creating project expense:', error);
+        throw new Error(`Failed to create project expense: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Updates a project expense
+ * @param {string} expenseId - Project expense UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated project expense
+ */
+export async function updateProjectExpense(expenseId, updates) {
+    if (!expenseId) {
+        throw new Error('Missing required parameter: expenseId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('project_expenses')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', expenseId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[ProjectExpenses] Error updating project expense:', error);
+        throw new Error(`Failed to update project expense: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Deletes a project expense
+ * @param {string} expenseId - Project expense UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteProjectExpense(expenseId) {
+    if (!expenseId) {
+        throw new Error('Missing required parameter: expenseId');
+    }
+
+    console.log('[ProjectExpenses] Deleting project expense:', expenseId);
+    const { error } = await getSupabaseClient()
+        .from('project_expenses')
+        .delete()
+        .eq('id', expenseId);
+
+    if (error) {
+        console.error('[ProjectExpenses] Error deleting project expense:', error);
+        throw new Error(`Failed to delete project expense: ${error.message}`);
+    }
+}
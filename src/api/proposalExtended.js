@@ -887,6 +887,134 @@ export async function deleteProposalRequest(requestId) {
   }
 }
 
+// ============================================================================
+// PROPOSAL VERSIONS API
+// ============================================================================
+
+/**
+ * Fetch all versions of a proposal
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Object>} Result with versions data
+ */
+export async function fetchProposalVersions(proposalId) {
+  try {
+    const result = await apiRequest('GET', `/proposals/${proposalId}/versions`);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    console.log('[ProposalVersions] Fetched versions for proposal:', proposalId);
+    return {
+      success: true,
+      data: result.data || []
+    };
+  } catch (error) {
+    console.error('[ProposalVersions] Fetch error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Create a proposal version
+ * Versions are immutable, so there is no update or delete.
+ * @param {Object} versionData - Version data (proposal_id, version_number, snapshot, data_hash, total_price)
+ * @returns {Promise<Object>} Created version
+ */
+export async function createProposalVersion(versionData) {
+  try {
+    const proposalId = versionData.proposal_id;
+    if (!proposalId) {
+      throw new Error('proposal_id is required');
+    }
+
+    const result = await apiRequest('POST', `/proposals/${proposalId}/versions`, versionData);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    console.log('[ProposalVersions] Created version:', result.data?.version_number);
+    return {
+      success: true,
+      data: result.data
+    };
+  } catch (error) {
+    console.error('[ProposalVersions] Create error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// ============================================================================
+// PROPOSAL ENGAGEMENT API
+// ============================================================================
+
+/**
+ * Fetch the customer's view sessions for a proposal
+ * Sessions are recorded by the public viewer through recordProposalEngagement.
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Object>} Result with sessions data
+ */
+export async function fetchProposalEngagement(proposalId) {
+  try {
+    const result = await apiRequest('GET', `/proposals/${proposalId}/engagement`);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    console.log('[ProposalEngagement] Fetched sessions for proposal:', proposalId);
+    return {
+      success: true,
+      data: result.data || []
+    };
+  } catch (error) {
+    console.error('[ProposalEngagement] Fetch error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// ============================================================================
+// PROPOSAL REMINDERS API
+// ============================================================================
+
+/**
+ * Fetch the reminder emails sent for a proposal
+ * Reminders are sent and logged by the scheduled reminder job.
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Object>} Result with reminders data
+ */
+export async function fetchProposalReminders(proposalId) {
+  try {
+    const result = await apiRequest('GET', `/proposals/${proposalId}/reminders`);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    console.log('[ProposalReminders] Fetched reminders for proposal:', proposalId);
+    return {
+      success: true,
+      data: result.data || []
+    };
+  } catch (error) {
+    console.error('[ProposalReminders] Fetch error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 // ============================================================================
 // BULK OPERATIONS
 // ============================================================================
@@ -0,0 +1,110 @@
+/**
+ * Proposal Templates API Client
+ *
+ * Organization templates new proposals start from: intro copy, concept placeholders,
+ * a deliverable bundle of catalog products, default packages and customer requirements.
+ *
+ * Table (see supabase/migrations/013_proposal_templates.sql):
+ * - proposal_templates
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+/**
+ * Fetches an organization's proposal templates, by name
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Proposal templates
+ */
+export async function fetchProposalTemplates(organizationId) {
+    if (!organizationId) {
+        throw new Error('Missing required parameter: organizationId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('proposal_templates')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('name', { ascending: true });
+
+    if (error) {
+        console.error('[ProposalTemplates] Error fetching proposal templates:', error);
+        throw new Error(`Failed to fetch proposal templates: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Creates a proposal template
+ * @param {Object} template - Template ({ organization_id, name, description, title, intro, concepts,
+ *   deliverables, requirements, packages, include_product_requirements, created_by })
+ * @returns {Promise<Object>} Created proposal template
+ */
+export async function createProposalTemplate(template) {
+    if (!template?.organization_id || !template?.name) {
+        throw new Error('Missing required fields: organization_id and name');
+    }
+
+    console.log('[ProposalTemplates] Creating template:', template.name);
+    const { data, error } = await getSupabaseClient()
+        .from('proposal_templates')
+        .insert(template)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[ProposalTemplates] Error creating proposal template:', error);
+        throw new Error(`Failed to create proposal template: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Updates a proposal template
+ * @param {string} templateId - Proposal template UUID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated proposal template
+ */
+export async function updateProposalTemplate(templateId, updates) {
+    if (!templateId) {
+        throw new Error('Missing required parameter: templateId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('proposal_templates')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', templateId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[ProposalTemplates] Error updating proposal template:', error);
+        throw new Error(`Failed to update proposal template: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Deletes a proposal template
+ * Proposals already created from it are not affected.
+ * @param {string} templateId - Proposal template UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteProposalTemplate(templateId) {
+    if (!templateId) {
+        throw new Error('Missing required parameter: templateId');
+    }
+
+    console.log('[ProposalTemplates] Deleting proposal template:', templateId);
+    const { error } = await getSupabaseClient()
+        .from('proposal_templates')
+        .delete()
+        .eq('id', templateId);
+
+    if (error) {
+        console.error('[ProposalTemplates] Error deleting proposal template:', error);
+        throw new Error(`Failed to delete proposal template: ${error.message}`);
+    }
+}
@@ -44,7 +44,8 @@ export async function createProposal(proposalData) {
     // Only set these fields on creation, not on update
     if (!isUpdate) {
       backendProposalData.access_token = generateSecureToken()
-      backendProposalData.expires_at = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+      backendProposalData.expires_at = proposalData.expiresAt || proposalData.expires_at ||
+        new Date(Date.now() + (proposalData.expiryDays || 30) * 24 * 60 * 60 * 1000).toISOString()
       backendProposalData.status = 'draft'
     }
 
@@ -246,6 +247,8 @@ export async function claimPublicProposalSession(token) {
 
 /**
  * Accept selected public proposal lines and create a hosted Stripe Checkout deposit.
+ * The signature record is stored with the acceptance; the response's signature.ip_address
+ * is the address the backend saw the request come from.
  * @param {Object} acceptanceData - Acceptance payload
  * @returns {Promise<Object>} Acceptance and checkout data
  */
@@ -263,7 +266,8 @@ export async function acceptPublicProposal(acceptanceData) {
         customer_name: acceptanceData.customerName,
         customer_email: acceptanceData.customerEmail,
         deposit_percent: acceptanceData.depositPercent || 50,
-        currency: acceptanceData.currency || 'cad'
+        currency: acceptanceData.currency || 'cad',
+        signature: acceptanceData.signature || null
       }
     })
 
@@ -286,6 +290,91 @@ export async function acceptPublicProposal(acceptanceData) {
   }
 }
 
+/**
+ * Store the sealed signature certificate for an accepted public proposal.
+ * @param {Object} certificateData - Certificate payload
+ * @param {string} certificateData.proposalId - Proposal ID
+ * @param {Object} certificateData.record - Signature record the certificate seals
+ * @param {string} certificateData.dataHash - SHA-256 hash of the record
+ * @param {string} certificateData.certificateBase64 - Certificate PDF, base64-encoded
+ * @param {string} certificateData.fileName - Certificate file name
+ * @returns {Promise<Object>} Stored certificate (including the record as saved)
+ */
+export async function recordSignatureCertificate(certificateData) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${backendConfig.baseUrl}/webhook/proposals/signature-certificate`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      withCredentials: true,
+      data: {
+        proposal_id: certificateData.proposalId,
+        record: certificateData.record,
+        data_hash: certificateData.dataHash,
+        certificate_pdf: certificateData.certificateBase64,
+        file_name: certificateData.fileName
+      }
+    })
+
+    return {
+      success: true,
+      data: response.data
+    }
+  } catch (error) {
+    let errorMessage = 'Failed to store signature certificate'
+    if (error.response?.data?.detail) {
+      errorMessage = error.response.data.detail
+    } else if (error.message) {
+      errorMessage = error.message
+    }
+
+    return {
+      success: false,
+      error: errorMessage
+    }
+  }
+}
+
+/**
+ * Record a customer's view session on a public proposal.
+ * Each call sends the whole session so far; the backend replaces any earlier copy
+ * with the same session_id.
+ * @param {Object} session - Session snapshot from the engagement tracker
+ * @returns {Promise<Object>} Stored session
+ */
+export async function recordProposalEngagement(session) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${backendConfig.baseUrl}/webhook/proposals/engagement`,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      withCredentials: true,
+      data: session
+    })
+
+    return {
+      success: true,
+      data: response.data
+    }
+  } catch (error) {
+    let errorMessage = 'Failed to record proposal engagement'
+    if (error.response?.data?.detail) {
+      errorMessage = error.response.data.detail
+    } else if (error.message) {
+      errorMessage = error.message
+    }
+
+    return {
+      success: false,
+      error: errorMessage
+    }
+  }
+}
+
 /**
  * Fetch proposals for a project
  * @param {string} projectId - Project ID
@@ -377,6 +466,68 @@ export async function updateProposalStatus(proposalId, status) {
   }
 }
 
+/**
+ * Update a proposal's reminder settings
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} settings - Settings to change
+ * @param {Array<number>} [settings.reminderCadence] - Days after sending to remind the customer
+ * @param {boolean} [settings.remindersPaused] - Whether reminders are paused
+ * @param {string} [settings.expiresAt] - When the proposal expires (ISO date)
+ * @returns {Promise<Object>} Updated proposal
+ */
+export async function updateProposalReminderSettings(proposalId, settings) {
+  try {
+    validateUUID(proposalId, 'Proposal ID')
+
+    const updateData = {}
+    if (settings.reminderCadence !== undefined) {
+      updateData.reminder_cadence = settings.reminderCadence
+    }
+    if (settings.remindersPaused !== undefined) {
+      updateData.reminders_paused = settings.remindersPaused
+      updateData.reminders_paused_at = settings.remindersPaused ? new Date().toISOString() : null
+    }
+    if (settings.expiresAt !== undefined) {
+      updateData.expires_at = settings.expiresAt
+    }
+
+    const payload = JSON.stringify(updateData)
+    const authHeader = await generateBackendAuthHeader(payload)
+
+    const response = await axios({
+      method: 'PUT',
+      url: `${backendConfig.baseUrl}/proposals/${proposalId}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader
+      },
+      data: updateData
+    })
+
+    console.log('[Proposals] Updated proposal reminder settings:', proposalId)
+    return {
+      success: true,
+      data: response.data
+    }
+  } catch (error) {
+    console.error('[Proposals] Update reminder settings error:', error)
+    
+    let errorMessage = 'Failed to update reminder settings'
+    if (error.response?.data?.detail) {
+      errorMessage = error.response.data.detail
+    } else if (error.response?.data?.message) {
+      errorMessage = error.response.data.message
+    } else if (error.message) {
+      errorMessage = error.message
+    }
+    
+    return {
+      success: false,
+      error: errorMessage
+    }
+  }
+}
+
 /**
  * Add concept to proposal
  * @param {string} proposalId - Proposal ID
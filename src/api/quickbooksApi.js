@@ -280,6 +280,17 @@ export const searchQBOCustomers = async (params = {}) => {
   return await makeRequest(endpoint);
 };
 
+/**
+ * List active customers with their contact details
+ * @returns {Promise<Array>} - Customers (Id, SyncToken, DisplayName, CompanyName, PrimaryEmailAddr, PrimaryPhone)
+ */
+export const listQBOActiveCustomers = async () => {
+  const result = await executeQBOQuery(
+    'SELECT Id, SyncToken, DisplayName, CompanyName, GivenName, FamilyName, PrimaryEmailAddr, PrimaryPhone, CurrencyRef FROM Customer WHERE Active = true MAXRESULTS 1000'
+  );
+  return result?.QueryResponse?.Customer || [];
+};
+
 /**
  * Invoice Operations
  */
@@ -304,6 +315,28 @@ export const getQBOInvoice = async (invoiceId) => {
   return await makeRequest(`/invoices/${invoiceId}`);
 };
 
+/**
+ * Find an invoice by its DocNumber
+ * @param {string} docNumber - The invoice DocNumber
+ * @returns {Promise<Object|null>} - The invoice, or null if no invoice has that DocNumber
+ */
+export const findQBOInvoiceByDocNumber = async (docNumber) => {
+  const escapedDocNumber = String(docNumber).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const result = await executeQBOQuery(`SELECT Id, DocNumber FROM Invoice WHERE DocNumber = '${escapedDocNumber}'`);
+  return result?.QueryResponse?.Invoice?.[0] || null;
+};
+
+/**
+ * List invoices that still have a balance owing
+ * @returns {Promise<Array>} - Open invoices (Id, DocNumber, CustomerRef, TxnDate, DueDate, TotalAmt, Balance)
+ */
+export const listQBOOpenInvoices = async () => {
+  const result = await executeQBOQuery(
+    "SELECT Id, DocNumber, CustomerRef, TxnDate, DueDate, TotalAmt, Balance, CurrencyRef FROM Invoice WHERE Balance > '0' MAXRESULTS 1000"
+  );
+  return result?.QueryResponse?.Invoice || [];
+};
+
 /**
  * Create a new invoice
  * @param {Object} invoiceData - The invoice data
@@ -331,6 +364,53 @@ export const deleteQBOInvoice = async (invoiceId) => {
   return await makeRequest(`/invoices/${invoiceId}`, 'DELETE');
 };
 
+/**
+ * Credit Memo Operations
+ */
+
+/**
+ * Get a specific credit memo by ID
+ * @param {string} creditMemoId - The credit memo ID
+ * @returns {Promise<Object>} - The credit memo information
+ */
+export const getQBOCreditMemo = async (creditMemoId) => {
+  return await makeRequest(`/creditmemos/${creditMemoId}`);
+};
+
+/**
+ * Create a new credit memo
+ * @param {Object} creditMemoData - The credit memo data
+ * @returns {Promise<Object>} - The created credit memo
+ */
+export const createQBOCreditMemo = async (creditMemoData) => {
+  return await makeRequest('/creditmemos', 'POST', creditMemoData);
+};
+
+/**
+ * Payment Operations
+ */
+
+/**
+ * Get a specific payment by ID
+ * @param {string} paymentId - The payment ID
+ * @returns {Promise<Object|null>} - The payment (with the invoices it pays in Line[].LinkedTxn), or null
+ */
+export const getQBOPayment = async (paymentId) => {
+  const escapedPaymentId = String(paymentId).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const result = await executeQBOQuery(`SELECT * FROM Payment WHERE Id = '${escapedPaymentId}'`);
+  return result?.QueryResponse?.Payment?.[0] || null;
+};
+
+/**
+ * Create a new payment
+ * A zero-amount payment linking an invoice and a credit memo applies the credit to the invoice
+ * @param {Object} paymentData - The payment data
+ * @returns {Promise<Object>} - The created payment
+ */
+export const createQBOPayment = async (paymentData) => {
+  return await makeRequest('/payments', 'POST', paymentData);
+};
+
 /**
  * Bill Operations
  */
@@ -412,6 +492,17 @@ export const listQBOVendors = async (params = {}) => {
   return await makeRequest(endpoint);
 };
 
+/**
+ * List active vendors
+ * @returns {Promise<Array>} - Vendors (Id, DisplayName, CompanyName, CurrencyRef)
+ */
+export const listQBOActiveVendors = async () => {
+  const result = await executeQBOQuery(
+    'SELECT Id, DisplayName, CompanyName, CurrencyRef FROM Vendor WHERE Active = true MAXRESULTS 1000'
+  );
+  return result?.QueryResponse?.Vendor || [];
+};
+
 /**
  * Query Operations
  */
@@ -787,6 +878,7 @@ export default {
   updateQBOCustomer,
   deleteQBOCustomer,
   searchQBOCustomers,
+  listQBOActiveCustomers,
 
   // Invoices
   listQBOInvoices,
@@ -794,8 +886,18 @@ export default {
   createQBOInvoice,
   updateQBOInvoice,
   deleteQBOInvoice,
+  findQBOInvoiceByDocNumber,
+  listQBOOpenInvoices,
   sendQBOInvoiceEmail,
 
+  // Credit Memos
+  getQBOCreditMemo,
+  createQBOCreditMemo,
+
+  // Payments
+  getQBOPayment,
+  createQBOPayment,
+
   // Billing & Invoice Operations
   getUnbilledRecords,
   createInvoiceFromRecords,
@@ -817,6 +919,7 @@ export default {
 
   // Vendors
   listQBOVendors,
+  listQBOActiveVendors,
 
   // Query
   executeQBOQuery,
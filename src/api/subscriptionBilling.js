@@ -0,0 +1,121 @@
+/**
+ * Subscription Billing API Client
+ *
+ * Subscription billing entries record which subscription project periods a billing run has
+ * charged. A run claims a project's period by inserting its entry; the unique constraint on
+ * (organization_id, project_id, billing_period) means a period can only be claimed once.
+ *
+ * Table (see supabase/migrations/003_subscription_billing.sql):
+ * - subscription_billing_entries
+ */
+
+import { getSupabaseClient } from '../services/supabaseService';
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION_CODE = '23505';
+
+/**
+ * Fetches the billing entries for a billing period
+ * @param {string} organizationId - Organization UUID
+ * @param {string} billingPeriod - Billing period (YYYY-MM)
+ * @returns {Promise<Array>} Billing entries
+ */
+export async function fetchSubscriptionBillingEntries(organizationId, billingPeriod) {
+    if (!organizationId || !billingPeriod) {
+        throw new Error('Missing required parameters: organizationId and billingPeriod');
+    }
+
+    console.log('[SubscriptionBilling] Fetching billing entries for period:', billingPeriod);
+    const { data, error } = await getSupabaseClient()
+        .from('subscription_billing_entries')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('billing_period', billingPeriod);
+
+    if (error) {
+        console.error('[SubscriptionBilling] Error fetching billing entries:', error);
+        throw new Error(`Failed to fetch subscription billing entries: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Claims a subscription project's billing period
+ * @param {Object} entry - Billing entry
+ * @param {string} entry.organization_id - Organization UUID
+ * @param {string} entry.project_id - Project UUID
+ * @param {string} entry.billing_period - Billing period (YYYY-MM)
+ * @returns {Promise<Object|null>} Created entry, or null if the period was already claimed
+ */
+export async function claimSubscriptionBillingEntry(entry) {
+    if (!entry?.organization_id || !entry?.project_id || !entry?.billing_period) {
+        throw new Error('Missing required parameters: organization_id, project_id and billing_period');
+    }
+
+    console.log('[SubscriptionBilling] Claiming billing period:', entry.project_id, entry.billing_period);
+    const { data, error } = await getSupabaseClient()
+        .from('subscription_billing_entries')
+        .insert({ ...entry, status: 'pending' })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === UNIQUE_VIOLATION_CODE) {
+            console.log('[SubscriptionBilling] Billing period already claimed:', entry.project_id, entry.billing_period);
+            return null;
+        }
+        console.error('[SubscriptionBilling] Error claiming billing period:', error);
+        throw new Error(`Failed to claim subscription billing period: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Updates a billing entry
+ * @param {string} entryId - Billing entry UUID
+ * @param {Object} changes - Fields to update (status, sale_ids, doc_number, qbo_invoice_id)
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateSubscriptionBillingEntry(entryId, changes) {
+    if (!entryId) {
+        throw new Error('Missing required parameter: entryId');
+    }
+
+    const { data, error } = await getSupabaseClient()
+        .from('subscription_billing_entries')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', entryId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('[SubscriptionBilling] Error updating billing entry:', error);
+        throw new Error(`Failed to update subscription billing entry: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Deletes a billing entry so its period can be billed again
+ * @param {string} entryId - Billing entry UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteSubscriptionBillingEntry(entryId) {
+    if (!entryId) {
+        throw new Error('Missing required parameter: entryId');
+    }
+
+    console.log('[SubscriptionBilling] Deleting billing entry:', entryId);
+    const { error } = await getSupabaseClient()
+        .from('subscription_billing_entries')
+        .delete()
+        .eq('id', entryId);
+
+    if (error) {
+        console.error('[SubscriptionBilling] Error deleting billing entry:', error);
+        throw new Error(`Failed to delete subscription billing entry: ${error.message}`);
+    }
+}
@@ -93,7 +93,12 @@ function handleApiError(error, operation) {
         errorMessage = error.message;
     }
 
-    throw new Error(errorMessage);
+    const apiError = new Error(errorMessage);
+    apiError.status = error.response?.status;
+    // No response at all means the request never reached the backend
+    apiError.isNetworkError = !error.response &&
+        (error.code === 'ERR_NETWORK' || error.code === 'ECONNABORTED' || error.message === 'Network Error');
+    throw apiError;
 }
 
 /**
@@ -123,6 +128,34 @@ export async function fetchTasksForProject(projectId) {
     }
 }
 
+/**
+ * Fetches open tasks assigned to a staff member across all projects
+ * Records include project_name and customer_name for display outside a project
+ * @param {string} staffId - The staff ID
+ * @returns {Promise<Array>} Array of task records
+ */
+export async function fetchAssignedTasks(staffId) {
+    if (!staffId) {
+        throw new Error('Staff ID is required');
+    }
+
+    validateUUID(staffId, 'Staff ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'fetchAssignedTasks');
+
+    try {
+        console.log('[Tasks API] Fetching tasks assigned to staff:', staffId);
+        const response = await dataService.get('/api/tasks', {
+            params: { assignee_id: staffId, is_completed: false }
+        });
+        console.log('[Tasks API] Assigned tasks fetched successfully:', response);
+        return normalizeTaskData(response);
+    } catch (error) {
+        handleApiError(error, 'Fetch assigned tasks');
+    }
+}
+
 /**
  * Creates a new task
  * @param {Object} data - The task data
@@ -198,6 +231,35 @@ export async function updateTaskStatus(taskId, completed) {
     }
 }
 
+/**
+ * Moves a task to a workflow status and board position
+ * The backend keeps is_completed in sync with the status
+ * @param {string} taskId - The task ID
+ * @param {Object} data - Status data
+ * @param {string} data.status - Workflow status (backlog, pending, in_progress, review, completed, cancelled)
+ * @param {number} [data.board_position] - Sort position within the board column
+ * @returns {Promise<Object>} Updated task record
+ */
+export async function updateTaskWorkflowStatus(taskId, data) {
+    if (!taskId || !data?.status) {
+        throw new Error('Task ID and status are required');
+    }
+
+    validateUUID(taskId, 'Task ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'updateTaskWorkflowStatus');
+
+    try {
+        console.log('[Tasks API] Updating task workflow status:', taskId, data);
+        const response = await dataService.patch(`/api/tasks/${taskId}/status`, data);
+        console.log('[Tasks API] Task workflow status updated successfully:', response);
+        return normalizeTaskData(response);
+    } catch (error) {
+        handleApiError(error, 'Update task workflow status');
+    }
+}
+
 /**
  * Deletes a task
  * @param {string} taskId - The task ID
@@ -227,9 +289,11 @@ export async function deleteTask(taskId) {
  * Starts a timer for a task
  * @param {string} taskId - The task ID
  * @param {Object} selectedTask - The task object containing staff and project IDs
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.startedAt] - ISO timestamp the timer actually started (journal replay)
  * @returns {Promise<Object>} Created timer record
  */
-export async function startTaskTimer(taskId, selectedTask) {
+export async function startTaskTimer(taskId, selectedTask, options = {}) {
     if (!taskId || !selectedTask) {
         throw new Error('Task ID and selected task are required');
     }
@@ -241,11 +305,16 @@ export async function startTaskTimer(taskId, selectedTask) {
 
     try {
         console.log('[Tasks API] Starting timer for task:', taskId);
-        const response = await dataService.post('/time-entries/start', {
+        const requestData = {
             task_id: taskId,
             staff_id: selectedTask._staffID || selectedTask.staff_id,
             is_billable: true
-        });
+        };
+        if (options.startedAt) {
+            requestData.start_time = options.startedAt;
+        }
+
+        const response = await dataService.post('/time-entries/start', requestData);
         console.log('[Tasks API] Timer started successfully:', response);
         return normalizeTimerData(response);
     } catch (error) {
@@ -259,9 +328,11 @@ export async function startTaskTimer(taskId, selectedTask) {
  * @param {string} description - The work performed description
  * @param {boolean} saveImmediately - Whether to save without description
  * @param {number} adjustmentSeconds - Time adjustment in seconds
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.occurredAt] - ISO timestamp the timer was actually stopped (journal replay)
  * @returns {Promise<Object>} Updated timer record with financial record if created
  */
-export async function stopTaskTimer(entryId, description = '', saveImmediately = false, adjustmentSeconds = 0) {
+export async function stopTaskTimer(entryId, description = '', saveImmediately = false, adjustmentSeconds = 0, options = {}) {
     if (!entryId) {
         throw new Error('Entry ID is required');
     }
@@ -278,6 +349,9 @@ export async function stopTaskTimer(entryId, description = '', saveImmediately =
             description: saveImmediately ? 'Time logged' : description,
             adjustment_seconds: adjustmentSeconds
         };
+        if (options.occurredAt) {
+            requestData.end_time = options.occurredAt;
+        }
 
         const response = await dataService.post(`/time-entries/${entryId}/stop`, requestData);
 
@@ -294,9 +368,11 @@ export async function stopTaskTimer(entryId, description = '', saveImmediately =
 /**
  * Pauses a running timer
  * @param {string} entryId - The timer entry ID
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.occurredAt] - ISO timestamp the timer was actually paused (journal replay)
  * @returns {Promise<Object>} Updated timer record
  */
-export async function pauseTimer(entryId) {
+export async function pauseTimer(entryId, options = {}) {
     if (!entryId) {
         throw new Error('Entry ID is required');
     }
@@ -308,7 +384,9 @@ export async function pauseTimer(entryId) {
 
     try {
         console.log('[Tasks API] Pausing timer:', entryId);
-        const response = await dataService.post(`/time-entries/${entryId}/pause`);
+        const response = options.occurredAt
+            ? await dataService.post(`/time-entries/${entryId}/pause`, { occurred_at: options.occurredAt })
+            : await dataService.post(`/time-entries/${entryId}/pause`);
         console.log('[Tasks API] Timer paused successfully:', response);
         return normalizeTimerData(response);
     } catch (error) {
@@ -319,9 +397,11 @@ export async function pauseTimer(entryId) {
 /**
  * Resumes a paused timer
  * @param {string} entryId - The timer entry ID
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.occurredAt] - ISO timestamp the timer was actually resumed (journal replay)
  * @returns {Promise<Object>} Updated timer record
  */
-export async function resumeTimer(entryId) {
+export async function resumeTimer(entryId, options = {}) {
     if (!entryId) {
         throw new Error('Entry ID is required');
     }
@@ -333,7 +413,9 @@ export async function resumeTimer(entryId) {
 
     try {
         console.log('[Tasks API] Resuming timer:', entryId);
-        const response = await dataService.post(`/time-entries/${entryId}/resume`);
+        const response = options.occurredAt
+            ? await dataService.post(`/time-entries/${entryId}/resume`, { occurred_at: options.occurredAt })
+            : await dataService.post(`/time-entries/${entryId}/resume`);
         console.log('[Tasks API] Timer resumed successfully:', response);
         return normalizeTimerData(response);
     } catch (error) {
@@ -405,6 +487,334 @@ export async function fetchTaskTimers(taskId, filters = {}) {
     }
 }
 
+/**
+ * Fetches timer records for every task in a project
+ * @param {string} projectId - The project ID
+ * @param {Object} filters - Optional filters (staff_id, status, etc.)
+ * @returns {Promise<Array>} Array of timer records
+ */
+export async function fetchProjectTimers(projectId, filters = {}) {
+    if (!projectId) {
+        throw new Error('Project ID is required');
+    }
+
+    validateUUID(projectId, 'Project ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'fetchProjectTimers');
+
+    try {
+        console.log('[Tasks API] Fetching timers for project:', projectId);
+
+        const response = await dataService.get('/time-entries', {
+            params: {
+                project_id: projectId,
+                ...filters
+            }
+        });
+
+        console.log('[Tasks API] Project timers fetched successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Fetch project timers');
+    }
+}
+
+/**
+ * Creates a completed time entry without running a timer (timesheet entry)
+ * @param {Object} data - Time entry data (task_id, staff_id, start_time, end_time, duration_minutes, description)
+ * @returns {Promise<Object>} Created time entry
+ */
+export async function createTimeEntry(data) {
+    if (!data?.task_id) {
+        throw new Error('Task ID is required');
+    }
+
+    validateUUID(data.task_id, 'Task ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'createTimeEntry');
+
+    try {
+        console.log('[Tasks API] Creating time entry:', data);
+        const response = await dataService.post('/time-entries', data);
+        console.log('[Tasks API] Time entry created successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Create time entry');
+    }
+}
+
+/**
+ * Updates a completed time entry
+ * @param {string} entryId - The time entry ID
+ * @param {Object} data - The data to update
+ * @returns {Promise<Object>} Updated time entry
+ */
+export async function updateTimeEntry(entryId, data) {
+    if (!entryId || !data) {
+        throw new Error('Entry ID and data are required');
+    }
+
+    validateUUID(entryId, 'Entry ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'updateTimeEntry');
+
+    try {
+        console.log('[Tasks API] Updating time entry:', entryId, data);
+        const response = await dataService.patch(`/time-entries/${entryId}`, data);
+        console.log('[Tasks API] Time entry updated successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Update time entry');
+    }
+}
+
+/**
+ * Deletes a time entry
+ * @param {string} entryId - The time entry ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+export async function deleteTimeEntry(entryId) {
+    if (!entryId) {
+        throw new Error('Entry ID is required');
+    }
+
+    validateUUID(entryId, 'Entry ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'deleteTimeEntry');
+
+    try {
+        console.log('[Tasks API] Deleting time entry:', entryId);
+        const response = await dataService.delete(`/time-entries/${entryId}`);
+        console.log('[Tasks API] Time entry deleted successfully:', response);
+        return response;
+    } catch (error) {
+        handleApiError(error, 'Delete time entry');
+    }
+}
+
+/**
+ * Moves time entries to a new timesheet approval state
+ * @param {string} action - Approval action: 'submit', 'approve' or 'reject'
+ * @param {Array<string>} entryIds - Time entry IDs
+ * @param {Object} [data] - Extra request data (e.g. reason for rejections)
+ * @returns {Promise<Array>} Results per entry - approvals include financial_record when the backend created one
+ */
+export async function reviewTimeEntries(action, entryIds, data = {}) {
+    if (!['submit', 'approve', 'reject'].includes(action)) {
+        throw new Error(`Invalid time entry review action: ${action}`);
+    }
+    if (!entryIds?.length) {
+        throw new Error('At least one entry ID is required');
+    }
+
+    entryIds.forEach(entryId => validateUUID(entryId, 'Entry ID'));
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'reviewTimeEntries');
+
+    try {
+        console.log(`[Tasks API] Time entries ${action}:`, entryIds.length);
+        const response = await dataService.post(`/time-entries/${action}`, {
+            entry_ids: entryIds,
+            ...data
+        });
+        console.log(`[Tasks API] Time entries ${action} succeeded:`, response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, `Time entries ${action}`);
+    }
+}
+
+/**
+ * Fetches recurring task series for a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Recurring task series
+ */
+export async function fetchRecurringTasks(projectId) {
+    if (!projectId) {
+        throw new Error('Project ID is required');
+    }
+
+    validateUUID(projectId, 'Project ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'fetchRecurringTasks');
+
+    try {
+        console.log('[Tasks API] Fetching recurring tasks for project:', projectId);
+        const response = await dataService.get('/api/recurring-tasks', {
+            params: { project_id: projectId }
+        });
+        console.log('[Tasks API] Recurring tasks fetched successfully:', response);
+        return normalizeTaskData(response);
+    } catch (error) {
+        handleApiError(error, 'Fetch recurring tasks');
+    }
+}
+
+/**
+ * Creates a recurring task series
+ * @param {Object} data - Series data (project_id, customer_id, title, rrule, start_date, task template fields)
+ * @returns {Promise<Object>} Created series
+ */
+export async function createRecurringTask(data) {
+    if (!data?.project_id) {
+        throw new Error('Project ID is required');
+    }
+
+    validateUUID(data.project_id, 'Project ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'createRecurringTask');
+
+    try {
+        console.log('[Tasks API] Creating recurring task:', data);
+        const response = await dataService.post('/api/recurring-tasks', data);
+        console.log('[Tasks API] Recurring task created successfully:', response);
+        return normalizeTaskData(response);
+    } catch (error) {
+        handleApiError(error, 'Create recurring task');
+    }
+}
+
+/**
+ * Updates a recurring task series
+ * @param {string} seriesId - The series ID
+ * @param {Object} data - The data to update (including exceptions and last_generated_date)
+ * @returns {Promise<Object>} Updated series
+ */
+export async function updateRecurringTask(seriesId, data) {
+    if (!seriesId || !data) {
+        throw new Error('Series ID and data are required');
+    }
+
+    validateUUID(seriesId, 'Series ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'updateRecurringTask');
+
+    try {
+        console.log('[Tasks API] Updating recurring task:', seriesId, data);
+        const response = await dataService.patch(`/api/recurring-tasks/${seriesId}`, data);
+        console.log('[Tasks API] Recurring task updated successfully:', response);
+        return normalizeTaskData(response);
+    } catch (error) {
+        handleApiError(error, 'Update recurring task');
+    }
+}
+
+/**
+ * Deletes a recurring task series
+ * Tasks already generated from the series are kept
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+export async function deleteRecurringTask(seriesId) {
+    if (!seriesId) {
+        throw new Error('Series ID is required');
+    }
+
+    validateUUID(seriesId, 'Series ID');
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'deleteRecurringTask');
+
+    try {
+        console.log('[Tasks API] Deleting recurring task:', seriesId);
+        const response = await dataService.delete(`/api/recurring-tasks/${seriesId}`);
+        console.log('[Tasks API] Recurring task deleted successfully:', response);
+        return response;
+    } catch (error) {
+        handleApiError(error, 'Delete recurring task');
+    }
+}
+
+/**
+ * Fetches the organization's task board columns
+ * @returns {Promise<Array>} Board columns (empty when the organization has not configured any)
+ */
+export async function fetchTaskBoardColumns() {
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'fetchTaskBoardColumns');
+
+    try {
+        console.log('[Tasks API] Fetching task board columns');
+        const response = await dataService.get('/api/task-board/columns');
+        console.log('[Tasks API] Task board columns fetched successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Fetch task board columns');
+    }
+}
+
+/**
+ * Replaces the organization's task board columns
+ * @param {Array} columns - Ordered columns ({ id, title, statuses })
+ * @returns {Promise<Array>} Saved board columns
+ */
+export async function saveTaskBoardColumns(columns) {
+    if (!Array.isArray(columns)) {
+        throw new Error('Columns are required');
+    }
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'saveTaskBoardColumns');
+
+    try {
+        console.log('[Tasks API] Saving task board columns:', columns);
+        const response = await dataService.put('/api/task-board/columns', { columns });
+        console.log('[Tasks API] Task board columns saved successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Save task board columns');
+    }
+}
+
+/**
+ * Fetches the organization's default billing rounding policy for time entries
+ * @returns {Promise<Object|null>} Rounding policy (null when the organization has not configured one)
+ */
+export async function fetchTimerRoundingPolicy() {
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'fetchTimerRoundingPolicy');
+
+    try {
+        console.log('[Tasks API] Fetching timer rounding policy');
+        const response = await dataService.get('/api/billing/rounding-policy');
+        console.log('[Tasks API] Timer rounding policy fetched successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Fetch timer rounding policy');
+    }
+}
+
+/**
+ * Replaces the organization's default billing rounding policy for time entries
+ * @param {Object} policy - Rounding policy ({ mode, minimum_entry_minutes, daily_minimum_minutes })
+ * @returns {Promise<Object>} Saved rounding policy
+ */
+export async function saveTimerRoundingPolicy(policy) {
+    if (!policy) {
+        throw new Error('Rounding policy is required');
+    }
+
+    const auth = getAuthenticationContext();
+    checkOrganizationScope({ authentication: auth }, 'saveTimerRoundingPolicy');
+
+    try {
+        console.log('[Tasks API] Saving timer rounding policy:', policy);
+        const response = await dataService.put('/api/billing/rounding-policy', policy);
+        console.log('[Tasks API] Timer rounding policy saved successfully:', response);
+        return normalizeTimerData(response);
+    } catch (error) {
+        handleApiError(error, 'Save timer rounding policy');
+    }
+}
+
 /**
  * Fetches notes for a task
  * @param {string} taskId - The task ID
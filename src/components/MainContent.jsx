@@ -1,6 +1,7 @@
 import React, { useCallback } from 'react';
 import PropTypes from 'prop-types';
 import TaskTimer from './tasks/TaskTimer';
+import MyWork from './tasks/MyWork';
 import ProjectDetails from './projects/ProjectDetails';
 import CustomerDetails from './customers/CustomerDetails';
 import ProspectDetails from './customers/ProspectDetails';
@@ -33,6 +34,7 @@ const MainContent = React.memo(function MainContent({
     projectStats = null,
     teamStats = null,
     timer = null,
+    timerTakeover = null,
     loading = false,
     handlers
 }) {
@@ -59,6 +61,7 @@ const MainContent = React.memo(function MainContent({
     } = useTeamContext();
     const {
         showFinancialActivity,
+        showMyWork,
         showFileMakerExample,
         showSupabaseExample,
         showQboTestPanel,
@@ -155,6 +158,11 @@ const MainContent = React.memo(function MainContent({
         );
     }
     
+    // Show the logged-in staff member's task queue if selected
+    if (showMyWork) {
+        return <MyWork />;
+    }
+    
     // Show FileMaker Example if selected
     if (showFileMakerExample) {
         return (
@@ -205,14 +213,19 @@ const MainContent = React.memo(function MainContent({
                     >
                         ← Back to Project
                     </button>
-                    {timer?.recordId && (
+                    {(timer?.recordId || timerTakeover) && (
                         <TaskTimer
                             task={selectedTask}
                             timer={timer}
+                            takeover={timerTakeover}
+                            tasks={tasks}
                             onStart={handlers.handleTimerStart}
                             onPause={handlers.handleTimerPause}
                             onStop={handlers.handleTimerStop}
                             onAdjust={handlers.handleTimerAdjust}
+                            onTakeOver={handlers.handleTimerTakeover}
+                            onCancelTakeover={handlers.handleTimerTakeoverCancel}
+                            onIdleResolve={handlers.handleIdleTimeResolve}
                         />
                     )}
                 </div>
@@ -452,6 +465,10 @@ MainContent.propTypes = {
         pauseStartTime: PropTypes.instanceOf(Date),
         totalPauseTime: PropTypes.number
     }),
+    timerTakeover: PropTypes.shape({
+        task: PropTypes.object,
+        remoteTimer: PropTypes.object
+    }),
     
     // Loading state
     loading: PropTypes.bool,
@@ -471,7 +488,10 @@ MainContent.propTypes = {
         handleTimerStart: PropTypes.func.isRequired,
         handleTimerStop: PropTypes.func.isRequired,
         handleTimerPause: PropTypes.func.isRequired,
-        handleTimerAdjust: PropTypes.func.isRequired
+        handleTimerAdjust: PropTypes.func.isRequired,
+        handleTimerTakeover: PropTypes.func,
+        handleTimerTakeoverCancel: PropTypes.func,
+        handleIdleTimeResolve: PropTypes.func
     }).isRequired
 };
 
@@ -7,9 +7,31 @@ import { query, insert, update, remove } from '../../services/supabaseService';
 import { toE164, formatPhoneDisplay, formatPhoneInput, isValidPhone } from '../../utils/phoneUtils';
 import { createClient } from '@supabase/supabase-js';
 import { supabaseUrl, supabaseAnonKey } from '../../config.js';
+import {
+  loadCustomerRoundingPolicy,
+  saveCustomerRoundingPolicy,
+  loadOrganizationRoundingPolicy,
+  validateRoundingPolicy,
+  BILLING_ROUNDING_MODES
+} from '../../services/taskService';
+import RoundingPolicyFields from '../financial/RoundingPolicyFields';
 
 const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
+const ROUNDING_MODE_LABELS = {
+  [BILLING_ROUNDING_MODES.NONE]: 'no rounding',
+  [BILLING_ROUNDING_MODES.UP_6]: 'round up to 6 minutes',
+  [BILLING_ROUNDING_MODES.UP_15]: 'round up to 15 minutes',
+  [BILLING_ROUNDING_MODES.UP_30]: 'round up to 30 minutes'
+};
+
+// One-line description of a rounding policy, e.g. "round up to 15 minutes, 30 min minimum per entry"
+const describeRoundingPolicy = (policy) => [
+  ROUNDING_MODE_LABELS[policy.mode],
+  policy.minimum_entry_minutes > 0 && `${policy.minimum_entry_minutes} min minimum per entry`,
+  policy.daily_minimum_minutes > 0 && `${policy.daily_minimum_minutes} min daily minimum`
+].filter(Boolean).join(', ');
+
 function CustomerSettings({ customer }) {
   const { darkMode } = useTheme();
   const { handleCustomerUpdate } = useCustomer();
@@ -33,6 +55,12 @@ function CustomerSettings({ customer }) {
   // State for VAPI Testing flag
   const [vapiTesting, setVapiTesting] = useState(false);
 
+  // State for billing rounding (override is null when the organization default applies)
+  const [organizationRounding, setOrganizationRounding] = useState(null);
+  const [roundingOverride, setRoundingOverride] = useState(null);
+  const [roundingDraft, setRoundingDraft] = useState(null);
+  const [isSavingRounding, setIsSavingRounding] = useState(false);
+
   // State for additional contacts
   const [emails, setEmails] = useState([]);
   const [phones, setPhones] = useState([]);
@@ -94,6 +122,30 @@ function CustomerSettings({ customer }) {
     }
   }, [customer?.__ID, customer?.id]);
 
+  // Load the billing rounding policy for this customer
+  useEffect(() => {
+    const customerId = customer?.__ID || customer?.id;
+    if (!customerId) return;
+
+    let cancelled = false;
+    Promise.all([
+      loadOrganizationRoundingPolicy(),
+      loadCustomerRoundingPolicy(customerId).catch(error => {
+        console.error('Error loading billing rounding:', error);
+        return null;
+      })
+    ]).then(([organizationPolicy, customerPolicy]) => {
+      if (cancelled) return;
+      setOrganizationRounding(organizationPolicy);
+      setRoundingOverride(customerPolicy);
+      setRoundingDraft(customerPolicy);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [customer?.__ID, customer?.id]);
+
   const loadContactInformation = async (customerId) => {
     setIsLoadingContacts(true);
     try {
@@ -270,6 +322,31 @@ function CustomerSettings({ customer }) {
     }
   };
 
+  const handleRoundingOverrideToggle = (useDefault) => {
+    setRoundingDraft(useDefault ? null : (roundingOverride || organizationRounding));
+  };
+
+  const handleSaveRounding = async () => {
+    const customerId = customer?.__ID || customer?.id;
+    if (!customerId) return;
+
+    setIsSavingRounding(true);
+    try {
+      const saved = await saveCustomerRoundingPolicy(customerId, roundingDraft);
+      setRoundingOverride(saved);
+      setRoundingDraft(saved);
+      showError(saved ? 'Billing rounding saved' : 'Billing rounding reset to organization default');
+    } catch (error) {
+      console.error('Error saving billing rounding:', error);
+      showError(`Failed to save billing rounding: ${error.message}`);
+    } finally {
+      setIsSavingRounding(false);
+    }
+  };
+
+  const roundingValidation = roundingDraft ? validateRoundingPolicy(roundingDraft) : { isValid: true, errors: [] };
+  const hasRoundingChanges = JSON.stringify(roundingDraft) !== JSON.stringify(roundingOverride);
+
   const handleAddEmail = async () => {
     const customerId = customer?.__ID || customer?.id;
     if (!newEmail || !customerId) return;
@@ -1020,6 +1097,64 @@ function CustomerSettings({ customer }) {
             )}
           </div>
         </div>
+
+        {/* Billing Rounding */}
+        <div className="md:col-span-2">
+          <h5 className="font-medium mb-3">Billing Rounding</h5>
+          <div className={`p-4 rounded-lg ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            {!organizationRounding ? (
+              <div className="text-sm text-gray-500">Loading...</div>
+            ) : (
+              <div className="space-y-4">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!roundingDraft}
+                    onChange={(e) => handleRoundingOverrideToggle(e.target.checked)}
+                    disabled={isSavingRounding}
+                    className="h-4 w-4 rounded border-gray-300 text-primary focus:ring-primary cursor-pointer"
+                  />
+                  <span className="text-sm font-medium">Use organization default</span>
+                </label>
+                <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Organization default: {describeRoundingPolicy(organizationRounding)}
+                </p>
+
+                {roundingDraft && (
+                  <RoundingPolicyFields
+                    policy={roundingDraft}
+                    onChange={setRoundingDraft}
+                    darkMode={darkMode}
+                    disabled={isSavingRounding}
+                  />
+                )}
+
+                {!roundingValidation.isValid && (
+                  <p className="text-sm text-red-500">{roundingValidation.errors[0]}</p>
+                )}
+
+                {hasRoundingChanges && (
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleSaveRounding}
+                      disabled={isSavingRounding || !roundingValidation.isValid}
+                      className="px-3 py-2 bg-primary text-white rounded-md hover:bg-primary-hover disabled:opacity-50"
+                    >
+                      {isSavingRounding ? 'Saving...' : 'Save Rounding'}
+                    </button>
+                    <button
+                      onClick={() => setRoundingDraft(roundingOverride)}
+                      disabled={isSavingRounding}
+                      className={`px-3 py-2 rounded-md ${darkMode ? 'bg-gray-600 hover:bg-gray-500' : 'bg-gray-200 hover:bg-gray-300'}`}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+  AR_AGING_BUCKETS,
+  syncPaymentStatusFromWebhooks,
+  loadARAging
+} from '../../services/paymentSyncService';
+
+/**
+ * Formats an amount as currency
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount
+ */
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(amount || 0);
+
+/**
+ * ARAgingReport component for accounts receivable aging per customer
+ *
+ * Opening the report first applies new QuickBooks payment events to the sales records, then
+ * ages the open QuickBooks invoices by invoice date into current, 30, 60 and 90+ day buckets.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {Function} props.onPaymentsSynced - Called when sales records' payment status changed
+ * @returns {JSX.Element} A/R Aging Report component
+ */
+function ARAgingReport({ darkMode = false, onPaymentsSynced }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+
+  const [aging, setAging] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const syncPayments = useCallback(async ({ quiet = false } = {}) => {
+    setIsSyncing(true);
+    try {
+      const result = await syncPaymentStatusFromWebhooks(user?.supabaseOrgID);
+      if (result.invoices.length > 0 && typeof onPaymentsSynced === 'function') {
+        onPaymentsSynced();
+      }
+      if (result.errors.length > 0) {
+        showError(`Payment sync finished with ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}: ${result.errors[0]}`);
+      } else if (!quiet) {
+        showSuccess(`Payment status updated for ${result.invoices.length} invoice${result.invoices.length === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Error syncing payments:', error);
+      showError(error.message || 'Failed to sync payments from QuickBooks');
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [user?.supabaseOrgID, onPaymentsSynced, showError, showSuccess]);
+
+  const refreshAging = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setAging(await loadARAging());
+    } catch (error) {
+      console.error('Error loading A/R aging:', error);
+      showError(error.message || 'Failed to load A/R aging from QuickBooks');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showError]);
+
+  // Sync once per organization when the report opens, not whenever a callback changes
+  const syncedOrgRef = useRef(null);
+
+  useEffect(() => {
+    const organizationId = user?.supabaseOrgID;
+    if (!organizationId || syncedOrgRef.current === organizationId) {
+      return;
+    }
+    syncedOrgRef.current = organizationId;
+    syncPayments({ quiet: true }).then(refreshAging);
+  }, [user?.supabaseOrgID, syncPayments, refreshAging]);
+
+  const handleSync = useCallback(async () => {
+    await syncPayments();
+    await refreshAging();
+  }, [syncPayments, refreshAging]);
+
+  const cellClass = 'px-4 py-3 text-sm text-right';
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            A/R Aging
+          </h3>
+          <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Open QuickBooks invoices by days since the invoice date.
+          </p>
+        </div>
+        <button
+          onClick={handleSync}
+          disabled={isSyncing || isLoading}
+          className={`
+            px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+            ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+          `}
+        >
+          {isSyncing ? 'Syncing...' : 'Sync Payments'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className={`text-sm py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {isSyncing ? 'Syncing payments from QuickBooks...' : 'Loading A/R aging...'}
+        </div>
+      ) : !aging || aging.customers.length === 0 ? (
+        <div className={`text-sm py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          No open invoices.
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className={`min-w-full divide-y ${darkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+            <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+              <tr>
+                <th
+                  scope="col"
+                  className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}
+                >
+                  Customer
+                </th>
+                {AR_AGING_BUCKETS.map(bucket => (
+                  <th
+                    key={bucket.key}
+                    scope="col"
+                    className={`px-4 py-3 text-right text-xs font-medium uppercase tracking-wider ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}
+                  >
+                    {bucket.label}
+                  </th>
+                ))}
+                <th
+                  scope="col"
+                  className={`px-4 py-3 text-right text-xs font-medium uppercase tracking-wider ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}
+                >
+                  Total
+                </th>
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? 'divide-gray-700 text-gray-300' : 'divide-gray-200 text-gray-800'}`}>
+              {aging.customers.map(customer => (
+                <tr key={customer.customerId}>
+                  <td className="px-4 py-3 text-sm">
+                    {customer.customerName}
+                    <span className={`ml-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      ({customer.invoiceCount} invoice{customer.invoiceCount === 1 ? '' : 's'})
+                    </span>
+                  </td>
+                  {AR_AGING_BUCKETS.map(bucket => (
+                    <td
+                      key={bucket.key}
+                      className={`${cellClass} ${bucket.key === 'days90' && customer.days90 > 0 ? 'text-red-500 font-medium' : ''}`}
+                    >
+                      {customer[bucket.key] ? formatCurrency(customer[bucket.key]) : '-'}
+                    </td>
+                  ))}
+                  <td className={`${cellClass} font-medium`}>{formatCurrency(customer.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className={darkMode ? 'text-white' : 'text-gray-900'}>
+              <tr className={`border-t-2 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                <td className="px-4 py-3 text-sm font-semibold">Total</td>
+                {AR_AGING_BUCKETS.map(bucket => (
+                  <td key={bucket.key} className={`${cellClass} font-semibold`}>
+                    {formatCurrency(aging.totals[bucket.key])}
+                  </td>
+                ))}
+                <td className={`${cellClass} font-semibold`}>{formatCurrency(aging.totals.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ARAgingReport.propTypes = {
+  darkMode: PropTypes.bool,
+  onPaymentsSynced: PropTypes.func
+};
+
+export default React.memo(ARAgingReport);
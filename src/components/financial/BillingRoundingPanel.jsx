@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+  loadOrganizationRoundingPolicy,
+  saveOrganizationRoundingPolicy,
+  validateRoundingPolicy,
+  DEFAULT_BILLING_ROUNDING_POLICY
+} from '../../services/taskService';
+import RoundingPolicyFields from './RoundingPolicyFields';
+
+/**
+ * BillingRoundingPanel component for the organization's default time billing rounding
+ *
+ * The policy applies when a stopped timer creates its financial record. Customers can
+ * override it from their settings.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} Billing Rounding Panel component
+ */
+function BillingRoundingPanel({ darkMode = false }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+
+  // Access control - admin only
+  const isAdmin = user?.role === 'admin' || user?.role === 'owner';
+
+  const [policy, setPolicy] = useState(DEFAULT_BILLING_ROUNDING_POLICY);
+  const [savedPolicy, setSavedPolicy] = useState(DEFAULT_BILLING_ROUNDING_POLICY);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadOrganizationRoundingPolicy().then(loaded => {
+      if (!cancelled) {
+        setPolicy(loaded);
+        setSavedPolicy(loaded);
+        setIsLoading(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    setIsSaving(true);
+    try {
+      const saved = await saveOrganizationRoundingPolicy(policy);
+      setPolicy(saved);
+      setSavedPolicy(saved);
+      showSuccess('Billing rounding saved');
+    } catch (error) {
+      console.error('Error saving billing rounding policy:', error);
+      showError(error.message || 'Failed to save billing rounding');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [policy, showError, showSuccess]);
+
+  const hasChanges = JSON.stringify(policy) !== JSON.stringify(savedPolicy);
+  const validation = validateRoundingPolicy(policy);
+
+  if (!isAdmin) {
+    return (
+      <div className={`
+        p-4 rounded-lg border
+        ${darkMode ? 'bg-yellow-900 bg-opacity-30 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}
+      `}>
+        <p className={`text-sm font-medium ${darkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+          Access Restricted
+        </p>
+        <p className={`text-xs mt-1 ${darkMode ? 'text-yellow-300' : 'text-yellow-600'}`}>
+          Billing rounding is only accessible to administrators and organization owners.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="mb-6">
+        <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+          Billing Rounding
+        </h3>
+        <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Default rounding applied when timers are billed. Customers can override this in their settings.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className={`text-sm py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Loading billing rounding...
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <RoundingPolicyFields
+            policy={policy}
+            onChange={setPolicy}
+            darkMode={darkMode}
+            disabled={isSaving}
+          />
+
+          {!validation.isValid && (
+            <p className="text-sm text-red-500">{validation.errors[0]}</p>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              onClick={() => setPolicy(savedPolicy)}
+              disabled={isSaving || !hasChanges}
+              className={`
+                px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+                ${darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}
+              `}
+            >
+              Reset
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !hasChanges || !validation.isValid}
+              className={`
+                px-6 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+                ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+              `}
+            >
+              {isSaving ? 'Saving...' : 'Save Rounding'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+BillingRoundingPanel.propTypes = {
+  darkMode: PropTypes.bool
+};
+
+export default React.memo(BillingRoundingPanel);
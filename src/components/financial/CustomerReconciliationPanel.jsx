@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+  MATCH_THRESHOLDS,
+  RECONCILIATION_STATUSES,
+  loadReconciliation,
+  confirmCustomerMapping,
+  removeCustomerMapping,
+  pushContactFields,
+  pullContactFields
+} from '../../services/customerReconciliationService';
+
+// Status badge label and colours for each reconciliation status
+const STATUS_BADGES = {
+  mapped: { label: 'Mapped', light: 'bg-green-100 text-green-800', dark: 'bg-green-900 text-green-200' },
+  proposed: { label: 'Match proposed', light: 'bg-blue-100 text-blue-800', dark: 'bg-blue-900 text-blue-200' },
+  unmatched: { label: 'No match', light: 'bg-yellow-100 text-yellow-800', dark: 'bg-yellow-900 text-yellow-200' },
+  missing: { label: 'QuickBooks customer missing', light: 'bg-red-100 text-red-800', dark: 'bg-red-900 text-red-200' }
+};
+
+const FILTERS = [
+  { id: 'attention', label: 'Needs attention' },
+  { id: 'all', label: 'All customers' },
+  { id: 'mapped', label: 'Mapped' }
+];
+
+/**
+ * CustomerReconciliationPanel component for linking CRM customers to QuickBooks customers
+ *
+ * Unmapped customers get proposed QuickBooks matches scored on name, email and phone; confirming
+ * one saves the mapping used for invoicing. Mapped customers whose contact details differ can be
+ * updated in either direction.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} Customer Reconciliation Panel component
+ */
+function CustomerReconciliationPanel({ darkMode = false }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+
+  // Access control - admin only
+  const isAdmin = user?.role === 'admin' || user?.role === 'owner';
+
+  const [reconciliation, setReconciliation] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyCustomerId, setBusyCustomerId] = useState(null);
+  const [filter, setFilter] = useState('attention');
+  const [manualSelections, setManualSelections] = useState({});
+
+  const refreshReconciliation = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setReconciliation(await loadReconciliation(user?.supabaseOrgID));
+    } catch (error) {
+      console.error('Error loading customer reconciliation:', error);
+      showError(error.message || 'Failed to load customers from the CRM and QuickBooks');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user?.supabaseOrgID, showError]);
+
+  useEffect(() => {
+    if (isAdmin && user?.supabaseOrgID) {
+      refreshReconciliation();
+    }
+  }, [isAdmin, user?.supabaseOrgID, refreshReconciliation]);
+
+  const runAction = useCallback(async (customerId, action, successMessage) => {
+    setBusyCustomerId(customerId);
+    try {
+      await action();
+      showSuccess(successMessage);
+      await refreshReconciliation();
+    } catch (error) {
+      console.error('Error reconciling customer:', error);
+      showError(error.message || 'Failed to update the customer');
+    } finally {
+      setBusyCustomerId(null);
+    }
+  }, [refreshReconciliation, showError, showSuccess]);
+
+  const handleConfirm = useCallback((row, qboCustomer, score = null) => runAction(
+    row.customer.id,
+    () => confirmCustomerMapping({
+      organizationId: user?.supabaseOrgID,
+      customer: row.customer,
+      qboCustomer,
+      score,
+      userId: user?.supabaseUserID || null
+    }),
+    `${row.customer.name} mapped to ${qboCustomer.name}`
+  ), [runAction, user?.supabaseOrgID, user?.supabaseUserID]);
+
+  const handleUnmap = useCallback((row) => runAction(
+    row.customer.id,
+    () => removeCustomerMapping(row.mapping),
+    `${row.customer.name} is no longer mapped`
+  ), [runAction]);
+
+  const handlePush = useCallback((row, fields) => runAction(
+    row.customer.id,
+    () => pushContactFields(row, fields),
+    `Updated ${row.qboCustomer.name} in QuickBooks`
+  ), [runAction]);
+
+  const handlePull = useCallback((row, fields) => runAction(
+    row.customer.id,
+    () => pullContactFields(row, fields),
+    `Updated ${row.customer.name} from QuickBooks`
+  ), [runAction]);
+
+  const qboCustomerOptions = useMemo(() => {
+    if (!reconciliation) return [];
+    const byId = new Map();
+    reconciliation.rows.forEach(row => {
+      if (row.qboCustomer) byId.set(row.qboCustomer.id, row.qboCustomer);
+      row.candidates.forEach(candidate => byId.set(candidate.qboCustomer.id, candidate.qboCustomer));
+    });
+    reconciliation.qboOnly.forEach(customer => byId.set(customer.id, customer));
+    return Array.from(byId.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [reconciliation]);
+
+  const visibleRows = useMemo(() => (reconciliation?.rows || []).filter(row => {
+    if (filter === 'mapped') return row.status === RECONCILIATION_STATUSES.MAPPED;
+    if (filter === 'attention') return row.status !== RECONCILIATION_STATUSES.MAPPED || row.drift.length > 0;
+    return true;
+  }), [reconciliation, filter]);
+
+  if (!isAdmin) {
+    return (
+      <div className={`
+        p-4 rounded-lg border
+        ${darkMode ? 'bg-yellow-900 bg-opacity-30 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}
+      `}>
+        <p className={`text-sm font-medium ${darkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+          Access Restricted
+        </p>
+        <p className={`text-xs mt-1 ${darkMode ? 'text-yellow-300' : 'text-yellow-600'}`}>
+          Customer reconciliation is only accessible to administrators and organization owners.
+        </p>
+      </div>
+    );
+  }
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const smallButtonClass = `
+    px-2 py-1 rounded text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+    ${darkMode ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}
+  `;
+  const primaryButtonClass = `
+    px-2 py-1 rounded text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+    ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+  `;
+
+  const renderContact = (customer) => (
+    <>
+      <div className="font-medium">{customer.name || 'Unnamed'}</div>
+      <div className={`text-xs ${mutedText}`}>
+        {[customer.email, customer.phone].filter(Boolean).join(' • ') || 'No email or phone'}
+      </div>
+    </>
+  );
+
+  const renderMatch = (row) => {
+    const isBusy = busyCustomerId === row.customer.id;
+
+    if (row.status === RECONCILIATION_STATUSES.MAPPED || row.status === RECONCILIATION_STATUSES.MISSING) {
+      return (
+        <div className="space-y-2">
+          {row.qboCustomer
+            ? renderContact(row.qboCustomer)
+            : <div className="text-red-500">{row.mapping.qbo_display_name || row.mapping.qbo_customer_id} is inactive or was deleted</div>}
+          {row.drift.map(drift => (
+            <div key={drift.field} className={`text-xs ${darkMode ? 'text-orange-300' : 'text-orange-700'}`}>
+              {drift.label} differs: CRM “{drift.crmValue || '—'}” / QuickBooks “{drift.qboValue || '—'}”
+              <span className="ml-2 inline-flex gap-1">
+                <button onClick={() => handlePush(row, [drift.field])} disabled={isBusy || !drift.crmValue} className={smallButtonClass}>
+                  Push to QuickBooks
+                </button>
+                <button onClick={() => handlePull(row, [drift.field])} disabled={isBusy || !drift.qboValue} className={smallButtonClass}>
+                  Pull into CRM
+                </button>
+              </span>
+            </div>
+          ))}
+          <button onClick={() => handleUnmap(row)} disabled={isBusy} className={smallButtonClass}>
+            Unmap
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-2">
+        {row.candidates.map(candidate => (
+          <div key={candidate.qboCustomer.id} className="flex items-start justify-between gap-3">
+            <div>
+              {renderContact(candidate.qboCustomer)}
+              <div className={`text-xs ${candidate.score >= MATCH_THRESHOLDS.STRONG ? 'text-green-500' : mutedText}`}>
+                {Math.round(candidate.score * 100)}% match
+                {candidate.reasons.length > 0 && ` on ${candidate.reasons.join(', ')}`}
+                {candidate.alreadyMapped && ' • already mapped to another CRM customer'}
+              </div>
+            </div>
+            <button
+              onClick={() => handleConfirm(row, candidate.qboCustomer, candidate.score)}
+              disabled={isBusy}
+              className={primaryButtonClass}
+            >
+              {candidate.alreadyMapped ? 'Merge' : 'Confirm'}
+            </button>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <select
+            value={manualSelections[row.customer.id] || ''}
+            onChange={(e) => setManualSelections(prev => ({ ...prev, [row.customer.id]: e.target.value }))}
+            aria-label={`QuickBooks customer for ${row.customer.name}`}
+            className={`
+              px-2 py-1 rounded border text-xs max-w-xs
+              ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+            `}
+          >
+            <option value="">Choose another QuickBooks customer...</option>
+            {qboCustomerOptions.map(customer => (
+              <option key={customer.id} value={customer.id}>{customer.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleConfirm(row, qboCustomerOptions.find(customer => customer.id === manualSelections[row.customer.id]))}
+            disabled={isBusy || !manualSelections[row.customer.id]}
+            className={smallButtonClass}
+          >
+            Map
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            Customer Reconciliation
+          </h3>
+          <p className={`text-sm mt-1 ${mutedText}`}>
+            Invoices go to the QuickBooks customer each CRM customer is mapped to, whatever either side is named.
+            Mapping two CRM customers to the same QuickBooks customer merges them for invoicing.
+          </p>
+          {reconciliation && (
+            <p className={`text-sm mt-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              {reconciliation.summary.mapped} mapped • {reconciliation.summary.proposed} with proposed matches
+              • {reconciliation.summary.unmatched} unmatched • {reconciliation.summary.drifted} with differing contact details
+              {reconciliation.summary.missing > 0 && ` • ${reconciliation.summary.missing} mapped to a missing QuickBooks customer`}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            aria-label="Filter customers"
+            className={`
+              px-3 py-2 rounded-lg border text-sm
+              ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+            `}
+          >
+            {FILTERS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={refreshReconciliation}
+            disabled={isLoading}
+            className={`
+              px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+              ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+            `}
+          >
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {isLoading && !reconciliation ? (
+        <div className={`text-sm py-8 text-center ${mutedText}`}>
+          Loading customers from the CRM and QuickBooks...
+        </div>
+      ) : visibleRows.length === 0 ? (
+        <div className={`text-sm py-8 text-center ${mutedText}`}>
+          {filter === 'attention' ? 'Every customer is mapped and in sync.' : 'No customers.'}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className={`min-w-full divide-y ${darkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+            <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+              <tr>
+                {['CRM Customer', 'Status', 'QuickBooks Customer'].map(heading => (
+                  <th
+                    key={heading}
+                    scope="col"
+                    className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className={`divide-y text-sm ${darkMode ? 'divide-gray-700 text-gray-300' : 'divide-gray-200 text-gray-800'}`}>
+              {visibleRows.map(row => {
+                const badge = STATUS_BADGES[row.status];
+                return (
+                  <tr key={row.customer.id} className="align-top">
+                    <td className="px-4 py-3">{renderContact(row.customer)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${darkMode ? badge.dark : badge.light}`}>
+                        {badge.label}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">{renderMatch(row)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {reconciliation?.qboOnly.length > 0 && (
+        <details className="mt-6">
+          <summary className={`text-sm cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            {reconciliation.qboOnly.length} QuickBooks customer{reconciliation.qboOnly.length === 1 ? ' has' : 's have'} no CRM customer
+          </summary>
+          <ul className={`mt-2 text-xs grid grid-cols-2 md:grid-cols-3 gap-1 ${mutedText}`}>
+            {reconciliation.qboOnly.map(customer => (
+              <li key={customer.id}>{customer.name}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+CustomerReconciliationPanel.propTypes = {
+  darkMode: PropTypes.bool
+};
+
+export default React.memo(CustomerReconciliationPanel);
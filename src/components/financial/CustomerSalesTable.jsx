@@ -1,9 +1,26 @@
 import React, { useState, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { createQBOCustomer, searchQBOCustomers, createInvoiceFromRecords } from '../../api/quickbooksApi';
+import { createQBOCustomer, searchQBOCustomers } from '../../api/quickbooksApi';
+import { useAppState } from '../../context/AppStateContext';
+import { createInvoiceDraftFromRecords, getInvoiceDraftTotal } from '../../services/invoiceDraftService';
+import { loadInvoiceRules } from '../../services/invoiceRulesService';
+import { getRecordsPaymentStatus } from '../../services/paymentSyncService';
+import {
+  resolveMappedQBOCustomer,
+  confirmCustomerMapping,
+  normalizeQboCustomer
+} from '../../services/customerReconciliationService';
 import CreateQBOCustomerModal from './CreateQBOCustomerModal';
 import RecordDetailsModal from './RecordDetailsModal';
 
+// Status badge label and colours for each billing status of a group of records
+const BILLING_STATUS_BADGES = {
+  uninvoiced: { label: 'Uninvoiced', light: 'bg-yellow-100 text-yellow-800', dark: 'bg-yellow-900 text-yellow-200' },
+  invoiced: { label: 'Invoiced', light: 'bg-blue-100 text-blue-800', dark: 'bg-blue-900 text-blue-200' },
+  partially_paid: { label: 'Partially Paid', light: 'bg-orange-100 text-orange-800', dark: 'bg-orange-900 text-orange-200' },
+  paid: { label: 'Paid', light: 'bg-green-100 text-green-800', dark: 'bg-green-900 text-green-200' }
+};
+
 /**
  * Component to display individual sales lines for a customer
  * @param {Object} props - Component props
@@ -14,6 +31,7 @@ import RecordDetailsModal from './RecordDetailsModal';
  * @returns {JSX.Element} Customer sales table component
  */
 function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh }) {
+  const { user } = useAppState();
   // State for tracking loading state during QBO operations
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingMilestone, setProcessingMilestone] = useState('');
@@ -192,13 +210,28 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
 
   /**
    * Handles the QBO invoice button click
-   * Uses new backend endpoint to create invoice from sales records.
-   * Backend handles:
-   * 1. Invoice payload generation
-   * 2. Invoice creation in QuickBooks
-   * 3. Marking records as billed in database
-   * 4. Optionally sending invoice email
+   * Creates an invoice draft from the uninvoiced sales records. The draft is reviewed and
+   * approved in the Invoice Review queue before it is submitted to QuickBooks.
+   */
+  /**
+   * Saves the QuickBooks customer found for an unmapped customer as its mapping
+   * Best effort: invoicing continues if the mapping can't be saved
+   * @param {string} customerId - CRM customer UUID
+   * @param {Object} qboCustomer - QuickBooks customer
    */
+  const rememberCustomerMapping = useCallback(async (customerId, qboCustomer) => {
+    try {
+      await confirmCustomerMapping({
+        organizationId: user?.supabaseOrgID,
+        customer: { id: customerId },
+        qboCustomer: normalizeQboCustomer(qboCustomer),
+        userId: user?.supabaseUserID || null
+      });
+    } catch (error) {
+      console.warn('Customer mapping could not be saved:', error);
+    }
+  }, [user?.supabaseOrgID, user?.supabaseUserID]);
+
   const handleQboInvoiceClick = useCallback(async () => {
     console.log('🚀 QuickBooks invoice button clicked');
 
@@ -230,43 +263,47 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
         return;
       }
 
-      // Find QBO customer using advanced search
+      // Use the customer's confirmed QuickBooks mapping; unmapped customers are searched by name
       setProcessingMilestone('Finding customer...');
-      console.log('Searching for QuickBooks customer:', customerName);
-      const qboCustomers = await searchQBOCustomerAdvanced(customerName);
-
-      // If no customers found, show create modal
-      if (qboCustomers.length === 0) {
-        console.log(`Customer "${customerName}" not found in QuickBooks`);
-        setShowCreateCustomerModal(true);
-        return;
-      }
+      let selectedQboCustomer = await resolveMappedQBOCustomer(user?.supabaseOrgID, customerId);
 
-      let selectedQboCustomer = null;
+      if (!selectedQboCustomer) {
+        console.log('Searching for QuickBooks customer:', customerName);
+        const qboCustomers = await searchQBOCustomerAdvanced(customerName);
 
-      if (qboCustomers.length === 1) {
-        // Exactly one matching customer found
-        selectedQboCustomer = qboCustomers[0];
-        console.log(`Found matching QBO customer: ${selectedQboCustomer.DisplayName} (ID: ${selectedQboCustomer.Id})`);
-      } else {
-        // Multiple matching customers found, ask user to select one
-        let customerOptions = '';
-        qboCustomers.forEach((customer, index) => {
-          customerOptions += `${index + 1}: ${customer.DisplayName}\n`;
-        });
-
-        const selectedIndex = prompt(
-          `Multiple matching customers found in QuickBooks. Please enter the number of the correct customer:\n\n${customerOptions}`,
-          '1'
-        );
-
-        if (!selectedIndex || isNaN(parseInt(selectedIndex)) || parseInt(selectedIndex) < 1 || parseInt(selectedIndex) > qboCustomers.length) {
-          alert('Invalid selection. Invoice creation cancelled.');
+        // If no customers found, show create modal
+        if (qboCustomers.length === 0) {
+          console.log(`Customer "${customerName}" not found in QuickBooks`);
+          setShowCreateCustomerModal(true);
           return;
         }
 
-        selectedQboCustomer = qboCustomers[parseInt(selectedIndex) - 1];
-        console.log(`Selected QBO customer: ${selectedQboCustomer.DisplayName} (ID: ${selectedQboCustomer.Id})`);
+        if (qboCustomers.length === 1) {
+          // Exactly one matching customer found
+          selectedQboCustomer = qboCustomers[0];
+          console.log(`Found matching QBO customer: ${selectedQboCustomer.DisplayName} (ID: ${selectedQboCustomer.Id})`);
+        } else {
+          // Multiple matching customers found, ask user to select one
+          let customerOptions = '';
+          qboCustomers.forEach((customer, index) => {
+            customerOptions += `${index + 1}: ${customer.DisplayName}\n`;
+          });
+
+          const selectedIndex = prompt(
+            `Multiple matching customers found in QuickBooks. Please enter the number of the correct customer:\n\n${customerOptions}`,
+            '1'
+          );
+
+          if (!selectedIndex || isNaN(parseInt(selectedIndex)) || parseInt(selectedIndex) < 1 || parseInt(selectedIndex) > qboCustomers.length) {
+            alert('Invalid selection. Invoice creation cancelled.');
+            return;
+          }
+
+          selectedQboCustomer = qboCustomers[parseInt(selectedIndex) - 1];
+          console.log(`Selected QBO customer: ${selectedQboCustomer.DisplayName} (ID: ${selectedQboCustomer.Id})`);
+        }
+
+        await rememberCustomerMapping(customerId, selectedQboCustomer);
       }
 
       // Filter out records that are already invoiced
@@ -277,41 +314,25 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
         return;
       }
 
-      // Extract record IDs for backend API
-      const recordIds = recordsToInvoice.map(record => record.id);
-
-      setProcessingMilestone('Creating invoice...');
+      setProcessingMilestone('Creating draft...');
 
-      // Call new backend endpoint to create invoice from records
-      // Backend handles: payload generation, QB invoice creation, marking records billed, email sending
-      console.log(`Creating invoice for ${recordIds.length} records using backend API`);
-      const invoiceData = {
-        record_ids: recordIds,
-        customer_qb_id: selectedQboCustomer.Id,
-        send_email: true, // Request email to be sent
-        due_date: null // Let backend calculate default due date
-      };
-
-      const result = await createInvoiceFromRecords(invoiceData);
-
-      // Check for success
-      if (!result.success) {
-        throw new Error(result.detail || result.error || 'Failed to create invoice');
-      }
-
-      const invoiceInfo = result.data;
-      console.log('Invoice created successfully:', invoiceInfo);
+      // Records already waiting on another draft are skipped by the service
+      console.log(`Creating invoice draft for ${recordsToInvoice.length} records`);
+      const draft = await createInvoiceDraftFromRecords(recordsToInvoice, selectedQboCustomer, {
+        organizationId: user?.supabaseOrgID,
+        rules: loadInvoiceRules(user?.supabaseOrgID)
+      });
+      console.log('Invoice draft created:', draft);
 
-      // Show success message with invoice details
-      const successMessage = `Invoice ${invoiceInfo.invoice_number} created successfully!\n\n` +
-        `Invoice ID: ${invoiceInfo.invoice_id}\n` +
-        `Total Amount: $${invoiceInfo.total_amount.toFixed(2)}\n` +
-        `Records Billed: ${invoiceInfo.records_billed}\n` +
-        `Email sent to customer.`;
+      // Show success message with draft details
+      const successMessage = `Invoice draft ${draft.doc_number} created.\n\n` +
+        `Lines: ${draft.lines.length}\n` +
+        `Total Amount: $${getInvoiceDraftTotal(draft).toFixed(2)}\n\n` +
+        `Review and approve it in the Invoice Review tab to send it to QuickBooks.`;
 
       alert(successMessage);
 
-      // Refresh the data to show updated invoice status
+      // Refresh the data so the records show as drafted
       if (typeof onRefresh === 'function') {
         onRefresh();
       } else {
@@ -320,7 +341,7 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
       }
 
     } catch (error) {
-      console.error('Error creating invoice:', error);
+      console.error('Error creating invoice draft:', error);
 
       // Extract meaningful error message
       let errorMessage = 'Unknown error occurred';
@@ -332,12 +353,12 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
         errorMessage = error.responseData.detail;
       }
 
-      alert(`Error creating invoice: ${errorMessage}`);
+      alert(`Error creating invoice draft: ${errorMessage}`);
     } finally {
       setIsProcessing(false);
       setProcessingMilestone('');
     }
-  }, [records, onRefresh, searchQBOCustomerAdvanced]);
+  }, [records, onRefresh, searchQBOCustomerAdvanced, rememberCustomerMapping, user?.supabaseOrgID]);
   
   // Handle creating a customer in QBO
   const handleCreateCustomer = async (customerData) => {
@@ -356,6 +377,7 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
       
 
       console.log(`Customer created in QBO with ID: ${qboCustomerId}`);
+      await rememberCustomerMapping(records[0]?.customer_id, result.customer);
       
       // Close the modal
       setShowCreateCustomerModal(false);
@@ -394,7 +416,7 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
             backgroundColor: '#2CA01C',
             whiteSpace: 'nowrap'
           }}
-          title="Create QuickBooks Online Invoice"
+          title="Create QuickBooks Online invoice draft for review"
           disabled={isProcessing}
         >
           {isProcessing ? (processingMilestone || 'Processing...') : 'qb'}
@@ -530,15 +552,18 @@ function CustomerSalesTable({ records, onEditRecord, darkMode = false, onRefresh
                       {formatCurrency(group.total_price)}
                     </td>
                     <td className="px-4 py-3 text-sm text-center">
-                      {/* Status: If all records invoiced, show Invoiced, else Uninvoiced */}
-                      <span className={`
-                        inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
-                        ${group.records.every(r => r.inv_id !== null)
-                          ? (darkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800')
-                          : (darkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800')}
-                      `}>
-                        {group.records.every(r => r.inv_id !== null) ? 'Invoiced' : 'Uninvoiced'}
-                      </span>
+                      {/* Status: Uninvoiced until all records are invoiced, then their payment status */}
+                      {(() => {
+                        const badge = BILLING_STATUS_BADGES[getRecordsPaymentStatus(group.records)];
+                        return (
+                          <span className={`
+                            inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
+                            ${darkMode ? badge.dark : badge.light}
+                          `}>
+                            {badge.label}
+                          </span>
+                        );
+                      })()}
                     </td>
                     <td className="px-4 py-3 text-sm text-center">
                       {/* Edit action disabled for summary rows */}
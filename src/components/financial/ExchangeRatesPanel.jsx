@@ -0,0 +1,301 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import { saveExchangeRates, deleteExchangeRate } from '../../api/exchangeRates';
+import {
+  SUPPORTED_CURRENCIES,
+  validateExchangeRate,
+  parseExchangeRatesCsv
+} from '../../services/currencyService';
+
+/**
+ * Gets today's date as YYYY-MM-DD
+ * @returns {string} Today's date
+ */
+const getToday = () => {
+  const today = new Date();
+  return [
+    today.getFullYear(),
+    String(today.getMonth() + 1).padStart(2, '0'),
+    String(today.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * ExchangeRatesPanel component for the home currency and exchange rate table
+ *
+ * Financial totals and charts are reported in the home currency. Sales billed in another
+ * currency are converted with the rate stored when they were invoiced, or with the latest rate
+ * in this table on or before the sale date.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {string} props.homeCurrency - Currency totals are reported in
+ * @param {Array} props.rates - Exchange rates
+ * @param {Function} props.onHomeCurrencyChange - Called with the new home currency
+ * @param {Function} props.onRatesChanged - Called after rates are added, imported or deleted
+ * @returns {JSX.Element} Exchange Rates Panel component
+ */
+function ExchangeRatesPanel({ darkMode = false, homeCurrency, rates = [], onHomeCurrencyChange, onRatesChanged }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+
+  // Access control - admin only
+  const isAdmin = user?.role === 'admin' || user?.role === 'owner';
+
+  const [newRate, setNewRate] = useState(() => ({
+    base_currency: SUPPORTED_CURRENCIES.find(currency => currency !== homeCurrency),
+    rate: '',
+    effective_date: getToday()
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const saveRates = useCallback(async (ratesToSave, successMessage) => {
+    setIsSaving(true);
+    try {
+      await saveExchangeRates(user?.supabaseOrgID, ratesToSave);
+      showSuccess(successMessage);
+      if (typeof onRatesChanged === 'function') {
+        onRatesChanged();
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving exchange rates:', error);
+      showError(error.message || 'Failed to save exchange rates');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  }, [user?.supabaseOrgID, onRatesChanged, showError, showSuccess]);
+
+  const handleAddRate = useCallback(async (e) => {
+    e.preventDefault();
+    const rate = {
+      ...newRate,
+      quote_currency: homeCurrency,
+      rate: Number(newRate.rate),
+      source: 'manual'
+    };
+
+    const errors = validateExchangeRate(rate);
+    if (errors.length > 0) {
+      showError(errors.join(', '));
+      return;
+    }
+
+    if (await saveRates([rate], `Saved 1 ${rate.base_currency} = ${rate.rate} ${rate.quote_currency}`)) {
+      setNewRate(prev => ({ ...prev, rate: '' }));
+    }
+  }, [newRate, homeCurrency, saveRates, showError]);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { rates: parsedRates, errors } = parseExchangeRatesCsv(await file.text(), homeCurrency);
+    setImportErrors(errors);
+    if (parsedRates.length === 0) {
+      showError(errors[0] || 'No exchange rates found in the file');
+      return;
+    }
+
+    await saveRates(parsedRates, `Imported ${parsedRates.length} exchange rate${parsedRates.length === 1 ? '' : 's'}`);
+  }, [homeCurrency, saveRates, showError]);
+
+  const handleDelete = useCallback(async (rate) => {
+    setIsSaving(true);
+    try {
+      await deleteExchangeRate(rate.id);
+      if (typeof onRatesChanged === 'function') {
+        onRatesChanged();
+      }
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      showError(error.message || 'Failed to delete exchange rate');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [onRatesChanged, showError]);
+
+  if (!isAdmin) {
+    return (
+      <div className={`
+        p-4 rounded-lg border
+        ${darkMode ? 'bg-yellow-900 bg-opacity-30 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}
+      `}>
+        <p className={`text-sm font-medium ${darkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+          Access Restricted
+        </p>
+        <p className={`text-xs mt-1 ${darkMode ? 'text-yellow-300' : 'text-yellow-600'}`}>
+          Exchange rates are only accessible to administrators and organization owners.
+        </p>
+      </div>
+    );
+  }
+
+  const inputClass = `
+    px-3 py-2 rounded-lg border text-sm
+    ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+  `;
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="mb-6">
+        <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+          Exchange Rates
+        </h3>
+        <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Totals and charts are reported in the home currency. Invoiced sales keep the rate of the day they
+          were invoiced; other sales use the latest rate on or before their date.
+        </p>
+      </div>
+
+      <div className="mb-6">
+        <label htmlFor="home-currency" className={labelClass}>
+          Home currency
+        </label>
+        <select
+          id="home-currency"
+          value={homeCurrency}
+          onChange={(e) => onHomeCurrencyChange(e.target.value)}
+          className={inputClass}
+        >
+          {SUPPORTED_CURRENCIES.map(currency => (
+            <option key={currency} value={currency}>{currency}</option>
+          ))}
+        </select>
+      </div>
+
+      <form onSubmit={handleAddRate} className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="exchange-rate-currency" className={labelClass}>
+            Currency
+          </label>
+          <select
+            id="exchange-rate-currency"
+            value={newRate.base_currency}
+            onChange={(e) => setNewRate(prev => ({ ...prev, base_currency: e.target.value }))}
+            className={inputClass}
+          >
+            {SUPPORTED_CURRENCIES.filter(currency => currency !== homeCurrency).map(currency => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="exchange-rate-value" className={labelClass}>
+            Rate (in {homeCurrency})
+          </label>
+          <input
+            id="exchange-rate-value"
+            type="number"
+            min="0"
+            step="0.0001"
+            value={newRate.rate}
+            onChange={(e) => setNewRate(prev => ({ ...prev, rate: e.target.value }))}
+            className={`w-32 ${inputClass}`}
+          />
+        </div>
+        <div>
+          <label htmlFor="exchange-rate-date" className={labelClass}>
+            Effective date
+          </label>
+          <input
+            id="exchange-rate-date"
+            type="date"
+            value={newRate.effective_date}
+            onChange={(e) => setNewRate(prev => ({ ...prev, effective_date: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving || !newRate.rate}
+          className={`
+            px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+            ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+          `}
+        >
+          Add Rate
+        </button>
+        <label className={`
+          px-4 py-2 rounded-lg font-medium transition-colors cursor-pointer
+          ${darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}
+        `}>
+          Import CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImport}
+            disabled={isSaving}
+            className="hidden"
+          />
+        </label>
+      </form>
+
+      <p className={`text-xs mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        CSV columns: date, currency, rate and optionally home_currency, e.g. <code>2026-10-01,USD,1.3650</code>
+      </p>
+
+      {importErrors.length > 0 && (
+        <ul className="mb-4 text-xs text-red-500 list-disc list-inside">
+          {importErrors.map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      {rates.length === 0 ? (
+        <div className={`text-sm py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          No exchange rates yet.
+        </div>
+      ) : (
+        <table className={`min-w-full text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          <thead>
+            <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+              <th className="text-left font-medium py-1">Effective date</th>
+              <th className="text-left font-medium py-1">Rate</th>
+              <th className="text-left font-medium py-1">Source</th>
+              <th className="py-1 w-20" />
+            </tr>
+          </thead>
+          <tbody>
+            {rates.map(rate => (
+              <tr key={rate.id} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+                <td className="py-1">{rate.effective_date}</td>
+                <td className="py-1">1 {rate.base_currency} = {Number(rate.rate).toFixed(4)} {rate.quote_currency}</td>
+                <td className="py-1">{rate.source === 'csv' ? 'CSV import' : 'Manual'}</td>
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => handleDelete(rate)}
+                    disabled={isSaving}
+                    className="text-xs text-red-500 hover:text-red-600 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+ExchangeRatesPanel.propTypes = {
+  darkMode: PropTypes.bool,
+  homeCurrency: PropTypes.string.isRequired,
+  rates: PropTypes.array,
+  onHomeCurrencyChange: PropTypes.func.isRequired,
+  onRatesChanged: PropTypes.func
+};
+
+export default React.memo(ExchangeRatesPanel);
@@ -11,6 +11,14 @@ import FinancialSyncPanel from './FinancialSyncPanel';
 import QuickBooksConnectionPanel from './QuickBooksConnectionPanel';
 import QuickBooksSyncPanel from './QuickBooksSyncPanel';
 import QuickBooksConfigPanel from './QuickBooksConfigPanel';
+import BillingRoundingPanel from './BillingRoundingPanel';
+import InvoiceReviewQueue from './InvoiceReviewQueue';
+import SubscriptionBillingPanel from './SubscriptionBillingPanel';
+import ARAgingReport from './ARAgingReport';
+import ExchangeRatesPanel from './ExchangeRatesPanel';
+import CustomerReconciliationPanel from './CustomerReconciliationPanel';
+import RevenueForecastPanel from './RevenueForecastPanel';
+import { convertRecordsToCurrency } from '../../services/currencyService';
 
 /**
  * Financial Activity component for displaying sales data
@@ -42,7 +50,11 @@ function FinancialActivity({ darkMode = false }) {
     selectedMonth,
     selectedMonthRecords,
     monthlyTotals,
+    homeCurrency,
+    exchangeRates,
     changeTimeframe,
+    changeHomeCurrency,
+    refreshExchangeRates,
     selectCustomer,
     selectProject,
     selectMonth,
@@ -113,11 +125,11 @@ function FinancialActivity({ darkMode = false }) {
     }
   }, [fetchData]);
 
-  // Format currency for display
+  // Format currency for display (totals are in the home currency)
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', { 
       style: 'currency', 
-      currency: 'USD' 
+      currency: homeCurrency || 'USD'
     }).format(amount);
   };
 
@@ -151,6 +163,12 @@ function FinancialActivity({ darkMode = false }) {
             {activeTab === 'activity' && !loading && totals && (
               <div className={`mt-1 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                 Total: {formatCurrency(totals.totalAmount)}
+                {totals.unconvertedCount > 0 && (
+                  <span className="ml-2 text-orange-500">
+                    ({totals.unconvertedCount} record{totals.unconvertedCount === 1 ? '' : 's'} without
+                    an exchange rate to {homeCurrency} not included)
+                  </span>
+                )}
               </div>
             )}
           </div>
@@ -173,7 +191,14 @@ function FinancialActivity({ darkMode = false }) {
             { id: 'sync', label: 'Data Synchronization' },
             { id: 'quickbooks', label: 'QuickBooks Connection' },
             { id: 'invoice-sync', label: 'Invoice Sync' },
-            { id: 'qb-config', label: 'QuickBooks Config' }
+            { id: 'invoice-drafts', label: 'Invoice Review' },
+            { id: 'subscription-billing', label: 'Subscription Billing' },
+            { id: 'ar-aging', label: 'A/R Aging' },
+            { id: 'revenue-forecast', label: 'Revenue Forecast' },
+            { id: 'customer-reconciliation', label: 'Customer Reconciliation' },
+            { id: 'qb-config', label: 'QuickBooks Config' },
+            { id: 'billing-rounding', label: 'Billing Rounding' },
+            { id: 'exchange-rates', label: 'Exchange Rates' }
           ].map((tab) => (
             <button
               key={tab.id}
@@ -243,7 +268,8 @@ function FinancialActivity({ darkMode = false }) {
                   <div>
                     <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>Total:</span>{' '}
                     <span className={darkMode ? 'text-white' : 'text-gray-900'}>
-                      {formatCurrency(selectedMonthRecords.reduce((sum, record) => sum + (record.total_price || 0), 0))}
+                      {formatCurrency(convertRecordsToCurrency(selectedMonthRecords, { homeCurrency, rates: exchangeRates })
+                        .records.reduce((sum, record) => sum + (record.total_price || 0), 0))}
                     </span>
                   </div>
                 </div>
@@ -274,6 +300,7 @@ function FinancialActivity({ darkMode = false }) {
                     timeframe={timeframe}
                     onMonthClick={handleChartMonthClick}
                     darkMode={darkMode}
+                    currency={homeCurrency}
                   />
                 )}
               </div>
@@ -381,12 +408,70 @@ function FinancialActivity({ darkMode = false }) {
           />
         )}
 
+        {/* Invoice Review Tab Content */}
+        {activeTab === 'invoice-drafts' && (
+          <InvoiceReviewQueue
+            darkMode={darkMode}
+            onSubmitted={fetchData}
+          />
+        )}
+
+        {/* Subscription Billing Tab Content */}
+        {activeTab === 'subscription-billing' && (
+          <SubscriptionBillingPanel
+            darkMode={darkMode}
+            onBilled={fetchData}
+          />
+        )}
+
+        {/* A/R Aging Tab Content */}
+        {activeTab === 'ar-aging' && (
+          <ARAgingReport
+            darkMode={darkMode}
+            onPaymentsSynced={fetchData}
+          />
+        )}
+
+        {/* Revenue Forecast Tab Content */}
+        {activeTab === 'revenue-forecast' && (
+          <RevenueForecastPanel
+            darkMode={darkMode}
+            homeCurrency={homeCurrency}
+            exchangeRates={exchangeRates}
+          />
+        )}
+
+        {/* Customer Reconciliation Tab Content */}
+        {activeTab === 'customer-reconciliation' && (
+          <CustomerReconciliationPanel
+            darkMode={darkMode}
+          />
+        )}
+
         {/* QuickBooks Config Tab Content */}
         {activeTab === 'qb-config' && (
           <QuickBooksConfigPanel
             darkMode={darkMode}
           />
         )}
+
+        {/* Billing Rounding Tab Content */}
+        {activeTab === 'billing-rounding' && (
+          <BillingRoundingPanel
+            darkMode={darkMode}
+          />
+        )}
+
+        {/* Exchange Rates Tab Content */}
+        {activeTab === 'exchange-rates' && (
+          <ExchangeRatesPanel
+            darkMode={darkMode}
+            homeCurrency={homeCurrency}
+            rates={exchangeRates}
+            onHomeCurrencyChange={changeHomeCurrency}
+            onRatesChanged={refreshExchangeRates}
+          />
+        )}
       </div>
       
       {/* Edit modal */}
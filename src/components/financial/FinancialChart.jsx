@@ -34,9 +34,10 @@ ChartJS.register(
  * @param {string} props.timeframe - Current timeframe
  * @param {function} props.onMonthClick - Function to call when a month is clicked on the line chart
  * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {string} props.currency - Currency code amounts are in
  * @returns {JSX.Element} Financial chart component
  */
-function FinancialChart({ data, timeframe, onMonthClick, darkMode = false }) {
+function FinancialChart({ data, timeframe, onMonthClick, darkMode = false, currency = 'USD' }) {
   const isLineChart = timeframe === 'thisQuarter' || timeframe === 'thisYear';
 
   // Check if data contains aggregated data (billed/unbilled breakdown)
@@ -79,7 +80,7 @@ function FinancialChart({ data, timeframe, onMonthClick, darkMode = false }) {
             if (context.parsed.y !== null) {
               label += new Intl.NumberFormat('en-US', {
                 style: 'currency',
-                currency: 'USD'
+                currency
               }).format(context.parsed.y);
             }
             return label;
@@ -107,7 +108,7 @@ function FinancialChart({ data, timeframe, onMonthClick, darkMode = false }) {
           callback: function(value) {
             return new Intl.NumberFormat('en-US', {
               style: 'currency',
-              currency: 'USD',
+              currency,
               maximumFractionDigits: 0
             }).format(value);
           }
@@ -163,7 +164,8 @@ FinancialChart.propTypes = {
   }).isRequired,
   timeframe: PropTypes.string.isRequired,
   onMonthClick: PropTypes.func.isRequired,
-  darkMode: PropTypes.bool
+  darkMode: PropTypes.bool,
+  currency: PropTypes.string
 };
 
 export default React.memo(FinancialChart);
\ No newline at end of file
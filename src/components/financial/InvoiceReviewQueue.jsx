@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+  INVOICE_DRAFT_STATUSES,
+  loadInvoiceReviewQueue,
+  saveInvoiceDraftChanges,
+  mergeInvoiceDrafts,
+  splitInvoiceDraft,
+  approveInvoiceDraft,
+  returnInvoiceDraftToReview,
+  discardInvoiceDraft,
+  submitInvoiceDraft,
+  validateInvoiceDraft,
+  updateInvoiceDraftLine,
+  getInvoiceDraftTotal
+} from '../../services/invoiceDraftService';
+
+// Format currency for display
+const formatCurrency = (amount, currency = 'CAD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(amount || 0);
+
+const inputClassName = (darkMode) => `
+  w-full px-2 py-1 border rounded text-sm
+  ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+  disabled:opacity-50 disabled:cursor-not-allowed
+`;
+
+const buttonClassName = (darkMode, primary = false) => `
+  px-3 py-1 text-xs font-medium rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+  ${primary
+    ? (darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700')
+    : (darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+`;
+
+// Editor for one draft's details and lines
+const DraftEditor = React.memo(function DraftEditor({ draft, otherDrafts, darkMode, isBusy, onSave, onSplit }) {
+  const [edited, setEdited] = useState(draft);
+  const [splitLineIds, setSplitLineIds] = useState([]);
+  const isEditable = draft.status === INVOICE_DRAFT_STATUSES.DRAFT;
+  const currency = draft.qbo_customer?.currency || 'CAD';
+
+  useEffect(() => {
+    setEdited(draft);
+    setSplitLineIds([]);
+  }, [draft]);
+
+  const validation = useMemo(() => validateInvoiceDraft(edited, otherDrafts), [edited, otherDrafts]);
+  const hasChanges = JSON.stringify(edited) !== JSON.stringify(draft);
+
+  const handleFieldChange = (field, value) => {
+    setEdited(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleLineChange = (lineId, field, value) => {
+    setEdited(prev => ({
+      ...prev,
+      lines: prev.lines.map(line => (line.id === lineId ? updateInvoiceDraftLine(line, { [field]: value }) : line))
+    }));
+  };
+
+  const handleRemoveLine = (lineId) => {
+    setEdited(prev => ({ ...prev, lines: prev.lines.filter(line => line.id !== lineId) }));
+  };
+
+  const toggleSplitLine = (lineId) => {
+    setSplitLineIds(prev => (prev.includes(lineId) ? prev.filter(id => id !== lineId) : [...prev, lineId]));
+  };
+
+  const labelClassName = `block text-xs font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const disabled = !isEditable || isBusy;
+
+  return (
+    <div className={`p-4 border-t space-y-4 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className={labelClassName}>DocNumber</label>
+          <input
+            type="text"
+            value={edited.doc_number || ''}
+            onChange={(e) => handleFieldChange('doc_number', e.target.value)}
+            disabled={disabled}
+            className={inputClassName(darkMode)}
+          />
+        </div>
+        <div>
+          <label className={labelClassName}>Due Date</label>
+          <input
+            type="date"
+            value={edited.due_date || ''}
+            onChange={(e) => handleFieldChange('due_date', e.target.value)}
+            disabled={disabled}
+            className={inputClassName(darkMode)}
+          />
+        </div>
+        <div className="flex items-end">
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={!!edited.send_email}
+              onChange={(e) => handleFieldChange('send_email', e.target.checked)}
+              disabled={disabled}
+              className="mr-2"
+            />
+            Email invoice to {edited.qbo_customer?.email || 'customer'}
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClassName}>Memo</label>
+        <textarea
+          value={edited.memo || ''}
+          onChange={(e) => handleFieldChange('memo', e.target.value)}
+          disabled={disabled}
+          rows={2}
+          className={inputClassName(darkMode)}
+        />
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+            {isEditable && <th className="w-8" title="Select lines to split into a new draft"></th>}
+            <th className="text-left font-medium py-1">Description</th>
+            <th className="text-right font-medium py-1 w-24">Qty</th>
+            <th className="text-right font-medium py-1 w-28">Unit Price</th>
+            <th className="text-right font-medium py-1 w-28">Amount</th>
+            <th className="text-right font-medium py-1 w-20">Records</th>
+            {isEditable && <th className="w-8"></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {edited.lines.map(line => (
+            <tr key={line.id}>
+              {isEditable && (
+                <td className="py-1">
+                  <input
+                    type="checkbox"
+                    checked={splitLineIds.includes(line.id)}
+                    onChange={() => toggleSplitLine(line.id)}
+                    disabled={isBusy}
+                    aria-label="Select line to split"
+                  />
+                </td>
+              )}
+              <td className="py-1 pr-2">
+                <input
+                  type="text"
+                  value={line.description}
+                  onChange={(e) => handleLineChange(line.id, 'description', e.target.value)}
+                  disabled={disabled}
+                  className={inputClassName(darkMode)}
+                />
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={line.quantity}
+                  onChange={(e) => handleLineChange(line.id, 'quantity', parseFloat(e.target.value) || 0)}
+                  disabled={disabled}
+                  className={`${inputClassName(darkMode)} text-right`}
+                />
+              </td>
+              <td className="py-1 pr-2">
+                <input
+                  type="number"
+                  step="0.01"
+                  value={line.unit_price}
+                  onChange={(e) => handleLineChange(line.id, 'unit_price', parseFloat(e.target.value) || 0)}
+                  disabled={disabled}
+                  className={`${inputClassName(darkMode)} text-right`}
+                />
+              </td>
+              <td className="py-1 text-right">{formatCurrency(line.amount, currency)}</td>
+              <td className="py-1 text-right">{(line.record_ids || []).length}</td>
+              {isEditable && (
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => handleRemoveLine(line.id)}
+                    disabled={isBusy}
+                    className="text-red-500 hover:text-red-700"
+                    title="Remove line (its sales records return to uninvoiced)"
+                  >
+                    ×
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!validation.isValid && (
+        <ul className="text-xs text-red-500 list-disc pl-4">
+          {validation.errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {isEditable && (
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => onSplit(draft, splitLineIds)}
+            disabled={isBusy || hasChanges || splitLineIds.length === 0}
+            className={buttonClassName(darkMode)}
+            title={hasChanges ? 'Save changes before splitting' : 'Move the selected lines to a new draft'}
+          >
+            Split Selected Lines
+          </button>
+          <button
+            onClick={() => setEdited(draft)}
+            disabled={isBusy || !hasChanges}
+            className={buttonClassName(darkMode)}
+          >
+            Reset
+          </button>
+          <button
+            onClick={() => onSave(draft, edited)}
+            disabled={isBusy || !hasChanges}
+            className={buttonClassName(darkMode, true)}
+          >
+            Save Draft
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+DraftEditor.propTypes = {
+  draft: PropTypes.object.isRequired,
+  otherDrafts: PropTypes.array.isRequired,
+  darkMode: PropTypes.bool,
+  isBusy: PropTypes.bool,
+  onSave: PropTypes.func.isRequired,
+  onSplit: PropTypes.func.isRequired
+};
+
+/**
+ * InvoiceReviewQueue component for reviewing invoice drafts before they go to QuickBooks
+ *
+ * Drafts are created from the Sales Lines table. Accountants edit lines, memo, due date and
+ * DocNumber, merge or split drafts, approve them, and submit approved drafts to QuickBooks.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {function} [props.onSubmitted] - Called after an invoice is created so sales data can refresh
+ * @returns {JSX.Element} Invoice review queue component
+ */
+function InvoiceReviewQueue({ darkMode = false, onSubmitted }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+  const [drafts, setDrafts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyDraftId, setBusyDraftId] = useState(null);
+  const [expandedDraftId, setExpandedDraftId] = useState(null);
+  const [selectedDraftIds, setSelectedDraftIds] = useState([]);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setDrafts(await loadInvoiceReviewQueue());
+      setSelectedDraftIds([]);
+    } catch (error) {
+      console.error('Error loading invoice drafts:', error);
+      showError('Failed to load invoice drafts');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Runs one draft operation, then reloads the queue
+  const runAction = useCallback(async (draftId, action, successMessage) => {
+    setBusyDraftId(draftId);
+    try {
+      const result = await action();
+      showSuccess(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      await refresh();
+      return result;
+    } catch (error) {
+      console.error('Invoice draft action failed:', error);
+      showError(error.message || 'Invoice draft action failed');
+      return null;
+    } finally {
+      setBusyDraftId(null);
+    }
+  }, [refresh, showError, showSuccess]);
+
+  const handleSave = useCallback((draft, edited) => runAction(
+    draft.id,
+    () => saveInvoiceDraftChanges(draft, edited),
+    'Draft saved'
+  ), [runAction]);
+
+  const handleSplit = useCallback((draft, lineIds) => runAction(
+    draft.id,
+    () => splitInvoiceDraft(draft, lineIds),
+    'Lines moved to a new draft - give it a DocNumber before approving'
+  ), [runAction]);
+
+  const handleApprove = useCallback((draft) => runAction(
+    draft.id,
+    () => approveInvoiceDraft(draft, drafts, user?.userID || null),
+    `Draft ${draft.doc_number} approved`
+  ), [runAction, drafts, user?.userID]);
+
+  const handleReturn = useCallback((draft) => runAction(
+    draft.id,
+    () => returnInvoiceDraftToReview(draft),
+    `Draft ${draft.doc_number} returned to review`
+  ), [runAction]);
+
+  const handleDiscard = useCallback((draft) => {
+    if (!window.confirm(`Discard draft ${draft.doc_number || ''}? Its sales records will return to uninvoiced.`)) {
+      return;
+    }
+    runAction(draft.id, () => discardInvoiceDraft(draft), 'Draft discarded');
+  }, [runAction]);
+
+  const handleSubmit = useCallback(async (draft) => {
+    const result = await runAction(
+      draft.id,
+      () => submitInvoiceDraft(draft, user?.supabaseOrgID),
+      ({ invoiceId, emailSent }) => `Invoice ${draft.doc_number} created in QuickBooks (ID ${invoiceId})${emailSent ? ' and emailed' : ''}`
+    );
+    if (result && typeof onSubmitted === 'function') {
+      onSubmitted();
+    }
+  }, [runAction, onSubmitted, user?.supabaseOrgID]);
+
+  const handleMerge = useCallback(() => {
+    const selected = drafts.filter(draft => selectedDraftIds.includes(draft.id));
+    runAction('merge', () => mergeInvoiceDrafts(selected), `Merged ${selected.length} drafts`);
+  }, [drafts, selectedDraftIds, runAction]);
+
+  const toggleSelected = (draftId) => {
+    setSelectedDraftIds(prev => (prev.includes(draftId) ? prev.filter(id => id !== draftId) : [...prev, draftId]));
+  };
+
+  const isBusy = busyDraftId !== null;
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            Invoice Review
+          </h3>
+          <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            Review and approve invoice drafts. Only approved drafts are sent to QuickBooks.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleMerge}
+            disabled={isBusy || selectedDraftIds.length < 2}
+            className={buttonClassName(darkMode)}
+            title="Combine the selected drafts for the same customer"
+          >
+            Merge Selected
+          </button>
+          <button onClick={refresh} disabled={isLoading || isBusy} className={buttonClassName(darkMode)}>
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {!isLoading && drafts.length === 0 ? (
+        <div className={`text-center py-8 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          No invoice drafts waiting for review. Create one from a customer&apos;s sales lines.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {drafts.map(draft => {
+            const isApproved = draft.status === INVOICE_DRAFT_STATUSES.APPROVED;
+            const isExpanded = expandedDraftId === draft.id;
+            return (
+              <div
+                key={draft.id}
+                className={`rounded-lg border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+                data-testid={`invoice-draft-${draft.id}`}
+              >
+                <div className="flex items-center justify-between p-4">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={selectedDraftIds.includes(draft.id)}
+                      onChange={() => toggleSelected(draft.id)}
+                      disabled={isApproved || isBusy}
+                      aria-label="Select draft to merge"
+                    />
+                    <button
+                      onClick={() => setExpandedDraftId(isExpanded ? null : draft.id)}
+                      className="text-left min-w-0"
+                    >
+                      <div className="font-medium truncate">
+                        {draft.doc_number || 'No DocNumber'} · {draft.qbo_customer?.name || 'Unknown customer'}
+                      </div>
+                      <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {draft.lines?.length || 0} lines · Due {draft.due_date || 'not set'}
+                      </div>
+                    </button>
+                  </div>
+                  <div className="flex items-center space-x-3 shrink-0">
+                    <span className="text-sm font-medium">
+                      {formatCurrency(getInvoiceDraftTotal(draft), draft.qbo_customer?.currency)}
+                    </span>
+                    <span className={`
+                      px-2 py-0.5 rounded-full text-xs font-medium
+                      ${isApproved
+                        ? (darkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800')
+                        : (darkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800')}
+                    `}>
+                      {isApproved ? 'Approved' : 'Draft'}
+                    </span>
+                    {isApproved ? (
+                      <>
+                        <button onClick={() => handleReturn(draft)} disabled={isBusy} className={buttonClassName(darkMode)}>
+                          Return to Review
+                        </button>
+                        <button onClick={() => handleSubmit(draft)} disabled={isBusy} className={buttonClassName(darkMode, true)}>
+                          {busyDraftId === draft.id ? 'Submitting...' : 'Send to QuickBooks'}
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => handleDiscard(draft)} disabled={isBusy} className={buttonClassName(darkMode)}>
+                          Discard
+                        </button>
+                        <button onClick={() => handleApprove(draft)} disabled={isBusy} className={buttonClassName(darkMode, true)}>
+                          Approve
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                {isExpanded && (
+                  <DraftEditor
+                    draft={draft}
+                    otherDrafts={drafts}
+                    darkMode={darkMode}
+                    isBusy={isBusy}
+                    onSave={handleSave}
+                    onSplit={handleSplit}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+InvoiceReviewQueue.propTypes = {
+  darkMode: PropTypes.bool,
+  onSubmitted: PropTypes.func
+};
+
+export default React.memo(InvoiceReviewQueue);
@@ -0,0 +1,261 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import {
+  getRecordInvoiceId,
+  getRemainingCredit,
+  buildFullCredit,
+  validateInvoiceCredit,
+  createInvoiceCredit
+} from '../../services/invoiceAdjustmentService';
+
+/**
+ * Modal component for crediting a QuickBooks invoice
+ * Credits the whole invoice or an amount per sale; QuickBooks gets a credit memo which is applied
+ * to the invoice's balance.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.records - Sales records billed on the invoice
+ * @param {string} [props.initialSaleId] - Sale to prefill with its remaining amount
+ * @param {function} props.onClose - Function to call when modal is closed
+ * @param {function} props.onCredited - Function to call with the result after the credit is issued
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @returns {JSX.Element} Issue credit modal component
+ */
+function IssueCreditModal({ records, initialSaleId = null, onClose, onCredited, darkMode = false }) {
+  const { user } = useAppState();
+  const invoiceId = getRecordInvoiceId(records[0]);
+
+  const [amounts, setAmounts] = useState(() => Object.fromEntries(records.map(record => [
+    record.id,
+    record.id === initialSaleId ? String(getRemainingCredit(record)) : ''
+  ])));
+  const [creditWholeInvoice, setCreditWholeInvoice] = useState(false);
+  const [reason, setReason] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const credits = useMemo(() => (creditWholeInvoice
+    ? buildFullCredit(records)
+    : records.map(record => ({ saleId: record.id, amount: Number(amounts[record.id]) || 0 }))
+  ), [creditWholeInvoice, records, amounts]);
+
+  const creditTotal = credits.reduce((sum, credit) => sum + credit.amount, 0);
+
+  // Format currency for display
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateInvoiceCredit(records, credits, reason);
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setIsSaving(true);
+    setErrors([]);
+    try {
+      const result = await createInvoiceCredit({
+        organizationId: user?.supabaseOrgID,
+        records,
+        credits,
+        reason,
+        userId: user?.supabaseUserID || null
+      });
+      onCredited(result);
+    } catch (error) {
+      console.error('[IssueCreditModal] Credit error:', error);
+      setErrors([error.message || 'Failed to issue credit']);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Handle modal backdrop click
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const inputClass = `
+    block w-full rounded-md px-3 py-2 text-sm border
+    ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+  `;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center"
+      onClick={handleBackdropClick}
+    >
+      <div
+        className={`
+          relative w-full max-w-lg p-6 rounded-lg shadow-xl
+          ${darkMode ? 'bg-gray-800' : 'bg-white'}
+        `}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className={`text-lg font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            Credit Invoice #{invoiceId}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className={`
+              rounded-md p-1 inline-flex items-center justify-center
+              ${darkMode
+                ? 'text-gray-400 hover:text-white hover:bg-gray-700'
+                : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'}
+            `}
+          >
+            <span className="sr-only">Close</span>
+            <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Error messages */}
+        {errors.length > 0 && (
+          <div className={`
+            mb-4 p-3 rounded-md
+            ${darkMode ? 'bg-red-900 bg-opacity-50 text-red-200' : 'bg-red-50 text-red-800'}
+          `}>
+            <ul className="list-disc pl-5 space-y-1">
+              {errors.map((error, index) => (
+                <li key={index} className="text-sm">{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="credit-whole-invoice"
+                checked={creditWholeInvoice}
+                onChange={(e) => setCreditWholeInvoice(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label
+                htmlFor="credit-whole-invoice"
+                className={`ml-2 block text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}
+              >
+                Credit everything left on these sales
+              </label>
+            </div>
+
+            <table className={`min-w-full text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <thead>
+                <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                  <th className="text-left font-medium py-1">Sale</th>
+                  <th className="text-right font-medium py-1">Creditable</th>
+                  <th className="text-right font-medium py-1 w-32">Credit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {records.map(record => (
+                  <tr key={record.id} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+                    <td className="py-2 pr-2">
+                      <div className="max-w-xs truncate" title={record.product_name}>
+                        {record.product_name || 'N/A'}
+                      </div>
+                      <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{record.date}</div>
+                    </td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      {formatCurrency(getRemainingCredit(record))}
+                    </td>
+                    <td className="py-2 pl-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        aria-label={`Credit for ${record.product_name || 'sale'}`}
+                        value={creditWholeInvoice ? String(getRemainingCredit(record)) : amounts[record.id]}
+                        disabled={creditWholeInvoice || getRemainingCredit(record) <= 0}
+                        onChange={(e) => setAmounts(prev => ({ ...prev, [record.id]: e.target.value }))}
+                        className={`text-right disabled:opacity-50 ${inputClass}`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div>
+              <label
+                htmlFor="credit-reason"
+                className={`block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}
+              >
+                Reason
+              </label>
+              <textarea
+                id="credit-reason"
+                rows={3}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Customer disputed 2 hours on the 14th"
+                className={inputClass}
+              />
+              <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Shown to the customer on the credit memo.
+              </p>
+            </div>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="mt-6 flex justify-between items-center">
+            <span className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+              Credit: {formatCurrency(creditTotal)}
+            </span>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className={`
+                  px-4 py-2 text-sm font-medium rounded-md
+                  ${darkMode
+                    ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}
+                `}
+                disabled={isSaving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className={`
+                  px-4 py-2 text-sm font-medium rounded-md bg-orange-600 text-white hover:bg-orange-700
+                  ${isSaving ? 'opacity-75 cursor-not-allowed' : ''}
+                `}
+                disabled={isSaving || creditTotal <= 0}
+              >
+                {isSaving ? 'Issuing...' : 'Issue Credit Memo'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+IssueCreditModal.propTypes = {
+  records: PropTypes.array.isRequired,
+  initialSaleId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onClose: PropTypes.func.isRequired,
+  onCredited: PropTypes.func.isRequired,
+  darkMode: PropTypes.bool
+};
+
+export default IssueCreditModal;
@@ -1,8 +1,45 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { useAppState } from '../../context/AppStateContext';
+import {
+  DEFAULT_INVOICE_RULES,
+  PAYMENT_TERMS_PRESETS,
+  TAX_PROVINCES,
+  previewInvoiceRules
+} from '../../services/invoiceRulesService';
 // import { getQuickBooksConfig, updateQuickBooksConfig } from '../../api/quickbooksApi';
 
+// Default configuration, including the default invoice rules
+const DEFAULT_CONFIG = {
+  // Tax Configuration
+  cad_tax_code: DEFAULT_INVOICE_RULES.cad_tax_code,
+  non_cad_tax_code: DEFAULT_INVOICE_RULES.non_cad_tax_code,
+  province_tax_codes: DEFAULT_INVOICE_RULES.province_tax_codes,
+  customer_tax_codes: DEFAULT_INVOICE_RULES.customer_tax_codes,
+
+  // Item/Service IDs by Currency
+  cad_item_id: '3',
+  cad_item_name: 'Development CAD',
+  usd_item_id: '7',
+  usd_item_name: 'Development USD',
+  eur_item_id: '8',
+  eur_item_name: 'Development EUR',
+
+  // Project Expenses
+  expense_account_id: '',
+  default_expense_markup: 0,
+
+  // Invoice Settings
+  default_currency: 'CAD',
+  default_payment_terms: DEFAULT_INVOICE_RULES.default_payment_terms,
+  default_email_delivery: true,
+  invoice_number_format: DEFAULT_INVOICE_RULES.invoice_number_format,
+
+  // Sync Settings
+  auto_sync_enabled: true,
+  sync_frequency_hours: 24
+};
+
 /**
  * QuickBooksConfigPanel component for managing organization-specific QuickBooks configuration
  *
@@ -18,10 +55,11 @@ import { useAppState } from '../../context/AppStateContext';
  *
  * Features:
  * - Admin-only access (requires admin role)
- * - Configure tax codes (CAD vs non-CAD)
+ * - Configure tax codes (CAD vs non-CAD, per province, per customer)
  * - Configure item IDs by currency (CAD, USD, EUR)
  * - Configure invoice number format
  * - Configure default payment terms
+ * - Preview the invoice number, due date and tax code the rules produce
  * - Configure email delivery defaults
  * - Auto-sync settings
  *
@@ -36,29 +74,7 @@ function QuickBooksConfigPanel({ darkMode = false }) {
   const isAdmin = user?.role === 'admin' || user?.role === 'owner';
 
   // Configuration state
-  const [config, setConfig] = useState({
-    // Tax Configuration
-    cad_tax_code: 4,
-    non_cad_tax_code: 3,
-
-    // Item/Service IDs by Currency
-    cad_item_id: '3',
-    cad_item_name: 'Development CAD',
-    usd_item_id: '7',
-    usd_item_name: 'Development USD',
-    eur_item_id: '8',
-    eur_item_name: 'Development EUR',
-
-    // Invoice Settings
-    default_currency: 'CAD',
-    default_payment_terms: 'Net 30',
-    default_email_delivery: true,
-    invoice_number_format: '{qboCustomerId}{YY}{MM}{NNN}',
-
-    // Sync Settings
-    auto_sync_enabled: true,
-    sync_frequency_hours: 24
-  });
+  const [config, setConfig] = useState(DEFAULT_CONFIG);
 
   // UI State
   const [isLoading, setIsLoading] = useState(true);
@@ -70,6 +86,12 @@ function QuickBooksConfigPanel({ darkMode = false }) {
   // Track initial config for change detection
   const [initialConfig, setInitialConfig] = useState(null);
 
+  // New per-customer tax code override
+  const [newCustomerTaxCode, setNewCustomerTaxCode] = useState({ customerId: '', taxCode: '' });
+
+  // Preview of the invoice rules for a sample CAD invoice dated today
+  const rulesPreview = useMemo(() => previewInvoiceRules(config), [config]);
+
   /**
    * Load configuration from backend (or localStorage for now)
    */
@@ -93,17 +115,18 @@ function QuickBooksConfigPanel({ darkMode = false }) {
 
       if (savedConfig) {
         try {
-          const parsedConfig = JSON.parse(savedConfig);
+          // Settings added since the config was saved keep their defaults
+          const parsedConfig = { ...DEFAULT_CONFIG, ...JSON.parse(savedConfig) };
           setConfig(parsedConfig);
           setInitialConfig(parsedConfig);
         } catch (parseError) {
           console.warn('Invalid QuickBooks config in localStorage, resetting to defaults.', parseError);
           localStorage.removeItem(storageKey);
-          setInitialConfig(config);
+          setInitialConfig(DEFAULT_CONFIG);
         }
       } else {
         // Use default config
-        setInitialConfig(config);
+        setInitialConfig(DEFAULT_CONFIG);
       }
     } catch (err) {
       console.error('Error loading QuickBooks configuration:', err);
@@ -111,7 +134,7 @@ function QuickBooksConfigPanel({ darkMode = false }) {
     } finally {
       setIsLoading(false);
     }
-  }, [user?.supabaseOrgID, config]);
+  }, [user?.supabaseOrgID]);
 
   /**
    * Save configuration to backend (or localStorage for now)
@@ -122,6 +145,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
       return;
     }
 
+    if (rulesPreview.errors.length > 0) {
+      setError(rulesPreview.errors.join('. '));
+      return;
+    }
+
     setIsSaving(true);
     setError(null);
     setSaveSuccess(false);
@@ -148,7 +176,7 @@ function QuickBooksConfigPanel({ darkMode = false }) {
     } finally {
       setIsSaving(false);
     }
-  }, [user?.supabaseOrgID, config]);
+  }, [user?.supabaseOrgID, config, rulesPreview]);
 
   /**
    * Reset configuration to initial state
@@ -180,6 +208,41 @@ function QuickBooksConfigPanel({ darkMode = false }) {
     setSaveSuccess(false);
   }, [initialConfig]);
 
+  /**
+   * Handle province tax code change (blank falls back to the currency tax code)
+   */
+  const handleProvinceTaxCodeChange = useCallback((province, value) => {
+    const provinceTaxCodes = { ...config.province_tax_codes };
+    if (value.trim() === '') {
+      delete provinceTaxCodes[province];
+    } else {
+      provinceTaxCodes[province] = value.trim();
+    }
+    handleFieldChange('province_tax_codes', provinceTaxCodes);
+  }, [config.province_tax_codes, handleFieldChange]);
+
+  /**
+   * Add a per-customer tax code override
+   */
+  const handleAddCustomerTaxCode = useCallback(() => {
+    const customerId = newCustomerTaxCode.customerId.trim();
+    const taxCode = newCustomerTaxCode.taxCode.trim();
+    if (!customerId || !taxCode) {
+      return;
+    }
+    handleFieldChange('customer_tax_codes', { ...config.customer_tax_codes, [customerId]: taxCode });
+    setNewCustomerTaxCode({ customerId: '', taxCode: '' });
+  }, [newCustomerTaxCode, config.customer_tax_codes, handleFieldChange]);
+
+  /**
+   * Remove a per-customer tax code override
+   */
+  const handleRemoveCustomerTaxCode = useCallback((customerId) => {
+    const customerTaxCodes = { ...config.customer_tax_codes };
+    delete customerTaxCodes[customerId];
+    handleFieldChange('customer_tax_codes', customerTaxCodes);
+  }, [config.customer_tax_codes, handleFieldChange]);
+
   // Load configuration on mount
   useEffect(() => {
     loadConfiguration();
@@ -299,10 +362,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
             </h4>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <label htmlFor="qb-config-cad_tax_code" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   CAD Tax Code
                 </label>
                 <input
+                  id="qb-config-cad_tax_code"
                   type="number"
                   value={config.cad_tax_code}
                   onChange={(e) => handleFieldChange('cad_tax_code', parseInt(e.target.value) || 0)}
@@ -321,10 +385,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                 </p>
               </div>
               <div>
-                <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <label htmlFor="qb-config-non_cad_tax_code" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   Non-CAD Tax Code
                 </label>
                 <input
+                  id="qb-config-non_cad_tax_code"
                   type="number"
                   value={config.non_cad_tax_code}
                   onChange={(e) => handleFieldChange('non_cad_tax_code', parseInt(e.target.value) || 0)}
@@ -343,6 +408,111 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                 </p>
               </div>
             </div>
+
+            {/* Province Tax Codes */}
+            <div className="mt-4">
+              <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Tax Codes by Province
+              </label>
+              <div className="grid grid-cols-3 md:grid-cols-7 gap-2">
+                {TAX_PROVINCES.map(province => (
+                  <div key={province}>
+                    <label
+                      htmlFor={`province-tax-code-${province}`}
+                      className={`block text-xs mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                    >
+                      {province}
+                    </label>
+                    <input
+                      id={`province-tax-code-${province}`}
+                      type="text"
+                      value={config.province_tax_codes?.[province] ?? ''}
+                      onChange={(e) => handleProvinceTaxCodeChange(province, e.target.value)}
+                      disabled={isSaving}
+                      className={`
+                        w-full px-2 py-1 border rounded text-sm
+                        ${darkMode
+                          ? 'bg-gray-700 border-gray-600 text-white'
+                          : 'bg-white border-gray-300 text-gray-900'
+                        }
+                        disabled:opacity-50 disabled:cursor-not-allowed
+                      `}
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Uses the customer&apos;s QuickBooks billing province. Leave blank to use the currency tax code.
+              </p>
+            </div>
+
+            {/* Customer Tax Codes */}
+            <div className="mt-4">
+              <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                Tax Codes by Customer
+              </label>
+              {Object.keys(config.customer_tax_codes || {}).length > 0 && (
+                <ul className="space-y-1 mb-2">
+                  {Object.entries(config.customer_tax_codes).map(([customerId, taxCode]) => (
+                    <li key={customerId} className={`flex items-center justify-between text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      <span>QuickBooks customer {customerId}: tax code {taxCode}</span>
+                      <button
+                        onClick={() => handleRemoveCustomerTaxCode(customerId)}
+                        disabled={isSaving}
+                        className="text-xs text-red-500 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  placeholder="QuickBooks customer ID"
+                  value={newCustomerTaxCode.customerId}
+                  onChange={(e) => setNewCustomerTaxCode(prev => ({ ...prev, customerId: e.target.value }))}
+                  disabled={isSaving}
+                  className={`
+                    flex-1 px-3 py-2 border rounded-lg text-sm
+                    ${darkMode
+                      ? 'bg-gray-700 border-gray-600 text-white'
+                      : 'bg-white border-gray-300 text-gray-900'
+                    }
+                    disabled:opacity-50 disabled:cursor-not-allowed
+                  `}
+                />
+                <input
+                  type="text"
+                  placeholder="Tax code"
+                  value={newCustomerTaxCode.taxCode}
+                  onChange={(e) => setNewCustomerTaxCode(prev => ({ ...prev, taxCode: e.target.value }))}
+                  disabled={isSaving}
+                  className={`
+                    w-32 px-3 py-2 border rounded-lg text-sm
+                    ${darkMode
+                      ? 'bg-gray-700 border-gray-600 text-white'
+                      : 'bg-white border-gray-300 text-gray-900'
+                    }
+                    disabled:opacity-50 disabled:cursor-not-allowed
+                  `}
+                />
+                <button
+                  onClick={handleAddCustomerTaxCode}
+                  disabled={isSaving || !newCustomerTaxCode.customerId.trim() || !newCustomerTaxCode.taxCode.trim()}
+                  className={`
+                    px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+                    ${darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}
+                  `}
+                >
+                  Add
+                </button>
+              </div>
+              <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Overrides the province and currency tax codes for that customer
+              </p>
+            </div>
           </div>
 
           {/* Item/Service Configuration Section */}
@@ -354,10 +524,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
               {/* CAD Item */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-cad_item_id" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     CAD Item ID
                   </label>
                   <input
+                    id="qb-config-cad_item_id"
                     type="text"
                     value={config.cad_item_id}
                     onChange={(e) => handleFieldChange('cad_item_id', e.target.value)}
@@ -373,10 +544,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                   />
                 </div>
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-cad_item_name" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     CAD Item Name
                   </label>
                   <input
+                    id="qb-config-cad_item_name"
                     type="text"
                     value={config.cad_item_name}
                     onChange={(e) => handleFieldChange('cad_item_name', e.target.value)}
@@ -396,10 +568,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
               {/* USD Item */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-usd_item_id" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     USD Item ID
                   </label>
                   <input
+                    id="qb-config-usd_item_id"
                     type="text"
                     value={config.usd_item_id}
                     onChange={(e) => handleFieldChange('usd_item_id', e.target.value)}
@@ -415,10 +588,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                   />
                 </div>
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-usd_item_name" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     USD Item Name
                   </label>
                   <input
+                    id="qb-config-usd_item_name"
                     type="text"
                     value={config.usd_item_name}
                     onChange={(e) => handleFieldChange('usd_item_name', e.target.value)}
@@ -438,10 +612,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
               {/* EUR Item */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-eur_item_id" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     EUR Item ID
                   </label>
                   <input
+                    id="qb-config-eur_item_id"
                     type="text"
                     value={config.eur_item_id}
                     onChange={(e) => handleFieldChange('eur_item_id', e.target.value)}
@@ -457,10 +632,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                   />
                 </div>
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-eur_item_name" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     EUR Item Name
                   </label>
                   <input
+                    id="qb-config-eur_item_name"
                     type="text"
                     value={config.eur_item_name}
                     onChange={(e) => handleFieldChange('eur_item_name', e.target.value)}
@@ -479,6 +655,63 @@ function QuickBooksConfigPanel({ darkMode = false }) {
             </div>
           </div>
 
+          {/* Project Expenses Section */}
+          <div>
+            <h4 className={`text-md font-semibold mb-4 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+              Project Expenses
+            </h4>
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="qb-config-expense_account_id" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Expense Account ID
+                  </label>
+                  <input
+                    id="qb-config-expense_account_id"
+                    type="text"
+                    value={config.expense_account_id}
+                    onChange={(e) => handleFieldChange('expense_account_id', e.target.value)}
+                    disabled={isSaving}
+                    className={`
+                      w-full px-3 py-2 border rounded-lg text-sm
+                      ${darkMode
+                        ? 'bg-gray-700 border-gray-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-900'
+                      }
+                      disabled:opacity-50 disabled:cursor-not-allowed
+                    `}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="qb-config-default_expense_markup" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Default Re-billing Markup (%)
+                  </label>
+                  <input
+                    id="qb-config-default_expense_markup"
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={config.default_expense_markup}
+                    onChange={(e) => handleFieldChange('default_expense_markup', parseFloat(e.target.value) || 0)}
+                    disabled={isSaving}
+                    className={`
+                      w-full px-3 py-2 border rounded-lg text-sm
+                      ${darkMode
+                        ? 'bg-gray-700 border-gray-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-900'
+                      }
+                      disabled:opacity-50 disabled:cursor-not-allowed
+                    `}
+                  />
+                </div>
+              </div>
+              <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Expenses synced to QuickBooks are booked as bills against this account. Billable expenses are
+                re-billed to the customer with the markup.
+              </p>
+            </div>
+          </div>
+
           {/* Invoice Settings Section */}
           <div>
             <h4 className={`text-md font-semibold mb-4 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
@@ -487,10 +720,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
             <div className="space-y-4">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-default_currency" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     Default Currency
                   </label>
                   <select
+                    id="qb-config-default_currency"
                     value={config.default_currency}
                     onChange={(e) => handleFieldChange('default_currency', e.target.value)}
                     disabled={isSaving}
@@ -509,11 +743,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                   </select>
                 </div>
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-default_payment_terms" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     Default Payment Terms
                   </label>
-                  <input
-                    type="text"
+                  <select
+                    id="qb-config-default_payment_terms"
                     value={config.default_payment_terms}
                     onChange={(e) => handleFieldChange('default_payment_terms', e.target.value)}
                     disabled={isSaving}
@@ -525,15 +759,23 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                       }
                       disabled:opacity-50 disabled:cursor-not-allowed
                     `}
-                  />
+                  >
+                    {PAYMENT_TERMS_PRESETS.map(preset => (
+                      <option key={preset.value} value={preset.value}>{preset.value}</option>
+                    ))}
+                  </select>
+                  <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Sets the due date of new invoices (EoM: end of the month the term ends in)
+                  </p>
                 </div>
               </div>
 
               <div>
-                <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <label htmlFor="qb-config-invoice_number_format" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                   Invoice Number Format
                 </label>
                 <input
+                  id="qb-config-invoice_number_format"
                   type="text"
                   value={config.invoice_number_format}
                   onChange={(e) => handleFieldChange('invoice_number_format', e.target.value)}
@@ -548,8 +790,44 @@ function QuickBooksConfigPanel({ darkMode = false }) {
                   `}
                 />
                 <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                  Format: {'{qboCustomerId}'}{'{YY}'}{'{MM}'}{'{NNN}'} - Placeholders: qboCustomerId, YY (year), MM (month), NNN (sequence)
+                  Format: {'{qboCustomerId}'}{'{YY}'}{'{MM}'}{'{NNN}'} - Placeholders: qboCustomerId, YYYY or YY (year), MM (month), NNN (sequence, one N per digit).
+                  The sequence restarts monthly with MM, yearly with only a year, and is counted per customer with qboCustomerId.
+                </p>
+              </div>
+
+              {/* Rules Preview */}
+              <div
+                data-testid="invoice-rules-preview"
+                className={`
+                  p-4 rounded-lg border
+                  ${rulesPreview.errors.length > 0
+                    ? (darkMode ? 'bg-red-900 bg-opacity-30 border-red-800' : 'bg-red-50 border-red-200')
+                    : (darkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-50 border-gray-200')
+                  }
+                `}
+              >
+                <p className={`text-sm font-medium mb-2 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                  Preview (QuickBooks customer 58, CAD, invoiced today)
                 </p>
+                <dl className={`grid grid-cols-3 gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <div>
+                    <dt className="text-xs">Invoice Number</dt>
+                    <dd className="font-mono">{rulesPreview.docNumber || '-'}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-xs">Due Date</dt>
+                    <dd className="font-mono">{rulesPreview.dueDate}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-xs">Tax Code</dt>
+                    <dd className="font-mono">{rulesPreview.taxCode}</dd>
+                  </div>
+                </dl>
+                {rulesPreview.errors.length > 0 && (
+                  <ul className={`mt-2 text-xs list-disc pl-4 ${darkMode ? 'text-red-300' : 'text-red-600'}`}>
+                    {rulesPreview.errors.map(message => <li key={message}>{message}</li>)}
+                  </ul>
+                )}
               </div>
 
               <div>
@@ -592,10 +870,11 @@ function QuickBooksConfigPanel({ darkMode = false }) {
 
               {config.auto_sync_enabled && (
                 <div>
-                  <label className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  <label htmlFor="qb-config-sync_frequency_hours" className={`block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     Sync Frequency (hours)
                   </label>
                   <input
+                    id="qb-config-sync_frequency_hours"
                     type="number"
                     value={config.sync_frequency_hours}
                     onChange={(e) => handleFieldChange('sync_frequency_hours', parseInt(e.target.value) || 24)}
@@ -1,7 +1,15 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { bulkUpdateFinancialRecordsBilledStatus } from '../../api/financialRecords';
+import { useAppState } from '../../context/AppStateContext';
+import {
+  getRecordInvoiceId,
+  getRemainingCredit,
+  getRecordAdjustmentStatus,
+  loadAdjustmentHistory
+} from '../../services/invoiceAdjustmentService';
 import RecordModal from './RecordModal';
+import IssueCreditModal from './IssueCreditModal';
 
 // Component load verification
 console.log('🚀 RecordDetailsModal component loaded/imported');
@@ -18,6 +26,7 @@ console.log('🚀 RecordDetailsModal component loaded/imported');
  */
 function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMode = false }) {
   console.log('🚀 RecordDetailsModal component rendered with records:', records.length);
+  const { user } = useAppState();
   const [enrichedRecords, setEnrichedRecords] = useState(records);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -26,7 +35,8 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
   const [bulkUpdateLoading, setBulkUpdateLoading] = useState(false);
   const [bulkUpdateError, setBulkUpdateError] = useState(null);
   const [bulkUpdateSuccess, setBulkUpdateSuccess] = useState(null);
-
+  const [creditRecord, setCreditRecord] = useState(null);
+  const [adjustments, setAdjustments] = useState([]);
 
   // Calculate uninvoiced records for bulk action
   const uninvoicedRecords = useMemo(() => {
@@ -170,6 +180,8 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
             total_price: record.total_price || 0,
             date: record.date, // YYYY-MM-DD from Supabase
             inv_id: record.inv_id, // null = unbilled, non-null = billed
+            credited_amount: Number(record.credited_amount) || 0, // Credited by credit memos
+            adjusted_at: record.adjusted_at || null,
             organization_id: record.organization_id,
             created_at: record.created_at,
             updated_at: record.updated_at,
@@ -203,6 +215,20 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
     fetchCompleteRecords();
   }, [records]);
 
+  // Load the credit memos issued against the invoices these records were billed on
+  const refreshAdjustments = useCallback(async (recordsToLoad) => {
+    try {
+      setAdjustments(await loadAdjustmentHistory(user?.supabaseOrgID, recordsToLoad));
+    } catch (historyError) {
+      console.error('[RecordDetailsModal] Error loading adjustment history:', historyError);
+      setAdjustments([]);
+    }
+  }, [user?.supabaseOrgID]);
+
+  useEffect(() => {
+    refreshAdjustments(records);
+  }, [records, refreshAdjustments]);
+
   // Format currency for display
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -245,6 +271,38 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
     await onEditRecord(updatedRecord, patchPayload);
   }, [onEditRecord]);
 
+  // Handle a credit memo issued from the credit modal
+  const handleCredited = useCallback((result) => {
+    const creditedBySale = new Map(
+      (result.adjustment?.lines || []).map(line => [line.sale_id, Number(line.amount) || 0])
+    );
+
+    setEnrichedRecords(prevRecords =>
+      prevRecords.map(record => (creditedBySale.has(record.id)
+        ? {
+            ...record,
+            credited_amount: (Number(record.credited_amount) || 0) + creditedBySale.get(record.id),
+            adjusted_at: new Date().toISOString()
+          }
+        : record))
+    );
+    setCreditRecord(null);
+    refreshAdjustments(enrichedRecords);
+
+    if (result.errors.length > 0) {
+      setBulkUpdateError(`Credit memo ${result.creditMemoId} created, but ${result.errors.length} record${result.errors.length === 1 ? '' : 's'} could not be marked as adjusted: ${result.errors[0]}`);
+    } else {
+      setBulkUpdateSuccess(result.appliedAmount > 0
+        ? `Credit memo ${result.creditMemoId} applied to the invoice (${formatCurrency(result.appliedAmount)})`
+        : `Credit memo ${result.creditMemoId} created; the invoice has no balance, so the credit is left on the customer's account`);
+    }
+
+    // Refresh the parent's data so summaries pick up the adjustment
+    if (onEditRecord && typeof onEditRecord === 'function') {
+      onEditRecord(null, null);
+    }
+  }, [enrichedRecords, refreshAdjustments, onEditRecord]);
+
   // Handle modal backdrop click
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
@@ -498,6 +556,17 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
                         `}>
                           {record.inv_id !== null ? 'Invoiced' : 'Uninvoiced'}
                         </span>
+                        {getRecordAdjustmentStatus(record) === 'adjusted' && (
+                          <span
+                            title={`Credited ${formatCurrency(record.credited_amount)}`}
+                            className={`
+                              ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
+                              ${darkMode ? 'bg-orange-900 text-orange-200' : 'bg-orange-100 text-orange-800'}
+                            `}
+                          >
+                            Adjusted
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm text-center whitespace-nowrap">
                         <button
@@ -511,6 +580,19 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
                         >
                           Edit
                         </button>
+                        {getRecordInvoiceId(record) && getRemainingCredit(record) > 0 && (
+                          <button
+                            onClick={() => setCreditRecord(record)}
+                            className={`
+                              ml-2 inline-flex items-center px-3 py-1 border rounded-md text-xs font-medium
+                              ${darkMode
+                                ? 'border-orange-700 bg-gray-700 text-orange-200 hover:bg-gray-600'
+                                : 'border-orange-300 bg-white text-orange-700 hover:bg-orange-50'}
+                            `}
+                          >
+                            Credit
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -518,6 +600,35 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
               </table>
             </div>
           )}
+
+          {/* Adjustment History */}
+          {adjustments.length > 0 && (
+            <div className={`px-6 py-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <h4 className={`text-sm font-medium mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                Adjustment History
+              </h4>
+              <ul className={`space-y-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                {adjustments.map(adjustment => (
+                  <li key={adjustment.id}>
+                    <div className="flex justify-between">
+                      <span>
+                        Credit memo {adjustment.credit_memo_number || adjustment.qbo_credit_memo_id} on invoice #{adjustment.qbo_invoice_id}
+                        <span className={`ml-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {formatDate(adjustment.created_at)}
+                          {adjustment.status === 'unapplied' ? ' • not applied to the invoice' : ''}
+                        </span>
+                      </span>
+                      <span className="font-medium">-{formatCurrency(adjustment.amount)}</span>
+                    </div>
+                    <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {adjustment.reason}
+                      {(adjustment.lines || []).length > 0 && ` — ${adjustment.lines.map(line => `${line.description} ${formatCurrency(line.amount)}`).join(', ')}`}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
         
         {/* Footer with summary */}
@@ -544,6 +655,17 @@ function RecordDetailsModal({ records, groupTitle, onClose, onEditRecord, darkMo
             darkMode={darkMode}
           />
         )}
+
+        {/* Issue Credit Modal */}
+        {creditRecord && (
+          <IssueCreditModal
+            records={enrichedRecords.filter(record => getRecordInvoiceId(record) === getRecordInvoiceId(creditRecord))}
+            initialSaleId={creditRecord.id}
+            onClose={() => setCreditRecord(null)}
+            onCredited={handleCredited}
+            darkMode={darkMode}
+          />
+        )}
       </div>
     </div>
   );
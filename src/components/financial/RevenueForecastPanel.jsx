@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import FinancialChart from './FinancialChart';
+import { convertRecordsToCurrency } from '../../services/currencyService';
+import {
+  FORECAST_STREAMS,
+  STREAM_LABELS,
+  FORECAST_SCENARIOS,
+  FORECAST_HORIZONS,
+  buildRevenueForecast,
+  prepareForecastChartData,
+  loadForecastInputs
+} from '../../services/revenueForecastService';
+
+/**
+ * RevenueForecastPanel component for projecting revenue over the coming months
+ *
+ * Stacks fixed-price milestones, subscriptions, approved proposals and each customer's trailing
+ * hourly billing for the next 6 to 12 months. Scenarios weight the less certain streams.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {string} props.homeCurrency - Currency the forecast is reported in
+ * @param {Array} props.exchangeRates - Exchange rates for converting sales to the home currency
+ * @returns {JSX.Element} Revenue Forecast Panel component
+ */
+function RevenueForecastPanel({ darkMode = false, homeCurrency = 'USD', exchangeRates = [] }) {
+  const { sales } = useAppState();
+  const { showError } = useSnackBar();
+
+  const [inputs, setInputs] = useState({ projects: [], proposals: [] });
+  const [horizon, setHorizon] = useState(FORECAST_HORIZONS[0]);
+  const [scenario, setScenario] = useState('expected');
+  const [isLoading, setIsLoading] = useState(true);
+
+  const formatCurrency = useCallback((amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: homeCurrency
+  }).format(amount || 0), [homeCurrency]);
+
+  const refreshInputs = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await loadForecastInputs();
+      setInputs(result);
+      if (result.errors.length > 0) {
+        showError(`Proposals could not be loaded for ${result.errors.length} project${result.errors.length === 1 ? '' : 's'}: ${result.errors[0]}`);
+      }
+    } catch (error) {
+      console.error('Error loading forecast data:', error);
+      showError(error.message || 'Failed to load forecast data');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    refreshInputs();
+  }, [refreshInputs]);
+
+  const forecast = useMemo(() => buildRevenueForecast({
+    projects: inputs.projects,
+    proposals: inputs.proposals,
+    sales: convertRecordsToCurrency(sales || [], { homeCurrency, rates: exchangeRates }).records,
+    months: horizon,
+    scenario
+  }), [inputs, sales, homeCurrency, exchangeRates, horizon, scenario]);
+
+  const chartData = useMemo(() => prepareForecastChartData(forecast), [forecast]);
+
+  const cellClass = `px-3 py-2 text-right ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const headerClass = `px-3 py-2 text-xs font-medium uppercase ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  return (
+    <div className="h-full overflow-y-auto space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            Revenue Forecast
+          </h3>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {formatCurrency(forecast.total)} over the next {horizon} months ({FORECAST_SCENARIOS[scenario].label.toLowerCase()})
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="flex rounded-md overflow-hidden border border-gray-300 dark:border-gray-600">
+            {Object.entries(FORECAST_SCENARIOS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setScenario(key)}
+                className={`px-3 py-1.5 text-sm ${
+                  scenario === key
+                    ? 'bg-blue-600 text-white'
+                    : darkMode ? 'bg-gray-800 text-gray-300 hover:bg-gray-700' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={horizon}
+            onChange={(e) => setHorizon(Number(e.target.value))}
+            aria-label="Forecast months"
+            className={`px-3 py-1.5 text-sm border rounded-md ${
+              darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+            }`}
+          >
+            {FORECAST_HORIZONS.map(months => (
+              <option key={months} value={months}>{months} months</option>
+            ))}
+          </select>
+          <button
+            onClick={refreshInputs}
+            disabled={isLoading}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+        {isLoading ? (
+          <div className="h-64 flex items-center justify-center">
+            <p className={darkMode ? 'text-gray-400' : 'text-gray-500'}>Loading forecast...</p>
+          </div>
+        ) : (
+          <FinancialChart
+            data={chartData}
+            timeframe="forecast"
+            onMonthClick={() => {}}
+            darkMode={darkMode}
+            currency={homeCurrency}
+          />
+        )}
+      </div>
+
+      <div className={`rounded-lg border overflow-x-auto ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+              <th className={`${headerClass} text-left`}>Stream</th>
+              {forecast.months.map(month => (
+                <th key={month.key} className={`${headerClass} text-right`}>{month.label}</th>
+              ))}
+              <th className={`${headerClass} text-right`}>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.values(FORECAST_STREAMS).map(stream => (
+              <tr key={stream} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <td className={`px-3 py-2 ${darkMode ? 'text-gray-200' : 'text-gray-900'}`}>{STREAM_LABELS[stream]}</td>
+                {forecast.streams[stream].map((amount, index) => (
+                  <td key={forecast.months[index].key} className={cellClass}>
+                    {amount ? formatCurrency(amount) : '-'}
+                  </td>
+                ))}
+                <td className={`${cellClass} font-medium`}>{formatCurrency(forecast.totals[stream])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {forecast.unscheduled.length > 0 && (
+        <div className={`p-4 rounded-lg border text-sm ${
+          darkMode ? 'bg-yellow-900 bg-opacity-20 border-yellow-800 text-yellow-200' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+        }`}>
+          <p className="font-medium">
+            {forecast.unscheduled.length} fixed-price project{forecast.unscheduled.length === 1 ? ' has' : 's have'} no
+            end date, so {forecast.unscheduled.length === 1 ? 'its' : 'their'} completion milestone is not forecast:
+          </p>
+          <p className="mt-1">
+            {forecast.unscheduled.map(project => project.projectName || project.name).join(', ')}
+          </p>
+        </div>
+      )}
+
+      {forecast.hourlyCustomers.length > 0 && (
+        <div className={`p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}>
+          <h4 className={`text-sm font-semibold mb-2 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            Hourly billing per customer (3-month average)
+          </h4>
+          <ul className="space-y-1 text-sm">
+            {forecast.hourlyCustomers.map(customer => (
+              <li key={customer.customerId} className="flex justify-between">
+                <span className={darkMode ? 'text-gray-300' : 'text-gray-700'}>{customer.customerName}</span>
+                <span className={darkMode ? 'text-gray-300' : 'text-gray-700'}>{formatCurrency(customer.monthlyAverage)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+RevenueForecastPanel.propTypes = {
+  darkMode: PropTypes.bool,
+  homeCurrency: PropTypes.string,
+  exchangeRates: PropTypes.arrayOf(PropTypes.object)
+};
+
+export default React.memo(RevenueForecastPanel);
@@ -0,0 +1,96 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { BILLING_ROUNDING_MODES } from '../../services/taskService';
+
+const MODE_OPTIONS = [
+  { value: BILLING_ROUNDING_MODES.NONE, label: 'No rounding (bill logged time)' },
+  { value: BILLING_ROUNDING_MODES.UP_6, label: 'Round up to 6 minutes (0.1 hour)' },
+  { value: BILLING_ROUNDING_MODES.UP_15, label: 'Round up to 15 minutes' },
+  { value: BILLING_ROUNDING_MODES.UP_30, label: 'Round up to 30 minutes' }
+];
+
+/**
+ * RoundingPolicyFields - Controlled inputs for a billing rounding policy
+ * Shared by the organization default and the per-customer override
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.policy - Rounding policy ({ mode, minimum_entry_minutes, daily_minimum_minutes })
+ * @param {Function} props.onChange - Called with the updated policy
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {boolean} props.disabled - Whether the inputs are disabled
+ * @returns {JSX.Element} Rounding policy inputs
+ */
+function RoundingPolicyFields({ policy, onChange, darkMode = false, disabled = false }) {
+  const inputClassName = `
+    w-full px-3 py-2 border rounded-lg text-sm
+    ${darkMode
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+    }
+    disabled:opacity-50 disabled:cursor-not-allowed
+  `;
+  const labelClassName = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const hintClassName = `text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  const handleMinutesChange = (field) => (e) => {
+    onChange({ ...policy, [field]: parseInt(e.target.value, 10) || 0 });
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <label className={labelClassName}>Rounding</label>
+        <select
+          value={policy.mode}
+          onChange={(e) => onChange({ ...policy, mode: e.target.value })}
+          disabled={disabled}
+          className={inputClassName}
+        >
+          {MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <p className={hintClassName}>Each time entry is rounded up to this increment</p>
+      </div>
+      <div>
+        <label className={labelClassName}>Minimum per Entry (minutes)</label>
+        <input
+          type="number"
+          min="0"
+          max="1440"
+          value={policy.minimum_entry_minutes}
+          onChange={handleMinutesChange('minimum_entry_minutes')}
+          disabled={disabled}
+          className={inputClassName}
+        />
+        <p className={hintClassName}>Shorter entries are billed at this minimum (0 for none)</p>
+      </div>
+      <div>
+        <label className={labelClassName}>Daily Minimum (minutes)</label>
+        <input
+          type="number"
+          min="0"
+          max="1440"
+          value={policy.daily_minimum_minutes}
+          onChange={handleMinutesChange('daily_minimum_minutes')}
+          disabled={disabled}
+          className={inputClassName}
+        />
+        <p className={hintClassName}>Least time billed on any day with work for the customer (0 for none)</p>
+      </div>
+    </div>
+  );
+}
+
+RoundingPolicyFields.propTypes = {
+  policy: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    minimum_entry_minutes: PropTypes.number,
+    daily_minimum_minutes: PropTypes.number
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  darkMode: PropTypes.bool,
+  disabled: PropTypes.bool
+};
+
+export default React.memo(RoundingPolicyFields);
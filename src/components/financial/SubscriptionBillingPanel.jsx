@@ -0,0 +1,247 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import { fetchActiveCustomers } from '../../api/customers';
+import { fetchProjectsForCustomers } from '../../api/projects';
+import { runSubscriptionBilling, getBillingPeriod, BILLING_ITEM_STATUSES } from '../../services/subscriptionBillingService';
+import { loadInvoiceRules } from '../../services/invoiceRulesService';
+
+const STATUS_LABELS = {
+  [BILLING_ITEM_STATUSES.READY]: 'Ready',
+  [BILLING_ITEM_STATUSES.INACTIVE]: 'Inactive',
+  [BILLING_ITEM_STATUSES.ALREADY_BILLED]: 'Already billed',
+  [BILLING_ITEM_STATUSES.NO_QBO_CUSTOMER]: 'No QuickBooks customer',
+  [BILLING_ITEM_STATUSES.SALES_CREATED]: 'Invoice failed',
+  [BILLING_ITEM_STATUSES.INVOICED]: 'Invoiced',
+  [BILLING_ITEM_STATUSES.FAILED]: 'Failed'
+};
+
+const ATTENTION_STATUSES = [
+  BILLING_ITEM_STATUSES.NO_QBO_CUSTOMER,
+  BILLING_ITEM_STATUSES.SALES_CREATED,
+  BILLING_ITEM_STATUSES.FAILED
+];
+
+/**
+ * Formats an amount as currency
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * Loads the organization's projects with their customers
+ * @returns {Promise<Object>} Projects and customers ({ projects, customers })
+ */
+const loadProjectsWithCustomers = async () => {
+  const customersResponse = await fetchActiveCustomers({ limit: 200, include_related: false });
+  const customers = Array.isArray(customersResponse) ? customersResponse : (customersResponse?.data || []);
+  if (customers.length === 0) {
+    return { projects: [], customers };
+  }
+
+  const projectsResponse = await fetchProjectsForCustomers(customers.map(customer => customer.id), { limit: 200 });
+  const projects = Array.isArray(projectsResponse) ? projectsResponse : (projectsResponse?.data || []);
+  return { projects, customers };
+};
+
+/**
+ * SubscriptionBillingPanel component for monthly subscription billing runs
+ *
+ * A preview (dry run) lists what each subscription project would be charged for the month,
+ * including prorated starts and cancellations. Running the billing creates the sales and one
+ * QuickBooks invoice per customer; projects already billed for the month are skipped.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.darkMode - Whether dark mode is enabled
+ * @param {Function} props.onBilled - Called after a billing run creates sales
+ * @returns {JSX.Element} Subscription Billing Panel component
+ */
+function SubscriptionBillingPanel({ darkMode = false, onBilled }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+
+  // Access control - admin only
+  const isAdmin = user?.role === 'admin' || user?.role === 'owner';
+
+  const [month, setMonth] = useState(() => getBillingPeriod().key);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const runBilling = useCallback(async (dryRun) => {
+    if (!dryRun && !window.confirm(`Bill subscriptions for ${month}? Sales and QuickBooks invoices will be created.`)) {
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      const { projects, customers } = await loadProjectsWithCustomers();
+      const result = await runSubscriptionBilling({
+        organizationId: user?.supabaseOrgID,
+        projects,
+        customers,
+        month,
+        dryRun,
+        rules: loadInvoiceRules(user?.supabaseOrgID)
+      });
+      setReport(result);
+
+      if (!dryRun) {
+        showSuccess(`Created ${result.invoices.length} subscription invoice${result.invoices.length === 1 ? '' : 's'} for ${month}`);
+        if (result.totals.needsAttention > 0) {
+          showError(`${result.totals.needsAttention} subscription${result.totals.needsAttention === 1 ? '' : 's'} need attention`);
+        }
+        if (typeof onBilled === 'function') {
+          onBilled();
+        }
+      }
+    } catch (error) {
+      console.error('Error running subscription billing:', error);
+      showError(error.message || 'Failed to run subscription billing');
+    } finally {
+      setIsRunning(false);
+    }
+  }, [month, user?.supabaseOrgID, onBilled, showError, showSuccess]);
+
+  if (!isAdmin) {
+    return (
+      <div className={`
+        p-4 rounded-lg border
+        ${darkMode ? 'bg-yellow-900 bg-opacity-30 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}
+      `}>
+        <p className={`text-sm font-medium ${darkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+          Access Restricted
+        </p>
+        <p className={`text-xs mt-1 ${darkMode ? 'text-yellow-300' : 'text-yellow-600'}`}>
+          Subscription billing is only accessible to administrators and organization owners.
+        </p>
+      </div>
+    );
+  }
+
+  const readyCount = report?.dryRun
+    ? report.items.filter(item => item.status === BILLING_ITEM_STATUSES.READY).length
+    : 0;
+
+  return (
+    <div className={`
+      p-6 rounded-lg border
+      ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+    `}>
+      <div className="mb-6">
+        <h3 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+          Subscription Billing
+        </h3>
+        <p className={`text-sm mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Bills each active subscription project for the month, prorated by day for mid-month starts and
+          cancellations. Projects already billed for the month are skipped, so a month can safely be run again.
+        </p>
+      </div>
+
+      <div className="flex items-end space-x-3 mb-6">
+        <div>
+          <label
+            htmlFor="subscription-billing-month"
+            className={`block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}
+          >
+            Billing month
+          </label>
+          <input
+            id="subscription-billing-month"
+            type="month"
+            value={month}
+            onChange={(e) => {
+              setMonth(e.target.value);
+              setReport(null);
+            }}
+            disabled={isRunning}
+            className={`
+              px-3 py-2 rounded-lg border text-sm
+              ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+            `}
+          />
+        </div>
+        <button
+          onClick={() => runBilling(true)}
+          disabled={isRunning || !month}
+          className={`
+            px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+            ${darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}
+          `}
+        >
+          {isRunning ? 'Working...' : 'Preview'}
+        </button>
+        <button
+          onClick={() => runBilling(false)}
+          disabled={isRunning || readyCount === 0}
+          title={readyCount === 0 ? 'Preview the month first' : undefined}
+          className={`
+            px-6 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed
+            ${darkMode ? 'bg-blue-800 text-blue-100 hover:bg-blue-700' : 'bg-blue-600 text-white hover:bg-blue-700'}
+          `}
+        >
+          {readyCount > 0 ? `Bill ${readyCount} Subscription${readyCount === 1 ? '' : 's'}` : 'Run Billing'}
+        </button>
+      </div>
+
+      {report && (
+        <div data-testid="subscription-billing-report">
+          <p className={`text-sm mb-3 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+            {report.dryRun ? 'Preview' : 'Billing run'} for {report.period}: {report.totals.billable} billable
+            of {report.totals.projects} subscription{report.totals.projects === 1 ? '' : 's'},
+            {' '}{formatAmount(report.totals.amount)}
+            {report.totals.alreadyBilled > 0 && `, ${report.totals.alreadyBilled} already billed`}
+            {report.totals.needsAttention > 0 && `, ${report.totals.needsAttention} need attention`}
+          </p>
+
+          {report.items.length === 0 ? (
+            <div className={`text-sm py-8 text-center ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              No subscription projects found.
+            </div>
+          ) : (
+            <table className={`min-w-full text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <thead>
+                <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                  <th className="text-left font-medium py-1">Customer</th>
+                  <th className="text-left font-medium py-1">Project</th>
+                  <th className="text-right font-medium py-1 w-24">Days</th>
+                  <th className="text-right font-medium py-1 w-28">Amount</th>
+                  <th className="text-left font-medium py-1 pl-4">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.items.map(item => (
+                  <tr key={item.projectId} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-100'}`}>
+                    <td className="py-1">{item.customerName || 'Unknown customer'}</td>
+                    <td className="py-1">{item.projectName}</td>
+                    <td className="py-1 text-right">
+                      {item.billedDays > 0 ? `${item.billedDays}/${item.periodDays}` : '-'}
+                    </td>
+                    <td className="py-1 text-right">{formatAmount(item.amount)}</td>
+                    <td className={`py-1 pl-4 ${ATTENTION_STATUSES.includes(item.status) ? 'text-red-500' : ''}`}>
+                      {STATUS_LABELS[item.status] || item.status}
+                      {item.docNumber && item.status === BILLING_ITEM_STATUSES.INVOICED && ` (${item.docNumber})`}
+                      {item.message && (
+                        <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {item.message}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+SubscriptionBillingPanel.propTypes = {
+  darkMode: PropTypes.bool,
+  onBilled: PropTypes.func
+};
+
+export default React.memo(SubscriptionBillingPanel);
@@ -430,8 +430,8 @@ function Sidebar({
 }) {
     const { darkMode } = useTheme();
     const { projects, projectRecords } = useProject();
-    const { showFinancialActivity, showFileMakerExample, showSupabaseExample, showQboTestPanel, showCustomerForm, showTeamForm, sidebarMode, showProductForm, showMarketing } = useAppState();
-    const { setShowFinancialActivity, setShowFileMakerExample, setShowSupabaseExample, setShowQboTestPanel, setShowCustomerForm, setShowTeamForm, setSidebarMode, setSelectedProduct, setShowProductForm: contextSetShowProductForm, setShowMarketing } = useAppStateOperations();
+    const { showFinancialActivity, showMyWork, showFileMakerExample, showSupabaseExample, showQboTestPanel, showCustomerForm, showTeamForm, sidebarMode, showProductForm, showMarketing } = useAppState();
+    const { setShowFinancialActivity, setShowMyWork, setShowFileMakerExample, setShowSupabaseExample, setShowQboTestPanel, setShowCustomerForm, setShowTeamForm, setSidebarMode, setSelectedProduct, setShowProductForm: contextSetShowProductForm, setShowMarketing } = useAppStateOperations();
     
     // Local state for ProspectForm
     const [showProspectForm, setShowProspectForm] = useState(false);
@@ -583,12 +583,30 @@ function Sidebar({
                     </div>
                 )}
                 
+                {/* My Work Button - Hide when marketing or prospect mode is active */}
+                {sidebarMode !== 'marketing' && sidebarMode !== 'prospect' && (
+                    <button
+                        onClick={() => setShowMyWork(true)}
+                        className={`
+                            mt-4 w-full flex items-center justify-center px-4 py-2 rounded-md
+                            ${showMyWork
+                                ? (darkMode ? 'bg-blue-700 text-white' : 'bg-blue-100 text-blue-800')
+                                : (darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800')}
+                        `}
+                    >
+                        <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                        </svg>
+                        My Work
+                    </button>
+                )}
+                
                 {/* Financial Activity Button - Hide when marketing or prospect mode is active */}
                 {sidebarMode !== 'marketing' && sidebarMode !== 'prospect' && (
                     <button
                         onClick={() => setShowFinancialActivity(true)}
                         className={`
-                            mt-4 w-full flex items-center justify-center px-4 py-2 rounded-md
+                            mt-2 w-full flex items-center justify-center px-4 py-2 rounded-md
                             ${showFinancialActivity
                                 ? (darkMode ? 'bg-blue-700 text-white' : 'bg-blue-100 text-blue-800')
                                 : (darkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-800')}
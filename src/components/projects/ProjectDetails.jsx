@@ -1,14 +1,22 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useTheme } from '../layout/AppLayout';
 import { useTeamContext } from '../../context/TeamContext';
 import ProjectTasksTab from './ProjectTasksTab';
+import ProjectTimesheetTab from './ProjectTimesheetTab';
 import ProjectObjectivesTab from './ProjectObjectivesTab';
 import ProjectNotesTab from './ProjectNotesTab';
 import ProjectLinksTab from './ProjectLinksTab';
 import ProjectTeamTab from './ProjectTeamTab';
 import ProjectProposalsTab from '../proposals/ProjectProposalsTab';
 import ProjectDocumentsTab from './ProjectDocumentsTab';
+import ProjectExpensesTab from './ProjectExpensesTab';
+import { calculateProjectProfitability } from '../../services/projectService';
+
+const formatMoney = (amount) => (Number(amount) || 0).toLocaleString(undefined, {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
 
 function ProjectDetails({
   projectId,
@@ -33,6 +41,7 @@ function ProjectDetails({
   const [activeTab, setActiveTab] = useState('proposal'); // Default to proposal tab
   const [localProject, setLocalProject] = useState(project);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [expenses, setExpenses] = useState(project?.expenses || []);
   
   // Use TeamContext instead of props
   const teamContext = useTeamContext();
@@ -51,8 +60,15 @@ function ProjectDetails({
   // Update local project state when the project prop changes
   useEffect(() => {
     setLocalProject(project);
+    setExpenses(project?.expenses || []);
   }, [project]);
 
+  // Recalculate profitability as expenses are added, so the stats don't wait for a reload
+  const stats = useMemo(() => project?.stats && {
+    ...project.stats,
+    ...calculateProjectProfitability(project, project.records || [], expenses)
+  }, [project, expenses]);
+
   // Show loading state
   if (!project) {
     return (
@@ -186,7 +202,7 @@ function ProjectDetails({
           )}
         </div>
 
-        {project?.stats && (
+        {stats && (
           <div className="mt-4 grid grid-cols-3 gap-4">
             <div className={`
               p-3 rounded-lg
@@ -196,7 +212,7 @@ function ProjectDetails({
                 Total Hours
               </div>
               <div className="text-2xl font-semibold mt-1">
-                {(Number(project.stats.totalHours) || 0).toFixed(1)}
+                {(Number(stats.totalHours) || 0).toFixed(1)}
               </div>
             </div>
             <div className={`
@@ -207,7 +223,7 @@ function ProjectDetails({
                 Unbilled Hours
               </div>
               <div className="text-2xl font-semibold mt-1">
-                {(Number(project.stats.unbilledHours) || 0).toFixed(1)}
+                {(Number(stats.unbilledHours) || 0).toFixed(1)}
               </div>
             </div>
             <div className={`
@@ -218,7 +234,40 @@ function ProjectDetails({
                 Completion
               </div>
               <div className="text-2xl font-semibold mt-1">
-                {project.stats.completion || 0}%
+                {stats.completion || 0}%
+              </div>
+            </div>
+            <div className={`
+              p-3 rounded-lg
+              ${darkMode ? 'bg-gray-800' : 'bg-gray-50'}
+            `}>
+              <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Revenue
+              </div>
+              <div className={`text-2xl font-semibold mt-1`}>
+                {formatMoney(stats.revenue)}
+              </div>
+            </div>
+            <div className={`
+              p-3 rounded-lg
+              ${darkMode ? 'bg-gray-800' : 'bg-gray-50'}
+            `}>
+              <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Expenses
+              </div>
+              <div className={`text-2xl font-semibold mt-1`}>
+                {formatMoney(stats.expenseTotal)}
+              </div>
+            </div>
+            <div className={`
+              p-3 rounded-lg
+              ${darkMode ? 'bg-gray-800' : 'bg-gray-50'}
+            `}>
+              <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Profit
+              </div>
+              <div className={`text-2xl font-semibold mt-1 ${stats.profit < 0 ? 'text-red-500' : ''}`}>
+                {formatMoney(stats.profit)} <span className="text-sm font-normal">({stats.margin}%)</span>
               </div>
             </div>
           </div>
@@ -286,6 +335,21 @@ function ProjectDetails({
             <div className="absolute bottom-0 left-0 w-full h-0.5 bg-primary"></div>
           )}
         </button>
+
+        {/* Timesheet Tab */}
+        <button
+          onClick={() => setActiveTab('timesheet')}
+          className={`px-4 py-2 font-medium focus:outline-none relative ${
+            activeTab === 'timesheet'
+            ? `${darkMode ? 'text-white' : 'text-gray-800'}`
+            : `${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-gray-700'}`
+          }`}
+        >
+          Timesheet
+          {activeTab === 'timesheet' && (
+            <div className="absolute bottom-0 left-0 w-full h-0.5 bg-primary"></div>
+          )}
+        </button>
         
         {/* Notes Tab - MOVED TO FIFTH */}
         <button
@@ -331,6 +395,21 @@ function ProjectDetails({
             <div className="absolute bottom-0 left-0 w-full h-0.5 bg-primary"></div>
           )}
         </button>
+
+        {/* Expenses Tab */}
+        <button
+          onClick={() => setActiveTab('expenses')}
+          className={`px-4 py-2 font-medium focus:outline-none relative ${
+            activeTab === 'expenses'
+            ? `${darkMode ? 'text-white' : 'text-gray-800'}`
+            : `${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-gray-700'}`
+          }`}
+        >
+          Expenses
+          {activeTab === 'expenses' && (
+            <div className="absolute bottom-0 left-0 w-full h-0.5 bg-primary"></div>
+          )}
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -352,6 +431,7 @@ function ProjectDetails({
         {activeTab === 'tasks' && project?.id && (
           <ProjectTasksTab
             projectId={project.id}
+            customerId={project._custID || project.customer_id}
             tasks={tasks}
             onTaskSelect={onTaskSelect}
             onTaskStatusChange={onTaskStatusChange}
@@ -360,6 +440,15 @@ function ProjectDetails({
           />
         )}
 
+        {/* Timesheet Tab */}
+        {activeTab === 'timesheet' && project?.id && (
+          <ProjectTimesheetTab
+            project={project}
+            tasks={tasks}
+            darkMode={darkMode}
+          />
+        )}
+
         {/* Objectives Tab */}
         {activeTab === 'objectives' && project && (
           <ProjectObjectivesTab
@@ -413,6 +502,15 @@ function ProjectDetails({
             setLocalProject={setLocalProject}
           />
         )}
+
+        {/* Expenses Tab */}
+        {activeTab === 'expenses' && project?.id && (
+          <ProjectExpensesTab
+            project={project}
+            darkMode={darkMode}
+            onExpensesChange={setExpenses}
+          />
+        )}
       </div>
     </div>
   );
@@ -453,8 +551,14 @@ ProjectDetails.propTypes = {
       totalHours: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       unbilledHours: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
       completion: PropTypes.number,
-      completion_percentage: PropTypes.number
+      completion_percentage: PropTypes.number,
+      revenue: PropTypes.number,
+      expenseTotal: PropTypes.number,
+      profit: PropTypes.number,
+      margin: PropTypes.number
     }),
+    records: PropTypes.arrayOf(PropTypes.object),
+    expenses: PropTypes.arrayOf(PropTypes.object),
     notes: PropTypes.arrayOf(PropTypes.object),
     links: PropTypes.arrayOf(PropTypes.object),
     objectives: PropTypes.arrayOf(PropTypes.object),
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import { listQBOActiveVendors } from '../../api/quickbooksApi';
+import { calculateExpenseRebillAmount } from '../../services/projectService';
+import {
+  loadExpenseSettings,
+  loadProjectExpenses,
+  validateExpense,
+  addProjectExpense,
+  removeProjectExpense,
+  syncExpenseToQBO,
+  rebillExpense
+} from '../../services/projectExpenseService';
+
+const formatAmount = (amount) => (Number(amount) || 0).toLocaleString(undefined, {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const emptyForm = (defaultMarkup) => ({
+  qbo_vendor_id: '',
+  vendor_name: '',
+  description: '',
+  amount: '',
+  expense_date: new Date().toISOString().split('T')[0],
+  receipt_url: '',
+  billable: false,
+  markup_percent: defaultMarkup
+});
+
+function ProjectExpensesTab({ project, darkMode, onExpensesChange = () => {} }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+  const organizationId = user?.supabaseOrgID;
+  const settings = useMemo(() => loadExpenseSettings(organizationId), [organizationId]);
+
+  const [expenses, setExpenses] = useState(project.expenses || []);
+  const [vendors, setVendors] = useState([]);
+  const [form, setForm] = useState(() => emptyForm(settings.defaultMarkup));
+  const [showForm, setShowForm] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const updateExpenses = useCallback((next) => {
+    setExpenses(next);
+    onExpensesChange(next);
+  }, [onExpensesChange]);
+
+  const loadExpenses = useCallback(async () => {
+    if (!organizationId || !project.id) {
+      return;
+    }
+    setLoading(true);
+    try {
+      updateExpenses(await loadProjectExpenses(organizationId, project.id));
+    } catch (error) {
+      console.error('Error loading project expenses:', error);
+      showError(`Failed to load expenses: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [organizationId, project.id, updateExpenses, showError]);
+
+  useEffect(() => {
+    loadExpenses();
+  }, [loadExpenses]);
+
+  // Vendors are only needed for syncing; expenses can still be recorded without QuickBooks
+  useEffect(() => {
+    listQBOActiveVendors()
+      .then(setVendors)
+      .catch(error => console.warn('QuickBooks vendors could not be loaded:', error));
+  }, []);
+
+  const totals = useMemo(() => expenses.reduce((sum, expense) => ({
+    cost: sum.cost + (Number(expense.amount) || 0),
+    rebill: sum.rebill + (expense.billable ? calculateExpenseRebillAmount(expense) : 0)
+  }), { cost: 0, rebill: 0 }), [expenses]);
+
+  const handleFieldChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleVendorChange = (vendorId) => {
+    const vendor = vendors.find(candidate => candidate.Id === vendorId);
+    setForm(prev => ({
+      ...prev,
+      qbo_vendor_id: vendorId,
+      vendor_name: vendor ? vendor.DisplayName : prev.vendor_name
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateExpense(form);
+    if (errors.length > 0) {
+      showError(errors.join(', '));
+      return;
+    }
+
+    setBusyId('new');
+    try {
+      const created = await addProjectExpense({
+        organizationId,
+        project,
+        expense: form,
+        userId: user?.supabaseUserID || null
+      });
+      updateExpenses([created, ...expenses]);
+      setForm(emptyForm(settings.defaultMarkup));
+      setShowForm(false);
+      showSuccess('Expense recorded');
+    } catch (error) {
+      console.error('Error recording expense:', error);
+      showError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const runAction = async (expense, action, successMessage) => {
+    setBusyId(expense.id);
+    try {
+      const updated = await action();
+      updateExpenses(updated
+        ? expenses.map(candidate => (candidate.id === expense.id ? updated : candidate))
+        : expenses.filter(candidate => candidate.id !== expense.id));
+      showSuccess(successMessage);
+    } catch (error) {
+      console.error('Expense action failed:', error);
+      showError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = (expense) => {
+    if (!window.confirm(`Delete the ${formatAmount(expense.amount)} expense from ${expense.vendor_name}?`)) {
+      return;
+    }
+    runAction(expense, async () => {
+      await removeProjectExpense(expense);
+      return null;
+    }, 'Expense deleted');
+  };
+
+  const inputClass = `w-full px-3 py-2 border rounded-lg text-sm ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Expenses</h3>
+          <p className={`text-sm ${mutedClass}`}>
+            Cost {formatAmount(totals.cost)} · Re-billable {formatAmount(totals.rebill)}
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(prev => !prev)}
+          className="px-3 py-1.5 text-sm bg-primary text-white rounded hover:bg-primary-hover"
+        >
+          {showForm ? 'Cancel' : 'Add Expense'}
+        </button>
+      </div>
+
+      {!settings.expenseAccountId && (
+        <div className={`p-3 rounded-lg text-sm ${darkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-50 text-yellow-800'}`}>
+          Set the expense account in the QuickBooks configuration to sync expenses as bills.
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className={`p-4 rounded-lg border space-y-3 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="expense-vendor" className={labelClass}>Vendor</label>
+              {vendors.length > 0 ? (
+                <select
+                  id="expense-vendor"
+                  value={form.qbo_vendor_id}
+                  onChange={(e) => handleVendorChange(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Select a QuickBooks vendor</option>
+                  {vendors.map(vendor => (
+                    <option key={vendor.Id} value={vendor.Id}>{vendor.DisplayName}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  id="expense-vendor"
+                  type="text"
+                  value={form.vendor_name}
+                  onChange={(e) => handleFieldChange('vendor_name', e.target.value)}
+                  className={inputClass}
+                />
+              )}
+            </div>
+            <div>
+              <label htmlFor="expense-amount" className={labelClass}>Amount</label>
+              <input
+                id="expense-amount"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => handleFieldChange('amount', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="expense-date" className={labelClass}>Date</label>
+              <input
+                id="expense-date"
+                type="date"
+                value={form.expense_date}
+                onChange={(e) => handleFieldChange('expense_date', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="expense-receipt" className={labelClass}>Receipt Link</label>
+              <input
+                id="expense-receipt"
+                type="url"
+                placeholder="https://"
+                value={form.receipt_url}
+                onChange={(e) => handleFieldChange('receipt_url', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="expense-description" className={labelClass}>Description</label>
+            <input
+              id="expense-description"
+              type="text"
+              value={form.description}
+              onChange={(e) => handleFieldChange('description', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.billable}
+                onChange={(e) => handleFieldChange('billable', e.target.checked)}
+              />
+              Re-bill to customer
+            </label>
+            {form.billable && (
+              <label className="flex items-center gap-2 text-sm">
+                Markup %
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={form.markup_percent}
+                  onChange={(e) => handleFieldChange('markup_percent', e.target.value)}
+                  className={`${inputClass} w-24`}
+                />
+              </label>
+            )}
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busyId === 'new'}
+              className="px-4 py-2 text-sm bg-primary text-white rounded hover:bg-primary-hover disabled:opacity-50"
+            >
+              {busyId === 'new' ? 'Saving...' : 'Save Expense'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className={`text-sm ${mutedClass}`}>Loading expenses...</div>
+      ) : expenses.length === 0 ? (
+        <div className={`text-sm ${mutedClass}`}>No expenses recorded for this project.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={`text-left ${mutedClass}`}>
+              <th className="py-2 pr-2">Date</th>
+              <th className="py-2 pr-2">Vendor</th>
+              <th className="py-2 pr-2">Description</th>
+              <th className="py-2 pr-2 text-right">Amount</th>
+              <th className="py-2 pr-2 text-right">Re-bill</th>
+              <th className="py-2 pr-2">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {expenses.map(expense => (
+              <tr key={expense.id} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <td className="py-2 pr-2 whitespace-nowrap">{expense.expense_date}</td>
+                <td className="py-2 pr-2">{expense.vendor_name}</td>
+                <td className="py-2 pr-2">
+                  {expense.description}
+                  {expense.receipt_url && (
+                    <a
+                      href={expense.receipt_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="ml-2 text-primary hover:underline"
+                    >
+                      Receipt
+                    </a>
+                  )}
+                </td>
+                <td className="py-2 pr-2 text-right">{formatAmount(expense.amount)}</td>
+                <td className="py-2 pr-2 text-right">
+                  {expense.billable ? formatAmount(calculateExpenseRebillAmount(expense)) : '-'}
+                </td>
+                <td className="py-2 pr-2 space-x-1 whitespace-nowrap">
+                  {expense.qbo_bill_id && (
+                    <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">Bill {expense.qbo_bill_id}</span>
+                  )}
+                  {expense.rebilled_sale_id && (
+                    <span className="px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-800">Re-billed</span>
+                  )}
+                </td>
+                <td className="py-2 text-right space-x-2 whitespace-nowrap">
+                  {!expense.qbo_bill_id && (
+                    <button
+                      onClick={() => runAction(expense, () => syncExpenseToQBO(organizationId, expense), 'Expense synced to QuickBooks')}
+                      disabled={busyId === expense.id || !settings.expenseAccountId}
+                      className="text-primary hover:underline disabled:opacity-50"
+                    >
+                      Sync to QuickBooks
+                    </button>
+                  )}
+                  {expense.billable && !expense.rebilled_sale_id && (
+                    <button
+                      onClick={() => runAction(expense, () => rebillExpense(organizationId, expense), 'Expense added to the customer\'s unbilled sales')}
+                      disabled={busyId === expense.id}
+                      className="text-primary hover:underline disabled:opacity-50"
+                    >
+                      Re-bill
+                    </button>
+                  )}
+                  {!expense.qbo_bill_id && !expense.rebilled_sale_id && (
+                    <button
+                      onClick={() => handleDelete(expense)}
+                      disabled={busyId === expense.id}
+                      className="text-red-600 hover:underline disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+ProjectExpensesTab.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    _custID: PropTypes.string,
+    customer_id: PropTypes.string,
+    expenses: PropTypes.arrayOf(PropTypes.object)
+  }).isRequired,
+  darkMode: PropTypes.bool.isRequired,
+  onExpensesChange: PropTypes.func
+};
+
+export default React.memo(ProjectExpensesTab);
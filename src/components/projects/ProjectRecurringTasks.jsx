@@ -0,0 +1,632 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useTheme } from '../layout/AppLayout';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  parseRRule,
+  buildRRule,
+  describeRRule,
+  getOccurrences,
+  getSeriesOccurrences,
+  generateRecurringTasks,
+  saveRecurringTask,
+  removeRecurringTask,
+  setRecurringTaskActive,
+  skipOccurrence,
+  editOccurrence,
+  restoreOccurrence,
+  toLocalDateKey
+} from '../../services/recurringTaskService';
+
+const UPCOMING_OCCURRENCES = 5;
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const ORDINAL_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+const FREQUENCY_LABELS = {
+  [RECURRENCE_FREQUENCIES.DAILY]: 'days',
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 'weeks',
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 'months',
+  [RECURRENCE_FREQUENCIES.YEARLY]: 'years'
+};
+
+const formatDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString([], {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+const inputClass = (darkMode) => `
+  p-2 rounded-md border
+  ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+`;
+
+/**
+ * Maps a series onto the editable form fields (buildSeriesRule goes the other way)
+ */
+function getInitialFormState(series) {
+  const today = toLocalDateKey();
+  const rule = series ? parseRRule(series.rrule) : null;
+  const startDay = Number((series?.start_date || today).slice(8, 10));
+
+  return {
+    title: series?.title || '',
+    notes: series?.notes || '',
+    priority: series?.priority || 3,
+    estimated_hours: series?.estimated_hours ?? '',
+    start_date: series?.start_date || today,
+    lead_days: series?.lead_days ?? 0,
+    freq: rule?.freq || RECURRENCE_FREQUENCIES.MONTHLY,
+    interval: rule?.interval || 1,
+    weekdays: rule?.byDay.map(day => day.weekday) || [],
+    monthlyMode: rule?.byDay.length ? 'weekday' : 'day',
+    monthDay: rule?.byMonthDay[0] || startDay,
+    monthOrdinal: rule?.byDay[0]?.ordinal || 1,
+    monthWeekday: rule?.byDay[0]?.weekday ?? 0,
+    endMode: rule?.count ? 'count' : (rule?.until ? 'until' : 'never'),
+    count: rule?.count || 12,
+    until: rule?.until || ''
+  };
+}
+
+function buildSeriesRule(form) {
+  const rule = { freq: form.freq, interval: Number(form.interval) || 1 };
+
+  if (form.freq === RECURRENCE_FREQUENCIES.WEEKLY && form.weekdays.length) {
+    rule.byDay = form.weekdays.map(weekday => ({ weekday, ordinal: null }));
+  }
+  if (form.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    if (form.monthlyMode === 'weekday') {
+      rule.byDay = [{ weekday: Number(form.monthWeekday), ordinal: Number(form.monthOrdinal) }];
+    } else {
+      rule.byMonthDay = [Number(form.monthDay)];
+    }
+  }
+  if (form.endMode === 'count') rule.count = Number(form.count);
+  if (form.endMode === 'until' && form.until) rule.until = form.until;
+
+  return buildRRule(rule);
+}
+
+// Form for creating or editing a series, with a live preview of the next dates
+const SeriesForm = React.memo(function SeriesForm({ series, darkMode, onSave, onCancel }) {
+  const [form, setForm] = useState(() => getInitialFormState(series));
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleWeekday = (weekday) => {
+    setField('weekdays', form.weekdays.includes(weekday)
+      ? form.weekdays.filter(day => day !== weekday)
+      : [...form.weekdays, weekday].sort((a, b) => a - b));
+  };
+
+  const preview = useMemo(() => {
+    try {
+      const rrule = buildSeriesRule(form);
+      return {
+        rrule,
+        description: describeRRule(rrule),
+        dates: getOccurrences(rrule, form.start_date, { limit: 3 }),
+        error: null
+      };
+    } catch (error) {
+      return { rrule: null, description: null, dates: [], error: error.message };
+    }
+  }, [form]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!preview.rrule) return;
+
+    setSaving(true);
+    try {
+      await onSave({
+        title: form.title,
+        notes: form.notes || null,
+        priority: Number(form.priority),
+        estimated_hours: form.estimated_hours === '' ? null : parseFloat(form.estimated_hours),
+        start_date: form.start_date,
+        lead_days: Number(form.lead_days) || 0,
+        rrule: preview.rrule
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className={`p-4 rounded-lg border space-y-3 ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'}`}
+    >
+      <input
+        type="text"
+        value={form.title}
+        onChange={(e) => setField('title', e.target.value)}
+        placeholder="Task title, e.g. Monthly maintenance"
+        className={`w-full ${inputClass(darkMode)}`}
+        autoFocus
+      />
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Repeat every</span>
+        <input
+          type="number"
+          min="1"
+          value={form.interval}
+          onChange={(e) => setField('interval', e.target.value)}
+          className={`w-16 ${inputClass(darkMode)}`}
+        />
+        <select
+          value={form.freq}
+          onChange={(e) => setField('freq', e.target.value)}
+          className={inputClass(darkMode)}
+        >
+          {Object.values(RECURRENCE_FREQUENCIES).map(freq => (
+            <option key={freq} value={freq}>{FREQUENCY_LABELS[freq]}</option>
+          ))}
+        </select>
+        <span>starting</span>
+        <input
+          type="date"
+          value={form.start_date}
+          onChange={(e) => setField('start_date', e.target.value)}
+          className={inputClass(darkMode)}
+        />
+      </div>
+
+      {form.freq === RECURRENCE_FREQUENCIES.WEEKLY && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map((code, index) => (
+            <button
+              key={code}
+              type="button"
+              onClick={() => toggleWeekday(index)}
+              className={`
+                px-2 py-1 text-xs rounded-md
+                ${form.weekdays.includes(index)
+                  ? 'bg-primary text-white'
+                  : (darkMode ? 'bg-gray-700 text-gray-300' : 'bg-gray-200 text-gray-700')}
+              `}
+            >
+              {WEEKDAY_LABELS[index]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {form.freq === RECURRENCE_FREQUENCIES.MONTHLY && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            value={form.monthlyMode}
+            onChange={(e) => setField('monthlyMode', e.target.value)}
+            className={inputClass(darkMode)}
+          >
+            <option value="day">On day</option>
+            <option value="weekday">On the</option>
+          </select>
+          {form.monthlyMode === 'day' ? (
+            <input
+              type="number"
+              min="1"
+              max="31"
+              value={form.monthDay}
+              onChange={(e) => setField('monthDay', e.target.value)}
+              className={`w-16 ${inputClass(darkMode)}`}
+            />
+          ) : (
+            <>
+              <select
+                value={form.monthOrdinal}
+                onChange={(e) => setField('monthOrdinal', e.target.value)}
+                className={inputClass(darkMode)}
+              >
+                {ORDINAL_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={form.monthWeekday}
+                onChange={(e) => setField('monthWeekday', e.target.value)}
+                className={inputClass(darkMode)}
+              >
+                {WEEKDAY_LABELS.map((label, index) => (
+                  <option key={label} value={index}>{label}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Ends</span>
+        <select
+          value={form.endMode}
+          onChange={(e) => setField('endMode', e.target.value)}
+          className={inputClass(darkMode)}
+        >
+          <option value="never">Never</option>
+          <option value="until">On date</option>
+          <option value="count">After</option>
+        </select>
+        {form.endMode === 'until' && (
+          <input
+            type="date"
+            value={form.until}
+            onChange={(e) => setField('until', e.target.value)}
+            className={inputClass(darkMode)}
+          />
+        )}
+        {form.endMode === 'count' && (
+          <>
+            <input
+              type="number"
+              min="1"
+              value={form.count}
+              onChange={(e) => setField('count', e.target.value)}
+              className={`w-16 ${inputClass(darkMode)}`}
+            />
+            <span>occurrences</span>
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Create</span>
+        <input
+          type="number"
+          min="0"
+          max="60"
+          value={form.lead_days}
+          onChange={(e) => setField('lead_days', e.target.value)}
+          className={`w-16 ${inputClass(darkMode)}`}
+        />
+        <span>days ahead · Priority</span>
+        <select
+          value={form.priority}
+          onChange={(e) => setField('priority', e.target.value)}
+          className={inputClass(darkMode)}
+        >
+          {[1, 2, 3, 4, 5].map(priority => (
+            <option key={priority} value={priority}>{priority}</option>
+          ))}
+        </select>
+        <span>Estimate (h)</span>
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={form.estimated_hours}
+          onChange={(e) => setField('estimated_hours', e.target.value)}
+          className={`w-20 ${inputClass(darkMode)}`}
+        />
+      </div>
+
+      <textarea
+        value={form.notes}
+        onChange={(e) => setField('notes', e.target.value)}
+        placeholder="Notes copied onto each task..."
+        rows={2}
+        className={`w-full resize-none ${inputClass(darkMode)}`}
+      />
+
+      <p className={`text-xs ${preview.error ? 'text-red-500' : (darkMode ? 'text-gray-400' : 'text-gray-600')}`}>
+        {preview.error || `${preview.description} · next: ${preview.dates.map(formatDate).join(', ') || 'none'}`}
+      </p>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`px-3 py-1 text-sm rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!form.title.trim() || !preview.rrule || saving}
+          className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary-hover disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : (series ? 'Update Series' : 'Create Series')}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+SeriesForm.propTypes = {
+  series: PropTypes.object,
+  darkMode: PropTypes.bool.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+// One upcoming occurrence with skip / edit / restore controls
+const OccurrenceRow = React.memo(function OccurrenceRow({ occurrence, darkMode, onSkip, onEdit, onRestore }) {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState(occurrence.title);
+  const [dueDate, setDueDate] = useState(occurrence.dueDate);
+
+  const buttonClass = `px-2 py-0.5 text-xs rounded ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`;
+
+  if (editing) {
+    return (
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="w-28">{formatDate(occurrence.date)}</span>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className={`flex-1 ${inputClass(darkMode)}`}
+        />
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          className={inputClass(darkMode)}
+        />
+        <button
+          onClick={async () => {
+            try {
+              await onEdit(occurrence.date, { title: title.trim(), due_date: dueDate });
+              setEditing(false);
+            } catch (error) {
+              // The error is already shown; keep the row open for another try
+            }
+          }}
+          disabled={!title.trim()}
+          className="px-2 py-0.5 text-xs bg-primary text-white rounded hover:bg-primary-hover disabled:opacity-50"
+        >
+          Save
+        </button>
+        <button onClick={() => setEditing(false)} className={buttonClass}>
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className="w-28">{formatDate(occurrence.date)}</span>
+      <span className={`flex-1 ${occurrence.skipped ? 'line-through opacity-60' : ''}`}>
+        {occurrence.title}
+        {occurrence.dueDate !== occurrence.date && ` (due ${formatDate(occurrence.dueDate)})`}
+      </span>
+      {occurrence.generated ? (
+        <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Created</span>
+      ) : (
+        <>
+          {(occurrence.skipped || occurrence.edited) && (
+            <button onClick={() => onRestore(occurrence.date)} className={buttonClass}>
+              Restore
+            </button>
+          )}
+          {!occurrence.skipped && (
+            <>
+              <button onClick={() => setEditing(true)} className={buttonClass}>
+                Edit
+              </button>
+              <button onClick={() => onSkip(occurrence.date)} className={`${buttonClass} text-red-500`}>
+                Skip
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+OccurrenceRow.propTypes = {
+  occurrence: PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    dueDate: PropTypes.string.isRequired,
+    skipped: PropTypes.bool.isRequired,
+    edited: PropTypes.bool.isRequired,
+    generated: PropTypes.bool.isRequired
+  }).isRequired,
+  darkMode: PropTypes.bool.isRequired,
+  onSkip: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired
+};
+
+/**
+ * ProjectRecurringTasks - Manage recurring task series for a project
+ *
+ * Generates any due occurrences when opened, then lists each series with its upcoming
+ * dates so single occurrences can be skipped or edited before they are created.
+ */
+function ProjectRecurringTasks({ projectId, customerId = null, onTasksGenerated = () => {} }) {
+  const { darkMode } = useTheme();
+  const { showError, showSuccess } = useSnackBar();
+  const [seriesList, setSeriesList] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+  const [editingSeries, setEditingSeries] = useState(null); // series object, 'new' or null
+
+  // Kept in a ref so a new callback identity does not trigger another generation run
+  const onTasksGeneratedRef = useRef(onTasksGenerated);
+  onTasksGeneratedRef.current = onTasksGenerated;
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { created, failures, series } = await generateRecurringTasks(projectId);
+      setSeriesList(series);
+      if (created.length > 0) {
+        showSuccess(`Created ${created.length} recurring task${created.length === 1 ? '' : 's'}`);
+        onTasksGeneratedRef.current(created);
+      }
+      if (failures.length > 0) {
+        showError(`Some recurring tasks could not be created: ${failures[0].error}`);
+      }
+    } catch (error) {
+      console.error('Error generating recurring tasks:', error);
+      showError(`Failed to load recurring tasks: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId, showError, showSuccess]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) showSuccess(successMessage);
+      await refresh();
+    } catch (error) {
+      console.error('Recurring task action failed:', error);
+      showError(error.message);
+      throw error;
+    }
+  };
+
+  const handleSave = (data) => runAction(async () => {
+    const isNew = editingSeries === 'new';
+    await saveRecurringTask(
+      isNew ? { ...data, project_id: projectId, customer_id: customerId } : data,
+      isNew ? null : editingSeries.id
+    );
+    setEditingSeries(null);
+  }, 'Recurring task saved').catch(() => {});
+
+  const todayKey = toLocalDateKey();
+
+  return (
+    <div className={`rounded-lg border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+      <div className="flex justify-between items-center p-3">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm font-medium"
+        >
+          {expanded ? '▾' : '▸'} Recurring Tasks ({seriesList.length})
+        </button>
+        {expanded && !editingSeries && (
+          <button
+            onClick={() => setEditingSeries('new')}
+            className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary-hover"
+          >
+            New Series
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-3">
+          {editingSeries && (
+            <SeriesForm
+              series={editingSeries === 'new' ? null : editingSeries}
+              darkMode={darkMode}
+              onSave={handleSave}
+              onCancel={() => setEditingSeries(null)}
+            />
+          )}
+
+          {loading && !seriesList.length && (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>Loading recurring tasks...</p>
+          )}
+          {!loading && !seriesList.length && !editingSeries && (
+            <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              No recurring tasks. Create a series for work that repeats, like monthly maintenance.
+            </p>
+          )}
+
+          {seriesList.map(series => {
+            let description;
+            let occurrences = [];
+            try {
+              description = describeRRule(series.rrule);
+              occurrences = getSeriesOccurrences(series, {
+                from: series.start_date > todayKey ? series.start_date : todayKey,
+                limit: UPCOMING_OCCURRENCES
+              });
+            } catch (error) {
+              description = `Invalid rule: ${error.message}`;
+            }
+
+            return (
+              <div
+                key={series.id}
+                className={`p-3 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`}
+              >
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <h4 className={`font-medium ${series.is_active === false ? 'opacity-60' : ''}`}>
+                      {series.title}
+                      {series.is_active === false && ' (paused)'}
+                    </h4>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {description}
+                      {series.lead_days > 0 && ` · created ${series.lead_days} days ahead`}
+                    </p>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => setEditingSeries(series)}
+                      className={`px-2 py-0.5 text-xs rounded ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => runAction(
+                        () => setRecurringTaskActive(series, series.is_active === false),
+                        series.is_active === false ? 'Series resumed' : 'Series paused'
+                      ).catch(() => {})}
+                      className={`px-2 py-0.5 text-xs rounded ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+                    >
+                      {series.is_active === false ? 'Resume' : 'Pause'}
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm('Delete this recurring series? Tasks already created are kept.')) {
+                          runAction(() => removeRecurringTask(series.id), 'Series deleted').catch(() => {});
+                        }
+                      }}
+                      className={`px-2 py-0.5 text-xs rounded text-red-500 ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-red-50'}`}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <div className="space-y-1">
+                  {occurrences.map(occurrence => (
+                    <OccurrenceRow
+                      key={`${occurrence.date}-${occurrence.title}-${occurrence.dueDate}`}
+                      occurrence={occurrence}
+                      darkMode={darkMode}
+                      onSkip={(date) => runAction(() => skipOccurrence(series, date)).catch(() => {})}
+                      onEdit={(date, overrides) => runAction(() => editOccurrence(series, date, overrides))}
+                      onRestore={(date) => runAction(() => restoreOccurrence(series, date)).catch(() => {})}
+                    />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ProjectRecurringTasks.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  customerId: PropTypes.string,
+  onTasksGenerated: PropTypes.func
+};
+
+export default React.memo(ProjectRecurringTasks);
@@ -1,29 +1,48 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import TaskList from '../tasks/TaskList';
+import ProjectRecurringTasks from './ProjectRecurringTasks';
 
 function ProjectTasksTab({
   projectId,
+  customerId = null,
   tasks = [],
   onTaskSelect = () => {},
   onTaskStatusChange = () => {},
   onTaskCreate = () => {},
   onTaskUpdate = () => {}
 }) {
+  // TaskList owns its task state, so remount it to pick up generated occurrences
+  const [taskListKey, setTaskListKey] = useState(0);
+
+  const handleTasksGenerated = useCallback(() => {
+    setTaskListKey(prev => prev + 1);
+  }, []);
+
   return (
-    <TaskList
-      tasks={tasks}
-      projectId={projectId}
-      onTaskSelect={onTaskSelect}
-      onTaskStatusChange={onTaskStatusChange}
-      onTaskCreate={onTaskCreate}
-      onTaskUpdate={onTaskUpdate}
-    />
+    <div className="space-y-4">
+      <ProjectRecurringTasks
+        projectId={projectId}
+        customerId={customerId}
+        onTasksGenerated={handleTasksGenerated}
+      />
+      <TaskList
+        key={taskListKey}
+        tasks={tasks}
+        projectId={projectId}
+        customerId={customerId}
+        onTaskSelect={onTaskSelect}
+        onTaskStatusChange={onTaskStatusChange}
+        onTaskCreate={onTaskCreate}
+        onTaskUpdate={onTaskUpdate}
+      />
+    </div>
   );
 }
 
 ProjectTasksTab.propTypes = {
   projectId: PropTypes.string.isRequired,
+  customerId: PropTypes.string,
   tasks: PropTypes.arrayOf(PropTypes.object),
   onTaskSelect: PropTypes.func,
   onTaskStatusChange: PropTypes.func,
@@ -31,4 +50,4 @@ ProjectTasksTab.propTypes = {
   onTaskUpdate: PropTypes.func
 };
 
-export default React.memo(ProjectTasksTab);
\ No newline at end of file
+export default React.memo(ProjectTasksTab);
@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import { getAllStaff } from '../../services/teamService';
+import {
+  TIMESHEET_STATUS,
+  getWeekStart,
+  fetchWeekEntries,
+  buildTimesheetGrid,
+  isTimesheetEditable,
+  canReviewTimesheets,
+  saveTimesheetCell,
+  copyLastWeek,
+  submitTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+  getUnbilledApprovedEntries,
+  createMissingFinancialRecords
+} from '../../services/timesheetService';
+
+const STATUS_STYLES = {
+  [TIMESHEET_STATUS.DRAFT]: 'bg-gray-100 text-gray-700',
+  [TIMESHEET_STATUS.SUBMITTED]: 'bg-blue-100 text-blue-800',
+  [TIMESHEET_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [TIMESHEET_STATUS.REJECTED]: 'bg-red-100 text-red-800'
+};
+
+const formatDayHeader = (day) => new Date(`${day}T00:00:00`).toLocaleDateString([], {
+  weekday: 'short',
+  day: 'numeric'
+});
+
+// Editable hours cell - saves on blur when the value changed
+const TimesheetCell = React.memo(function TimesheetCell({ hours, editable, darkMode, onSave }) {
+  const [value, setValue] = useState(hours ? String(hours) : '');
+
+  useEffect(() => {
+    setValue(hours ? String(hours) : '');
+  }, [hours]);
+
+  if (!editable) {
+    return <span>{hours ? hours.toFixed(1) : '-'}</span>;
+  }
+
+  const handleBlur = () => {
+    const newHours = value.trim() === '' ? 0 : parseFloat(value);
+    if (newHours !== hours) {
+      onSave(newHours).catch(() => setValue(hours ? String(hours) : ''));
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      min="0"
+      max="24"
+      step="0.1"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={handleBlur}
+      className={`
+        w-16 px-1 py-0.5 text-right rounded border
+        ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+      `}
+    />
+  );
+});
+
+TimesheetCell.propTypes = {
+  hours: PropTypes.number.isRequired,
+  editable: PropTypes.bool.isRequired,
+  darkMode: PropTypes.bool.isRequired,
+  onSave: PropTypes.func.isRequired
+};
+
+function ProjectTimesheetTab({ project, tasks = [], darkMode }) {
+  const { user } = useAppState();
+  const { showError, showSuccess } = useSnackBar();
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [entries, setEntries] = useState([]);
+  const [staffNames, setStaffNames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  const currentStaffId = user?.userID || null;
+  const isReviewer = canReviewTimesheets(user);
+
+  const loadEntries = useCallback(async () => {
+    if (!tasks.length) {
+      setEntries([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      // Reviewers see everyone's time on the project, staff only their own
+      setEntries(await fetchWeekEntries(tasks, weekStart, isReviewer ? null : currentStaffId));
+    } catch (error) {
+      console.error('Error loading timesheet:', error);
+      showError(`Failed to load timesheet: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [tasks, weekStart, isReviewer, currentStaffId, showError]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  useEffect(() => {
+    getAllStaff()
+      .then(staff => setStaffNames(Object.fromEntries(staff.map(member => [member.id, member.name]))))
+      .catch(error => console.error('Error loading staff for timesheet:', error));
+  }, []);
+
+  const grid = useMemo(
+    () => buildTimesheetGrid(entries, tasks, weekStart, { staffIds: [currentStaffId] }),
+    [entries, tasks, weekStart, currentStaffId]
+  );
+
+  const changeWeek = (weeks) => {
+    setWeekStart(prev => {
+      const next = new Date(prev);
+      next.setDate(next.getDate() + weeks * 7);
+      return next;
+    });
+  };
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      if (successMessage) {
+        showSuccess(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      }
+      await loadEntries();
+    } catch (error) {
+      console.error('Timesheet action failed:', error);
+      showError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCellSave = async (sheet, row, day, hours) => {
+    try {
+      await saveTimesheetCell({
+        task: row.task,
+        staffId: sheet.staffId,
+        date: day,
+        hours,
+        entries: row.cells[day].entries
+      });
+      await loadEntries();
+    } catch (error) {
+      showError(error.message);
+      throw error;
+    }
+  };
+
+  const handleApprove = (sheet) => runAction(
+    () => approveTimesheet(sheet.entries, user?.supabaseOrgID),
+    (result) => result.failures.length
+      ? `Timesheet approved, but ${result.failures.length} financial record(s) could not be created`
+      : 'Timesheet approved'
+  );
+
+  const handleCreateMissingRecords = (sheet) => runAction(
+    () => createMissingFinancialRecords(sheet.entries, user?.supabaseOrgID),
+    (result) => result.failures.length
+      ? `${result.failures.length} financial record(s) still could not be created: ${result.failures[0].error}`
+      : result.financialRecords.length
+        ? `Created ${result.financialRecords.length} missing financial record(s)`
+        : 'No financial records were missing'
+  );
+
+  const handleReject = (sheet) => runAction(async () => {
+    await rejectTimesheet(sheet.entries, rejectReason);
+    setRejecting(null);
+    setRejectReason('');
+  }, 'Timesheet sent back for changes');
+
+  const weekLabel = weekStart.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+  const secondaryButton = `px-3 py-1 rounded-md text-sm ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Week of {weekLabel}</h3>
+        <div className="flex space-x-2">
+          <button onClick={() => changeWeek(-1)} className={secondaryButton}>← Previous</button>
+          <button onClick={() => setWeekStart(getWeekStart())} className={secondaryButton}>This Week</button>
+          <button onClick={() => changeWeek(1)} className={secondaryButton}>Next →</button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : grid.sheets.length === 0 ? (
+        <div className={`text-center py-6 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          No time recorded for {project?.projectName || project?.name || 'this project'} this week
+        </div>
+      ) : (
+        grid.sheets.map(sheet => {
+          const isOwnSheet = sheet.staffId === currentStaffId;
+          const editable = isOwnSheet && isTimesheetEditable(sheet.status);
+          const rejectionReason = sheet.entries.find(entry => entry.rejectionReason)?.rejectionReason;
+
+          return (
+            <div
+              key={sheet.staffId || 'unassigned'}
+              className={`mb-6 p-4 rounded-lg border ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+            >
+              <div className="flex justify-between items-center mb-3">
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium">
+                    {isOwnSheet ? 'My Timesheet' : (staffNames[sheet.staffId] || 'Unknown staff')}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[sheet.status]}`}>
+                    {sheet.status}
+                  </span>
+                </div>
+                <div className="flex space-x-2">
+                  {editable && (
+                    <button
+                      onClick={() => runAction(
+                        () => copyLastWeek(tasks, weekStart, sheet.staffId),
+                        (count) => count ? `Copied ${count} entries from last week` : 'Nothing to copy from last week'
+                      )}
+                      disabled={busy}
+                      className={secondaryButton}
+                    >
+                      Copy Last Week
+                    </button>
+                  )}
+                  {editable && sheet.entries.length > 0 && (
+                    <button
+                      onClick={() => runAction(() => submitTimesheet(sheet.entries), 'Timesheet submitted for approval')}
+                      disabled={busy}
+                      className="px-3 py-1 rounded-md text-sm bg-primary text-white hover:bg-primary-hover"
+                    >
+                      Submit
+                    </button>
+                  )}
+                  {isReviewer && sheet.status === TIMESHEET_STATUS.SUBMITTED && (
+                    <>
+                      <button
+                        onClick={() => setRejecting(sheet.staffId)}
+                        disabled={busy}
+                        className="px-3 py-1 rounded-md text-sm bg-red-600 text-white hover:bg-red-700"
+                      >
+                        Reject
+                      </button>
+                      <button
+                        onClick={() => handleApprove(sheet)}
+                        disabled={busy}
+                        className="px-3 py-1 rounded-md text-sm bg-green-600 text-white hover:bg-green-700"
+                      >
+                        Approve
+                      </button>
+                    </>
+                  )}
+                  {isReviewer && sheet.status === TIMESHEET_STATUS.APPROVED && getUnbilledApprovedEntries(sheet.entries).length > 0 && (
+                    <button
+                      onClick={() => handleCreateMissingRecords(sheet)}
+                      disabled={busy}
+                      className={secondaryButton}
+                    >
+                      Create Missing Records
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {sheet.status === TIMESHEET_STATUS.REJECTED && rejectionReason && (
+                <div className="mb-3 p-2 rounded-md text-sm bg-red-50 text-red-800">
+                  Returned for changes: {rejectionReason}
+                </div>
+              )}
+
+              {rejecting === sheet.staffId && (
+                <div className="flex mb-3 space-x-2">
+                  <input
+                    type="text"
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    placeholder="Reason for rejection"
+                    className={`
+                      flex-1 px-2 py-1 rounded-md border text-sm
+                      ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'}
+                    `}
+                  />
+                  <button onClick={() => setRejecting(null)} className={secondaryButton}>Cancel</button>
+                  <button
+                    onClick={() => handleReject(sheet)}
+                    disabled={busy || !rejectReason.trim()}
+                    className="px-3 py-1 rounded-md text-sm bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Send Back
+                  </button>
+                </div>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+                      <th className="text-left py-1 pr-4">Task</th>
+                      {grid.days.map(day => (
+                        <th key={day} className="text-right py-1 px-2">{formatDayHeader(day)}</th>
+                      ))}
+                      <th className="text-right py-1 pl-2">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sheet.rows.map(row => (
+                      <tr key={row.task.id} className={`border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <td className="py-1 pr-4">{row.task.task || row.task.title}</td>
+                        {grid.days.map(day => (
+                          <td key={day} className="text-right py-1 px-2">
+                            <TimesheetCell
+                              hours={row.cells[day].hours}
+                              editable={editable}
+                              darkMode={darkMode}
+                              onSave={(hours) => handleCellSave(sheet, row, day, hours)}
+                            />
+                          </td>
+                        ))}
+                        <td className="text-right py-1 pl-2 font-medium">{row.total.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className={`border-t font-medium ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                      <td className="py-1 pr-4">Total</td>
+                      {grid.days.map(day => (
+                        <td key={day} className="text-right py-1 px-2">{sheet.dayTotals[day].toFixed(1)}</td>
+                      ))}
+                      <td className="text-right py-1 pl-2">{sheet.total.toFixed(1)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+ProjectTimesheetTab.propTypes = {
+  project: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    projectName: PropTypes.string
+  }).isRequired,
+  tasks: PropTypes.arrayOf(PropTypes.object),
+  darkMode: PropTypes.bool.isRequired
+};
+
+export default React.memo(ProjectTimesheetTab);
@@ -165,17 +165,22 @@ const LightboxInfo = styled.div`
  * @param {Array} props.concepts - Array of concept objects
  * @param {Object} props.repositoryConfig - Optional GitHub repository configuration
  * @param {boolean} props.darkMode - Optional dark mode flag
+ * @param {Function} props.onConceptView - Optional callback (conceptId, isOpen) when a concept is opened or closed
  */
-const ConceptGallery = ({ concepts, repositoryConfig, darkMode }) => {
+const ConceptGallery = ({ concepts, repositoryConfig, darkMode, onConceptView }) => {
   const [lightboxConcept, setLightboxConcept] = useState(null)
   
   const openLightbox = useCallback((concept) => {
     setLightboxConcept(concept)
-  }, [])
+    onConceptView?.(concept.id, true)
+  }, [onConceptView])
   
   const closeLightbox = useCallback(() => {
+    if (lightboxConcept) {
+      onConceptView?.(lightboxConcept.id, false)
+    }
     setLightboxConcept(null)
-  }, [])
+  }, [lightboxConcept, onConceptView])
   
   const handleKeyDown = useCallback((event) => {
     if (event.key === 'Escape') {
@@ -336,7 +341,8 @@ ConceptGallery.propTypes = {
     owner: PropTypes.string.isRequired,
     repo: PropTypes.string.isRequired
   }),
-  darkMode: PropTypes.bool
+  darkMode: PropTypes.bool,
+  onConceptView: PropTypes.func
 }
 
 export default ConceptGallery
\ No newline at end of file
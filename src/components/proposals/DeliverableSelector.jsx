@@ -165,13 +165,15 @@ const SelectionSummary = styled.div`
  * @param {Function} props.onToggleDeliverable - Callback for toggling deliverable selection
  * @param {number} props.totalPrice - Current total price
  * @param {Function} props.formatCurrency - Currency formatting function
+ * @param {Function} props.onDeliverableFocus - Optional callback (deliverableId, isFocused) as a deliverable is hovered or focused
  */
 const DeliverableSelector = ({ 
   deliverables, 
   selectedDeliverables, 
   onToggleDeliverable, 
   totalPrice,
-  formatCurrency 
+  formatCurrency,
+  onDeliverableFocus
 }) => {
   const handleToggle = useCallback((deliverableId, isRequired) => {
     if (!isRequired) {
@@ -179,6 +181,16 @@ const DeliverableSelector = ({
     }
   }, [onToggleDeliverable])
   
+  const focusHandlers = useCallback((deliverableId) => {
+    if (!onDeliverableFocus) return {}
+    return {
+      onMouseEnter: () => onDeliverableFocus(deliverableId, true),
+      onMouseLeave: () => onDeliverableFocus(deliverableId, false),
+      onFocus: () => onDeliverableFocus(deliverableId, true),
+      onBlur: () => onDeliverableFocus(deliverableId, false)
+    }
+  }, [onDeliverableFocus])
+  
   const selectedDeliverablesData = useMemo(() => {
     return deliverables.filter(d => selectedDeliverables.includes(d.id))
   }, [deliverables, selectedDeliverables])
@@ -232,6 +244,7 @@ const DeliverableSelector = ({
                   key={deliverable.id}
                   isSelected={true}
                   isRequired={true}
+                  {...focusHandlers(deliverable.id)}
                 >
                   <DeliverableHeader>
                     <Checkbox
@@ -291,6 +304,7 @@ const DeliverableSelector = ({
                     key={deliverable.id}
                     isSelected={isSelected}
                     isRequired={false}
+                    {...focusHandlers(deliverable.id)}
                     onClick={() => handleToggle(deliverable.id, false)}
                     role="button"
                     tabIndex={0}
@@ -413,7 +427,8 @@ DeliverableSelector.propTypes = {
   selectedDeliverables: PropTypes.arrayOf(PropTypes.string).isRequired,
   onToggleDeliverable: PropTypes.func.isRequired,
   totalPrice: PropTypes.number.isRequired,
-  formatCurrency: PropTypes.func.isRequired
+  formatCurrency: PropTypes.func.isRequired,
+  onDeliverableFocus: PropTypes.func
 }
 
 export default DeliverableSelector
@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import { createProposalDeliverable, updateProposalDeliverable, deleteProposalDeliverable } from '../../api/proposalExtended';
 import { useAppState } from '../../context/AppStateContext';
+import { createDeliverableFromProduct } from '../../services/productService';
 
 const Container = styled.div`
   background: ${props => props.theme.colors.background.secondary};
@@ -338,44 +339,6 @@ const EmptyIcon = styled.div`
   opacity: 0.5;
 `;
 
-function productSnapshot(product) {
-  const metadata = product.product_metadata || product.metadata || {};
-  return {
-    product_id: product.id,
-    name: product.name,
-    description: product.description || '',
-    price: Number(product.price || 0),
-    is_subscription: Boolean(product.is_subscription),
-    subscription_frequency: product.subscription_frequency || null,
-    included_units: Number(product.included_units || 0),
-    unit_type: product.unit_type || null,
-    overage_rate: product.overage_rate ?? null,
-    is_one_time: Boolean(product.is_one_time),
-    product_metadata: metadata
-  };
-}
-
-function deliverableFromProduct(product, order) {
-  const snapshot = productSnapshot(product);
-  const billingInterval = snapshot.subscription_frequency || 'monthly';
-
-  return {
-    id: crypto.randomUUID(),
-    product_id: product.id,
-    product_snapshot: snapshot,
-    title: product.name,
-    description: product.description || '',
-    price: snapshot.price,
-    type: snapshot.is_subscription ? 'subscription' : 'fixed',
-    estimated_time: 0,
-    billing_interval: billingInterval,
-    subscription_duration_months: null,
-    selection_group: '',
-    is_required: false,
-    order
-  };
-}
-
 /**
  * DeliverablesTab Component
  * Manages proposal deliverables with support for fixed, hourly, and subscription types
@@ -462,7 +425,7 @@ const DeliverablesTab = ({ deliverables = [], onChange, onCancel, proposalId })
     const product = products.find(item => item.id === selectedProductId);
     if (!product) return;
 
-    const newDeliverable = deliverableFromProduct(product, deliverables.length);
+    const newDeliverable = createDeliverableFromProduct(product, deliverables.length);
     setSelectedProductId('');
 
     if (!proposalId) {
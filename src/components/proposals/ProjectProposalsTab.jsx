@@ -5,6 +5,7 @@ import { fetchProposalsForProject } from '../../api/proposals';
 import { processProposalData, validateProposalData, createCompleteProposal } from '../../services/proposalService';
 import { parseGitHubUrl } from '../../utils/githubUtils';
 import ProposalCreationFormEnhanced from './ProposalCreationFormEnhanced';
+import ProposalEngagementPanel from './ProposalEngagementPanel';
 
 /**
  * ProposalCard component - displays a proposal as a card similar to ProjectCard
@@ -13,8 +14,9 @@ import ProposalCreationFormEnhanced from './ProposalCreationFormEnhanced';
  * @param {boolean} props.darkMode - Dark mode flag
  * @param {Function} props.onSelect - Callback when card is clicked
  * @param {Function} props.onViewClientLink - Callback to view client link
+ * @param {Function} props.onViewEngagement - Callback to view customer engagement
  */
-function ProposalCard({ proposal, darkMode, onSelect, onViewClientLink }) {
+function ProposalCard({ proposal, darkMode, onSelect, onViewClientLink, onViewEngagement }) {
   // Get status badge color
   const getStatusColor = (status) => {
     switch (status?.toLowerCase()) {
@@ -88,14 +90,14 @@ function ProposalCard({ proposal, darkMode, onSelect, onViewClientLink }) {
 
       {/* Action buttons */}
       {proposal.access_token && (
-        <div className="mt-3 pt-3 border-t border-gray-700">
+        <div className="mt-3 pt-3 border-t border-gray-700 flex gap-2">
           <button
             onClick={(e) => {
               e.stopPropagation();
               onViewClientLink(proposal);
             }}
             className={`
-              w-full px-3 py-2 text-sm rounded-md transition-colors
+              flex-1 px-3 py-2 text-sm rounded-md transition-colors
               ${darkMode
                 ? 'bg-blue-700 hover:bg-blue-600 text-white'
                 : 'bg-blue-500 hover:bg-blue-600 text-white'}
@@ -103,6 +105,22 @@ function ProposalCard({ proposal, darkMode, onSelect, onViewClientLink }) {
           >
             View Client Link
           </button>
+          {proposal.status !== 'draft' && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onViewEngagement(proposal);
+              }}
+              className={`
+                flex-1 px-3 py-2 text-sm rounded-md transition-colors
+                ${darkMode
+                  ? 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+                  : 'bg-gray-100 hover:bg-gray-200 text-gray-800'}
+              `}
+            >
+              Engagement
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -122,7 +140,8 @@ ProposalCard.propTypes = {
   }).isRequired,
   darkMode: PropTypes.bool.isRequired,
   onSelect: PropTypes.func.isRequired,
-  onViewClientLink: PropTypes.func.isRequired
+  onViewClientLink: PropTypes.func.isRequired,
+  onViewEngagement: PropTypes.func.isRequired
 };
 
 /**
@@ -145,6 +164,7 @@ function ProjectProposalsTab({ project, darkMode, localProject}) {
   const [proposals, setProposals] = useState([]);
   const [selectedProposal, setSelectedProposal] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
+  const [engagementProposal, setEngagementProposal] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -218,6 +238,11 @@ function ProjectProposalsTab({ project, darkMode, localProject}) {
     window.open(clientUrl, '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
   }, []);
 
+  const handleViewEngagement = useCallback((proposal) => {
+    setEngagementProposal(proposal);
+    setError(null);
+  }, []);
+
 
   if (loading) {
     return (
@@ -260,12 +285,28 @@ function ProjectProposalsTab({ project, darkMode, localProject}) {
             setIsEditing(false);
             setSelectedProposal(null);
           }}
+          onTemplateApplied={(createdProposal) => {
+            // Keep editing the proposal the template created
+            setProposals(prev => [createdProposal, ...prev]);
+            setSelectedProposal(createdProposal);
+          }}
           onCancel={handleCancel}
         />
       </div>
     );
   }
 
+  // Show how the customer has engaged with a proposal
+  if (engagementProposal) {
+    return (
+      <ProposalEngagementPanel
+        proposal={engagementProposal}
+        darkMode={darkMode}
+        onClose={() => setEngagementProposal(null)}
+      />
+    );
+  }
+
   // Show list of proposals
   return (
     <div>
@@ -309,6 +350,7 @@ function ProjectProposalsTab({ project, darkMode, localProject}) {
               darkMode={darkMode}
               onSelect={handleSelectProposal}
               onViewClientLink={handleViewClientLink}
+              onViewEngagement={handleViewEngagement}
             />
           ))}
         </div>
@@ -1,6 +1,12 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useMemo } from 'react'
 import PropTypes from 'prop-types'
 import styled from 'styled-components'
+import SignaturePad from './SignaturePad'
+import {
+  SIGNATURE_METHODS,
+  SIGNATURE_CONSENT_TEXT,
+  validateSignature
+} from '../../services/proposalSignatureService'
 
 const ApprovalContainer = styled.div`
   background: ${props => props.theme?.colors?.background?.secondary || '#f8f9fa'};
@@ -158,6 +164,54 @@ const CustomerFields = styled.div`
   }
 `
 
+const SignatureSection = styled.div`
+  margin-bottom: 24px;
+  text-align: left;
+
+  h4 {
+    margin: 0 0 12px 0;
+    font-size: 15px;
+    color: ${props => props.theme?.colors?.text?.primary || '#212529'};
+  }
+
+  input[type="text"] {
+    width: 100%;
+    border: 1px solid ${props => props.theme?.colors?.border || '#dee2e6'};
+    border-radius: 6px;
+    padding: 10px 12px;
+    font-size: 15px;
+    color: ${props => props.theme?.colors?.text?.primary || '#212529'};
+    background: ${props => props.theme?.colors?.background?.primary || '#ffffff'};
+  }
+`
+
+const MethodToggle = styled.div`
+  display: inline-flex;
+  margin-bottom: 12px;
+  border: 1px solid ${props => props.theme?.colors?.border || '#dee2e6'};
+  border-radius: 6px;
+  overflow: hidden;
+`
+
+const MethodButton = styled.button`
+  background: ${props => props.$isActive ? (props.theme?.colors?.primary || '#007bff') : 'transparent'};
+  color: ${props => props.$isActive ? '#ffffff' : (props.theme?.colors?.text?.primary || '#212529')};
+  border: none;
+  padding: 8px 16px;
+  font-size: 14px;
+  cursor: pointer;
+`
+
+const TypedPreview = styled.div`
+  margin-top: 8px;
+  min-height: 48px;
+  padding: 8px 12px;
+  border-bottom: 1px solid ${props => props.theme?.colors?.borderDark || '#ced4da'};
+  font-family: 'Brush Script MT', 'Segoe Script', cursive;
+  font-size: 32px;
+  color: #1a1a2e;
+`
+
 const TermsText = styled.div`
   font-size: 12px;
   color: ${props => props.theme?.colors?.text?.secondary || '#6c757d'};
@@ -202,12 +256,12 @@ const LoadingSpinner = styled.div`
 
 /**
  * Proposal Approval Component
- * Handles the final approval workflow for proposals
+ * Handles the final approval workflow for proposals, including the e-signature
  * @param {Object} props - Component props
  * @param {Object} props.proposal - Proposal data
  * @param {Array} props.selectedDeliverables - Selected deliverables
  * @param {number} props.totalPrice - Total price
- * @param {Function} props.onApprove - Approval callback
+ * @param {Function} props.onApprove - Approval callback, called with the signature (see validateSignature)
  * @param {boolean} props.isApproving - Loading state
  * @param {Function} props.formatCurrency - Currency formatting function
  */
@@ -220,21 +274,34 @@ const ProposalApproval = ({
   formatCurrency 
 }) => {
   const [isConfirmed, setIsConfirmed] = useState(false)
-  const [customerName, setCustomerName] = useState('')
-  const [customerEmail, setCustomerEmail] = useState('')
+  const [signerName, setSignerName] = useState('')
+  const [signerTitle, setSignerTitle] = useState('')
+  const [signerEmail, setSignerEmail] = useState('')
+  const [method, setMethod] = useState(SIGNATURE_METHODS.TYPED)
+  const [typedName, setTypedName] = useState('')
+  const [drawnImage, setDrawnImage] = useState(null)
   
   const handleConfirmationChange = useCallback((event) => {
     setIsConfirmed(event.target.checked)
   }, [])
   
+  const signature = useMemo(() => ({
+    signerName,
+    signerTitle,
+    signerEmail,
+    method,
+    typedName: method === SIGNATURE_METHODS.TYPED ? typedName : '',
+    image: method === SIGNATURE_METHODS.DRAWN ? drawnImage : null,
+    consented: isConfirmed
+  }), [signerName, signerTitle, signerEmail, method, typedName, drawnImage, isConfirmed])
+  
+  const signatureErrors = useMemo(() => validateSignature(signature), [signature])
+  
   const handleApprove = useCallback(() => {
-    if (isConfirmed && !isApproving && customerName.trim() && customerEmail.trim()) {
-      onApprove({
-        customerName: customerName.trim(),
-        customerEmail: customerEmail.trim()
-      })
+    if (signatureErrors.length === 0 && !isApproving) {
+      onApprove(signature)
     }
-  }, [isConfirmed, isApproving, onApprove, customerName, customerEmail])
+  }, [signatureErrors, isApproving, onApprove, signature])
   
   const depositAmount = totalPrice * 0.5
   const remainingAmount = totalPrice - depositAmount
@@ -304,28 +371,77 @@ const ProposalApproval = ({
 
       <CustomerFields>
         <div>
-          <label htmlFor="proposal-customer-name">Your name</label>
+          <label htmlFor="proposal-customer-name">Full name</label>
           <input
             id="proposal-customer-name"
             type="text"
-            value={customerName}
-            onChange={(event) => setCustomerName(event.target.value)}
+            value={signerName}
+            onChange={(event) => setSignerName(event.target.value)}
             disabled={isApproving}
             autoComplete="name"
           />
         </div>
         <div>
-          <label htmlFor="proposal-customer-email">Email for receipt</label>
+          <label htmlFor="proposal-signer-title">Title</label>
+          <input
+            id="proposal-signer-title"
+            type="text"
+            value={signerTitle}
+            onChange={(event) => setSignerTitle(event.target.value)}
+            disabled={isApproving}
+            autoComplete="organization-title"
+          />
+        </div>
+        <div>
+          <label htmlFor="proposal-customer-email">Email for receipt and signed certificate</label>
           <input
             id="proposal-customer-email"
             type="email"
-            value={customerEmail}
-            onChange={(event) => setCustomerEmail(event.target.value)}
+            value={signerEmail}
+            onChange={(event) => setSignerEmail(event.target.value)}
             disabled={isApproving}
             autoComplete="email"
           />
         </div>
       </CustomerFields>
+
+      <SignatureSection>
+        <h4>Signature</h4>
+        <MethodToggle role="group" aria-label="Signature method">
+          <MethodButton
+            type="button"
+            $isActive={method === SIGNATURE_METHODS.TYPED}
+            onClick={() => setMethod(SIGNATURE_METHODS.TYPED)}
+            disabled={isApproving}
+          >
+            Type
+          </MethodButton>
+          <MethodButton
+            type="button"
+            $isActive={method === SIGNATURE_METHODS.DRAWN}
+            onClick={() => setMethod(SIGNATURE_METHODS.DRAWN)}
+            disabled={isApproving}
+          >
+            Draw
+          </MethodButton>
+        </MethodToggle>
+
+        {method === SIGNATURE_METHODS.TYPED ? (
+          <>
+            <input
+              type="text"
+              value={typedName}
+              onChange={(event) => setTypedName(event.target.value)}
+              disabled={isApproving}
+              placeholder="Type your full name"
+              aria-label="Typed signature"
+            />
+            <TypedPreview aria-hidden="true">{typedName}</TypedPreview>
+          </>
+        ) : (
+          <SignaturePad onChange={setDrawnImage} disabled={isApproving} />
+        )}
+      </SignatureSection>
       
       <ConfirmationCheckbox>
         <input
@@ -336,15 +452,14 @@ const ProposalApproval = ({
           disabled={isApproving}
         />
         <label htmlFor="approval-confirmation">
-          I have reviewed the selected deliverables and agree to the terms and conditions. 
-          I authorize Clarity Business Solutions to proceed with this project.
+          {SIGNATURE_CONSENT_TEXT}
         </label>
       </ConfirmationCheckbox>
       
       <ApprovalButton
         onClick={handleApprove}
-        disabled={!isConfirmed || isApproving || !customerName.trim() || !customerEmail.trim()}
-        aria-label={isApproving ? 'Processing approval...' : 'Approve proposal'}
+        disabled={signatureErrors.length > 0 || isApproving}
+        aria-label={isApproving ? 'Processing approval...' : 'Sign and approve proposal'}
       >
         {isApproving ? (
           <LoadingSpinner>
@@ -352,7 +467,7 @@ const ProposalApproval = ({
             Processing...
           </LoadingSpinner>
         ) : (
-          `Accept & Pay Deposit - ${formatCurrency(depositAmount)}`
+          `Sign & Pay Deposit - ${formatCurrency(depositAmount)}`
         )}
       </ApprovalButton>
       
@@ -362,8 +477,9 @@ const ProposalApproval = ({
         marginTop: '16px',
         lineHeight: 1.4 
       }}>
-        By clicking "Approve Proposal", you are entering into a binding agreement 
-        with Clarity Business Solutions for the selected deliverables and total amount shown above.
+        By signing, you are entering into a binding agreement with Clarity Business Solutions
+        for the selected deliverables and total amount shown above. Your signature, the time,
+        your browser and IP address are recorded, and a signed certificate is emailed to you.
       </p>
     </ApprovalContainer>
   )
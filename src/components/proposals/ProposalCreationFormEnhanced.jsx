@@ -7,6 +7,11 @@ import styled from 'styled-components';
 import { useAppState } from '../../context/AppStateContext';
 import { fetchProposalRequests } from '../../api/proposalExtended';
 import { FIELD_LIMITS } from '../../utils/inputSanitization';
+import { extractPrimaryContact } from '../../services/customerService';
+import { buildProposalSnapshot, loadProposalVersions, sendProposal } from '../../services/proposalVersionService';
+import ProposalReminders from './ProposalReminders';
+import ProposalTemplatePicker from './ProposalTemplatePicker';
+import { buildTemplateVariables, createProposalFromTemplate, saveProposalAsTemplate } from '../../services/proposalTemplateService';
 
 const Container = styled.div`
   max-width: 1200px;
@@ -210,6 +215,27 @@ const SubmitButton = styled.button`
   }
 `;
 
+const SendButton = styled.button`
+  background: ${props => props.theme.colors.success};
+  color: ${props => props.theme.colors.text.inverse};
+  border: none;
+  border-radius: ${props => props.theme.radius.md};
+  padding: 12px 32px;
+  font-size: 15px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: ${props => props.theme.transitions.base};
+
+  &:hover:not(:disabled) {
+    background: ${props => props.theme.colors.successDark};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
 const CancelButton = styled.button`
   background: transparent;
   color: ${props => props.theme.colors.text.secondary};
@@ -237,28 +263,43 @@ const CancelButton = styled.button`
  * @param {Object} props.repositoryConfig - Optional GitHub repository configuration
  * @param {boolean} props.darkMode - Optional dark mode flag
  * @param {Function} props.onProposalCreate - Callback when proposal is created
+ * @param {Function} props.onTemplateApplied - Optional callback with the proposal created from a template, to keep editing it
  * @param {Function} props.onCancel - Optional callback for cancel action
  */
-const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, darkMode, onProposalCreate, onCancel }) => {
+const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, darkMode, onProposalCreate, onTemplateApplied, onCancel }) => {
   console.log('[ProposalCreationFormEnhanced] Rendering with proposal:', proposal, 'proposal?.id:', proposal?.id);
   const dispatch = useDispatch();
   const creating = useSelector(selectProposalCreating);
   const error = useSelector(selectProposalError);
-  const { customers } = useAppState();
+  const { customers, products, user } = useAppState();
 
   // Determine if we're editing an existing proposal
   const isEditing = !!proposal;
 
-  // Look up customer name from customers list
-  const customerName = useMemo(() => {
+  const customer = useMemo(() => {
     const customerId = project._custID || project.customer_id;
-    if (!customerId || !customers || customers.length === 0) {
-      return customerId; // Fallback to ID if we can't find the customer
-    }
-    const customer = customers.find(c => c.id === customerId);
-    return customer?.Name || customer?.business_name || customerId;
+    return customerId && customers ? customers.find(c => c.id === customerId) || null : null;
   }, [project._custID, project.customer_id, customers]);
 
+  // Look up customer name from customers list
+  const customerName = useMemo(() => {
+    // Fallback to ID if we can't find the customer
+    return customer?.Name || customer?.business_name || project._custID || project.customer_id;
+  }, [customer, project._custID, project.customer_id]);
+
+  const customerEmail = useMemo(() => (
+    customer ? extractPrimaryContact(customer.emails, 'email') || customer.Email || customer.email || null : null
+  ), [customer]);
+
+  // Values for {{variables}} in proposal templates
+  const templateVariables = useMemo(() => buildTemplateVariables({
+    customerName: customer?.Name || customer?.business_name || '',
+    customerContact: customer?.ContactPerson || '',
+    customerEmail: customerEmail || '',
+    projectName: project.Name || project.name || '',
+    userName: user?.userName || ''
+  }), [customer, customerEmail, project.Name, project.name, user]);
+
   const [formData, setFormData] = useState({
     title: proposal?.title || '',
     description: proposal?.description || ''
@@ -270,6 +311,10 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
   const [deliverables, setDeliverables] = useState(proposal?.deliverables || []);
   const [requirements, setRequirements] = useState(proposal?.requirements || []);
   const [packages, setPackages] = useState(proposal?.packages || []);
+  const [versions, setVersions] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [applyingTemplate, setApplyingTemplate] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
 
   // Update form data when proposal prop changes
   useEffect(() => {
@@ -304,6 +349,12 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
 
           // Deliverables are now lazy-loaded in ProposalTabs when clicking the tab
           // Don't load them here to avoid unnecessary API calls
+
+          try {
+            setVersions(await loadProposalVersions(proposal.id));
+          } catch (versionError) {
+            console.error('[ProposalForm] Failed to load versions:', versionError);
+          }
         } else {
           console.log('[ProposalForm] No proposal.id, using proposal prop data');
           setRequests(proposal.requests || []);
@@ -323,6 +374,16 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
     return deliverables.reduce((sum, d) => sum + (parseFloat(d.price) || 0), 0);
   }, [deliverables]);
 
+  // What the customer would be sent now, compared against earlier versions
+  const draftSnapshot = useMemo(() => buildProposalSnapshot({
+    title: formData.title,
+    description: formData.description,
+    concepts,
+    deliverables,
+    packages,
+    requirements
+  }), [formData.title, formData.description, concepts, deliverables, packages, requirements]);
+
   const handleInputChange = useCallback((field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -352,13 +413,15 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
     });
   }, [concepts.length]);
 
-  const handleSubmit = useCallback(async (e) => {
-    e.preventDefault();
-
+  /**
+   * Saves the proposal
+   * @returns {Promise<Object|null>} Saved proposal, or null if it wasn't saved
+   */
+  const saveProposal = useCallback(async () => {
     // Validate required fields
     if (!formData.title.trim()) {
       alert('Please enter a proposal title');
-      return;
+      return null;
     }
 
     const proposalData = {
@@ -383,12 +446,11 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
 
       if (result.type === 'proposals/createProposal/fulfilled') {
         console.log('[ProposalForm] Proposal created successfully:', result.payload);
-        const createdProposal = result.payload;
 
         // Note: Requests are now saved immediately when added via RequestsTab
         // No need to batch save them here anymore
 
-        onProposalCreate?.(createdProposal);
+        return result.payload;
       } else if (result.type === 'proposals/createProposal/rejected') {
         console.error('[ProposalForm] Proposal creation rejected:', result.error || result.payload);
         alert(`Failed to create proposal: ${result.error?.message || result.payload || 'Unknown error'}`);
@@ -397,7 +459,101 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
       console.error('[ProposalForm] Failed to create proposal:', error);
       alert(`Error creating proposal: ${error.message}`);
     }
-  }, [dispatch, formData, project, proposal, requests, concepts, deliverables, requirements, packages, totalPrice, onProposalCreate, isEditing]);
+    return null;
+  }, [dispatch, formData, project, proposal, requests, concepts, deliverables, requirements, packages, totalPrice]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+
+    const createdProposal = await saveProposal();
+    if (createdProposal) {
+      onProposalCreate?.(createdProposal);
+    }
+  }, [saveProposal, onProposalCreate]);
+
+  // Saves, then freezes what the customer is sent as a new version
+  const handleSend = useCallback(async () => {
+    setSending(true);
+    try {
+      const savedProposal = await saveProposal();
+      if (!savedProposal) return;
+
+      const sentProposal = { ...proposal, ...savedProposal, status: 'sent' };
+      const result = await sendProposal({
+        proposal: sentProposal,
+        snapshot: draftSnapshot,
+        versions,
+        customerEmail,
+        customerName,
+        userId: user?.supabaseUserID || null
+      });
+      if (result.created) {
+        setVersions(prev => [result.version, ...prev]);
+      }
+
+      if (!customerEmail) {
+        alert(`Version ${result.version.version_number} sent. The customer has no email address, so share the client link with them.`);
+      } else if (!result.emailed) {
+        alert(`Version ${result.version.version_number} sent, but the email failed: ${result.emailError}. Share the client link with the customer instead.`);
+      }
+
+      onProposalCreate?.(sentProposal);
+    } catch (error) {
+      console.error('[ProposalForm] Failed to send proposal:', error);
+      alert(`Error sending proposal: ${error.message}`);
+    } finally {
+      setSending(false);
+    }
+  }, [saveProposal, proposal, draftSnapshot, versions, customerEmail, customerName, user, onProposalCreate]);
+
+  // Creates the proposal from a template, then keeps editing it
+  const handleApplyTemplate = useCallback(async (template) => {
+    setApplyingTemplate(true);
+    try {
+      const { proposal: createdProposal, warnings } = await createProposalFromTemplate({
+        template,
+        project,
+        products: products || [],
+        variables: templateVariables
+      });
+      if (warnings.length > 0) {
+        alert(`Proposal created from "${template.name}", with some problems:\n${warnings.join('\n')}`);
+      }
+
+      if (onTemplateApplied) {
+        onTemplateApplied(createdProposal);
+      } else {
+        onProposalCreate?.(createdProposal);
+      }
+    } catch (error) {
+      console.error('[ProposalForm] Failed to create proposal from template:', error);
+      alert(`Error creating proposal from template: ${error.message}`);
+    } finally {
+      setApplyingTemplate(false);
+    }
+  }, [project, products, templateVariables, onTemplateApplied, onProposalCreate]);
+
+  const handleSaveAsTemplate = useCallback(async () => {
+    const name = window.prompt('Template name', formData.title);
+    if (!name?.trim()) return;
+
+    setSavingTemplate(true);
+    try {
+      await saveProposalAsTemplate({
+        organizationId: user?.supabaseOrgID,
+        name: name.trim(),
+        proposal: { ...proposal, ...formData, concepts },
+        variables: templateVariables,
+        userId: user?.supabaseUserID || null
+      });
+      alert(`Saved as template "${name.trim()}". The customer and project names were replaced with {{customer.name}} and {{project.name}}.`);
+    } catch (error) {
+      console.error('[ProposalForm] Failed to save template:', error);
+      alert(`Error saving template: ${error.message}`);
+    } finally {
+      setSavingTemplate(false);
+    }
+  }, [formData, proposal, concepts, templateVariables, user]);
 
   return (
     <Container>
@@ -429,6 +585,14 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
       )}
 
       <Form onSubmit={handleSubmit}>
+        {!isEditing && user?.supabaseOrgID && (
+          <ProposalTemplatePicker
+            organizationId={user.supabaseOrgID}
+            applying={applyingTemplate}
+            onApply={handleApplyTemplate}
+          />
+        )}
+
         {/* Basic Information */}
         <BasicInfoSection>
           <SectionTitle>Basic Information</SectionTitle>
@@ -475,6 +639,8 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
           darkMode={darkMode}
           defaultTab="requests"
           proposalId={proposal?.id}
+          versions={versions}
+          draftSnapshot={draftSnapshot}
         />
 
         {/* Footer with Submit */}
@@ -494,7 +660,17 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
                 Cancel
               </CancelButton>
             )}
-            <SubmitButton type="submit" disabled={creating}>
+            {proposal?.id && user?.supabaseOrgID && (
+              <CancelButton type="button" onClick={handleSaveAsTemplate} disabled={savingTemplate}>
+                {savingTemplate ? 'Saving Template...' : 'Save as Template'}
+              </CancelButton>
+            )}
+            {proposal?.id && (
+              <SendButton type="button" onClick={handleSend} disabled={creating || sending}>
+                {sending ? 'Sending...' : 'Send to Customer'}
+              </SendButton>
+            )}
+            <SubmitButton type="submit" disabled={creating || sending}>
               {creating
                 ? (isEditing ? 'Updating...' : 'Creating...')
                 : (isEditing ? 'Update Proposal' : 'Create Proposal')
@@ -503,6 +679,8 @@ const ProposalCreationFormEnhanced = ({ project, proposal, repositoryConfig, dar
           </ButtonGroup>
         </Footer>
       </Form>
+
+      {proposal?.id && <ProposalReminders proposal={proposal} />}
     </Container>
   );
 };
@@ -528,6 +706,7 @@ ProposalCreationFormEnhanced.propTypes = {
   }),
   darkMode: PropTypes.bool,
   onProposalCreate: PropTypes.func,
+  onTemplateApplied: PropTypes.func,
   onCancel: PropTypes.func
 };
 
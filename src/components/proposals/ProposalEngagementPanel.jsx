@@ -0,0 +1,272 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  loadProposalEngagement,
+  summarizeEngagement,
+  formatDuration
+} from '../../services/proposalEngagementService';
+
+const EVENT_LABELS = {
+  toggle: (event) => `${event.selected ? 'Added' : 'Removed'} ${event.title}`,
+  concept_opened: (event) => `Opened ${event.title}`,
+  approval_submitted: () => 'Submitted approval'
+};
+
+/**
+ * Describes a device for display (e.g. "Mobile · iOS · Safari")
+ * @param {Object} device - Device recorded with a session
+ * @returns {string} Device description
+ */
+function describeDevice(device) {
+  if (!device) return 'Unknown device';
+  const type = device.type ? device.type.charAt(0).toUpperCase() + device.type.slice(1) : 'Unknown';
+  return [type, device.os, device.browser].filter(Boolean).join(' · ');
+}
+
+/**
+ * Heatmap cell shading; time is blue, and a toggled cell gets an amber ring
+ * @param {Object} cell - Heatmap cell ({ timeMs, toggles, intensity })
+ * @param {boolean} darkMode - Dark mode flag
+ * @returns {Object} Inline style
+ */
+function cellStyle(cell, darkMode) {
+  const alpha = cell.timeMs > 0 ? 0.15 + cell.intensity * 0.7 : 0;
+  return {
+    backgroundColor: alpha > 0 ? `rgba(59, 130, 246, ${alpha})` : (darkMode ? 'rgba(55, 65, 81, 0.4)' : 'rgba(243, 244, 246, 1)'),
+    boxShadow: cell.toggles > 0 ? 'inset 0 0 0 2px rgba(245, 158, 11, 0.9)' : 'none'
+  };
+}
+
+/**
+ * Proposal Engagement Panel - how the customer has read a sent proposal
+ * Shows visit totals, the deliverables they keep toggling, a deliverable-by-visit heatmap,
+ * time per section and concept, and a timeline of each visit.
+ * @param {Object} props - Component props
+ * @param {Object} props.proposal - Proposal (with deliverables and concepts for titles)
+ * @param {boolean} props.darkMode - Dark mode flag
+ * @param {Function} props.onClose - Callback to return to the proposal list
+ */
+function ProposalEngagementPanel({ proposal, darkMode, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSessions = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const loaded = await loadProposalEngagement(proposal.id);
+        if (!cancelled) setSessions(loaded);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSessions();
+    return () => {
+      cancelled = true;
+    };
+  }, [proposal.id]);
+
+  const summary = useMemo(() => summarizeEngagement(sessions, proposal), [sessions, proposal]);
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const cardClass = `p-4 rounded-lg border ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}`;
+
+  const renderTimeBars = (items, emptyText) => (
+    items.length === 0 ? (
+      <p className={`text-sm ${mutedText}`}>{emptyText}</p>
+    ) : (
+      <div className="space-y-2">
+        {items.map(item => (
+          <div key={item.id}>
+            <div className="flex justify-between text-sm">
+              <span className="truncate">{item.label}</span>
+              <span className={mutedText}>{formatDuration(item.timeMs)}</span>
+            </div>
+            <div className={`h-2 rounded ${darkMode ? 'bg-gray-700' : 'bg-gray-100'}`}>
+              <div className="h-2 rounded bg-blue-500" style={{ width: `${Math.max(item.intensity * 100, 2)}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+    )
+  );
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h3 className="text-lg font-semibold">Customer Engagement</h3>
+          <p className={`text-sm ${mutedText}`}>{proposal.title}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className={`px-4 py-2 rounded-md ${darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'}`}
+        >
+          Back to Proposals
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : summary.totals.sessions === 0 ? (
+        !error && (
+          <div className={`text-center py-12 ${mutedText}`}>
+            The customer hasn&apos;t opened this proposal yet
+          </div>
+        )
+      ) : (
+        <div className="space-y-6">
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Visits', value: summary.totals.sessions },
+              { label: 'Time Viewing', value: formatDuration(summary.totals.activeMs) },
+              { label: 'Toggles', value: summary.totals.toggles },
+              { label: 'Last Viewed', value: new Date(summary.totals.lastViewedAt).toLocaleString() }
+            ].map(stat => (
+              <div key={stat.label} className={cardClass}>
+                <p className={`text-xs ${mutedText}`}>{stat.label}</p>
+                <p className="text-lg font-semibold">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Hesitations */}
+          {summary.hesitations.length > 0 && (
+            <div className={`p-4 rounded-lg border ${darkMode ? 'bg-yellow-900 border-yellow-700 text-yellow-100' : 'bg-yellow-50 border-yellow-300 text-yellow-900'}`}>
+              <p className="font-medium mb-2">Options the customer keeps going back and forth on</p>
+              <ul className="text-sm space-y-1">
+                {summary.hesitations.map(deliverable => (
+                  <li key={deliverable.id}>
+                    {deliverable.title}: toggled {deliverable.toggles} times over {deliverable.visitsToggled} visit{deliverable.visitsToggled === 1 ? '' : 's'},
+                    {' '}last {deliverable.lastSelected ? 'selected' : 'removed'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Heatmap */}
+          <div className={cardClass}>
+            <h4 className="font-medium mb-1">Deliverable Attention by Visit</h4>
+            <p className={`text-xs mb-3 ${mutedText}`}>
+              Darker cells mean more time on a deliverable; outlined cells were toggled during that visit.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="text-sm border-separate" style={{ borderSpacing: '4px' }}>
+                <thead>
+                  <tr>
+                    <th className="text-left font-medium pr-4">Deliverable</th>
+                    {summary.heatmap.sessions.map(session => (
+                      <th
+                        key={session.id}
+                        className={`font-normal text-xs whitespace-nowrap ${mutedText}`}
+                        title={`${new Date(session.startedAt).toLocaleString()} · ${describeDevice(session.device)}`}
+                      >
+                        {session.label}
+                      </th>
+                    ))}
+                    <th className="font-medium text-xs pl-2">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.heatmap.rows.map((row, rowIndex) => (
+                    <tr key={row.id}>
+                      <td className="pr-4 whitespace-nowrap">
+                        {row.title}
+                        {row.hesitation && <span className="ml-2 text-xs text-yellow-500">hesitating</span>}
+                      </td>
+                      {row.cells.map((cell, index) => (
+                        <td
+                          key={summary.heatmap.sessions[index].id}
+                          className="w-16 h-8 text-center text-xs rounded"
+                          style={cellStyle(cell, darkMode)}
+                          title={`${formatDuration(cell.timeMs)}${cell.toggles > 0 ? `, toggled ${cell.toggles}×` : ''}`}
+                        >
+                          {cell.timeMs > 0 ? formatDuration(cell.timeMs) : ''}
+                        </td>
+                      ))}
+                      <td className={`pl-2 text-xs whitespace-nowrap ${mutedText}`}>
+                        {formatDuration(summary.deliverables[rowIndex].timeMs)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Sections and concepts */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className={cardClass}>
+              <h4 className="font-medium mb-3">Time per Section</h4>
+              {renderTimeBars(summary.sections, 'No section time recorded')}
+            </div>
+            <div className={cardClass}>
+              <h4 className="font-medium mb-3">Time per Concept</h4>
+              {renderTimeBars(summary.concepts, 'No concepts opened')}
+            </div>
+          </div>
+
+          {/* Timeline */}
+          <div className={cardClass}>
+            <h4 className="font-medium mb-3">Visit Timeline</h4>
+            <ol className={`border-l-2 pl-4 space-y-4 ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              {[...summary.timeline].reverse().map(visit => (
+                <li key={visit.id}>
+                  <p className="text-sm font-medium">
+                    {visit.label} · {new Date(visit.startedAt).toLocaleString()}
+                  </p>
+                  <p className={`text-xs mb-1 ${mutedText}`}>
+                    {describeDevice(visit.device)} · {formatDuration(visit.activeMs)} viewing
+                  </p>
+                  {visit.events.length > 0 && (
+                    <ul className="text-sm space-y-1">
+                      {visit.events.map((event, index) => (
+                        <li key={`${event.at}-${index}`} className="flex gap-2">
+                          <span className={`text-xs whitespace-nowrap ${mutedText}`}>
+                            {new Date(event.at).toLocaleTimeString()}
+                          </span>
+                          <span>{EVENT_LABELS[event.type] ? EVENT_LABELS[event.type](event) : event.type}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ProposalEngagementPanel.propTypes = {
+  proposal: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    deliverables: PropTypes.array,
+    concepts: PropTypes.array
+  }).isRequired,
+  darkMode: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ProposalEngagementPanel;
@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import {
+  DEFAULT_REMINDER_CADENCE,
+  REMINDER_STAGES,
+  getReminderStage,
+  getNextReminder,
+  loadProposalReminders,
+  normalizeReminderCadence,
+  saveProposalReminderSettings
+} from '../../services/proposalReminderService';
+
+const STAGE_LABELS = {
+  [REMINDER_STAGES.UNVIEWED]: 'Not opened',
+  [REMINDER_STAGES.UNSIGNED]: 'Opened, not signed'
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const Container = styled.div`
+  margin-top: 24px;
+  padding: 20px;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.radius.md};
+  background: ${props => props.theme.colors.background.secondary};
+`;
+
+const HeaderRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+`;
+
+const Title = styled.h3`
+  margin: 0;
+  font-size: 16px;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text.primary};
+`;
+
+const Status = styled.div`
+  font-size: 14px;
+  margin-bottom: 16px;
+  color: ${props => props.$paused ? props.theme.colors.warning : props.theme.colors.text.secondary};
+`;
+
+const Fields = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 16px;
+  margin-bottom: 16px;
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  font-size: 13px;
+  font-weight: 500;
+  color: ${props => props.theme.colors.text.secondary};
+
+  input {
+    padding: 8px 12px;
+    border: 1px solid ${props => props.theme.colors.border};
+    border-radius: ${props => props.theme.radius.md};
+    background: ${props => props.theme.colors.background.primary};
+    color: ${props => props.theme.colors.text.primary};
+    font-size: 14px;
+  }
+`;
+
+const Button = styled.button`
+  background: ${props => props.$secondary ? 'transparent' : props.theme.colors.primary};
+  color: ${props => props.$secondary ? props.theme.colors.text.primary : props.theme.colors.text.inverse};
+  border: 1px solid ${props => props.$secondary ? props.theme.colors.border : props.theme.colors.primary};
+  border-radius: ${props => props.theme.radius.md};
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: ${props => props.theme.transitions.base};
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorText = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.colors.danger};
+  margin-bottom: 12px;
+`;
+
+const Log = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  border-top: 1px solid ${props => props.theme.colors.border};
+`;
+
+const LogEntry = styled.li`
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  padding: 8px 0;
+  font-size: 14px;
+  color: ${props => props.$failed ? props.theme.colors.danger : props.theme.colors.text.primary};
+  border-bottom: 1px solid ${props => props.theme.colors.border};
+`;
+
+const Muted = styled.span`
+  font-size: 13px;
+  color: ${props => props.theme.colors.text.tertiary};
+`;
+
+/**
+ * ProposalReminders Component
+ * Reminder cadence, expiry date, pause/resume and the log of reminders sent for a proposal
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.proposal - Saved proposal (with status, sent_at, expires_at and reminder settings)
+ * @param {Function} props.onProposalChange - Optional callback with the updated proposal after a save
+ */
+const ProposalReminders = ({ proposal, onProposalChange }) => {
+  const [settings, setSettings] = useState({
+    cadence: proposal.reminder_cadence ?? DEFAULT_REMINDER_CADENCE,
+    paused: Boolean(proposal.reminders_paused),
+    expiresAt: proposal.expires_at || null
+  });
+  const [cadenceInput, setCadenceInput] = useState(settings.cadence.join(', '));
+  const [expiryInput, setExpiryInput] = useState(toDateInput(settings.expiresAt));
+  const [reminders, setReminders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReminders = async () => {
+      setLoading(true);
+      try {
+        const loaded = await loadProposalReminders(proposal.id);
+        if (!cancelled) setReminders(loaded);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReminders();
+    return () => {
+      cancelled = true;
+    };
+  }, [proposal.id]);
+
+  const stage = getReminderStage(proposal);
+  const nextReminder = useMemo(() => getNextReminder({
+    ...proposal,
+    reminder_cadence: settings.cadence,
+    reminders_paused: settings.paused,
+    expires_at: settings.expiresAt
+  }, reminders), [proposal, settings, reminders]);
+
+  const save = useCallback(async (changes) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await saveProposalReminderSettings(proposal.id, changes);
+      const next = {
+        cadence: updated?.reminder_cadence ?? changes.cadence ?? settings.cadence,
+        paused: updated?.reminders_paused ?? changes.paused ?? settings.paused,
+        expiresAt: updated?.expires_at ?? changes.expiresAt ?? settings.expiresAt
+      };
+      setSettings(next);
+      setCadenceInput(next.cadence.join(', '));
+      onProposalChange?.({
+        ...proposal,
+        ...updated,
+        reminder_cadence: next.cadence,
+        reminders_paused: next.paused,
+        expires_at: next.expiresAt
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }, [proposal, settings, onProposalChange]);
+
+  const handleSave = useCallback(() => {
+    let cadence;
+    try {
+      cadence = normalizeReminderCadence(cadenceInput);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (!expiryInput) {
+      setError('Choose an expiry date');
+      return;
+    }
+    // Expire at the end of the chosen day, local time
+    save({ cadence, expiresAt: new Date(`${expiryInput}T23:59:59`).toISOString() });
+  }, [cadenceInput, expiryInput, save]);
+
+  const handleTogglePaused = useCallback(() => {
+    save({ paused: !settings.paused });
+  }, [save, settings.paused]);
+
+  let statusText;
+  if (proposal.status === 'expired') {
+    statusText = 'This proposal has expired. Set a later expiry date and send it again to reopen it.';
+  } else if (!stage) {
+    statusText = proposal.status === 'approved'
+      ? 'Approved; no reminders are sent.'
+      : 'Reminders start once the proposal is sent.';
+  } else if (settings.paused) {
+    statusText = 'Reminders are paused.';
+  } else if (nextReminder) {
+    statusText = `Next reminder on ${new Date(nextReminder.dueAt).toLocaleDateString()} (day ${nextReminder.cadenceDay}, ${STAGE_LABELS[stage].toLowerCase()}).`;
+  } else {
+    statusText = 'No more reminders are scheduled before the proposal expires.';
+  }
+
+  return (
+    <Container>
+      <HeaderRow>
+        <Title>Reminders & Expiry</Title>
+        {stage && (
+          <Button type="button" $secondary onClick={handleTogglePaused} disabled={saving}>
+            {settings.paused ? 'Resume Reminders' : 'Pause Reminders'}
+          </Button>
+        )}
+      </HeaderRow>
+
+      <Status $paused={settings.paused && Boolean(stage)}>{statusText}</Status>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      <Fields>
+        <Field>
+          Remind after (days since sent)
+          <input
+            type="text"
+            value={cadenceInput}
+            onChange={(e) => setCadenceInput(e.target.value)}
+            placeholder={DEFAULT_REMINDER_CADENCE.join(', ')}
+          />
+        </Field>
+        <Field>
+          Expires on
+          <input
+            type="date"
+            value={expiryInput}
+            onChange={(e) => setExpiryInput(e.target.value)}
+          />
+        </Field>
+        <Button type="button" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </Fields>
+
+      {loading ? (
+        <Muted>Loading reminders...</Muted>
+      ) : reminders.length === 0 ? (
+        <Muted>No reminders sent yet</Muted>
+      ) : (
+        <Log>
+          {reminders.map(reminder => (
+            <LogEntry key={reminder.id || `${reminder.cycle_started_at}-${reminder.cadence_day}-${reminder.sent_at}`} $failed={reminder.status === 'failed'}>
+              <span>
+                {new Date(reminder.sent_at).toLocaleString()} · Day {reminder.cadence_day} · {STAGE_LABELS[reminder.stage] || reminder.stage}
+              </span>
+              <Muted>
+                {reminder.status === 'failed' ? `Failed: ${reminder.error}` : `Sent to ${reminder.recipient_email}`}
+              </Muted>
+            </LogEntry>
+          ))}
+        </Log>
+      )}
+    </Container>
+  );
+};
+
+ProposalReminders.propTypes = {
+  proposal: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string,
+    sent_at: PropTypes.string,
+    expires_at: PropTypes.string,
+    reminder_cadence: PropTypes.arrayOf(PropTypes.number),
+    reminders_paused: PropTypes.bool
+  }).isRequired,
+  onProposalChange: PropTypes.func
+};
+
+export default ProposalReminders;
@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import styled from 'styled-components';
 import RequestsTab from './RequestsTab';
@@ -6,7 +6,11 @@ import ConceptGallery from './ConceptGallery';
 import DeliverablesTab from './DeliverablesTab';
 import RequiredFromCustomer from './RequiredFromCustomer';
 import SummaryTab from './SummaryTab';
+import ProposalVersionDiff from './ProposalVersionDiff';
 import { fetchProposalDeliverables } from '../../api/proposalExtended';
+import { verifyProposalVersion } from '../../services/proposalVersionService';
+
+const DRAFT_VERSION = 'draft';
 
 const Container = styled.div`
   width: 100%;
@@ -92,6 +96,44 @@ const Badge = styled.span`
   margin-left: 6px;
 `;
 
+const VersionBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 16px;
+  font-size: 14px;
+  color: ${props => props.theme.colors.text.secondary};
+`;
+
+const VersionSelect = styled.select`
+  padding: 6px 10px;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.radius.md};
+  font-size: 14px;
+  background: ${props => props.theme.colors.background.primary};
+  color: ${props => props.theme.colors.text.primary};
+`;
+
+const Editor = styled.div`
+  display: ${props => props.$isHidden ? 'none' : 'block'};
+`;
+
+const IntegrityBadge = styled.span`
+  font-size: 12px;
+  font-weight: 600;
+  color: ${props => props.$verified ? props.theme.colors.success : props.theme.colors.danger};
+`;
+
+/**
+ * Labels a version for the picker
+ * @param {Object} version - Proposal version
+ * @returns {string} Label
+ */
+const versionLabel = (version) => (
+  `Version ${version.version_number} - sent ${new Date(version.sent_at || version.created_at).toLocaleDateString()}`
+);
+
 /**
  * ProposalTabs Component
  * Tabbed interface for managing all aspects of a proposal
@@ -109,6 +151,8 @@ const Badge = styled.span`
  * @param {Function} props.onPackagesChange - Callback for packages changes
  * @param {Function} props.onConceptUpload - Optional callback for concept file uploads
  * @param {string} props.defaultTab - Default active tab
+ * @param {Array} props.versions - Sent versions of the proposal, newest first
+ * @param {Object} props.draftSnapshot - Snapshot of the proposal as currently edited, compared against versions
  */
 const ProposalTabs = ({
   requests = [],
@@ -125,11 +169,49 @@ const ProposalTabs = ({
   repositoryConfig,
   darkMode,
   defaultTab = 'requests',
-  proposalId
+  proposalId,
+  versions = [],
+  draftSnapshot = null
 }) => {
   const [activeTab, setActiveTab] = useState(defaultTab);
   const [deliverablesLoaded, setDeliverablesLoaded] = useState(false);
   const [loadingDeliverables, setLoadingDeliverables] = useState(false);
+  const [viewedVersionId, setViewedVersionId] = useState(DRAFT_VERSION);
+  const [compareVersionId, setCompareVersionId] = useState(DRAFT_VERSION);
+  const [viewedVersionVerified, setViewedVersionVerified] = useState(null);
+
+  const viewedVersion = useMemo(
+    () => versions.find(version => version.id === viewedVersionId) || null,
+    [versions, viewedVersionId]
+  );
+
+  // Orders the two sides of the comparison oldest first; the draft is always newest
+  const comparison = useMemo(() => {
+    if (!viewedVersion) return null;
+
+    const compareVersion = versions.find(version => version.id === compareVersionId);
+    const other = compareVersion
+      ? { label: versionLabel(compareVersion), snapshot: compareVersion.snapshot, number: compareVersion.version_number }
+      : draftSnapshot && { label: 'Current draft', snapshot: draftSnapshot, number: Infinity };
+    if (!other || other.number === viewedVersion.version_number) return null;
+
+    const viewed = { label: versionLabel(viewedVersion), snapshot: viewedVersion.snapshot, number: viewedVersion.version_number };
+    return viewed.number < other.number ? { before: viewed, after: other } : { before: other, after: viewed };
+  }, [versions, viewedVersion, compareVersionId, draftSnapshot]);
+
+  // Check the viewed version still matches the hash stored when it was sent
+  useEffect(() => {
+    let cancelled = false;
+    setViewedVersionVerified(null);
+    if (viewedVersion) {
+      verifyProposalVersion(viewedVersion).then(verified => {
+        if (!cancelled) setViewedVersionVerified(verified);
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [viewedVersion]);
 
   const handleTabChange = useCallback((tabId) => {
     setActiveTab(tabId);
@@ -217,65 +299,113 @@ const ProposalTabs = ({
 
   return (
     <Container>
-      <TabsContainer>
-        <TabsList>
-          {tabs.map((tab) => (
-            <Tab
-              key={tab.id}
-              $isActive={activeTab === tab.id}
-              $hasContent={tab.hasContent}
-              onClick={() => handleTabChange(tab.id)}
+      {versions.length > 0 && (
+        <VersionBar>
+          <label>
+            Viewing{' '}
+            <VersionSelect
+              value={viewedVersionId}
+              onChange={(e) => setViewedVersionId(e.target.value)}
+              aria-label="Proposal version"
             >
-              {tab.label}
-              {tab.count > 0 && <Badge>{tab.count}</Badge>}
-            </Tab>
-          ))}
-        </TabsList>
-      </TabsContainer>
-
-      <TabPanel $isActive={activeTab === 'requests'}>
-        <RequestsTab
-          requests={requests}
-          onChange={onRequestsChange}
-          proposalId={proposalId}
-        />
-      </TabPanel>
-
-      <TabPanel $isActive={activeTab === 'concepts'}>
-        <ConceptGallery
-          concepts={concepts}
-          onConceptsChange={onConceptsChange}
-          onConceptUpload={onConceptUpload}
-          repositoryConfig={repositoryConfig}
-          darkMode={darkMode}
-          isEditable={true}
-        />
-      </TabPanel>
-
-      <TabPanel $isActive={activeTab === 'deliverables'}>
-        <DeliverablesTab
-          deliverables={deliverables}
-          onChange={onDeliverablesChange}
-          proposalId={proposalId}
-        />
-      </TabPanel>
-
-      <TabPanel $isActive={activeTab === 'requirements'}>
-        <RequiredFromCustomer
-          proposalId={proposalId}
-          onChange={onRequirementsChange}
-        />
-      </TabPanel>
-
-      <TabPanel $isActive={activeTab === 'summary'}>
-        <SummaryTab
-          proposalId={proposalId}
-          packages={packages}
-          deliverables={deliverables}
-          requirements={requirements}
-          onChange={onPackagesChange}
-        />
-      </TabPanel>
+              <option value={DRAFT_VERSION}>Current draft</option>
+              {versions.map(version => (
+                <option key={version.id} value={version.id}>{versionLabel(version)}</option>
+              ))}
+            </VersionSelect>
+          </label>
+
+          {viewedVersion && (
+            <>
+              <label>
+                compared with{' '}
+                <VersionSelect
+                  value={compareVersionId}
+                  onChange={(e) => setCompareVersionId(e.target.value)}
+                  aria-label="Compare with version"
+                >
+                  <option value={DRAFT_VERSION}>Current draft</option>
+                  {versions.filter(version => version.id !== viewedVersion.id).map(version => (
+                    <option key={version.id} value={version.id}>{versionLabel(version)}</option>
+                  ))}
+                </VersionSelect>
+              </label>
+              {viewedVersionVerified !== null && (
+                <IntegrityBadge $verified={viewedVersionVerified}>
+                  {viewedVersionVerified ? 'Snapshot verified' : 'Snapshot does not match its hash'}
+                </IntegrityBadge>
+              )}
+            </>
+          )}
+        </VersionBar>
+      )}
+
+      {viewedVersion && comparison && (
+        <ProposalVersionDiff before={comparison.before} after={comparison.after} />
+      )}
+
+      {/* Kept mounted while a version is viewed so unsaved edits survive */}
+      <Editor $isHidden={Boolean(viewedVersion)}>
+        <TabsContainer>
+          <TabsList>
+            {tabs.map((tab) => (
+              <Tab
+                key={tab.id}
+                $isActive={activeTab === tab.id}
+                $hasContent={tab.hasContent}
+                onClick={() => handleTabChange(tab.id)}
+              >
+                {tab.label}
+                {tab.count > 0 && <Badge>{tab.count}</Badge>}
+              </Tab>
+            ))}
+          </TabsList>
+        </TabsContainer>
+
+        <TabPanel $isActive={activeTab === 'requests'}>
+          <RequestsTab
+            requests={requests}
+            onChange={onRequestsChange}
+            proposalId={proposalId}
+          />
+        </TabPanel>
+
+        <TabPanel $isActive={activeTab === 'concepts'}>
+          <ConceptGallery
+            concepts={concepts}
+            onConceptsChange={onConceptsChange}
+            onConceptUpload={onConceptUpload}
+            repositoryConfig={repositoryConfig}
+            darkMode={darkMode}
+            isEditable={true}
+          />
+        </TabPanel>
+
+        <TabPanel $isActive={activeTab === 'deliverables'}>
+          <DeliverablesTab
+            deliverables={deliverables}
+            onChange={onDeliverablesChange}
+            proposalId={proposalId}
+          />
+        </TabPanel>
+
+        <TabPanel $isActive={activeTab === 'requirements'}>
+          <RequiredFromCustomer
+            proposalId={proposalId}
+            onChange={onRequirementsChange}
+          />
+        </TabPanel>
+
+        <TabPanel $isActive={activeTab === 'summary'}>
+          <SummaryTab
+            proposalId={proposalId}
+            packages={packages}
+            deliverables={deliverables}
+            requirements={requirements}
+            onChange={onPackagesChange}
+          />
+        </TabPanel>
+      </Editor>
     </Container>
   );
 };
@@ -298,7 +428,15 @@ ProposalTabs.propTypes = {
   }),
   darkMode: PropTypes.bool,
   defaultTab: PropTypes.string,
-  proposalId: PropTypes.string
+  proposalId: PropTypes.string,
+  versions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    version_number: PropTypes.number.isRequired,
+    snapshot: PropTypes.object.isRequired,
+    data_hash: PropTypes.string,
+    sent_at: PropTypes.string
+  })),
+  draftSnapshot: PropTypes.object
 };
 
 export default ProposalTabs;
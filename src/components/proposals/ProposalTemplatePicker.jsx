@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import {
+  TEMPLATE_VARIABLES,
+  loadProposalTemplates,
+  removeProposalTemplate
+} from '../../services/proposalTemplateService';
+
+const Container = styled.div`
+  margin-bottom: 24px;
+  padding: 20px;
+  border: 1px dashed ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.radius.md};
+  background: ${props => props.theme.colors.background.secondary};
+`;
+
+const Title = styled.h3`
+  margin: 0 0 4px 0;
+  font-size: 16px;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text.primary};
+`;
+
+const Hint = styled.p`
+  margin: 0 0 12px 0;
+  font-size: 13px;
+  color: ${props => props.theme.colors.text.tertiary};
+`;
+
+const Row = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+  align-items: center;
+`;
+
+const Select = styled.select`
+  flex: 1;
+  min-width: 220px;
+  padding: 10px 12px;
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.radius.md};
+  background: ${props => props.theme.colors.background.primary};
+  color: ${props => props.theme.colors.text.primary};
+  font-size: 14px;
+`;
+
+const Button = styled.button`
+  background: ${props => props.$danger ? 'transparent' : props.theme.colors.primary};
+  color: ${props => props.$danger ? props.theme.colors.danger : props.theme.colors.text.inverse};
+  border: 1px solid ${props => props.$danger ? props.theme.colors.danger : props.theme.colors.primary};
+  border-radius: ${props => props.theme.radius.md};
+  padding: 10px 16px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: ${props => props.theme.transitions.base};
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Summary = styled.div`
+  margin-top: 12px;
+  font-size: 13px;
+  color: ${props => props.theme.colors.text.secondary};
+`;
+
+const ErrorText = styled.div`
+  margin-top: 12px;
+  font-size: 13px;
+  color: ${props => props.theme.colors.danger};
+`;
+
+/**
+ * ProposalTemplatePicker Component
+ * Lets a new proposal start from one of the organization's templates
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.organizationId - Organization UUID
+ * @param {boolean} props.applying - Whether a template is being applied
+ * @param {Function} props.onApply - Called with the chosen template
+ */
+const ProposalTemplatePicker = ({ organizationId, applying, onApply }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTemplates = async () => {
+      setLoading(true);
+      try {
+        const loaded = await loadProposalTemplates(organizationId);
+        if (!cancelled) setTemplates(loaded);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadTemplates();
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId]);
+
+  const selectedTemplate = templates.find(template => template.id === selectedId) || null;
+
+  const handleDelete = useCallback(async () => {
+    if (!selectedTemplate) return;
+    if (!window.confirm(`Delete the "${selectedTemplate.name}" template? Proposals created from it are not affected.`)) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await removeProposalTemplate(selectedTemplate.id);
+      setTemplates(prev => prev.filter(template => template.id !== selectedTemplate.id));
+      setSelectedId('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [selectedTemplate]);
+
+  if (!loading && templates.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <Container>
+      <Title>Start from a Template</Title>
+      <Hint>
+        Creates the proposal with the template&apos;s deliverables, packages and requirements, ready to edit.
+        Template text can use {TEMPLATE_VARIABLES.map(variable => `{{${variable.key}}}`).join(', ')}.
+      </Hint>
+
+      <Row>
+        <Select
+          value={selectedId}
+          onChange={(e) => setSelectedId(e.target.value)}
+          disabled={loading || applying}
+        >
+          <option value="">{loading ? 'Loading templates...' : 'Choose a template'}</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </Select>
+        <Button
+          type="button"
+          onClick={() => onApply(selectedTemplate)}
+          disabled={!selectedTemplate || applying}
+        >
+          {applying ? 'Creating...' : 'Use Template'}
+        </Button>
+        <Button type="button" $danger onClick={handleDelete} disabled={!selectedTemplate || applying}>
+          Delete
+        </Button>
+      </Row>
+
+      {selectedTemplate && (
+        <Summary>
+          {selectedTemplate.description && <div>{selectedTemplate.description}</div>}
+          {(selectedTemplate.deliverables || []).length} deliverable{(selectedTemplate.deliverables || []).length !== 1 ? 's' : ''},
+          {' '}{(selectedTemplate.packages || []).length} package{(selectedTemplate.packages || []).length !== 1 ? 's' : ''},
+          {' '}{(selectedTemplate.requirements || []).length} requirement{(selectedTemplate.requirements || []).length !== 1 ? 's' : ''}
+        </Summary>
+      )}
+
+      {error && <ErrorText>{error}</ErrorText>}
+    </Container>
+  );
+};
+
+ProposalTemplatePicker.propTypes = {
+  organizationId: PropTypes.string.isRequired,
+  applying: PropTypes.bool,
+  onApply: PropTypes.func.isRequired
+};
+
+export default ProposalTemplatePicker;
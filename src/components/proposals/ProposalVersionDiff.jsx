@@ -0,0 +1,224 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import styled from 'styled-components';
+import { diffProposalSnapshots } from '../../services/proposalVersionService';
+
+const STATUS_COLORS = {
+  added: 'success',
+  removed: 'danger',
+  changed: 'warning'
+};
+
+const PRICE_LABELS = {
+  totalPrice: 'Total',
+  fixedTotal: 'Fixed price',
+  hourlyTotal: 'Hourly',
+  subscriptionTotal: 'Subscriptions'
+};
+
+const SECTIONS = [
+  {
+    id: 'deliverables',
+    label: 'Deliverables',
+    describe: (item) => item.title,
+    price: (item) => item.price
+  },
+  {
+    id: 'packages',
+    label: 'Packages',
+    describe: (item) => item.name,
+    price: (item) => item.final_price
+  },
+  {
+    id: 'requirements',
+    label: 'Required From Customer',
+    describe: (item) => item.title
+  },
+  {
+    id: 'concepts',
+    label: 'Concepts & Assets',
+    describe: (item) => item.title
+  }
+];
+
+const formatPrice = (amount) => `$${(Number(amount) || 0).toLocaleString(undefined, {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 20px;
+`;
+
+const PriceSummary = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+  padding: 16px;
+  background: ${props => props.theme.colors.background.secondary};
+  border-radius: ${props => props.theme.radius.md};
+  font-size: 14px;
+  color: ${props => props.theme.colors.text.primary};
+`;
+
+const PriceChange = styled.span`
+  strong {
+    color: ${props => props.$delta > 0 ? props.theme.colors.success : props.theme.colors.danger};
+  }
+`;
+
+const SectionTitle = styled.h4`
+  margin: 0 0 8px 0;
+  font-size: 15px;
+  font-weight: 600;
+  color: ${props => props.theme.colors.text.primary};
+`;
+
+const Columns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 16px;
+`;
+
+const Column = styled.div`
+  border: 1px solid ${props => props.theme.colors.border};
+  border-radius: ${props => props.theme.radius.md};
+  padding: 12px;
+`;
+
+const ColumnHeader = styled.div`
+  font-size: 12px;
+  font-weight: 600;
+  text-transform: uppercase;
+  color: ${props => props.theme.colors.text.secondary};
+  margin-bottom: 8px;
+`;
+
+const Item = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: 12px;
+  padding: 6px 8px;
+  margin-bottom: 4px;
+  border-radius: ${props => props.theme.radius.sm};
+  font-size: 14px;
+  color: ${props => props.theme.colors.text.primary};
+  background: ${props => props.$status ? `${props.theme.colors[STATUS_COLORS[props.$status]]}20` : 'transparent'};
+  border-left: 3px solid ${props => props.$status ? props.theme.colors[STATUS_COLORS[props.$status]] : 'transparent'};
+  text-decoration: ${props => props.$status === 'removed' ? 'line-through' : 'none'};
+`;
+
+const Muted = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.colors.text.tertiary};
+`;
+
+/**
+ * Marks each item in a column with how it differs from the other side
+ * @param {Object} sectionDiff - Diff for one section
+ * @param {string} side - 'before' or 'after'
+ * @returns {Map} Item ID to status ('added', 'removed' or 'changed')
+ */
+const statusesFor = (sectionDiff, side) => {
+  const statuses = new Map(sectionDiff.changed.map(change => [change[side].id, 'changed']));
+  const ownChanges = side === 'before' ? sectionDiff.removed : sectionDiff.added;
+  ownChanges.forEach(item => statuses.set(item.id, side === 'before' ? 'removed' : 'added'));
+  return statuses;
+};
+
+/**
+ * ProposalVersionDiff Component
+ * Shows two proposal snapshots side by side, highlighting added and removed items and price changes
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.before - Earlier side ({ label, snapshot })
+ * @param {Object} props.after - Later side ({ label, snapshot })
+ */
+const ProposalVersionDiff = ({ before, after }) => {
+  const diff = useMemo(
+    () => diffProposalSnapshots(before.snapshot, after.snapshot),
+    [before.snapshot, after.snapshot]
+  );
+
+  return (
+    <Container>
+      <PriceSummary>
+        {diff.priceChanges.length === 0 ? (
+          <span>No price changes ({formatPrice(after.snapshot.pricing?.totalPrice)} total)</span>
+        ) : (
+          diff.priceChanges.map(change => (
+            <PriceChange key={change.key} $delta={change.delta}>
+              {PRICE_LABELS[change.key] || change.key}: {formatPrice(change.before)} → {formatPrice(change.after)}{' '}
+              <strong>({change.delta > 0 ? '+' : '-'}{formatPrice(Math.abs(change.delta))})</strong>
+            </PriceChange>
+          ))
+        )}
+        {diff.textChanges.length > 0 && (
+          <span>Changed: {diff.textChanges.join(' and ')}</span>
+        )}
+      </PriceSummary>
+
+      {!diff.hasChanges && <Muted>These versions are identical.</Muted>}
+
+      {SECTIONS.map(section => {
+        const sectionDiff = diff[section.id];
+        const beforeItems = before.snapshot[section.id] || [];
+        const afterItems = after.snapshot[section.id] || [];
+        if (beforeItems.length === 0 && afterItems.length === 0) {
+          return null;
+        }
+
+        const changedBefore = new Map(sectionDiff.changed.map(change => [change.after.id, change.before]));
+
+        return (
+          <div key={section.id}>
+            <SectionTitle>{section.label}</SectionTitle>
+            <Columns>
+              {[
+                { side: 'before', label: before.label, items: beforeItems },
+                { side: 'after', label: after.label, items: afterItems }
+              ].map(({ side, label, items }) => {
+                const statuses = statusesFor(sectionDiff, side);
+                return (
+                  <Column key={side}>
+                    <ColumnHeader>{label}</ColumnHeader>
+                    {items.length === 0 && <Muted>None</Muted>}
+                    {items.map(item => {
+                      const previous = side === 'after' ? changedBefore.get(item.id) : null;
+                      const priceChanged = section.price && previous && section.price(previous) !== section.price(item);
+                      return (
+                        <Item key={item.id} $status={statuses.get(item.id)}>
+                          <span>{section.describe(item) || 'Untitled'}</span>
+                          {section.price && (
+                            <span>
+                              {priceChanged && <Muted as="s">{formatPrice(section.price(previous))}</Muted>}{' '}
+                              {formatPrice(section.price(item))}
+                            </span>
+                          )}
+                        </Item>
+                      );
+                    })}
+                  </Column>
+                );
+              })}
+            </Columns>
+          </div>
+        );
+      })}
+    </Container>
+  );
+};
+
+const sideShape = PropTypes.shape({
+  label: PropTypes.string.isRequired,
+  snapshot: PropTypes.object.isRequired
+});
+
+ProposalVersionDiff.propTypes = {
+  before: sideShape.isRequired,
+  after: sideShape.isRequired
+};
+
+export default ProposalVersionDiff;
@@ -1,4 +1,4 @@
-import { useEffect, useCallback, useMemo } from 'react'
+import { useEffect, useCallback, useMemo, useRef } from 'react'
 import PropTypes from 'prop-types'
 import styled from 'styled-components'
 import { useDispatch, useSelector } from 'react-redux'
@@ -19,6 +19,10 @@ import {
 import ConceptGallery from './ConceptGallery'
 import DeliverableSelector from './DeliverableSelector'
 import ProposalApproval from './ProposalApproval'
+import { createEngagementTracker, ENGAGEMENT_TARGETS } from '../../services/proposalEngagementService'
+
+// How often an open view session is sent to the backend
+const ENGAGEMENT_FLUSH_INTERVAL_MS = 30000
 
 const ViewerContainer = styled.div`
   max-width: 1000px;
@@ -211,6 +215,9 @@ const ProposalViewer = ({ token: propToken }) => {
   const error = useSelector(selectViewerError)
   const approvalError = useSelector(selectApprovalError)
   const checkoutUrl = useSelector(selectCheckoutUrl)
+  const containerRef = useRef(null)
+  const trackerRef = useRef(null)
+  const proposalId = proposal?.id
   
   // Load proposal on mount or token change
   useEffect(() => {
@@ -227,6 +234,38 @@ const ProposalViewer = ({ token: propToken }) => {
     }
   }, [checkoutUrl])
   
+  // Record a view session for as long as the proposal is open
+  useEffect(() => {
+    if (!proposalId) return
+    const tracker = createEngagementTracker({
+      proposalId,
+      userAgent: window.navigator.userAgent,
+      viewportWidth: window.innerWidth
+    })
+    trackerRef.current = tracker
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        tracker.pause()
+        tracker.flush()
+      } else {
+        tracker.resume()
+      }
+    }
+    handleVisibilityChange()
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    const interval = setInterval(() => tracker.flush(), ENGAGEMENT_FLUSH_INTERVAL_MS)
+    tracker.flush()
+
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+      tracker.pause()
+      tracker.flush()
+      trackerRef.current = null
+    }
+  }, [proposalId])
+  
   // Clear errors on unmount
   useEffect(() => {
     return () => {
@@ -235,15 +274,34 @@ const ProposalViewer = ({ token: propToken }) => {
   }, [dispatch])
   
   const handleDeliverableToggle = useCallback((deliverableId) => {
+    trackerRef.current?.recordToggle(deliverableId, !selectedDeliverables.includes(deliverableId))
     dispatch(toggleDeliverable(deliverableId))
-  }, [dispatch])
+  }, [dispatch, selectedDeliverables])
+  
+  const handleDeliverableFocus = useCallback((deliverableId, isFocused) => {
+    if (isFocused) {
+      trackerRef.current?.enter(ENGAGEMENT_TARGETS.DELIVERABLE, deliverableId)
+    } else {
+      trackerRef.current?.leave(ENGAGEMENT_TARGETS.DELIVERABLE, deliverableId)
+    }
+  }, [])
   
-  const handleApproval = useCallback(({ customerName, customerEmail }) => {
+  const handleConceptView = useCallback((conceptId, isOpen) => {
+    if (isOpen) {
+      trackerRef.current?.recordEvent('concept_opened', { concept_id: conceptId })
+      trackerRef.current?.enter(ENGAGEMENT_TARGETS.CONCEPT, conceptId)
+    } else {
+      trackerRef.current?.leave(ENGAGEMENT_TARGETS.CONCEPT, conceptId)
+    }
+  }, [])
+  
+  const handleApproval = useCallback((signature) => {
     if (proposal && selectedDeliverables.length > 0) {
+      trackerRef.current?.recordEvent('approval_submitted', { deliverable_ids: selectedDeliverables })
+      trackerRef.current?.flush()
       dispatch(approveProposal({
         selectedDeliverables,
-        customerName,
-        customerEmail
+        signature
       }))
     }
   }, [dispatch, proposal, selectedDeliverables])
@@ -262,6 +320,31 @@ const ProposalViewer = ({ token: propToken }) => {
     return proposal.deliverables.filter(d => selectedDeliverables.includes(d.id))
   }, [proposal?.deliverables, selectedDeliverables])
   
+  const showApproval = proposal?.status !== 'approved' && selectedDeliverablesData.length > 0
+  
+  // Time the section crossing the middle of the screen
+  useEffect(() => {
+    const tracker = trackerRef.current
+    if (!tracker || !containerRef.current || typeof IntersectionObserver === 'undefined') return
+    const sections = Array.from(containerRef.current.querySelectorAll('[data-engagement-section]'))
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const section = entry.target.dataset.engagementSection
+        if (entry.isIntersecting) {
+          tracker.enter(ENGAGEMENT_TARGETS.SECTION, section)
+        } else {
+          tracker.leave(ENGAGEMENT_TARGETS.SECTION, section)
+        }
+      })
+    }, { rootMargin: '-40% 0px -40% 0px' })
+    sections.forEach(section => observer.observe(section))
+
+    return () => {
+      observer.disconnect()
+      sections.forEach(section => tracker.leave(ENGAGEMENT_TARGETS.SECTION, section.dataset.engagementSection))
+    }
+  }, [proposal, showApproval])
+  
   if (loading) {
     return (
       <ViewerContainer>
@@ -296,7 +379,7 @@ const ProposalViewer = ({ token: propToken }) => {
   }
   
   return (
-    <ViewerContainer>
+    <ViewerContainer ref={containerRef}>
       {/* Header */}
       <Header>
         <div className="company-name">Clarity Business Solutions</div>
@@ -321,7 +404,7 @@ const ProposalViewer = ({ token: propToken }) => {
       
       {/* Request Summary */}
       {proposal.request_summary && (
-        <Section>
+        <Section data-engagement-section="overview">
           <h2>Project Overview</h2>
           <RequestSummary>
             {proposal.request_summary.overview && (
@@ -367,20 +450,21 @@ const ProposalViewer = ({ token: propToken }) => {
       
       {/* Concepts Gallery */}
       {proposal.concepts && proposal.concepts.length > 0 && (
-        <Section>
+        <Section data-engagement-section="concepts">
           <h2>Concepts & Designs</h2>
-          <ConceptGallery concepts={proposal.concepts} />
+          <ConceptGallery concepts={proposal.concepts} onConceptView={handleConceptView} />
         </Section>
       )}
       
       {/* Deliverables Selection */}
       {proposal.deliverables && proposal.deliverables.length > 0 && (
-        <Section>
+        <Section data-engagement-section="deliverables">
           <h2>Project Deliverables</h2>
           <DeliverableSelector
             deliverables={proposal.deliverables}
             selectedDeliverables={selectedDeliverables}
             onToggleDeliverable={handleDeliverableToggle}
+            onDeliverableFocus={handleDeliverableFocus}
             totalPrice={totalPrice}
             formatCurrency={formatCurrency}
           />
@@ -388,8 +472,8 @@ const ProposalViewer = ({ token: propToken }) => {
       )}
       
       {/* Approval Section */}
-      {proposal.status !== 'approved' && selectedDeliverablesData.length > 0 && (
-        <Section>
+      {showApproval && (
+        <Section data-engagement-section="approval">
           <h2>Proposal Approval</h2>
           <ProposalApproval
             proposal={proposal}
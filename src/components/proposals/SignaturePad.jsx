@@ -0,0 +1,115 @@
+import { useRef, useCallback, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+
+const PadContainer = styled.div`
+  position: relative;
+`
+
+const Canvas = styled.canvas`
+  width: 100%;
+  height: 160px;
+  background: ${props => props.theme?.colors?.background?.primary || '#ffffff'};
+  border: 1px dashed ${props => props.theme?.colors?.borderDark || '#ced4da'};
+  border-radius: 6px;
+  touch-action: none;
+  cursor: crosshair;
+`
+
+const ClearButton = styled.button`
+  position: absolute;
+  top: 8px;
+  right: 8px;
+  background: transparent;
+  border: none;
+  font-size: 12px;
+  color: ${props => props.theme?.colors?.text?.secondary || '#6c757d'};
+  cursor: pointer;
+  text-decoration: underline;
+`
+
+/**
+ * Signature Pad Component
+ * Canvas the signer draws their signature on with a mouse, pen or finger
+ * @param {Object} props - Component props
+ * @param {Function} props.onChange - Called with the signature as a PNG data URL, or null when cleared
+ * @param {boolean} props.disabled - Disables drawing
+ */
+const SignaturePad = ({ onChange, disabled }) => {
+  const canvasRef = useRef(null)
+  const drawingRef = useRef(false)
+
+  // Match the canvas resolution to its displayed size so strokes aren't blurred
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = canvas.offsetWidth * ratio
+    canvas.height = canvas.offsetHeight * ratio
+    const context = canvas.getContext('2d')
+    if (context) {
+      context.scale(ratio, ratio)
+      context.lineWidth = 2
+      context.lineCap = 'round'
+      context.strokeStyle = '#1a1a2e'
+    }
+  }, [])
+
+  const pointFor = (event) => {
+    const bounds = canvasRef.current.getBoundingClientRect()
+    return { x: event.clientX - bounds.left, y: event.clientY - bounds.top }
+  }
+
+  const handlePointerDown = useCallback((event) => {
+    if (disabled) return
+    const context = canvasRef.current.getContext('2d')
+    const { x, y } = pointFor(event)
+    canvasRef.current.setPointerCapture?.(event.pointerId)
+    context.beginPath()
+    context.moveTo(x, y)
+    drawingRef.current = true
+  }, [disabled])
+
+  const handlePointerMove = useCallback((event) => {
+    if (!drawingRef.current) return
+    const context = canvasRef.current.getContext('2d')
+    const { x, y } = pointFor(event)
+    context.lineTo(x, y)
+    context.stroke()
+  }, [])
+
+  const handlePointerUp = useCallback(() => {
+    if (!drawingRef.current) return
+    drawingRef.current = false
+    onChange(canvasRef.current.toDataURL('image/png'))
+  }, [onChange])
+
+  const handleClear = useCallback(() => {
+    const canvas = canvasRef.current
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    onChange(null)
+  }, [onChange])
+
+  return (
+    <PadContainer>
+      <Canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        aria-label="Draw your signature"
+        role="img"
+      />
+      <ClearButton type="button" onClick={handleClear} disabled={disabled}>
+        Clear
+      </ClearButton>
+    </PadContainer>
+  )
+}
+
+SignaturePad.propTypes = {
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default SignaturePad
@@ -0,0 +1,205 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTheme } from '../layout/AppLayout';
+import { useAppState } from '../../context/AppStateContext';
+import { useSnackBar } from '../../context/SnackBarContext';
+import { loadMyWork, startMyWorkTimer, getActiveTimer } from '../../services/taskService';
+import ErrorBoundary from '../ErrorBoundary';
+
+const PRIORITY_LABELS = {
+    1: 'Highest',
+    2: 'High',
+    3: 'Normal',
+    4: 'Low',
+    5: 'Lowest'
+};
+
+const formatDueDate = (dueDate) => new Date(`${dueDate.slice(0, 10)}T00:00:00`).toLocaleDateString([], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+});
+
+// Memoized row for one assigned task
+const MyWorkRow = React.memo(function MyWorkRow({ task, darkMode, isRunning, isStarting, onStartTimer }) {
+    return (
+        <div
+            className={`
+                flex items-center justify-between p-4 rounded-lg border
+                ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+            `}
+            data-testid={`my-work-task-${task.id}`}
+        >
+            <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                    <h4 className="font-medium truncate">{task.title || task.task}</h4>
+                    {task.priority && task.priority <= 2 && (
+                        <span className={`
+                            px-2 py-0.5 text-xs rounded-full
+                            ${darkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-700'}
+                        `}>
+                            {PRIORITY_LABELS[task.priority]}
+                        </span>
+                    )}
+                </div>
+                <div className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {[task.customerName, task.projectName].filter(Boolean).join(' · ') || 'Unknown project'}
+                </div>
+            </div>
+            <div className="flex items-center gap-4 shrink-0">
+                <span className={`
+                    text-sm
+                    ${task.isOverdue
+                        ? 'text-red-500 font-medium'
+                        : (darkMode ? 'text-gray-400' : 'text-gray-600')}
+                `}>
+                    {task.dueDate ? `${task.isOverdue ? 'Overdue · ' : 'Due '}${formatDueDate(task.dueDate)}` : 'No due date'}
+                </span>
+                {isRunning ? (
+                    <span className="text-sm font-medium text-green-500">● Timer Running</span>
+                ) : (
+                    <button
+                        onClick={() => onStartTimer(task)}
+                        disabled={isStarting}
+                        className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-hover disabled:opacity-50"
+                    >
+                        Start Timer
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+});
+
+MyWorkRow.propTypes = {
+    task: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string,
+        task: PropTypes.string,
+        priority: PropTypes.number,
+        dueDate: PropTypes.string,
+        isOverdue: PropTypes.bool,
+        projectName: PropTypes.string,
+        customerName: PropTypes.string
+    }).isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    isRunning: PropTypes.bool,
+    isStarting: PropTypes.bool,
+    onStartTimer: PropTypes.func.isRequired
+};
+
+/**
+ * MyWork - Open tasks assigned to the logged-in staff member across every customer and project,
+ * soonest due first, with one-click timer start
+ */
+function MyWork() {
+    const { darkMode } = useTheme();
+    const { user } = useAppState();
+    const { showError, showSuccess } = useSnackBar();
+    const [tasks, setTasks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [runningTaskId, setRunningTaskId] = useState(null);
+    const [startingTaskId, setStartingTaskId] = useState(null);
+
+    const staffId = user?.userID;
+
+    const refresh = useCallback(async () => {
+        if (!staffId) {
+            setLoading(false);
+            return;
+        }
+
+        try {
+            setLoading(true);
+            const [assigned, activeTimer] = await Promise.all([
+                loadMyWork(staffId),
+                getActiveTimer(staffId)
+            ]);
+            setTasks(assigned);
+            setRunningTaskId(activeTimer?.task_id || null);
+        } catch (error) {
+            console.error('Error loading my work:', error);
+            showError('Failed to load your tasks. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    }, [staffId, showError]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const handleStartTimer = useCallback(async (task) => {
+        try {
+            setStartingTaskId(task.id);
+            await startMyWorkTimer(task, staffId);
+            setRunningTaskId(task.id);
+            showSuccess(`Timer started for ${task.title || task.task}`);
+        } catch (error) {
+            console.error('Error starting timer from my work:', error);
+            showError(error.message || 'Error starting timer');
+        } finally {
+            setStartingTaskId(null);
+        }
+    }, [staffId, showError, showSuccess]);
+
+    const overdueCount = useMemo(() => tasks.filter(task => task.isOverdue).length, [tasks]);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <div>
+                    <h3 className="text-lg font-semibold">My Work</h3>
+                    <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {tasks.length} open {tasks.length === 1 ? 'task' : 'tasks'}
+                        {overdueCount > 0 && `, ${overdueCount} overdue`}
+                    </p>
+                </div>
+                <button
+                    onClick={refresh}
+                    disabled={loading}
+                    className={`
+                        text-sm px-3 py-1 rounded-md
+                        ${darkMode
+                            ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                            : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
+                    `}
+                >
+                    {loading ? 'Loading...' : 'Refresh'}
+                </button>
+            </div>
+
+            {!loading && tasks.length === 0 ? (
+                <div className={`
+                    text-center py-8 rounded-lg border
+                    ${darkMode
+                        ? 'bg-gray-800 border-gray-700 text-gray-400'
+                        : 'bg-gray-50 border-gray-200 text-gray-500'}
+                `}>
+                    No open tasks are assigned to you
+                </div>
+            ) : (
+                <div className="space-y-2">
+                    {tasks.map(task => (
+                        <MyWorkRow
+                            key={task.id}
+                            task={task}
+                            darkMode={darkMode}
+                            isRunning={runningTaskId === task.id}
+                            isStarting={startingTaskId === task.id}
+                            onStartTimer={handleStartTimer}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default React.memo(function WrappedMyWork(props) {
+    return (
+        <ErrorBoundary>
+            <MyWork {...props} />
+        </ErrorBoundary>
+    );
+});
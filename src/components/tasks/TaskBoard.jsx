@@ -0,0 +1,479 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    TASK_STATUSES,
+    DEFAULT_BOARD_COLUMNS,
+    getTaskStatus,
+    getTaskEstimatedHours,
+    groupTasksByColumn,
+    validateBoardColumns,
+    loadTaskBoardColumns,
+    saveTaskBoardColumns
+} from '../../services/taskService';
+import { useSnackBar } from '../../context/SnackBarContext';
+
+const STATUS_LABELS = {
+    [TASK_STATUSES.BACKLOG]: 'Backlog',
+    [TASK_STATUSES.PENDING]: 'Pending',
+    [TASK_STATUSES.IN_PROGRESS]: 'In Progress',
+    [TASK_STATUSES.REVIEW]: 'Review',
+    [TASK_STATUSES.COMPLETED]: 'Completed',
+    [TASK_STATUSES.CANCELLED]: 'Cancelled'
+};
+
+const RESOLVED_STATUSES = [TASK_STATUSES.COMPLETED, TASK_STATUSES.CANCELLED];
+
+// Memoized draggable task card
+const BoardCard = React.memo(function BoardCard({
+    task,
+    columnId,
+    index,
+    darkMode,
+    isDragging,
+    onDragStart,
+    onDragEnd,
+    onHover,
+    onStartTimer
+}) {
+    const estimatedHours = getTaskEstimatedHours(task);
+    const isResolved = RESOLVED_STATUSES.includes(getTaskStatus(task));
+
+    const handleDragOver = useCallback((e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        // Drop above the card in its top half, below it in the bottom half
+        const rect = e.currentTarget.getBoundingClientRect();
+        onHover(columnId, e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+    }, [columnId, index, onHover]);
+
+    return (
+        <div
+            draggable
+            onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', task.id);
+                onDragStart(task.id);
+            }}
+            onDragEnd={onDragEnd}
+            onDragOver={handleDragOver}
+            className={`
+                p-3 rounded-md border cursor-grab
+                ${darkMode
+                    ? 'bg-gray-800 border-gray-700 hover:border-gray-600'
+                    : 'bg-white border-gray-200 hover:border-gray-300'}
+                ${isDragging ? 'opacity-50' : ''}
+            `}
+            data-testid={`board-card-${task.id}`}
+        >
+            <div className="flex items-start justify-between gap-2">
+                <span className={`text-sm font-medium ${isResolved ? 'line-through opacity-70' : ''}`}>
+                    {task.title || task.task}
+                </span>
+                {task.isBlocked && (
+                    <span
+                        className={`
+                            px-2 py-0.5 text-xs rounded-full shrink-0
+                            ${darkMode ? 'bg-amber-900 text-amber-200' : 'bg-amber-100 text-amber-800'}
+                        `}
+                        title={`Waiting on: ${task.blockingTasks.map(t => t.title || t.task).join(', ')}`}
+                    >
+                        Blocked
+                    </span>
+                )}
+            </div>
+            {task.assigneeNames?.length > 0 && (
+                <div className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {task.assigneeNames.join(', ')}
+                </div>
+            )}
+            <div className={`
+                flex items-center justify-between mt-2 text-xs
+                ${darkMode ? 'text-gray-400' : 'text-gray-500'}
+            `}>
+                <span>
+                    {task.dueDate && `Due ${task.dueDate}`}
+                    {task.dueDate && estimatedHours > 0 && ' · '}
+                    {estimatedHours > 0 && `${task.actualHours ?? 0}h / ${estimatedHours}h`}
+                </span>
+                {!isResolved && (
+                    <button
+                        onClick={() => onStartTimer(task)}
+                        className="px-2 py-0.5 bg-primary text-white rounded hover:bg-primary-hover"
+                    >
+                        Start
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+});
+
+BoardCard.propTypes = {
+    task: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string,
+        task: PropTypes.string,
+        dueDate: PropTypes.string,
+        isBlocked: PropTypes.bool,
+        blockingTasks: PropTypes.arrayOf(PropTypes.object),
+        actualHours: PropTypes.number,
+        assigneeNames: PropTypes.arrayOf(PropTypes.string)
+    }).isRequired,
+    columnId: PropTypes.string.isRequired,
+    index: PropTypes.number.isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    isDragging: PropTypes.bool,
+    onDragStart: PropTypes.func.isRequired,
+    onDragEnd: PropTypes.func.isRequired,
+    onHover: PropTypes.func.isRequired,
+    onStartTimer: PropTypes.func.isRequired
+};
+
+// Memoized board column with its drop zone
+const BoardColumn = React.memo(function BoardColumn({
+    column,
+    tasks,
+    darkMode,
+    draggingTaskId,
+    dropIndex,
+    onDragStart,
+    onDragEnd,
+    onHover,
+    onDrop,
+    onStartTimer
+}) {
+    const dropIndicator = (
+        <div className="h-1 rounded bg-primary" data-testid={`board-drop-indicator-${column.id}`} />
+    );
+
+    return (
+        <div
+            onDragOver={(e) => {
+                e.preventDefault();
+                onHover(column.id, tasks.length);
+            }}
+            onDrop={(e) => {
+                e.preventDefault();
+                onDrop(e.dataTransfer.getData('text/plain'), column.id);
+            }}
+            className={`
+                flex flex-col w-72 shrink-0 rounded-lg border p-3
+                ${darkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-200'}
+                ${dropIndex !== null ? 'ring-2 ring-primary' : ''}
+            `}
+            data-testid={`board-column-${column.id}`}
+        >
+            <div className="flex items-center justify-between mb-3">
+                <h4 className={`text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {column.title}
+                </h4>
+                <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {tasks.length}
+                </span>
+            </div>
+            <div className="flex-1 space-y-2 min-h-[4rem]">
+                {tasks.map((task, index) => (
+                    <React.Fragment key={task.id}>
+                        {dropIndex === index && dropIndicator}
+                        <BoardCard
+                            task={task}
+                            columnId={column.id}
+                            index={index}
+                            darkMode={darkMode}
+                            isDragging={draggingTaskId === task.id}
+                            onDragStart={onDragStart}
+                            onDragEnd={onDragEnd}
+                            onHover={onHover}
+                            onStartTimer={onStartTimer}
+                        />
+                    </React.Fragment>
+                ))}
+                {dropIndex === tasks.length && dropIndicator}
+                {!tasks.length && dropIndex === null && (
+                    <p className={`text-xs text-center py-4 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                        No tasks
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+});
+
+BoardColumn.propTypes = {
+    column: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string.isRequired,
+        statuses: PropTypes.arrayOf(PropTypes.string).isRequired
+    }).isRequired,
+    tasks: PropTypes.arrayOf(PropTypes.object).isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    draggingTaskId: PropTypes.string,
+    dropIndex: PropTypes.number,
+    onDragStart: PropTypes.func.isRequired,
+    onDragEnd: PropTypes.func.isRequired,
+    onHover: PropTypes.func.isRequired,
+    onDrop: PropTypes.func.isRequired,
+    onStartTimer: PropTypes.func.isRequired
+};
+
+// Memoized editor for the organization's board columns
+const ColumnEditor = React.memo(function ColumnEditor({ columns, darkMode, onSave, onCancel }) {
+    const [draft, setDraft] = useState(() => columns.map(column => ({ ...column, statuses: [...column.statuses] })));
+    const [saving, setSaving] = useState(false);
+    const { showError } = useSnackBar();
+
+    const validation = useMemo(() => validateBoardColumns(draft), [draft]);
+
+    const updateColumn = (index, changes) => {
+        setDraft(prev => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+    };
+
+    const toggleStatus = (index, status) => {
+        const { statuses } = draft[index];
+        updateColumn(index, {
+            statuses: statuses.includes(status)
+                ? statuses.filter(s => s !== status)
+                : [...statuses, status]
+        });
+    };
+
+    const moveColumn = (index, offset) => {
+        setDraft(prev => {
+            const next = [...prev];
+            const [column] = next.splice(index, 1);
+            next.splice(index + offset, 0, column);
+            return next;
+        });
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            await onSave(draft);
+        } catch (error) {
+            showError(error.message || 'Failed to save board columns');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = `
+        px-2 py-1 text-sm rounded border
+        ${darkMode ? 'bg-gray-700 border-gray-600 text-gray-200' : 'bg-white border-gray-300 text-gray-900'}
+    `;
+    const secondaryButtonClass = `
+        px-3 py-1 text-sm rounded-md
+        ${darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
+    `;
+
+    return (
+        <div
+            className={`
+                p-4 rounded-lg border space-y-3
+                ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'}
+            `}
+            data-testid="board-column-editor"
+        >
+            <h4 className="text-sm font-medium">Board Columns</h4>
+            <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Columns are shared by everyone in your organization. Each status belongs to one column;
+                tasks dropped on a column take its first status.
+            </p>
+            {draft.map((column, index) => (
+                <div key={column.id} className="flex flex-wrap items-center gap-2">
+                    <input
+                        type="text"
+                        value={column.title}
+                        onChange={(e) => updateColumn(index, { title: e.target.value })}
+                        className={inputClass}
+                        aria-label={`Column ${index + 1} title`}
+                    />
+                    {Object.values(TASK_STATUSES).map(status => (
+                        <label key={status} className="flex items-center gap-1 text-xs">
+                            <input
+                                type="checkbox"
+                                checked={column.statuses.includes(status)}
+                                onChange={() => toggleStatus(index, status)}
+                            />
+                            {STATUS_LABELS[status]}
+                        </label>
+                    ))}
+                    <div className="flex gap-1 ml-auto">
+                        <button
+                            onClick={() => moveColumn(index, -1)}
+                            disabled={index === 0}
+                            className={`${secondaryButtonClass} disabled:opacity-50`}
+                            aria-label="Move column left"
+                        >
+                            ←
+                        </button>
+                        <button
+                            onClick={() => moveColumn(index, 1)}
+                            disabled={index === draft.length - 1}
+                            className={`${secondaryButtonClass} disabled:opacity-50`}
+                            aria-label="Move column right"
+                        >
+                            →
+                        </button>
+                        <button
+                            onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+                            className={`px-3 py-1 text-sm rounded-md ${darkMode ? 'text-red-400 hover:bg-gray-700' : 'text-red-600 hover:bg-red-50'}`}
+                        >
+                            Remove
+                        </button>
+                    </div>
+                </div>
+            ))}
+            {!validation.isValid && (
+                <ul className="text-xs text-red-500 list-disc pl-4">
+                    {validation.errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+            )}
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={() => setDraft(prev => [...prev, { id: uuidv4(), title: '', statuses: [] }])}
+                    className={secondaryButtonClass}
+                >
+                    Add Column
+                </button>
+                <button
+                    onClick={() => setDraft(DEFAULT_BOARD_COLUMNS.map(column => ({ ...column, statuses: [...column.statuses] })))}
+                    className={secondaryButtonClass}
+                >
+                    Reset to Defaults
+                </button>
+                <div className="flex gap-2 ml-auto">
+                    <button onClick={onCancel} className={secondaryButtonClass}>
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!validation.isValid || saving}
+                        className="px-3 py-1 text-sm bg-primary text-white rounded-md hover:bg-primary-hover disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save Columns'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+});
+
+ColumnEditor.propTypes = {
+    columns: PropTypes.arrayOf(PropTypes.object).isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    onSave: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired
+};
+
+/**
+ * TaskBoard - Kanban view of a project's tasks
+ *
+ * Columns come from the organization's saved board configuration. Dragging a card
+ * to another column changes the task's status; dragging within a column reorders it.
+ */
+function TaskBoard({ tasks, darkMode, onMoveTask, onStartTimer }) {
+    const [columns, setColumns] = useState(DEFAULT_BOARD_COLUMNS);
+    const [showEditor, setShowEditor] = useState(false);
+    const [draggingTaskId, setDraggingTaskId] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    const { showSuccess } = useSnackBar();
+
+    useEffect(() => {
+        let cancelled = false;
+        loadTaskBoardColumns().then(loaded => {
+            if (!cancelled) setColumns(loaded);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const tasksByColumn = useMemo(() => groupTasksByColumn(tasks, columns), [tasks, columns]);
+
+    const handleHover = useCallback((columnId, index) => {
+        setDropTarget(prev => (
+            prev?.columnId === columnId && prev?.index === index ? prev : { columnId, index }
+        ));
+    }, []);
+
+    const handleDragEnd = useCallback(() => {
+        setDraggingTaskId(null);
+        setDropTarget(null);
+    }, []);
+
+    const handleDrop = useCallback((droppedTaskId, columnId) => {
+        const taskId = droppedTaskId || draggingTaskId;
+        const index = dropTarget?.columnId === columnId ? dropTarget.index : tasksByColumn[columnId].length;
+        setDraggingTaskId(null);
+        setDropTarget(null);
+        if (!taskId) return;
+
+        // The drop index counts the dragged card itself when it stays in the same column
+        const currentIndex = tasksByColumn[columnId].findIndex(task => task.id === taskId);
+        const targetIndex = currentIndex !== -1 && currentIndex < index ? index - 1 : index;
+        onMoveTask(taskId, columnId, targetIndex, columns);
+    }, [draggingTaskId, dropTarget, tasksByColumn, columns, onMoveTask]);
+
+    const handleColumnsSave = useCallback(async (draft) => {
+        const saved = await saveTaskBoardColumns(draft);
+        setColumns(saved);
+        setShowEditor(false);
+        showSuccess('Board columns saved');
+    }, [showSuccess]);
+
+    return (
+        <div className="space-y-3" data-testid="task-board">
+            <div className="flex justify-end">
+                <button
+                    onClick={() => setShowEditor(prev => !prev)}
+                    className={`
+                        text-sm px-3 py-1 rounded-md
+                        ${darkMode
+                            ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                            : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
+                    `}
+                >
+                    {showEditor ? 'Close Column Settings' : 'Configure Columns'}
+                </button>
+            </div>
+
+            {showEditor && (
+                <ColumnEditor
+                    columns={columns}
+                    darkMode={darkMode}
+                    onSave={handleColumnsSave}
+                    onCancel={() => setShowEditor(false)}
+                />
+            )}
+
+            <div className="flex gap-4 overflow-x-auto pb-2">
+                {columns.map(column => (
+                    <BoardColumn
+                        key={column.id}
+                        column={column}
+                        tasks={tasksByColumn[column.id] || []}
+                        darkMode={darkMode}
+                        draggingTaskId={draggingTaskId}
+                        dropIndex={draggingTaskId && dropTarget?.columnId === column.id ? dropTarget.index : null}
+                        onDragStart={setDraggingTaskId}
+                        onDragEnd={handleDragEnd}
+                        onHover={handleHover}
+                        onDrop={handleDrop}
+                        onStartTimer={onStartTimer}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+TaskBoard.propTypes = {
+    tasks: PropTypes.arrayOf(PropTypes.object).isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    onMoveTask: PropTypes.func.isRequired,
+    onStartTimer: PropTypes.func.isRequired
+};
+
+export default TaskBoard;
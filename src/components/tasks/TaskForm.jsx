@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { useTheme } from '../layout/AppLayout';
-import { validateTaskData } from '../../services/taskService';
+import { validateTaskData, getTaskAssigneeIds } from '../../services/taskService';
 import { sanitizeText, FIELD_LIMITS } from '../../utils/inputSanitization';
 
 /**
@@ -15,6 +15,8 @@ function TaskForm({
   customerId,
   staffId,
   task = null, // For editing existing tasks
+  projectTasks = [], // Other tasks in the project, offered as blockers
+  teamStaff = null, // Project team members from getTeamStaff; null while unknown
   onSubmit,
   onCancel
 }) {
@@ -28,10 +30,38 @@ function TaskForm({
     notes: task?.notes || '',
     priority: task?.priority || 3,
     status: task?.status || 'pending',
-    estimated_hours: task?.estimated_hours || '',
-    due_date: task?.due_date || ''
+    estimated_hours: task?.estimated_hours ?? task?.estimatedHours ?? '',
+    due_date: task?.due_date || '',
+    blocked_by: task?.blockedBy || task?.blocked_by || [],
+    assignee_ids: getTaskAssigneeIds(task)
   });
 
+  // A task cannot wait on itself; completed tasks stay selectable so existing links are kept
+  const blockerOptions = projectTasks.filter(t => t.id !== task?.id);
+
+  const toggleBlocker = (taskId) => {
+    const current = formData.blocked_by;
+    handleChange(
+      'blocked_by',
+      current.includes(taskId) ? current.filter(id => id !== taskId) : [...current, taskId]
+    );
+  };
+
+  const toggleAssignee = (staffMemberId) => {
+    const current = formData.assignee_ids;
+    handleChange(
+      'assignee_ids',
+      current.includes(staffMemberId) ? current.filter(id => id !== staffMemberId) : [...current, staffMemberId]
+    );
+  };
+
+  // Only send assignees when they change, so tasks in projects that later lost their team stay editable
+  const assigneesChanged = () => {
+    const original = getTaskAssigneeIds(task);
+    return original.length !== formData.assignee_ids.length ||
+      original.some(id => !formData.assignee_ids.includes(id));
+  };
+
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -46,8 +76,10 @@ function TaskForm({
 
   // Status options matching new backend enum
   const statusOptions = [
+    { value: 'backlog', label: 'Backlog' },
     { value: 'pending', label: 'Pending' },
     { value: 'in_progress', label: 'In Progress' },
+    { value: 'review', label: 'Review' },
     { value: 'completed', label: 'Completed' },
     { value: 'cancelled', label: 'Cancelled' }
   ];
@@ -79,8 +111,15 @@ function TaskForm({
     if (formData.notes) dataToValidate.notes = formData.notes;
     if (formData.estimated_hours) dataToValidate.estimated_hours = formData.estimated_hours;
     if (formData.due_date) dataToValidate.due_date = formData.due_date;
+    if (formData.blocked_by.length) dataToValidate.blocked_by = formData.blocked_by;
+    if (assigneesChanged()) dataToValidate.assignee_ids = formData.assignee_ids;
 
-    const validation = validateTaskData(dataToValidate, { isUpdate: isEdit });
+    const validation = validateTaskData(dataToValidate, {
+      isUpdate: isEdit,
+      projectTasks,
+      taskId: task?.id || null,
+      teamStaff
+    });
 
     if (!validation.isValid) {
       setErrors(validation.fieldErrors);
@@ -129,10 +168,19 @@ function TaskForm({
       }
       if (formData.estimated_hours) {
         taskData.estimated_hours = parseFloat(formData.estimated_hours);
+      } else if (isEdit) {
+        taskData.estimated_hours = null; // Clearing the field removes the estimate
       }
       if (formData.due_date) {
         taskData.due_date = formData.due_date;
       }
+      // Edits always send the list so removing every blocker is saved
+      if (formData.blocked_by.length || isEdit) {
+        taskData.blocked_by = formData.blocked_by;
+      }
+      if (assigneesChanged()) {
+        taskData.assignee_ids = formData.assignee_ids;
+      }
 
       // For edits, include the task ID
       if (isEdit && task?.id) {
@@ -316,6 +364,9 @@ function TaskForm({
               `}
               disabled={isSubmitting}
             />
+            <div className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              Logged time is compared against this estimate, with alerts at 80% and 100%
+            </div>
             {errors.estimated_hours && (
               <p className="text-red-500 text-xs mt-1">{errors.estimated_hours}</p>
             )}
@@ -344,6 +395,82 @@ function TaskForm({
             )}
           </div>
 
+          {/* Blocked By */}
+          {blockerOptions.length > 0 && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1">
+                Blocked By
+              </label>
+              <div className={`
+                max-h-40 overflow-y-auto p-2 rounded-md border space-y-1
+                ${darkMode
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'}
+                ${errors.blocked_by ? 'border-red-500' : ''}
+              `}>
+                {blockerOptions.map(option => (
+                  <label key={option.id} className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={formData.blocked_by.includes(option.id)}
+                      onChange={() => toggleBlocker(option.id)}
+                      disabled={isSubmitting}
+                    />
+                    <span className={option.isCompleted ? 'line-through opacity-60' : ''}>
+                      {option.title || option.task}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <div className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                This task stays blocked until the selected tasks are completed
+              </div>
+              {errors.blocked_by && (
+                <p className="text-red-500 text-xs mt-1">{errors.blocked_by}</p>
+              )}
+            </div>
+          )}
+
+          {/* Assignees */}
+          {teamStaff && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1">
+                Assignees
+              </label>
+              {teamStaff.length > 0 ? (
+                <div className={`
+                  max-h-40 overflow-y-auto p-2 rounded-md border space-y-1
+                  ${darkMode
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'}
+                  ${errors.assignee_ids ? 'border-red-500' : ''}
+                `}>
+                  {teamStaff.map(member => (
+                    <label key={member.staffId} className="flex items-center space-x-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={formData.assignee_ids.includes(member.staffId)}
+                        onChange={() => toggleAssignee(member.staffId)}
+                        disabled={isSubmitting}
+                      />
+                      <span>
+                        {member.staffDetails?.name || 'Unnamed Staff'}
+                        {member.role && <span className="opacity-60"> · {member.role}</span>}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Assign this project to a team to assign its tasks
+                </div>
+              )}
+              {errors.assignee_ids && (
+                <p className="text-red-500 text-xs mt-1">{errors.assignee_ids}</p>
+              )}
+            </div>
+          )}
+
           {/* Notes */}
           <div className="mb-4">
             <label className="block text-sm font-medium mb-1">
@@ -418,8 +545,25 @@ TaskForm.propTypes = {
     priority: PropTypes.number,
     status: PropTypes.string,
     estimated_hours: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
-    due_date: PropTypes.string
+    estimatedHours: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    due_date: PropTypes.string,
+    blockedBy: PropTypes.arrayOf(PropTypes.string),
+    blocked_by: PropTypes.arrayOf(PropTypes.string),
+    assigneeIds: PropTypes.arrayOf(PropTypes.string),
+    assignee_ids: PropTypes.arrayOf(PropTypes.string)
   }),
+  projectTasks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    task: PropTypes.string,
+    isCompleted: PropTypes.bool,
+    blockedBy: PropTypes.arrayOf(PropTypes.string)
+  })),
+  teamStaff: PropTypes.arrayOf(PropTypes.shape({
+    staffId: PropTypes.string.isRequired,
+    role: PropTypes.string,
+    staffDetails: PropTypes.shape({ name: PropTypes.string })
+  })),
   onSubmit: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired
 };
@@ -1,21 +1,86 @@
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useTheme } from '../layout/AppLayout';
 import { useTask } from '../../hooks/useTask';
 import { useNote } from '../../hooks/useNote';
 import { useLink } from '../../hooks/useLink';
 import { useAppState } from '../../context/AppStateContext';
-import { formatDuration } from '../../services/taskService';
+import {
+    formatDuration,
+    calculateEstimateBurn,
+    getTaskEstimatedHours,
+    ESTIMATE_STATUS,
+    TASK_STATUSES,
+    getTaskAssigneeIds
+} from '../../services/taskService';
+import { isFixedPriceProject } from '../../services/projectService';
+import { getTeamStaff } from '../../services/teamService';
 import { useSnackBar } from '../../context/SnackBarContext';
 import TextInput from '../global/TextInput';
 import ErrorBoundary from '../ErrorBoundary';
 import TaskTimer from './TaskTimer';
 import TaskForm from './TaskForm';
+import TaskBoard from './TaskBoard';
+
+const VIEW_MODE_STORAGE_KEY = 'taskViewMode';
+const VIEW_MODES = ['list', 'board'];
+
+/**
+ * Reads the list/board view preference
+ * @returns {string} One of VIEW_MODES
+ */
+function getViewModePreference() {
+    const saved = localStorage.getItem(VIEW_MODE_STORAGE_KEY);
+    return VIEW_MODES.includes(saved) ? saved : 'list';
+}
+
+// Memoized estimate vs. actual burn bar
+const EstimateBurnBar = React.memo(function EstimateBurnBar({ estimatedHours, actualHours, isFixedPrice, darkMode }) {
+    const burn = calculateEstimateBurn(estimatedHours, actualHours);
+    if (burn.status === ESTIMATE_STATUS.UNESTIMATED) {
+        return null;
+    }
+
+    const barColor = {
+        [ESTIMATE_STATUS.ON_TRACK]: 'bg-green-500',
+        [ESTIMATE_STATUS.AT_RISK]: 'bg-amber-500',
+        [ESTIMATE_STATUS.OVER]: 'bg-red-500'
+    }[burn.status];
+
+    return (
+        <div className="mt-2" data-testid="task-estimate-burn">
+            <div className={`
+                flex justify-between text-xs mb-1
+                ${darkMode ? 'text-gray-400' : 'text-gray-600'}
+            `}>
+                <span>{burn.actualHours}h of {burn.estimatedHours}h estimated</span>
+                <span className={burn.status === ESTIMATE_STATUS.OVER ? 'text-red-500 font-medium' : ''}>
+                    {burn.percent}%
+                    {burn.status === ESTIMATE_STATUS.OVER && isFixedPrice && ' · eating into fixed-price margin'}
+                </span>
+            </div>
+            <div className={`h-1.5 rounded-full overflow-hidden ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                <div
+                    className={`h-full ${barColor}`}
+                    style={{ width: `${Math.min(burn.percent, 100)}%` }}
+                />
+            </div>
+        </div>
+    );
+});
+
+EstimateBurnBar.propTypes = {
+    estimatedHours: PropTypes.number,
+    actualHours: PropTypes.number,
+    isFixedPrice: PropTypes.bool,
+    darkMode: PropTypes.bool.isRequired
+};
 
 // Memoized task item component
 const TaskItem = React.memo(function TaskItem({
     task,
     darkMode,
+    isFixedPrice,
     onStatusChange,
     onExpand,
     taskNotes,
@@ -84,6 +149,26 @@ const TaskItem = React.memo(function TaskItem({
                         </svg>
                     </button>
                     <h4 className="font-medium">{task.title || task.task}</h4>
+                    {task.isBlocked && (
+                        <span
+                            className={`
+                                px-2 py-0.5 text-xs rounded-full
+                                ${darkMode ? 'bg-amber-900 text-amber-200' : 'bg-amber-100 text-amber-800'}
+                            `}
+                            title={`Waiting on: ${task.blockingTasks.map(t => t.title || t.task).join(', ')}`}
+                            data-testid={`task-blocked-${task.id}`}
+                        >
+                            Blocked
+                        </span>
+                    )}
+                    {task.assigneeNames?.length > 0 && (
+                        <span
+                            className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                            data-testid={`task-assignees-${task.id}`}
+                        >
+                            {task.assigneeNames.join(', ')}
+                        </span>
+                    )}
                 </div>
                 <div className="flex items-center">
                     {!task.isCompleted && (
@@ -103,6 +188,12 @@ const TaskItem = React.memo(function TaskItem({
                     )}
                 </div>
             </div>
+            <EstimateBurnBar
+                estimatedHours={getTaskEstimatedHours(task)}
+                actualHours={task.actualHours}
+                isFixedPrice={isFixedPrice}
+                darkMode={darkMode}
+            />
             <div className={`
                 overflow-hidden transition-all duration-200 ease-in-out
                 ${isExpanded ? 'max-h-96 opacity-100 mt-2' : 'max-h-0 opacity-0'}
@@ -473,9 +564,14 @@ TaskItem.propTypes = {
         task: PropTypes.string, // Legacy FileMaker field
         notes: PropTypes.string,
         isCompleted: PropTypes.bool.isRequired,
-        recordId: PropTypes.string
+        recordId: PropTypes.string,
+        isBlocked: PropTypes.bool, // Derived in useTask from blocked_by
+        blockingTasks: PropTypes.arrayOf(PropTypes.object),
+        actualHours: PropTypes.number, // Merged in useTask from loadTaskActuals
+        assigneeNames: PropTypes.arrayOf(PropTypes.string) // Resolved in TaskList from the project team
     }).isRequired,
     darkMode: PropTypes.bool.isRequired,
+    isFixedPrice: PropTypes.bool,
     onEdit: PropTypes.func.isRequired,
     onStatusChange: PropTypes.func.isRequired,
     onExpand: PropTypes.func.isRequired,
@@ -496,11 +592,185 @@ TaskItem.propTypes = {
     notesLoading: PropTypes.bool
 };
 
+// Memoized critical path summary
+const CriticalPathSummary = React.memo(function CriticalPathSummary({ criticalPath, darkMode }) {
+    // A single unlinked task is not a meaningful path
+    if (!criticalPath?.path || criticalPath.path.length < 2) {
+        return null;
+    }
+
+    const { path, totalHours, overdueTasks, holdingTask } = criticalPath;
+    const overdueIds = new Set(overdueTasks.map(task => task.id));
+    const holdingIsOverdue = overdueIds.has(holdingTask?.id);
+
+    return (
+        <div className={`
+            p-4 rounded-lg border
+            ${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-gray-50 border-gray-200'}
+        `}>
+            <div className="flex justify-between items-center mb-2">
+                <h4 className={`
+                    text-sm font-medium
+                    ${darkMode ? 'text-gray-400' : 'text-gray-500'}
+                `}>
+                    Critical Path
+                </h4>
+                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {totalHours}h remaining
+                </span>
+            </div>
+            <div className="flex flex-wrap items-center gap-1 text-sm">
+                {path.map((task, index) => (
+                    <React.Fragment key={task.id}>
+                        {index > 0 && (
+                            <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}>→</span>
+                        )}
+                        <span className={`
+                            px-2 py-0.5 rounded
+                            ${overdueIds.has(task.id)
+                                ? (darkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-700')
+                                : (darkMode ? 'bg-gray-700 text-gray-300' : 'bg-white text-gray-700')}
+                            ${task.id === holdingTask?.id ? 'font-semibold' : ''}
+                        `}>
+                            {task.title || task.task}
+                        </span>
+                    </React.Fragment>
+                ))}
+            </div>
+            {holdingTask && (
+                <p className={`
+                    text-xs mt-2
+                    ${holdingIsOverdue
+                        ? (darkMode ? 'text-red-300' : 'text-red-600')
+                        : (darkMode ? 'text-gray-400' : 'text-gray-600')}
+                `}>
+                    {holdingIsOverdue
+                        ? `Holding up delivery: ${holdingTask.title || holdingTask.task} is overdue (due ${holdingTask.dueDate})`
+                        : `Next on the critical path: ${holdingTask.title || holdingTask.task}`}
+                </p>
+            )}
+        </div>
+    );
+});
+
+CriticalPathSummary.propTypes = {
+    criticalPath: PropTypes.shape({
+        path: PropTypes.arrayOf(PropTypes.object),
+        totalHours: PropTypes.number,
+        overdueTasks: PropTypes.arrayOf(PropTypes.object),
+        holdingTask: PropTypes.object
+    }),
+    darkMode: PropTypes.bool.isRequired
+};
+
+// Offline timer entries the server rejected, held until the user keeps or discards them
+const TimerConflictReview = React.memo(function TimerConflictReview({ conflicts, tasks, darkMode, onResolve }) {
+    const [resolvingId, setResolvingId] = useState(null);
+
+    if (!conflicts?.length) {
+        return null;
+    }
+
+    const taskTitles = new Map((tasks || []).map(task => [task.id, task.title || task.task]));
+
+    const handleResolve = async (entryId, action) => {
+        setResolvingId(entryId);
+        try {
+            await onResolve(entryId, action);
+        } finally {
+            setResolvingId(null);
+        }
+    };
+
+    return (
+        <div className={`
+            p-4 rounded-lg border space-y-3
+            ${darkMode ? 'bg-yellow-900/20 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}
+        `}>
+            <h4 className={`text-sm font-medium ${darkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+                Offline timer entries need review
+            </h4>
+            {conflicts.map(conflict => {
+                const taskId = conflict.events.find(event => event.taskId)?.taskId;
+                const isResolving = resolvingId === conflict.entryId;
+
+                return (
+                    <div
+                        key={conflict.entryId}
+                        className={`
+                            p-3 rounded-md text-sm
+                            ${darkMode ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'}
+                        `}
+                    >
+                        <div className="flex justify-between items-start gap-4">
+                            <div>
+                                <p className="font-medium">
+                                    {taskTitles.get(taskId) || 'Timer entry'}
+                                </p>
+                                <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                    {conflict.reason}
+                                </p>
+                                <ul className={`text-xs mt-2 space-y-0.5 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                    {conflict.events.map(event => (
+                                        <li key={event.id}>
+                                            {event.type} at {new Date(event.occurredAt).toLocaleString()}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                            <div className="flex gap-2 shrink-0">
+                                <button
+                                    onClick={() => handleResolve(conflict.entryId, 'retry')}
+                                    disabled={isResolving}
+                                    title="Keep these entries and replay them against the server again"
+                                    className={`
+                                        px-3 py-1 rounded-md text-xs disabled:opacity-50
+                                        ${darkMode
+                                            ? 'bg-blue-700 hover:bg-blue-600 text-white'
+                                            : 'bg-blue-600 hover:bg-blue-700 text-white'}
+                                    `}
+                                >
+                                    Keep
+                                </button>
+                                <button
+                                    onClick={() => handleResolve(conflict.entryId, 'discard')}
+                                    disabled={isResolving}
+                                    title="Drop the time recorded offline for this entry"
+                                    className={`
+                                        px-3 py-1 rounded-md text-xs disabled:opacity-50
+                                        ${darkMode
+                                            ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                            : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
+                                    `}
+                                >
+                                    Discard
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+});
+
+TimerConflictReview.propTypes = {
+    conflicts: PropTypes.arrayOf(PropTypes.shape({
+        entryId: PropTypes.string.isRequired,
+        reason: PropTypes.string,
+        events: PropTypes.arrayOf(PropTypes.object).isRequired
+    })),
+    tasks: PropTypes.arrayOf(PropTypes.object),
+    darkMode: PropTypes.bool.isRequired,
+    onResolve: PropTypes.func.isRequired
+};
+
 // Memoized task section component
 const TaskSection = React.memo(function TaskSection({
     title,
     tasks,
     darkMode,
+    isFixedPrice,
     onEdit,
     onStatusChange,
     onExpand,
@@ -548,6 +818,7 @@ const TaskSection = React.memo(function TaskSection({
                         key={task.id}
                         task={task}
                         darkMode={darkMode}
+                        isFixedPrice={isFixedPrice}
                         onEdit={onEdit}
                         onStatusChange={onStatusChange}
                         onExpand={onExpand}
@@ -577,6 +848,7 @@ TaskSection.propTypes = {
     title: PropTypes.string.isRequired,
     tasks: PropTypes.arrayOf(PropTypes.object).isRequired,
     darkMode: PropTypes.bool.isRequired,
+    isFixedPrice: PropTypes.bool,
     onEdit: PropTypes.func.isRequired,
     onStatusChange: PropTypes.func.isRequired,
     onExpand: PropTypes.func.isRequired,
@@ -609,6 +881,8 @@ function TaskList({
     const [showNewTaskForm, setShowNewTaskForm] = useState(false);
     const [editingTask, setEditingTask] = useState(null);
     const [allTaskNotes, setAllTaskNotes] = useState([]);
+    const [viewMode, setViewMode] = useState(getViewModePreference);
+    const [teamStaff, setTeamStaff] = useState(null);
 
     // Get customer_id from props, selectedProject, or fallback
     const effectiveCustomerId = customerId || selectedProject?.customer_id || selectedProject?._custID;
@@ -619,19 +893,69 @@ function TaskList({
         handleTimerStop,
         handleTimerPause,
         handleTimerAdjust,
+        handleTimerTakeover,
+        handleTimerTakeoverCancel,
+        handleIdleTimeResolve,
+        handleTimerConflictResolve,
         handleTaskCreate,
         handleTaskUpdate,
         handleTaskStatusChange,
+        handleTaskMove,
         taskNotes,
         taskLinks,
         timerRecords,
         loading: taskLoading,
         selectedTask,
         timer,
+        timerTakeover,
+        timerConflicts,
         activeTasks,
-        completedTasks
+        completedTasks,
+        criticalPath,
+        taskActuals
     } = useTask(projectId);
 
+    // Overruns on fixed-price projects come straight out of the margin
+    const isFixedPrice = isFixedPriceProject(selectedProject);
+
+    // Assignees must come from the project's team; null means the team could not be loaded
+    const teamId = selectedProject?._teamID || selectedProject?.team_id || null;
+    useEffect(() => {
+        let cancelled = false;
+        if (!teamId) {
+            setTeamStaff([]);
+            return undefined;
+        }
+        setTeamStaff(null);
+        getTeamStaff(teamId)
+            .then(members => {
+                if (!cancelled) setTeamStaff(members.filter(Boolean));
+            })
+            .catch(error => console.error('Error loading project team:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [teamId]);
+
+    // Tasks with their assignee names resolved against the project team
+    const { listedActiveTasks, listedCompletedTasks } = useMemo(() => {
+        const staffNames = new Map((teamStaff || []).map(member => [member.staffId, member.staffDetails?.name]));
+        const withAssigneeNames = (list) => (list || []).map(task => ({
+            ...task,
+            assigneeNames: getTaskAssigneeIds(task).map(id => staffNames.get(id)).filter(Boolean)
+        }));
+        return {
+            listedActiveTasks: withAssigneeNames(activeTasks),
+            listedCompletedTasks: withAssigneeNames(completedTasks)
+        };
+    }, [activeTasks, completedTasks, teamStaff]);
+
+    // Every project task, offered as a blocker in the task form
+    const projectTasks = useMemo(
+        () => [...listedActiveTasks, ...listedCompletedTasks],
+        [listedActiveTasks, listedCompletedTasks]
+    );
+
     const {
         handleNoteCreate,
         handleNoteUpdate,
@@ -766,12 +1090,12 @@ function TaskList({
 
     const handleEdit = useCallback(async (taskData) => {
         try {
-            await handleTaskUpdate(taskData.id, taskData);
+            await handleTaskUpdate(taskData.id, taskData, { teamStaff });
             onTaskUpdate(taskData.id, taskData);
         } catch (error) {
             console.error('Error updating task:', error);
         }
-    }, [handleTaskUpdate, onTaskUpdate]);
+    }, [handleTaskUpdate, onTaskUpdate, teamStaff]);
 
     const handleStatusChange = useCallback(async (taskId, completed) => {
         try {
@@ -782,6 +1106,32 @@ function TaskList({
         }
     }, [handleTaskStatusChange, onTaskStatusChange]);
 
+    const handleViewModeChange = useCallback((mode) => {
+        setViewMode(mode);
+        localStorage.setItem(VIEW_MODE_STORAGE_KEY, mode);
+    }, []);
+
+    const handleMoveTask = useCallback(async (taskId, columnId, index, columns) => {
+        const task = projectTasks.find(t => t.id === taskId);
+        const updates = await handleTaskMove(taskId, columnId, index, columns);
+        const moved = updates?.find(update => update.taskId === taskId);
+        if (task && moved) {
+            const completed = moved.status === TASK_STATUSES.COMPLETED || moved.status === TASK_STATUSES.CANCELLED;
+            if (completed !== Boolean(task.isCompleted)) {
+                onTaskStatusChange(task.recordId, completed);
+            }
+        }
+    }, [projectTasks, handleTaskMove, onTaskStatusChange]);
+
+    const handleBoardTimerStart = useCallback(async (task) => {
+        try {
+            const { task: selected } = await handleTaskSelect(task.id);
+            await handleTimerStart(selected);
+        } catch (error) {
+            console.error('Error starting timer from board:', error);
+        }
+    }, [handleTaskSelect, handleTimerStart]);
+
     const handleNewTask = useCallback(async (taskData) => {
         if (!projectId || !effectiveCustomerId) {
             console.error('Missing required fields for task creation:', {
@@ -792,18 +1142,18 @@ function TaskList({
         }
 
         try {
-            await handleTaskCreate(taskData);
+            await handleTaskCreate(taskData, { teamStaff });
             setShowNewTaskForm(false);
         } catch (error) {
             console.error('Error creating task:', error);
             // Error is handled in TaskForm component
             throw error;
         }
-    }, [projectId, effectiveCustomerId, handleTaskCreate]);
+    }, [projectId, effectiveCustomerId, handleTaskCreate, teamStaff]);
 
     const handleEditTask = useCallback(async (taskData) => {
         try {
-            await handleTaskUpdate(taskData.id, taskData);
+            await handleTaskUpdate(taskData.id, taskData, { teamStaff });
             setEditingTask(null);
             onTaskUpdate(taskData.id, taskData);
         } catch (error) {
@@ -811,20 +1161,42 @@ function TaskList({
             // Error is handled in TaskForm component
             throw error;
         }
-    }, [handleTaskUpdate, onTaskUpdate]);
+    }, [handleTaskUpdate, onTaskUpdate, teamStaff]);
 
     return (
         <div className="space-y-6">
             {/* Header with New Task Button */}
             <div className="flex justify-between items-center">
                 <h3 className="text-lg font-semibold">Tasks</h3>
-                <button
-                    onClick={() => setShowNewTaskForm(true)}
-                    className="px-4 py-2 mr-5 bg-primary text-white rounded-md hover:bg-primary-hover"
-                    disabled={!projectId || !effectiveCustomerId}
-                >
-                    New Task
-                </button>
+                <div className="flex items-center gap-3">
+                    <div className={`
+                        flex rounded-md border text-sm overflow-hidden
+                        ${darkMode ? 'border-gray-700' : 'border-gray-200'}
+                    `}>
+                        {VIEW_MODES.map(mode => (
+                            <button
+                                key={mode}
+                                onClick={() => handleViewModeChange(mode)}
+                                className={`
+                                    px-3 py-1 capitalize
+                                    ${viewMode === mode
+                                        ? 'bg-primary text-white'
+                                        : (darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100')}
+                                `}
+                                aria-pressed={viewMode === mode}
+                            >
+                                {mode}
+                            </button>
+                        ))}
+                    </div>
+                    <button
+                        onClick={() => setShowNewTaskForm(true)}
+                        className="px-4 py-2 mr-5 bg-primary text-white rounded-md hover:bg-primary-hover"
+                        disabled={!projectId || !effectiveCustomerId}
+                    >
+                        New Task
+                    </button>
+                </div>
             </div>
 
             {/* New Task Form */}
@@ -833,6 +1205,8 @@ function TaskList({
                     projectId={projectId}
                     customerId={effectiveCustomerId}
                     staffId={user?.userID}
+                    projectTasks={projectTasks}
+                    teamStaff={teamStaff}
                     onSubmit={handleNewTask}
                     onCancel={() => setShowNewTaskForm(false)}
                 />
@@ -845,93 +1219,128 @@ function TaskList({
                     customerId={effectiveCustomerId}
                     staffId={user?.userID}
                     task={editingTask}
+                    projectTasks={projectTasks}
+                    teamStaff={teamStaff}
                     onSubmit={handleEditTask}
                     onCancel={() => setEditingTask(null)}
                 />
             )}
 
             {/* Timer */}
-            {timer?.recordId && selectedTask && (
+            {(timer?.recordId || timerTakeover) && selectedTask && (
                 <div className="mb-6">
                     <TaskTimer
                         task={selectedTask}
                         timer={timer}
+                        takeover={timerTakeover}
+                        tasks={activeTasks || []}
                         onStart={handleTimerStart}
                         onPause={handleTimerPause}
                         onStop={handleTimerStop}
                         onAdjust={handleTimerAdjust}
+                        onTakeOver={handleTimerTakeover}
+                        onCancelTakeover={handleTimerTakeoverCancel}
+                        onIdleResolve={handleIdleTimeResolve}
+                        loggedHours={taskActuals[selectedTask.id]}
+                        isFixedPrice={isFixedPrice}
                     />
                 </div>
             )}
 
-            {/* Active Tasks */}
-            <TaskSection
-                title="Active Tasks"
-                tasks={activeTasks || []}
+            {/* Offline timer conflicts */}
+            <TimerConflictReview
+                conflicts={timerConflicts}
+                tasks={projectTasks}
                 darkMode={darkMode}
-                onEdit={handleEdit}
-                onStatusChange={handleStatusChange}
-                onExpand={handleTaskSelect}
-                taskNotes={allTaskNotes}
-                taskLinks={taskLinks}
-                timerRecords={timerRecords}
-                isLoading={loading}
-                emptyMessage="No active tasks"
-                handleTimerStart={handleTimerStart}
-                handleTaskSelect={handleTaskSelect}
-                handleCreateNote={handleCreateNote}
-                handleUpdateNote={handleUpdateNote}
-                handleDeleteNote={handleDeleteNote}
-                handleCreateLink={handleCreateLink}
-                handleUpdateLink={handleUpdateLink}
-                handleDeleteLink={handleDeleteLink}
-                handleLoadMoreNotes={handleLoadMoreNotes}
-                notesPagination={notesPagination}
-                notesLoading={noteLoading}
+                onResolve={handleTimerConflictResolve}
             />
 
-            {/* Completed Tasks Toggle */}
-            {completedTasks?.length > 0 && (
-                <div className="space-y-4">
-                    <button
-                        onClick={() => setShowCompleted(!showCompleted)}
-                        className={`
-                            text-sm px-3 py-1 rounded-md
-                            ${darkMode
-                                ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
-                                : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
-                        `}
-                    >
-                        {showCompleted ? 'Hide' : 'Show'} Completed Tasks ({completedTasks.length})
-                    </button>
+            {/* Critical Path */}
+            <CriticalPathSummary criticalPath={criticalPath} darkMode={darkMode} />
+
+            {viewMode === 'board' && (
+                <TaskBoard
+                    tasks={projectTasks}
+                    darkMode={darkMode}
+                    onMoveTask={handleMoveTask}
+                    onStartTimer={handleBoardTimerStart}
+                />
+            )}
+
+            {viewMode === 'list' && (
+                <>
+                    {/* Active Tasks */}
+                    <TaskSection
+                        title="Active Tasks"
+                        tasks={listedActiveTasks}
+                        darkMode={darkMode}
+                        isFixedPrice={isFixedPrice}
+                        onEdit={handleEdit}
+                        onStatusChange={handleStatusChange}
+                        onExpand={handleTaskSelect}
+                        taskNotes={allTaskNotes}
+                        taskLinks={taskLinks}
+                        timerRecords={timerRecords}
+                        isLoading={loading}
+                        emptyMessage="No active tasks"
+                        handleTimerStart={handleTimerStart}
+                        handleTaskSelect={handleTaskSelect}
+                        handleCreateNote={handleCreateNote}
+                        handleUpdateNote={handleUpdateNote}
+                        handleDeleteNote={handleDeleteNote}
+                        handleCreateLink={handleCreateLink}
+                        handleUpdateLink={handleUpdateLink}
+                        handleDeleteLink={handleDeleteLink}
+                        handleLoadMoreNotes={handleLoadMoreNotes}
+                        notesPagination={notesPagination}
+                        notesLoading={noteLoading}
+                    />
+
+                    {/* Completed Tasks Toggle */}
+                    {completedTasks?.length > 0 && (
+                        <div className="space-y-4">
+                            <button
+                                onClick={() => setShowCompleted(!showCompleted)}
+                                className={`
+                                    text-sm px-3 py-1 rounded-md
+                                    ${darkMode
+                                        ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                        : 'bg-gray-100 hover:bg-gray-200 text-gray-600'}
+                                `}
+                            >
+                                {showCompleted ? 'Hide' : 'Show'} Completed Tasks ({completedTasks.length})
+                            </button>
                     
-                    {showCompleted && (
-                        <TaskSection
-                            title="Completed Tasks"
-                            tasks={completedTasks || []}
-                            darkMode={darkMode}
-                            onEdit={handleEdit}
-                            onStatusChange={handleStatusChange}
-                            onExpand={handleTaskSelect}
-                            taskNotes={allTaskNotes}
-                            taskLinks={taskLinks}
-                            timerRecords={timerRecords}
-                            isLoading={loading}
-                            emptyMessage="No completed tasks"
-                            handleTimerStart={handleTimerStart}
-                            handleTaskSelect={handleTaskSelect}
-                            handleCreateNote={handleCreateNote}
-                            handleUpdateNote={handleUpdateNote}
-                            handleDeleteNote={handleDeleteNote}
-                            handleCreateLink={handleCreateLink}
-                            handleUpdateLink={handleUpdateLink}
-                            handleDeleteLink={handleDeleteLink}
-                            handleLoadMoreNotes={handleLoadMoreNotes}
-                            notesPagination={notesPagination}
-                            notesLoading={noteLoading}
-                        />
+                            {showCompleted && (
+                                <TaskSection
+                                    title="Completed Tasks"
+                                    tasks={listedCompletedTasks}
+                                    darkMode={darkMode}
+                                    isFixedPrice={isFixedPrice}
+                                    onEdit={handleEdit}
+                                    onStatusChange={handleStatusChange}
+                                    onExpand={handleTaskSelect}
+                                    taskNotes={allTaskNotes}
+                                    taskLinks={taskLinks}
+                                    timerRecords={timerRecords}
+                                    isLoading={loading}
+                                    emptyMessage="No completed tasks"
+                                    handleTimerStart={handleTimerStart}
+                                    handleTaskSelect={handleTaskSelect}
+                                    handleCreateNote={handleCreateNote}
+                                    handleUpdateNote={handleUpdateNote}
+                                    handleDeleteNote={handleDeleteNote}
+                                    handleCreateLink={handleCreateLink}
+                                    handleUpdateLink={handleUpdateLink}
+                                    handleDeleteLink={handleDeleteLink}
+                                    handleLoadMoreNotes={handleLoadMoreNotes}
+                                    notesPagination={notesPagination}
+                                    notesLoading={noteLoading}
+                                />
+                            )}
+                        </div>
                     )}
-                </div>
+                </>
             )}
         </div>
     );
@@ -1,6 +1,12 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { useTheme } from '../layout/AppLayout';
+import { useSnackBar } from '../../context/SnackBarContext';
+import {
+    IDLE_TIME_ACTIONS,
+    getTaskEstimatedHours,
+    getCrossedEstimateThreshold
+} from '../../services/taskService';
 
 // Memoized timer display component
 const TimerDisplay = React.memo(function TimerDisplay({ time, adjustedTime, isPaused, status, darkMode }) {
@@ -114,14 +120,304 @@ TimerControls.propTypes = {
     onStop: PropTypes.func.isRequired
 };
 
+// Memoized takeover dialog shown when a timer is already running in another session
+const TimerTakeoverDialog = React.memo(function TimerTakeoverDialog({
+    task,
+    remoteTimer,
+    darkMode,
+    onTakeOver,
+    onCancel
+}) {
+    const startedAt = remoteTimer.start_time
+        ? new Date(remoteTimer.start_time).toLocaleString()
+        : 'an unknown time';
+    const remoteTaskName = remoteTimer.task_title || remoteTimer.task_name || 'another task';
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+            <div className={`
+                p-6 rounded-lg max-w-md w-full mx-4
+                ${darkMode ? 'bg-gray-800' : 'bg-white'}
+            `}>
+                <h3 className="text-lg font-semibold mb-2">Timer running in another session</h3>
+                <p className={`text-sm mb-4 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                    A timer for {remoteTaskName} has been {remoteTimer.status === 'paused' ? 'paused' : 'running'} since {startedAt} in
+                    another tab or on another device. Only one timer can run at a time.
+                </p>
+                <div className="flex justify-end space-x-2">
+                    <button
+                        onClick={onCancel}
+                        className={`
+                            px-4 py-2 rounded-md
+                            ${darkMode
+                                ? 'bg-gray-700 hover:bg-gray-600'
+                                : 'bg-gray-200 hover:bg-gray-300'}
+                        `}
+                    >
+                        Keep Other Timer
+                    </button>
+                    <button
+                        onClick={onTakeOver}
+                        className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+                    >
+                        Stop It & Start {task.task || task.title || 'Here'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+});
+
+TimerTakeoverDialog.propTypes = {
+    task: PropTypes.shape({
+        task: PropTypes.string,
+        title: PropTypes.string
+    }).isRequired,
+    remoteTimer: PropTypes.shape({
+        id: PropTypes.string,
+        start_time: PropTypes.string,
+        status: PropTypes.string,
+        task_title: PropTypes.string,
+        task_name: PropTypes.string
+    }).isRequired,
+    darkMode: PropTypes.bool.isRequired,
+    onTakeOver: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired
+};
+
+const IDLE_TIMEOUT_STORAGE_KEY = 'timerIdleTimeoutMinutes';
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 10;
+const IDLE_TIMEOUT_OPTIONS = [0, 5, 10, 15, 30, 60];
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+/**
+ * Reads the idle timeout preference, in minutes (0 disables idle detection)
+ * @returns {number} Idle timeout in minutes
+ */
+function getIdleTimeoutPreference() {
+    const saved = parseInt(localStorage.getItem(IDLE_TIMEOUT_STORAGE_KEY), 10);
+    return IDLE_TIMEOUT_OPTIONS.includes(saved) ? saved : DEFAULT_IDLE_TIMEOUT_MINUTES;
+}
+
+/**
+ * Watches for user input and tab visibility while a timer runs
+ * When activity resumes after more than timeoutMinutes without input (or with the tab hidden),
+ * onIdleReturn receives the idle span.
+ *
+ * @param {Object} options - Detection options
+ * @param {boolean} options.enabled - Whether to watch for idle time
+ * @param {number} options.timeoutMinutes - Minutes without activity that count as idle
+ * @param {Function} options.onIdleReturn - Called with { idleStartedAt, idleEndedAt } ISO timestamps
+ */
+function useIdleDetection({ enabled, timeoutMinutes, onIdleReturn }) {
+    const onIdleReturnRef = useRef(onIdleReturn);
+    onIdleReturnRef.current = onIdleReturn;
+
+    useEffect(() => {
+        if (!enabled || !timeoutMinutes) return undefined;
+
+        const timeoutMs = timeoutMinutes * 60 * 1000;
+        let lastActivity = Date.now();
+
+        const handleActivity = () => {
+            if (document.visibilityState === 'hidden') return;
+
+            const now = Date.now();
+            if (now - lastActivity >= timeoutMs) {
+                onIdleReturnRef.current({
+                    idleStartedAt: new Date(lastActivity).toISOString(),
+                    idleEndedAt: new Date(now).toISOString()
+                });
+            }
+            lastActivity = now;
+        };
+
+        ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+        document.addEventListener('visibilitychange', handleActivity);
+        return () => {
+            ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+            document.removeEventListener('visibilitychange', handleActivity);
+        };
+    }, [enabled, timeoutMinutes]);
+}
+
+/**
+ * Raises a snackbar when the running timer pushes a task past an estimate threshold
+ * The first sample after the timer (re)starts only sets the baseline, so a task that is
+ * already over its estimate is not re-announced every time the timer mounts.
+ *
+ * @param {Object} options - Alert options
+ * @param {Object} options.task - Task being timed
+ * @param {string|null} options.timerId - Running time entry ID
+ * @param {number|undefined} options.loggedHours - Hours logged before this timer; alerts wait until known
+ * @param {number} options.runningSeconds - Adjusted seconds on the running timer
+ * @param {boolean} options.isFixedPrice - Whether overruns reduce a fixed-price margin
+ */
+function useEstimateAlerts({ task, timerId, loggedHours, runningSeconds, isFixedPrice }) {
+    const { showInfo, showError } = useSnackBar();
+    const previousHoursRef = useRef(null);
+
+    useEffect(() => {
+        previousHoursRef.current = null;
+    }, [task?.id, timerId]);
+
+    useEffect(() => {
+        const estimatedHours = getTaskEstimatedHours(task);
+        // runningSeconds starts at 0 before the elapsed time is restored, so wait for a real sample
+        if (!timerId || !estimatedHours || typeof loggedHours !== 'number' || runningSeconds <= 0) return;
+
+        const currentHours = loggedHours + runningSeconds / 3600;
+        const previousHours = previousHoursRef.current;
+        previousHoursRef.current = currentHours;
+        if (previousHours === null) return;
+
+        const threshold = getCrossedEstimateThreshold(estimatedHours, previousHours, currentHours);
+        if (!threshold) return;
+
+        const taskName = task.title || task.task;
+        if (threshold >= 1) {
+            showError(isFixedPrice
+                ? `${taskName} is over its ${estimatedHours}h estimate on a fixed-price project`
+                : `${taskName} is over its ${estimatedHours}h estimate`);
+        } else {
+            showInfo(`${taskName} has used ${Math.round(threshold * 100)}% of its ${estimatedHours}h estimate`);
+        }
+    }, [task, timerId, loggedHours, runningSeconds, isFixedPrice, showInfo, showError]);
+}
+
+// Memoized dialog asking what to do with time spent idle while the timer ran
+const IdleTimeDialog = React.memo(function IdleTimeDialog({
+    idleSpan,
+    task,
+    tasks,
+    darkMode,
+    onResolve
+}) {
+    const [reassignTaskId, setReassignTaskId] = useState('');
+    const [description, setDescription] = useState('');
+
+    const otherTasks = useMemo(
+        () => (tasks || []).filter(candidate => candidate.id !== task.id && !candidate.isCompleted),
+        [tasks, task.id]
+    );
+
+    const idleMinutes = Math.round((new Date(idleSpan.idleEndedAt) - new Date(idleSpan.idleStartedAt)) / 60000);
+    const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const resolve = (action) => {
+        onResolve({
+            ...idleSpan,
+            action,
+            description,
+            reassignTask: otherTasks.find(candidate => candidate.id === reassignTaskId) || null
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+            <div className={`
+                p-6 rounded-lg max-w-md w-full mx-4
+                ${darkMode ? 'bg-gray-800' : 'bg-white'}
+            `}>
+                <h3 className="text-lg font-semibold mb-2">You were idle</h3>
+                <p className={`text-sm mb-4 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                    The timer for {task.task || task.title} kept running for {idleMinutes} minutes without
+                    activity ({formatClock(idleSpan.idleStartedAt)} - {formatClock(idleSpan.idleEndedAt)}).
+                </p>
+                <textarea
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="What did you work on before going idle? (optional)"
+                    className={`
+                        w-full p-2 rounded-md border mb-3
+                        ${darkMode
+                            ? 'bg-gray-700 border-gray-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-900'}
+                    `}
+                    rows={2}
+                />
+                {otherTasks.length > 0 && (
+                    <select
+                        value={reassignTaskId}
+                        onChange={(e) => setReassignTaskId(e.target.value)}
+                        className={`
+                            w-full p-2 rounded-md border mb-4
+                            ${darkMode
+                                ? 'bg-gray-700 border-gray-600 text-white'
+                                : 'bg-white border-gray-300 text-gray-900'}
+                        `}
+                    >
+                        <option value="">Reassign idle time to...</option>
+                        {otherTasks.map(candidate => (
+                            <option key={candidate.id} value={candidate.id}>
+                                {candidate.task || candidate.title}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <div className="flex justify-end space-x-2">
+                    <button
+                        onClick={() => resolve(IDLE_TIME_ACTIONS.KEEP)}
+                        className={`
+                            px-4 py-2 rounded-md
+                            ${darkMode
+                                ? 'bg-gray-700 hover:bg-gray-600'
+                                : 'bg-gray-200 hover:bg-gray-300'}
+                        `}
+                    >
+                        Keep
+                    </button>
+                    {otherTasks.length > 0 && (
+                        <button
+                            onClick={() => resolve(IDLE_TIME_ACTIONS.REASSIGN)}
+                            disabled={!reassignTaskId}
+                            className="px-4 py-2 bg-[#004967] text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Reassign
+                        </button>
+                    )}
+                    <button
+                        onClick={() => resolve(IDLE_TIME_ACTIONS.DISCARD)}
+                        className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+                    >
+                        Discard
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+});
+
+IdleTimeDialog.propTypes = {
+    idleSpan: PropTypes.shape({
+        idleStartedAt: PropTypes.string.isRequired,
+        idleEndedAt: PropTypes.string.isRequired
+    }).isRequired,
+    task: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        task: PropTypes.string,
+        title: PropTypes.string
+    }).isRequired,
+    tasks: PropTypes.arrayOf(PropTypes.object),
+    darkMode: PropTypes.bool.isRequired,
+    onResolve: PropTypes.func.isRequired
+};
+
 // Main TaskTimer component
 function TaskTimer({
     task,
     timer = null,
+    takeover = null,
+    tasks = [],
     onStart,
     onPause,
     onStop,
-    onAdjust
+    onAdjust,
+    onTakeOver = () => {},
+    onCancelTakeover = () => {},
+    onIdleResolve = () => {},
+    loggedHours,
+    isFixedPrice = false
 }) {
     const { darkMode } = useTheme();
     const [isRunning, setIsRunning] = useState(false);
@@ -130,6 +426,22 @@ function TaskTimer({
     const [adjustedTime, setAdjustedTime] = useState(0);
     const [description, setDescription] = useState('');
     const [showStopDialog, setShowStopDialog] = useState(false);
+    const [idleSpan, setIdleSpan] = useState(null);
+    const [idleTimeoutMinutes, setIdleTimeoutMinutes] = useState(getIdleTimeoutPreference);
+
+    useIdleDetection({
+        enabled: isRunning && !isPaused && !idleSpan && !showStopDialog,
+        timeoutMinutes: idleTimeoutMinutes,
+        onIdleReturn: setIdleSpan
+    });
+
+    useEstimateAlerts({
+        task,
+        timerId: timer?.recordId || null,
+        loggedHours,
+        runningSeconds: adjustedTime,
+        isFixedPrice
+    });
 
     // Initialize timer state when mounted
     useEffect(() => {
@@ -152,6 +464,7 @@ function TaskTimer({
             setElapsedTime(0);
             setDescription('');
             setShowStopDialog(false);
+            setIdleSpan(null);
         }
     }, [timer, task?.id]);
 
@@ -246,6 +559,17 @@ function TaskTimer({
         onAdjust(minutes);
     }, [onAdjust]);
 
+    const handleIdleResolve = useCallback((resolution) => {
+        setIdleSpan(null);
+        onIdleResolve(resolution);
+    }, [onIdleResolve]);
+
+    const handleIdleTimeoutChange = useCallback((e) => {
+        const minutes = parseInt(e.target.value, 10);
+        localStorage.setItem(IDLE_TIMEOUT_STORAGE_KEY, String(minutes));
+        setIdleTimeoutMinutes(minutes);
+    }, []);
+
     return (
         <div className={`
             p-4 rounded-lg border
@@ -308,9 +632,51 @@ function TaskTimer({
                             +6 min
                         </button>
                     </div>
+                    <div className={`flex justify-center items-center mt-3 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        <label htmlFor="timer-idle-timeout" className="mr-2">Ask about idle time after</label>
+                        <select
+                            id="timer-idle-timeout"
+                            value={idleTimeoutMinutes}
+                            onChange={handleIdleTimeoutChange}
+                            className={`
+                                px-1 py-0.5 rounded border
+                                ${darkMode
+                                    ? 'bg-gray-700 border-gray-600 text-white'
+                                    : 'bg-white border-gray-300 text-gray-900'}
+                            `}
+                        >
+                            {IDLE_TIMEOUT_OPTIONS.map(minutes => (
+                                <option key={minutes} value={minutes}>
+                                    {minutes ? `${minutes} min` : 'Never'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
                 </div>
             )}
 
+            {/* Idle Time Dialog */}
+            {idleSpan && (
+                <IdleTimeDialog
+                    idleSpan={idleSpan}
+                    task={task}
+                    tasks={tasks}
+                    darkMode={darkMode}
+                    onResolve={handleIdleResolve}
+                />
+            )}
+
+            {/* Takeover Dialog */}
+            {takeover?.remoteTimer && (
+                <TimerTakeoverDialog
+                    task={takeover.task || task}
+                    remoteTimer={takeover.remoteTimer}
+                    darkMode={darkMode}
+                    onTakeOver={onTakeOver}
+                    onCancel={onCancelTakeover}
+                />
+            )}
+
             {/* Stop Dialog */}
             {showStopDialog && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
@@ -380,10 +746,20 @@ TaskTimer.propTypes = {
         totalPauseTime: PropTypes.number,
         pause_duration_seconds: PropTypes.number
     }),
+    takeover: PropTypes.shape({
+        task: PropTypes.object,
+        remoteTimer: PropTypes.object
+    }),
+    tasks: PropTypes.arrayOf(PropTypes.object),
     onStart: PropTypes.func.isRequired,
     onPause: PropTypes.func.isRequired,
     onStop: PropTypes.func.isRequired,
-    onAdjust: PropTypes.func.isRequired
+    onAdjust: PropTypes.func.isRequired,
+    onTakeOver: PropTypes.func,
+    onCancelTakeover: PropTypes.func,
+    onIdleResolve: PropTypes.func,
+    loggedHours: PropTypes.number,
+    isFixedPrice: PropTypes.bool
 };
 
 export default React.memo(TaskTimer);
\ No newline at end of file
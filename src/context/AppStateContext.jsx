@@ -17,6 +17,7 @@ export const APP_ACTIONS = {
     SET_SELECTED_SALE: 'SET_SELECTED_SALE',
     SET_CUSTOMER_DETAILS: 'SET_CUSTOMER_DETAILS',
     SET_SHOW_FINANCIAL_ACTIVITY: 'SET_SHOW_FINANCIAL_ACTIVITY',
+    SET_SHOW_MY_WORK: 'SET_SHOW_MY_WORK',
     SET_SHOW_FILEMAKER_EXAMPLE: 'SET_SHOW_FILEMAKER_EXAMPLE',
     SET_SHOW_SUPABASE_EXAMPLE: 'SET_SHOW_SUPABASE_EXAMPLE',
     SET_SHOW_QBO_TEST_PANEL: 'SET_SHOW_QBO_TEST_PANEL',
@@ -50,6 +51,7 @@ const initialState = {
     selectedSale: null,
     customerDetails: null, // Stores detailed customer data when available
     showFinancialActivity: false,
+    showMyWork: false, // Cross-project queue of the logged-in staff member's tasks
     showFileMakerExample: false,
     showSupabaseExample: false,
     showQboTestPanel: false,
@@ -108,6 +110,7 @@ function appReducer(state, action) {
                 selectedTask: null,
                 customerDetails: null, // Clear customer details when selecting a new customer
                 showFinancialActivity: false, // Hide financial activity when selecting a customer
+                showMyWork: false,
                 sidebarMode: 'customer', // Switch to customer mode
                 version: state.version + 1
             };
@@ -119,6 +122,7 @@ function appReducer(state, action) {
                 selectedProject: null,
                 selectedTask: null,
                 showFinancialActivity: false,
+                showMyWork: false,
                 sidebarMode: 'prospect', // Switch to prospect mode
                 version: state.version + 1
             };
@@ -134,6 +138,7 @@ function appReducer(state, action) {
                 selectedProject: action.payload,
                 selectedTask: null, // Clear related selection
                 showFinancialActivity: false, // Hide financial activity when selecting a project
+                showMyWork: false,
                 version: state.version + 1
             };
         case APP_ACTIONS.SET_SELECTED_TASK:
@@ -141,6 +146,7 @@ function appReducer(state, action) {
                 ...state,
                 selectedTask: action.payload,
                 showFinancialActivity: false, // Hide financial activity when selecting a task
+                showMyWork: false,
                 version: state.version + 1
             };
         case APP_ACTIONS.SET_SELECTED_TEAM:
@@ -151,6 +157,7 @@ function appReducer(state, action) {
                 selectedProject: null,
                 selectedTask: null,
                 showFinancialActivity: false, // Hide financial activity when selecting a team
+                showMyWork: false,
                 sidebarMode: 'team', // Switch to team mode
                 version: state.version + 1
             };
@@ -159,6 +166,7 @@ function appReducer(state, action) {
                 ...state,
                 selectedProduct: action.payload,
                 showFinancialActivity: false,
+                showMyWork: false,
                 version: state.version + 1
             };
         case APP_ACTIONS.SET_SELECTED_SALE:
@@ -171,12 +179,27 @@ function appReducer(state, action) {
             return {
                 ...state,
                 showFinancialActivity: action.payload,
+                showMyWork: false,
                 selectedCustomer: null, // Clear selections when showing financial activity
                 selectedProject: null,
                 selectedTask: null,
                 selectedTeam: null,
                 version: state.version + 1
             };
+        case APP_ACTIONS.SET_SHOW_MY_WORK:
+            return {
+                ...state,
+                showMyWork: action.payload,
+                selectedCustomer: null, // Clear selections when showing my work
+                selectedProject: null,
+                selectedTask: null,
+                selectedTeam: null,
+                showFinancialActivity: false, // Hide financial activity
+                showFileMakerExample: false, // Hide FileMaker example
+                showSupabaseExample: false, // Hide Supabase example
+                showQboTestPanel: false, // Hide QBO test panel
+                version: state.version + 1
+            };
         case APP_ACTIONS.SET_SHOW_FILEMAKER_EXAMPLE:
             return {
                 ...state,
@@ -186,6 +209,7 @@ function appReducer(state, action) {
                 selectedTask: null,
                 selectedTeam: null,
                 showFinancialActivity: false, // Hide financial activity
+                showMyWork: false,
                 showSupabaseExample: false, // Hide Supabase example
                 version: state.version + 1
             };
@@ -198,6 +222,7 @@ function appReducer(state, action) {
                 selectedTask: null,
                 selectedTeam: null,
                 showFinancialActivity: false, // Hide financial activity
+                showMyWork: false,
                 showFileMakerExample: false, // Hide FileMaker example
                 version: state.version + 1
             };
@@ -210,6 +235,7 @@ function appReducer(state, action) {
                 selectedTask: null,
                 selectedTeam: null,
                 showFinancialActivity: false, // Hide financial activity
+                showMyWork: false,
                 showFileMakerExample: false, // Hide FileMaker example
                 showSupabaseExample: false, // Hide Supabase example
                 version: state.version + 1
@@ -223,6 +249,7 @@ function appReducer(state, action) {
                 selectedTask: null,
                 selectedTeam: null,
                 showFinancialActivity: false, // Hide financial activity
+                showMyWork: false,
                 showFileMakerExample: false, // Hide FileMaker example
                 showSupabaseExample: false, // Hide Supabase example
                 showQboTestPanel: false, // Hide QBO test panel
@@ -445,6 +472,10 @@ export function useAppStateOperations() {
         dispatch({ type: APP_ACTIONS.SET_SHOW_FINANCIAL_ACTIVITY, payload: show });
     }, [dispatch]);
 
+    const setShowMyWork = useCallback((show) => {
+        dispatch({ type: APP_ACTIONS.SET_SHOW_MY_WORK, payload: show });
+    }, [dispatch]);
+
     const setShowFileMakerExample = useCallback((show) => {
         dispatch({ type: APP_ACTIONS.SET_SHOW_FILEMAKER_EXAMPLE, payload: show });
     }, [dispatch]);
@@ -511,6 +542,7 @@ export function useAppStateOperations() {
         setSelectedSale,
         setCustomerDetails,
         setShowFinancialActivity,
+        setShowMyWork,
         setShowFileMakerExample,
         setShowSupabaseExample,
         setShowQboTestPanel,
@@ -11,6 +11,7 @@ import * as financialService from '../services/billableHoursService';
  * @param {string} options.customerId - Initial customer ID to filter by (client-side filtering)
  * @param {string} options.projectId - Initial project ID to filter by (client-side filtering, not in Supabase schema)
  * @param {boolean} options.autoLoad - Whether to load data automatically (default: true)
+ * @param {Object} options.currencyOptions - Report totals and charts in a home currency ({ homeCurrency, rates })
  * @returns {Object} Billable hours data and methods
  */
 export function useBillableHours(initialTimeframe = "thisMonth", options = {}) {
@@ -278,8 +279,8 @@ export function useBillableHours(initialTimeframe = "thisMonth", options = {}) {
       chartType = "stacked";
     }
     
-    return financialService.prepareChartData(filteredRecords, chartType);
-  }, [filteredRecords, timeframe]);
+    return financialService.prepareChartData(filteredRecords, chartType, options.currencyOptions);
+  }, [filteredRecords, timeframe, options.currencyOptions]);
 
   /**
    * Records grouped by customer
@@ -319,15 +320,15 @@ export function useBillableHours(initialTimeframe = "thisMonth", options = {}) {
    * Calculate totals for filtered records
    */
   const totals = useMemo(() => {
-    return financialService.calculateTotals(filteredRecords);
-  }, [filteredRecords]);
+    return financialService.calculateTotals(filteredRecords, options.currencyOptions);
+  }, [filteredRecords, options.currencyOptions]);
   
   /**
    * Monthly totals for charting
    */
   const monthlyTotals = useMemo(() => {
-    return financialService.calculateMonthlyTotals(filteredRecords);
-  }, [filteredRecords]);
+    return financialService.calculateMonthlyTotals(filteredRecords, options.currencyOptions);
+  }, [filteredRecords, options.currencyOptions]);
   
   /**
    * Selected customer data
@@ -1,6 +1,12 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useAppState } from '../context/AppStateContext';
 import { calculateSalesStats } from '../services/salesService';
+import {
+  convertRecordsToCurrency,
+  loadCurrencySettings,
+  loadHomeCurrency,
+  saveHomeCurrency
+} from '../services/currencyService';
 
 /**
  * Hook for managing sales activity data and operations
@@ -26,6 +32,26 @@ export function useSalesActivity(initialTimeframe = 'today') {
   const [selectedMonth, setSelectedMonth] = useState(null);
   const [selectedMonthRecords, setSelectedMonthRecords] = useState([]);
   const [monthlyTotals, setMonthlyTotals] = useState([]);
+  const [currencySettings, setCurrencySettings] = useState(() => ({
+    homeCurrency: loadHomeCurrency(user?.supabaseOrgID),
+    rates: []
+  }));
+
+  /**
+   * Loads the home currency and exchange rates totals and charts are reported in
+   */
+  const refreshExchangeRates = useCallback(async () => {
+    if (!user?.supabaseOrgID) return;
+    try {
+      setCurrencySettings(await loadCurrencySettings(user.supabaseOrgID));
+    } catch (err) {
+      console.error('Error loading exchange rates:', err);
+    }
+  }, [user?.supabaseOrgID]);
+
+  useEffect(() => {
+    refreshExchangeRates();
+  }, [refreshExchangeRates]);
 
   // Process sales data when it changes or timeframe changes
   useEffect(() => {
@@ -43,9 +69,16 @@ export function useSalesActivity(initialTimeframe = 'today') {
       const filteredRecords = filterRecordsByTimeframe(stateSales, timeframe);
       setRecords(filteredRecords);
 
+      // Totals and charts are reported in the home currency; records without a rate are left out
+      const { records: reportRecords, unconverted } = convertRecordsToCurrency(filteredRecords, currencySettings);
+
       // Calculate totals
-      const calculatedTotals = calculateTotals(filteredRecords);
-      setTotals(calculatedTotals);
+      const calculatedTotals = calculateTotals(reportRecords);
+      setTotals({
+        ...calculatedTotals,
+        currency: currencySettings.homeCurrency,
+        unconvertedCount: unconverted.length
+      });
 
       // Group records by customer
       const customerRecords = groupRecordsByCustomer(filteredRecords);
@@ -56,12 +89,12 @@ export function useSalesActivity(initialTimeframe = 'today') {
       setRecordsByProject(projectRecords);
 
       // Prepare chart data
-      const preparedChartData = prepareChartData(filteredRecords, timeframe);
+      const preparedChartData = prepareChartData(reportRecords, timeframe);
       setChartData(preparedChartData);
 
       // Calculate monthly totals for quarterly/yearly views
       if (timeframe === 'thisQuarter' || timeframe === 'thisYear') {
-        const monthlyData = calculateMonthlyTotals(filteredRecords, timeframe);
+        const monthlyData = calculateMonthlyTotals(reportRecords, timeframe);
         setMonthlyTotals(monthlyData);
       }
 
@@ -78,7 +111,7 @@ export function useSalesActivity(initialTimeframe = 'today') {
     } finally {
       setLoading(false);
     }
-  }, [stateSales, timeframe]);
+  }, [stateSales, timeframe, currencySettings]);
 
   // Update selected customer when selectedCustomerId changes
   useEffect(() => {
@@ -695,6 +728,17 @@ export function useSalesActivity(initialTimeframe = 'today') {
     }
   }, []);
 
+  /**
+   * Changes the currency totals and charts are reported in
+   * @param {string} currency - Home currency code
+   */
+  const changeHomeCurrency = useCallback((currency) => {
+    if (user?.supabaseOrgID) {
+      saveHomeCurrency(user.supabaseOrgID, currency);
+    }
+    setCurrencySettings(prev => ({ ...prev, homeCurrency: currency }));
+  }, [user?.supabaseOrgID]);
+
   /**
    * Fetch data (refresh)
    */
@@ -723,7 +767,11 @@ export function useSalesActivity(initialTimeframe = 'today') {
     selectedMonth,
     selectedMonthRecords,
     monthlyTotals,
+    homeCurrency: currencySettings.homeCurrency,
+    exchangeRates: currencySettings.rates,
     changeTimeframe,
+    changeHomeCurrency,
+    refreshExchangeRates,
     selectCustomer,
     selectProject,
     selectMonth,
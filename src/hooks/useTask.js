@@ -11,9 +11,61 @@ import {
     pauseTimer,
     resumeTimer,
     getActiveTimer,
+    replayTimerJournal,
+    resolveTimerConflict,
+    takeOverActiveTimer,
+    resolveIdleTime,
+    IDLE_TIME_ACTIONS,
     groupTasksByStatus,
-    calculateTaskStats
+    calculateTaskStats,
+    annotateTaskDependencies,
+    calculateCriticalPath,
+    loadTaskActuals,
+    planBoardMove,
+    applyBoardUpdates,
+    saveBoardUpdates,
+    formatFinancialRecordForDisplay,
+    TASK_STATUSES
 } from '../services/taskService';
+import { getTimerConflicts } from '../services/timerJournalService';
+import { subscribeToActiveTimer, reconcileActiveTimer } from '../services/timerSyncService';
+
+const EMPTY_TIMER = {
+    recordId: null,
+    TimeStart: null,
+    isPaused: false,
+    pauseStartTime: null,
+    totalPauseTime: 0,
+    adjustment: 0
+};
+
+/**
+ * Builds local timer state from a backend active timer record
+ * @param {Object} activeTimer - Time entry from getActiveTimer
+ * @returns {Object} Timer state
+ */
+function buildTimerState(activeTimer) {
+    return {
+        id: activeTimer.id,
+        recordId: activeTimer.filemaker_record_id || activeTimer.id,
+        start_time: activeTimer.start_time,
+        startTime: activeTimer.start_time,
+        TimeStart: new Date(activeTimer.start_time).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false
+        }),
+        status: activeTimer.status || 'active',
+        isPaused: activeTimer.status === 'paused',
+        pauseStartTime: activeTimer.status === 'paused' ? new Date() : null,
+        totalPauseTime: activeTimer.pause_duration_seconds || 0,
+        pause_duration_seconds: activeTimer.pause_duration_seconds || 0,
+        adjustment: activeTimer.adjustment_seconds || 0,
+        adjustment_seconds: activeTimer.adjustment_seconds || 0,
+        task_id: activeTimer.task_id
+    };
+}
 
 /**
  * Hook for managing task state and operations
@@ -28,6 +80,8 @@ export function useTask(projectId = null) {
     const [taskNotes, setTaskNotes] = useState([]);
     const [taskLinks, setTaskLinks] = useState([]);
     const [stats, setStats] = useState(null);
+    const [taskActuals, setTaskActuals] = useState({});
+    const [timerConflicts, setTimerConflicts] = useState(() => getTimerConflicts());
     const [timer, setTimer] = useState(() => {
         const savedTimer = localStorage.getItem('activeTimer');
         if (savedTimer) {
@@ -42,17 +96,42 @@ export function useTask(projectId = null) {
                 localStorage.removeItem('activeTimer');
             }
         }
-        return {
-            recordId: null,
-            TimeStart: null,
-            isPaused: false,
-            pauseStartTime: null,
-            totalPauseTime: 0,
-            adjustment: 0
-        };
+        return EMPTY_TIMER;
     });
+    const [timerTakeover, setTimerTakeover] = useState(null);
+
+    const { showError, showInfo } = useSnackBar();
+
+    // Replay journaled timer events on mount and whenever connectivity returns
+    useEffect(() => {
+        const replayJournal = async () => {
+            try {
+                const summary = await replayTimerJournal();
+
+                // Timers started offline now have a server ID
+                if (Object.keys(summary.idMap).length > 0) {
+                    setTimer(prev => {
+                        const serverId = summary.idMap[prev.id];
+                        if (!serverId) return prev;
+                        const newTimer = { ...prev, id: serverId, recordId: serverId, isOffline: false };
+                        localStorage.setItem('activeTimer', JSON.stringify(newTimer));
+                        return newTimer;
+                    });
+                }
+
+                setTimerConflicts(summary.conflicts);
+                if (summary.conflicts.length > 0) {
+                    showError('Some offline timer entries conflict with a timer on the server. Please review them.');
+                }
+            } catch (err) {
+                console.error('[useTask] Error replaying timer journal:', err);
+            }
+        };
 
-    const { showError } = useSnackBar();
+        replayJournal();
+        window.addEventListener('online', replayJournal);
+        return () => window.removeEventListener('online', replayJournal);
+    }, [showError]);
 
     // Restore active timer on mount
     useEffect(() => {
@@ -65,26 +144,7 @@ export function useTask(projectId = null) {
                     console.log('[useTask] Found active timer:', activeTimer);
 
                     // Restore timer state
-                    const restoredTimer = {
-                        id: activeTimer.id,
-                        recordId: activeTimer.filemaker_record_id || activeTimer.id,
-                        start_time: activeTimer.start_time,
-                        startTime: activeTimer.start_time,
-                        TimeStart: new Date(activeTimer.start_time).toLocaleTimeString('en-US', {
-                            hour: '2-digit',
-                            minute: '2-digit',
-                            second: '2-digit',
-                            hour12: false
-                        }),
-                        status: activeTimer.status || 'active',
-                        isPaused: activeTimer.status === 'paused',
-                        pauseStartTime: activeTimer.status === 'paused' ? new Date() : null,
-                        totalPauseTime: activeTimer.pause_duration_seconds || 0,
-                        pause_duration_seconds: activeTimer.pause_duration_seconds || 0,
-                        adjustment: activeTimer.adjustment_seconds || 0,
-                        adjustment_seconds: activeTimer.adjustment_seconds || 0,
-                        task_id: activeTimer.task_id
-                    };
+                    const restoredTimer = buildTimerState(activeTimer);
 
                     setTimer(restoredTimer);
                     localStorage.setItem('activeTimer', JSON.stringify(restoredTimer));
@@ -100,6 +160,36 @@ export function useTask(projectId = null) {
         restoreActiveTimer();
     }, []); // Run once on mount
 
+    // Keep this client in step with the server's active timer (other tabs and devices);
+    // every useTask caller shares one realtime channel and poller
+    useEffect(() => {
+        const unsubscribe = subscribeToActiveTimer({
+            onChange: (serverTimer) => {
+                setTimer(prev => {
+                    const { action } = reconcileActiveTimer(prev, serverTimer);
+                    if (action === 'none') return prev;
+
+                    if (action === 'clear') {
+                        console.log('[useTask] Timer was stopped in another session');
+                        localStorage.removeItem('activeTimer');
+                        return EMPTY_TIMER;
+                    }
+
+                    // 'adopt' and 'update' both take the server's state, keeping local-only adjustments
+                    console.log('[useTask] Syncing timer from server:', action, serverTimer.id);
+                    const syncedTimer = {
+                        ...buildTimerState(serverTimer),
+                        adjustment: action === 'update' ? prev.adjustment : (serverTimer.adjustment_seconds || 0)
+                    };
+                    localStorage.setItem('activeTimer', JSON.stringify(syncedTimer));
+                    return syncedTimer;
+                });
+            }
+        });
+
+        return unsubscribe;
+    }, []);
+
     // Load tasks when projectId changes
     useEffect(() => {
         if (projectId) {
@@ -107,10 +197,26 @@ export function useTask(projectId = null) {
         }
     }, [projectId]);
 
+    // Refresh logged hours for estimated tasks; a stopped timer changes them
+    useEffect(() => {
+        let cancelled = false;
+
+        loadTaskActuals(projectId, tasks)
+            .then(actuals => {
+                if (!cancelled) setTaskActuals(actuals);
+            })
+            .catch(err => console.error('[useTask] Error loading task actuals:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [projectId, tasks, timer?.recordId]);
+
     // Update stats when tasks or timer records change
     useEffect(() => {
-        setStats(calculateTaskStats(tasks, timerRecords));
-    }, [tasks, timerRecords]);
+        const tasksWithActuals = tasks.map(task => ({ ...task, actualHours: taskActuals[task.id] ?? null }));
+        setStats(calculateTaskStats(tasksWithActuals, timerRecords));
+    }, [tasks, timerRecords, taskActuals]);
 
     // Task operations
     const loadTasks = useCallback(async (projId) => {
@@ -158,7 +264,7 @@ export function useTask(projectId = null) {
         }
     }, [tasks, showError]);
 
-    const handleTaskCreate = useCallback(async (taskData) => {
+    const handleTaskCreate = useCallback(async (taskData, { teamStaff = null } = {}) => {
         if (!projectId) {
             console.error('No project ID available for task creation');
             return null;
@@ -169,7 +275,7 @@ export function useTask(projectId = null) {
             setError(null);
             
             // Wait for task creation to complete
-            const result = await createNewTask(taskData);
+            const result = await createNewTask(taskData, { projectTasks: tasks, teamStaff });
             console.log('Task creation result:', result);
             // Validate the result
             if (result?.response?.data?.[0]?.recordId) {
@@ -181,6 +287,8 @@ export function useTask(projectId = null) {
                     isCompleted: false,
                     _projectID: taskData._projectID,
                     _staffID: taskData._staffID,
+                    blockedBy: taskData.blocked_by || [],
+                    assigneeIds: taskData.assignee_ids || [],
                     createdAt: new Date().toISOString(),
                     modifiedAt: new Date().toISOString()
                 }]);
@@ -195,14 +303,14 @@ export function useTask(projectId = null) {
         } finally {
             setLoading(false);
         }
-    }, [projectId, loadTasks, showError]);
+    }, [projectId, tasks, loadTasks, showError]);
 
-    const handleTaskUpdate = useCallback(async (taskId, taskData) => {
+    const handleTaskUpdate = useCallback(async (taskId, taskData, { teamStaff = null } = {}) => {
         try {
             setLoading(true);
             setError(null);
             
-            const result = await updateExistingTask(taskId, taskData);
+            const result = await updateExistingTask(taskId, taskData, { projectTasks: tasks, teamStaff });
             if (result) {
                 setTasks(prevTasks =>
                     prevTasks.map(task =>
@@ -224,7 +332,7 @@ export function useTask(projectId = null) {
         } finally {
             setLoading(false);
         }
-    }, [selectedTask, showError]);
+    }, [tasks, selectedTask, showError]);
 
     const handleTaskStatusChange = useCallback(async (recordId, completed) => {
         try {
@@ -236,13 +344,17 @@ export function useTask(projectId = null) {
                 setTasks(prevTasks =>
                     prevTasks.map(task =>
                         task.recordId === recordId
-                            ? { ...task, isCompleted: completed }
+                            ? { ...task, isCompleted: completed, status: completed ? TASK_STATUSES.COMPLETED : TASK_STATUSES.PENDING }
                             : task
                     )
                 );
                 
                 if (selectedTask?.recordId === recordId) {
-                    setSelectedTask(prev => ({ ...prev, isCompleted: completed }));
+                    setSelectedTask(prev => ({
+                        ...prev,
+                        isCompleted: completed,
+                        status: completed ? TASK_STATUSES.COMPLETED : TASK_STATUSES.PENDING
+                    }));
                 }
             }
             return result;
@@ -255,6 +367,37 @@ export function useTask(projectId = null) {
         }
     }, [selectedTask, showError]);
 
+    // Board moves are applied optimistically; a failed save reloads the project's tasks
+    const handleTaskMove = useCallback(async (taskId, columnId, index, columns) => {
+        let updates;
+        try {
+            updates = planBoardMove(tasks, columns, taskId, columnId, index);
+        } catch (err) {
+            showError(err.message);
+            return null;
+        }
+        if (!updates.length) {
+            return updates;
+        }
+
+        setTasks(prevTasks => applyBoardUpdates(prevTasks, updates));
+        if (updates.some(update => update.taskId === selectedTask?.id)) {
+            setSelectedTask(prev => applyBoardUpdates([prev], updates)[0]);
+        }
+
+        try {
+            await saveBoardUpdates(updates);
+            return updates;
+        } catch (err) {
+            showError(`Failed to move task: ${err.message}`);
+            console.error('Error moving task:', err);
+            if (projectId) {
+                await loadTasks(projectId);
+            }
+            return null;
+        }
+    }, [tasks, selectedTask, projectId, loadTasks, showError]);
+
     const handleTimerStart = useCallback(async (task = null) => {
         try {
             const taskToUse = task || selectedTask;
@@ -269,7 +412,7 @@ export function useTask(projectId = null) {
 
                 const newTimer = {
                     id: result.id,
-                    recordId: result.response?.recordId || null,
+                    recordId: result.response?.recordId || result.id || null,
                     start_time: startTime,
                     startTime: startTime,
                     TimeStart: new Date().toLocaleTimeString('en-US', {
@@ -284,7 +427,8 @@ export function useTask(projectId = null) {
                     totalPauseTime: 0,
                     pause_duration_seconds: 0,
                     adjustment: 0,
-                    adjustment_seconds: 0
+                    adjustment_seconds: 0,
+                    isOffline: Boolean(result.is_offline)
                 };
                 setTimer(newTimer);
                 localStorage.setItem('activeTimer', JSON.stringify(newTimer));
@@ -295,43 +439,18 @@ export function useTask(projectId = null) {
         } catch (err) {
             // Provide better error messages for concurrency conflicts
             if (err.message.includes('already has an active timer') ||
+                err.message.includes('already have an active timer') ||
                 err.message.includes('concurrent timer') ||
                 err.message.includes('409')) {
 
-                // Try to fetch and restore the existing active timer
+                // Offer to take over the timer running in the other session
                 try {
                     console.log('[useTask] Fetching existing active timer after conflict');
                     const existingTimer = await getActiveTimer();
 
                     if (existingTimer) {
                         console.log('[useTask] Found existing active timer:', existingTimer);
-
-                        // Restore the existing timer state
-                        const restoredTimer = {
-                            id: existingTimer.id,
-                            recordId: existingTimer.filemaker_record_id || existingTimer.id,
-                            start_time: existingTimer.start_time,
-                            startTime: existingTimer.start_time,
-                            TimeStart: new Date(existingTimer.start_time).toLocaleTimeString('en-US', {
-                                hour: '2-digit',
-                                minute: '2-digit',
-                                second: '2-digit',
-                                hour12: false
-                            }),
-                            status: existingTimer.status || 'active',
-                            isPaused: existingTimer.status === 'paused',
-                            pauseStartTime: existingTimer.status === 'paused' ? new Date() : null,
-                            totalPauseTime: existingTimer.pause_duration_seconds || 0,
-                            pause_duration_seconds: existingTimer.pause_duration_seconds || 0,
-                            adjustment: existingTimer.adjustment_seconds || 0,
-                            adjustment_seconds: existingTimer.adjustment_seconds || 0,
-                            task_id: existingTimer.task_id
-                        };
-
-                        setTimer(restoredTimer);
-                        localStorage.setItem('activeTimer', JSON.stringify(restoredTimer));
-
-                        showError('You already have an active timer running. The existing timer has been restored.');
+                        setTimerTakeover({ task: task || selectedTask, remoteTimer: existingTimer });
                     } else {
                         showError('You already have an active timer running. Please stop or pause it before starting a new one.');
                     }
@@ -359,7 +478,7 @@ export function useTask(projectId = null) {
                     : 0)
             );
 
-            await stopTimer({
+            const result = await stopTimer({
                 recordId: timer.recordId,
                 description,
                 saveImmediately,
@@ -367,26 +486,25 @@ export function useTask(projectId = null) {
                 adjustment: timer.adjustment || 0
             });
 
-            if (selectedTask) {
+            // Explain when the billed time differs from the logged time
+            const roundingSummary = formatFinancialRecordForDisplay(result?.financial_record)?.roundingSummary;
+            if (roundingSummary) {
+                showInfo(roundingSummary);
+            }
+
+            // A journaled stop is saved once connectivity returns - nothing to reload yet
+            if (selectedTask && !result?.queued) {
                 const details = await loadTaskDetails(selectedTask.id);
                 setTimerRecords(details.timers);
             }
 
-            const newTimer = {
-                recordId: null,
-                startTime: null,
-                isPaused: false,
-                pauseStartTime: null,
-                totalPauseTime: 0,
-                adjustment: 0
-            };
-            setTimer(newTimer);
+            setTimer(EMPTY_TIMER);
             localStorage.removeItem('activeTimer');
         } catch (err) {
             showError(err.message);
             console.error('Error stopping timer:', err);
         }
-    }, [timer, selectedTask, showError]);
+    }, [timer, selectedTask, showError, showInfo]);
 
     const handleTimerPause = useCallback(async () => {
         if (!timer?.recordId && !timer?.id) {
@@ -474,16 +592,114 @@ export function useTask(projectId = null) {
         });
     }, [timer, showError]);
 
-    // Get grouped tasks
-    const { activeTasks, completedTasks } = useMemo(() => {
+    const handleTimerTakeover = useCallback(async () => {
+        if (!timerTakeover) return;
+
+        try {
+            const result = await takeOverActiveTimer(timerTakeover.task);
+            const newTimer = {
+                ...buildTimerState({ status: 'active', start_time: new Date().toISOString(), ...result }),
+                isOffline: Boolean(result.is_offline)
+            };
+            setTimer(newTimer);
+            localStorage.setItem('activeTimer', JSON.stringify(newTimer));
+        } catch (err) {
+            showError(err.message);
+            console.error('[useTask] Error taking over timer:', err);
+        } finally {
+            setTimerTakeover(null);
+        }
+    }, [timerTakeover, showError]);
+
+    const handleTimerTakeoverCancel = useCallback(() => {
+        // Keep the other session's timer and reflect it here
+        if (timerTakeover?.remoteTimer) {
+            const restoredTimer = buildTimerState(timerTakeover.remoteTimer);
+            setTimer(restoredTimer);
+            localStorage.setItem('activeTimer', JSON.stringify(restoredTimer));
+        }
+        setTimerTakeover(null);
+    }, [timerTakeover]);
+
+    const handleIdleTimeResolve = useCallback(async ({ action, idleStartedAt, idleEndedAt, reassignTask = null, description = '' }) => {
+        if (action === IDLE_TIME_ACTIONS.KEEP) return;
+
+        if (!timer?.recordId || !selectedTask) {
+            showError('No active timer');
+            return;
+        }
+
+        try {
+            // Pause time accrued before going idle belongs to the entry being closed
+            const totalPauseTime = Math.round((timer.totalPauseTime || 0) +
+                (timer.isPaused && timer.pauseStartTime
+                    ? (new Date() - new Date(timer.pauseStartTime)) / 1000
+                    : 0)
+            );
+
+            const result = await resolveIdleTime({
+                action,
+                recordId: timer.recordId,
+                task: selectedTask,
+                idleStartedAt,
+                idleEndedAt,
+                reassignTask,
+                description,
+                totalPauseTime,
+                adjustment: timer.adjustment || 0
+            });
+
+            // The entry was stopped either way; without a restarted timer nothing runs locally
+            if (result.timer) {
+                const newTimer = {
+                    ...buildTimerState({ status: 'active', start_time: idleEndedAt, ...result.timer }),
+                    isOffline: Boolean(result.timer.is_offline)
+                };
+                setTimer(newTimer);
+                localStorage.setItem('activeTimer', JSON.stringify(newTimer));
+            } else {
+                setTimer(EMPTY_TIMER);
+                localStorage.removeItem('activeTimer');
+            }
+
+            if (result.error) {
+                showError(result.error.message);
+            }
+
+            if (!result.stopped?.queued) {
+                const details = await loadTaskDetails(selectedTask.id);
+                setTimerRecords(details.timers);
+            }
+        } catch (err) {
+            showError(err.message);
+            console.error('[useTask] Error resolving idle time:', err);
+        }
+    }, [timer, selectedTask, showError]);
+
+    const handleTimerConflictResolve = useCallback(async (entryId, action) => {
+        try {
+            resolveTimerConflict(entryId, action);
+            const summary = await replayTimerJournal();
+            setTimerConflicts(summary.conflicts);
+        } catch (err) {
+            showError(err.message);
+            console.error('[useTask] Error resolving timer conflict:', err);
+        }
+    }, [showError]);
+
+    // Get grouped tasks with their derived blocked state
+    const { activeTasks, completedTasks, criticalPath } = useMemo(() => {
         //console.log('Tasks in useTask:', tasks);
-        const grouped = groupTasksByStatus(tasks || []);
+        const annotated = annotateTaskDependencies(tasks || [])
+            .map(task => ({ ...task, actualHours: taskActuals[task.id] ?? null }));
+        const grouped = groupTasksByStatus(annotated);
         //console.log('Grouped tasks:', grouped);
         return {
             activeTasks: grouped.active || [],
-            completedTasks: grouped.completed || []
+            completedTasks: grouped.completed || [],
+            criticalPath: calculateCriticalPath(annotated)
         };
-    }, [tasks]);
+    }, [tasks, taskActuals]);
 
     return {
         // State
@@ -498,6 +714,10 @@ export function useTask(projectId = null) {
         stats,
         activeTasks,
         completedTasks,
+        criticalPath,
+        taskActuals,
+        timerConflicts,
+        timerTakeover,
         
         // Task operations
         loadTasks,
@@ -505,12 +725,17 @@ export function useTask(projectId = null) {
         handleTaskCreate,
         handleTaskUpdate,
         handleTaskStatusChange,
+        handleTaskMove,
         
         // Timer operations
         handleTimerStart,
         handleTimerStop,
         handleTimerPause,
         handleTimerAdjust,
+        handleTimerConflictResolve,
+        handleTimerTakeover,
+        handleTimerTakeoverCancel,
+        handleIdleTimeResolve,
         
         // Utilities
         clearError: () => setError(null),
@@ -14,6 +14,7 @@ import { loadingStateManager, useGlobalLoadingState } from './services/loadingSt
 import { AppStateProvider, useAppState, useAppStateOperations } from './context/AppStateContext';
 import { ProjectProvider } from './context/ProjectContext';
 import { calculateProjectDetailStats } from './services/projectService';
+import { loadProjectExpenses } from './services/projectExpenseService';
 import { getAuthenticationContext, setAuthenticationContext } from './services/dataService';
 
 // Memoized sidebar for performance
@@ -87,6 +88,7 @@ function AppContent() {
         tasks,
         selectedTask,
         timer,
+        timerTakeover,
         stats: taskStats,
         error: taskError,
         handleTaskSelect,
@@ -97,6 +99,9 @@ function AppContent() {
         handleTimerStop,
         handleTimerPause,
         handleTimerAdjust,
+        handleTimerTakeover,
+        handleTimerTakeoverCancel,
+        handleIdleTimeResolve,
         clearSelectedTask
     } = useTask(appState.selectedProject?.id);
     const { loadProducts } = useProducts();
@@ -304,8 +309,19 @@ function AppContent() {
             const details = await loadProjectDetails(projectId);
             console.log("Project details loaded:", details);
 
+            // Expenses only feed profitability, so the project still opens without them
+            const organizationId = appState.user?.supabaseOrgID;
+            let expenses = [];
+            if (organizationId) {
+                try {
+                    expenses = await loadProjectExpenses(organizationId, projectId);
+                } catch (error) {
+                    console.warn("Project expenses could not be loaded:", error);
+                }
+            }
+
             // Calculate stats using project records if they exist
-            const stats = projectRecords ? calculateProjectDetailStats(project, projectRecords) : { totalHours: 0, unbilledHours: 0, completion: 0 };
+            const stats = calculateProjectDetailStats(project, projectRecords || [], expenses);
             console.log("Project stats calculated:", stats);
             
             // Create complete project object with all data
@@ -316,10 +332,15 @@ function AppContent() {
                 objectives: details.objectives || [],
                 notes: details.notes || [],
                 records: projectRecords ? projectRecords.filter(r => r.fieldData._projectID === projectId) : [],
+                expenses,
                 stats: {
                     totalHours: stats.totalHours,
                     unbilledHours: stats.unbilledHours,
-                    completion: stats.completion
+                    completion: stats.completion,
+                    revenue: stats.revenue,
+                    expenseTotal: stats.expenseTotal,
+                    profit: stats.profit,
+                    margin: stats.margin
                 }
             };
             console.log("Complete project object:", completeProject);
@@ -334,7 +355,7 @@ function AppContent() {
             console.error('Error selecting project:', error);
             setLoading(false);
         }
-    }, [clearSelectedTask, loadProjectDetails, projectRecords, setSelectedProject, calculateProjectDetailStats, setLoading]);
+    }, [clearSelectedTask, loadProjectDetails, projectRecords, appState.user, setSelectedProject, calculateProjectDetailStats, setLoading]);
 
     const onTaskSelect = useCallback((task) => {
         handleTaskSelect(task.id);
@@ -386,6 +407,9 @@ function AppContent() {
         handleTimerStop,
         handleTimerPause,
         handleTimerAdjust,
+        handleTimerTakeover,
+        handleTimerTakeoverCancel,
+        handleIdleTimeResolve,
         customers, // Add customers for marketing functionality
         selectedMarketingDomain,
         onMarketingDomainSelect: handleMarketingDomainSelect,
@@ -410,6 +434,9 @@ function AppContent() {
         handleTimerStop,
         handleTimerPause,
         handleTimerAdjust,
+        handleTimerTakeover,
+        handleTimerTakeoverCancel,
+        handleIdleTimeResolve,
         customers, // Add customers dependency
         selectedMarketingDomain,
         handleMarketingDomainSelect,
@@ -518,6 +545,7 @@ function AppContent() {
                     projectStats={projectStats}
                     teamStats={teamStats}
                     timer={timer}
+                    timerTakeover={timerTakeover}
                     handlers={handlers}
                     projects={projects}
                 />
@@ -0,0 +1,32 @@
+/**
+ * Manual mock for dataService
+ *
+ * Used with jest.mock('../dataService') so service tests (and automocked API modules)
+ * never load the backend client or config.js, which relies on import.meta.
+ */
+
+export const ENVIRONMENT_TYPES = {
+    WEBAPP: 'webapp'
+};
+
+export const AUTH_METHODS = {
+    SUPABASE: 'supabase'
+};
+
+export const dataService = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    patch: jest.fn(),
+    delete: jest.fn()
+};
+
+export const setAuthenticationContext = jest.fn();
+export const getAuthenticationContext = jest.fn();
+export const getOrganizationId = jest.fn();
+export const hasOrganizationContext = jest.fn();
+export const generateBackendAuthHeader = jest.fn();
+export const setEnvironmentContext = jest.fn();
+export const getEnvironmentContext = jest.fn();
+
+export default dataService;
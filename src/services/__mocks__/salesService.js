@@ -0,0 +1,11 @@
+/**
+ * Manual mock for salesService
+ *
+ * The real module pulls in the teams API and config.js (import.meta), so it cannot be
+ * automocked; only the functions other services call are provided.
+ */
+
+export const createSaleFromFinancialRecord = jest.fn();
+export const updateSalesPaymentStatus = jest.fn();
+export const updateSalesCurrency = jest.fn();
+export const updateSaleCreditedAmount = jest.fn();
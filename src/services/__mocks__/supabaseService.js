@@ -0,0 +1,15 @@
+/**
+ * Manual mock for supabaseService
+ *
+ * Used with jest.mock('../supabaseService'); tests give getSupabaseClient a client
+ * stub for the tables they touch.
+ */
+
+export const getSupabaseClient = jest.fn();
+export const getSupabaseAdminClient = jest.fn();
+export const isSupabaseConfigured = jest.fn(() => true);
+export const getSession = jest.fn();
+export const query = jest.fn();
+export const insert = jest.fn();
+export const update = jest.fn();
+export const remove = jest.fn();
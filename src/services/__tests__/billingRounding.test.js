@@ -0,0 +1,297 @@
+/**
+ * Billing Rounding Tests
+ *
+ * Tests for billing rounding policies in taskService covering:
+ * - Rounding increments, per-entry minimums and daily minimums
+ * - Policy validation and resolution (customer override over organization default)
+ * - Applying the policy when timesheet approval creates the financial record
+ * - Showing the rounding in formatFinancialRecordForDisplay
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+import * as financialRecordsApi from '../../api/financialRecords';
+import { getSupabaseClient } from '../supabaseService';
+
+const { BILLING_ROUNDING_MODES, DEFAULT_BILLING_ROUNDING_POLICY } = taskService;
+
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const policy = (overrides) => ({
+    mode: BILLING_ROUNDING_MODES.NONE,
+    minimum_entry_minutes: 0,
+    daily_minimum_minutes: 0,
+    ...overrides
+});
+
+// Minimal Supabase client: each table resolves to the configured row for single/maybeSingle
+const mockSupabase = ({ customerSetting = null } = {}) => {
+    const rows = {
+        customers: { business_name: 'Acme Corp' },
+        customer_settings: customerSetting
+    };
+    const client = {
+        from: jest.fn(table => {
+            const builder = {
+                select: () => builder,
+                eq: () => builder,
+                single: async () => ({ data: rows[table], error: null }),
+                maybeSingle: async () => ({ data: rows[table], error: null })
+            };
+            return builder;
+        })
+    };
+    getSupabaseClient.mockReturnValue(client);
+    return client;
+};
+
+const financialRecordRow = (hours, rounding) => ({
+    fieldData: {
+        _custID: CUSTOMER_ID,
+        Billable_Time_Rounded: hours,
+        configuration_data: rounding ? { rounding } : null
+    }
+});
+
+describe('Billing Rounding', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('applyRoundingPolicy', () => {
+        it('bills logged time unchanged by default', () => {
+            expect(taskService.applyRoundingPolicy(8)).toMatchObject({
+                loggedMinutes: 8,
+                billedMinutes: 8,
+                adjustments: []
+            });
+        });
+
+        it('rounds up to the increment and leaves exact multiples alone', () => {
+            const up15 = policy({ mode: BILLING_ROUNDING_MODES.UP_15 });
+
+            expect(taskService.applyRoundingPolicy(16, up15)).toMatchObject({
+                billedMinutes: 30,
+                adjustments: ['Rounded up to 15-minute increment']
+            });
+            expect(taskService.applyRoundingPolicy(45, up15).billedMinutes).toBe(45);
+            expect(taskService.applyRoundingPolicy(1, policy({ mode: BILLING_ROUNDING_MODES.UP_6 })).billedMinutes).toBe(6);
+            expect(taskService.applyRoundingPolicy(31, policy({ mode: BILLING_ROUNDING_MODES.UP_30 })).billedMinutes).toBe(60);
+        });
+
+        it('raises short entries to the minimum charge after rounding', () => {
+            const result = taskService.applyRoundingPolicy(
+                4,
+                policy({ mode: BILLING_ROUNDING_MODES.UP_6, minimum_entry_minutes: 30 })
+            );
+
+            expect(result.billedMinutes).toBe(30);
+            expect(result.adjustments).toEqual([
+                'Rounded up to 6-minute increment',
+                'Minimum charge of 30m per entry'
+            ]);
+        });
+
+        it('tops up the day to the daily minimum without billing the day twice', () => {
+            const daily = policy({ mode: BILLING_ROUNDING_MODES.UP_15, daily_minimum_minutes: 60 });
+
+            const first = taskService.applyRoundingPolicy(10, daily);
+            expect(first).toMatchObject({ roundedMinutes: 15, billedMinutes: 60 });
+            expect(first.adjustments).toContain('Topped up to daily minimum of 1h');
+
+            const second = taskService.applyRoundingPolicy(30, daily, { billedMinutes: 60, roundedMinutes: 15 });
+            expect(second).toMatchObject({ roundedMinutes: 30, billedMinutes: 0 });
+            expect(second.adjustments).toContain('Covered by daily minimum of 1h');
+
+            const third = taskService.applyRoundingPolicy(30, daily, { billedMinutes: 60, roundedMinutes: 45 });
+            expect(third.billedMinutes).toBe(15);
+        });
+    });
+
+    describe('validateRoundingPolicy', () => {
+        it('accepts the default policy', () => {
+            expect(taskService.validateRoundingPolicy(DEFAULT_BILLING_ROUNDING_POLICY).isValid).toBe(true);
+        });
+
+        it('rejects unknown modes and out-of-range minimums', () => {
+            const result = taskService.validateRoundingPolicy({
+                mode: 'up_10',
+                minimum_entry_minutes: -5,
+                daily_minimum_minutes: 1.5
+            });
+
+            expect(result.errors).toEqual([
+                'Rounding mode must be one of: none, up_6, up_15, up_30',
+                'Minimum charge per entry must be a whole number of minutes between 0 and 1440',
+                'Daily minimum must be a whole number of minutes between 0 and 1440'
+            ]);
+        });
+    });
+
+    describe('resolveRoundingPolicy', () => {
+        it('prefers the customer override', async () => {
+            const override = policy({ mode: BILLING_ROUNDING_MODES.UP_30 });
+            mockSupabase({ customerSetting: { data: JSON.stringify(override) } });
+
+            await expect(taskService.resolveRoundingPolicy(CUSTOMER_ID))
+                .resolves.toEqual({ policy: override, source: 'customer' });
+            expect(tasksApi.fetchTimerRoundingPolicy).not.toHaveBeenCalled();
+        });
+
+        it('falls back to the organization policy, then the default', async () => {
+            mockSupabase();
+            tasksApi.fetchTimerRoundingPolicy.mockResolvedValueOnce({ mode: BILLING_ROUNDING_MODES.UP_6 });
+
+            await expect(taskService.resolveRoundingPolicy(CUSTOMER_ID)).resolves.toEqual({
+                policy: policy({ mode: BILLING_ROUNDING_MODES.UP_6 }),
+                source: 'organization'
+            });
+
+            tasksApi.fetchTimerRoundingPolicy.mockRejectedValueOnce(new Error('Not found'));
+            const fallback = await taskService.resolveRoundingPolicy(CUSTOMER_ID);
+            expect(fallback.policy).toBe(DEFAULT_BILLING_ROUNDING_POLICY);
+        });
+
+        it('ignores an unusable customer override', async () => {
+            mockSupabase({ customerSetting: { data: '{"mode":"sometimes"}' } });
+            tasksApi.fetchTimerRoundingPolicy.mockResolvedValue(null);
+
+            await expect(taskService.resolveRoundingPolicy(CUSTOMER_ID))
+                .resolves.toEqual({ policy: DEFAULT_BILLING_ROUNDING_POLICY, source: 'organization' });
+        });
+    });
+
+    describe('saveOrganizationRoundingPolicy', () => {
+        it('does not call the API for invalid policies', async () => {
+            await expect(taskService.saveOrganizationRoundingPolicy({ mode: 'up_10' }))
+                .rejects.toThrow('Rounding mode must be one of');
+            expect(tasksApi.saveTimerRoundingPolicy).not.toHaveBeenCalled();
+        });
+
+        it('saves a complete policy', async () => {
+            tasksApi.saveTimerRoundingPolicy.mockImplementation(async saved => saved);
+
+            await expect(taskService.saveOrganizationRoundingPolicy({ mode: BILLING_ROUNDING_MODES.UP_15 }))
+                .resolves.toEqual(policy({ mode: BILLING_ROUNDING_MODES.UP_15 }));
+        });
+    });
+
+    describe('approved entry financial record', () => {
+        const timeEntry = {
+            id: 'entry-1',
+            customer_id: CUSTOMER_ID,
+            duration_minutes: 20,
+            hourly_rate: 120,
+            is_billable: true
+        };
+
+        beforeEach(() => {
+            financialRecordsApi.createFinancialRecord.mockResolvedValue('record-1');
+        });
+
+        it('bills the rounded quantity and stores the rounding with the record', async () => {
+            mockSupabase({
+                customerSetting: { data: JSON.stringify(policy({ mode: BILLING_ROUNDING_MODES.UP_15 })) }
+            });
+
+            const record = await taskService.createFinancialRecordForApprovedEntry({ time_entry: timeEntry }, ORG_ID);
+
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledWith(expect.objectContaining({
+                quantity: 0.5,
+                unitPrice: 120,
+                configurationData: {
+                    rounding: expect.objectContaining({
+                        mode: BILLING_ROUNDING_MODES.UP_15,
+                        logged_minutes: 20,
+                        billed_minutes: 30
+                    })
+                }
+            }));
+            expect(record.id).toBe('record-1');
+            expect(record.rounding.billedMinutes).toBe(30);
+            expect(financialRecordsApi.fetchRecordsForDateRange).not.toHaveBeenCalled();
+        });
+
+        it('dates the record on the local day the work was done', async () => {
+            mockSupabase();
+            // Late evening local time: the UTC date may already be the next day
+            const startTime = new Date(2026, 9, 14, 23, 30);
+
+            await taskService.createFinancialRecordForApprovedEntry(
+                { time_entry: { ...timeEntry, start_time: startTime.toISOString() } },
+                ORG_ID
+            );
+
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledWith(expect.objectContaining({
+                date: '2026-10-14',
+                timeEntryId: 'entry-1'
+            }));
+        });
+
+        it('counts the customer\'s earlier records for daily minimums', async () => {
+            mockSupabase({
+                customerSetting: { data: JSON.stringify(policy({ daily_minimum_minutes: 120 })) }
+            });
+            financialRecordsApi.fetchRecordsForDateRange.mockResolvedValue({
+                response: {
+                    data: [
+                        financialRecordRow(2, { rounded_minutes: 60 }),
+                        { fieldData: { _custID: 'other-customer', Billable_Time_Rounded: 5 } }
+                    ]
+                }
+            });
+
+            await taskService.createFinancialRecordForApprovedEntry({ time_entry: timeEntry }, ORG_ID);
+
+            // 60 + 20 rounded minutes is still under the 120 already billed for the day
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledWith(
+                expect.objectContaining({ quantity: 0 })
+            );
+        });
+    });
+
+    describe('formatFinancialRecordForDisplay', () => {
+        it('shows logged and billed time with the reasons they differ', () => {
+            const rounding = taskService.applyRoundingPolicy(
+                20,
+                policy({ mode: BILLING_ROUNDING_MODES.UP_15, minimum_entry_minutes: 60 })
+            );
+            const display = taskService.formatFinancialRecordForDisplay({ id: 'record-1', rounding });
+
+            expect(display).toMatchObject({
+                hours: '1.00',
+                loggedHours: '0.33',
+                roundingMode: BILLING_ROUNDING_MODES.UP_15,
+                roundingSummary: 'Logged 20m, billed 1h (Rounded up to 15-minute increment; Minimum charge of 1h per entry)'
+            });
+        });
+
+        it('reads rounding stored in configuration_data', () => {
+            const display = taskService.formatFinancialRecordForDisplay({
+                id: 'record-1',
+                hours: 0.5,
+                configuration_data: {
+                    rounding: { mode: 'up_30', logged_minutes: 30, billed_minutes: 30, adjustments: [] }
+                }
+            });
+
+            expect(display).toMatchObject({ hours: '0.50', loggedHours: '0.50', roundingSummary: null });
+        });
+    });
+});
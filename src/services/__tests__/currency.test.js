@@ -0,0 +1,201 @@
+/**
+ * Currency Tests
+ *
+ * Tests for multi-currency reporting covering:
+ * - Looking up exchange rates by pair and date, including inverse pairs
+ * - Using the rate stored on invoiced sales before the rate table
+ * - Leaving out records without a rate instead of mixing currencies
+ * - Importing exchange rates from CSV
+ * - Reporting billableHoursService totals and charts in a home currency
+ */
+
+jest.mock('../../api/exchangeRates', () => ({
+  fetchExchangeRates: jest.fn()
+}));
+jest.mock('../salesService', () => ({
+  updateSalesCurrency: jest.fn()
+}));
+jest.mock('../index', () => ({
+  formatCurrency: jest.fn(),
+  formatDateTime: jest.fn(),
+  validateRequired: jest.fn()
+}));
+
+// Import after mocks
+import * as currencyService from '../currencyService';
+import { calculateTotals, calculateMonthlyTotals, prepareChartData } from '../billableHoursService';
+import { fetchExchangeRates } from '../../api/exchangeRates';
+import { updateSalesCurrency } from '../salesService';
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const rates = [
+  { base_currency: 'USD', quote_currency: 'CAD', rate: 1.3, effective_date: '2026-09-01' },
+  { base_currency: 'USD', quote_currency: 'CAD', rate: 1.4, effective_date: '2026-10-01' },
+  { base_currency: 'CAD', quote_currency: 'EUR', rate: 0.5, effective_date: '2026-09-01' }
+];
+
+const record = (id, overrides = {}) => ({
+  id,
+  customerId: 'customer-1',
+  customerName: 'Acme Corp',
+  projectId: 'project-1',
+  projectName: 'Website',
+  amount: 100,
+  hours: 1,
+  rate: 100,
+  date: '10/15/2026',
+  month: 10,
+  year: 2026,
+  billed: false,
+  currency: null,
+  ...overrides
+});
+
+describe('Currency', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findExchangeRate', () => {
+    it('uses the latest rate on or before the date', () => {
+      expect(currencyService.findExchangeRate(rates, 'USD', 'CAD', '2026-09-30')).toBe(1.3);
+      expect(currencyService.findExchangeRate(rates, 'USD', 'CAD', '10/15/2026')).toBe(1.4);
+      expect(currencyService.findExchangeRate(rates, 'USD', 'CAD', '2026-08-31')).toBeNull();
+    });
+
+    it('inverts rates stored the other way round', () => {
+      expect(currencyService.findExchangeRate(rates, 'EUR', 'CAD', '2026-09-15')).toBe(2);
+      expect(currencyService.findExchangeRate(rates, 'CAD', 'CAD', '2026-09-15')).toBe(1);
+      expect(currencyService.findExchangeRate(rates, 'GBP', 'CAD', '2026-09-15')).toBeNull();
+    });
+  });
+
+  describe('convertRecordsToCurrency', () => {
+    it('converts with the stored rate, then the rate table, and leaves out records without a rate', () => {
+      const { records, unconverted } = currencyService.convertRecordsToCurrency([
+        record('home'),
+        record('snapshot', { currency: 'USD', fxRate: 1.25, fxHomeCurrency: 'CAD' }),
+        record('table', { currency: 'USD' }),
+        record('missing', { currency: 'GBP' })
+      ], { homeCurrency: 'CAD', rates });
+
+      expect(records.map(converted => [converted.id, converted.amount, converted.currency, converted.originalCurrency]))
+        .toEqual([
+          ['home', 100, 'CAD', 'CAD'],
+          ['snapshot', 125, 'CAD', 'USD'],
+          ['table', 140, 'CAD', 'USD']
+        ]);
+      expect(unconverted.map(missing => missing.id)).toEqual(['missing']);
+    });
+
+    it('ignores a stored rate to a different home currency', () => {
+      const { records } = currencyService.convertRecordsToCurrency([
+        record('snapshot', { currency: 'USD', fx_rate: 1.25, fx_home_currency: 'EUR', total_price: 100 })
+      ], { homeCurrency: 'CAD', rates });
+
+      expect(records[0]).toMatchObject({ amount: 140, total_price: 140, exchangeRate: 1.4 });
+    });
+  });
+
+  describe('parseExchangeRatesCsv', () => {
+    it('reads rates and reports invalid rows', () => {
+      const { rates: parsed, errors } = currencyService.parseExchangeRatesCsv([
+        'Date,Currency,Rate,Home_Currency',
+        '2026-10-01,usd,1.365,',
+        '10/02/2026,EUR,1.52,CAD',
+        '2026-10-03,GBP,abc,CAD',
+        '2026-10-04,CAD,1,CAD'
+      ].join('\n'), 'CAD');
+
+      expect(parsed).toEqual([
+        { base_currency: 'USD', quote_currency: 'CAD', rate: 1.365, effective_date: '2026-10-01', source: 'csv' },
+        { base_currency: 'EUR', quote_currency: 'CAD', rate: 1.52, effective_date: '2026-10-02', source: 'csv' }
+      ]);
+      expect(errors).toEqual([
+        'Row 4: Rate must be a positive number',
+        'Row 5: Currency and home currency must be different'
+      ]);
+    });
+
+    it('requires the date, currency and rate columns', () => {
+      expect(currencyService.parseExchangeRatesCsv('date,rate\n2026-10-01,1.3', 'CAD').errors)
+        .toEqual(['The CSV header must have date, currency and rate columns']);
+    });
+  });
+
+  describe('home currency', () => {
+    it('falls back to the QuickBooks default currency', () => {
+      expect(currencyService.loadHomeCurrency(ORG_ID)).toBe('CAD');
+
+      localStorage.setItem(`qb_config_${ORG_ID}`, JSON.stringify({ default_currency: 'USD' }));
+      expect(currencyService.loadHomeCurrency(ORG_ID)).toBe('USD');
+
+      currencyService.saveHomeCurrency(ORG_ID, 'EUR');
+      expect(currencyService.loadHomeCurrency(ORG_ID)).toBe('EUR');
+    });
+  });
+
+  describe('recordInvoiceCurrency', () => {
+    it('stores the invoice currency and rate on its sales', async () => {
+      fetchExchangeRates.mockResolvedValue(rates);
+      updateSalesCurrency.mockResolvedValue({ success: true, data: [] });
+
+      await expect(currencyService.recordInvoiceCurrency(ORG_ID, '901', 'USD')).resolves.toBe(true);
+
+      expect(fetchExchangeRates).toHaveBeenCalledWith(ORG_ID);
+      expect(updateSalesCurrency).toHaveBeenCalledWith(
+        '901',
+        { currency: 'USD', fx_rate: 1.4, fx_home_currency: 'CAD' },
+        ORG_ID
+      );
+    });
+
+    it('does not throw when the sales cannot be updated', async () => {
+      fetchExchangeRates.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(currencyService.recordInvoiceCurrency(ORG_ID, '901', 'USD')).resolves.toBe(false);
+      expect(updateSalesCurrency).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('billableHoursService in a home currency', () => {
+    const records = [
+      record('cad', { billed: true }),
+      record('usd', { currency: 'USD' }),
+      record('gbp', { currency: 'GBP' })
+    ];
+    const currencyOptions = { homeCurrency: 'CAD', rates };
+
+    it('totals converted amounts and counts records without a rate', () => {
+      expect(calculateTotals(records, currencyOptions)).toMatchObject({
+        totalAmount: 240,
+        billedAmount: 100,
+        unbilledAmount: 140,
+        totalHours: 2,
+        currency: 'CAD',
+        unconvertedCount: 1
+      });
+    });
+
+    it('keeps summing raw amounts without a home currency', () => {
+      expect(calculateTotals(records)).toMatchObject({ totalAmount: 300, currency: null, unconvertedCount: 0 });
+    });
+
+    it('converts monthly totals and chart data', () => {
+      const october = calculateMonthlyTotals(records, currencyOptions).find(month => month.month === 10);
+      expect(october).toMatchObject({ totalAmount: 240, recordCount: 2 });
+
+      const chart = prepareChartData(records, 'bar', currencyOptions);
+      expect(chart.datasets[0].data).toEqual([240]);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Customer Reconciliation Tests
+ *
+ * Tests for reconciling CRM customers with QuickBooks customers covering:
+ * - Fuzzy name, email and phone match scoring
+ * - Proposed matches, mapped, unmatched and missing customers
+ * - Contact drift and pushing / pulling fields
+ * - Resolving a customer's QuickBooks customer through its mapping
+ */
+
+jest.mock('../../api/quickbooksApi', () => ({
+  listQBOActiveCustomers: jest.fn(),
+  getQBOCustomer: jest.fn(),
+  updateQBOCustomer: jest.fn()
+}));
+jest.mock('../../api/customerQboMappings', () => ({
+  fetchCustomerMappings: jest.fn(),
+  fetchCustomerMapping: jest.fn(),
+  saveCustomerMapping: jest.fn(),
+  deleteCustomerMapping: jest.fn()
+}));
+jest.mock('../../api/customers', () => ({
+  fetchCustomers: jest.fn(),
+  updateCustomer: jest.fn()
+}));
+
+// Import after mocks
+import * as reconciliationService from '../customerReconciliationService';
+import * as quickbooksApi from '../../api/quickbooksApi';
+import * as mappingsApi from '../../api/customerQboMappings';
+import { fetchCustomers, updateCustomer } from '../../api/customers';
+
+const { RECONCILIATION_STATUSES, MATCH_THRESHOLDS } = reconciliationService;
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const crmCustomers = [
+  {
+    id: 'cust-acme',
+    business_name: 'Acme Corp.',
+    emails: [{ id: 'e1', email: 'billing@acme.com', is_primary: true }],
+    phones: [{ id: 'p1', phone: '(416) 555-0100', is_primary: true }]
+  },
+  { id: 'cust-globex', business_name: 'Globex', emails: [], phones: [] },
+  { id: 'cust-initech', business_name: 'Initech Ltd', emails: [{ email: 'ap@initech.com', is_primary: true }], phones: [] },
+  { id: 'cust-hooli', business_name: 'Hooli', emails: [], phones: [] }
+];
+
+const qboCustomers = [
+  {
+    Id: '58',
+    SyncToken: '2',
+    DisplayName: 'ACME Corporation',
+    PrimaryEmailAddr: { Address: 'Billing@Acme.com' },
+    PrimaryPhone: { FreeFormNumber: '416-555-0100' }
+  },
+  { Id: '59', SyncToken: '0', DisplayName: 'Globex Inc', PrimaryEmailAddr: { Address: 'ar@globex.com' } },
+  { Id: '60', SyncToken: '0', DisplayName: 'Umbrella' }
+];
+
+describe('Customer Reconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mappingsApi.saveCustomerMapping.mockImplementation(async (mapping) => ({ id: 'map-new', ...mapping }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoreCustomerMatch', () => {
+    it('ignores case, punctuation and legal suffixes in names', () => {
+      expect(reconciliationService.normalizeCompanyName('The Acme Corp.')).toBe('acme');
+      expect(reconciliationService.nameSimilarity('Smith & Sons Ltd', 'Smith and Sons')).toBe(1);
+    });
+
+    it('scores matching email and phone alongside the name', () => {
+      const crm = reconciliationService.normalizeCrmCustomer(crmCustomers[0]);
+      const qbo = reconciliationService.normalizeQboCustomer(qboCustomers[0]);
+
+      expect(reconciliationService.scoreCustomerMatch(crm, qbo)).toEqual({
+        score: 1,
+        reasons: ['name', 'email', 'phone']
+      });
+    });
+
+    it('lowers the score when contact details disagree', () => {
+      const crm = reconciliationService.normalizeCrmCustomer({ ...crmCustomers[0], emails: [{ email: 'someone@gmail.com' }], phones: [] });
+      const qbo = reconciliationService.normalizeQboCustomer(qboCustomers[0]);
+
+      const { score, reasons } = reconciliationService.scoreCustomerMatch(crm, qbo);
+      expect(score).toBeLessThan(MATCH_THRESHOLDS.STRONG);
+      expect(reasons).toEqual(['name']);
+    });
+  });
+
+  describe('buildReconciliation', () => {
+    it('proposes matches for unmapped customers and flags drift on mapped ones', () => {
+      const { rows, qboOnly, summary } = reconciliationService.buildReconciliation(crmCustomers, qboCustomers, [
+        { id: 'map-1', customer_id: 'cust-globex', qbo_customer_id: '59' },
+        { id: 'map-2', customer_id: 'cust-initech', qbo_customer_id: '99', qbo_display_name: 'Initech' }
+      ]);
+      const byId = Object.fromEntries(rows.map(row => [row.customer.id, row]));
+
+      expect(byId['cust-acme'].status).toBe(RECONCILIATION_STATUSES.PROPOSED);
+      expect(byId['cust-acme'].candidates[0]).toEqual(expect.objectContaining({
+        qboCustomer: expect.objectContaining({ id: '58' }),
+        alreadyMapped: false
+      }));
+      expect(byId['cust-globex'].status).toBe(RECONCILIATION_STATUSES.MAPPED);
+      expect(byId['cust-globex'].drift).toEqual([
+        { field: 'name', label: 'Name', crmValue: 'Globex', qboValue: 'Globex Inc' },
+        { field: 'email', label: 'Email', crmValue: '', qboValue: 'ar@globex.com' }
+      ]);
+      expect(byId['cust-initech'].status).toBe(RECONCILIATION_STATUSES.MISSING);
+      expect(byId['cust-hooli'].status).toBe(RECONCILIATION_STATUSES.UNMATCHED);
+      expect(qboOnly.map(customer => customer.id)).toEqual(['60']);
+      expect(summary).toEqual({ mapped: 1, proposed: 1, unmatched: 1, missing: 1, drifted: 1 });
+    });
+  });
+
+  describe('loadReconciliation', () => {
+    it('loads every page of CRM customers', async () => {
+      fetchCustomers
+        .mockResolvedValueOnce({ customers: crmCustomers.slice(0, 2), pagination: { has_more: true } })
+        .mockResolvedValueOnce({ customers: crmCustomers.slice(2), pagination: { has_more: false } });
+      quickbooksApi.listQBOActiveCustomers.mockResolvedValue(qboCustomers);
+      mappingsApi.fetchCustomerMappings.mockResolvedValue([]);
+
+      const { rows } = await reconciliationService.loadReconciliation(ORG_ID);
+
+      expect(fetchCustomers).toHaveBeenCalledTimes(2);
+      expect(fetchCustomers).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 200 }));
+      expect(rows).toHaveLength(4);
+    });
+  });
+
+  describe('push and pull', () => {
+    const mappedRow = () => reconciliationService.buildReconciliation(
+      [crmCustomers[0]],
+      [{ ...qboCustomers[0], PrimaryEmailAddr: { Address: 'old@acme.com' } }],
+      [{ id: 'map-1', organization_id: ORG_ID, customer_id: 'cust-acme', qbo_customer_id: '58' }]
+    ).rows[0];
+
+    it('pushes CRM fields to QuickBooks with a sparse update', async () => {
+      quickbooksApi.updateQBOCustomer.mockResolvedValue({ Customer: { Id: '58', DisplayName: 'ACME Corporation' } });
+
+      await reconciliationService.pushContactFields(mappedRow(), ['email']);
+
+      expect(quickbooksApi.updateQBOCustomer).toHaveBeenCalledWith({
+        Id: '58',
+        SyncToken: '2',
+        sparse: true,
+        PrimaryEmailAddr: { Address: 'billing@acme.com' }
+      });
+      expect(mappingsApi.saveCustomerMapping).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'map-1',
+        last_synced_at: expect.any(String)
+      }));
+    });
+
+    it('keeps the mapping unsynced when QuickBooks rejects the update', async () => {
+      quickbooksApi.updateQBOCustomer.mockResolvedValue({ Fault: { Error: [{ Detail: 'Stale object' }] } });
+
+      await expect(reconciliationService.pushContactFields(mappedRow(), ['email']))
+        .rejects.toThrow('Failed to update the customer in QuickBooks: Stale object');
+      expect(mappingsApi.saveCustomerMapping).not.toHaveBeenCalled();
+    });
+
+    it('pulls QuickBooks fields into the CRM, replacing only the primary email', async () => {
+      await reconciliationService.pullContactFields(mappedRow(), ['email']);
+
+      expect(updateCustomer).toHaveBeenCalledWith('cust-acme', {
+        emails: [{ id: 'e1', email: 'old@acme.com', is_primary: true }]
+      });
+    });
+  });
+
+  describe('resolveMappedQBOCustomer', () => {
+    it('returns null for unmapped customers', async () => {
+      mappingsApi.fetchCustomerMapping.mockResolvedValue(null);
+
+      await expect(reconciliationService.resolveMappedQBOCustomer(ORG_ID, 'cust-hooli')).resolves.toBeNull();
+      expect(quickbooksApi.getQBOCustomer).not.toHaveBeenCalled();
+    });
+
+    it('loads the mapped QuickBooks customer and refuses inactive ones', async () => {
+      mappingsApi.fetchCustomerMapping.mockResolvedValue({ customer_id: 'cust-acme', qbo_customer_id: '58', qbo_display_name: 'ACME' });
+      quickbooksApi.getQBOCustomer.mockResolvedValueOnce({ Customer: qboCustomers[0] });
+
+      await expect(reconciliationService.resolveMappedQBOCustomer(ORG_ID, 'cust-acme')).resolves.toEqual(qboCustomers[0]);
+
+      quickbooksApi.getQBOCustomer.mockResolvedValueOnce({ Customer: { ...qboCustomers[0], Active: false } });
+      await expect(reconciliationService.resolveMappedQBOCustomer(ORG_ID, 'cust-acme'))
+        .rejects.toThrow('Mapped QuickBooks customer ACME is inactive or no longer exists');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Idle Time Tests
+ *
+ * Tests for resolving idle spans on a running timer (taskService.resolveIdleTime) covering:
+ * - Keeping the idle span untouched
+ * - Discarding it by stopping the entry when the user went idle
+ * - Reassigning it to another task
+ * - Validation of the idle span
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+
+const TASK_ID = '550e8400-e29b-41d4-a716-446655440000';
+const OTHER_TASK_ID = '550e8400-e29b-41d4-a716-446655440009';
+const STAFF_ID = '660e8400-e29b-41d4-a716-446655440001';
+const TIMER_ID = '770e8400-e29b-41d4-a716-446655440002';
+const REASSIGNED_TIMER_ID = '880e8400-e29b-41d4-a716-446655440003';
+const RESTARTED_TIMER_ID = '990e8400-e29b-41d4-a716-446655440004';
+
+const IDLE_STARTED_AT = '2026-10-01T12:00:00.000Z';
+const IDLE_ENDED_AT = '2026-10-01T12:45:00.000Z';
+
+describe('Idle Time', () => {
+    const task = { id: TASK_ID, _staffID: STAFF_ID };
+    const otherTask = { id: OTHER_TASK_ID };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        tasksApi.getActiveTimer.mockResolvedValue(null);
+        tasksApi.stopTaskTimer.mockImplementation(async (entryId) => ({
+            time_entry: { id: entryId, is_billable: false }
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should leave the timer alone when the idle span is kept', async () => {
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.KEEP,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT
+        });
+
+        expect(result.timer).toBeNull();
+        expect(tasksApi.stopTaskTimer).not.toHaveBeenCalled();
+        expect(tasksApi.startTaskTimer).not.toHaveBeenCalled();
+    });
+
+    it('should stop the entry when the user went idle and restart on return', async () => {
+        tasksApi.startTaskTimer.mockResolvedValue({ id: RESTARTED_TIMER_ID, status: 'active' });
+
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.DISCARD,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT,
+            description: 'Morning work',
+            totalPauseTime: 120,
+            adjustment: 360
+        });
+
+        expect(tasksApi.stopTaskTimer).toHaveBeenCalledWith(
+            TIMER_ID, 'Morning work', false, 480, { occurredAt: IDLE_STARTED_AT }
+        );
+        expect(tasksApi.startTaskTimer).toHaveBeenCalledWith(TASK_ID, task, { startedAt: IDLE_ENDED_AT });
+        expect(result.timer.id).toBe(RESTARTED_TIMER_ID);
+        expect(result.reassigned).toBeNull();
+    });
+
+    it('should log the idle span against another task when reassigned', async () => {
+        tasksApi.startTaskTimer
+            .mockResolvedValueOnce({ id: REASSIGNED_TIMER_ID, status: 'active' })
+            .mockResolvedValueOnce({ id: RESTARTED_TIMER_ID, status: 'active' });
+
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.REASSIGN,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT,
+            reassignTask: otherTask
+        });
+
+        expect(tasksApi.startTaskTimer).toHaveBeenNthCalledWith(
+            1, OTHER_TASK_ID, otherTask, { startedAt: IDLE_STARTED_AT }
+        );
+        expect(tasksApi.stopTaskTimer).toHaveBeenNthCalledWith(
+            2, REASSIGNED_TIMER_ID, taskService.IDLE_REASSIGN_DESCRIPTION, false, 0, { occurredAt: IDLE_ENDED_AT }
+        );
+        expect(tasksApi.startTaskTimer).toHaveBeenNthCalledWith(2, TASK_ID, task, { startedAt: IDLE_ENDED_AT });
+        expect(result.reassigned.time_entry.id).toBe(REASSIGNED_TIMER_ID);
+        expect(result.timer.id).toBe(RESTARTED_TIMER_ID);
+    });
+
+    it('should still restart the timer when reassigning fails', async () => {
+        tasksApi.startTaskTimer
+            .mockRejectedValueOnce(new Error('Task is archived'))
+            .mockResolvedValueOnce({ id: RESTARTED_TIMER_ID, status: 'active' });
+
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.REASSIGN,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT,
+            reassignTask: otherTask
+        });
+
+        expect(result.stopped.time_entry.id).toBe(TIMER_ID);
+        expect(result.reassigned).toBeNull();
+        expect(result.timer.id).toBe(RESTARTED_TIMER_ID);
+        expect(result.error.message).toBe('Task is archived');
+    });
+
+    it('should return the stopped entry when the restart fails', async () => {
+        tasksApi.startTaskTimer.mockRejectedValue(new Error('Server error'));
+
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.DISCARD,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT
+        });
+
+        expect(result.stopped.time_entry.id).toBe(TIMER_ID);
+        expect(result.timer).toBeNull();
+        expect(result.error.message).toBe('Server error');
+    });
+
+    it('should journal the trimmed stop at the idle start when offline', async () => {
+        const error = new Error('Network Error');
+        error.isNetworkError = true;
+        tasksApi.stopTaskTimer.mockRejectedValue(error);
+        tasksApi.getActiveTimer.mockRejectedValue(error);
+        tasksApi.startTaskTimer.mockRejectedValue(error);
+
+        const result = await taskService.resolveIdleTime({
+            action: taskService.IDLE_TIME_ACTIONS.DISCARD,
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT
+        });
+
+        expect(result.stopped).toMatchObject({ queued: true, time_entry: { end_time: IDLE_STARTED_AT } });
+        expect(result.timer).toMatchObject({ is_offline: true, start_time: IDLE_ENDED_AT });
+    });
+
+    it('should reject invalid requests', async () => {
+        const params = {
+            recordId: TIMER_ID,
+            task,
+            idleStartedAt: IDLE_STARTED_AT,
+            idleEndedAt: IDLE_ENDED_AT
+        };
+
+        await expect(taskService.resolveIdleTime({ ...params, action: 'ignore' }))
+            .rejects.toThrow('Unknown idle time action: ignore');
+        await expect(taskService.resolveIdleTime({
+            ...params,
+            action: taskService.IDLE_TIME_ACTIONS.DISCARD,
+            idleStartedAt: IDLE_ENDED_AT,
+            idleEndedAt: IDLE_STARTED_AT
+        })).rejects.toThrow('Invalid idle time span');
+        await expect(taskService.resolveIdleTime({ ...params, action: taskService.IDLE_TIME_ACTIONS.REASSIGN }))
+            .rejects.toThrow('Select a task to reassign the idle time to');
+
+        expect(tasksApi.stopTaskTimer).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * Invoice Adjustment Tests
+ *
+ * Tests for crediting QuickBooks invoices from the CRM covering:
+ * - Reading the QuickBooks invoice ID from a sales record
+ * - Validating per-sale and whole-invoice credits
+ * - Creating, noting and applying the credit memo
+ * - Recording the adjustment and the sales' credited amounts
+ */
+
+jest.mock('../../api/quickbooksApi', () => ({
+  getQBOInvoice: jest.fn(),
+  updateQBOInvoice: jest.fn(),
+  createQBOCreditMemo: jest.fn(),
+  createQBOPayment: jest.fn()
+}));
+jest.mock('../../api/invoiceAdjustments', () => ({
+  fetchInvoiceAdjustments: jest.fn(),
+  createInvoiceAdjustment: jest.fn()
+}));
+jest.mock('../salesService', () => ({
+  updateSaleCreditedAmount: jest.fn()
+}));
+
+// Import after mocks
+import * as invoiceAdjustmentService from '../invoiceAdjustmentService';
+import * as quickbooksApi from '../../api/quickbooksApi';
+import { fetchInvoiceAdjustments, createInvoiceAdjustment } from '../../api/invoiceAdjustments';
+import { updateSaleCreditedAmount } from '../salesService';
+
+const { ADJUSTMENT_STATUSES } = invoiceAdjustmentService;
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const records = [
+  { id: 'sale-1', customer_id: 'cust-1', product_name: 'Consulting', total_price: 300, credited_amount: 0, inv_id: '145' },
+  { id: 'sale-2', customer_id: 'cust-1', product_name: 'Support', total_price: 200, credited_amount: 50, inv_id: '145:2' }
+];
+
+const invoice = {
+  Id: '145',
+  SyncToken: '3',
+  DocNumber: 'INV-1045',
+  CustomerRef: { value: '58', name: 'Acme' },
+  TotalAmt: 500,
+  Balance: 500,
+  GlobalTaxCalculation: 'TaxExcluded',
+  Line: [
+    { DetailType: 'SalesItemLineDetail', SalesItemLineDetail: { ItemRef: { value: '7' }, TaxCodeRef: { value: 'TAX' } } },
+    { DetailType: 'SubTotalLineDetail', Amount: 500 }
+  ]
+};
+
+describe('Invoice Adjustments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    quickbooksApi.getQBOInvoice.mockResolvedValue({ Invoice: invoice });
+    quickbooksApi.updateQBOInvoice.mockResolvedValue({ Invoice: { ...invoice, SyncToken: '4' } });
+    quickbooksApi.createQBOCreditMemo.mockImplementation(async (payload) => ({
+      CreditMemo: { Id: '880', DocNumber: 'CM-12', TotalAmt: payload.Line.reduce((sum, line) => sum + line.Amount, 0) }
+    }));
+    quickbooksApi.createQBOPayment.mockResolvedValue({ Payment: { Id: '990' } });
+    createInvoiceAdjustment.mockImplementation(async (adjustment) => ({ id: 'adj-1', ...adjustment }));
+    updateSaleCreditedAmount.mockResolvedValue({ success: true, data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRecordInvoiceId', () => {
+    it('reads plain and line-qualified invoice IDs and ignores placeholders', () => {
+      expect(invoiceAdjustmentService.getRecordInvoiceId({ inv_id: '145' })).toBe('145');
+      expect(invoiceAdjustmentService.getRecordInvoiceId({ inv_id: '145:2' })).toBe('145');
+      expect(invoiceAdjustmentService.getRecordInvoiceId({ inv_id: 'BILLED' })).toBeNull();
+      expect(invoiceAdjustmentService.getRecordInvoiceId({ inv_id: '2026-10-01_admin' })).toBeNull();
+      expect(invoiceAdjustmentService.getRecordInvoiceId({ inv_id: null })).toBeNull();
+    });
+  });
+
+  describe('validateInvoiceCredit', () => {
+    it('accepts credits within what is left on each sale', () => {
+      expect(invoiceAdjustmentService.validateInvoiceCredit(
+        records, [{ saleId: 'sale-2', amount: 150 }], 'Disputed hours'
+      )).toEqual([]);
+    });
+
+    it('rejects credits above the remaining amount, missing reasons and mixed invoices', () => {
+      const errors = invoiceAdjustmentService.validateInvoiceCredit(
+        [...records, { id: 'sale-3', inv_id: '146', total_price: 100 }],
+        [{ saleId: 'sale-2', amount: 151 }],
+        ' '
+      );
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Sales records must all be on the same QuickBooks invoice',
+        'A reason is required',
+        'Credit for Support exceeds the 150.00 left to credit'
+      ]));
+    });
+  });
+
+  describe('buildFullCredit', () => {
+    it('credits everything not yet credited', () => {
+      expect(invoiceAdjustmentService.buildFullCredit([
+        ...records,
+        { id: 'sale-3', total_price: 80, credited_amount: 80, inv_id: '145' }
+      ])).toEqual([
+        { saleId: 'sale-1', amount: 300 },
+        { saleId: 'sale-2', amount: 150 }
+      ]);
+    });
+  });
+
+  describe('createInvoiceCredit', () => {
+    it('creates, notes and applies a credit memo and records the adjustment', async () => {
+      const result = await invoiceAdjustmentService.createInvoiceCredit({
+        organizationId: ORG_ID,
+        records,
+        credits: [{ saleId: 'sale-1', amount: 75 }],
+        reason: 'Disputed hours',
+        userId: 'user-1'
+      });
+
+      expect(quickbooksApi.createQBOCreditMemo).toHaveBeenCalledWith(expect.objectContaining({
+        CustomerRef: invoice.CustomerRef,
+        CustomerMemo: { value: 'Disputed hours' },
+        Line: [expect.objectContaining({
+          Amount: 75,
+          Description: 'Credit: Consulting',
+          SalesItemLineDetail: { ItemRef: { value: '7' }, TaxCodeRef: { value: 'TAX' }, Qty: 1, UnitPrice: 75 }
+        })]
+      }));
+      expect(quickbooksApi.updateQBOInvoice).toHaveBeenCalledWith({
+        Id: '145',
+        SyncToken: '3',
+        sparse: true,
+        PrivateNote: 'Credit memo CM-12 (75.00): Disputed hours'
+      });
+      expect(quickbooksApi.createQBOPayment).toHaveBeenCalledWith(expect.objectContaining({
+        TotalAmt: 0,
+        Line: [
+          { Amount: 75, LinkedTxn: [{ TxnId: '145', TxnType: 'Invoice' }] },
+          { Amount: 75, LinkedTxn: [{ TxnId: '880', TxnType: 'CreditMemo' }] }
+        ]
+      }));
+      expect(createInvoiceAdjustment).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: ORG_ID,
+        qbo_invoice_id: '145',
+        qbo_credit_memo_id: '880',
+        amount: 75,
+        applied_amount: 75,
+        status: ADJUSTMENT_STATUSES.APPLIED,
+        lines: [{ sale_id: 'sale-1', description: 'Consulting', amount: 75 }],
+        created_by: 'user-1'
+      }));
+      expect(updateSaleCreditedAmount).toHaveBeenCalledWith('sale-1', 75);
+      expect(result).toEqual(expect.objectContaining({ creditMemoId: '880', appliedAmount: 75, errors: [] }));
+    });
+
+    it('adds to what a sale was already credited', async () => {
+      await invoiceAdjustmentService.createInvoiceCredit({
+        organizationId: ORG_ID,
+        records,
+        credits: invoiceAdjustmentService.buildFullCredit(records),
+        reason: 'Cancelled engagement'
+      });
+
+      expect(updateSaleCreditedAmount).toHaveBeenCalledWith('sale-1', 300);
+      expect(updateSaleCreditedAmount).toHaveBeenCalledWith('sale-2', 200);
+    });
+
+    it('leaves the credit unapplied when the invoice has no balance', async () => {
+      quickbooksApi.getQBOInvoice.mockResolvedValue({ Invoice: { ...invoice, Balance: 0 } });
+
+      const result = await invoiceAdjustmentService.createInvoiceCredit({
+        organizationId: ORG_ID,
+        records,
+        credits: [{ saleId: 'sale-1', amount: 75 }],
+        reason: 'Disputed hours'
+      });
+
+      expect(quickbooksApi.createQBOPayment).not.toHaveBeenCalled();
+      expect(createInvoiceAdjustment).toHaveBeenCalledWith(expect.objectContaining({
+        applied_amount: 0,
+        status: ADJUSTMENT_STATUSES.UNAPPLIED
+      }));
+      expect(result.appliedAmount).toBe(0);
+    });
+
+    it('stops before recording anything when QuickBooks rejects the credit memo', async () => {
+      quickbooksApi.createQBOCreditMemo.mockResolvedValue({
+        Fault: { Error: [{ Message: 'Validation', Detail: 'Item is inactive' }] }
+      });
+
+      await expect(invoiceAdjustmentService.createInvoiceCredit({
+        organizationId: ORG_ID,
+        records,
+        credits: [{ saleId: 'sale-1', amount: 75 }],
+        reason: 'Disputed hours'
+      })).rejects.toThrow('Failed to create the credit memo in QuickBooks: Item is inactive');
+
+      expect(createInvoiceAdjustment).not.toHaveBeenCalled();
+      expect(updateSaleCreditedAmount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loadAdjustmentHistory', () => {
+    it('loads adjustments for the invoices the records were billed on', async () => {
+      fetchInvoiceAdjustments.mockResolvedValue([{ id: 'adj-1' }]);
+
+      await expect(invoiceAdjustmentService.loadAdjustmentHistory(ORG_ID, [
+        ...records,
+        { id: 'sale-3', inv_id: 'BILLED' }
+      ])).resolves.toEqual([{ id: 'adj-1' }]);
+      expect(fetchInvoiceAdjustments).toHaveBeenCalledWith(ORG_ID, ['145']);
+    });
+  });
+});
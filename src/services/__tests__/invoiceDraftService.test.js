@@ -0,0 +1,405 @@
+/**
+ * Invoice Draft Service Tests
+ *
+ * Tests for the invoice review workflow covering:
+ * - Creating drafts from uninvoiced sales records
+ * - Validation before approval (DocNumber, due date, lines)
+ * - Merging and splitting drafts
+ * - Submitting approved drafts to QuickBooks and writing the invoice ID back
+ * - Releasing and confirming reserved DocNumbers
+ */
+
+jest.mock('../../api/invoiceDrafts', () => ({
+  fetchInvoiceDrafts: jest.fn(),
+  createInvoiceDraft: jest.fn(),
+  updateInvoiceDraft: jest.fn(),
+  deleteInvoiceDraft: jest.fn()
+}));
+jest.mock('../../api/quickbooksApi', () => ({
+  findQBOInvoiceByDocNumber: jest.fn(),
+  createQBOInvoice: jest.fn(),
+  sendQBOInvoiceEmail: jest.fn()
+}));
+jest.mock('../../api/invoiceSequences', () => ({
+  reserveInvoiceSequence: jest.fn(),
+  confirmInvoiceSequence: jest.fn(),
+  releaseInvoiceSequence: jest.fn()
+}));
+jest.mock('../../api/financialRecords', () => ({
+  markFinancialRecordsInvoiced: jest.fn()
+}));
+jest.mock('../currencyService', () => ({
+  recordInvoiceCurrency: jest.fn()
+}));
+
+// Import after mocks
+import * as invoiceDraftService from '../invoiceDraftService';
+import * as invoiceDraftsApi from '../../api/invoiceDrafts';
+import * as quickbooksApi from '../../api/quickbooksApi';
+import { markFinancialRecordsInvoiced } from '../../api/financialRecords';
+import * as invoiceSequencesApi from '../../api/invoiceSequences';
+import { recordInvoiceCurrency } from '../currencyService';
+
+const { INVOICE_DRAFT_STATUSES } = invoiceDraftService;
+
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const reservation = {
+  id: 'reservation-1',
+  organization_id: ORG_ID,
+  template: '{qboCustomerId}{YY}{MM}{NNN}',
+  date: new Date(2026, 8, 15).toISOString()
+};
+
+const qboCustomer = {
+  Id: '58',
+  DisplayName: 'Acme Corp',
+  PrimaryEmailAddr: { Address: 'billing@acme.test' },
+  CurrencyRef: { value: 'CAD' }
+};
+
+const salesRecord = (id, overrides = {}) => ({
+  id,
+  customer_id: CUSTOMER_ID,
+  product_name: 'Development',
+  quantity: 2,
+  unit_price: 100,
+  total_price: 200,
+  date: '2026-09-15',
+  inv_id: null,
+  ...overrides
+});
+
+const line = (id, recordIds, overrides = {}) => ({
+  id,
+  description: 'Development',
+  quantity: 2,
+  unit_price: 100,
+  amount: 200,
+  record_ids: recordIds,
+  ...overrides
+});
+
+const draft = (overrides = {}) => ({
+  id: 'draft-1',
+  customer_id: CUSTOMER_ID,
+  qbo_customer: { id: '58', name: 'Acme Corp', email: 'billing@acme.test', currency: 'CAD' },
+  status: INVOICE_DRAFT_STATUSES.DRAFT,
+  doc_number: '58202609001',
+  due_date: '2026-10-31',
+  memo: '',
+  send_email: true,
+  lines: [line('line-1', ['record-1'])],
+  created_at: '2026-10-01T00:00:00Z',
+  ...overrides
+});
+
+describe('Invoice Draft Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    invoiceDraftsApi.fetchInvoiceDrafts.mockResolvedValue([]);
+    invoiceDraftsApi.createInvoiceDraft.mockImplementation(async saved => ({ id: 'draft-new', ...saved }));
+    invoiceDraftsApi.updateInvoiceDraft.mockImplementation(async (id, saved) => ({ ...saved, id }));
+    quickbooksApi.findQBOInvoiceByDocNumber.mockResolvedValue(null);
+    invoiceSequencesApi.reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-2', sequence: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateInvoiceDraft', () => {
+    it('accepts a complete draft', () => {
+      expect(invoiceDraftService.validateInvoiceDraft(draft())).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('reports missing details and invalid lines', () => {
+      const result = invoiceDraftService.validateInvoiceDraft(draft({
+        doc_number: ' ',
+        due_date: '31/10/2026',
+        lines: [line('line-1', ['record-1'], { description: '', quantity: 0 })]
+      }));
+
+      expect(result.errors).toEqual([
+        'DocNumber is required',
+        'Due date must be a valid date (YYYY-MM-DD)',
+        'Line 1 needs a description',
+        'Line 1 quantity must be greater than 0'
+      ]);
+    });
+
+    it('rejects DocNumbers used by another open draft', () => {
+      const other = draft({ id: 'draft-2' });
+      const submitted = draft({ id: 'draft-3', status: INVOICE_DRAFT_STATUSES.SUBMITTED });
+
+      expect(invoiceDraftService.validateInvoiceDraft(draft(), [other]).errors)
+        .toEqual(['DocNumber 58202609001 is already used by another draft']);
+      expect(invoiceDraftService.validateInvoiceDraft(draft(), [submitted]).isValid).toBe(true);
+    });
+  });
+
+  describe('createInvoiceDraftFromRecords', () => {
+    it('drafts only records that are not invoiced or already drafted', async () => {
+      invoiceDraftsApi.fetchInvoiceDrafts.mockResolvedValue([draft()]);
+
+      const created = await invoiceDraftService.createInvoiceDraftFromRecords([
+        salesRecord('record-1'),
+        salesRecord('record-2'),
+        salesRecord('record-3', { inv_id: '901' })
+      ], qboCustomer, { organizationId: ORG_ID });
+
+      expect(created.status).toBe(INVOICE_DRAFT_STATUSES.DRAFT);
+      expect(created.doc_number).toBe('582609002');
+      expect(created.doc_number_reservation).toMatchObject({ id: 'reservation-2', organization_id: ORG_ID });
+      expect(created.qbo_customer).toMatchObject({ id: '58', email: 'billing@acme.test' });
+      expect(invoiceDraftService.getInvoiceDraftRecordIds(created)).toEqual(['record-2']);
+      expect(quickbooksApi.createQBOInvoice).not.toHaveBeenCalled();
+    });
+
+    it('refuses when every record is taken', async () => {
+      await expect(invoiceDraftService.createInvoiceDraftFromRecords(
+        [salesRecord('record-3', { inv_id: '901' })],
+        qboCustomer
+      )).rejects.toThrow('All records are already invoiced or waiting on an invoice draft');
+      expect(invoiceDraftsApi.createInvoiceDraft).not.toHaveBeenCalled();
+    });
+
+    it('gives the number back when the draft cannot be saved', async () => {
+      invoiceDraftsApi.createInvoiceDraft.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(invoiceDraftService.createInvoiceDraftFromRecords([salesRecord('record-2')], qboCustomer, {
+        organizationId: ORG_ID
+      })).rejects.toThrow('Network error');
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledWith('reservation-2');
+    });
+  });
+
+  describe('saveInvoiceDraftChanges', () => {
+    it('recalculates line amounts', async () => {
+      const saved = await invoiceDraftService.saveInvoiceDraftChanges(draft(), {
+        doc_number: ' INV-100 ',
+        lines: [line('line-1', ['record-1'], { quantity: 1.5, amount: 200 })]
+      });
+
+      expect(saved.doc_number).toBe('INV-100');
+      expect(saved.lines[0].amount).toBe(150);
+    });
+
+    it('releases the reserved DocNumber only when it is replaced', async () => {
+      await invoiceDraftService.saveInvoiceDraftChanges(draft({ doc_number_reservation: reservation }), { memo: 'Updated' });
+      expect(invoiceSequencesApi.releaseInvoiceSequence).not.toHaveBeenCalled();
+
+      const saved = await invoiceDraftService.saveInvoiceDraftChanges(
+        draft({ doc_number_reservation: reservation }),
+        { doc_number: 'INV-100' }
+      );
+      expect(saved.doc_number_reservation).toBeNull();
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledWith('reservation-1');
+    });
+
+    it('does not edit approved drafts', async () => {
+      await expect(invoiceDraftService.saveInvoiceDraftChanges(
+        draft({ status: INVOICE_DRAFT_STATUSES.APPROVED }),
+        { memo: 'Changed' }
+      )).rejects.toThrow('Return the draft to review before editing it');
+      expect(invoiceDraftsApi.updateInvoiceDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeInvoiceDrafts', () => {
+    it('combines lines into the oldest draft and removes the others', async () => {
+      const older = draft({ memo: 'September work' });
+      const newer = draft({
+        id: 'draft-2',
+        created_at: '2026-10-05T00:00:00Z',
+        memo: 'Extra support',
+        lines: [line('line-2', ['record-2'])]
+      });
+
+      const merged = await invoiceDraftService.mergeInvoiceDrafts([newer, older]);
+
+      expect(merged.id).toBe('draft-1');
+      expect(merged.memo).toBe('September work\nExtra support');
+      expect(merged.lines.map(l => l.id)).toEqual(['line-1', 'line-2']);
+      expect(invoiceDraftsApi.deleteInvoiceDraft).toHaveBeenCalledWith('draft-2');
+    });
+
+    it('releases the DocNumbers of the drafts merged away', async () => {
+      const newer = draft({
+        id: 'draft-2',
+        created_at: '2026-10-05T00:00:00Z',
+        doc_number: '58202609002',
+        doc_number_reservation: { ...reservation, id: 'reservation-2' }
+      });
+
+      await invoiceDraftService.mergeInvoiceDrafts([draft({ doc_number_reservation: reservation }), newer]);
+
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledTimes(1);
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledWith('reservation-2');
+    });
+
+    it('refuses drafts for different customers', async () => {
+      const other = draft({ id: 'draft-2', qbo_customer: { id: '77', currency: 'CAD' } });
+
+      await expect(invoiceDraftService.mergeInvoiceDrafts([draft(), other]))
+        .rejects.toThrow('Only drafts for the same QuickBooks customer and currency can be merged');
+      expect(invoiceDraftsApi.deleteInvoiceDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('splitInvoiceDraft', () => {
+    it('moves the selected lines to a new draft without a DocNumber', async () => {
+      const original = draft({ lines: [line('line-1', ['record-1']), line('line-2', ['record-2'])] });
+
+      const result = await invoiceDraftService.splitInvoiceDraft(original, ['line-2']);
+
+      expect(result.original.lines.map(l => l.id)).toEqual(['line-1']);
+      expect(result.created).toMatchObject({ doc_number: '', status: INVOICE_DRAFT_STATUSES.DRAFT });
+      expect(result.created.lines.map(l => l.id)).toEqual(['line-2']);
+      expect(invoiceDraftsApi.updateInvoiceDraft.mock.invocationCallOrder[0])
+        .toBeLessThan(invoiceDraftsApi.createInvoiceDraft.mock.invocationCallOrder[0]);
+    });
+
+    it('refuses to move every line', async () => {
+      await expect(invoiceDraftService.splitInvoiceDraft(draft(), ['line-1']))
+        .rejects.toThrow('Select some, but not all, lines to split into a new draft');
+    });
+  });
+
+  describe('approveInvoiceDraft', () => {
+    it('records who approved the draft', async () => {
+      const approved = await invoiceDraftService.approveInvoiceDraft(draft(), [], 'staff-1');
+
+      expect(approved).toMatchObject({ status: INVOICE_DRAFT_STATUSES.APPROVED, approved_by: 'staff-1' });
+      expect(approved.approved_at).toEqual(expect.any(String));
+    });
+
+    it('does not approve an invalid draft', async () => {
+      await expect(invoiceDraftService.approveInvoiceDraft(draft({ doc_number: '' })))
+        .rejects.toThrow('DocNumber is required');
+      expect(invoiceDraftsApi.updateInvoiceDraft).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discardInvoiceDraft', () => {
+    it('deletes the draft and releases its DocNumber', async () => {
+      await invoiceDraftService.discardInvoiceDraft(draft({ doc_number_reservation: reservation }));
+
+      expect(invoiceDraftsApi.deleteInvoiceDraft).toHaveBeenCalledWith('draft-1');
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledWith('reservation-1');
+    });
+  });
+
+  describe('submitInvoiceDraft', () => {
+    const approved = () => draft({
+      status: INVOICE_DRAFT_STATUSES.APPROVED,
+      lines: [line('line-1', ['record-1', 'record-2'])]
+    });
+
+    it('only submits approved drafts', async () => {
+      await expect(invoiceDraftService.submitInvoiceDraft(draft()))
+        .rejects.toThrow('Only approved drafts can be submitted to QuickBooks');
+      expect(quickbooksApi.createQBOInvoice).not.toHaveBeenCalled();
+    });
+
+    it('creates the invoice, marks the draft submitted and writes the invoice ID back', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+
+      const result = await invoiceDraftService.submitInvoiceDraft(approved(), ORG_ID);
+
+      expect(quickbooksApi.createQBOInvoice).toHaveBeenCalledWith(expect.objectContaining({
+        DocNumber: '58202609001',
+        DueDate: '2026-10-31',
+        CustomerRef: expect.objectContaining({ value: '58' })
+      }));
+      expect(result).toMatchObject({ invoiceId: '901', emailSent: true });
+      expect(result.draft).toMatchObject({ status: INVOICE_DRAFT_STATUSES.SUBMITTED, qbo_invoice_id: '901' });
+      expect(markFinancialRecordsInvoiced).toHaveBeenCalledWith(['record-1', 'record-2'], '901');
+      expect(quickbooksApi.sendQBOInvoiceEmail).toHaveBeenCalledWith('901');
+    });
+
+    it('confirms the reserved DocNumber once the invoice exists', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+
+      await invoiceDraftService.submitInvoiceDraft({ ...approved(), doc_number_reservation: reservation }, ORG_ID);
+
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenCalledWith('reservation-1', '58202609001', '901');
+      expect(recordInvoiceCurrency).toHaveBeenCalledWith(ORG_ID, '901', 'CAD');
+    });
+
+    it('stores the currency with the organization of a draft without a reservation', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+
+      await invoiceDraftService.submitInvoiceDraft({ ...approved(), doc_number_reservation: null }, ORG_ID);
+
+      expect(recordInvoiceCurrency).toHaveBeenCalledWith(ORG_ID, '901', 'CAD');
+    });
+
+    it('requires the organization before creating the invoice', async () => {
+      await expect(invoiceDraftService.submitInvoiceDraft({ ...approved(), doc_number_reservation: reservation }))
+        .rejects.toThrow('Organization ID is required to submit an invoice draft');
+      expect(quickbooksApi.createQBOInvoice).not.toHaveBeenCalled();
+    });
+
+    it('renumbers and retries a reserved DocNumber QuickBooks already has', async () => {
+      quickbooksApi.createQBOInvoice
+        .mockResolvedValueOnce({ Fault: { Error: [{ code: '6140', Message: 'Duplicate Document Number Error' }] } })
+        .mockResolvedValueOnce({ Invoice: { Id: '902' } });
+
+      const result = await invoiceDraftService.submitInvoiceDraft({ ...approved(), doc_number_reservation: reservation }, ORG_ID);
+
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenCalledWith('reservation-1', '58202609001', null);
+      expect(invoiceSequencesApi.reserveInvoiceSequence).toHaveBeenCalledWith(ORG_ID, 'customer:58|2026-09-01');
+      expect(quickbooksApi.createQBOInvoice).toHaveBeenLastCalledWith(expect.objectContaining({ DocNumber: '582609002' }));
+      expect(result).toMatchObject({ invoiceId: '902', draft: { doc_number: '582609002' } });
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenLastCalledWith('reservation-2', '582609002', '902');
+    });
+
+    it('does not renumber a typed-in DocNumber', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({
+        Fault: { Error: [{ code: '6140', Detail: 'Duplicate Document Number Error' }] }
+      });
+
+      await expect(invoiceDraftService.submitInvoiceDraft(approved(), ORG_ID))
+        .rejects.toThrow('Duplicate Document Number Error');
+      expect(quickbooksApi.createQBOInvoice).toHaveBeenCalledTimes(1);
+      expect(invoiceSequencesApi.reserveInvoiceSequence).not.toHaveBeenCalled();
+    });
+
+    it('leaves the draft approved when QuickBooks rejects the invoice', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({
+        Fault: { Error: [{ Detail: 'Duplicate Document Number Error' }] }
+      });
+
+      await expect(invoiceDraftService.submitInvoiceDraft(approved(), ORG_ID))
+        .rejects.toThrow('Failed to create invoice in QuickBooks: Duplicate Document Number Error');
+      expect(invoiceDraftsApi.updateInvoiceDraft).not.toHaveBeenCalled();
+      expect(markFinancialRecordsInvoiced).not.toHaveBeenCalled();
+    });
+
+    it('names the created invoice when the write-back fails', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+      markFinancialRecordsInvoiced.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(invoiceDraftService.submitInvoiceDraft(approved(), ORG_ID))
+        .rejects.toThrow('QuickBooks invoice 901 was created but its sales records could not be updated');
+      expect(invoiceDraftsApi.updateInvoiceDraft).toHaveBeenCalledWith('draft-1', expect.objectContaining({
+        status: INVOICE_DRAFT_STATUSES.SUBMITTED
+      }));
+    });
+
+    it('still succeeds when the email cannot be sent', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+      quickbooksApi.sendQBOInvoiceEmail.mockRejectedValueOnce(new Error('No email address'));
+
+      const result = await invoiceDraftService.submitInvoiceDraft(approved(), ORG_ID);
+
+      expect(result.emailSent).toBe(false);
+    });
+  });
+});
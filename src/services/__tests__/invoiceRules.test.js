@@ -0,0 +1,231 @@
+/**
+ * Invoice Rules Tests
+ *
+ * Tests for organization invoice rules covering:
+ * - Invoice number templates and their sequence scope
+ * - Payment terms presets and due dates
+ * - Tax code resolution (customer, then province, then currency)
+ * - Rule validation and preview
+ * - generateInvoicePayload consuming the rules
+ */
+
+jest.mock('../../api/quickbooksApi', () => ({
+  findQBOInvoiceByDocNumber: jest.fn()
+}));
+jest.mock('../../api/invoiceSequences', () => ({
+  reserveInvoiceSequence: jest.fn(),
+  confirmInvoiceSequence: jest.fn(),
+  releaseInvoiceSequence: jest.fn()
+}));
+
+// Import after mocks
+import * as invoiceRulesService from '../invoiceRulesService';
+import { generateInvoicePayload, generateInvoiceDraft, buildInvoicePayloadFromDraft } from '../invoiceGenerationService';
+import { findQBOInvoiceByDocNumber } from '../../api/quickbooksApi';
+import { reserveInvoiceSequence } from '../../api/invoiceSequences';
+
+const { DEFAULT_INVOICE_RULES } = invoiceRulesService;
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const rules = (overrides) => ({ ...DEFAULT_INVOICE_RULES, ...overrides });
+
+const qboCustomer = {
+  Id: '58',
+  DisplayName: 'Acme Corp',
+  CurrencyRef: { value: 'CAD' },
+  BillAddr: { CountrySubDivisionCode: 'ON' }
+};
+
+const salesRecords = [
+  { id: 'record-1', product_name: 'Development', quantity: 2, unit_price: 100, total_price: 200, date: '2026-09-10' },
+  { id: 'record-2', product_name: 'Development', quantity: 1, unit_price: 100, total_price: 100, date: '2026-09-24' }
+];
+
+describe('Invoice Rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('formatInvoiceNumber', () => {
+    const values = { qboCustomerId: '58', date: new Date(2026, 8, 15), sequence: 7 };
+
+    it('keeps the original qboID+YY+MM+NNN scheme by default', () => {
+      expect(invoiceRulesService.formatInvoiceNumber(DEFAULT_INVOICE_RULES.invoice_number_format, values))
+        .toBe('582609007');
+    });
+
+    it('pads the sequence to the number of Ns', () => {
+      expect(invoiceRulesService.formatInvoiceNumber('INV-{YYYY}-{NNNNN}', values)).toBe('INV-2026-00007');
+    });
+  });
+
+  describe('getInvoiceSequenceScope', () => {
+    const date = new Date(2026, 8, 15);
+
+    it('counts per customer per month for the default template', () => {
+      expect(invoiceRulesService.getInvoiceSequenceScope('{qboCustomerId}{YY}{MM}{NNN}', '58', date)).toEqual({
+        customerId: '58',
+        startDate: '2026-09-01',
+        endDate: '2026-09-30'
+      });
+    });
+
+    it('counts across customers for the year or all time without those tokens', () => {
+      expect(invoiceRulesService.getInvoiceSequenceScope('INV-{YYYY}-{NNNN}', '58', date)).toEqual({
+        customerId: null,
+        startDate: '2026-01-01',
+        endDate: '2026-12-31'
+      });
+      expect(invoiceRulesService.getInvoiceSequenceScope('INV{NNNNNN}', '58', date)).toEqual({
+        customerId: null,
+        startDate: null,
+        endDate: null
+      });
+    });
+  });
+
+  describe('calculateDueDateForTerms', () => {
+    const invoiceDate = new Date(2026, 9, 18);
+
+    it('applies each preset', () => {
+      expect(invoiceRulesService.calculateDueDateForTerms('Due on receipt', invoiceDate)).toBe('2026-10-18');
+      expect(invoiceRulesService.calculateDueDateForTerms('Net 15', invoiceDate)).toBe('2026-11-02');
+      expect(invoiceRulesService.calculateDueDateForTerms('Net 30', invoiceDate)).toBe('2026-11-17');
+      expect(invoiceRulesService.calculateDueDateForTerms('Net 30 EoM', invoiceDate)).toBe('2026-11-30');
+    });
+
+    it('falls back to Net 30 EoM for unknown terms', () => {
+      expect(invoiceRulesService.calculateDueDateForTerms('Net 45', invoiceDate)).toBe('2026-11-30');
+    });
+  });
+
+  describe('resolveTaxCode', () => {
+    const configured = rules({
+      province_tax_codes: { ON: '13', QC: '9' },
+      customer_tax_codes: { 58: '2' }
+    });
+
+    it('prefers the customer override, then the province, then the currency', () => {
+      expect(invoiceRulesService.resolveTaxCode(configured, { currency: 'CAD', qboCustomerId: '58', province: 'ON' })).toBe('2');
+      expect(invoiceRulesService.resolveTaxCode(configured, { currency: 'USD', qboCustomerId: '60', province: 'qc' })).toBe('9');
+      expect(invoiceRulesService.resolveTaxCode(configured, { currency: 'CAD', qboCustomerId: '60', province: 'AB' })).toBe(4);
+      expect(invoiceRulesService.resolveTaxCode(configured, { currency: 'EUR', qboCustomerId: '60' })).toBe(3);
+    });
+  });
+
+  describe('validateInvoiceRules', () => {
+    it('accepts the defaults', () => {
+      expect(invoiceRulesService.validateInvoiceRules(DEFAULT_INVOICE_RULES)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('reports unknown tokens, a missing sequence and unknown terms', () => {
+      const result = invoiceRulesService.validateInvoiceRules(rules({
+        invoice_number_format: '{customer}-{YY}',
+        default_payment_terms: 'Net 45',
+        province_tax_codes: { XX: '1' }
+      }));
+
+      expect(result.errors).toEqual([
+        'Unknown invoice number tokens: {customer}',
+        'Invoice number format must contain exactly one sequence token, e.g. {NNN}',
+        'Payment terms must be one of: Due on receipt, Net 15, Net 30, Net 30 EoM, Net 60',
+        'Unknown province: XX'
+      ]);
+    });
+  });
+
+  describe('previewInvoiceRules', () => {
+    it('shows the invoice number, due date and tax code', () => {
+      const preview = invoiceRulesService.previewInvoiceRules(
+        rules({ invoice_number_format: 'INV-{YY}{MM}-{NNN}', default_payment_terms: 'Net 15' }),
+        { date: new Date(2026, 9, 18), province: 'ON' }
+      );
+
+      expect(preview).toEqual({ docNumber: 'INV-2610-001', dueDate: '2026-11-02', taxCode: 4, errors: [] });
+    });
+
+    it('flags invoice numbers longer than QuickBooks allows', () => {
+      const preview = invoiceRulesService.previewInvoiceRules(rules({ invoice_number_format: 'ACME-INVOICE-{YYYY}-{MM}-{NNNN}' }));
+
+      expect(preview.errors).toEqual([expect.stringContaining('at most 21 characters')]);
+    });
+  });
+
+  describe('loadInvoiceRules', () => {
+    it('reads the rules from the saved QuickBooks configuration', () => {
+      localStorage.setItem(`qb_config_${ORG_ID}`, JSON.stringify({
+        default_payment_terms: 'Net 15',
+        cad_tax_code: 5,
+        auto_sync_enabled: false
+      }));
+
+      expect(invoiceRulesService.loadInvoiceRules(ORG_ID)).toEqual(rules({
+        default_payment_terms: 'Net 15',
+        cad_tax_code: 5
+      }));
+    });
+
+    it('uses the defaults for unknown terms or unreadable config', () => {
+      localStorage.setItem(`qb_config_${ORG_ID}`, JSON.stringify({ default_payment_terms: 'Whenever' }));
+      expect(invoiceRulesService.loadInvoiceRules(ORG_ID)).toEqual(DEFAULT_INVOICE_RULES);
+
+      localStorage.setItem(`qb_config_${ORG_ID}`, '{not json');
+      expect(invoiceRulesService.loadInvoiceRules(ORG_ID)).toEqual(DEFAULT_INVOICE_RULES);
+    });
+  });
+
+  describe('generateInvoicePayload', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(2026, 9, 18, 12) });
+      findQBOInvoiceByDocNumber.mockResolvedValue(null);
+      reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-1', sequence: 2 });
+    });
+
+    it('keeps the original rules when none are configured', async () => {
+      const payload = await generateInvoicePayload(salesRecords, qboCustomer, { organizationId: ORG_ID });
+
+      expect(reserveInvoiceSequence).toHaveBeenCalledWith(ORG_ID, 'customer:58|2026-09-01');
+      expect(payload.DocNumber).toBe('582609002');
+      expect(payload.DueDate).toBe('2026-11-30');
+      expect(payload.Line[0].SalesItemLineDetail.TaxCodeRef).toEqual({ value: 4 });
+    });
+
+    it('uses the organization rules', async () => {
+      reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-1', sequence: 3 });
+
+      const payload = await generateInvoicePayload(salesRecords, qboCustomer, {
+        organizationId: ORG_ID,
+        rules: rules({
+          invoice_number_format: 'INV-{YYYY}-{NNNN}',
+          default_payment_terms: 'Due on receipt',
+          province_tax_codes: { ON: '13' }
+        })
+      });
+
+      expect(reserveInvoiceSequence).toHaveBeenCalledWith(ORG_ID, 'all|2026-01-01');
+      expect(payload.DocNumber).toBe('INV-2026-0003');
+      expect(payload.DueDate).toBe('2026-10-18');
+      expect(payload.Line[0].SalesItemLineDetail.TaxCodeRef).toEqual({ value: '13' });
+    });
+
+    it('keeps the resolved tax code on drafts', async () => {
+      const draft = await generateInvoiceDraft(salesRecords, qboCustomer, {
+        organizationId: ORG_ID,
+        rules: rules({ customer_tax_codes: { 58: '2' } })
+      });
+
+      expect(draft.tax_code).toBe('2');
+      expect(buildInvoicePayloadFromDraft(draft).Line[0].SalesItemLineDetail.TaxCodeRef).toEqual({ value: '2' });
+    });
+  });
+});
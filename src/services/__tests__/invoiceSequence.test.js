@@ -0,0 +1,112 @@
+/**
+ * Invoice Sequence Tests
+ *
+ * Tests for invoice number reservation covering:
+ * - Sequence scope keys
+ * - Reserving numbers and skipping numbers QuickBooks already has
+ * - Confirming and releasing reservations
+ */
+
+jest.mock('../../api/invoiceSequences', () => ({
+  reserveInvoiceSequence: jest.fn(),
+  confirmInvoiceSequence: jest.fn(),
+  releaseInvoiceSequence: jest.fn()
+}));
+jest.mock('../../api/quickbooksApi', () => ({
+  findQBOInvoiceByDocNumber: jest.fn()
+}));
+
+// Import after mocks
+import * as invoiceSequenceService from '../invoiceSequenceService';
+import * as invoiceSequencesApi from '../../api/invoiceSequences';
+import { findQBOInvoiceByDocNumber } from '../../api/quickbooksApi';
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const request = {
+  organizationId: ORG_ID,
+  template: '{qboCustomerId}{YY}{MM}{NNN}',
+  qboCustomerId: '58',
+  date: new Date(2026, 8, 15)
+};
+
+describe('Invoice Sequences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    findQBOInvoiceByDocNumber.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getSequenceScopeKey', () => {
+    it('identifies the customer and period', () => {
+      expect(invoiceSequenceService.getSequenceScopeKey({ customerId: '58', startDate: '2026-09-01' }))
+        .toBe('customer:58|2026-09-01');
+      expect(invoiceSequenceService.getSequenceScopeKey({ customerId: null, startDate: null })).toBe('all|all');
+    });
+  });
+
+  describe('reserveInvoiceNumber', () => {
+    it('formats the reserved sequence number', async () => {
+      invoiceSequencesApi.reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-1', sequence: 4 });
+
+      await expect(invoiceSequenceService.reserveInvoiceNumber(request)).resolves.toEqual({
+        docNumber: '582609004',
+        sequence: 4,
+        reservationId: 'reservation-1'
+      });
+      expect(invoiceSequencesApi.reserveInvoiceSequence).toHaveBeenCalledWith(ORG_ID, 'customer:58|2026-09-01');
+      expect(findQBOInvoiceByDocNumber).toHaveBeenCalledWith('582609004');
+    });
+
+    it('marks numbers QuickBooks already has as used and reserves the next one', async () => {
+      invoiceSequencesApi.reserveInvoiceSequence
+        .mockResolvedValueOnce({ reservationId: 'reservation-1', sequence: 1 })
+        .mockResolvedValueOnce({ reservationId: 'reservation-2', sequence: 2 });
+      findQBOInvoiceByDocNumber.mockResolvedValueOnce({ Id: '700', DocNumber: '582609001' });
+
+      const reserved = await invoiceSequenceService.reserveInvoiceNumber(request);
+
+      expect(reserved.docNumber).toBe('582609002');
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenCalledWith('reservation-1', '582609001', '700');
+    });
+
+    it('gives up after repeated collisions', async () => {
+      invoiceSequencesApi.reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-1', sequence: 1 });
+      findQBOInvoiceByDocNumber.mockResolvedValue({ Id: '700' });
+
+      await expect(invoiceSequenceService.reserveInvoiceNumber(request))
+        .rejects.toThrow('Could not find a free invoice number after 20 attempts');
+      expect(invoiceSequencesApi.reserveInvoiceSequence).toHaveBeenCalledTimes(20);
+    });
+
+    it('requires an organization', async () => {
+      await expect(invoiceSequenceService.reserveInvoiceNumber({ ...request, organizationId: null }))
+        .rejects.toThrow('Organization ID is required to reserve an invoice number');
+      expect(invoiceSequencesApi.reserveInvoiceSequence).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseInvoiceNumber', () => {
+    it('releases the reservation and tolerates failures', async () => {
+      await expect(invoiceSequenceService.releaseInvoiceNumber('reservation-1')).resolves.toBe(true);
+
+      invoiceSequencesApi.releaseInvoiceSequence.mockRejectedValueOnce(new Error('Network error'));
+      await expect(invoiceSequenceService.releaseInvoiceNumber('reservation-1')).resolves.toBe(false);
+
+      await expect(invoiceSequenceService.releaseInvoiceNumber(null)).resolves.toBe(false);
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('confirmInvoiceNumber', () => {
+    it('records the invoice that used the number', async () => {
+      await expect(invoiceSequenceService.confirmInvoiceNumber('reservation-1', '582609004', '901')).resolves.toBe(true);
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenCalledWith('reservation-1', '582609004', '901');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Payment Sync Tests
+ *
+ * Tests for QuickBooks payment status sync and A/R aging covering:
+ * - Reading Payment and Invoice entities from webhook events
+ * - Invoice balances to paid / partially paid / unpaid
+ * - Updating the sales records on the invoices a payment touches
+ * - Aging open invoices into current, 30, 60 and 90+ buckets
+ */
+
+jest.mock('../../api/quickbooksApi', () => ({
+  listQBOWebhookEvents: jest.fn(),
+  getQBOInvoice: jest.fn(),
+  getQBOPayment: jest.fn(),
+  listQBOOpenInvoices: jest.fn()
+}));
+jest.mock('../salesService', () => ({
+  updateSalesPaymentStatus: jest.fn()
+}));
+
+// Import after mocks
+import * as paymentSyncService from '../paymentSyncService';
+import * as quickbooksApi from '../../api/quickbooksApi';
+import { updateSalesPaymentStatus } from '../salesService';
+
+const { PAYMENT_STATUSES } = paymentSyncService;
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const notification = (...entities) => ({
+  eventNotifications: [{ realmId: '123', dataChangeEvent: { entities } }]
+});
+
+describe('Payment Sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.clear();
+
+    updateSalesPaymentStatus.mockResolvedValue({ success: true, data: [] });
+    quickbooksApi.getQBOInvoice.mockImplementation(async (invoiceId) => ({
+      Invoice: { Id: invoiceId, TotalAmt: 500, Balance: invoiceId === '901' ? 0 : 200 }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extractWebhookEntities', () => {
+    it('reads raw QuickBooks notifications and flattened events', () => {
+      expect(paymentSyncService.extractWebhookEntities({
+        events: [
+          notification({ name: 'Payment', id: '55', operation: 'Create', lastUpdated: '2026-10-01T10:00:00Z' }),
+          { entity_name: 'Invoice', entity_id: '902', operation: 'Update', created_at: '2026-10-02T10:00:00Z' }
+        ]
+      })).toEqual([
+        { name: 'Payment', id: '55', operation: 'Create', lastUpdated: '2026-10-01T10:00:00Z' },
+        { name: 'Invoice', id: '902', operation: 'Update', lastUpdated: '2026-10-02T10:00:00Z' }
+      ]);
+    });
+  });
+
+  describe('getInvoicePaymentStatus', () => {
+    it('uses the balance against the total', () => {
+      expect(paymentSyncService.getInvoicePaymentStatus({ TotalAmt: 500, Balance: 0 })).toBe(PAYMENT_STATUSES.PAID);
+      expect(paymentSyncService.getInvoicePaymentStatus({ TotalAmt: 500, Balance: 200 })).toBe(PAYMENT_STATUSES.PARTIALLY_PAID);
+      expect(paymentSyncService.getInvoicePaymentStatus({ TotalAmt: 500, Balance: 500 })).toBe(PAYMENT_STATUSES.UNPAID);
+    });
+  });
+
+  describe('getRecordsPaymentStatus', () => {
+    it('summarizes a group of records', () => {
+      expect(paymentSyncService.getRecordsPaymentStatus([{ inv_id: null }, { inv_id: '901' }])).toBe('uninvoiced');
+      expect(paymentSyncService.getRecordsPaymentStatus([{ inv_id: '901', payment_status: 'unpaid' }])).toBe('invoiced');
+      expect(paymentSyncService.getRecordsPaymentStatus([
+        { inv_id: '901', payment_status: 'paid' },
+        { inv_id: '902', payment_status: 'unpaid' }
+      ])).toBe(PAYMENT_STATUSES.PARTIALLY_PAID);
+      expect(paymentSyncService.getRecordsPaymentStatus([{ inv_id: '901', payment_status: 'paid' }])).toBe(PAYMENT_STATUSES.PAID);
+    });
+  });
+
+  describe('syncPaymentStatusFromWebhooks', () => {
+    it('updates the records on the invoices payments were applied to', async () => {
+      quickbooksApi.listQBOWebhookEvents.mockResolvedValue({
+        events: [
+          notification(
+            { name: 'Payment', id: '55', operation: 'Create', lastUpdated: '2026-10-01T10:00:00Z' },
+            { name: 'Customer', id: '58', operation: 'Update', lastUpdated: '2026-10-01T10:00:00Z' }
+          ),
+          notification({ name: 'Invoice', id: '902', operation: 'Update', lastUpdated: '2026-10-02T10:00:00Z' })
+        ]
+      });
+      quickbooksApi.getQBOPayment.mockResolvedValue({
+        Id: '55',
+        Line: [{ Amount: 500, LinkedTxn: [{ TxnId: '901', TxnType: 'Invoice' }] }]
+      });
+
+      const result = await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+
+      expect(quickbooksApi.getQBOPayment).toHaveBeenCalledWith('55');
+      expect(updateSalesPaymentStatus).toHaveBeenCalledWith('901', PAYMENT_STATUSES.PAID, ORG_ID);
+      expect(updateSalesPaymentStatus).toHaveBeenCalledWith('902', PAYMENT_STATUSES.PARTIALLY_PAID, ORG_ID);
+      expect(result).toEqual({
+        eventsProcessed: 2,
+        invoices: [
+          { invoiceId: '901', status: PAYMENT_STATUSES.PAID, balance: 0 },
+          { invoiceId: '902', status: PAYMENT_STATUSES.PARTIALLY_PAID, balance: 200 }
+        ],
+        errors: []
+      });
+    });
+
+    it('skips events already processed', async () => {
+      const events = {
+        events: [notification({ name: 'Invoice', id: '902', operation: 'Update', lastUpdated: '2026-10-02T10:00:00Z' })]
+      };
+      quickbooksApi.listQBOWebhookEvents.mockResolvedValue(events);
+
+      await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+      const second = await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+
+      expect(second.eventsProcessed).toBe(0);
+      expect(updateSalesPaymentStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries events when an invoice could not be updated', async () => {
+      quickbooksApi.listQBOWebhookEvents.mockResolvedValue({
+        events: [notification({ name: 'Invoice', id: '902', operation: 'Update', lastUpdated: '2026-10-02T10:00:00Z' })]
+      });
+      updateSalesPaymentStatus.mockResolvedValueOnce({ success: false, error: 'Network error' });
+
+      const first = await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+      const second = await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+
+      expect(first.errors).toEqual(['Invoice 902: Network error']);
+      expect(second.invoices).toHaveLength(1);
+    });
+
+    it('ignores voided and deleted invoices', async () => {
+      quickbooksApi.listQBOWebhookEvents.mockResolvedValue({
+        events: [notification(
+          { name: 'Invoice', id: '903', operation: 'Void', lastUpdated: '2026-10-02T10:00:00Z' },
+          { name: 'Invoice', id: '904', operation: 'Delete', lastUpdated: '2026-10-02T10:00:00Z' }
+        )]
+      });
+
+      const result = await paymentSyncService.syncPaymentStatusFromWebhooks(ORG_ID);
+
+      expect(result.invoices).toEqual([]);
+      expect(quickbooksApi.getQBOInvoice).not.toHaveBeenCalled();
+    });
+
+    it('requires an organization', async () => {
+      await expect(paymentSyncService.syncPaymentStatusFromWebhooks(null))
+        .rejects.toThrow('Organization ID is required to sync payments');
+    });
+  });
+
+  describe('calculateARAging', () => {
+    it('ages open invoices per customer by invoice date', () => {
+      const asOf = new Date(2026, 9, 18);
+      const aging = paymentSyncService.calculateARAging([
+        { CustomerRef: { value: '58', name: 'Acme Corp' }, TxnDate: '2026-10-01', Balance: 100 },
+        { CustomerRef: { value: '58', name: 'Acme Corp' }, TxnDate: '2026-09-10', Balance: 200 },
+        { CustomerRef: { value: '58', name: 'Acme Corp' }, TxnDate: '2026-07-01', Balance: 300 },
+        { CustomerRef: { value: '60', name: 'Globex' }, TxnDate: '2026-08-10', Balance: 50.5 },
+        { CustomerRef: { value: '60', name: 'Globex' }, TxnDate: '2026-08-01', Balance: 0 }
+      ], asOf);
+
+      expect(aging.customers).toEqual([
+        { customerId: '58', customerName: 'Acme Corp', current: 100, days30: 200, days60: 0, days90: 300, total: 600, invoiceCount: 3 },
+        { customerId: '60', customerName: 'Globex', current: 0, days30: 0, days60: 50.5, days90: 0, total: 50.5, invoiceCount: 1 }
+      ]);
+      expect(aging.totals).toMatchObject({ current: 100, days30: 200, days60: 50.5, days90: 300, total: 650.5, invoiceCount: 4 });
+    });
+  });
+});
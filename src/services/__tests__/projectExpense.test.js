@@ -0,0 +1,221 @@
+/**
+ * Project Expense Tests
+ *
+ * Tests for project expenses covering:
+ * - Validating and recording expenses
+ * - Syncing expenses to QuickBooks as bills
+ * - Re-billing billable expenses with their markup
+ * - Project profitability including expenses
+ */
+
+jest.mock('../../api/quickbooksApi', () => ({
+  createQBOBill: jest.fn()
+}));
+jest.mock('../../api/projectExpenses', () => ({
+  fetchProjectExpenses: jest.fn(),
+  createProjectExpense: jest.fn(),
+  updateProjectExpense: jest.fn(),
+  deleteProjectExpense: jest.fn()
+}));
+jest.mock('../salesService', () => ({
+  createSale: jest.fn()
+}));
+jest.mock('../customerReconciliationService', () => ({
+  resolveMappedQBOCustomer: jest.fn()
+}));
+
+// Import after mocks
+import * as projectExpenseService from '../projectExpenseService';
+import { calculateProjectDetailStats, calculateExpenseRebillAmount } from '../projectService';
+import { createQBOBill } from '../../api/quickbooksApi';
+import { createProjectExpense, updateProjectExpense, deleteProjectExpense } from '../../api/projectExpenses';
+import { createSale } from '../salesService';
+import { resolveMappedQBOCustomer } from '../customerReconciliationService';
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+const expense = {
+  id: 'exp-1',
+  organization_id: ORG_ID,
+  project_id: 'proj-1',
+  customer_id: 'cust-1',
+  vendor_name: 'Adobe',
+  qbo_vendor_id: '41',
+  description: 'Stock photos',
+  amount: 200,
+  expense_date: '2026-10-02',
+  receipt_url: 'https://receipts.example.com/r/1.pdf',
+  billable: true,
+  markup_percent: 15
+};
+
+describe('Project Expenses', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    localStorage.setItem(`qb_config_${ORG_ID}`, JSON.stringify({ expense_account_id: '77' }));
+    createProjectExpense.mockImplementation(async (row) => ({ id: 'exp-new', ...row }));
+    updateProjectExpense.mockImplementation(async (id, updates) => ({ ...expense, id, ...updates }));
+    resolveMappedQBOCustomer.mockResolvedValue({ Id: '58', DisplayName: 'Acme' });
+    createQBOBill.mockResolvedValue({ Bill: { Id: '310' } });
+    createSale.mockResolvedValue({ success: true, data: { id: 'sale-9' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateExpense', () => {
+    it('requires a vendor, positive amount, date and an http receipt link', () => {
+      expect(projectExpenseService.validateExpense(expense)).toEqual([]);
+      expect(projectExpenseService.validateExpense({
+        vendor_name: ' ',
+        amount: 0,
+        expense_date: 'not a date',
+        receipt_url: 'file:///receipt.pdf',
+        markup_percent: -5
+      })).toEqual([
+        'Vendor is required',
+        'Amount must be greater than 0',
+        'A valid expense date is required',
+        'Markup must be 0 or greater',
+        'Receipt must be an http(s) link'
+      ]);
+    });
+  });
+
+  describe('addProjectExpense', () => {
+    it('records the expense against the project and its customer', async () => {
+      await projectExpenseService.addProjectExpense({
+        organizationId: ORG_ID,
+        project: { id: 'proj-1', _custID: 'cust-1' },
+        expense: { ...expense, billable: false, amount: '49.999' },
+        userId: 'user-1'
+      });
+
+      expect(createProjectExpense).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: ORG_ID,
+        project_id: 'proj-1',
+        customer_id: 'cust-1',
+        amount: 50,
+        billable: false,
+        markup_percent: 0,
+        created_by: 'user-1'
+      }));
+    });
+  });
+
+  describe('removeProjectExpense', () => {
+    it('refuses to delete expenses already synced to QuickBooks', async () => {
+      await expect(projectExpenseService.removeProjectExpense({ ...expense, qbo_bill_id: '310' }))
+        .rejects.toThrow('cannot be deleted here');
+      expect(deleteProjectExpense).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncExpenseToQBO', () => {
+    it('creates a bill against the expense account for the mapped customer', async () => {
+      const synced = await projectExpenseService.syncExpenseToQBO(ORG_ID, expense);
+
+      expect(createQBOBill).toHaveBeenCalledWith({
+        VendorRef: { value: '41' },
+        TxnDate: '2026-10-02',
+        PrivateNote: 'Stock photos\nReceipt: https://receipts.example.com/r/1.pdf',
+        Line: [{
+          Amount: 200,
+          Description: 'Stock photos',
+          DetailType: 'AccountBasedExpenseLineDetail',
+          AccountBasedExpenseLineDetail: {
+            AccountRef: { value: '77' },
+            BillableStatus: 'NotBillable',
+            CustomerRef: { value: '58', name: 'Acme' }
+          }
+        }]
+      });
+      expect(updateProjectExpense).toHaveBeenCalledWith('exp-1', {
+        qbo_bill_id: '310',
+        synced_at: expect.any(String)
+      });
+      expect(synced.qbo_bill_id).toBe('310');
+    });
+
+    it('does not create a second bill for a synced expense', async () => {
+      await projectExpenseService.syncExpenseToQBO(ORG_ID, { ...expense, qbo_bill_id: '310' });
+
+      expect(createQBOBill).not.toHaveBeenCalled();
+    });
+
+    it('requires the expense account to be configured', async () => {
+      localStorage.setItem(`qb_config_${ORG_ID}`, JSON.stringify({}));
+
+      await expect(projectExpenseService.syncExpenseToQBO(ORG_ID, expense))
+        .rejects.toThrow('Set the expense account in the QuickBooks configuration before syncing expenses');
+    });
+
+    it('surfaces QuickBooks faults without recording a bill', async () => {
+      createQBOBill.mockResolvedValue({ Fault: { Error: [{ Message: 'Validation', Detail: 'Account is inactive' }] } });
+
+      await expect(projectExpenseService.syncExpenseToQBO(ORG_ID, expense))
+        .rejects.toThrow('Failed to create the bill in QuickBooks: Account is inactive');
+      expect(updateProjectExpense).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rebillExpense', () => {
+    it('creates a sale for the amount plus markup', async () => {
+      await projectExpenseService.rebillExpense(ORG_ID, expense);
+
+      expect(createSale).toHaveBeenCalledWith({
+        organization_id: ORG_ID,
+        customer_id: 'cust-1',
+        project_id: 'proj-1',
+        product_name: 'Expense: Adobe - Stock photos',
+        quantity: 1,
+        unit_price: 230,
+        total_price: 230,
+        date: '2026-10-02'
+      });
+      expect(updateProjectExpense).toHaveBeenCalledWith('exp-1', { rebilled_sale_id: 'sale-9' });
+    });
+
+    it('refuses non-billable and already re-billed expenses', async () => {
+      await expect(projectExpenseService.rebillExpense(ORG_ID, { ...expense, billable: false }))
+        .rejects.toThrow('Only billable expenses can be re-billed');
+      await expect(projectExpenseService.rebillExpense(ORG_ID, { ...expense, rebilled_sale_id: 'sale-1' }))
+        .rejects.toThrow('This expense has already been re-billed');
+      expect(createSale).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateProjectDetailStats', () => {
+    const records = [
+      { fieldData: { _projectID: 'proj-1', Billable_Time_Rounded: '10', Hourly_Rate: '100', f_billed: '0' } },
+      { fieldData: { _projectID: 'proj-2', Billable_Time_Rounded: '5', Hourly_Rate: '100', f_billed: '0' } }
+    ];
+
+    it('counts expenses and re-billed revenue in profitability', () => {
+      expect(calculateExpenseRebillAmount(expense)).toBe(230);
+
+      expect(calculateProjectDetailStats({ id: 'proj-1' }, records, [
+        expense,
+        { amount: 300, billable: false }
+      ])).toEqual(expect.objectContaining({
+        totalHours: '10.0',
+        revenue: 1230,
+        expenseTotal: 500,
+        profit: 730,
+        margin: 59.3
+      }));
+    });
+
+    it('uses the fixed price as labor revenue for fixed-price projects', () => {
+      expect(calculateProjectDetailStats({ id: 'proj-1', f_fixedPrice: true, value: 800 }, records, [
+        { amount: 1000, billable: false }
+      ])).toEqual(expect.objectContaining({ revenue: 800, expenseTotal: 1000, profit: -200, margin: -25 }));
+    });
+  });
+});
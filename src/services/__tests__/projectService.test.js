@@ -11,7 +11,8 @@ import {
     formatProjectForBackend,
     validateProjectData,
     calculateProjectCompletion,
-    groupProjectsByStatus
+    groupProjectsByStatus,
+    isFixedPriceProject
 } from '../projectService';
 
 describe('Project Service', () => {
@@ -366,4 +367,13 @@ describe('Project Service', () => {
             expect(grouped).toEqual({ open: [], closed: [] });
         });
     });
+
+    describe('isFixedPriceProject', () => {
+        it('should detect fixed price in both data formats', () => {
+            expect(isFixedPriceProject({ f_fixedPrice: 1 })).toBe(true);
+            expect(isFixedPriceProject({ is_fixed_price: true })).toBe(true);
+            expect(isFixedPriceProject({ is_fixed_price: false })).toBe(false);
+            expect(isFixedPriceProject(null)).toBe(false);
+        });
+    });
 });
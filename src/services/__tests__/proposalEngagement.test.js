@@ -0,0 +1,238 @@
+/**
+ * Proposal Engagement Tests
+ *
+ * Tests for customer engagement on public proposals covering:
+ * - Device detection
+ * - Timing sections, concepts and deliverables, paused while the page is hidden
+ * - Recording deliverable toggles and sending sessions
+ * - Summarizing sessions into hesitations, a heatmap and a timeline
+ */
+
+jest.mock('../../api/proposals', () => ({
+  recordProposalEngagement: jest.fn()
+}));
+jest.mock('../../api/proposalExtended', () => ({
+  fetchProposalEngagement: jest.fn()
+}));
+
+// Import after mocks
+import * as engagementService from '../proposalEngagementService';
+import { recordProposalEngagement } from '../../api/proposals';
+import { fetchProposalEngagement } from '../../api/proposalExtended';
+
+const { ENGAGEMENT_TARGETS } = engagementService;
+
+const IPHONE_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const CHROME_WINDOWS_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const proposal = {
+  id: 'proposal-1',
+  title: 'Website rebuild',
+  deliverables: [
+    { id: 'deliv-1', title: 'Design' },
+    { id: 'deliv-2', title: 'SEO audit' }
+  ],
+  concepts: [{ id: 'concept-1', title: 'Homepage mockup' }]
+};
+
+const createClock = (start = Date.parse('2026-03-02T15:00:00Z')) => {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => {
+      current += ms;
+    }
+  };
+};
+
+const session = (overrides) => ({
+  session_id: 'session-1',
+  proposal_id: proposal.id,
+  started_at: '2026-03-02T15:00:00.000Z',
+  last_active_at: '2026-03-02T15:05:00.000Z',
+  active_ms: 300000,
+  device: { type: 'desktop', os: 'Windows', browser: 'Chrome' },
+  time: { sections: {}, concepts: {}, deliverables: {} },
+  events: [],
+  ...overrides
+});
+
+describe('Proposal Engagement', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    recordProposalEngagement.mockResolvedValue({ success: true, data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectDevice', () => {
+    it('recognizes phones and desktop browsers', () => {
+      expect(engagementService.detectDevice(IPHONE_AGENT, 390)).toEqual({
+        type: 'mobile', os: 'iOS', browser: 'Safari', viewport_width: 390
+      });
+      expect(engagementService.detectDevice(CHROME_WINDOWS_AGENT, 1440)).toEqual({
+        type: 'desktop', os: 'Windows', browser: 'Chrome', viewport_width: 1440
+      });
+    });
+  });
+
+  describe('createEngagementTracker', () => {
+    it('times open targets and stops counting while the page is hidden', () => {
+      const clock = createClock();
+      const tracker = engagementService.createEngagementTracker({
+        proposalId: proposal.id,
+        userAgent: CHROME_WINDOWS_AGENT,
+        now: clock.now
+      });
+
+      tracker.enter(ENGAGEMENT_TARGETS.SECTION, 'deliverables');
+      tracker.enter(ENGAGEMENT_TARGETS.DELIVERABLE, 'deliv-1');
+      clock.advance(5000);
+      tracker.leave(ENGAGEMENT_TARGETS.DELIVERABLE, 'deliv-1');
+      clock.advance(1000);
+      tracker.pause();
+      clock.advance(60000);
+      tracker.resume();
+      clock.advance(2000);
+
+      const snapshot = tracker.snapshot();
+
+      expect(snapshot.time.deliverables).toEqual({ 'deliv-1': 5000 });
+      expect(snapshot.time.sections).toEqual({ deliverables: 8000 });
+      expect(snapshot.active_ms).toBe(8000);
+      expect(snapshot.device.type).toBe('desktop');
+      expect(snapshot.session_id).toBe(tracker.sessionId);
+    });
+
+    it('records toggles and sends the whole session on flush', async () => {
+      const clock = createClock();
+      const tracker = engagementService.createEngagementTracker({ proposalId: proposal.id, now: clock.now });
+
+      tracker.recordToggle('deliv-2', true);
+      clock.advance(3000);
+      tracker.recordToggle('deliv-2', false);
+
+      await expect(tracker.flush()).resolves.toBe(true);
+
+      expect(recordProposalEngagement).toHaveBeenCalledWith(expect.objectContaining({
+        proposal_id: proposal.id,
+        last_active_at: '2026-03-02T15:00:03.000Z',
+        events: [
+          { type: 'toggle', deliverable_id: 'deliv-2', selected: true, at: '2026-03-02T15:00:00.000Z' },
+          { type: 'toggle', deliverable_id: 'deliv-2', selected: false, at: '2026-03-02T15:00:03.000Z' }
+        ]
+      }));
+    });
+
+    it('never throws when a session can\'t be stored', async () => {
+      recordProposalEngagement.mockRejectedValue(new Error('Network Error'));
+      const tracker = engagementService.createEngagementTracker({ proposalId: proposal.id });
+
+      await expect(tracker.flush()).resolves.toBe(false);
+    });
+  });
+
+  describe('loadProposalEngagement', () => {
+    it('returns sessions oldest first', async () => {
+      fetchProposalEngagement.mockResolvedValue({
+        success: true,
+        data: [
+          session({ session_id: 'later', started_at: '2026-03-03T10:00:00.000Z' }),
+          session({ session_id: 'earlier' })
+        ]
+      });
+
+      const sessions = await engagementService.loadProposalEngagement(proposal.id);
+
+      expect(sessions.map(item => item.session_id)).toEqual(['earlier', 'later']);
+    });
+
+    it('throws when sessions can\'t be loaded', async () => {
+      fetchProposalEngagement.mockResolvedValue({ success: false, error: 'Unauthorized' });
+
+      await expect(engagementService.loadProposalEngagement(proposal.id)).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  describe('summarizeEngagement', () => {
+    const sessions = [
+      session({
+        time: { sections: { deliverables: 40000 }, concepts: { 'concept-1': 10000 }, deliverables: { 'deliv-1': 4000, 'deliv-2': 20000 } },
+        events: [
+          { type: 'toggle', deliverable_id: 'deliv-2', selected: false, at: '2026-03-02T15:01:00.000Z' },
+          { type: 'toggle', deliverable_id: 'deliv-2', selected: true, at: '2026-03-02T15:02:00.000Z' }
+        ]
+      }),
+      session({
+        session_id: 'session-2',
+        started_at: '2026-03-04T09:00:00.000Z',
+        last_active_at: '2026-03-04T09:02:00.000Z',
+        active_ms: 120000,
+        device: { type: 'mobile', os: 'iOS', browser: 'Safari' },
+        time: { sections: { deliverables: 30000 }, concepts: {}, deliverables: { 'deliv-2': 10000, 'deliv-old': 1000 } },
+        events: [
+          { type: 'toggle', deliverable_id: 'deliv-2', selected: false, at: '2026-03-04T09:01:00.000Z' },
+          { type: 'concept_opened', concept_id: 'concept-1', at: '2026-03-04T09:00:30.000Z' }
+        ]
+      })
+    ];
+
+    it('flags deliverables toggled back and forth across visits', () => {
+      const summary = engagementService.summarizeEngagement(sessions, proposal);
+
+      expect(summary.totals).toEqual(expect.objectContaining({
+        sessions: 2,
+        activeMs: 420000,
+        toggles: 3,
+        lastViewedAt: '2026-03-04T09:02:00.000Z',
+        devices: { desktop: 1, mobile: 1 }
+      }));
+      expect(summary.hesitations).toEqual([expect.objectContaining({
+        id: 'deliv-2',
+        title: 'SEO audit',
+        timeMs: 30000,
+        toggles: 3,
+        toggledOff: 2,
+        visitsToggled: 2,
+        lastSelected: false
+      })]);
+      expect(summary.deliverables.map(item => item.title)).toEqual(['Design', 'SEO audit', 'Removed deliverable']);
+    });
+
+    it('builds a deliverable-by-visit heatmap scaled to the busiest cell', () => {
+      const { heatmap } = engagementService.summarizeEngagement(sessions, proposal);
+
+      expect(heatmap.sessions.map(item => item.label)).toEqual(['Visit 1', 'Visit 2']);
+      expect(heatmap.rows[1].cells).toEqual([
+        { timeMs: 20000, toggles: 2, intensity: 1 },
+        { timeMs: 10000, toggles: 1, intensity: 0.5 }
+      ]);
+      expect(heatmap.rows[0].cells[1]).toEqual({ timeMs: 0, toggles: 0, intensity: 0 });
+    });
+
+    it('orders each visit\'s events into a timeline with titles', () => {
+      const { timeline, sections, concepts } = engagementService.summarizeEngagement(sessions, proposal);
+
+      expect(timeline[1].events.map(event => [event.type, event.title])).toEqual([
+        ['concept_opened', 'Homepage mockup'],
+        ['toggle', 'SEO audit']
+      ]);
+      expect(sections).toEqual([{ id: 'deliverables', label: 'Project Deliverables', timeMs: 70000, intensity: 1 }]);
+      expect(concepts[0]).toEqual(expect.objectContaining({ label: 'Homepage mockup', timeMs: 10000 }));
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('formats seconds, minutes and hours', () => {
+      expect(engagementService.formatDuration(45000)).toBe('45s');
+      expect(engagementService.formatDuration(200000)).toBe('3m 20s');
+      expect(engagementService.formatDuration(3900000)).toBe('1h 5m');
+    });
+  });
+});
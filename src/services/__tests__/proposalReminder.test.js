@@ -0,0 +1,299 @@
+/**
+ * Proposal Reminder Tests
+ *
+ * Tests for proposal reminders and expiry covering:
+ * - Cleaning up reminder cadences
+ * - Planning due reminders per cadence step, pause and resend
+ * - Running the job against an in-memory store and a local outbox
+ * - Saving reminder settings and showing the next reminder
+ */
+
+jest.mock('../../api/proposals', () => ({
+  updateProposalReminderSettings: jest.fn()
+}));
+jest.mock('../../api/proposalExtended', () => ({
+  fetchProposalReminders: jest.fn()
+}));
+jest.mock('../mailjetService', () => ({
+  sendEmailWithAttachment: jest.fn(),
+  createHtmlEmailTemplate: jest.fn(({ title, mainText, buttonUrl }) => `<h1>${title}</h1>${mainText}<a href="${buttonUrl}">Review</a>`)
+}));
+
+// Import after mocks
+import * as reminderService from '../proposalReminderService';
+import { updateProposalReminderSettings } from '../../api/proposals';
+import { fetchProposalReminders } from '../../api/proposalExtended';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const SENT_AT = '2026-03-02T09:00:00.000Z';
+
+const proposal = (overrides) => ({
+  id: 'proposal-1',
+  title: 'Website rebuild',
+  status: 'sent',
+  access_token: 'token-1',
+  sent_at: SENT_AT,
+  expires_at: '2026-04-01T09:00:00.000Z',
+  reminder_cadence: [3, 7, 14],
+  reminders_paused: false,
+  customer_email: 'jane@example.com',
+  customer_name: 'Jane Doe',
+  ...overrides
+});
+
+const sentReminder = (cadenceDay, overrides) => ({
+  proposal_id: 'proposal-1',
+  cycle_started_at: SENT_AT,
+  cadence_day: cadenceDay,
+  status: 'sent',
+  ...overrides
+});
+
+const createStore = (proposals, reminders = []) => {
+  const store = {
+    proposals,
+    reminders: [...reminders],
+    expired: [],
+    listOpenProposals: jest.fn(async () => store.proposals),
+    listReminders: jest.fn(async (ids) => store.reminders.filter(item => ids.includes(item.proposal_id))),
+    logReminder: jest.fn(async (entry) => {
+      store.reminders.push(entry);
+    }),
+    expireProposal: jest.fn(async (proposalId, expiredAt) => {
+      store.expired.push({ proposalId, expiredAt });
+    })
+  };
+  return store;
+};
+
+// Local mail stand-in, as used by the scheduled script
+const createOutbox = () => {
+  const messages = [];
+  const send = jest.fn(async (message) => {
+    messages.push(message);
+    return { success: true };
+  });
+  return { messages, send };
+};
+
+describe('Proposal Reminders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeReminderCadence', () => {
+    it('sorts and de-duplicates days from a list or text', () => {
+      expect(reminderService.normalizeReminderCadence('14, 3,7, 3')).toEqual([3, 7, 14]);
+      expect(reminderService.normalizeReminderCadence([10, '2'])).toEqual([2, 10]);
+      expect(reminderService.normalizeReminderCadence('')).toEqual([]);
+    });
+
+    it('rejects days that aren\'t whole numbers in range', () => {
+      expect(() => reminderService.normalizeReminderCadence('3, 2.5')).toThrow('whole numbers');
+      expect(() => reminderService.normalizeReminderCadence([0])).toThrow('whole numbers');
+      expect(() => reminderService.normalizeReminderCadence('soon')).toThrow('whole numbers');
+    });
+  });
+
+  describe('planProposalReminders', () => {
+    it('sends only the latest due step not yet sent in this cycle', () => {
+      // 8 days after sending: days 3 and 7 are due, day 3 already went out
+      const plan = reminderService.planProposalReminders({
+        proposals: [proposal()],
+        reminders: [sentReminder(3)],
+        now: NOW
+      });
+
+      expect(plan.reminders).toEqual([expect.objectContaining({
+        cadenceDay: 7,
+        stage: 'unviewed',
+        daysUntilExpiry: 22
+      })]);
+    });
+
+    it('skips steps missed while the job wasn\'t running', () => {
+      const plan = reminderService.planProposalReminders({ proposals: [proposal()], now: NOW });
+
+      expect(plan.reminders.map(item => item.cadenceDay)).toEqual([7]);
+    });
+
+    it('reminds opened proposals that haven\'t been signed', () => {
+      const plan = reminderService.planProposalReminders({
+        proposals: [proposal({ status: 'viewed' })],
+        now: NOW
+      });
+
+      expect(plan.reminders[0].stage).toBe('unsigned');
+    });
+
+    it('starts a new cycle when the proposal is sent again', () => {
+      const plan = reminderService.planProposalReminders({
+        proposals: [proposal({ sent_at: '2026-03-06T09:00:00.000Z' })],
+        reminders: [sentReminder(3), sentReminder(7)],
+        now: NOW
+      });
+
+      expect(plan.reminders.map(item => item.cadenceDay)).toEqual([3]);
+    });
+
+    it('expires proposals past their date and skips paused ones', () => {
+      const plan = reminderService.planProposalReminders({
+        proposals: [
+          proposal({ id: 'expired', expires_at: '2026-03-09T00:00:00.000Z' }),
+          proposal({ id: 'paused', reminders_paused: true }),
+          proposal({ id: 'approved', status: 'approved' }),
+          proposal({ id: 'no-reminders', reminder_cadence: [] })
+        ],
+        now: NOW
+      });
+
+      expect(plan.expirations.map(item => item.id)).toEqual(['expired']);
+      expect(plan.skipped).toEqual([expect.objectContaining({ reason: 'paused' })]);
+      expect(plan.reminders).toEqual([]);
+    });
+  });
+
+  describe('runProposalReminderJob', () => {
+    it('emails due reminders to the outbox, logs them and expires old proposals', async () => {
+      const store = createStore([
+        proposal(),
+        proposal({ id: 'proposal-2', expires_at: '2026-03-10T00:00:00.000Z' })
+      ]);
+      const outbox = createOutbox();
+
+      const results = await reminderService.runProposalReminderJob({
+        store,
+        sendEmail: outbox.send,
+        baseUrl: 'http://localhost:5173',
+        now: NOW
+      });
+
+      expect(results.expired).toEqual(['proposal-2']);
+      expect(store.expired).toEqual([{ proposalId: 'proposal-2', expiredAt: NOW.toISOString() }]);
+      expect(outbox.messages).toHaveLength(1);
+      expect(outbox.messages[0]).toEqual(expect.objectContaining({
+        to: 'jane@example.com',
+        toName: 'Jane Doe',
+        subject: 'Reminder: Project Proposal - Website rebuild'
+      }));
+      expect(outbox.messages[0].html).toContain('http://localhost:5173/proposal/view/token-1');
+      expect(outbox.messages[0].html).toContain('22 days');
+      expect(store.reminders).toEqual([expect.objectContaining({
+        proposal_id: 'proposal-1',
+        cadence_day: 7,
+        stage: 'unviewed',
+        status: 'sent',
+        recipient_email: 'jane@example.com'
+      })]);
+    });
+
+    it('sends nothing new when run again within the same step', async () => {
+      const store = createStore([proposal()]);
+      const outbox = createOutbox();
+      const options = { store, sendEmail: outbox.send, baseUrl: 'http://localhost:5173', now: NOW };
+
+      await reminderService.runProposalReminderJob(options);
+      const secondRun = await reminderService.runProposalReminderJob(options);
+
+      expect(secondRun.sent).toEqual([]);
+      expect(outbox.messages).toHaveLength(1);
+    });
+
+    it('logs failed emails and retries them on the next run', async () => {
+      const store = createStore([proposal()]);
+      const send = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: 'Mailbox unavailable' })
+        .mockResolvedValueOnce({ success: true });
+      const options = { store, sendEmail: send, baseUrl: 'http://localhost:5173', now: NOW };
+
+      const firstRun = await reminderService.runProposalReminderJob(options);
+      const secondRun = await reminderService.runProposalReminderJob(options);
+
+      expect(firstRun.failed).toEqual([{ proposalId: 'proposal-1', error: 'Mailbox unavailable' }]);
+      expect(secondRun.sent).toHaveLength(1);
+      expect(store.reminders.map(item => item.status)).toEqual(['failed', 'sent']);
+    });
+
+    it('changes nothing on a dry run and skips proposals without an email', async () => {
+      const store = createStore([
+        proposal(),
+        proposal({ id: 'proposal-2', customer_email: null }),
+        proposal({ id: 'proposal-3', expires_at: '2026-03-01T00:00:00.000Z' })
+      ]);
+      const outbox = createOutbox();
+
+      const results = await reminderService.runProposalReminderJob({
+        store,
+        sendEmail: outbox.send,
+        baseUrl: 'http://localhost:5173',
+        now: NOW,
+        dryRun: true
+      });
+
+      expect(results.sent.map(item => item.proposal_id)).toEqual(['proposal-1']);
+      expect(results.expired).toEqual(['proposal-3']);
+      expect(results.skipped).toEqual([{ proposalId: 'proposal-2', reason: 'no customer email' }]);
+      expect(outbox.send).not.toHaveBeenCalled();
+      expect(store.logReminder).not.toHaveBeenCalled();
+      expect(store.expireProposal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reminder settings and log', () => {
+    it('saves a cleaned-up cadence, pause state and expiry date', async () => {
+      updateProposalReminderSettings.mockResolvedValue({ success: true, data: { id: 'proposal-1' } });
+
+      await reminderService.saveProposalReminderSettings('proposal-1', {
+        cadence: '7, 2',
+        paused: true,
+        expiresAt: '2026-04-15'
+      });
+
+      expect(updateProposalReminderSettings).toHaveBeenCalledWith('proposal-1', {
+        reminderCadence: [2, 7],
+        remindersPaused: true,
+        expiresAt: '2026-04-15T00:00:00.000Z'
+      });
+    });
+
+    it('throws when settings can\'t be saved', async () => {
+      updateProposalReminderSettings.mockResolvedValue({ success: false, error: 'Proposal not found' });
+
+      await expect(reminderService.saveProposalReminderSettings('proposal-1', { paused: false }))
+        .rejects.toThrow('Proposal not found');
+    });
+
+    it('loads the reminder log newest first', async () => {
+      fetchProposalReminders.mockResolvedValue({
+        success: true,
+        data: [
+          sentReminder(3, { sent_at: '2026-03-05T12:00:00.000Z' }),
+          sentReminder(7, { sent_at: '2026-03-09T12:00:00.000Z' })
+        ]
+      });
+
+      const reminders = await reminderService.loadProposalReminders('proposal-1');
+
+      expect(reminders.map(item => item.cadence_day)).toEqual([7, 3]);
+    });
+
+    it('shows the next step, or none when paused or past expiry', () => {
+      expect(reminderService.getNextReminder(proposal(), [sentReminder(3)])).toEqual({
+        cadenceDay: 7,
+        dueAt: '2026-03-09T09:00:00.000Z'
+      });
+      expect(reminderService.getNextReminder(proposal({ reminders_paused: true }), [])).toBeNull();
+      expect(reminderService.getNextReminder(
+        proposal({ expires_at: '2026-03-12T00:00:00.000Z' }),
+        [sentReminder(3), sentReminder(7)]
+      )).toBeNull();
+    });
+  });
+});
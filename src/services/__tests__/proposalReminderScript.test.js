@@ -0,0 +1,31 @@
+/**
+ * Proposal Reminder Script Tests
+ *
+ * Tests for scripts/send-proposal-reminders.js covering:
+ * - Loading the script's whole import graph with plain Node, outside the bundler
+ */
+
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+
+const SCRIPT_PATH = path.resolve(__dirname, '../../../scripts/send-proposal-reminders.js');
+
+describe('send-proposal-reminders script', () => {
+  it('loads its modules under Node and stops at the missing service role key', () => {
+    // Run from outside the repo and without the key, so no .env is read and nothing is contacted
+    const env = { ...process.env };
+    delete env.VITE_SUPABASE_SERVICE_ROLE_KEY;
+
+    const result = spawnSync(process.execPath, [SCRIPT_PATH, '--dry-run'], {
+      cwd: os.tmpdir(),
+      env,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    expect(result.stderr).not.toContain('ERR_MODULE_NOT_FOUND');
+    expect(result.stderr).toContain('VITE_SUPABASE_SERVICE_ROLE_KEY environment variable is required');
+    expect(result.status).toBe(1);
+  }, 30000);
+});
@@ -0,0 +1,196 @@
+/**
+ * Proposal Signature Tests
+ *
+ * Tests for e-signatures on public proposal approval covering:
+ * - Validating typed and drawn signatures, signer details and consent
+ * - Building the signature record
+ * - Sealing the record into a PDF certificate and verifying its hash
+ * - Storing the certificate and emailing it to both parties once the stored record verifies
+ */
+
+jest.mock('../../api/proposals', () => ({
+  recordSignatureCertificate: jest.fn()
+}));
+jest.mock('../proposalEmailService', () => ({
+  ProposalEmailService: {
+    sendSignatureCertificateEmail: jest.fn()
+  }
+}));
+
+// Import after mocks
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { PDFDocument } from 'pdf-lib';
+import * as signatureService from '../proposalSignatureService';
+import { ProposalSecurityService } from '../proposalSecurityService';
+import { recordSignatureCertificate } from '../../api/proposals';
+import { ProposalEmailService } from '../proposalEmailService';
+
+// jsdom doesn't provide SubtleCrypto or TextEncoder; Node's encoder returns arrays
+// from outside the test realm, which pdf-lib's instanceof checks reject
+Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+global.TextEncoder = class extends TextEncoder {
+  encode(input) {
+    return Uint8Array.from(super.encode(input));
+  }
+};
+
+const { SIGNATURE_METHODS, BUSINESS_SIGNATURE_EMAIL } = signatureService;
+
+const PNG_SIGNATURE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const proposal = {
+  id: '550e8400-e29b-41d4-a716-446655440000',
+  title: 'Website rebuild',
+  access_token: 'token'
+};
+
+const deliverables = [
+  { id: 'deliv-1', title: 'Design', type: 'fixed', price: 2500 },
+  { id: 'deliv-2', title: 'Hosting', type: 'subscription', price: 50 }
+];
+
+const typedSignature = {
+  signerName: ' Jane Doe ',
+  signerTitle: 'CEO',
+  signerEmail: 'Jane@Example.com',
+  method: SIGNATURE_METHODS.TYPED,
+  typedName: 'Jane Doe',
+  consented: true
+};
+
+const buildRecord = (signature = typedSignature) => signatureService.buildSignatureRecord({
+  proposal,
+  deliverables,
+  totalPrice: 2550,
+  signature,
+  userAgent: 'Mozilla/5.0 (Test)',
+  signedAt: new Date('2026-03-02T15:30:00Z')
+});
+
+describe('Proposal Signatures', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    recordSignatureCertificate.mockImplementation(async ({ record }) => ({ success: true, data: { id: 'sig-1', record } }));
+    ProposalEmailService.sendSignatureCertificateEmail.mockResolvedValue({ success: true, data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateSignature', () => {
+    it('accepts a complete typed signature', () => {
+      expect(signatureService.validateSignature(typedSignature)).toEqual([]);
+    });
+
+    it('requires signer details, a signature and consent', () => {
+      expect(signatureService.validateSignature({
+        signerName: '',
+        signerEmail: 'not-an-email',
+        method: SIGNATURE_METHODS.DRAWN,
+        image: null,
+        consented: false
+      })).toEqual([
+        'Your full name is required',
+        'A valid email address is required',
+        'Draw your signature to sign',
+        'You must agree to sign electronically'
+      ]);
+    });
+  });
+
+  describe('buildSignatureRecord', () => {
+    it('records the signer, consent, browser and approved lines', () => {
+      const record = buildRecord();
+
+      expect(record.signer).toEqual({ name: 'Jane Doe', title: 'CEO', email: 'jane@example.com' });
+      expect(record.signature).toEqual({ method: 'typed', typed_name: 'Jane Doe' });
+      expect(record.consent_text).toBe(signatureService.SIGNATURE_CONSENT_TEXT);
+      expect(record.user_agent).toBe('Mozilla/5.0 (Test)');
+      expect(record.signed_at).toBe('2026-03-02T15:30:00.000Z');
+      expect(record.ip_address).toBeNull();
+      expect(record.deliverables).toHaveLength(2);
+      expect(record.total_price).toBe(2550);
+    });
+  });
+
+  describe('generateSignatureCertificatePdf', () => {
+    it('prints the seal and attaches the record', async () => {
+      const record = buildRecord({ ...typedSignature, method: SIGNATURE_METHODS.DRAWN, image: PNG_SIGNATURE });
+      const dataHash = await ProposalSecurityService.generateDataHash(record);
+
+      const certificate = await signatureService.generateSignatureCertificatePdf(record, dataHash);
+
+      const pdf = await PDFDocument.load(certificate.bytes);
+      expect(pdf.getSubject()).toBe(`SHA-256 ${dataHash}`);
+      expect(certificate.fileName).toBe(`signature-certificate-${proposal.id}.pdf`);
+      expect(atob(certificate.base64).slice(0, 5)).toBe('%PDF-');
+    });
+  });
+
+  describe('completeSignatureCertificate', () => {
+    it('seals the record with the server-observed IP, verifies and emails both parties', async () => {
+      const record = buildRecord();
+
+      const result = await signatureService.completeSignatureCertificate({
+        proposal,
+        record,
+        acceptance: { signature: { ip_address: '203.0.113.7' } }
+      });
+
+      expect(result.record.ip_address).toBe('203.0.113.7');
+      await expect(ProposalSecurityService.verifyDataIntegrity(result.record, result.dataHash)).resolves.toBe(true);
+      expect(result.verified).toBe(true);
+      expect(recordSignatureCertificate).toHaveBeenCalledWith(expect.objectContaining({
+        proposalId: proposal.id,
+        dataHash: result.dataHash
+      }));
+      expect(ProposalEmailService.sendSignatureCertificateEmail.mock.calls.map(call => call[1]))
+        .toEqual(['jane@example.com', BUSINESS_SIGNATURE_EMAIL]);
+      expect(result.emailed).toEqual({ signer: true, business: true });
+      expect(result.errors).toEqual([]);
+    });
+
+    it('flags a stored record that no longer matches its seal', async () => {
+      recordSignatureCertificate.mockImplementation(async ({ record }) => ({
+        success: true,
+        data: { record: { ...record, total_price: 1 } }
+      }));
+
+      const result = await signatureService.completeSignatureCertificate({ proposal, record: buildRecord() });
+
+      expect(result.verified).toBe(false);
+      expect(result.errors).toEqual(['The stored signature record does not match its seal']);
+      expect(ProposalEmailService.sendSignatureCertificateEmail).not.toHaveBeenCalled();
+      expect(result.emailed).toEqual({ signer: false, business: false });
+    });
+
+    it('does not email a certificate that was not stored', async () => {
+      recordSignatureCertificate.mockResolvedValue({ success: false, error: 'Backend unavailable' });
+
+      const result = await signatureService.completeSignatureCertificate({ proposal, record: buildRecord() });
+
+      expect(result.verified).toBe(false);
+      expect(result.errors).toEqual(['Certificate was not stored: Backend unavailable']);
+      expect(ProposalEmailService.sendSignatureCertificateEmail).not.toHaveBeenCalled();
+    });
+
+    it('reports email failures without throwing', async () => {
+      ProposalEmailService.sendSignatureCertificateEmail
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'Mail is down' });
+
+      const result = await signatureService.completeSignatureCertificate({ proposal, record: buildRecord() });
+
+      expect(result.emailed).toEqual({ signer: true, business: false });
+      expect(result.errors).toEqual([
+        `Certificate email to ${BUSINESS_SIGNATURE_EMAIL} failed: Mail is down`
+      ]);
+    });
+  });
+});
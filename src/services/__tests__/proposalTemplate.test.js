@@ -0,0 +1,338 @@
+/**
+ * Proposal Template Tests
+ *
+ * Tests for organization proposal templates covering:
+ * - Filling in {{variables}}
+ * - Validating templates
+ * - Instantiating deliverable bundles from the product catalog
+ * - Creating a proposal from a template and saving a proposal as a template
+ */
+
+jest.mock('../supabaseService', () => ({
+  query: jest.fn(),
+  insert: jest.fn(),
+  update: jest.fn(),
+  remove: jest.fn()
+}));
+jest.mock('../../api/proposalTemplates', () => ({
+  fetchProposalTemplates: jest.fn(),
+  createProposalTemplate: jest.fn(),
+  updateProposalTemplate: jest.fn(),
+  deleteProposalTemplate: jest.fn()
+}));
+jest.mock('../../api/proposals', () => ({
+  createProposal: jest.fn(),
+  addProposalConcept: jest.fn()
+}));
+jest.mock('../../api/proposalExtended', () => ({
+  fetchProposalDeliverables: jest.fn(),
+  createProposalDeliverable: jest.fn(),
+  createProposalRequirement: jest.fn(),
+  createCompletePackage: jest.fn(),
+  fetchCompleteProposalData: jest.fn()
+}));
+
+// Import after mocks
+import * as templateService from '../proposalTemplateService';
+import { createProposalTemplate, updateProposalTemplate } from '../../api/proposalTemplates';
+import { createProposal, addProposalConcept } from '../../api/proposals';
+import {
+  fetchProposalDeliverables,
+  createProposalDeliverable,
+  createProposalRequirement,
+  createCompletePackage,
+  fetchCompleteProposalData
+} from '../../api/proposalExtended';
+
+// jsdom doesn't provide crypto.randomUUID
+let uuidCount = 0;
+global.crypto.randomUUID = () => `uuid-${++uuidCount}`;
+
+const products = [
+  {
+    id: 'product-site',
+    name: 'Website Build',
+    description: 'Five page marketing site',
+    price: '4500',
+    metadata: {
+      requirements: [{
+        id: 'req-1',
+        name: 'Brand assets',
+        type: 'form',
+        fields: [{ id: 'f1', key: 'logo', label: 'Logo files', type: 'text' }, { id: 'f2', key: 'fonts', label: 'Brand fonts', type: 'text' }]
+      }]
+    }
+  },
+  {
+    id: 'product-hosting',
+    name: 'Managed Hosting',
+    description: 'Hosting and updates',
+    price: 99,
+    is_subscription: true,
+    subscription_frequency: 'monthly'
+  }
+];
+
+const template = {
+  id: 'template-1',
+  name: 'Website package',
+  title: 'Website for {{customer.name}}',
+  intro: 'Hi {{customer.contact}}, here is our plan for {{project.name}}.',
+  concepts: [{ title: 'Homepage for {{customer.name}}', description: 'Mockup to follow' }],
+  deliverables: [
+    { key: 'site', product_id: 'product-site', title: '', description: '', price: null, is_required: true },
+    { key: 'hosting', product_id: 'product-hosting', title: '', description: '', price: 79 },
+    { key: 'training', product_id: null, title: 'Editor training', description: 'One session', price: 300 }
+  ],
+  requirements: [{ key: 'access', title: 'Domain access', description: 'DNS login', category: 'access', priority: 'high' }],
+  packages: [{
+    name: 'Launch',
+    description: 'Site and hosting',
+    discount_percentage: 10,
+    is_featured: true,
+    deliverable_keys: ['site', 'hosting'],
+    requirement_keys: ['access']
+  }]
+};
+
+const variables = templateService.buildTemplateVariables({
+  customerName: 'Acme Co',
+  customerContact: 'Jane',
+  projectName: 'Acme Website',
+  now: new Date('2026-03-02T12:00:00Z')
+});
+
+describe('Proposal Templates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('renderTemplateText', () => {
+    it('fills in variables and leaves unknown ones as written', () => {
+      expect(templateService.renderTemplateText('Website for {{ customer.name }} ({{project.name}})', variables))
+        .toBe('Website for Acme Co (Acme Website)');
+      expect(templateService.renderTemplateText('Hi {{customer.nickname}}', variables)).toBe('Hi {{customer.nickname}}');
+      expect(templateService.renderTemplateText('Expires {{proposal.expires_on}}', variables))
+        .toBe(`Expires ${new Date('2026-04-01T12:00:00Z').toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })}`);
+    });
+  });
+
+  describe('validateProposalTemplate', () => {
+    it('accepts a complete template', () => {
+      expect(templateService.validateProposalTemplate(template)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('reports missing names, unknown package keys and unknown variables', () => {
+      const result = templateService.validateProposalTemplate({
+        name: ' ',
+        title: 'For {{client.name}}',
+        deliverables: [{ key: 'site', product_id: null, title: '' }],
+        packages: [{ name: 'Launch', deliverable_keys: ['site', 'seo'] }]
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Template name is required',
+        'Deliverable 1: Choose a product or enter a title',
+        'Package 1: Unknown deliverable \'seo\'',
+        'Unknown variable {{client.name}}'
+      ]);
+    });
+  });
+
+  describe('instantiateProposalTemplate', () => {
+    it('builds deliverables from catalog products with template overrides', () => {
+      const content = templateService.instantiateProposalTemplate(template, { products, variables });
+
+      expect(content.title).toBe('Website for Acme Co');
+      expect(content.description).toBe('Hi Jane, here is our plan for Acme Website.');
+      expect(content.deliverables.map(item => [item.title, item.price, item.type, item.product_id])).toEqual([
+        ['Website Build', 4500, 'fixed', 'product-site'],
+        ['Managed Hosting', 79, 'subscription', 'product-hosting'],
+        ['Editor training', 300, 'fixed', null]
+      ]);
+      expect(content.deliverables[0]).toEqual(expect.objectContaining({
+        is_required: true,
+        template_key: 'site',
+        product_snapshot: expect.objectContaining({ name: 'Website Build', price: 4500 })
+      }));
+      expect(content.concepts[0]).toEqual(expect.objectContaining({ title: 'Homepage for Acme Co', type: 'placeholder', url: '' }));
+    });
+
+    it('adds the requirements bundled products ask for', () => {
+      const content = templateService.instantiateProposalTemplate(template, { products, variables });
+
+      expect(content.requirements.map(item => [item.title, item.description])).toEqual([
+        ['Domain access', 'DNS login'],
+        ['Brand assets', 'Logo files, Brand fonts']
+      ]);
+      expect(templateService.instantiateProposalTemplate(
+        { ...template, include_product_requirements: false },
+        { products, variables }
+      ).requirements).toHaveLength(1);
+    });
+
+    it('reports products that are no longer in the catalog', () => {
+      const content = templateService.instantiateProposalTemplate(template, { products: [products[0]], variables });
+
+      expect(content.missingProducts).toEqual(['product-hosting']);
+      expect(content.deliverables.map(item => item.template_key)).toEqual(['site', 'training']);
+    });
+  });
+
+  describe('createProposalFromTemplate', () => {
+    it('saves the proposal with its deliverables, requirements, concepts and packages', async () => {
+      createProposal.mockResolvedValue({ success: true, data: { id: 'proposal-1', title: 'Website for Acme Co' } });
+      let nextId = 0;
+      const created = () => Promise.resolve({ success: true, data: { id: `db-${++nextId}` } });
+      createProposalDeliverable.mockImplementation(created);
+      createProposalRequirement.mockImplementation(created);
+      addProposalConcept.mockImplementation(created);
+      createCompletePackage.mockResolvedValue({ success: true, data: { id: 'package-1', name: 'Launch' } });
+
+      const { proposal, warnings } = await templateService.createProposalFromTemplate({
+        template,
+        project: { id: 'project-1', customer_id: 'customer-1' },
+        products,
+        variables
+      });
+
+      expect(createProposal).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Website for Acme Co',
+        projectId: 'project-1',
+        customerId: 'customer-1',
+        totalPrice: 4879
+      }));
+      expect(createProposalDeliverable).toHaveBeenCalledTimes(3);
+      expect(createProposalDeliverable.mock.calls[1][0]).toEqual(expect.objectContaining({
+        proposal_id: 'proposal-1',
+        product_id: 'product-hosting',
+        sort_order: 1
+      }));
+      // Package keys resolve to the IDs the deliverables and requirement were saved with
+      expect(createCompletePackage).toHaveBeenCalledWith(
+        'proposal-1',
+        expect.objectContaining({ name: 'Launch', discount_percentage: 10, is_featured: true }),
+        ['db-1', 'db-2'],
+        ['db-4']
+      );
+      expect(warnings).toEqual([]);
+      expect(proposal).toEqual(expect.objectContaining({ id: 'proposal-1', packages: [{ id: 'package-1', name: 'Launch' }] }));
+      expect(proposal.deliverables).toHaveLength(3);
+      expect(proposal.requirements).toHaveLength(2);
+    });
+
+    it('keeps the proposal and warns when part of it can\'t be saved', async () => {
+      createProposal.mockResolvedValue({ success: true, data: { id: 'proposal-1' } });
+      createProposalDeliverable.mockResolvedValue({ success: true, data: { id: 'db-deliverable' } });
+      createProposalRequirement.mockResolvedValue({ success: false, error: 'Validation error' });
+      addProposalConcept.mockResolvedValue({ success: true, data: { id: 'db-concept' } });
+      createCompletePackage.mockResolvedValue({ success: true, data: { id: 'package-1' } });
+
+      const { warnings } = await templateService.createProposalFromTemplate({
+        template,
+        project: { id: 'project-1', _custID: 'customer-1' },
+        products,
+        variables
+      });
+
+      expect(warnings).toEqual([
+        'Requirement "Domain access" wasn\'t added: Validation error',
+        'Requirement "Brand assets" wasn\'t added: Validation error'
+      ]);
+      expect(createCompletePackage.mock.calls[0][3]).toEqual([]);
+    });
+
+    it('throws when the proposal itself can\'t be created', async () => {
+      createProposal.mockResolvedValue({ success: false, error: 'Unauthorized' });
+
+      await expect(templateService.createProposalFromTemplate({
+        template,
+        project: { id: 'project-1' },
+        products,
+        variables
+      })).rejects.toThrow('Unauthorized');
+      expect(createProposalDeliverable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saving templates', () => {
+    it('turns a saved proposal back into a template with variables', async () => {
+      fetchProposalDeliverables.mockResolvedValue({
+        success: true,
+        data: [
+          { id: 'd2', title: 'Extra pages', price: '800', type: 'fixed', sort_order: 1 },
+          {
+            id: 'd1',
+            product_id: 'product-site',
+            product_snapshot: { name: 'Website Build', description: 'Five page marketing site', price: 4500 },
+            title: 'Website Build',
+            description: 'Five page marketing site for Acme Co',
+            price: '4500.00',
+            type: 'fixed',
+            sort_order: 0
+          }
+        ]
+      });
+      fetchCompleteProposalData.mockResolvedValue({
+        success: true,
+        data: {
+          requirements: [{ id: 'r1', title: 'Acme Co logo', category: 'assets', is_required: true }],
+          packages: [{ id: 'p1', name: 'Full', deliverables: [{ id: 'd1' }, { id: 'd2' }], requirements: [{ id: 'r1' }] }]
+        }
+      });
+      createProposalTemplate.mockImplementation(async row => ({ id: 'template-2', ...row }));
+
+      await templateService.saveProposalAsTemplate({
+        organizationId: 'org-1',
+        name: 'Website starter',
+        proposal: { id: 'proposal-1', title: 'Website for Acme Co', description: 'Plan for Acme Website', concepts: [] },
+        variables,
+        userId: 'user-1'
+      });
+
+      const saved = createProposalTemplate.mock.calls[0][0];
+      expect(saved).toEqual(expect.objectContaining({
+        organization_id: 'org-1',
+        created_by: 'user-1',
+        name: 'Website starter',
+        title: 'Website for {{customer.name}}',
+        intro: 'Plan for {{project.name}}',
+        include_product_requirements: false
+      }));
+      expect(saved.deliverables).toEqual([
+        expect.objectContaining({
+          key: 'deliverable-1',
+          product_id: 'product-site',
+          title: '',
+          description: 'Five page marketing site for {{customer.name}}',
+          price: null
+        }),
+        expect.objectContaining({ key: 'deliverable-2', product_id: null, title: 'Extra pages', price: 800 })
+      ]);
+      expect(saved.requirements[0].title).toBe('{{customer.name}} logo');
+      expect(saved.packages[0]).toEqual(expect.objectContaining({
+        deliverable_keys: ['deliverable-1', 'deliverable-2'],
+        requirement_keys: ['requirement-1']
+      }));
+    });
+
+    it('updates an existing template and rejects invalid ones', async () => {
+      updateProposalTemplate.mockResolvedValue({ id: 'template-1' });
+
+      await templateService.saveProposalTemplate({ organizationId: 'org-1', template });
+      expect(updateProposalTemplate).toHaveBeenCalledWith('template-1', expect.objectContaining({ name: 'Website package' }));
+
+      await expect(templateService.saveProposalTemplate({ organizationId: 'org-1', template: { ...template, name: '' } }))
+        .rejects.toThrow('Template name is required');
+      await expect(templateService.saveProposalTemplate({ template })).rejects.toThrow('Organization is required');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Proposal Version Tests
+ *
+ * Tests for immutable proposal versions covering:
+ * - Snapshots of concepts, deliverables, packages, requirements and pricing
+ * - Hash anchoring, including nested fields, and verification
+ * - Numbering versions and skipping unchanged resends
+ * - Sending: version, status and email
+ * - Diffs between versions
+ */
+
+jest.mock('../../api/proposalExtended', () => ({
+  fetchProposalVersions: jest.fn(),
+  createProposalVersion: jest.fn()
+}));
+jest.mock('../../api/proposals', () => ({
+  updateProposalStatus: jest.fn()
+}));
+jest.mock('../proposalEmailService', () => ({
+  ProposalEmailService: {
+    sendProposalEmail: jest.fn()
+  }
+}));
+
+// Import after mocks
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import * as versionService from '../proposalVersionService';
+import { ProposalSecurityService } from '../proposalSecurityService';
+import { fetchProposalVersions, createProposalVersion } from '../../api/proposalExtended';
+import { updateProposalStatus } from '../../api/proposals';
+import { ProposalEmailService } from '../proposalEmailService';
+
+// jsdom doesn't provide SubtleCrypto or TextEncoder
+Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+global.TextEncoder = TextEncoder;
+
+const PROPOSAL_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+const draft = {
+  title: 'Website rebuild',
+  description: 'New marketing site',
+  concepts: [{ id: 'concept-1', title: 'Homepage mockup', type: 'mockup', url: 'https://example.com/home.png', thumbnailUrl: 'x' }],
+  deliverables: [
+    { id: 'local-1', dbId: 'deliv-1', title: 'Design', type: 'fixed', price: '2500', order: 0 },
+    { id: 'deliv-2', title: 'Support', type: 'hourly', price: 120, estimated_time: 10, order: 1 },
+    { id: 'deliv-3', title: 'Hosting', type: 'subscription', price: 50, billing_interval: 'monthly', order: 2 }
+  ],
+  packages: [{ id: 'pkg-1', name: 'Essentials', final_price: 2620, deliverable_ids: ['deliv-2', 'deliv-1'] }],
+  requirements: [{ id: 'req-1', title: 'Logo files', category: 'assets' }]
+};
+
+describe('Proposal Versions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    createProposalVersion.mockImplementation(async (version) => ({ success: true, data: { id: 'version-new', ...version } }));
+    updateProposalStatus.mockResolvedValue({ success: true, data: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildProposalSnapshot', () => {
+    it('keeps what the customer sees and totals pricing by type', () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+
+      expect(snapshot.deliverables[0]).toEqual(expect.objectContaining({ id: 'deliv-1', price: 2500, billing_interval: null }));
+      expect(snapshot.deliverables[0]).not.toHaveProperty('order');
+      expect(snapshot.concepts[0]).not.toHaveProperty('thumbnailUrl');
+      expect(snapshot.packages[0].deliverable_ids).toEqual(['deliv-1', 'deliv-2']);
+      expect(snapshot.requirements[0]).toEqual(expect.objectContaining({ category: 'assets', is_required: true }));
+      expect(snapshot.pricing).toEqual({
+        fixedTotal: 2500,
+        hourlyTotal: 120,
+        subscriptionTotal: 50,
+        totalPrice: 2670
+      });
+    });
+  });
+
+  describe('hashing', () => {
+    it('hashes nested fields and ignores key order', async () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+      const hash = await ProposalSecurityService.generateDataHash(snapshot);
+
+      const reverseKeys = (item) => Object.fromEntries(Object.entries(item).reverse());
+      const reordered = reverseKeys({
+        ...snapshot,
+        deliverables: snapshot.deliverables.map(reverseKeys)
+      });
+      await expect(ProposalSecurityService.generateDataHash(reordered)).resolves.toBe(hash);
+
+      const repriced = versionService.buildProposalSnapshot({
+        ...draft,
+        deliverables: [{ ...draft.deliverables[0], price: 3000 }, ...draft.deliverables.slice(1)]
+      });
+      await expect(ProposalSecurityService.generateDataHash(repriced)).resolves.not.toBe(hash);
+    });
+
+    it('detects a snapshot altered after it was sent', async () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+      const version = { snapshot, data_hash: await ProposalSecurityService.generateDataHash(snapshot) };
+
+      await expect(versionService.verifyProposalVersion(version)).resolves.toBe(true);
+
+      version.snapshot = { ...snapshot, pricing: { ...snapshot.pricing, totalPrice: 1 } };
+      await expect(versionService.verifyProposalVersion(version)).resolves.toBe(false);
+    });
+  });
+
+  describe('snapshotProposalVersion', () => {
+    it('numbers the next version after the latest', async () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+
+      const { version, created } = await versionService.snapshotProposalVersion({
+        proposalId: PROPOSAL_ID,
+        snapshot,
+        versions: [{ id: 'v2', version_number: 2, data_hash: 'old' }, { id: 'v1', version_number: 1, data_hash: 'older' }],
+        userId: 'user-1'
+      });
+
+      expect(created).toBe(true);
+      expect(createProposalVersion).toHaveBeenCalledWith(expect.objectContaining({
+        proposal_id: PROPOSAL_ID,
+        version_number: 3,
+        total_price: 2670,
+        data_hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+        created_by: 'user-1'
+      }));
+      expect(version.version_number).toBe(3);
+    });
+
+    it('reuses the latest version when nothing changed', async () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+      const latest = { id: 'v1', version_number: 1, data_hash: await ProposalSecurityService.generateDataHash(snapshot) };
+      fetchProposalVersions.mockResolvedValue({ success: true, data: [latest] });
+
+      const result = await versionService.snapshotProposalVersion({ proposalId: PROPOSAL_ID, snapshot });
+
+      expect(result).toEqual({ version: latest, created: false });
+      expect(createProposalVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendProposal', () => {
+    const proposal = { id: PROPOSAL_ID, title: 'Website rebuild', access_token: 'token' };
+
+    it('versions the proposal, marks it sent and emails the customer', async () => {
+      ProposalEmailService.sendProposalEmail.mockResolvedValue({ success: true, data: {} });
+
+      const result = await versionService.sendProposal({
+        proposal,
+        snapshot: versionService.buildProposalSnapshot(draft),
+        versions: [],
+        customerEmail: 'client@example.com',
+        customerName: 'Client'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ created: true, emailed: true, emailError: null }));
+      expect(updateProposalStatus).toHaveBeenCalledWith(PROPOSAL_ID, 'sent');
+      expect(ProposalEmailService.sendProposalEmail).toHaveBeenCalledWith(proposal, 'client@example.com', 'Client');
+    });
+
+    it('keeps the version when the email fails', async () => {
+      ProposalEmailService.sendProposalEmail.mockResolvedValue({ success: false, error: 'Mail is down' });
+
+      const result = await versionService.sendProposal({
+        proposal,
+        snapshot: versionService.buildProposalSnapshot(draft),
+        versions: [],
+        customerEmail: 'client@example.com'
+      });
+
+      expect(result).toEqual(expect.objectContaining({ created: true, emailed: false, emailError: 'Mail is down' }));
+    });
+
+    it('refuses to send a proposal that was never saved', async () => {
+      await expect(versionService.sendProposal({ proposal: {}, snapshot: {}, versions: [] }))
+        .rejects.toThrow('Save the proposal before sending it');
+      expect(updateProposalStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffProposalSnapshots', () => {
+    it('highlights added and removed deliverables and price changes', () => {
+      const before = versionService.buildProposalSnapshot(draft);
+      const after = versionService.buildProposalSnapshot({
+        ...draft,
+        deliverables: [
+          { ...draft.deliverables[0], price: 3000 },
+          draft.deliverables[2],
+          { id: 'deliv-4', title: 'SEO audit', type: 'fixed', price: 800 }
+        ]
+      });
+
+      const diff = versionService.diffProposalSnapshots(before, after);
+
+      expect(diff.deliverables.added.map(item => item.title)).toEqual(['SEO audit']);
+      expect(diff.deliverables.removed.map(item => item.title)).toEqual(['Support']);
+      expect(diff.deliverables.changed).toEqual([expect.objectContaining({ fields: ['price'] })]);
+      expect(diff.priceChanges).toEqual([
+        { key: 'fixedTotal', before: 2500, after: 3800, delta: 1300 },
+        { key: 'hourlyTotal', before: 120, after: 0, delta: -120 },
+        { key: 'totalPrice', before: 2670, after: 3850, delta: 1180 }
+      ]);
+      expect(diff.hasChanges).toBe(true);
+    });
+
+    it('reports identical snapshots as unchanged', () => {
+      const snapshot = versionService.buildProposalSnapshot(draft);
+
+      const diff = versionService.diffProposalSnapshots(snapshot, versionService.buildProposalSnapshot(draft));
+
+      expect(diff.hasChanges).toBe(false);
+      expect(diff.deliverables.unchanged).toHaveLength(3);
+    });
+  });
+});
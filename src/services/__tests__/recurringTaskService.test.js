@@ -0,0 +1,291 @@
+/**
+ * Recurring Task Service Tests
+ *
+ * Tests for recurring task series covering:
+ * - RRULE parsing, building and descriptions
+ * - Occurrence expansion (monthly, every other week, numbered weekdays, COUNT)
+ * - Planning with exceptions, existing tasks and lead time
+ * - Idempotent generation through createNewTask
+ * - Skipping and editing single occurrences
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as recurringTaskService from '../recurringTaskService';
+import * as tasksApi from '../../api/tasks';
+
+const PROJECT_ID = '110e8400-e29b-41d4-a716-446655440000';
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+const SERIES_ID = '330e8400-e29b-41d4-a716-446655440000';
+
+// Sunday 18 October 2026, local time
+const TODAY = new Date(2026, 9, 18);
+
+const buildSeries = (overrides = {}) => ({
+    id: SERIES_ID,
+    project_id: PROJECT_ID,
+    customer_id: CUSTOMER_ID,
+    title: 'Monthly maintenance',
+    priority: 3,
+    estimated_hours: 2,
+    rrule: 'FREQ=MONTHLY;BYMONTHDAY=1',
+    start_date: '2026-08-01',
+    lead_days: 0,
+    exceptions: {},
+    is_active: true,
+    last_generated_date: null,
+    ...overrides
+});
+
+describe('Recurring Task Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        tasksApi.createTask.mockImplementation(async (data) => ({ id: `task-${data.occurrence_date}`, ...data }));
+        tasksApi.updateRecurringTask.mockImplementation(async (id, data) => ({ id, ...data }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('rules', () => {
+        it('should round-trip rules through build and parse', () => {
+            const rule = recurringTaskService.parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261231');
+
+            expect(rule).toEqual({
+                freq: 'WEEKLY',
+                interval: 2,
+                byDay: [{ weekday: 1, ordinal: null }, { weekday: 3, ordinal: null }],
+                byMonthDay: [],
+                count: null,
+                until: '2026-12-31'
+            });
+            expect(recurringTaskService.buildRRule(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261231');
+        });
+
+        it('should reject unsupported or contradictory rules', () => {
+            expect(() => recurringTaskService.parseRRule('FREQ=HOURLY')).toThrow('Unsupported recurrence frequency: HOURLY');
+            expect(() => recurringTaskService.parseRRule('FREQ=DAILY;INTERVAL=0')).toThrow('Recurrence interval');
+            expect(() => recurringTaskService.parseRRule('FREQ=WEEKLY;BYDAY=2TU')).toThrow('only supported for monthly');
+            expect(() => recurringTaskService.parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20261231')).toThrow('both COUNT and UNTIL');
+        });
+
+        it('should describe rules in plain English', () => {
+            expect(recurringTaskService.describeRRule('FREQ=MONTHLY;BYMONTHDAY=1')).toBe('Every month on the 1st');
+            expect(recurringTaskService.describeRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU')).toBe('Every other week on Tuesday');
+            expect(recurringTaskService.describeRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'))
+                .toBe('Every month on the last Friday, 3 times');
+            expect(recurringTaskService.describeRRule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=-2'))
+                .toBe('Every 3 months on the 2nd to last day');
+        });
+    });
+
+    describe('getOccurrences', () => {
+        it('should expand monthly rules and skip months without the day', () => {
+            expect(recurringTaskService.getOccurrences('FREQ=MONTHLY;BYMONTHDAY=1', '2026-01-15', { to: '2026-04-30' }))
+                .toEqual(['2026-02-01', '2026-03-01', '2026-04-01']);
+            expect(recurringTaskService.getOccurrences('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-01', { to: '2026-05-31' }))
+                .toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+        });
+
+        it('should expand every other Tuesday', () => {
+            expect(recurringTaskService.getOccurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', '2026-10-06', { limit: 3 }))
+                .toEqual(['2026-10-06', '2026-10-20', '2026-11-03']);
+        });
+
+        it('should pick numbered weekdays within the month', () => {
+            expect(recurringTaskService.getOccurrences('FREQ=MONTHLY;BYDAY=-1FR', '2026-10-01', { limit: 2 }))
+                .toEqual(['2026-10-30', '2026-11-27']);
+        });
+
+        it('should count COUNT from the start date', () => {
+            expect(recurringTaskService.getOccurrences('FREQ=DAILY;COUNT=3', '2026-10-01', { from: '2026-10-02' }))
+                .toEqual(['2026-10-02', '2026-10-03']);
+        });
+
+        it('should require a bound for open-ended rules', () => {
+            expect(() => recurringTaskService.getOccurrences('FREQ=DAILY', '2026-10-01'))
+                .toThrow('An end date or limit is required');
+        });
+    });
+
+    describe('planRecurringTasks', () => {
+        it('should apply exceptions and skip occurrences that already have a task', () => {
+            const series = buildSeries({
+                exceptions: {
+                    '2026-09-01': { skipped: true },
+                    '2026-10-01': { title: 'October maintenance', due_date: '2026-10-05' }
+                }
+            });
+            const existingTasks = [{ id: 'existing', recurrence_id: SERIES_ID, occurrence_date: '2026-08-01' }];
+
+            const { horizon, toCreate } = recurringTaskService.planRecurringTasks(series, existingTasks, TODAY);
+
+            expect(horizon).toBe('2026-10-18');
+            expect(toCreate).toEqual([{
+                project_id: PROJECT_ID,
+                customer_id: CUSTOMER_ID,
+                title: 'October maintenance',
+                due_date: '2026-10-05',
+                priority: 3,
+                estimated_hours: 2,
+                recurrence_id: SERIES_ID,
+                occurrence_date: '2026-10-01'
+            }]);
+        });
+
+        it('should look ahead by the lead time and resume after the cursor', () => {
+            const series = buildSeries({ lead_days: 14, last_generated_date: '2026-10-18' });
+
+            const { horizon, toCreate } = recurringTaskService.planRecurringTasks(series, [], TODAY);
+
+            expect(horizon).toBe('2026-11-01');
+            expect(toCreate.map(task => task.occurrence_date)).toEqual(['2026-11-01']);
+        });
+
+        it('should not plan anything for paused series', () => {
+            expect(recurringTaskService.planRecurringTasks(buildSeries({ is_active: false }), [], TODAY).toCreate)
+                .toEqual([]);
+        });
+    });
+
+    describe('generateRecurringTasks', () => {
+        it('should create due occurrences and advance the cursor', async () => {
+            tasksApi.fetchRecurringTasks.mockResolvedValue([buildSeries({ last_generated_date: '2026-08-31' })]);
+            tasksApi.fetchTasksForProject.mockResolvedValue([]);
+
+            const result = await recurringTaskService.generateRecurringTasks(PROJECT_ID, TODAY);
+
+            expect(tasksApi.createTask).toHaveBeenCalledTimes(2);
+            expect(tasksApi.createTask).toHaveBeenNthCalledWith(1, expect.objectContaining({
+                title: 'Monthly maintenance',
+                due_date: '2026-09-01',
+                recurrence_id: SERIES_ID,
+                occurrence_date: '2026-09-01'
+            }));
+            expect(tasksApi.updateRecurringTask).toHaveBeenCalledWith(SERIES_ID, { last_generated_date: '2026-10-18' });
+            expect(result.created).toHaveLength(2);
+            expect(result.series[0].last_generated_date).toBe('2026-10-18');
+        });
+
+        it('should be idempotent when run again', async () => {
+            tasksApi.fetchRecurringTasks.mockResolvedValue([buildSeries({ last_generated_date: '2026-10-18' })]);
+            tasksApi.fetchTasksForProject.mockResolvedValue([]);
+
+            const result = await recurringTaskService.generateRecurringTasks(PROJECT_ID, TODAY);
+
+            expect(result.created).toEqual([]);
+            expect(tasksApi.createTask).not.toHaveBeenCalled();
+            expect(tasksApi.updateRecurringTask).not.toHaveBeenCalled();
+        });
+
+        it('should treat a conflict as already created', async () => {
+            const conflict = new Error('Occurrence already exists');
+            conflict.status = 409;
+            tasksApi.fetchRecurringTasks.mockResolvedValue([buildSeries({ last_generated_date: '2026-09-30' })]);
+            tasksApi.fetchTasksForProject.mockResolvedValue([]);
+            tasksApi.createTask.mockRejectedValue(conflict);
+
+            const result = await recurringTaskService.generateRecurringTasks(PROJECT_ID, TODAY);
+
+            expect(result.failures).toEqual([]);
+            expect(tasksApi.updateRecurringTask).toHaveBeenCalledWith(SERIES_ID, { last_generated_date: '2026-10-18' });
+        });
+
+        it('should keep the cursor when an occurrence fails', async () => {
+            tasksApi.fetchRecurringTasks.mockResolvedValue([buildSeries({ last_generated_date: '2026-09-30' })]);
+            tasksApi.fetchTasksForProject.mockResolvedValue([]);
+            tasksApi.createTask.mockRejectedValue(new Error('Server error'));
+
+            const result = await recurringTaskService.generateRecurringTasks(PROJECT_ID, TODAY);
+
+            expect(result.failures).toEqual([{ seriesId: SERIES_ID, occurrenceDate: '2026-10-01', error: 'Server error' }]);
+            expect(tasksApi.updateRecurringTask).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('saving series', () => {
+        it('should not backfill occurrences before today', async () => {
+            tasksApi.createRecurringTask.mockImplementation(async (data) => ({ id: SERIES_ID, ...data }));
+            const data = buildSeries();
+            delete data.id;
+
+            await recurringTaskService.saveRecurringTask(data, null, TODAY);
+
+            expect(tasksApi.createRecurringTask).toHaveBeenCalledWith(expect.objectContaining({
+                start_date: '2026-08-01',
+                last_generated_date: '2026-10-17',
+                is_active: true
+            }));
+        });
+
+        it('should not backfill dates missed while paused', async () => {
+            await recurringTaskService.setRecurringTaskActive(buildSeries({ last_generated_date: '2026-08-31' }), true, TODAY);
+            expect(tasksApi.updateRecurringTask).toHaveBeenLastCalledWith(SERIES_ID, {
+                is_active: true,
+                last_generated_date: '2026-10-17'
+            });
+
+            await recurringTaskService.setRecurringTaskActive(buildSeries(), false, TODAY);
+            expect(tasksApi.updateRecurringTask).toHaveBeenLastCalledWith(SERIES_ID, { is_active: false });
+        });
+
+        it('should reject invalid series', async () => {
+            await expect(recurringTaskService.saveRecurringTask(buildSeries({ rrule: 'FREQ=NEVER' })))
+                .rejects.toThrow('Unsupported recurrence frequency: NEVER');
+            await expect(recurringTaskService.saveRecurringTask(buildSeries({ title: ' ' })))
+                .rejects.toThrow('Task title is required');
+            expect(tasksApi.createRecurringTask).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('single occurrences', () => {
+        const series = buildSeries({ last_generated_date: '2026-10-18', exceptions: { '2026-12-01': { skipped: true } } });
+
+        it('should skip, edit and restore future occurrences', async () => {
+            await recurringTaskService.skipOccurrence(series, '2026-11-01');
+            expect(tasksApi.updateRecurringTask).toHaveBeenLastCalledWith(SERIES_ID, {
+                exceptions: { '2026-11-01': { skipped: true }, '2026-12-01': { skipped: true } }
+            });
+
+            await recurringTaskService.editOccurrence(series, '2026-11-01', { title: 'Year-end prep', due_date: '2026-11-03', notes: '' });
+            expect(tasksApi.updateRecurringTask).toHaveBeenLastCalledWith(SERIES_ID, {
+                exceptions: { '2026-11-01': { title: 'Year-end prep', due_date: '2026-11-03' }, '2026-12-01': { skipped: true } }
+            });
+
+            await recurringTaskService.restoreOccurrence(series, '2026-12-01');
+            expect(tasksApi.updateRecurringTask).toHaveBeenLastCalledWith(SERIES_ID, { exceptions: {} });
+        });
+
+        it('should refuse dates that are not future occurrences', async () => {
+            await expect(recurringTaskService.skipOccurrence(series, '2026-11-02'))
+                .rejects.toThrow('2026-11-02 is not an occurrence of this series');
+            await expect(recurringTaskService.skipOccurrence(series, '2026-10-01'))
+                .rejects.toThrow('already created');
+            await expect(recurringTaskService.editOccurrence(series, '2026-11-01', { due_date: '11/03/2026' }))
+                .rejects.toThrow('Due date must be in YYYY-MM-DD format');
+        });
+
+        it('should mark generated, skipped and edited occurrences', () => {
+            const occurrences = recurringTaskService.getSeriesOccurrences(
+                { ...series, exceptions: { '2026-11-01': { title: 'Renamed' }, '2026-12-01': { skipped: true } } },
+                { from: '2026-10-01', limit: 3 }
+            );
+
+            expect(occurrences).toEqual([
+                { date: '2026-10-01', title: 'Monthly maintenance', dueDate: '2026-10-01', skipped: false, edited: false, generated: true },
+                { date: '2026-11-01', title: 'Renamed', dueDate: '2026-11-01', skipped: false, edited: true, generated: false },
+                { date: '2026-12-01', title: 'Monthly maintenance', dueDate: '2026-12-01', skipped: true, edited: false, generated: false }
+            ]);
+        });
+    });
+});
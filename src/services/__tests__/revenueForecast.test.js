@@ -0,0 +1,202 @@
+/**
+ * Revenue Forecast Tests
+ *
+ * Tests for the revenue forecast covering:
+ * - Fixed-price milestones on project start and completion
+ * - Subscription charges, prorated when they end
+ * - Approved proposals spread until the project ends, less what was billed
+ * - Trailing hourly averages per customer and scenario weights
+ * - Loading projects and approved proposals across customer pages, in batches
+ */
+
+jest.mock('../../api/customers', () => ({
+  fetchActiveCustomers: jest.fn()
+}));
+jest.mock('../../api/projects', () => ({
+  fetchProjectsForCustomers: jest.fn()
+}));
+jest.mock('../../api/proposals', () => ({
+  fetchProposalsForProject: jest.fn()
+}));
+// Subscription charges come from subscriptionBillingService; its API dependencies aren't used
+jest.mock('../../api/subscriptionBilling', () => ({}));
+jest.mock('../../api/quickbooksApi', () => ({}));
+jest.mock('../salesService', () => ({}));
+jest.mock('../invoiceGenerationService', () => ({}));
+jest.mock('../invoiceSequenceService', () => ({}));
+jest.mock('../currencyService', () => ({}));
+jest.mock('../customerReconciliationService', () => ({}));
+
+// Import after mocks
+import * as forecastService from '../revenueForecastService';
+import { processProjectValue } from '../projectService';
+import { fetchActiveCustomers } from '../../api/customers';
+import { fetchProjectsForCustomers } from '../../api/projects';
+import { fetchProposalsForProject } from '../../api/proposals';
+
+const { FORECAST_STREAMS } = forecastService;
+
+// Forecasts start in November 2026
+const START = new Date(2026, 10, 15);
+
+const projects = [
+  { id: 'fixed-1', projectName: 'Website', f_fixedPrice: true, value: 10000, dateStart: '2026-11-03', dateEnd: '2027-01-20' },
+  { id: 'fixed-2', projectName: 'App', f_fixedPrice: true, value: 4000, dateStart: '2026-09-01' },
+  { id: 'sub-1', projectName: 'Hosting', f_subscription: true, value: 300, dateStart: '2026-01-01', dateEnd: '2027-01-15' },
+  { id: 'hourly-1', projectName: 'Redesign', _custID: 'cust-1', dateStart: '2026-10-01', dateEnd: '2027-01-31' },
+  { id: 'hourly-2', projectName: 'Support', _custID: 'cust-2' }
+];
+
+const sales = [
+  { customer_id: 'cust-1', customer_name: 'Acme', project_id: 'hourly-1', financial_id: 'f1', total_price: 1000, date: '2026-10-10' },
+  { customer_id: 'cust-2', customer_name: 'Globex', project_id: 'hourly-2', financial_id: 'f2', total_price: 900, date: '2026-09-12' },
+  { customer_id: 'cust-2', customer_name: 'Globex', project_id: 'hourly-2', financial_id: 'f3', total_price: 600, date: '2026-08-02' },
+  // Before the trailing three months, and not hourly
+  { customer_id: 'cust-2', project_id: 'hourly-2', financial_id: 'f4', total_price: 5000, date: '2026-07-31' },
+  { customer_id: 'cust-2', project_id: 'sub-1', total_price: 300, date: '2026-10-31' }
+];
+
+describe('Revenue Forecast', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('forecastFixedPrice', () => {
+    it('places each half of the value in its milestone month and flags projects without an end date', () => {
+      const months = forecastService.buildForecastMonths(6, START);
+      const { amounts, unscheduled } = forecastService.forecastFixedPrice(projects, months);
+
+      expect(months.map(month => month.key)).toEqual(['2026-11', '2026-12', '2027-01', '2027-02', '2027-03', '2027-04']);
+      expect(amounts).toEqual([5000, 0, 5000, 0, 0, 0]);
+      expect(unscheduled.map(project => project.id)).toEqual(['fixed-2']);
+    });
+
+    it('uses the same milestones processProjectValue turns into sales', () => {
+      const { salesToCreate } = processProjectValue({ ...projects[0], dateStart: '2026-01-05', dateEnd: '2026-02-20' });
+
+      expect(salesToCreate.map(sale => [sale.amount, sale.date, sale.type])).toEqual([
+        [5000, '2026-01-05', 'sellable'],
+        [5000, '2026-02-20', 'sales']
+      ]);
+    });
+  });
+
+  describe('forecastSubscriptions', () => {
+    it('charges each month and prorates the last one', () => {
+      const months = forecastService.buildForecastMonths(4, START);
+
+      expect(forecastService.forecastSubscriptions(projects, months)).toEqual([300, 300, 145.16, 0]);
+    });
+  });
+
+  describe('forecastProposals', () => {
+    it('spreads what is left on the latest approved proposal until the project ends', () => {
+      const months = forecastService.buildForecastMonths(6, START);
+      const { amounts, projectIds } = forecastService.forecastProposals([
+        { status: 'approved', projectId: 'hourly-1', totalPrice: 5000, selectedPrice: 4000, approvedAt: '2026-10-01' },
+        { status: 'approved', projectId: 'hourly-1', totalPrice: 9000, approvedAt: '2026-09-01' },
+        { status: 'sent', projectId: 'hourly-2', totalPrice: 8000 },
+        { status: 'approved', projectId: 'fixed-1', totalPrice: 10000 }
+      ], projects, sales, months);
+
+      expect(amounts).toEqual([1000, 1000, 1000, 0, 0, 0]);
+      expect([...projectIds]).toEqual(['hourly-1']);
+    });
+  });
+
+  describe('buildRevenueForecast', () => {
+    it('stacks every stream, leaving proposal projects out of the hourly average', () => {
+      const forecast = forecastService.buildRevenueForecast({
+        projects,
+        proposals: [{ status: 'approved', projectId: 'hourly-1', totalPrice: 4000 }],
+        sales,
+        months: 6,
+        start: START
+      });
+
+      expect(forecast.hourlyCustomers).toEqual([
+        { customerId: 'cust-2', customerName: 'Globex', monthlyAverage: 500 }
+      ]);
+      expect(forecast.streams[FORECAST_STREAMS.HOURLY]).toEqual([500, 500, 500, 500, 500, 500]);
+      expect(forecast.totals).toEqual({
+        fixedPrice: 10000,
+        subscriptions: 745.16,
+        proposals: 3000,
+        hourly: 3000
+      });
+      expect(forecast.total).toBe(16745.16);
+    });
+
+    it('weights proposals and hourly billing by scenario', () => {
+      const forecast = forecastService.buildRevenueForecast({
+        projects,
+        proposals: [{ status: 'approved', projectId: 'hourly-1', totalPrice: 4000 }],
+        sales,
+        months: 6,
+        scenario: 'conservative',
+        start: START
+      });
+
+      expect(forecast.totals.proposals).toBe(1500);
+      expect(forecast.totals.hourly).toBe(2400);
+      expect(forecast.totals.fixedPrice).toBe(10000);
+    });
+
+    it('rejects unknown scenarios', () => {
+      expect(() => forecastService.buildRevenueForecast({ projects, scenario: 'wishful' }))
+        .toThrow('Unknown forecast scenario "wishful"');
+    });
+  });
+
+  describe('loadForecastInputs', () => {
+    it('loads approved proposals for hourly projects only', async () => {
+      fetchActiveCustomers.mockResolvedValue([{ id: 'cust-1' }, { id: 'cust-2' }]);
+      fetchProjectsForCustomers.mockResolvedValue({ data: projects });
+      fetchProposalsForProject.mockImplementation(async (projectId) => (projectId === 'hourly-1'
+        ? { success: true, data: [
+          { id: 'prop-1', status: 'approved', total_price: '4000' },
+          { id: 'prop-2', status: 'draft', total_price: '6000' }
+        ] }
+        : { success: false, error: 'Network Error' }));
+
+      const { proposals, errors } = await forecastService.loadForecastInputs();
+
+      expect(fetchProposalsForProject.mock.calls.map(call => call[0])).toEqual(['hourly-1', 'hourly-2']);
+      expect(proposals).toEqual([expect.objectContaining({ id: 'prop-1', projectId: 'hourly-1', totalPrice: 4000 })]);
+      expect(errors).toEqual(['Support: Network Error']);
+    });
+
+    it('pages through all customers and requests proposals in batches', async () => {
+      const firstPage = Array.from({ length: 200 }, (_, index) => ({ id: `cust-${index}` }));
+      fetchActiveCustomers
+        .mockResolvedValueOnce({ customers: firstPage, pagination: { has_more: true } })
+        .mockResolvedValueOnce({ customers: [{ id: 'cust-200' }], pagination: { has_more: false } });
+      const hourlyProjects = Array.from({ length: 25 }, (_, index) => ({ id: `hourly-${index}`, name: `Project ${index}` }));
+      fetchProjectsForCustomers.mockResolvedValue(hourlyProjects);
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      fetchProposalsForProject.mockImplementation(async () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await Promise.resolve();
+        inFlight -= 1;
+        return { success: true, data: [] };
+      });
+
+      await forecastService.loadForecastInputs();
+
+      expect(fetchActiveCustomers.mock.calls.map(call => call[0].offset)).toEqual([0, 200]);
+      expect(fetchProjectsForCustomers.mock.calls[0][0]).toHaveLength(201);
+      expect(fetchProposalsForProject).toHaveBeenCalledTimes(25);
+      expect(maxInFlight).toBe(10);
+    });
+  });
+});
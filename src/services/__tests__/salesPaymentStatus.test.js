@@ -0,0 +1,105 @@
+/**
+ * Sales Payment Status Tests
+ *
+ * Tests for updateSalesPaymentStatus and updateSalesCurrency in salesService covering:
+ * - Scoping updates to the organization's sales on the invoice
+ * - Setting paid_at only when a sale becomes paid
+ * - Clearing paid_at when an invoice is reopened
+ * - Storing the invoice currency snapshot
+ */
+
+jest.mock('../supabaseService');
+jest.mock('../../api/financialRecords');
+jest.mock('../projectService', () => ({ processProjectValue: jest.fn() }));
+jest.mock('../billableHoursService', () => ({ processFinancialData: jest.fn() }));
+
+// Import after mocks
+import { updateSalesPaymentStatus, updateSalesCurrency } from '../salesService';
+import { update } from '../supabaseService';
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+
+describe('updateSalesPaymentStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    update.mockResolvedValue({ success: true, data: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only mark sales that were not paid yet, within the organization', async () => {
+    update.mockImplementation(async (table, data, match) => ({
+      success: true,
+      data: match.payment_status === 'unpaid' ? [{ id: 'sale-1', payment_status: 'paid' }] : []
+    }));
+
+    const result = await updateSalesPaymentStatus(901, 'paid', ORG_ID);
+
+    expect(update).toHaveBeenCalledTimes(2);
+    ['unpaid', 'partially_paid'].forEach(previousStatus => {
+      expect(update).toHaveBeenCalledWith(
+        'customer_sales',
+        { payment_status: 'paid', paid_at: expect.any(String) },
+        { inv_id: '901', organization_id: ORG_ID, payment_status: previousStatus }
+      );
+    });
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+  });
+
+  it('should clear paid_at when the invoice is no longer paid', async () => {
+    await updateSalesPaymentStatus('901', 'partially_paid', ORG_ID);
+
+    expect(update).toHaveBeenCalledWith(
+      'customer_sales',
+      { payment_status: 'partially_paid', paid_at: null },
+      { inv_id: '901', organization_id: ORG_ID }
+    );
+  });
+
+  it('should require an organization', async () => {
+    const result = await updateSalesPaymentStatus('901', 'paid', null);
+
+    expect(result).toEqual({ success: false, error: 'Organization ID is required' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('should report a failed update', async () => {
+    update.mockResolvedValueOnce({ success: false, error: 'Permission denied' });
+
+    const result = await updateSalesPaymentStatus('901', 'paid', ORG_ID);
+
+    expect(result).toEqual({ success: false, error: 'Permission denied' });
+  });
+});
+
+describe('updateSalesCurrency', () => {
+  const fxSnapshot = { currency: 'USD', fx_rate: 1.4, fx_home_currency: 'CAD' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    update.mockResolvedValue({ success: true, data: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only update the organization\'s sales on the invoice', async () => {
+    const result = await updateSalesCurrency(901, fxSnapshot, ORG_ID);
+
+    expect(update).toHaveBeenCalledWith('customer_sales', fxSnapshot, { inv_id: '901', organization_id: ORG_ID });
+    expect(result.success).toBe(true);
+  });
+
+  it('should require an organization', async () => {
+    const result = await updateSalesCurrency('901', fxSnapshot, undefined);
+
+    expect(result).toEqual({ success: false, error: 'Organization ID is required' });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Subscription Billing Tests
+ *
+ * Tests for subscription billing runs covering:
+ * - Billing periods and proration for mid-month starts and cancellations
+ * - Dry runs that report without writing
+ * - Creating the month's sales and one QuickBooks invoice per customer
+ * - Idempotency when a month is run again
+ */
+
+jest.mock('../../api/subscriptionBilling', () => ({
+  fetchSubscriptionBillingEntries: jest.fn(),
+  claimSubscriptionBillingEntry: jest.fn(),
+  updateSubscriptionBillingEntry: jest.fn(),
+  deleteSubscriptionBillingEntry: jest.fn()
+}));
+jest.mock('../../api/quickbooksApi', () => ({
+  createQBOInvoice: jest.fn(),
+  searchQBOCustomers: jest.fn(),
+  findQBOInvoiceByDocNumber: jest.fn()
+}));
+jest.mock('../../api/invoiceSequences', () => ({
+  reserveInvoiceSequence: jest.fn(),
+  confirmInvoiceSequence: jest.fn(),
+  releaseInvoiceSequence: jest.fn()
+}));
+jest.mock('../salesService', () => ({
+  createSalesBatch: jest.fn(),
+  updateSaleTargeted: jest.fn()
+}));
+jest.mock('../currencyService', () => ({
+  recordInvoiceCurrency: jest.fn()
+}));
+jest.mock('../customerReconciliationService', () => ({
+  resolveMappedQBOCustomer: jest.fn()
+}));
+
+// Import after mocks
+import * as subscriptionBillingService from '../subscriptionBillingService';
+import * as subscriptionBillingApi from '../../api/subscriptionBilling';
+import * as quickbooksApi from '../../api/quickbooksApi';
+import * as invoiceSequencesApi from '../../api/invoiceSequences';
+import { createSalesBatch, updateSaleTargeted } from '../salesService';
+import { recordInvoiceCurrency } from '../currencyService';
+import { resolveMappedQBOCustomer } from '../customerReconciliationService';
+
+const { BILLING_ITEM_STATUSES } = subscriptionBillingService;
+
+const ORG_ID = '990e8400-e29b-41d4-a716-446655440000';
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+
+const project = (id, overrides = {}) => ({
+  id,
+  name: `Hosting ${id}`,
+  customer_id: CUSTOMER_ID,
+  is_subscription: true,
+  value: 300,
+  start_date: '2026-01-01',
+  ...overrides
+});
+
+const customers = [{ id: CUSTOMER_ID, business_name: 'Acme Corp' }];
+const qboCustomer = { Id: '58', DisplayName: 'Acme Corp', CurrencyRef: { value: 'CAD' } };
+
+describe('Subscription Billing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    subscriptionBillingApi.fetchSubscriptionBillingEntries.mockResolvedValue([]);
+    subscriptionBillingApi.claimSubscriptionBillingEntry.mockImplementation(async (entry) => ({
+      id: `entry-${entry.project_id}`,
+      ...entry
+    }));
+    quickbooksApi.searchQBOCustomers.mockResolvedValue({ customers: [qboCustomer] });
+    resolveMappedQBOCustomer.mockResolvedValue(null);
+    quickbooksApi.findQBOInvoiceByDocNumber.mockResolvedValue(null);
+    quickbooksApi.createQBOInvoice.mockResolvedValue({ Invoice: { Id: '901' } });
+    invoiceSequencesApi.reserveInvoiceSequence.mockResolvedValue({ reservationId: 'reservation-1', sequence: 1 });
+    createSalesBatch.mockImplementation(async (sales) => ({
+      success: true,
+      data: sales.map((sale, index) => ({ id: `sale-${index + 1}`, ...sale }))
+    }));
+    updateSaleTargeted.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getBillingPeriod', () => {
+    it('covers the whole month', () => {
+      expect(subscriptionBillingService.getBillingPeriod('2026-02')).toMatchObject({
+        key: '2026-02',
+        startDate: '2026-02-01',
+        endDate: '2026-02-28',
+        days: 28
+      });
+    });
+
+    it('rejects malformed months', () => {
+      expect(() => subscriptionBillingService.getBillingPeriod('2026-13')).toThrow('expected YYYY-MM');
+    });
+  });
+
+  describe('calculateSubscriptionCharge', () => {
+    const period = subscriptionBillingService.getBillingPeriod('2026-09');
+
+    it('charges the full monthly value for the whole month', () => {
+      expect(subscriptionBillingService.calculateSubscriptionCharge(project('p1'), period)).toMatchObject({
+        amount: 300,
+        billedDays: 30,
+        prorated: false
+      });
+    });
+
+    it('prorates mid-month starts and cancellations by day', () => {
+      expect(subscriptionBillingService.calculateSubscriptionCharge(
+        project('p1', { start_date: '2026-09-16' }),
+        period
+      )).toMatchObject({ amount: 150, billedDays: 15, prorated: true, serviceStart: '2026-09-16' });
+
+      expect(subscriptionBillingService.calculateSubscriptionCharge(
+        project('p1', { target_end_date: '2026-09-10' }),
+        period
+      )).toMatchObject({ amount: 100, billedDays: 10, serviceEnd: '2026-09-10' });
+    });
+
+    it('skips projects not active during the period', () => {
+      expect(subscriptionBillingService.calculateSubscriptionCharge(project('p1', { start_date: '2026-10-01' }), period)).toBeNull();
+      expect(subscriptionBillingService.calculateSubscriptionCharge(project('p1', { target_end_date: '2026-08-31' }), period)).toBeNull();
+      expect(subscriptionBillingService.calculateSubscriptionCharge(project('p1', { value: 0 }), period)).toBeNull();
+    });
+  });
+
+  describe('runSubscriptionBilling', () => {
+    const projects = [
+      project('p1'),
+      project('p2', { start_date: '2026-09-16' }),
+      project('p3', { is_subscription: false }),
+      project('p4', { start_date: '2026-11-01' })
+    ];
+
+    it('reports what would be billed without writing on a dry run', async () => {
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects,
+        customers,
+        month: '2026-09'
+      });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.items.map(item => [item.projectId, item.status, item.amount])).toEqual([
+        ['p1', BILLING_ITEM_STATUSES.READY, 300],
+        ['p2', BILLING_ITEM_STATUSES.READY, 150],
+        ['p4', BILLING_ITEM_STATUSES.INACTIVE, 0]
+      ]);
+      expect(report.totals).toMatchObject({ billable: 2, amount: 450 });
+      expect(subscriptionBillingApi.claimSubscriptionBillingEntry).not.toHaveBeenCalled();
+      expect(createSalesBatch).not.toHaveBeenCalled();
+      expect(invoiceSequencesApi.reserveInvoiceSequence).not.toHaveBeenCalled();
+    });
+
+    it('creates the sales and one invoice per customer', async () => {
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects,
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(createSalesBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ project_id: 'p1', quantity: 1, unit_price: 300, total_price: 300, date: '2026-09-30' }),
+        expect.objectContaining({
+          project_id: 'p2',
+          product_name: 'Hosting p2 subscription 2026-09 (15/30 days)',
+          quantity: 0.5,
+          total_price: 150
+        })
+      ]);
+      expect(quickbooksApi.createQBOInvoice).toHaveBeenCalledTimes(1);
+      expect(quickbooksApi.createQBOInvoice.mock.calls[0][0]).toMatchObject({ DocNumber: '582609001' });
+      expect(invoiceSequencesApi.confirmInvoiceSequence).toHaveBeenCalledWith('reservation-1', '582609001', '901');
+      expect(updateSaleTargeted).toHaveBeenCalledWith('sale-1', { inv_id: '901' });
+      expect(recordInvoiceCurrency).toHaveBeenCalledWith(ORG_ID, '901', 'CAD');
+      expect(subscriptionBillingApi.updateSubscriptionBillingEntry).toHaveBeenCalledWith('entry-p2', {
+        status: 'invoiced',
+        doc_number: '582609001',
+        qbo_invoice_id: '901'
+      });
+      expect(report.invoices).toEqual([
+        { customerId: CUSTOMER_ID, customerName: 'Acme Corp', docNumber: '582609001', invoiceId: '901', amount: 450 }
+      ]);
+      expect(report.items[0]).toMatchObject({ status: BILLING_ITEM_STATUSES.INVOICED, docNumber: '582609001' });
+    });
+
+    it('skips projects already billed for the month', async () => {
+      subscriptionBillingApi.fetchSubscriptionBillingEntries.mockResolvedValue([
+        { project_id: 'p1', amount: 300, status: 'invoiced', doc_number: '582609001', qbo_invoice_id: '901' }
+      ]);
+      subscriptionBillingApi.claimSubscriptionBillingEntry.mockImplementation(async (entry) => (
+        entry.project_id === 'p2' ? null : { id: `entry-${entry.project_id}`, ...entry }
+      ));
+
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects,
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(subscriptionBillingApi.claimSubscriptionBillingEntry).toHaveBeenCalledTimes(1);
+      expect(createSalesBatch).not.toHaveBeenCalled();
+      expect(quickbooksApi.createQBOInvoice).not.toHaveBeenCalled();
+      expect(report.items.slice(0, 2).map(item => item.status)).toEqual([
+        BILLING_ITEM_STATUSES.ALREADY_BILLED,
+        BILLING_ITEM_STATUSES.ALREADY_BILLED
+      ]);
+    });
+
+    it('gives the period back when its sale cannot be created', async () => {
+      createSalesBatch.mockResolvedValueOnce({ success: false, data: [], errors: ['Validation failed'] });
+
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects: [project('p1')],
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(report.items[0]).toMatchObject({ status: BILLING_ITEM_STATUSES.FAILED });
+      expect(subscriptionBillingApi.deleteSubscriptionBillingEntry).toHaveBeenCalledWith('entry-p1');
+      expect(quickbooksApi.createQBOInvoice).not.toHaveBeenCalled();
+    });
+
+    it('keeps the sales and releases the DocNumber when QuickBooks rejects the invoice', async () => {
+      quickbooksApi.createQBOInvoice.mockResolvedValueOnce({ Fault: { Error: [{ Detail: 'Account is inactive' }] } });
+
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects: [project('p1')],
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(report.items[0]).toMatchObject({
+        status: BILLING_ITEM_STATUSES.SALES_CREATED,
+        message: 'Sale created but invoicing failed: Failed to create the invoice in QuickBooks: Account is inactive'
+      });
+      expect(invoiceSequencesApi.releaseInvoiceSequence).toHaveBeenCalledWith('reservation-1');
+      expect(subscriptionBillingApi.updateSubscriptionBillingEntry).toHaveBeenLastCalledWith('entry-p1', {
+        status: 'sales_created',
+        sale_ids: ['sale-1']
+      });
+      expect(report.totals.needsAttention).toBe(1);
+    });
+
+    it('does not bill customers without a single QuickBooks match', async () => {
+      quickbooksApi.searchQBOCustomers.mockResolvedValue({
+        customers: [{ Id: '58', DisplayName: 'Acme Corp East' }, { Id: '59', DisplayName: 'Acme Corp West' }]
+      });
+
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects: [project('p1')],
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(report.items[0].status).toBe(BILLING_ITEM_STATUSES.NO_QBO_CUSTOMER);
+      expect(subscriptionBillingApi.claimSubscriptionBillingEntry).not.toHaveBeenCalled();
+    });
+
+    it('uses the mapped QuickBooks customer instead of searching by name', async () => {
+      resolveMappedQBOCustomer.mockResolvedValue({ Id: '77', DisplayName: 'Acme Corporation (renamed)' });
+
+      const report = await subscriptionBillingService.runSubscriptionBilling({
+        organizationId: ORG_ID,
+        projects: [project('p1')],
+        customers,
+        month: '2026-09',
+        dryRun: false
+      });
+
+      expect(resolveMappedQBOCustomer).toHaveBeenCalledWith(ORG_ID, CUSTOMER_ID);
+      expect(quickbooksApi.searchQBOCustomers).not.toHaveBeenCalled();
+      expect(quickbooksApi.createQBOInvoice).toHaveBeenCalledWith(expect.objectContaining({
+        CustomerRef: expect.objectContaining({ value: '77' })
+      }));
+      expect(report.invoices).toHaveLength(1);
+    });
+
+    it('requires an organization', async () => {
+      await expect(subscriptionBillingService.runSubscriptionBilling({ projects: [] }))
+        .rejects.toThrow('Organization ID is required to run subscription billing');
+    });
+  });
+});
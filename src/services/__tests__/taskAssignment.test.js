@@ -0,0 +1,164 @@
+/**
+ * Task Assignment Tests
+ *
+ * Tests for task assignees and the My Work queue in taskService covering:
+ * - assignee_ids validation against the project team
+ * - Passing assignees through task creation
+ * - Loading and sorting a staff member's open tasks across projects
+ * - Starting a timer from My Work
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+
+const PROJECT_ID = '110e8400-e29b-41d4-a716-446655440000';
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+const ALICE_ID = '330e8400-e29b-41d4-a716-446655440001';
+const BOB_ID = '330e8400-e29b-41d4-a716-446655440002';
+const OUTSIDER_ID = '330e8400-e29b-41d4-a716-446655440003';
+const TASK_ID = '550e8400-e29b-41d4-a716-446655440001';
+
+const TEAM_STAFF = [
+    { id: 'member-1', staffId: ALICE_ID, role: 'Lead', staffDetails: { name: 'Alice' } },
+    { id: 'member-2', staffId: BOB_ID, role: '', staffDetails: { name: 'Bob' } }
+];
+
+const backendTask = (overrides) => ({
+    id: TASK_ID,
+    title: 'Task',
+    is_completed: false,
+    status: 'pending',
+    project_id: PROJECT_ID,
+    staff_id: BOB_ID,
+    assignee_ids: [ALICE_ID],
+    created_at: '2026-09-01T00:00:00Z',
+    ...overrides
+});
+
+describe('Task Assignment', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateTaskData assignee checks', () => {
+        it('accepts members of the project team', () => {
+            const result = taskService.validateTaskData(
+                { assignee_ids: [ALICE_ID, BOB_ID] },
+                { partial: true, teamStaff: TEAM_STAFF }
+            );
+            expect(result.isValid).toBe(true);
+        });
+
+        it('rejects staff outside the project team', () => {
+            const result = taskService.validateTaskData(
+                { assignee_ids: [ALICE_ID, OUTSIDER_ID] },
+                { partial: true, teamStaff: TEAM_STAFF }
+            );
+            expect(result.fieldErrors.assignee_ids).toBe('Assignees must be members of the project team');
+        });
+
+        it('requires a team before tasks can be assigned', () => {
+            const result = taskService.validateTaskData({ assignee_ids: [ALICE_ID] }, { partial: true, teamStaff: [] });
+            expect(result.fieldErrors.assignee_ids).toBe('Assign the project to a team before assigning tasks');
+        });
+
+        it('skips the team check when the team is unknown but still checks the format', () => {
+            expect(taskService.validateTaskData({ assignee_ids: [OUTSIDER_ID] }, { partial: true }).isValid).toBe(true);
+            expect(taskService.validateTaskData({ assignee_ids: [ALICE_ID, ALICE_ID] }, { partial: true }).errors)
+                .toContain('Assignees must not repeat');
+        });
+    });
+
+    describe('createNewTask', () => {
+        it('sends assignees validated against the team', async () => {
+            tasksApi.createTask.mockResolvedValue({ id: TASK_ID });
+
+            await taskService.createNewTask(
+                { project_id: PROJECT_ID, customer_id: CUSTOMER_ID, title: 'Review', assignee_ids: [BOB_ID] },
+                { teamStaff: TEAM_STAFF }
+            );
+
+            expect(tasksApi.createTask).toHaveBeenCalledWith(expect.objectContaining({ assignee_ids: [BOB_ID] }));
+        });
+
+        it('does not create tasks assigned outside the team', async () => {
+            await expect(taskService.createNewTask(
+                { project_id: PROJECT_ID, customer_id: CUSTOMER_ID, title: 'Review', assignee_ids: [OUTSIDER_ID] },
+                { teamStaff: TEAM_STAFF }
+            )).rejects.toThrow('Assignees must be members of the project team');
+            expect(tasksApi.createTask).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('loadMyWork', () => {
+        it('lists open assigned tasks by due date with undated tasks last', async () => {
+            tasksApi.fetchAssignedTasks.mockResolvedValue([
+                backendTask({ id: 'undated', due_date: null, project_name: 'Site', customer_name: 'Acme' }),
+                backendTask({ id: 'later', due_date: '2026-11-01' }),
+                backendTask({ id: 'overdue', due_date: '2026-10-01' }),
+                backendTask({ id: 'urgent', due_date: '2026-11-01', priority: 1 }),
+                backendTask({ id: 'done', due_date: '2026-09-01', is_completed: true }),
+                backendTask({ id: 'cancelled', due_date: '2026-09-01', status: 'cancelled' }),
+                backendTask({ id: 'unassigned', due_date: '2026-09-01', assignee_ids: [BOB_ID] })
+            ]);
+
+            const tasks = await taskService.loadMyWork(ALICE_ID, new Date(2026, 9, 18));
+
+            expect(tasksApi.fetchAssignedTasks).toHaveBeenCalledWith(ALICE_ID);
+            expect(tasks.map(task => task.id)).toEqual(['overdue', 'urgent', 'later', 'undated']);
+            expect(tasks[0].isOverdue).toBe(true);
+            expect(tasks[1].isOverdue).toBe(false);
+            expect(tasks[3]).toMatchObject({ projectName: 'Site', customerName: 'Acme' });
+        });
+
+        it('requires a staff ID', async () => {
+            await expect(taskService.loadMyWork(null)).rejects.toThrow('Staff ID is required');
+        });
+    });
+
+    describe('startMyWorkTimer', () => {
+        const task = { id: TASK_ID, title: 'Task', _staffID: BOB_ID };
+
+        it('starts the timer for the logged-in staff member', async () => {
+            tasksApi.getActiveTimer.mockResolvedValue(null);
+            tasksApi.startTaskTimer.mockResolvedValue({ id: 'entry-1' });
+
+            await taskService.startMyWorkTimer(task, ALICE_ID);
+
+            expect(tasksApi.startTaskTimer).toHaveBeenCalledWith(
+                TASK_ID,
+                expect.objectContaining({ _staffID: ALICE_ID, staff_id: ALICE_ID })
+            );
+        });
+
+        it('refuses to start while another task is being timed', async () => {
+            tasksApi.getActiveTimer.mockResolvedValue({ id: 'entry-2', task_id: 'other-task' });
+
+            await expect(taskService.startMyWorkTimer(task, ALICE_ID))
+                .rejects.toThrow('A timer is already running. Stop it before starting another.');
+            expect(tasksApi.startTaskTimer).not.toHaveBeenCalled();
+        });
+
+        it('returns the running timer when it is already on this task', async () => {
+            const running = { id: 'entry-3', task_id: TASK_ID };
+            tasksApi.getActiveTimer.mockResolvedValue(running);
+
+            await expect(taskService.startMyWorkTimer(task, ALICE_ID)).resolves.toBe(running);
+            expect(tasksApi.startTaskTimer).not.toHaveBeenCalled();
+        });
+    });
+});
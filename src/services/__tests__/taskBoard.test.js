@@ -0,0 +1,216 @@
+/**
+ * Task Board Tests
+ *
+ * Tests for the kanban board helpers in taskService covering:
+ * - Workflow status derivation from legacy completion flags
+ * - Board column validation, loading and saving
+ * - Grouping and ordering tasks into columns
+ * - Planning and persisting drag-and-drop moves
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+
+const { TASK_STATUSES, DEFAULT_BOARD_COLUMNS } = taskService;
+
+const buildTasks = () => [
+    { id: 'a', title: 'A', status: 'backlog', isCompleted: false, boardPosition: 1024, createdAt: '2026-09-01' },
+    { id: 'b', title: 'B', status: 'pending', isCompleted: false, boardPosition: 2048, createdAt: '2026-09-02' },
+    { id: 'c', title: 'C', status: 'in_progress', isCompleted: false, boardPosition: 1024, createdAt: '2026-09-03' },
+    { id: 'd', title: 'D', status: 'completed', isCompleted: true, boardPosition: null, createdAt: '2026-09-04' }
+];
+
+describe('Task Board', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getTaskStatus', () => {
+        it('prefers the legacy completion flag when it disagrees with the status', () => {
+            expect(taskService.getTaskStatus({ status: 'in_progress', isCompleted: true })).toBe(TASK_STATUSES.COMPLETED);
+            expect(taskService.getTaskStatus({ status: 'completed', isCompleted: false })).toBe(TASK_STATUSES.PENDING);
+            expect(taskService.getTaskStatus({ status: 'cancelled', isCompleted: true })).toBe(TASK_STATUSES.CANCELLED);
+        });
+
+        it('defaults tasks without a known status to pending', () => {
+            expect(taskService.getTaskStatus({ isCompleted: false })).toBe(TASK_STATUSES.PENDING);
+            expect(taskService.getTaskStatus({ status: 'someday' })).toBe(TASK_STATUSES.PENDING);
+            expect(taskService.getTaskStatus({ status: 'review', is_completed: false })).toBe(TASK_STATUSES.REVIEW);
+        });
+    });
+
+    describe('validateBoardColumns', () => {
+        it('accepts the default columns', () => {
+            expect(taskService.validateBoardColumns(DEFAULT_BOARD_COLUMNS).isValid).toBe(true);
+        });
+
+        it('requires every status in exactly one column', () => {
+            const columns = [
+                { id: 'todo', title: 'To Do', statuses: ['backlog', 'pending', 'in_progress'] },
+                { id: 'doing', title: 'Doing', statuses: ['in_progress', 'review'] },
+                { id: 'done', title: 'Done', statuses: ['completed'] }
+            ];
+            const result = taskService.validateBoardColumns(columns);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Status in_progress is in both "To Do" and "Doing"');
+            expect(result.errors).toContain('Status cancelled must belong to a column');
+        });
+
+        it('rejects blank and duplicate titles', () => {
+            const columns = [
+                { id: 'one', title: 'Open', statuses: ['backlog', 'pending', 'in_progress', 'review'] },
+                { id: 'two', title: ' open ', statuses: ['completed'] },
+                { id: 'three', title: '', statuses: ['cancelled'] }
+            ];
+            const result = taskService.validateBoardColumns(columns);
+
+            expect(result.errors).toContain('Column title "open" is used more than once');
+            expect(result.errors).toContain('Column 3 needs a title');
+        });
+    });
+
+    describe('loadTaskBoardColumns', () => {
+        it('returns the organization columns when valid', async () => {
+            const columns = [
+                { id: 'open', title: 'Open', statuses: ['backlog', 'pending', 'in_progress', 'review'] },
+                { id: 'closed', title: 'Closed', statuses: ['completed', 'cancelled'] }
+            ];
+            tasksApi.fetchTaskBoardColumns.mockResolvedValue(columns);
+
+            await expect(taskService.loadTaskBoardColumns()).resolves.toEqual(columns);
+        });
+
+        it('falls back to the defaults when nothing usable is saved', async () => {
+            tasksApi.fetchTaskBoardColumns.mockResolvedValueOnce([]);
+            await expect(taskService.loadTaskBoardColumns()).resolves.toBe(DEFAULT_BOARD_COLUMNS);
+
+            tasksApi.fetchTaskBoardColumns.mockResolvedValueOnce([{ id: 'x', title: 'X', statuses: ['pending'] }]);
+            await expect(taskService.loadTaskBoardColumns()).resolves.toBe(DEFAULT_BOARD_COLUMNS);
+
+            tasksApi.fetchTaskBoardColumns.mockRejectedValueOnce(new Error('Not found'));
+            await expect(taskService.loadTaskBoardColumns()).resolves.toBe(DEFAULT_BOARD_COLUMNS);
+        });
+    });
+
+    describe('saveTaskBoardColumns', () => {
+        it('trims titles before saving', async () => {
+            tasksApi.saveTaskBoardColumns.mockImplementation(async (columns) => columns);
+            const columns = DEFAULT_BOARD_COLUMNS.map(column => ({ ...column, title: `  ${column.title} ` }));
+
+            const saved = await taskService.saveTaskBoardColumns(columns);
+
+            expect(saved.map(column => column.title)).toEqual(['Backlog', 'In Progress', 'Review', 'Done']);
+        });
+
+        it('does not call the API for invalid columns', async () => {
+            await expect(taskService.saveTaskBoardColumns([{ id: 'x', title: 'X', statuses: [] }]))
+                .rejects.toThrow('Column "X" needs at least one status');
+            expect(tasksApi.saveTaskBoardColumns).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('groupTasksByColumn', () => {
+        it('places tasks by status and orders them by position, unordered tasks last', () => {
+            const tasks = [
+                ...buildTasks(),
+                { id: 'e', title: 'E', status: 'backlog', isCompleted: false, boardPosition: null, createdAt: '2026-09-05' },
+                { id: 'f', title: 'F', status: 'backlog', isCompleted: false, boardPosition: 512, createdAt: '2026-09-06' }
+            ];
+            const groups = taskService.groupTasksByColumn(tasks, DEFAULT_BOARD_COLUMNS);
+
+            expect(groups.backlog.map(t => t.id)).toEqual(['f', 'a', 'b', 'e']);
+            expect(groups.in_progress.map(t => t.id)).toEqual(['c']);
+            expect(groups.review).toEqual([]);
+            expect(groups.done.map(t => t.id)).toEqual(['d']);
+        });
+    });
+
+    describe('planBoardMove', () => {
+        it('moves a task to another column with the column status', () => {
+            const updates = taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'a', 'review', 0);
+            expect(updates).toEqual([{ taskId: 'a', status: 'review', board_position: 1024 }]);
+
+            const toBottom = taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'c', 'backlog', 2);
+            expect(toBottom).toEqual([{ taskId: 'c', status: 'backlog', board_position: 3072 }]);
+        });
+
+        it('keeps a status the target column already lists', () => {
+            const cancelled = [...buildTasks(), { id: 'x', status: 'cancelled', isCompleted: true, boardPosition: null }];
+            expect(taskService.planBoardMove(cancelled, DEFAULT_BOARD_COLUMNS, 'x', 'done', 0)[0].status).toBe('cancelled');
+        });
+
+        it('takes the midpoint between neighbours', () => {
+            const updates = taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'c', 'backlog', 1);
+            expect(updates).toEqual([{ taskId: 'c', status: 'backlog', board_position: 1536 }]);
+        });
+
+        it('reorders within a column and ignores drops in place', () => {
+            expect(taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'b', 'backlog', 0))
+                .toEqual([{ taskId: 'b', status: 'pending', board_position: 0 }]);
+            expect(taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'a', 'backlog', 0)).toEqual([]);
+        });
+
+        it('renumbers the column when neighbours have no position', () => {
+            const tasks = [
+                { id: 'p', status: 'review', boardPosition: null, createdAt: '2026-09-02' },
+                { id: 'q', status: 'review', boardPosition: null, createdAt: '2026-09-01' },
+                { id: 'r', status: 'pending', boardPosition: 1024, createdAt: '2026-09-03' }
+            ];
+            const updates = taskService.planBoardMove(tasks, DEFAULT_BOARD_COLUMNS, 'r', 'review', 1);
+
+            expect(updates).toEqual([
+                { taskId: 'r', status: 'review', board_position: 2048 },
+                { taskId: 'p', status: 'review', board_position: 1024 },
+                { taskId: 'q', status: 'review', board_position: 3072 }
+            ]);
+        });
+
+        it('throws for unknown tasks or columns', () => {
+            expect(() => taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'zz', 'done', 0)).toThrow('Task not found');
+            expect(() => taskService.planBoardMove(buildTasks(), DEFAULT_BOARD_COLUMNS, 'a', 'zz', 0)).toThrow('Board column not found');
+        });
+    });
+
+    describe('applyBoardUpdates and saveBoardUpdates', () => {
+        it('derives the completion flag from the new status', () => {
+            const tasks = buildTasks();
+            const updated = taskService.applyBoardUpdates(tasks, [
+                { taskId: 'a', status: 'completed', board_position: 10 },
+                { taskId: 'd', status: 'review', board_position: 20 }
+            ]);
+
+            expect(updated[0]).toMatchObject({ status: 'completed', isCompleted: true, boardPosition: 10 });
+            expect(updated[3]).toMatchObject({ status: 'review', isCompleted: false, boardPosition: 20 });
+            expect(updated[1]).toBe(tasks[1]);
+        });
+
+        it('persists each update through the workflow status endpoint in order', async () => {
+            tasksApi.updateTaskWorkflowStatus.mockResolvedValue({});
+            await taskService.saveBoardUpdates([
+                { taskId: 'a', status: 'review', board_position: 1 },
+                { taskId: 'b', status: 'pending', board_position: 2 }
+            ]);
+
+            expect(tasksApi.updateTaskWorkflowStatus.mock.calls).toEqual([
+                ['a', { status: 'review', board_position: 1 }],
+                ['b', { status: 'pending', board_position: 2 }]
+            ]);
+        });
+    });
+});
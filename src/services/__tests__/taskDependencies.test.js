@@ -0,0 +1,177 @@
+/**
+ * Task Dependencies Tests
+ *
+ * Tests for blocked-by relationships in taskService covering:
+ * - blocked_by validation and cycle detection on save
+ * - Derived blocked state
+ * - Dependency-aware sorting
+ * - Critical path computation
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+
+const PROJECT_ID = '110e8400-e29b-41d4-a716-446655440000';
+const CUSTOMER_ID = '220e8400-e29b-41d4-a716-446655440000';
+const DESIGN_ID = '550e8400-e29b-41d4-a716-446655440001';
+const BUILD_ID = '550e8400-e29b-41d4-a716-446655440002';
+const TEST_ID = '550e8400-e29b-41d4-a716-446655440003';
+const DOCS_ID = '550e8400-e29b-41d4-a716-446655440004';
+
+const buildTasks = () => [
+    { id: DESIGN_ID, title: 'Design', isCompleted: false, estimatedHours: 4, dueDate: '2026-10-01', blockedBy: [], createdAt: '2026-09-01' },
+    { id: BUILD_ID, title: 'Build', isCompleted: false, estimatedHours: 10, dueDate: '2026-10-30', blockedBy: [DESIGN_ID], createdAt: '2026-09-02' },
+    { id: TEST_ID, title: 'Test', isCompleted: false, estimatedHours: 3, blockedBy: [BUILD_ID], createdAt: '2026-09-03' },
+    { id: DOCS_ID, title: 'Docs', isCompleted: false, estimatedHours: 2, blockedBy: [DESIGN_ID], createdAt: '2026-09-04' }
+];
+
+describe('Task Dependencies', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateTaskData', () => {
+        it('should reject malformed blocked_by lists', () => {
+            expect(taskService.validateTaskData({ blocked_by: ['not-a-uuid'] }, { partial: true }).fieldErrors.blocked_by)
+                .toBe('Blocked by tasks must be valid UUIDs');
+            expect(taskService.validateTaskData({ blocked_by: [DESIGN_ID, DESIGN_ID] }, { partial: true }).fieldErrors.blocked_by)
+                .toBe('Blocked by tasks must not repeat');
+        });
+
+        it('should reject self and unknown dependencies', () => {
+            const projectTasks = buildTasks();
+
+            expect(taskService.validateTaskData(
+                { blocked_by: [BUILD_ID] }, { partial: true, projectTasks, taskId: BUILD_ID }
+            ).fieldErrors.blocked_by).toBe('A task cannot be blocked by itself');
+            expect(taskService.validateTaskData(
+                { blocked_by: [PROJECT_ID] }, { partial: true, projectTasks, taskId: BUILD_ID }
+            ).fieldErrors.blocked_by).toBe('Blocked by tasks must belong to the same project');
+        });
+
+        it('should reject dependencies that close a cycle', () => {
+            const validation = taskService.validateTaskData(
+                { blocked_by: [TEST_ID] },
+                { isUpdate: true, partial: true, projectTasks: buildTasks(), taskId: DESIGN_ID }
+            );
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.fieldErrors.blocked_by)
+                .toBe('Dependencies would create a cycle: Design → Test → Build → Design');
+        });
+
+        it('should accept an acyclic dependency', () => {
+            const validation = taskService.validateTaskData(
+                { blocked_by: [DESIGN_ID, BUILD_ID] },
+                { isUpdate: true, partial: true, projectTasks: buildTasks(), taskId: DOCS_ID }
+            );
+
+            expect(validation.isValid).toBe(true);
+        });
+    });
+
+    describe('saving', () => {
+        it('should send blocked_by when creating a task', async () => {
+            tasksApi.createTask.mockResolvedValue({ id: 'new' });
+
+            await taskService.createNewTask({
+                project_id: PROJECT_ID,
+                customer_id: CUSTOMER_ID,
+                title: 'Deploy',
+                blocked_by: [TEST_ID]
+            }, { projectTasks: buildTasks() });
+
+            expect(tasksApi.createTask).toHaveBeenCalledWith(expect.objectContaining({ blocked_by: [TEST_ID] }));
+        });
+
+        it('should refuse to save an update that creates a cycle', async () => {
+            await expect(taskService.updateExistingTask(
+                DESIGN_ID, { blocked_by: [DOCS_ID] }, { projectTasks: buildTasks() }
+            )).rejects.toThrow('Dependencies would create a cycle');
+
+            expect(tasksApi.updateTask).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('annotateTaskDependencies', () => {
+        it('should mark tasks blocked only while a predecessor is open', () => {
+            const tasks = buildTasks();
+            tasks[0] = { ...tasks[0], isCompleted: true };
+            tasks[2] = { ...tasks[2], blocked_by: [BUILD_ID], blockedBy: undefined };
+
+            const annotated = taskService.annotateTaskDependencies(tasks);
+            const byId = Object.fromEntries(annotated.map(task => [task.id, task]));
+
+            expect(byId[BUILD_ID].isBlocked).toBe(false);
+            expect(byId[TEST_ID].isBlocked).toBe(true);
+            expect(byId[TEST_ID].blockingTasks.map(task => task.id)).toEqual([BUILD_ID]);
+            expect(byId[DESIGN_ID].isBlocked).toBe(false);
+        });
+    });
+
+    describe('sortTasks', () => {
+        it('should keep the date order when there are no dependencies', () => {
+            const tasks = buildTasks().map(task => ({ ...task, blockedBy: [] }));
+
+            expect(taskService.sortTasks(tasks).map(task => task.id))
+                .toEqual([DOCS_ID, TEST_ID, BUILD_ID, DESIGN_ID]);
+        });
+
+        it('should place predecessors ahead of the tasks they block', () => {
+            const ids = taskService.sortTasks(buildTasks()).map(task => task.id);
+
+            expect(ids.indexOf(DESIGN_ID)).toBeLessThan(ids.indexOf(BUILD_ID));
+            expect(ids.indexOf(BUILD_ID)).toBeLessThan(ids.indexOf(TEST_ID));
+            expect(ids.indexOf(DESIGN_ID)).toBeLessThan(ids.indexOf(DOCS_ID));
+        });
+    });
+
+    describe('calculateCriticalPath', () => {
+        it('should follow the longest estimated chain and flag the overdue holder', () => {
+            const result = taskService.calculateCriticalPath(buildTasks(), new Date(2026, 9, 18));
+
+            expect(result.path.map(task => task.id)).toEqual([DESIGN_ID, BUILD_ID, TEST_ID]);
+            expect(result.totalHours).toBe(17);
+            expect(result.overdueTasks.map(task => task.id)).toEqual([DESIGN_ID]);
+            expect(result.holdingTask.id).toBe(DESIGN_ID);
+        });
+
+        it('should skip completed tasks and tolerate stored cycles', () => {
+            const tasks = buildTasks();
+            tasks[0] = { ...tasks[0], isCompleted: true, blockedBy: [TEST_ID] };
+
+            const result = taskService.calculateCriticalPath(tasks, new Date(2026, 9, 18));
+
+            expect(result.path.map(task => task.id)).toEqual([BUILD_ID, TEST_ID]);
+            expect(result.overdueTasks).toEqual([]);
+            expect(result.holdingTask.id).toBe(BUILD_ID);
+
+            const cyclic = buildTasks();
+            cyclic[0] = { ...cyclic[0], blockedBy: [TEST_ID] };
+            expect(taskService.findDependencyCycle(cyclic)).toEqual([DESIGN_ID, TEST_ID, BUILD_ID, DESIGN_ID]);
+            expect(() => taskService.calculateCriticalPath(cyclic)).not.toThrow();
+        });
+
+        it('should return an empty path when everything is done', () => {
+            const tasks = buildTasks().map(task => ({ ...task, status: 'completed' }));
+
+            expect(taskService.calculateCriticalPath(tasks)).toEqual({
+                path: [], totalHours: 0, overdueTasks: [], holdingTask: null
+            });
+        });
+    });
+});
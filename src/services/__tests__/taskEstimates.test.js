@@ -0,0 +1,127 @@
+/**
+ * Task Estimates Tests
+ *
+ * Tests for estimates vs. actuals in taskService covering:
+ * - estimated_hours validation
+ * - Burn status against the estimate
+ * - Threshold crossing for running timer alerts
+ * - Loading logged hours per estimated task
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+
+const PROJECT_ID = '440e8400-e29b-41d4-a716-446655440000';
+const ESTIMATED_ID = '550e8400-e29b-41d4-a716-446655440001';
+const UNLOGGED_ID = '550e8400-e29b-41d4-a716-446655440002';
+const UNESTIMATED_ID = '550e8400-e29b-41d4-a716-446655440003';
+
+describe('Task Estimates', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateTaskData', () => {
+        it('should accept numeric and string estimates', () => {
+            expect(taskService.validateTaskData({ estimated_hours: 4.5 }, { partial: true }).isValid).toBe(true);
+            expect(taskService.validateTaskData({ estimated_hours: '4.5' }, { partial: true }).isValid).toBe(true);
+        });
+
+        it('should reject negative, malformed and oversized estimates', () => {
+            const errorFor = (value) =>
+                taskService.validateTaskData({ estimated_hours: value }, { partial: true }).fieldErrors.estimated_hours;
+
+            expect(errorFor(-1)).toBe('Estimated hours must be positive');
+            expect(errorFor('abc')).toBe('Estimated hours must be a valid number');
+            expect(errorFor(5000)).toBe('Estimated hours must be at most 1000');
+            expect(errorFor(true)).toBe('estimated_hours must be a number or string');
+        });
+    });
+
+    describe('getTaskEstimatedHours', () => {
+        it('should prefer the latest saved estimate', () => {
+            expect(taskService.getTaskEstimatedHours({ estimatedHours: '6' })).toBe(6);
+            expect(taskService.getTaskEstimatedHours({ estimatedHours: 6, estimated_hours: 8 })).toBe(8);
+            expect(taskService.getTaskEstimatedHours({ estimatedHours: 6, estimated_hours: null })).toBeNull();
+            expect(taskService.getTaskEstimatedHours({})).toBeNull();
+        });
+    });
+
+    describe('calculateEstimateBurn', () => {
+        it('should report burn status against the estimate', () => {
+            expect(taskService.calculateEstimateBurn(10, 5)).toMatchObject({
+                percent: 50, remainingHours: 5, status: taskService.ESTIMATE_STATUS.ON_TRACK
+            });
+            expect(taskService.calculateEstimateBurn(10, 8).status).toBe(taskService.ESTIMATE_STATUS.AT_RISK);
+            expect(taskService.calculateEstimateBurn(10, 12)).toMatchObject({
+                percent: 120, remainingHours: -2, status: taskService.ESTIMATE_STATUS.OVER
+            });
+            expect(taskService.calculateEstimateBurn(null, 3).status).toBe(taskService.ESTIMATE_STATUS.UNESTIMATED);
+        });
+    });
+
+    describe('getCrossedEstimateThreshold', () => {
+        it('should report each threshold once as time grows past it', () => {
+            expect(taskService.getCrossedEstimateThreshold(10, 7.9, 8)).toBe(0.8);
+            expect(taskService.getCrossedEstimateThreshold(10, 8, 9)).toBeNull();
+            expect(taskService.getCrossedEstimateThreshold(10, 9.99, 10.01)).toBe(1);
+            expect(taskService.getCrossedEstimateThreshold(10, 7, 11)).toBe(1);
+            expect(taskService.getCrossedEstimateThreshold(10, 11, 8)).toBeNull();
+            expect(taskService.getCrossedEstimateThreshold(null, 0, 5)).toBeNull();
+        });
+    });
+
+    describe('calculateTaskStats', () => {
+        it('should total estimates and count overruns', () => {
+            const stats = taskService.calculateTaskStats([
+                { id: ESTIMATED_ID, isCompleted: false, estimatedHours: 4, actualHours: 5 },
+                { id: UNLOGGED_ID, isCompleted: true, estimatedHours: 6, actualHours: 2 },
+                { id: UNESTIMATED_ID, isCompleted: false, actualHours: 3 }
+            ], []);
+
+            expect(stats.totalEstimatedHours).toBe(10);
+            expect(stats.overEstimate).toBe(1);
+        });
+    });
+
+    describe('loadTaskActuals', () => {
+        it('should sum logged hours for estimated tasks from one project request', async () => {
+            tasksApi.fetchProjectTimers.mockResolvedValue([
+                { id: 'a', task_id: ESTIMATED_ID, duration_minutes: 90 },
+                { id: 'b', task_id: ESTIMATED_ID, duration_minutes: 30 },
+                { id: 'c', task_id: ESTIMATED_ID, duration_minutes: null, status: 'active' },
+                { id: 'd', task_id: UNESTIMATED_ID, duration_minutes: 60 }
+            ]);
+
+            const actuals = await taskService.loadTaskActuals(PROJECT_ID, [
+                { id: ESTIMATED_ID, estimatedHours: 4 },
+                { id: UNLOGGED_ID, estimatedHours: 2 },
+                { id: UNESTIMATED_ID }
+            ]);
+
+            expect(actuals).toEqual({ [ESTIMATED_ID]: 2, [UNLOGGED_ID]: 0 });
+            expect(tasksApi.fetchProjectTimers).toHaveBeenCalledTimes(1);
+            expect(tasksApi.fetchProjectTimers).toHaveBeenCalledWith(PROJECT_ID);
+            expect(tasksApi.fetchTaskTimers).not.toHaveBeenCalled();
+        });
+
+        it('should skip the request when no task is estimated', async () => {
+            await expect(taskService.loadTaskActuals(PROJECT_ID, [{ id: UNESTIMATED_ID }])).resolves.toEqual({});
+            expect(tasksApi.fetchProjectTimers).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Timer Journal Tests
+ *
+ * Tests for offline timer journaling covering:
+ * - Journal persistence and ID remapping (timerJournalService)
+ * - Journaling timer operations when the backend is unreachable (taskService)
+ * - In-order replay with original timestamps
+ * - Conflict detection against the server's active timer
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as taskService from '../taskService';
+import * as timerJournal from '../timerJournalService';
+import * as tasksApi from '../../api/tasks';
+
+const TASK_ID = '550e8400-e29b-41d4-a716-446655440000';
+const STAFF_ID = '660e8400-e29b-41d4-a716-446655440001';
+const SERVER_TIMER_ID = '770e8400-e29b-41d4-a716-446655440002';
+const OTHER_TIMER_ID = '880e8400-e29b-41d4-a716-446655440003';
+
+function networkError() {
+    const error = new Error('Network Error');
+    error.isNetworkError = true;
+    return error;
+}
+
+describe('Timer Journal', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('timerJournalService', () => {
+        it('should persist events in order', () => {
+            timerJournal.appendTimerEvent({ type: 'start', entryId: 'local-1', taskId: TASK_ID });
+            timerJournal.appendTimerEvent({ type: 'pause', entryId: 'local-1' });
+
+            const journal = timerJournal.getTimerJournal();
+            expect(journal.map(entry => entry.type)).toEqual(['start', 'pause']);
+            expect(journal.every(entry => entry.status === 'pending')).toBe(true);
+            expect(journal[0].occurredAt).toBeDefined();
+        });
+
+        it('should reject unknown event types', () => {
+            expect(() => timerJournal.appendTimerEvent({ type: 'rewind', entryId: 'local-1' }))
+                .toThrow('Invalid timer event type: rewind');
+        });
+
+        it('should remap local IDs and resolve them afterwards', () => {
+            timerJournal.appendTimerEvent({ type: 'start', entryId: 'local-1' });
+            timerJournal.remapTimerEntryId('local-1', SERVER_TIMER_ID);
+
+            expect(timerJournal.getTimerJournal()[0].entryId).toBe(SERVER_TIMER_ID);
+            expect(timerJournal.resolveTimerEntryId('local-1')).toBe(SERVER_TIMER_ID);
+
+            // Events journaled later with the stale local ID land on the server ID
+            const entry = timerJournal.appendTimerEvent({ type: 'stop', entryId: 'local-1' });
+            expect(entry.entryId).toBe(SERVER_TIMER_ID);
+        });
+
+        it('should only count pending events globally but all events per timer', () => {
+            timerJournal.appendTimerEvent({ type: 'stop', entryId: SERVER_TIMER_ID });
+            timerJournal.markTimerConflict(SERVER_TIMER_ID, { reason: 'test' });
+
+            expect(timerJournal.hasPendingTimerEvents()).toBe(false);
+            expect(timerJournal.hasPendingTimerEvents(SERVER_TIMER_ID)).toBe(true);
+            expect(timerJournal.getTimerConflicts()).toHaveLength(1);
+        });
+
+        it('should recognise local timer IDs', () => {
+            expect(timerJournal.isLocalTimerId(timerJournal.createLocalTimerId())).toBe(true);
+            expect(timerJournal.isLocalTimerId(SERVER_TIMER_ID)).toBe(false);
+        });
+    });
+
+    describe('journaling timer operations while offline', () => {
+        const task = { id: TASK_ID, _staffID: STAFF_ID };
+
+        it('should journal a start when the backend is unreachable', async () => {
+            tasksApi.getActiveTimer.mockRejectedValue(networkError());
+            tasksApi.startTaskTimer.mockRejectedValue(networkError());
+
+            const result = await taskService.startTimer(task);
+
+            expect(result.is_offline).toBe(true);
+            expect(timerJournal.isLocalTimerId(result.id)).toBe(true);
+            expect(timerJournal.getTimerJournal()[0]).toMatchObject({
+                type: 'start',
+                entryId: result.id,
+                taskId: TASK_ID,
+                staffId: STAFF_ID
+            });
+        });
+
+        it('should journal pause and stop for a timer started offline without calling the API', async () => {
+            const localId = timerJournal.createLocalTimerId();
+            timerJournal.appendTimerEvent({ type: 'start', entryId: localId, taskId: TASK_ID, staffId: STAFF_ID });
+
+            await taskService.pauseTimer(localId);
+            const stopResult = await taskService.stopTimer({ recordId: localId, description: 'Offline work' });
+
+            expect(tasksApi.pauseTimer).not.toHaveBeenCalled();
+            expect(tasksApi.stopTaskTimer).not.toHaveBeenCalled();
+            expect(stopResult.queued).toBe(true);
+            expect(timerJournal.getTimerJournal().map(entry => entry.type)).toEqual(['start', 'pause', 'stop']);
+        });
+
+        it('should journal a stop without retrying on network failure', async () => {
+            tasksApi.stopTaskTimer.mockRejectedValue(networkError());
+
+            const result = await taskService.stopTimer({ recordId: SERVER_TIMER_ID, description: 'Work' });
+
+            expect(tasksApi.stopTaskTimer).toHaveBeenCalledTimes(1);
+            expect(result.queued).toBe(true);
+            expect(timerJournal.getTimerJournal()[0]).toMatchObject({
+                type: 'stop',
+                entryId: SERVER_TIMER_ID,
+                payload: expect.objectContaining({ description: 'Work' })
+            });
+        });
+
+        it('should queue a start behind pending journal events', async () => {
+            timerJournal.appendTimerEvent({ type: 'stop', entryId: SERVER_TIMER_ID });
+
+            const result = await taskService.startTimer(task);
+
+            expect(tasksApi.startTaskTimer).not.toHaveBeenCalled();
+            expect(result.is_offline).toBe(true);
+        });
+    });
+
+    describe('replayTimerJournal', () => {
+        it('should replay events in order with their original timestamps', async () => {
+            const localId = timerJournal.createLocalTimerId();
+            timerJournal.appendTimerEvent({
+                type: 'start', entryId: localId, taskId: TASK_ID, staffId: STAFF_ID,
+                occurredAt: '2026-10-01T09:00:00.000Z'
+            });
+            timerJournal.appendTimerEvent({ type: 'pause', entryId: localId, occurredAt: '2026-10-01T10:00:00.000Z' });
+            timerJournal.appendTimerEvent({
+                type: 'stop', entryId: localId, occurredAt: '2026-10-01T11:00:00.000Z',
+                payload: { description: 'Offline work' }
+            });
+
+            tasksApi.getActiveTimer
+                .mockResolvedValueOnce(null)
+                .mockResolvedValue({ id: SERVER_TIMER_ID, status: 'active' });
+            tasksApi.startTaskTimer.mockResolvedValue({ id: SERVER_TIMER_ID });
+            tasksApi.pauseTimer.mockResolvedValue({ id: SERVER_TIMER_ID, status: 'paused' });
+            tasksApi.stopTaskTimer.mockResolvedValue({ time_entry: { id: SERVER_TIMER_ID, is_billable: false } });
+
+            const summary = await taskService.replayTimerJournal('org-1');
+
+            expect(tasksApi.startTaskTimer).toHaveBeenCalledWith(
+                TASK_ID, expect.any(Object), { startedAt: '2026-10-01T09:00:00.000Z' }
+            );
+            expect(tasksApi.pauseTimer).toHaveBeenCalledWith(SERVER_TIMER_ID, { occurredAt: '2026-10-01T10:00:00.000Z' });
+            expect(tasksApi.stopTaskTimer).toHaveBeenCalledWith(
+                SERVER_TIMER_ID, 'Offline work', undefined, 0, { occurredAt: '2026-10-01T11:00:00.000Z' }
+            );
+            expect(summary).toMatchObject({ replayed: 3, remaining: 0, conflicts: [] });
+            expect(summary.idMap[localId]).toBe(SERVER_TIMER_ID);
+            expect(timerJournal.getTimerJournal()).toEqual([]);
+        });
+
+        it('should flag a conflict when a different timer is active on the server', async () => {
+            timerJournal.appendTimerEvent({ type: 'stop', entryId: SERVER_TIMER_ID });
+            tasksApi.getActiveTimer.mockResolvedValue({ id: OTHER_TIMER_ID, status: 'active' });
+
+            const summary = await taskService.replayTimerJournal();
+
+            expect(tasksApi.stopTaskTimer).not.toHaveBeenCalled();
+            expect(summary.conflicts).toHaveLength(1);
+            expect(summary.conflicts[0]).toMatchObject({
+                entryId: SERVER_TIMER_ID,
+                serverTimer: { id: OTHER_TIMER_ID, status: 'active' }
+            });
+        });
+
+        it('should flag a conflict when the timer was already stopped on the server', async () => {
+            timerJournal.appendTimerEvent({ type: 'pause', entryId: SERVER_TIMER_ID });
+            tasksApi.getActiveTimer.mockResolvedValue(null);
+
+            const summary = await taskService.replayTimerJournal();
+
+            expect(tasksApi.pauseTimer).not.toHaveBeenCalled();
+            expect(summary.conflicts[0].reason).toBe('This timer is no longer running on the server');
+        });
+
+        it('should keep remaining events when still offline', async () => {
+            timerJournal.appendTimerEvent({ type: 'stop', entryId: SERVER_TIMER_ID });
+            tasksApi.getActiveTimer.mockRejectedValue(networkError());
+
+            const summary = await taskService.replayTimerJournal();
+
+            expect(summary).toMatchObject({ replayed: 0, remaining: 1 });
+        });
+
+        it('should drop discarded conflicts and retry the rest', async () => {
+            timerJournal.appendTimerEvent({ type: 'stop', entryId: SERVER_TIMER_ID });
+            timerJournal.markTimerConflict(SERVER_TIMER_ID, { reason: 'test' });
+
+            taskService.resolveTimerConflict(SERVER_TIMER_ID, 'retry');
+            expect(timerJournal.hasPendingTimerEvents()).toBe(true);
+
+            taskService.resolveTimerConflict(SERVER_TIMER_ID, 'discard');
+            expect(timerJournal.getTimerJournal()).toEqual([]);
+
+            expect(() => taskService.resolveTimerConflict(SERVER_TIMER_ID, 'ignore'))
+                .toThrow('Unknown conflict resolution: ignore');
+        });
+    });
+});
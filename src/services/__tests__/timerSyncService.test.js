@@ -0,0 +1,202 @@
+/**
+ * Timer Sync Service Tests
+ *
+ * Tests for multi-device timer sync covering:
+ * - Reconciling local timer state with the server's active timer
+ * - Realtime subscription with polling fallback
+ * - Taking over a timer running in another session (taskService)
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import { subscribeToActiveTimer, reconcileActiveTimer, TIMER_SYNC_INTERVALS } from '../timerSyncService';
+import { appendTimerEvent } from '../timerJournalService';
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+import { getSupabaseClient } from '../supabaseService';
+
+const TASK_ID = '550e8400-e29b-41d4-a716-446655440000';
+const STAFF_ID = '660e8400-e29b-41d4-a716-446655440001';
+const TIMER_ID = '770e8400-e29b-41d4-a716-446655440002';
+const OTHER_TIMER_ID = '880e8400-e29b-41d4-a716-446655440003';
+
+function mockRealtimeChannel() {
+    const channel = {
+        on: jest.fn().mockReturnThis(),
+        subscribe: jest.fn().mockReturnThis()
+    };
+    const client = {
+        channel: jest.fn(() => channel),
+        removeChannel: jest.fn()
+    };
+    getSupabaseClient.mockReturnValue(client);
+    return { client, channel };
+}
+
+describe('Timer Sync Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('reconcileActiveTimer', () => {
+        it('should adopt the server timer when none runs locally', () => {
+            const serverTimer = { id: TIMER_ID, status: 'active' };
+            expect(reconcileActiveTimer({ recordId: null }, serverTimer).action).toBe('adopt');
+        });
+
+        it('should adopt the server timer when the local one is stale', () => {
+            const serverTimer = { id: OTHER_TIMER_ID, status: 'active' };
+            expect(reconcileActiveTimer({ id: TIMER_ID, recordId: TIMER_ID }, serverTimer).action).toBe('adopt');
+        });
+
+        it('should clear the local timer when it was stopped elsewhere', () => {
+            expect(reconcileActiveTimer({ id: TIMER_ID, recordId: TIMER_ID }, null).action).toBe('clear');
+        });
+
+        it('should update when the timer was paused elsewhere', () => {
+            const local = { id: TIMER_ID, status: 'active', pause_duration_seconds: 0 };
+            const serverTimer = { id: TIMER_ID, status: 'paused', pause_duration_seconds: 0 };
+            expect(reconcileActiveTimer(local, serverTimer).action).toBe('update');
+        });
+
+        it('should do nothing when both sides agree', () => {
+            const local = { id: TIMER_ID, status: 'active', pause_duration_seconds: 30 };
+            const serverTimer = { id: TIMER_ID, status: 'active', pause_duration_seconds: 30 };
+            expect(reconcileActiveTimer(local, serverTimer).action).toBe('none');
+        });
+
+        it('should leave offline timers to the journal replay', () => {
+            expect(reconcileActiveTimer({ id: 'local-abc', recordId: 'local-abc' }, null).action).toBe('none');
+
+            appendTimerEvent({ type: 'stop', entryId: TIMER_ID });
+            expect(reconcileActiveTimer({ id: TIMER_ID, recordId: TIMER_ID }, null).action).toBe('none');
+        });
+    });
+
+    describe('subscribeToActiveTimer', () => {
+        it('should subscribe to time entry changes for the staff member', async () => {
+            const { channel } = mockRealtimeChannel();
+            tasksApi.getActiveTimer.mockResolvedValue(null);
+            const onChange = jest.fn();
+
+            const unsubscribe = subscribeToActiveTimer({ onChange, staffId: STAFF_ID });
+            await Promise.resolve();
+
+            expect(channel.on).toHaveBeenCalledWith(
+                'postgres_changes',
+                expect.objectContaining({ table: 'time_entries', filter: `staff_id=eq.${STAFF_ID}` }),
+                expect.any(Function)
+            );
+            expect(onChange).toHaveBeenCalledWith(null);
+            unsubscribe();
+        });
+
+        it('should poll when realtime is unavailable', async () => {
+            jest.useFakeTimers();
+            getSupabaseClient.mockImplementation(() => {
+                throw new Error('Realtime disabled');
+            });
+            tasksApi.getActiveTimer.mockResolvedValue({ id: TIMER_ID });
+            const onChange = jest.fn();
+
+            const unsubscribe = subscribeToActiveTimer({ onChange });
+            await Promise.resolve();
+            expect(tasksApi.getActiveTimer).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(TIMER_SYNC_INTERVALS.FALLBACK);
+            await Promise.resolve();
+            expect(tasksApi.getActiveTimer).toHaveBeenCalledTimes(2);
+
+            unsubscribe();
+            jest.advanceTimersByTime(TIMER_SYNC_INTERVALS.FALLBACK);
+            expect(tasksApi.getActiveTimer).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep local state when the server cannot be reached', async () => {
+            mockRealtimeChannel();
+            tasksApi.getActiveTimer.mockRejectedValue(new Error('Network Error'));
+            const onChange = jest.fn();
+
+            const unsubscribe = subscribeToActiveTimer({ onChange });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(onChange).not.toHaveBeenCalled();
+            unsubscribe();
+        });
+
+        it('should remove the realtime channel on unsubscribe', () => {
+            const { client, channel } = mockRealtimeChannel();
+            tasksApi.getActiveTimer.mockResolvedValue(null);
+
+            const unsubscribe = subscribeToActiveTimer({ onChange: jest.fn() });
+            unsubscribe();
+
+            expect(client.removeChannel).toHaveBeenCalledWith(channel);
+        });
+
+        it('should share one channel between subscribers', async () => {
+            const { client, channel } = mockRealtimeChannel();
+            tasksApi.getActiveTimer.mockResolvedValue({ id: TIMER_ID });
+            const first = jest.fn();
+            const second = jest.fn();
+
+            const unsubscribeFirst = subscribeToActiveTimer({ onChange: first });
+            await Promise.resolve();
+            const unsubscribeSecond = subscribeToActiveTimer({ onChange: second });
+
+            expect(client.channel).toHaveBeenCalledTimes(1);
+            expect(tasksApi.getActiveTimer).toHaveBeenCalledTimes(1);
+            expect(second).toHaveBeenCalledWith({ id: TIMER_ID });
+
+            unsubscribeFirst();
+            expect(client.removeChannel).not.toHaveBeenCalled();
+            unsubscribeSecond();
+            expect(client.removeChannel).toHaveBeenCalledWith(channel);
+        });
+    });
+
+    describe('takeOverActiveTimer', () => {
+        const task = { id: TASK_ID, _staffID: STAFF_ID };
+
+        it('should stop the other session\'s timer before starting a new one', async () => {
+            tasksApi.getActiveTimer
+                .mockResolvedValueOnce({ id: OTHER_TIMER_ID, status: 'active' })
+                .mockResolvedValue(null);
+            tasksApi.stopTaskTimer.mockResolvedValue({ time_entry: { id: OTHER_TIMER_ID, is_billable: false } });
+            tasksApi.startTaskTimer.mockResolvedValue({ id: TIMER_ID, status: 'active' });
+
+            const result = await taskService.takeOverActiveTimer(task);
+
+            expect(tasksApi.stopTaskTimer).toHaveBeenCalledWith(
+                OTHER_TIMER_ID, taskService.TAKEOVER_STOP_DESCRIPTION, undefined, 0, undefined
+            );
+            expect(tasksApi.startTaskTimer).toHaveBeenCalledWith(TASK_ID, task);
+            expect(result.id).toBe(TIMER_ID);
+        });
+
+        it('should just start when nothing is running elsewhere', async () => {
+            tasksApi.getActiveTimer.mockResolvedValue(null);
+            tasksApi.startTaskTimer.mockResolvedValue({ id: TIMER_ID, status: 'active' });
+
+            await taskService.takeOverActiveTimer(task);
+
+            expect(tasksApi.stopTaskTimer).not.toHaveBeenCalled();
+            expect(tasksApi.startTaskTimer).toHaveBeenCalled();
+        });
+    });
+});
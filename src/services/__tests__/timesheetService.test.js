@@ -0,0 +1,403 @@
+/**
+ * Timesheet Service Tests
+ *
+ * Tests for weekly timesheets covering:
+ * - Week boundaries and the staff × day × task grid
+ * - Manual entries and copy-last-week
+ * - The submit → approve/reject state machine
+ * - Financial records created on approval, and retried for approved entries without one
+ */
+
+jest.mock('../../api/tasks');
+jest.mock('../../api/links');
+jest.mock('../../api/financialRecords');
+jest.mock('../salesService');
+jest.mock('../supabaseService');
+jest.mock('../dataService');
+
+// Import after mocks
+import * as timesheetService from '../timesheetService';
+import * as taskService from '../taskService';
+import * as tasksApi from '../../api/tasks';
+import * as financialRecordsApi from '../../api/financialRecords';
+import { getSupabaseClient } from '../supabaseService';
+
+const { TIMESHEET_STATUS } = timesheetService;
+
+const TASK_A = { id: '550e8400-e29b-41d4-a716-446655440000', task: 'Design', _projectID: 'project-1' };
+const TASK_B = { id: '550e8400-e29b-41d4-a716-446655440001', task: 'Build', _projectID: 'project-1' };
+const STAFF_ID = '660e8400-e29b-41d4-a716-446655440001';
+const OTHER_STAFF_ID = '660e8400-e29b-41d4-a716-446655440002';
+
+// Monday 12 October 2026, local time
+const WEEK_START = new Date(2026, 9, 12);
+
+function record(overrides = {}) {
+    const start = overrides.start || new Date(2026, 9, 12, 10);
+    const minutes = overrides.minutes ?? 60;
+    return {
+        id: overrides.id || 'entry-1',
+        task_id: overrides.taskId || TASK_A.id,
+        staff_id: overrides.staffId || STAFF_ID,
+        start_time: start.toISOString(),
+        end_time: new Date(start.getTime() + minutes * 60000).toISOString(),
+        duration_minutes: minutes,
+        status: 'completed',
+        source: overrides.source,
+        approval_status: overrides.approvalStatus,
+        description: overrides.description || ''
+    };
+}
+
+function processed(overrides = {}) {
+    return {
+        id: overrides.id || 'entry-1',
+        taskId: overrides.taskId || TASK_A.id,
+        staffId: overrides.staffId || STAFF_ID,
+        startTime: overrides.start || new Date(2026, 9, 12, 10),
+        endTime: new Date(2026, 9, 12, 11),
+        duration: overrides.duration ?? 1,
+        source: overrides.source || 'timer',
+        approvalStatus: overrides.approvalStatus || TIMESHEET_STATUS.DRAFT
+    };
+}
+
+// Supabase rows read when billing: the customer's name and its rounding policy
+function mockCustomerBilling(dailyMinimumMinutes = 0) {
+    const rows = {
+        customers: { business_name: 'Acme Corp' },
+        customer_settings: {
+            data: JSON.stringify({ mode: 'none', minimum_entry_minutes: 0, daily_minimum_minutes: dailyMinimumMinutes })
+        }
+    };
+    getSupabaseClient.mockReturnValue({
+        from: jest.fn(table => {
+            const builder = {
+                select: () => builder,
+                eq: () => builder,
+                single: async () => ({ data: rows[table], error: null }),
+                maybeSingle: async () => ({ data: rows[table], error: null })
+            };
+            return builder;
+        })
+    });
+}
+
+describe('Timesheet Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('weeks', () => {
+        it('should start weeks on Monday', () => {
+            expect(timesheetService.getWeekStart(new Date(2026, 9, 18, 15))).toEqual(WEEK_START);
+            expect(timesheetService.getWeekStart(new Date(2026, 9, 12, 8))).toEqual(WEEK_START);
+        });
+
+        it('should list the seven days of the week', () => {
+            const days = timesheetService.getWeekDays(WEEK_START);
+            expect(days).toHaveLength(7);
+            expect(days[0]).toBe('2026-10-12');
+            expect(days[6]).toBe('2026-10-18');
+        });
+    });
+
+    describe('fetchWeekEntries', () => {
+        it('should load each task\'s entries for the week and drop running timers', async () => {
+            tasksApi.fetchTaskTimers.mockImplementation(async (taskId) => (
+                taskId === TASK_A.id
+                    ? [record(), { ...record({ id: 'running' }), end_time: null, status: 'active' }]
+                    : [record({ id: 'entry-2', taskId: TASK_B.id, start: new Date(2026, 9, 13, 9) })]
+            ));
+
+            const entries = await timesheetService.fetchWeekEntries([TASK_A, TASK_B], WEEK_START, STAFF_ID);
+
+            expect(tasksApi.fetchTaskTimers).toHaveBeenCalledWith(TASK_A.id, {
+                start_date: '2026-10-12',
+                end_date: '2026-10-18',
+                staff_id: STAFF_ID
+            });
+            expect(entries.map(entry => entry.id)).toEqual(['entry-1', 'entry-2']);
+        });
+    });
+
+    describe('buildTimesheetGrid', () => {
+        it('should group entries by staff, task and day', () => {
+            const entries = [
+                processed({ id: 'a', duration: 1.5 }),
+                processed({ id: 'b', duration: 0.5 }),
+                processed({ id: 'c', taskId: TASK_B.id, start: new Date(2026, 9, 14, 9), duration: 2 }),
+                processed({ id: 'd', staffId: OTHER_STAFF_ID, approvalStatus: TIMESHEET_STATUS.SUBMITTED })
+            ];
+
+            const grid = timesheetService.buildTimesheetGrid(entries, [TASK_A, TASK_B], WEEK_START);
+
+            expect(grid.sheets).toHaveLength(2);
+            const mine = grid.sheets.find(sheet => sheet.staffId === STAFF_ID);
+            const designRow = mine.rows.find(row => row.task.id === TASK_A.id);
+            expect(designRow.cells['2026-10-12'].hours).toBe(2);
+            expect(designRow.cells['2026-10-12'].entries).toHaveLength(2);
+            expect(mine.dayTotals['2026-10-14']).toBe(2);
+            expect(mine.total).toBe(4);
+            expect(mine.status).toBe(TIMESHEET_STATUS.DRAFT);
+            expect(grid.sheets.find(sheet => sheet.staffId === OTHER_STAFF_ID).status).toBe(TIMESHEET_STATUS.SUBMITTED);
+        });
+
+        it('should give listed staff a row for every open task', () => {
+            const grid = timesheetService.buildTimesheetGrid(
+                [], [TASK_A, { ...TASK_B, isCompleted: true }], WEEK_START, { staffIds: [STAFF_ID] }
+            );
+
+            expect(grid.sheets[0].rows.map(row => row.task.id)).toEqual([TASK_A.id]);
+            expect(grid.sheets[0].total).toBe(0);
+        });
+    });
+
+    describe('approval state machine', () => {
+        it('should derive the week status from its entries', () => {
+            const { getTimesheetStatus } = timesheetService;
+            expect(getTimesheetStatus([])).toBe(TIMESHEET_STATUS.DRAFT);
+            expect(getTimesheetStatus([processed({ approvalStatus: 'submitted' }), processed()])).toBe(TIMESHEET_STATUS.DRAFT);
+            expect(getTimesheetStatus([processed({ approvalStatus: 'submitted' }), processed({ approvalStatus: 'approved' })]))
+                .toBe(TIMESHEET_STATUS.SUBMITTED);
+            expect(getTimesheetStatus([processed({ approvalStatus: 'approved' })])).toBe(TIMESHEET_STATUS.APPROVED);
+            expect(getTimesheetStatus([processed({ approvalStatus: 'rejected' }), processed({ approvalStatus: 'approved' })]))
+                .toBe(TIMESHEET_STATUS.REJECTED);
+        });
+
+        it('should only allow valid transitions', () => {
+            const { canTransitionTimesheet } = timesheetService;
+            expect(canTransitionTimesheet('draft', 'submitted')).toBe(true);
+            expect(canTransitionTimesheet('rejected', 'submitted')).toBe(true);
+            expect(canTransitionTimesheet('submitted', 'approved')).toBe(true);
+            expect(canTransitionTimesheet('draft', 'approved')).toBe(false);
+            expect(canTransitionTimesheet('approved', 'rejected')).toBe(false);
+        });
+
+        it('should submit draft entries', async () => {
+            tasksApi.reviewTimeEntries.mockResolvedValue([]);
+
+            await timesheetService.submitTimesheet([processed({ id: 'a' }), processed({ id: 'b' })]);
+
+            expect(tasksApi.reviewTimeEntries).toHaveBeenCalledWith('submit', ['a', 'b']);
+        });
+
+        it('should not approve a week that was never submitted', async () => {
+            await expect(timesheetService.approveTimesheet([processed()]))
+                .rejects.toThrow('A draft timesheet cannot be approved');
+            expect(tasksApi.reviewTimeEntries).not.toHaveBeenCalled();
+        });
+
+        it('should create financial records for billable entries on approval', async () => {
+            tasksApi.reviewTimeEntries.mockResolvedValue([
+                { time_entry: { id: 'a', is_billable: true }, financial_record: { id: 'fr-1' } },
+                { time_entry: { id: 'b', is_billable: true, financial_record_id: 'fr-2' } },
+                { time_entry: { id: 'c', is_billable: false } }
+            ]);
+            const entries = ['a', 'b', 'c'].map(id => processed({ id, approvalStatus: TIMESHEET_STATUS.SUBMITTED }));
+
+            const result = await timesheetService.approveTimesheet(entries, 'org-1');
+
+            expect(tasksApi.reviewTimeEntries).toHaveBeenCalledWith('approve', ['a', 'b', 'c']);
+            expect(result.financialRecords).toEqual([{ id: 'fr-1' }, { id: 'fr-2' }]);
+            expect(result.failures).toEqual([]);
+        });
+
+        it('should bill a stopped timer entry once, when it is approved', async () => {
+            const timeEntry = {
+                id: 'entry-1',
+                customer_id: 'customer-1',
+                duration_minutes: 60,
+                hourly_rate: 100,
+                is_billable: true
+            };
+            mockCustomerBilling();
+            tasksApi.stopTaskTimer.mockResolvedValue({ time_entry: timeEntry });
+            tasksApi.reviewTimeEntries.mockResolvedValue([
+                { time_entry: { ...timeEntry, approval_status: TIMESHEET_STATUS.APPROVED } }
+            ]);
+            financialRecordsApi.createFinancialRecord.mockResolvedValue('fr-1');
+
+            const stopped = await taskService.stopTimer({ recordId: 'entry-1' }, 'org-1');
+            expect(stopped.financial_record).toBeUndefined();
+            expect(financialRecordsApi.createFinancialRecord).not.toHaveBeenCalled();
+
+            const result = await timesheetService.approveTimesheet(
+                [processed({ approvalStatus: TIMESHEET_STATUS.SUBMITTED })],
+                'org-1'
+            );
+
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledTimes(1);
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledWith(
+                expect.objectContaining({ quantity: 1, unitPrice: 100 })
+            );
+            expect(result.financialRecords).toEqual([expect.objectContaining({ id: 'fr-1' })]);
+        });
+
+        it('should apply the daily minimum to each work day when approving a week', async () => {
+            mockCustomerBilling(120);
+            financialRecordsApi.fetchRecordsForDateRange.mockResolvedValue({ response: { data: [] } });
+            financialRecordsApi.createFinancialRecord.mockImplementation(async params => `fr-${params.timeEntryId}`);
+            const timeEntry = (id, start) => ({
+                time_entry: {
+                    id,
+                    customer_id: 'customer-1',
+                    start_time: start.toISOString(),
+                    duration_minutes: 60,
+                    hourly_rate: 100,
+                    is_billable: true
+                }
+            });
+            // Returned out of order: Tuesday first, then Monday's two entries
+            tasksApi.reviewTimeEntries.mockResolvedValue([
+                timeEntry('tue', new Date(2026, 9, 13, 9)),
+                timeEntry('mon-pm', new Date(2026, 9, 12, 14)),
+                timeEntry('mon-am', new Date(2026, 9, 12, 9))
+            ]);
+            const entries = ['tue', 'mon-pm', 'mon-am'].map(id => processed({ id, approvalStatus: TIMESHEET_STATUS.SUBMITTED }));
+
+            const result = await timesheetService.approveTimesheet(entries, 'org-1');
+
+            // Each day is topped up to its own 2h minimum once; Monday's second hour is covered by it
+            expect(financialRecordsApi.createFinancialRecord.mock.calls.map(([params]) => [
+                params.timeEntryId, params.date, params.quantity
+            ])).toEqual([
+                ['mon-am', '2026-10-12', 2],
+                ['mon-pm', '2026-10-12', 0],
+                ['tue', '2026-10-13', 2]
+            ]);
+            expect(financialRecordsApi.fetchRecordsForDateRange).toHaveBeenCalledTimes(2);
+            expect(result.failures).toEqual([]);
+        });
+
+        it('should create the financial records approval failed to create', async () => {
+            mockCustomerBilling();
+            // entry-2 was billed on a retry that failed to report back
+            financialRecordsApi.fetchRecordsForDateRange.mockResolvedValue({
+                response: { data: [{ fieldData: { __ID: 'fr-2', time_entry_id: 'entry-2' } }] }
+            });
+            financialRecordsApi.createFinancialRecord.mockResolvedValue('fr-1');
+            const approved = (overrides) => ({
+                ...processed({ approvalStatus: TIMESHEET_STATUS.APPROVED, ...overrides }),
+                isBillable: true,
+                hourlyRate: 100,
+                customerId: 'customer-1',
+                financialRecordId: null
+            });
+            const entries = [
+                approved({ id: 'entry-1', start: new Date(2026, 9, 13, 10) }),
+                approved({ id: 'entry-2' }),
+                { ...approved({ id: 'entry-3' }), financialRecordId: 'fr-3' },
+                { ...approved({ id: 'entry-4' }), isBillable: false }
+            ];
+
+            expect(timesheetService.getUnbilledApprovedEntries(entries).map(entry => entry.id))
+                .toEqual(['entry-1', 'entry-2']);
+
+            const result = await timesheetService.createMissingFinancialRecords(entries, 'org-1');
+
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledTimes(1);
+            expect(financialRecordsApi.createFinancialRecord).toHaveBeenCalledWith(expect.objectContaining({
+                customerId: 'customer-1',
+                quantity: 1,
+                date: '2026-10-13',
+                timeEntryId: 'entry-1'
+            }));
+            expect(result.financialRecords).toEqual([expect.objectContaining({ id: 'fr-1' })]);
+            expect(result.failures).toEqual([]);
+        });
+
+        it('should require a reason to reject', async () => {
+            const entries = [processed({ approvalStatus: TIMESHEET_STATUS.SUBMITTED })];
+            tasksApi.reviewTimeEntries.mockResolvedValue([]);
+
+            await expect(timesheetService.rejectTimesheet(entries, ' ')).rejects.toThrow('A reason is required');
+            await timesheetService.rejectTimesheet(entries, 'Missing Friday');
+
+            expect(tasksApi.reviewTimeEntries).toHaveBeenCalledWith('reject', ['entry-1'], { reason: 'Missing Friday' });
+        });
+    });
+
+    describe('saveTimesheetCell', () => {
+        const cell = { task: TASK_A, staffId: STAFF_ID, date: '2026-10-13' };
+
+        it('should create a manual draft entry for an empty cell', async () => {
+            tasksApi.createTimeEntry.mockResolvedValue({ id: 'new' });
+
+            await timesheetService.saveTimesheetCell({ ...cell, hours: 1.5 });
+
+            expect(tasksApi.createTimeEntry).toHaveBeenCalledWith(expect.objectContaining({
+                task_id: TASK_A.id,
+                staff_id: STAFF_ID,
+                project_id: 'project-1',
+                duration_minutes: 90,
+                source: 'timesheet',
+                approval_status: 'draft'
+            }));
+        });
+
+        it('should keep timer time and resize the manual entry', async () => {
+            const entries = [
+                processed({ id: 'timer', duration: 1 }),
+                processed({ id: 'manual', duration: 0.5, source: 'timesheet' })
+            ];
+
+            await timesheetService.saveTimesheetCell({ ...cell, hours: 3, entries });
+
+            expect(tasksApi.updateTimeEntry).toHaveBeenCalledWith('manual', expect.objectContaining({ duration_minutes: 120 }));
+            expect(tasksApi.createTimeEntry).not.toHaveBeenCalled();
+        });
+
+        it('should remove the manual entry when cleared', async () => {
+            const entries = [processed({ id: 'manual', source: 'timesheet' })];
+
+            const result = await timesheetService.saveTimesheetCell({ ...cell, hours: 0, entries });
+
+            expect(result).toBeNull();
+            expect(tasksApi.deleteTimeEntry).toHaveBeenCalledWith('manual');
+        });
+
+        it('should reject invalid or locked cells', async () => {
+            await expect(timesheetService.saveTimesheetCell({ ...cell, hours: 0.25 }))
+                .rejects.toThrow('0.1 hour (6-minute) increments');
+            await expect(timesheetService.saveTimesheetCell({ ...cell, hours: 0.5, entries: [processed()] }))
+                .rejects.toThrow('already has 1 hours tracked with the timer');
+            await expect(timesheetService.saveTimesheetCell({
+                ...cell, hours: 2, entries: [processed({ approvalStatus: TIMESHEET_STATUS.SUBMITTED })]
+            })).rejects.toThrow('cannot be changed');
+
+            expect(tasksApi.createTimeEntry).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('copyLastWeek', () => {
+        it('should copy last week\'s time into empty cells', async () => {
+            tasksApi.fetchTaskTimers.mockImplementation(async (taskId, filters) => {
+                if (filters.start_date === '2026-10-05') {
+                    return taskId === TASK_A.id
+                        ? [
+                            record({ id: 'p1', start: new Date(2026, 9, 5, 9), minutes: 120, description: 'Mockups' }),
+                            record({ id: 'p2', start: new Date(2026, 9, 6, 9), minutes: 60 })
+                        ]
+                        : [];
+                }
+                // Tuesday already has time this week
+                return taskId === TASK_A.id ? [record({ id: 'c1', start: new Date(2026, 9, 13, 9) })] : [];
+            });
+
+            const created = await timesheetService.copyLastWeek([TASK_A, TASK_B], WEEK_START, STAFF_ID);
+
+            expect(created).toBe(1);
+            expect(tasksApi.createTimeEntry).toHaveBeenCalledTimes(1);
+            const entry = tasksApi.createTimeEntry.mock.calls[0][0];
+            expect(entry).toMatchObject({ task_id: TASK_A.id, duration_minutes: 120, description: 'Mockups' });
+            expect(timesheetService.toDateKey(entry.start_time)).toBe('2026-10-12');
+        });
+    });
+});
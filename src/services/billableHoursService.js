@@ -3,6 +3,7 @@
  */
 
 import { formatCurrency, formatDateTime, validateRequired } from './index';
+import { convertRecordsToCurrency } from './currencyService';
 
 /**
  * Processes raw financial data from Supabase (via normalized API response)
@@ -126,7 +127,10 @@ export function processFinancialData(data) {
       createdAt: fieldData.created_at || null,
       modifiedAt: fieldData.updated_at || null,
       // Supabase-specific fields
-      invId: invId // Keep invoice ID for QB integration
+      invId: invId, // Keep invoice ID for QB integration
+      currency: fieldData.currency || null, // null = home currency
+      fxRate: fieldData.fx_rate ? parseFloat(fieldData.fx_rate) : null, // Rate stored when invoiced
+      fxHomeCurrency: fieldData.fx_home_currency || null
     };
   });
 }
@@ -314,13 +318,30 @@ export function groupRecordsByProject(records, customerId) {
   }, {});
 }
 
+/**
+ * Converts records to the reporting currency when one is given
+ * @param {Array} records - Financial records
+ * @param {Object|null} currencyOptions - Currency options ({ homeCurrency, rates })
+ * @returns {Object} Records to report ({ records, unconverted })
+ */
+function toReportingCurrency(records, currencyOptions) {
+  if (!currencyOptions?.homeCurrency) {
+    return { records, unconverted: [] };
+  }
+  return convertRecordsToCurrency(records, currencyOptions);
+}
+
 /**
  * Calculates total amounts for financial records
  * @param {Array} records - Financial records
+ * @param {Object} [currencyOptions=null] - Report amounts in a home currency ({ homeCurrency, rates });
+ *   records without an exchange rate are left out and counted in unconvertedCount
  * @returns {Object} Calculated totals
  */
-export function calculateTotals(records) {
-  return records.reduce((totals, record) => {
+export function calculateTotals(records, currencyOptions = null) {
+  const { records: reportRecords, unconverted } = toReportingCurrency(records, currencyOptions);
+
+  return reportRecords.reduce((totals, record) => {
     totals.totalAmount += record.amount;
     totals.totalHours += record.hours;
     
@@ -339,16 +360,20 @@ export function calculateTotals(records) {
     billedAmount: 0,
     billedHours: 0,
     unbilledAmount: 0,
-    unbilledHours: 0
+    unbilledHours: 0,
+    currency: currencyOptions?.homeCurrency || null,
+    unconvertedCount: unconverted.length
   });
 }
 
 /**
  * Calculates monthly totals for charting
  * @param {Array} records - Financial records
+ * @param {Object} [currencyOptions=null] - Report amounts in a home currency ({ homeCurrency, rates })
  * @returns {Array} Monthly totals for charting
  */
-export function calculateMonthlyTotals(records) {
+export function calculateMonthlyTotals(records, currencyOptions = null) {
+  records = toReportingCurrency(records, currencyOptions).records;
   const monthlyData = {};
   
   // Initialize with empty data for all months to ensure continuous chart
@@ -424,9 +449,12 @@ function getMonthLabel(month, year) {
  * Prepares data for chart visualization
  * @param {Array} records - Financial records
  * @param {string} chartType - Type of chart ("bar", "line", "stacked", "quarterlyLine", "yearlyLine")
+ * @param {Object} [currencyOptions=null] - Report amounts in a home currency ({ homeCurrency, rates })
  * @returns {Object} Formatted chart data
  */
-export function prepareChartData(records, chartType) {
+export function prepareChartData(records, chartType, currencyOptions = null) {
+  records = toReportingCurrency(records, currencyOptions).records;
+
   switch (chartType.toLowerCase()) {
     case 'bar': {
       // Simple bar chart showing total amounts by customer
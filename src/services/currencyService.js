@@ -0,0 +1,332 @@
+/**
+ * Currency Service
+ *
+ * Converts sales amounts billed in different currencies into one home currency for reporting.
+ * - A sale's currency is its QuickBooks customer's currency; a sale without one is in the home currency
+ * - When a sale is invoiced, the rate to the home currency is stored on it (fx_rate) and reports
+ *   keep using that rate
+ * - Otherwise the organization's exchange rate table is used: the latest rate for the pair on or
+ *   before the sale date, in either direction
+ *
+ * Sales that have no usable rate are reported separately instead of being added to the totals
+ * unconverted, so CAD and USD are never summed together.
+ */
+
+import { fetchExchangeRates } from '../api/exchangeRates';
+import { updateSalesCurrency } from './salesService';
+import { roundAmount } from '../utils/moneyUtils';
+
+/**
+ * Currencies offered for QuickBooks customers and reporting
+ */
+export const SUPPORTED_CURRENCIES = ['CAD', 'USD', 'EUR', 'GBP', 'AUD'];
+
+export const DEFAULT_HOME_CURRENCY = 'CAD';
+
+// Amount fields converted on sales records (salesService and billableHoursService shapes)
+const AMOUNT_FIELDS = ['amount', 'total_price', 'unit_price', 'rate'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converts a record date to YYYY-MM-DD
+ * @param {string} date - Date in MM/DD/YYYY or YYYY-MM-DD format
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if it can't be read
+ */
+const toISODate = (date) => {
+  if (!date) {
+    return null;
+  }
+  const value = String(date);
+  const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+  return ISO_DATE_PATTERN.test(value.slice(0, 10)) ? value.slice(0, 10) : null;
+};
+
+/**
+ * Gets the localStorage key holding an organization's home currency
+ * @param {string} organizationId - Organization UUID
+ * @returns {string} localStorage key
+ */
+const getHomeCurrencyKey = (organizationId) => `fx_home_currency_${organizationId}`;
+
+/**
+ * Loads the currency an organization reports in
+ * Falls back to the QuickBooks default currency, then CAD
+ * @param {string} organizationId - Organization UUID
+ * @returns {string} Home currency code
+ */
+export const loadHomeCurrency = (organizationId) => {
+  if (!organizationId) {
+    return DEFAULT_HOME_CURRENCY;
+  }
+
+  try {
+    const saved = localStorage.getItem(getHomeCurrencyKey(organizationId));
+    if (saved && CURRENCY_PATTERN.test(saved)) {
+      return saved;
+    }
+    const qbConfig = localStorage.getItem(`qb_config_${organizationId}`);
+    return (qbConfig && JSON.parse(qbConfig).default_currency) || DEFAULT_HOME_CURRENCY;
+  } catch (error) {
+    console.warn('Invalid QuickBooks config in localStorage, using the default home currency.', error);
+    return DEFAULT_HOME_CURRENCY;
+  }
+};
+
+/**
+ * Saves the currency an organization reports in
+ * @param {string} organizationId - Organization UUID
+ * @param {string} currency - Home currency code
+ */
+export const saveHomeCurrency = (organizationId, currency) => {
+  if (!organizationId || !CURRENCY_PATTERN.test(currency || '')) {
+    throw new Error('Organization ID and a 3-letter currency code are required');
+  }
+  localStorage.setItem(getHomeCurrencyKey(organizationId), currency);
+};
+
+/**
+ * Loads an organization's home currency and exchange rate table
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} Currency settings ({ homeCurrency, rates })
+ */
+export const loadCurrencySettings = async (organizationId) => ({
+  homeCurrency: loadHomeCurrency(organizationId),
+  rates: organizationId ? await fetchExchangeRates(organizationId) : []
+});
+
+/**
+ * Validates an exchange rate
+ * @param {Object} rate - Exchange rate ({ base_currency, quote_currency, rate, effective_date })
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateExchangeRate = (rate) => {
+  const errors = [];
+
+  if (!CURRENCY_PATTERN.test(rate?.base_currency || '')) {
+    errors.push('Currency must be a 3-letter code');
+  }
+  if (!CURRENCY_PATTERN.test(rate?.quote_currency || '')) {
+    errors.push('Home currency must be a 3-letter code');
+  }
+  if (rate?.base_currency && rate.base_currency === rate.quote_currency) {
+    errors.push('Currency and home currency must be different');
+  }
+  if (!(Number(rate?.rate) > 0)) {
+    errors.push('Rate must be a positive number');
+  }
+  if (!ISO_DATE_PATTERN.test(rate?.effective_date || '') || Number.isNaN(Date.parse(rate.effective_date))) {
+    errors.push('Date must be in YYYY-MM-DD format');
+  }
+
+  return errors;
+};
+
+/**
+ * Reads exchange rates from CSV text
+ * The header row names the columns: date, currency and rate are required; home_currency is
+ * optional and defaults to the home currency. One row is 1 currency = rate home_currency.
+ *
+ * @param {string} text - CSV text
+ * @param {string} homeCurrency - Currency used when a row has no home_currency
+ * @returns {Object} Parsed rates ({ rates, errors }); rows with errors are left out
+ */
+export const parseExchangeRatesCsv = (text, homeCurrency) => {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    return { rates: [], errors: ['The CSV file is empty'] };
+  }
+
+  const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const columns = {
+    date: column('date', 'effective_date'),
+    currency: column('currency', 'base_currency', 'from'),
+    homeCurrency: column('home_currency', 'quote_currency', 'to'),
+    rate: column('rate')
+  };
+  if (columns.date < 0 || columns.currency < 0 || columns.rate < 0) {
+    return { rates: [], errors: ['The CSV header must have date, currency and rate columns'] };
+  }
+
+  const rates = [];
+  const errors = [];
+  lines.slice(1).forEach((line, index) => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const rate = {
+      base_currency: (cells[columns.currency] || '').toUpperCase(),
+      quote_currency: ((columns.homeCurrency >= 0 && cells[columns.homeCurrency]) || homeCurrency || '').toUpperCase(),
+      rate: Number(cells[columns.rate]),
+      effective_date: toISODate(cells[columns.date]) || cells[columns.date] || '',
+      source: 'csv'
+    };
+
+    const rowErrors = validateExchangeRate(rate);
+    if (rowErrors.length > 0) {
+      errors.push(`Row ${index + 2}: ${rowErrors.join(', ')}`);
+      return;
+    }
+    rates.push(rate);
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * Finds the rate converting one currency to another on a date
+ * Uses the latest rate for the pair on or before the date; a rate stored the other way round
+ * is inverted.
+ *
+ * @param {Array} rates - Exchange rates ({ base_currency, quote_currency, rate, effective_date })
+ * @param {string} fromCurrency - Currency to convert from
+ * @param {string} toCurrency - Currency to convert to
+ * @param {string} date - Date (MM/DD/YYYY or YYYY-MM-DD); no date uses the latest rate
+ * @returns {number|null} Units of toCurrency per unit of fromCurrency, or null if there is no rate
+ */
+export const findExchangeRate = (rates, fromCurrency, toCurrency, date) => {
+  if (!fromCurrency || !toCurrency) {
+    return null;
+  }
+  if (fromCurrency === toCurrency) {
+    return 1;
+  }
+
+  const onDate = toISODate(date);
+  const latest = (rates || [])
+    .filter(rate => Number(rate.rate) > 0)
+    .filter(rate => (rate.base_currency === fromCurrency && rate.quote_currency === toCurrency)
+      || (rate.base_currency === toCurrency && rate.quote_currency === fromCurrency))
+    .filter(rate => !onDate || rate.effective_date <= onDate)
+    .sort((a, b) => b.effective_date.localeCompare(a.effective_date))[0];
+
+  if (!latest) {
+    return null;
+  }
+  return latest.base_currency === fromCurrency ? Number(latest.rate) : 1 / Number(latest.rate);
+};
+
+/**
+ * Gets the rate converting a sales record to the home currency
+ * The rate stored on the record is used when it converts to the same home currency.
+ *
+ * @param {Object} record - Sales record (currency, date, fx_rate/fxRate, fx_home_currency/fxHomeCurrency)
+ * @param {string} homeCurrency - Home currency code
+ * @param {Array} rates - Exchange rates
+ * @returns {number|null} Rate, or null if there is no rate
+ */
+export const getRecordExchangeRate = (record, homeCurrency, rates) => {
+  const currency = record?.currency || homeCurrency;
+  if (currency === homeCurrency) {
+    return 1;
+  }
+
+  const snapshotRate = Number(record.fx_rate ?? record.fxRate);
+  const snapshotHome = record.fx_home_currency ?? record.fxHomeCurrency;
+  if (snapshotRate > 0 && snapshotHome === homeCurrency) {
+    return snapshotRate;
+  }
+
+  return findExchangeRate(rates, currency, homeCurrency, record.date);
+};
+
+/**
+ * Converts sales records' amounts to the home currency
+ * @param {Array} records - Sales records
+ * @param {Object} options - Conversion options
+ * @param {string} options.homeCurrency - Currency to convert to
+ * @param {Array} [options.rates=[]] - Exchange rates
+ * @returns {Object} Result ({ records, unconverted }); converted records carry currency (the home
+ *   currency), originalCurrency and exchangeRate; records without a rate are only in unconverted
+ */
+export const convertRecordsToCurrency = (records, { homeCurrency, rates = [] } = {}) => {
+  const converted = [];
+  const unconverted = [];
+
+  (records || []).forEach(record => {
+    const exchangeRate = getRecordExchangeRate(record, homeCurrency, rates);
+    if (exchangeRate === null) {
+      unconverted.push(record);
+      return;
+    }
+
+    const convertedRecord = {
+      ...record,
+      currency: homeCurrency,
+      originalCurrency: record.currency || homeCurrency,
+      exchangeRate
+    };
+    AMOUNT_FIELDS.forEach(field => {
+      if (typeof record[field] === 'number') {
+        convertedRecord[field] = roundAmount(record[field] * exchangeRate);
+      }
+    });
+    converted.push(convertedRecord);
+  });
+
+  return { records: converted, unconverted };
+};
+
+/**
+ * Builds the currency fields stored on sales when they are invoiced
+ * @param {string} currency - Invoice currency
+ * @param {string} date - Invoice date (YYYY-MM-DD)
+ * @param {Object} settings - Currency settings ({ homeCurrency, rates })
+ * @returns {Object} Sale fields ({ currency, fx_rate, fx_home_currency }); fx_rate is null when
+ *   the rate table has no rate yet
+ */
+export const buildFxSnapshot = (currency, date, { homeCurrency, rates = [] }) => ({
+  currency,
+  fx_rate: findExchangeRate(rates, currency, homeCurrency, date),
+  fx_home_currency: homeCurrency
+});
+
+/**
+ * Stores the invoice currency and today's rate to the home currency on the sales billed on a
+ * QuickBooks invoice
+ * Never throws: the invoice already exists, and sales without a stored rate are converted with
+ * the rate table instead.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @param {string} currency - Invoice currency
+ * @returns {Promise<boolean>} True if the sales were updated
+ */
+export const recordInvoiceCurrency = async (organizationId, invoiceId, currency) => {
+  try {
+    const settings = await loadCurrencySettings(organizationId);
+    const today = new Date();
+    const invoiceDate = [
+      today.getFullYear(),
+      String(today.getMonth() + 1).padStart(2, '0'),
+      String(today.getDate()).padStart(2, '0')
+    ].join('-');
+
+    const result = await updateSalesCurrency(invoiceId, buildFxSnapshot(currency, invoiceDate, settings), organizationId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`Currency for invoice ${invoiceId} could not be stored on its sales:`, error);
+    return false;
+  }
+};
+
+export default {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_HOME_CURRENCY,
+  loadHomeCurrency,
+  saveHomeCurrency,
+  loadCurrencySettings,
+  validateExchangeRate,
+  parseExchangeRatesCsv,
+  findExchangeRate,
+  getRecordExchangeRate,
+  convertRecordsToCurrency,
+  buildFxSnapshot,
+  recordInvoiceCurrency
+};
@@ -0,0 +1,483 @@
+/**
+ * Customer Reconciliation Service
+ *
+ * Keeps CRM customers and QuickBooks customers linked by ID instead of by name:
+ * - CRM customers without a mapping get proposed QuickBooks matches, scored on fuzzy name
+ *   similarity and on matching email and phone
+ * - Confirmed matches are saved as mappings; several CRM customers may be merged onto one
+ *   QuickBooks customer
+ * - Mapped customers whose name, email or phone differ are flagged as drifted, and either side
+ *   can be updated from the other (push to QuickBooks, pull into the CRM)
+ * - Invoicing resolves a customer through its mapping before falling back to a name search
+ */
+
+import { listQBOActiveCustomers, getQBOCustomer, updateQBOCustomer } from '../api/quickbooksApi';
+import {
+  fetchCustomerMappings,
+  fetchCustomerMapping,
+  saveCustomerMapping,
+  deleteCustomerMapping
+} from '../api/customerQboMappings';
+import { fetchCustomers, updateCustomer } from '../api/customers';
+import { extractPrimaryContact } from './customerService';
+import { assertNoFault } from '../utils/quickbooksUtils';
+
+/**
+ * Match score thresholds (0-1)
+ * PROPOSE: lowest score shown as a possible match
+ * STRONG: score at which a match is highlighted as likely
+ */
+export const MATCH_THRESHOLDS = {
+  PROPOSE: 0.6,
+  STRONG: 0.9
+};
+
+/**
+ * Reconciliation statuses of a CRM customer
+ */
+export const RECONCILIATION_STATUSES = {
+  MAPPED: 'mapped',
+  PROPOSED: 'proposed',
+  UNMATCHED: 'unmatched',
+  MISSING: 'missing'
+};
+
+/**
+ * Contact fields compared between the CRM and QuickBooks
+ */
+export const CONTACT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' }
+];
+
+// Relative weight of each signal; email and phone only count when both customers have one
+const SIGNAL_WEIGHTS = { name: 0.5, email: 0.3, phone: 0.2 };
+
+const MAX_CANDIDATES = 3;
+const CUSTOMER_PAGE_SIZE = 200;
+
+// Words that don't distinguish one company from another
+const COMPANY_NAME_NOISE = new Set([
+  'the', 'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'corp', 'corporation', 'co', 'company'
+]);
+
+// Email domains shared by unrelated customers
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'me.com', 'aol.com'
+]);
+
+/**
+ * Normalizes a company name for fuzzy comparison
+ * @param {string} name - Company name
+ * @returns {string} Lowercase name without punctuation or legal suffixes
+ */
+export const normalizeCompanyName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !COMPANY_NAME_NOISE.has(word))
+  .join(' ');
+
+/**
+ * Normalizes an email address
+ * @param {string} email - Email address
+ * @returns {string} Trimmed lowercase email
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Normalizes a phone number to its last 10 digits
+ * @param {string} phone - Phone number in any format
+ * @returns {string} Digits only
+ */
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Normalizes a contact field value for drift comparison
+ * @param {string} field - Contact field key
+ * @param {string} value - Field value
+ * @returns {string} Comparable value
+ */
+const normalizeContactValue = (field, value) => {
+  if (field === 'email') return normalizeEmail(value);
+  if (field === 'phone') return normalizePhone(value);
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Gets the character pairs of a string
+ * @param {string} value - String
+ * @returns {Array<string>} Bigrams
+ */
+const getBigrams = (value) => {
+  const compact = value.replace(/\s/g, '');
+  const bigrams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    bigrams.push(compact.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+/**
+ * Scores how similar two company names are (Dice coefficient over character pairs)
+ * @param {string} a - Company name
+ * @param {string} b - Company name
+ * @returns {number} Similarity from 0 to 1
+ */
+export const nameSimilarity = (a, b) => {
+  const left = normalizeCompanyName(a);
+  const right = normalizeCompanyName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftBigrams = getBigrams(left);
+  const rightBigrams = getBigrams(right);
+  if (leftBigrams.length === 0 || rightBigrams.length === 0) return 0;
+
+  const remaining = [...rightBigrams];
+  let shared = 0;
+  leftBigrams.forEach(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      shared += 1;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (leftBigrams.length + rightBigrams.length);
+};
+
+/**
+ * Converts a CRM customer (backend or FileMaker format) to the fields compared here
+ * @param {Object} customer - CRM customer
+ * @returns {Object} Customer ({ id, name, email, phone, source })
+ */
+export const normalizeCrmCustomer = (customer) => ({
+  id: customer.id || customer.__ID,
+  name: customer.business_name || customer.Name || customer.name || '',
+  email: extractPrimaryContact(customer.emails, 'email') || customer.Email || customer.email || '',
+  phone: extractPrimaryContact(customer.phones, 'phone') || customer.Phone || customer.phone || '',
+  source: customer
+});
+
+/**
+ * Converts a QuickBooks customer to the fields compared here
+ * @param {Object} customer - QuickBooks customer
+ * @returns {Object} Customer ({ id, name, email, phone, syncToken, source })
+ */
+export const normalizeQboCustomer = (customer) => ({
+  id: String(customer.Id),
+  name: customer.DisplayName || customer.CompanyName || '',
+  email: customer.PrimaryEmailAddr?.Address || '',
+  phone: customer.PrimaryPhone?.FreeFormNumber || '',
+  syncToken: customer.SyncToken,
+  source: customer
+});
+
+/**
+ * Scores how likely a CRM customer and a QuickBooks customer are the same customer
+ * @param {Object} crmCustomer - Normalized CRM customer
+ * @param {Object} qboCustomer - Normalized QuickBooks customer
+ * @returns {Object} Match ({ score, reasons }); reasons lists the signals that matched
+ */
+export const scoreCustomerMatch = (crmCustomer, qboCustomer) => {
+  const signals = [{ key: 'name', value: nameSimilarity(crmCustomer.name, qboCustomer.name) }];
+
+  const crmEmail = normalizeEmail(crmCustomer.email);
+  const qboEmail = normalizeEmail(qboCustomer.email);
+  if (crmEmail && qboEmail) {
+    const crmDomain = crmEmail.split('@')[1];
+    const sameCompanyDomain = crmDomain && crmDomain === qboEmail.split('@')[1] && !PUBLIC_EMAIL_DOMAINS.has(crmDomain);
+    signals.push({ key: 'email', value: crmEmail === qboEmail ? 1 : (sameCompanyDomain ? 0.5 : 0) });
+  }
+
+  const crmPhone = normalizePhone(crmCustomer.phone);
+  const qboPhone = normalizePhone(qboCustomer.phone);
+  if (crmPhone.length >= 7 && qboPhone.length >= 7) {
+    signals.push({ key: 'phone', value: crmPhone === qboPhone ? 1 : 0 });
+  }
+
+  const totalWeight = signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal.key], 0);
+  const score = signals.reduce((sum, signal) => sum + signal.value * SIGNAL_WEIGHTS[signal.key], 0) / totalWeight;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: signals.filter(signal => signal.value >= 0.8).map(signal => signal.key)
+  };
+};
+
+/**
+ * Finds the contact fields that differ between a CRM customer and its QuickBooks customer
+ * @param {Object} crmCustomer - Normalized CRM customer
+ * @param {Object} qboCustomer - Normalized QuickBooks customer
+ * @returns {Array} Drifted fields ({ field, label, crmValue, qboValue })
+ */
+export const detectContactDrift = (crmCustomer, qboCustomer) => CONTACT_FIELDS
+  .filter(({ key }) => (crmCustomer[key] || qboCustomer[key])
+    && normalizeContactValue(key, crmCustomer[key]) !== normalizeContactValue(key, qboCustomer[key]))
+  .map(({ key, label }) => ({ field: key, label, crmValue: crmCustomer[key] || '', qboValue: qboCustomer[key] || '' }));
+
+/**
+ * Builds the reconciliation of CRM customers against QuickBooks customers
+ * @param {Array} crmCustomers - CRM customers
+ * @param {Array} qboCustomers - Active QuickBooks customers
+ * @param {Array} mappings - Saved customer mappings
+ * @returns {Object} Reconciliation ({ rows, qboOnly, summary }); each row is { customer, status, mapping,
+ *   qboCustomer, candidates: [{ qboCustomer, score, reasons, alreadyMapped }], drift }, and qboOnly lists
+ *   QuickBooks customers that are neither mapped nor proposed
+ */
+export const buildReconciliation = (crmCustomers, qboCustomers, mappings) => {
+  const qbo = (qboCustomers || []).map(normalizeQboCustomer);
+  const qboById = new Map(qbo.map(customer => [customer.id, customer]));
+  const mappingByCustomer = new Map((mappings || []).map(mapping => [mapping.customer_id, mapping]));
+  const mappedQboIds = new Set((mappings || []).map(mapping => String(mapping.qbo_customer_id)));
+  const proposedQboIds = new Set();
+
+  const rows = (crmCustomers || []).map(normalizeCrmCustomer).map(customer => {
+    const mapping = mappingByCustomer.get(customer.id) || null;
+
+    if (mapping) {
+      const qboCustomer = qboById.get(String(mapping.qbo_customer_id)) || null;
+      return {
+        customer,
+        status: qboCustomer ? RECONCILIATION_STATUSES.MAPPED : RECONCILIATION_STATUSES.MISSING,
+        mapping,
+        qboCustomer,
+        candidates: [],
+        drift: qboCustomer ? detectContactDrift(customer, qboCustomer) : []
+      };
+    }
+
+    const candidates = qbo
+      .map(qboCustomer => ({
+        qboCustomer,
+        ...scoreCustomerMatch(customer, qboCustomer),
+        alreadyMapped: mappedQboIds.has(qboCustomer.id)
+      }))
+      .filter(candidate => candidate.score >= MATCH_THRESHOLDS.PROPOSE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+    candidates.forEach(candidate => proposedQboIds.add(candidate.qboCustomer.id));
+
+    return {
+      customer,
+      status: candidates.length > 0 ? RECONCILIATION_STATUSES.PROPOSED : RECONCILIATION_STATUSES.UNMATCHED,
+      mapping: null,
+      qboCustomer: null,
+      candidates,
+      drift: []
+    };
+  });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  return {
+    rows,
+    qboOnly: qbo.filter(customer => !mappedQboIds.has(customer.id) && !proposedQboIds.has(customer.id)),
+    summary: {
+      mapped: count(RECONCILIATION_STATUSES.MAPPED),
+      proposed: count(RECONCILIATION_STATUSES.PROPOSED),
+      unmatched: count(RECONCILIATION_STATUSES.UNMATCHED),
+      missing: count(RECONCILIATION_STATUSES.MISSING),
+      drifted: rows.filter(row => row.drift.length > 0).length
+    }
+  };
+};
+
+/**
+ * Loads every CRM customer, one page at a time
+ * @returns {Promise<Array>} CRM customers with their emails and phones
+ */
+const loadAllCrmCustomers = async () => {
+  const customers = [];
+  for (let offset = 0; ; offset += CUSTOMER_PAGE_SIZE) {
+    const response = await fetchCustomers({ limit: CUSTOMER_PAGE_SIZE, offset, include_related: true });
+    const page = Array.isArray(response) ? response : (response?.customers || response?.data || []);
+    customers.push(...page);
+
+    const hasMore = response?.pagination?.has_more ?? page.length === CUSTOMER_PAGE_SIZE;
+    if (!hasMore || page.length === 0) {
+      return customers;
+    }
+  }
+};
+
+/**
+ * Loads the customer reconciliation from the CRM, QuickBooks and the saved mappings
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} Reconciliation from buildReconciliation
+ * @throws {Error} If no organization is given or any of the lists can't be loaded
+ */
+export const loadReconciliation = async (organizationId) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to reconcile customers');
+  }
+
+  const [crmCustomers, qboCustomers, mappings] = await Promise.all([
+    loadAllCrmCustomers(),
+    listQBOActiveCustomers(),
+    fetchCustomerMappings(organizationId)
+  ]);
+  return buildReconciliation(crmCustomers, qboCustomers, mappings);
+};
+
+/**
+ * Confirms a match, mapping a CRM customer to a QuickBooks customer
+ * Mapping a second CRM customer to the same QuickBooks customer merges the two for invoicing.
+ *
+ * @param {Object} params - Mapping parameters
+ * @param {string} params.organizationId - Organization UUID
+ * @param {Object} params.customer - Normalized CRM customer
+ * @param {Object} params.qboCustomer - Normalized QuickBooks customer
+ * @param {number} [params.score=null] - Match score the mapping was confirmed at
+ * @param {string} [params.userId=null] - Staff member confirming the match
+ * @returns {Promise<Object>} Saved customer mapping
+ */
+export const confirmCustomerMapping = async ({ organizationId, customer, qboCustomer, score = null, userId = null }) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to map customers');
+  }
+
+  return await saveCustomerMapping({
+    organization_id: organizationId,
+    customer_id: customer.id,
+    qbo_customer_id: qboCustomer.id,
+    qbo_display_name: qboCustomer.name,
+    match_score: score,
+    confirmed_by: userId,
+    confirmed_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Removes a customer mapping, so the customer is matched again
+ * @param {Object} mapping - Customer mapping
+ * @returns {Promise<void>}
+ */
+export const removeCustomerMapping = async (mapping) => {
+  await deleteCustomerMapping(mapping.id);
+};
+
+/**
+ * Updates a QuickBooks customer's contact fields from the CRM
+ * @param {Object} row - Reconciliation row of a mapped customer
+ * @param {Array<string>} fields - Contact fields to push ('name', 'email', 'phone')
+ * @returns {Promise<Object>} Updated QuickBooks customer
+ * @throws {Error} If QuickBooks rejects the update
+ */
+export const pushContactFields = async (row, fields) => {
+  const { customer, qboCustomer, mapping } = row;
+  const update = { Id: qboCustomer.id, SyncToken: qboCustomer.syncToken, sparse: true };
+
+  if (fields.includes('name')) {
+    update.DisplayName = customer.name;
+    update.CompanyName = customer.name;
+  }
+  if (fields.includes('email')) {
+    update.PrimaryEmailAddr = { Address: customer.email };
+  }
+  if (fields.includes('phone')) {
+    update.PrimaryPhone = { FreeFormNumber: customer.phone };
+  }
+
+  const result = await updateQBOCustomer(update);
+  assertNoFault(result, 'update the customer');
+
+  const updated = result?.Customer || result?.customer || result;
+  await saveCustomerMapping({
+    ...mapping,
+    qbo_display_name: updated?.DisplayName || mapping.qbo_display_name,
+    last_synced_at: new Date().toISOString()
+  });
+  return updated;
+};
+
+/**
+ * Replaces the primary entry of a CRM contact list, keeping the other entries
+ * @param {Array} entries - CRM emails or phones
+ * @param {string} field - Entry field ('email' or 'phone')
+ * @param {string} value - New primary value
+ * @param {Object} defaults - Fields for a new entry
+ * @returns {Array} Updated entries
+ */
+const replacePrimaryEntry = (entries, field, value, defaults) => {
+  const list = Array.isArray(entries) ? entries : [];
+  const primaryIndex = Math.max(0, list.findIndex(entry => entry.is_primary));
+
+  if (list.length === 0) {
+    return value ? [{ [field]: value, is_primary: true, ...defaults }] : [];
+  }
+  return list
+    .map((entry, index) => (index === primaryIndex ? { ...entry, [field]: value, is_primary: true } : entry))
+    .filter(entry => entry[field]);
+};
+
+/**
+ * Updates a CRM customer's contact fields from QuickBooks
+ * @param {Object} row - Reconciliation row of a mapped customer
+ * @param {Array<string>} fields - Contact fields to pull ('name', 'email', 'phone')
+ * @returns {Promise<Object>} Updated CRM customer
+ */
+export const pullContactFields = async (row, fields) => {
+  const { customer, qboCustomer, mapping } = row;
+  const update = {};
+
+  if (fields.includes('name')) {
+    update.business_name = qboCustomer.name;
+  }
+  if (fields.includes('email')) {
+    update.emails = replacePrimaryEntry(customer.source.emails, 'email', qboCustomer.email, { email_type: 'work' });
+  }
+  if (fields.includes('phone')) {
+    update.phones = replacePrimaryEntry(customer.source.phones, 'phone', qboCustomer.phone, { phone_type: 'office' });
+  }
+
+  const updated = await updateCustomer(customer.id, update);
+  await saveCustomerMapping({ ...mapping, last_synced_at: new Date().toISOString() });
+  return updated;
+};
+
+/**
+ * Finds the QuickBooks customer a CRM customer is mapped to
+ * @param {string} organizationId - Organization UUID
+ * @param {string} customerId - CRM customer UUID
+ * @returns {Promise<Object|null>} QuickBooks customer, or null when the customer isn't mapped
+ * @throws {Error} If the customer is mapped but the QuickBooks customer can't be loaded, so a
+ *   renamed or deleted customer isn't silently replaced by a name match
+ */
+export const resolveMappedQBOCustomer = async (organizationId, customerId) => {
+  if (!organizationId || !customerId) {
+    return null;
+  }
+
+  const mapping = await fetchCustomerMapping(organizationId, customerId);
+  if (!mapping) {
+    return null;
+  }
+
+  const response = await getQBOCustomer(mapping.qbo_customer_id);
+  const qboCustomer = response?.Customer || response?.customer || response;
+  if (!qboCustomer?.Id || qboCustomer.Active === false) {
+    throw new Error(`Mapped QuickBooks customer ${mapping.qbo_display_name || mapping.qbo_customer_id} is inactive or no longer exists; update the mapping in Customer Reconciliation`);
+  }
+  return qboCustomer;
+};
+
+export default {
+  MATCH_THRESHOLDS,
+  RECONCILIATION_STATUSES,
+  CONTACT_FIELDS,
+  normalizeCompanyName,
+  nameSimilarity,
+  normalizeCrmCustomer,
+  normalizeQboCustomer,
+  scoreCustomerMatch,
+  detectContactDrift,
+  buildReconciliation,
+  loadReconciliation,
+  confirmCustomerMapping,
+  removeCustomerMapping,
+  pushContactFields,
+  pullContactFields,
+  resolveMappedQBOCustomer
+};
@@ -0,0 +1,302 @@
+/**
+ * Invoice Adjustment Service
+ *
+ * Credits disputed hours from the CRM instead of in QuickBooks:
+ * - A credit memo is created for the customer, crediting the whole invoice or some of its sales
+ * - The credit is applied to the invoice with a zero-amount payment linking the two; if the
+ *   invoice has no balance left the credit stays available on the customer
+ * - The invoice's private note records the credit memo, and each credited sale records how much
+ *   of it has been credited (a sale with a credit is "adjusted")
+ * - Every credit memo is kept in invoice_adjustments as the invoice's adjustment history
+ */
+
+import {
+  getQBOInvoice,
+  updateQBOInvoice,
+  createQBOCreditMemo,
+  createQBOPayment
+} from '../api/quickbooksApi';
+import { fetchInvoiceAdjustments, createInvoiceAdjustment } from '../api/invoiceAdjustments';
+import { updateSaleCreditedAmount } from './salesService';
+import { roundAmount } from '../utils/moneyUtils';
+import { assertNoFault } from '../utils/quickbooksUtils';
+
+/**
+ * Adjustment statuses
+ */
+export const ADJUSTMENT_STATUSES = {
+  APPLIED: 'applied',
+  UNAPPLIED: 'unapplied'
+};
+
+const REASON_MAX_LENGTH = 1000;
+
+/**
+ * Gets the QuickBooks invoice ID a sales record was billed on
+ * Accepts plain invoice IDs and "invoiceId:lineId" references; placeholders such as 'BILLED'
+ * (marked invoiced without a QuickBooks invoice) have no invoice to credit.
+ *
+ * @param {Object} record - Sales record (inv_id)
+ * @returns {string|null} QuickBooks invoice ID
+ */
+export const getRecordInvoiceId = (record) => {
+  const match = String(record?.inv_id ?? '').match(/^(\d+)(:|$)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Gets how much of a sales record can still be credited
+ * @param {Object} record - Sales record (total_price, credited_amount)
+ * @returns {number} Remaining amount
+ */
+export const getRemainingCredit = (record) => roundAmount(
+  Math.max(0, (Number(record?.total_price ?? record?.amount) || 0) - (Number(record?.credited_amount) || 0))
+);
+
+/**
+ * Gets the adjustment status of a sales record
+ * @param {Object} record - Sales record (credited_amount)
+ * @returns {string|null} 'adjusted' when any of it has been credited, otherwise null
+ */
+export const getRecordAdjustmentStatus = (record) => (Number(record?.credited_amount) > 0 ? 'adjusted' : null);
+
+/**
+ * Builds credits for everything still creditable on an invoice's sales records
+ * @param {Array} records - Sales records billed on the invoice
+ * @returns {Array} Credits ({ saleId, amount })
+ */
+export const buildFullCredit = (records) => (records || [])
+  .map(record => ({ saleId: record.id, amount: getRemainingCredit(record) }))
+  .filter(credit => credit.amount > 0);
+
+/**
+ * Validates a credit against an invoice's sales records
+ * @param {Array} records - Sales records billed on the invoice
+ * @param {Array} credits - Credits ({ saleId, amount })
+ * @param {string} reason - Why the invoice is credited
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateInvoiceCredit = (records, credits, reason) => {
+  const errors = [];
+  const invoiceIds = new Set((records || []).map(getRecordInvoiceId));
+
+  if (invoiceIds.size !== 1 || invoiceIds.has(null)) {
+    errors.push('Sales records must all be on the same QuickBooks invoice');
+  }
+  if (!reason || !reason.trim()) {
+    errors.push('A reason is required');
+  } else if (reason.length > REASON_MAX_LENGTH) {
+    errors.push(`Reason must be ${REASON_MAX_LENGTH} characters or fewer`);
+  }
+
+  const creditLines = (credits || []).filter(credit => Number(credit.amount) !== 0);
+  if (creditLines.length === 0) {
+    errors.push('Enter an amount to credit on at least one sale');
+  }
+  creditLines.forEach(credit => {
+    const record = (records || []).find(candidate => candidate.id === credit.saleId);
+    if (!record) {
+      errors.push(`Sale ${credit.saleId} is not on this invoice`);
+    } else if (!(Number(credit.amount) > 0)) {
+      errors.push(`Credit for ${record.product_name || record.id} must be greater than 0`);
+    } else if (roundAmount(credit.amount) > getRemainingCredit(record)) {
+      errors.push(`Credit for ${record.product_name || record.id} exceeds the ${getRemainingCredit(record).toFixed(2)} left to credit`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Builds the QuickBooks credit memo for credits against an invoice
+ * Lines use the invoice's item and tax code, so the credit is taxed like the invoice.
+ *
+ * @param {Object} invoice - QuickBooks invoice
+ * @param {Array} lines - Credit lines ({ description, amount })
+ * @param {string} reason - Why the invoice is credited
+ * @returns {Object} QuickBooks credit memo payload
+ */
+export const buildCreditMemoPayload = (invoice, lines, reason) => {
+  const itemDetail = (invoice.Line || []).find(line => line.SalesItemLineDetail)?.SalesItemLineDetail || {};
+
+  return {
+    CustomerRef: invoice.CustomerRef,
+    ...(invoice.CurrencyRef ? { CurrencyRef: invoice.CurrencyRef } : {}),
+    GlobalTaxCalculation: invoice.GlobalTaxCalculation || 'TaxExcluded',
+    CustomerMemo: { value: reason },
+    PrivateNote: `Credit for invoice ${invoice.DocNumber || invoice.Id}: ${reason}`,
+    Line: lines.map((line, index) => ({
+      Amount: roundAmount(line.amount),
+      Description: `Credit: ${line.description}`,
+      DetailType: 'SalesItemLineDetail',
+      LineNum: index + 1,
+      SalesItemLineDetail: {
+        ...(itemDetail.ItemRef ? { ItemRef: itemDetail.ItemRef } : {}),
+        ...(itemDetail.TaxCodeRef ? { TaxCodeRef: itemDetail.TaxCodeRef } : {}),
+        Qty: 1,
+        UnitPrice: roundAmount(line.amount)
+      }
+    }))
+  };
+};
+
+/**
+ * Records a credit memo in the invoice's private note
+ * Best effort: the credit memo already exists and is kept in the adjustment history either way.
+ *
+ * @param {Object} invoice - QuickBooks invoice (Id, SyncToken, PrivateNote)
+ * @param {Object} creditMemo - QuickBooks credit memo
+ * @param {string} reason - Why the invoice was credited
+ */
+const noteCreditOnInvoice = async (invoice, creditMemo, reason) => {
+  const note = `Credit memo ${creditMemo.DocNumber || creditMemo.Id} (${roundAmount(creditMemo.TotalAmt).toFixed(2)}): ${reason}`;
+  try {
+    const result = await updateQBOInvoice({
+      Id: invoice.Id,
+      SyncToken: invoice.SyncToken,
+      sparse: true,
+      PrivateNote: [invoice.PrivateNote, note].filter(Boolean).join('\n').slice(0, 4000)
+    });
+    assertNoFault(result, 'update the invoice note');
+  } catch (error) {
+    console.warn(`Invoice ${invoice.Id} note could not be updated:`, error);
+  }
+};
+
+/**
+ * Applies a credit memo to an invoice's balance
+ * @param {Object} invoice - QuickBooks invoice
+ * @param {Object} creditMemo - QuickBooks credit memo
+ * @returns {Promise<number>} Amount applied (0 when the invoice has no balance or applying failed)
+ */
+const applyCreditToInvoice = async (invoice, creditMemo) => {
+  const appliedAmount = roundAmount(Math.min(Number(creditMemo.TotalAmt) || 0, Number(invoice.Balance) || 0));
+  if (appliedAmount <= 0) {
+    return 0;
+  }
+
+  try {
+    const result = await createQBOPayment({
+      CustomerRef: invoice.CustomerRef,
+      ...(invoice.CurrencyRef ? { CurrencyRef: invoice.CurrencyRef } : {}),
+      TotalAmt: 0,
+      Line: [
+        { Amount: appliedAmount, LinkedTxn: [{ TxnId: invoice.Id, TxnType: 'Invoice' }] },
+        { Amount: appliedAmount, LinkedTxn: [{ TxnId: creditMemo.Id, TxnType: 'CreditMemo' }] }
+      ]
+    });
+    assertNoFault(result, 'apply the credit memo');
+    return appliedAmount;
+  } catch (error) {
+    console.warn(`Credit memo ${creditMemo.Id} could not be applied to invoice ${invoice.Id}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Credits sales records on a QuickBooks invoice with a credit memo
+ * @param {Object} params - Credit parameters
+ * @param {string} params.organizationId - Organization UUID
+ * @param {Array} params.records - Sales records billed on the invoice
+ * @param {Array} params.credits - Credits ({ saleId, amount }); see buildFullCredit for the whole invoice
+ * @param {string} params.reason - Why the invoice is credited
+ * @param {string} [params.userId=null] - Staff member issuing the credit
+ * @returns {Promise<Object>} Result ({ adjustment, creditMemoId, appliedAmount, errors }); errors lists
+ *   sales whose credited amount could not be updated
+ * @throws {Error} If the credit is invalid or QuickBooks rejects the credit memo
+ */
+export const createInvoiceCredit = async ({ organizationId, records, credits, reason, userId = null }) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to credit an invoice');
+  }
+  const errors = validateInvoiceCredit(records, credits, reason);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  const invoiceId = getRecordInvoiceId(records[0]);
+  const response = await getQBOInvoice(invoiceId);
+  const invoice = response?.Invoice || response?.invoice || response;
+  if (!invoice?.Id) {
+    throw new Error(`QuickBooks invoice ${invoiceId} was not found`);
+  }
+
+  const lines = credits
+    .filter(credit => Number(credit.amount) > 0)
+    .map(credit => {
+      const record = records.find(candidate => candidate.id === credit.saleId);
+      return {
+        record,
+        sale_id: record.id,
+        description: record.product_name || 'Sale',
+        amount: roundAmount(credit.amount)
+      };
+    });
+
+  const result = await createQBOCreditMemo(buildCreditMemoPayload(invoice, lines, reason.trim()));
+  assertNoFault(result, 'create the credit memo');
+  const creditMemo = result?.CreditMemo || result?.creditMemo;
+  if (!creditMemo?.Id) {
+    throw new Error('QuickBooks did not return a credit memo ID');
+  }
+  console.log(`Credit memo ${creditMemo.Id} created against invoice ${invoiceId}`);
+
+  await noteCreditOnInvoice(invoice, creditMemo, reason.trim());
+  const appliedAmount = await applyCreditToInvoice(invoice, creditMemo);
+
+  let adjustment;
+  try {
+    adjustment = await createInvoiceAdjustment({
+      organization_id: organizationId,
+      customer_id: records[0].customer_id || null,
+      qbo_invoice_id: invoiceId,
+      qbo_credit_memo_id: creditMemo.Id,
+      credit_memo_number: creditMemo.DocNumber || null,
+      amount: roundAmount(creditMemo.TotalAmt ?? lines.reduce((sum, line) => sum + line.amount, 0)),
+      applied_amount: appliedAmount,
+      reason: reason.trim(),
+      lines: lines.map(({ sale_id, description, amount }) => ({ sale_id, description, amount })),
+      status: appliedAmount > 0 ? ADJUSTMENT_STATUSES.APPLIED : ADJUSTMENT_STATUSES.UNAPPLIED,
+      created_by: userId
+    });
+  } catch (error) {
+    throw new Error(`Credit memo ${creditMemo.Id} was created in QuickBooks but could not be recorded: ${error.message}`);
+  }
+
+  const saleErrors = [];
+  for (const line of lines) {
+    const creditedAmount = roundAmount((Number(line.record.credited_amount) || 0) + line.amount);
+    const saleUpdate = await updateSaleCreditedAmount(line.sale_id, creditedAmount);
+    if (!saleUpdate.success) {
+      saleErrors.push(`${line.description}: ${saleUpdate.error}`);
+    }
+  }
+
+  return { adjustment, creditMemoId: creditMemo.Id, appliedAmount, errors: saleErrors };
+};
+
+/**
+ * Loads the adjustment history of the invoices sales records were billed on
+ * @param {string} organizationId - Organization UUID
+ * @param {Array} records - Sales records
+ * @returns {Promise<Array>} Invoice adjustments, newest first
+ */
+export const loadAdjustmentHistory = async (organizationId, records) => {
+  const invoiceIds = [...new Set((records || []).map(getRecordInvoiceId).filter(Boolean))];
+  if (!organizationId || invoiceIds.length === 0) {
+    return [];
+  }
+  return await fetchInvoiceAdjustments(organizationId, invoiceIds);
+};
+
+export default {
+  ADJUSTMENT_STATUSES,
+  getRecordInvoiceId,
+  getRemainingCredit,
+  getRecordAdjustmentStatus,
+  buildFullCredit,
+  validateInvoiceCredit,
+  buildCreditMemoPayload,
+  createInvoiceCredit,
+  loadAdjustmentHistory
+};
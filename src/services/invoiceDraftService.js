@@ -0,0 +1,487 @@
+/**
+ * Invoice Draft Service
+ *
+ * Review workflow between sales records and QuickBooks invoices. Invoices are first saved as
+ * drafts that accountants can edit (lines, memo, due date, DocNumber), merge, split and approve.
+ * Only approved drafts are submitted to QuickBooks, and the resulting QuickBooks invoice ID is
+ * written back onto the sales records behind each line.
+ *
+ * A generated DocNumber stays reserved while its draft is open. It is released when the draft is
+ * discarded, merged away or given another DocNumber, and confirmed when the invoice is created.
+ *
+ * Draft lifecycle: draft -> approved -> submitted (approved drafts can be returned to draft)
+ */
+
+import {
+  fetchInvoiceDrafts,
+  createInvoiceDraft,
+  updateInvoiceDraft,
+  deleteInvoiceDraft
+} from '../api/invoiceDrafts';
+import { createQBOInvoice, sendQBOInvoiceEmail } from '../api/quickbooksApi';
+import { markFinancialRecordsInvoiced } from '../api/financialRecords';
+import { generateInvoiceDraft, buildInvoicePayloadFromDraft } from './invoiceGenerationService';
+import { reserveInvoiceNumber, confirmInvoiceNumber, releaseInvoiceNumber } from './invoiceSequenceService';
+import { recordInvoiceCurrency } from './currencyService';
+import { roundAmount } from '../utils/moneyUtils';
+
+/**
+ * Statuses an invoice draft moves through
+ */
+export const INVOICE_DRAFT_STATUSES = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  SUBMITTED: 'submitted'
+};
+
+// Drafts that still hold their sales records
+const OPEN_DRAFT_STATUSES = [INVOICE_DRAFT_STATUSES.DRAFT, INVOICE_DRAFT_STATUSES.APPROVED];
+
+// QuickBooks Online field limits
+const DOC_NUMBER_MAX_LENGTH = 21;
+const MEMO_MAX_LENGTH = 1000;
+
+// QuickBooks Online error code for a DocNumber that is already in use
+const DUPLICATE_DOC_NUMBER_ERROR_CODE = '6140';
+
+/**
+ * Whether a draft still holds its sales records (not yet submitted)
+ * @param {Object} draft - Invoice draft
+ * @returns {boolean} True for draft and approved drafts
+ */
+export const isOpenInvoiceDraft = (draft) => OPEN_DRAFT_STATUSES.includes(draft?.status);
+
+/**
+ * Calculates a draft's total
+ * @param {Object} draft - Invoice draft
+ * @returns {number} Sum of line amounts
+ */
+export const getInvoiceDraftTotal = (draft) => roundAmount(
+  (draft?.lines || []).reduce((sum, line) => sum + (Number(line.amount) || 0), 0)
+);
+
+/**
+ * Lists the sales record IDs behind a draft's lines
+ * @param {Object} draft - Invoice draft
+ * @returns {Array<string>} Sales record IDs
+ */
+export const getInvoiceDraftRecordIds = (draft) => (draft?.lines || []).flatMap(line => line.record_ids || []);
+
+/**
+ * Applies edits to a draft line, recalculating its amount from quantity and unit price
+ * @param {Object} line - Draft line
+ * @param {Object} changes - Changed fields (description, quantity, unit_price)
+ * @returns {Object} Updated line
+ */
+export const updateInvoiceDraftLine = (line, changes = {}) => {
+  const updated = { ...line, ...changes };
+  return {
+    ...updated,
+    amount: roundAmount(Number(updated.quantity) * Number(updated.unit_price))
+  };
+};
+
+/**
+ * Validates a draft before approval
+ * @param {Object} draft - Invoice draft
+ * @param {Array} [otherDrafts=[]] - Other drafts, used to keep DocNumbers unique within the queue
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export const validateInvoiceDraft = (draft, otherDrafts = []) => {
+  const errors = [];
+
+  if (!draft) {
+    return { isValid: false, errors: ['Invoice draft is required'] };
+  }
+
+  if (!draft.qbo_customer?.id) {
+    errors.push('QuickBooks customer is required');
+  }
+
+  const docNumber = (draft.doc_number || '').trim();
+  if (!docNumber) {
+    errors.push('DocNumber is required');
+  } else if (docNumber.length > DOC_NUMBER_MAX_LENGTH) {
+    errors.push(`DocNumber must be at most ${DOC_NUMBER_MAX_LENGTH} characters`);
+  } else if (otherDrafts.some(other => other.id !== draft.id
+    && isOpenInvoiceDraft(other)
+    && (other.doc_number || '').trim().toLowerCase() === docNumber.toLowerCase())) {
+    errors.push(`DocNumber ${docNumber} is already used by another draft`);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(draft.due_date || '') || isNaN(new Date(draft.due_date).getTime())) {
+    errors.push('Due date must be a valid date (YYYY-MM-DD)');
+  }
+
+  if ((draft.memo || '').length > MEMO_MAX_LENGTH) {
+    errors.push(`Memo must be at most ${MEMO_MAX_LENGTH} characters`);
+  }
+
+  if (!draft.lines || draft.lines.length === 0) {
+    errors.push('Invoice must have at least one line');
+  } else {
+    draft.lines.forEach((line, index) => {
+      if (!(line.description || '').trim()) {
+        errors.push(`Line ${index + 1} needs a description`);
+      }
+      if (!(Number(line.quantity) > 0)) {
+        errors.push(`Line ${index + 1} quantity must be greater than 0`);
+      }
+      if (!(Number(line.unit_price) >= 0)) {
+        errors.push(`Line ${index + 1} unit price cannot be negative`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Throws unless the draft can still be edited
+ * @param {Object} draft - Invoice draft
+ * @throws {Error} If the draft is approved or submitted
+ */
+const assertEditable = (draft) => {
+  if (draft?.status === INVOICE_DRAFT_STATUSES.APPROVED) {
+    throw new Error('Return the draft to review before editing it');
+  }
+  if (draft?.status !== INVOICE_DRAFT_STATUSES.DRAFT) {
+    throw new Error('Submitted invoices cannot be changed');
+  }
+};
+
+/**
+ * Loads the drafts waiting for review or submission, oldest first
+ * @returns {Promise<Array>} Open invoice drafts
+ */
+export const loadInvoiceReviewQueue = async () => {
+  const drafts = await fetchInvoiceDrafts();
+  return drafts
+    .filter(isOpenInvoiceDraft)
+    .sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+};
+
+/**
+ * Creates a draft from a customer's sales records
+ * Records that are already invoiced or already on an open draft are left out
+ *
+ * @param {Array} salesRecords - Sales records to invoice
+ * @param {Object} qboCustomer - QuickBooks customer object
+ * @param {Object} [options={}] - Invoice generation options (organizationId, invoice rules)
+ * @returns {Promise<Object>} Created draft
+ * @throws {Error} If none of the records can be drafted
+ */
+export const createInvoiceDraftFromRecords = async (salesRecords, qboCustomer, options = {}) => {
+  const queue = await loadInvoiceReviewQueue();
+  const draftedRecordIds = new Set(queue.flatMap(getInvoiceDraftRecordIds));
+
+  const available = (salesRecords || []).filter(record => !record.inv_id && !draftedRecordIds.has(record.id));
+  if (available.length === 0) {
+    throw new Error('All records are already invoiced or waiting on an invoice draft');
+  }
+
+  const draft = await generateInvoiceDraft(available, qboCustomer, options);
+  console.log(`Creating invoice draft ${draft.doc_number} with ${draft.lines.length} lines from ${available.length} records`);
+
+  try {
+    return await createInvoiceDraft({
+      ...draft,
+      status: INVOICE_DRAFT_STATUSES.DRAFT
+    });
+  } catch (error) {
+    await releaseInvoiceNumber(draft.doc_number_reservation?.id);
+    throw error;
+  }
+};
+
+/**
+ * Saves edits to a draft's details and lines
+ * @param {Object} draft - Invoice draft
+ * @param {Object} changes - Changed fields (doc_number, due_date, memo, send_email, lines)
+ * @returns {Promise<Object>} Saved draft
+ * @throws {Error} If the draft is not editable
+ */
+export const saveInvoiceDraftChanges = async (draft, changes) => {
+  assertEditable(draft);
+
+  const updated = {
+    ...draft,
+    ...changes,
+    doc_number: (changes.doc_number ?? draft.doc_number ?? '').trim(),
+    lines: (changes.lines || draft.lines).map(line => updateInvoiceDraftLine(line))
+  };
+
+  // A typed-in DocNumber gives the generated one back to its sequence
+  const replacedReservation = updated.doc_number !== draft.doc_number ? draft.doc_number_reservation : null;
+  if (replacedReservation) {
+    updated.doc_number_reservation = null;
+  }
+
+  const saved = await updateInvoiceDraft(draft.id, updated);
+  await releaseInvoiceNumber(replacedReservation?.id);
+  return saved;
+};
+
+/**
+ * Merges drafts for the same QuickBooks customer into the oldest one
+ * The oldest draft keeps its DocNumber and due date; lines and memos are combined
+ *
+ * @param {Array} drafts - Drafts to merge (at least two)
+ * @returns {Promise<Object>} Merged draft
+ * @throws {Error} If the drafts cannot be merged
+ */
+export const mergeInvoiceDrafts = async (drafts) => {
+  if (!drafts || drafts.length < 2) {
+    throw new Error('Select at least two drafts to merge');
+  }
+  drafts.forEach(assertEditable);
+
+  const ordered = [...drafts].sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+  const [target, ...others] = ordered;
+  const sameCustomer = others.every(draft => draft.qbo_customer?.id === target.qbo_customer?.id
+    && draft.qbo_customer?.currency === target.qbo_customer?.currency);
+  if (!sameCustomer) {
+    throw new Error('Only drafts for the same QuickBooks customer and currency can be merged');
+  }
+
+  const memos = [...new Set(ordered.map(draft => (draft.memo || '').trim()).filter(Boolean))];
+  const merged = await updateInvoiceDraft(target.id, {
+    ...target,
+    memo: memos.join('\n'),
+    lines: ordered.flatMap(draft => draft.lines || [])
+  });
+
+  for (const draft of others) {
+    await deleteInvoiceDraft(draft.id);
+    await releaseInvoiceNumber(draft.doc_number_reservation?.id);
+  }
+
+  return merged;
+};
+
+/**
+ * Moves some of a draft's lines onto a new draft
+ * The new draft has no DocNumber until one is entered
+ *
+ * @param {Object} draft - Invoice draft
+ * @param {Array<string>} lineIds - IDs of the lines to move
+ * @returns {Promise<Object>} Both drafts ({ original, created })
+ * @throws {Error} If the selection would leave either draft empty
+ */
+export const splitInvoiceDraft = async (draft, lineIds) => {
+  assertEditable(draft);
+
+  const moving = new Set(lineIds || []);
+  const kept = draft.lines.filter(line => !moving.has(line.id));
+  const moved = draft.lines.filter(line => moving.has(line.id));
+  if (moved.length === 0 || kept.length === 0) {
+    throw new Error('Select some, but not all, lines to split into a new draft');
+  }
+
+  // Persist the shortened original first so no record is ever on two drafts
+  const original = await updateInvoiceDraft(draft.id, { ...draft, lines: kept });
+
+  const created = await createInvoiceDraft({
+    customer_id: draft.customer_id,
+    qbo_customer: draft.qbo_customer,
+    status: INVOICE_DRAFT_STATUSES.DRAFT,
+    doc_number: '',
+    due_date: draft.due_date,
+    tax_code: draft.tax_code,
+    memo: draft.memo,
+    send_email: draft.send_email,
+    lines: moved
+  });
+
+  return { original, created };
+};
+
+/**
+ * Approves a draft for submission to QuickBooks
+ * @param {Object} draft - Invoice draft
+ * @param {Array} [otherDrafts=[]] - Other drafts in the queue
+ * @param {string} [approvedBy=null] - Staff ID of the approver
+ * @returns {Promise<Object>} Approved draft
+ * @throws {Error} First validation error when the draft is incomplete
+ */
+export const approveInvoiceDraft = async (draft, otherDrafts = [], approvedBy = null) => {
+  assertEditable(draft);
+
+  const validation = validateInvoiceDraft(draft, otherDrafts);
+  if (!validation.isValid) {
+    throw new Error(validation.errors[0]);
+  }
+
+  return await updateInvoiceDraft(draft.id, {
+    ...draft,
+    status: INVOICE_DRAFT_STATUSES.APPROVED,
+    approved_by: approvedBy,
+    approved_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Returns an approved draft to review so it can be edited again
+ * @param {Object} draft - Approved invoice draft
+ * @returns {Promise<Object>} Draft back in review
+ */
+export const returnInvoiceDraftToReview = async (draft) => {
+  if (draft?.status !== INVOICE_DRAFT_STATUSES.APPROVED) {
+    throw new Error('Only approved drafts can be returned to review');
+  }
+
+  return await updateInvoiceDraft(draft.id, {
+    ...draft,
+    status: INVOICE_DRAFT_STATUSES.DRAFT,
+    approved_by: null,
+    approved_at: null
+  });
+};
+
+/**
+ * Discards a draft, releasing its sales records
+ * @param {Object} draft - Invoice draft
+ * @returns {Promise<Object>} Deletion result
+ */
+export const discardInvoiceDraft = async (draft) => {
+  if (!isOpenInvoiceDraft(draft)) {
+    throw new Error('Submitted invoices cannot be discarded');
+  }
+  const result = await deleteInvoiceDraft(draft.id);
+  await releaseInvoiceNumber(draft.doc_number_reservation?.id);
+  return result;
+};
+
+/**
+ * Whether a QuickBooks response is a duplicate DocNumber fault
+ * @param {Object} result - QuickBooks response
+ * @returns {boolean} True if QuickBooks rejected the DocNumber as already used
+ */
+const isDuplicateDocNumberFault = (result) => (result?.Fault?.Error || []).some(error =>
+  String(error.code) === DUPLICATE_DOC_NUMBER_ERROR_CODE || /duplicate document number/i.test(error.Message || error.Detail || '')
+);
+
+/**
+ * Gives an approved draft the next free number after QuickBooks rejected its reserved one
+ * The rejected number is recorded as used, since another invoice has it
+ *
+ * @param {Object} draft - Approved invoice draft with a DocNumber reservation
+ * @returns {Promise<Object>} Saved draft with its new DocNumber
+ */
+const renumberInvoiceDraft = async (draft) => {
+  const reservation = draft.doc_number_reservation;
+  await confirmInvoiceNumber(reservation.id, draft.doc_number, null);
+
+  const next = await reserveInvoiceNumber({
+    organizationId: reservation.organization_id,
+    template: reservation.template,
+    qboCustomerId: draft.qbo_customer?.id,
+    date: new Date(reservation.date)
+  });
+  console.warn(`DocNumber ${draft.doc_number} is already used in QuickBooks, retrying as ${next.docNumber}`);
+
+  return await updateInvoiceDraft(draft.id, {
+    ...draft,
+    doc_number: next.docNumber,
+    doc_number_reservation: { ...reservation, id: next.reservationId }
+  });
+};
+
+/**
+ * Submits an approved draft to QuickBooks
+ * The draft is marked submitted with the QuickBooks invoice ID before the sales records are
+ * updated, so a failure after the invoice exists never leads to it being submitted twice.
+ * If QuickBooks rejects a generated DocNumber as a duplicate, the draft is renumbered and
+ * submitted once more; a typed-in DocNumber is never changed.
+ *
+ * @param {Object} draft - Approved invoice draft
+ * @param {string} [organizationId] - Organization UUID (defaults to the draft's organization_id);
+ *   its currency settings give the exchange rate stored on the invoiced sales
+ * @returns {Promise<Object>} Result ({ draft, invoiceId, emailSent })
+ * @throws {Error} If the draft is not approved, the organization is unknown or QuickBooks rejects the invoice
+ */
+export const submitInvoiceDraft = async (draft, organizationId = null) => {
+  if (draft?.status !== INVOICE_DRAFT_STATUSES.APPROVED) {
+    throw new Error('Only approved drafts can be submitted to QuickBooks');
+  }
+  // Typed-in DocNumbers and split drafts have no reservation, so it can't be the source
+  const draftOrganizationId = organizationId || draft.organization_id;
+  if (!draftOrganizationId) {
+    throw new Error('Organization ID is required to submit an invoice draft');
+  }
+
+  let submitting = draft;
+  let result = await createQBOInvoice(buildInvoicePayloadFromDraft(submitting));
+
+  if (isDuplicateDocNumberFault(result) && submitting.doc_number_reservation?.id) {
+    submitting = await renumberInvoiceDraft(submitting);
+    result = await createQBOInvoice(buildInvoicePayloadFromDraft(submitting));
+  }
+
+  if (result?.Fault) {
+    const errorMessage = result.Fault.Error?.[0]?.Detail || 'Unknown error';
+    throw new Error(`Failed to create invoice in QuickBooks: ${errorMessage}`);
+  }
+
+  const invoiceId = result?.Invoice?.Id || result?.invoice?.Id;
+  if (!invoiceId) {
+    throw new Error('QuickBooks did not return an invoice ID');
+  }
+  console.log(`Invoice draft ${submitting.id} created QuickBooks invoice ${invoiceId}`);
+
+  let submitted;
+  try {
+    submitted = await updateInvoiceDraft(submitting.id, {
+      ...submitting,
+      status: INVOICE_DRAFT_STATUSES.SUBMITTED,
+      qbo_invoice_id: invoiceId,
+      submitted_at: new Date().toISOString()
+    });
+  } catch (error) {
+    throw new Error(`QuickBooks invoice ${invoiceId} was created but the draft could not be updated: ${error.message}`);
+  }
+
+  await confirmInvoiceNumber(submitting.doc_number_reservation?.id, submitting.doc_number, invoiceId);
+
+  const recordIds = getInvoiceDraftRecordIds(submitting);
+  if (recordIds.length > 0) {
+    try {
+      await markFinancialRecordsInvoiced(recordIds, invoiceId);
+    } catch (error) {
+      throw new Error(`QuickBooks invoice ${invoiceId} was created but its sales records could not be updated: ${error.message}`);
+    }
+    await recordInvoiceCurrency(
+      draftOrganizationId,
+      invoiceId,
+      submitting.qbo_customer?.currency || 'CAD'
+    );
+  }
+
+  let emailSent = false;
+  if (submitting.send_email) {
+    try {
+      await sendQBOInvoiceEmail(invoiceId);
+      emailSent = true;
+    } catch (error) {
+      console.warn(`Invoice ${invoiceId} created but the email could not be sent:`, error);
+    }
+  }
+
+  return { draft: submitted, invoiceId, emailSent };
+};
+
+export default {
+  INVOICE_DRAFT_STATUSES,
+  loadInvoiceReviewQueue,
+  createInvoiceDraftFromRecords,
+  saveInvoiceDraftChanges,
+  mergeInvoiceDrafts,
+  splitInvoiceDraft,
+  approveInvoiceDraft,
+  returnInvoiceDraftToReview,
+  discardInvoiceDraft,
+  submitInvoiceDraft
+};
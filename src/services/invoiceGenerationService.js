@@ -4,23 +4,40 @@
  * This service generates QuickBooks Online invoice payloads with advanced business logic
  * including proper document numbering, tax codes, due dates, and email delivery.
  *
- * Business Rules:
- * - DocNumber: qboID+YY+MM+NNN (where NNN is invoice count for customer this month, starting at 001)
- * - Tax Codes: 3 for non-CAD currencies, 4 for CAD currencies
- * - Due Date: Net 30 (EoM next month) - 30 days from invoice date, then end of that month
+ * Business Rules (organization invoice rules, see invoiceRulesService):
+ * - DocNumber: built from the invoice number template, qboID+YY+MM+NNN by default
+ *   (where NNN is reserved from the customer's sequence for the month, starting at 001;
+ *   see invoiceSequenceService)
+ * - Tax Codes: customer override, then province, then 4 for CAD / 3 for non-CAD by default
+ * - Due Date: from the payment terms preset, Net 30 EoM by default
  * - Email delivery with BillEmail and DeliveryInfo
  *
  * @author Clarity Business Solutions
  * @version 2.0.0
  */
 
-import { listQBOInvoices } from '../api/quickbooksApi.js';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  DEFAULT_INVOICE_RULES,
+  normalizeInvoiceRules,
+  calculateDueDateForTerms,
+  resolveTaxCode
+} from './invoiceRulesService';
+import { reserveInvoiceNumber } from './invoiceSequenceService';
+import { roundAmount } from '../utils/moneyUtils';
 
 /**
  * Generates a complete QuickBooks invoice payload based on sales records
+ * The DocNumber is reserved for the payload, so it should be submitted right away; use
+ * generateInvoiceDraft when the invoice is reviewed first
+ *
  * @param {Array} salesRecords - Array of sales records to include in the invoice
  * @param {Object} qboCustomer - QuickBooks customer object
  * @param {Object} options - Additional options for invoice generation
+ * @param {string} options.organizationId - Organization UUID (owns the invoice sequence)
+ * @param {Object} [options.rules] - Organization invoice rules (defaults when omitted)
+ * @param {Function} [options.onNumberReserved] - Called with the DocNumber reservation
+ *   ({ docNumber, sequence, reservationId }) so the caller can confirm or release it
  * @returns {Object} Complete QuickBooks invoice payload
  */
 export const generateInvoicePayload = async (salesRecords, qboCustomer, options = {}) => {
@@ -33,18 +50,24 @@ export const generateInvoicePayload = async (salesRecords, qboCustomer, options
       throw new Error('Valid QuickBooks customer is required');
     }
 
+    const rules = normalizeInvoiceRules(options.rules || DEFAULT_INVOICE_RULES);
+
     // Extract customer currency (default to CAD if not specified)
     const customerCurrency = qboCustomer.CurrencyRef?.value || 'CAD';
     const customerCurrencyName = getCurrencyName(customerCurrency);
 
     // Generate document number
-    const docNumber = await generateDocumentNumber(qboCustomer.Id, salesRecords);
+    const reservation = await generateDocumentNumber(qboCustomer.Id, salesRecords, rules, options.organizationId);
+    const { docNumber } = reservation;
+    if (typeof options.onNumberReserved === 'function') {
+      options.onNumberReserved(reservation);
+    }
 
-    // Calculate due date (EOM of latest item date + 1 month)
-    const dueDate = calculateDueDate(salesRecords);
+    // Calculate due date from the payment terms
+    const dueDate = calculateDueDate(salesRecords, rules);
 
-    // Determine tax code based on currency
-    const taxCodeRef = getTaxCodeForCurrency(customerCurrency);
+    // Determine tax code for the customer, province and currency
+    const taxCodeRef = getTaxCodeForCustomer(qboCustomer, customerCurrency, rules);
 
     // Get appropriate item reference based on currency
     const itemRef = getItemRefForCurrency(customerCurrency);
@@ -84,103 +107,162 @@ export const generateInvoicePayload = async (salesRecords, qboCustomer, options
 };
 
 /**
- * Generates document number in format: qboID+YY+MM+NNN
- * @param {string} qboCustomerId - QuickBooks customer ID
- * @param {Array} salesRecords - Sales records to determine the month
- * @returns {Promise<string>} Generated document number
+ * Generates an editable invoice draft from sales records
+ * Uses the same numbering, due date, tax and item rules as generateInvoicePayload, but keeps
+ * the sales record IDs behind each line so the draft can be reviewed, split and merged before
+ * it is turned into a payload with buildInvoicePayloadFromDraft
+ *
+ * @param {Array} salesRecords - Array of sales records to include in the invoice
+ * @param {Object} qboCustomer - QuickBooks customer object
+ * @param {Object} options - Additional options for invoice generation
+ * @param {string} options.organizationId - Organization UUID (owns the invoice sequence)
+ * @param {Object} [options.rules] - Organization invoice rules (defaults when omitted)
+ * @returns {Promise<Object>} Invoice draft (not yet persisted), with its DocNumber reservation
  */
-const generateDocumentNumber = async (qboCustomerId, salesRecords) => {
+export const generateInvoiceDraft = async (salesRecords, qboCustomer, options = {}) => {
   try {
-    // Get the latest date from sales records to determine the month
-    const latestDate = getLatestDate(salesRecords);
-    const year = latestDate.getFullYear().toString().slice(-2); // Last 2 digits of year
-    const month = (latestDate.getMonth() + 1).toString().padStart(2, '0'); // Month with leading zero
+    if (!salesRecords || salesRecords.length === 0) {
+      throw new Error('Sales records are required for invoice generation');
+    }
+
+    if (!qboCustomer || !qboCustomer.Id) {
+      throw new Error('Valid QuickBooks customer is required');
+    }
 
-    // Query existing invoices for this customer and month to get the next sequence number
-    const invoiceNumber = await getNextInvoiceSequence(qboCustomerId, latestDate);
+    const rules = normalizeInvoiceRules(options.rules || DEFAULT_INVOICE_RULES);
+    const customerCurrency = qboCustomer.CurrencyRef?.value || 'CAD';
 
-    const docNumber = `${qboCustomerId}${year}${month}${invoiceNumber}`;
-    console.log(`Generated document number: ${docNumber} for customer ${qboCustomerId}, date ${latestDate.toISOString()}`);
-    
-    return docNumber;
+    const reservation = await generateDocumentNumber(qboCustomer.Id, salesRecords, rules, options.organizationId);
+
+    const lines = groupSalesRecords(salesRecords).map(group => ({
+      id: uuidv4(),
+      description: group.description,
+      quantity: roundAmount(group.unitPrice > 0 ? group.totalAmount / group.unitPrice : group.totalQuantity),
+      unit_price: roundAmount(group.unitPrice),
+      amount: roundAmount(group.totalAmount),
+      record_ids: group.recordIds
+    }));
+
+    return {
+      customer_id: salesRecords[0].customer_id || null,
+      qbo_customer: {
+        id: qboCustomer.Id,
+        name: qboCustomer.DisplayName || qboCustomer.Name,
+        email: qboCustomer.PrimaryEmailAddr?.Address || options.defaultEmail || '',
+        currency: customerCurrency
+      },
+      doc_number: reservation.docNumber,
+      doc_number_reservation: {
+        id: reservation.reservationId,
+        organization_id: options.organizationId,
+        template: rules.invoice_number_format,
+        date: reservation.date.toISOString()
+      },
+      due_date: calculateDueDate(salesRecords, rules),
+      tax_code: getTaxCodeForCustomer(qboCustomer, customerCurrency, rules),
+      memo: options.memo || '',
+      send_email: options.sendEmail ?? true,
+      lines
+    };
   } catch (error) {
-    console.error('Error generating document number:', error);
+    console.error('Error generating invoice draft:', error);
     throw error;
   }
 };
 
 /**
- * Gets the next invoice sequence number for a customer in a specific month
+ * Builds the QuickBooks invoice payload for a reviewed invoice draft
+ * @param {Object} draft - Invoice draft
+ * @returns {Object} Complete QuickBooks invoice payload
+ */
+export const buildInvoicePayloadFromDraft = (draft) => {
+  const currency = draft.qbo_customer?.currency || 'CAD';
+  const itemRef = getItemRefForCurrency(currency);
+  const taxCodeRef = draft.tax_code ?? getTaxCodeForCurrency(currency);
+
+  const invoicePayload = {
+    BillEmail: {
+      Address: draft.qbo_customer?.email || ''
+    },
+    CurrencyRef: {
+      name: getCurrencyName(currency),
+      value: currency
+    },
+    CustomerRef: {
+      name: draft.qbo_customer?.name,
+      value: draft.qbo_customer?.id
+    },
+    DeliveryInfo: {
+      DeliveryType: 'Email'
+    },
+    DocNumber: draft.doc_number,
+    DueDate: draft.due_date,
+    GlobalTaxCalculation: 'TaxExcluded',
+    Line: (draft.lines || []).map((line, index) => ({
+      Amount: roundAmount(line.amount),
+      Description: line.description,
+      DetailType: 'SalesItemLineDetail',
+      LineNum: index + 1,
+      SalesItemLineDetail: {
+        ItemRef: itemRef,
+        Qty: roundAmount(line.quantity),
+        TaxCodeRef: {
+          value: taxCodeRef
+        },
+        UnitPrice: roundAmount(line.unit_price)
+      }
+    }))
+  };
+
+  if (draft.memo) {
+    invoicePayload.CustomerMemo = { value: draft.memo };
+  }
+
+  return invoicePayload;
+};
+
+/**
+ * Generates document number from the invoice number template (qboID+YY+MM+NNN by default)
  * @param {string} qboCustomerId - QuickBooks customer ID
- * @param {Date} invoiceDate - Date to determine the month
- * @returns {Promise<string>} Next sequence number (e.g., "001", "002", etc.)
+ * @param {Array} salesRecords - Sales records to determine the month
+ * @param {Object} rules - Organization invoice rules
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} Reserved number ({ docNumber, sequence, reservationId, date })
  */
-const getNextInvoiceSequence = async (qboCustomerId, invoiceDate) => {
+const generateDocumentNumber = async (qboCustomerId, salesRecords, rules, organizationId) => {
   try {
-    // Calculate the first and last day of the month
-    const year = invoiceDate.getFullYear();
-    const month = invoiceDate.getMonth(); // 0-based month
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-
-    // Format dates for QuickBooks query (YYYY-MM-DD)
-    const startDate = firstDay.toISOString().split('T')[0];
-    const endDate = lastDay.toISOString().split('T')[0];
-
-    console.log(`Fetching existing invoices for customer ${qboCustomerId} between ${startDate} and ${endDate}`);
-
-    // Use the new invoice listing endpoint with customer filtering
-    const invoiceResult = await listQBOInvoices({
-      customer_id: qboCustomerId,
-      max_results: 100 // Get up to 100 invoices to ensure we capture all for the month
+    // Get the latest date from sales records to determine the month
+    const latestDate = getLatestDate(salesRecords);
+
+    // Reserve the next number in this number's sequence
+    const reservation = await reserveInvoiceNumber({
+      organizationId,
+      template: rules.invoice_number_format,
+      qboCustomerId,
+      date: latestDate
     });
-    
-    // Filter invoices by date range (since the API doesn't support date filtering directly)
-    let existingInvoiceCount = 0;
-    if (invoiceResult && invoiceResult.invoices) {
-      const filteredInvoices = invoiceResult.invoices.filter(invoice => {
-        const invoiceDate = invoice.TxnDate;
-        return invoiceDate >= startDate && invoiceDate <= endDate;
-      });
-      existingInvoiceCount = filteredInvoices.length;
-      
-      console.log(`Found ${invoiceResult.invoices.length} total invoices for customer, ${existingInvoiceCount} in date range ${startDate} to ${endDate}`);
-    }
 
-    // Generate next sequence number (existing count + 1, padded to 3 digits)
-    const nextSequence = (existingInvoiceCount + 1).toString().padStart(3, '0');
+    console.log(`Generated document number: ${reservation.docNumber} for customer ${qboCustomerId}, date ${latestDate.toISOString()}`);
     
-    console.log(`Found ${existingInvoiceCount} existing invoices for customer ${qboCustomerId} in ${year}-${month + 1}. Next sequence: ${nextSequence}`);
-    
-    return nextSequence;
+    return { ...reservation, date: latestDate };
   } catch (error) {
-    console.error('Error getting next invoice sequence:', error);
-    // Fallback to 001 if query fails
-    console.warn('Falling back to sequence 001 due to query error');
-    return '001';
+    console.error('Error generating document number:', error);
+    throw error;
   }
 };
 
 /**
- * Calculates due date as Net 30 (EoM next month) - 30 days from today, then end of that month
+ * Calculates due date from the organization's payment terms, counted from today (invoice date)
  * @param {Array} salesRecords - Sales records to analyze (for logging purposes)
+ * @param {Object} rules - Organization invoice rules
  * @returns {string} Due date in YYYY-MM-DD format
  */
-const calculateDueDate = (salesRecords) => {
+const calculateDueDate = (salesRecords, rules) => {
   try {
-    // Net 30 means 30 days from today (invoice date)
-    const today = new Date();
-    const thirtyDaysFromNow = new Date(today);
-    thirtyDaysFromNow.setDate(today.getDate() + 30);
-    
-    // Get the end of the month for the date that is 30 days from now
-    const dueDate = new Date(thirtyDaysFromNow.getFullYear(), thirtyDaysFromNow.getMonth() + 1, 0);
-    
-    // Format as YYYY-MM-DD
-    const formattedDueDate = dueDate.toISOString().split('T')[0];
+    const formattedDueDate = calculateDueDateForTerms(rules.default_payment_terms, new Date());
     
     const latestDate = getLatestDate(salesRecords);
-    console.log(`Calculated Net 30 due date: ${formattedDueDate} (30 days from today: ${thirtyDaysFromNow.toISOString().split('T')[0]}, latest item date: ${latestDate.toISOString().split('T')[0]})`);
+    console.log(`Calculated ${rules.default_payment_terms} due date: ${formattedDueDate} (latest item date: ${latestDate.toISOString().split('T')[0]})`);
     return formattedDueDate;
   } catch (error) {
     console.error('Error calculating due date:', error);
@@ -200,13 +282,24 @@ const getLatestDate = (salesRecords) => {
 
 /**
  * Determines tax code based on currency
+ * Used for drafts created before tax codes were stored with the draft
  * @param {string} currency - Currency code (CAD, USD, EUR, etc.)
  * @returns {number} Tax code reference
  */
-const getTaxCodeForCurrency = (currency) => {
-  // Business rule: taxCodeRef 3 for non-CAD, taxCodeRef 4 for CAD
-  return currency === 'CAD' ? 4 : 3;
-};
+const getTaxCodeForCurrency = (currency) => resolveTaxCode(DEFAULT_INVOICE_RULES, { currency });
+
+/**
+ * Determines tax code for a customer from the organization's rules
+ * @param {Object} qboCustomer - QuickBooks customer object
+ * @param {string} currency - Currency code
+ * @param {Object} rules - Organization invoice rules
+ * @returns {number|string} Tax code reference
+ */
+const getTaxCodeForCustomer = (qboCustomer, currency, rules) => resolveTaxCode(rules, {
+  currency,
+  qboCustomerId: qboCustomer.Id,
+  province: qboCustomer.BillAddr?.CountrySubDivisionCode
+});
 
 /**
  * Gets the appropriate item reference based on currency
@@ -239,6 +332,42 @@ const getCurrencyName = (currencyCode) => {
   return currencyNames[currencyCode] || currencyCode;
 };
 
+/**
+ * Groups sales records by description and unit price
+ * @param {Array} salesRecords - Sales records to group
+ * @returns {Array} Groups ({ description, unitPrice, totalQuantity, totalAmount, recordIds })
+ */
+const groupSalesRecords = (salesRecords) => {
+  const groupedRecords = new Map();
+
+  salesRecords.forEach(record => {
+    const description = record.product_name || 'Development';
+    const unitPrice = Number(record.unit_price) || 0;
+    const quantity = Number(record.quantity) || 0;
+    const totalPrice = Number(record.total_price) || 0;
+
+    // Create a unique key combining description and unit price
+    const key = `${description}|${unitPrice}`;
+
+    if (groupedRecords.has(key)) {
+      const existing = groupedRecords.get(key);
+      existing.totalQuantity += quantity;
+      existing.totalAmount += totalPrice;
+      existing.recordIds.push(record.id);
+    } else {
+      groupedRecords.set(key, {
+        description,
+        unitPrice,
+        totalQuantity: quantity,
+        totalAmount: totalPrice,
+        recordIds: [record.id]
+      });
+    }
+  });
+
+  return Array.from(groupedRecords.values());
+};
+
 /**
  * Generates line items from sales records, grouping by description and unit price
  * @param {Array} salesRecords - Sales records to process
@@ -248,34 +377,8 @@ const getCurrencyName = (currencyCode) => {
  */
 const generateLineItems = (salesRecords, itemRef, taxCodeRef) => {
   try {
-    // Group records by description and unit price
-    const groupedRecords = new Map();
-    
-    salesRecords.forEach(record => {
-      const description = record.product_name || 'Development';
-      const unitPrice = Number(record.unit_price) || 0;
-      const quantity = Number(record.quantity) || 0;
-      const totalPrice = Number(record.total_price) || 0;
-      
-      // Create a unique key combining description and unit price
-      const key = `${description}|${unitPrice}`;
-      
-      if (groupedRecords.has(key)) {
-        const existing = groupedRecords.get(key);
-        existing.totalQuantity += quantity;
-        existing.totalAmount += totalPrice;
-      } else {
-        groupedRecords.set(key, {
-          description,
-          unitPrice,
-          totalQuantity: quantity,
-          totalAmount: totalPrice
-        });
-      }
-    });
-
     // Convert grouped records to line items
-    const lineItems = Array.from(groupedRecords.values()).map((group, index) => {
+    const lineItems = groupSalesRecords(salesRecords).map((group, index) => {
       // Calculate quantity as totalAmount / unitPrice if unitPrice > 0, otherwise use totalQuantity
       const calculatedQuantity = group.unitPrice > 0 
         ? group.totalAmount / group.unitPrice 
@@ -379,6 +482,8 @@ export const formatInvoiceForLogging = (invoicePayload) => {
 
 export default {
   generateInvoicePayload,
+  generateInvoiceDraft,
+  buildInvoicePayloadFromDraft,
   validateInvoiceData,
   formatInvoiceForLogging
 };
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * Invoice Rules Service
+ *
+ * Organization-level rules used when generating QuickBooks invoices:
+ * - Invoice number templates built from tokens ({qboCustomerId}, {YYYY}, {YY}, {MM}, {NNN})
+ * - Tax codes by customer, by province, then by currency (CAD vs. non-CAD)
+ * - Payment terms presets that determine the due date
+ *
+ * Rules are stored with the rest of the organization's QuickBooks configuration
+ * (see QuickBooksConfigPanel), which currently lives in localStorage.
+ */
+
+/**
+ * Payment terms presets
+ * days: days after the invoice date; endOfMonth: move the due date to the end of that month
+ */
+export const PAYMENT_TERMS_PRESETS = [
+  { value: 'Due on receipt', days: 0, endOfMonth: false },
+  { value: 'Net 15', days: 15, endOfMonth: false },
+  { value: 'Net 30', days: 30, endOfMonth: false },
+  { value: 'Net 30 EoM', days: 30, endOfMonth: true },
+  { value: 'Net 60', days: 60, endOfMonth: false }
+];
+
+/**
+ * Tokens allowed in invoice number templates
+ * The sequence token is one or more Ns; the number of Ns sets the zero padding
+ */
+export const INVOICE_NUMBER_TOKENS = ['qboCustomerId', 'YYYY', 'YY', 'MM', 'NNN'];
+
+/**
+ * Canadian provinces and territories that can have their own tax code
+ */
+export const TAX_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+/**
+ * Rules matching the original hard-coded behaviour
+ */
+export const DEFAULT_INVOICE_RULES = {
+  invoice_number_format: '{qboCustomerId}{YY}{MM}{NNN}',
+  default_payment_terms: 'Net 30 EoM',
+  cad_tax_code: 4,
+  non_cad_tax_code: 3,
+  province_tax_codes: {},
+  customer_tax_codes: {}
+};
+
+// QuickBooks Online DocNumber limit
+const DOC_NUMBER_MAX_LENGTH = 21;
+
+const TOKEN_PATTERN = /\{([^{}]*)\}/g;
+const SEQUENCE_TOKEN_PATTERN = /^N+$/;
+
+/**
+ * Formats a date as YYYY-MM-DD using local date parts
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Lists the tokens used in a template
+ * @param {string} template - Invoice number template
+ * @returns {Array<string>} Token names without braces
+ */
+const getTemplateTokens = (template) => Array.from((template || '').matchAll(TOKEN_PATTERN), match => match[1]);
+
+/**
+ * Fills in any rule the configuration does not set
+ * @param {Object} config - Saved QuickBooks configuration (may contain unrelated settings)
+ * @returns {Object} Complete invoice rules
+ */
+export const normalizeInvoiceRules = (config = {}) => {
+  const rules = { ...DEFAULT_INVOICE_RULES };
+  Object.keys(DEFAULT_INVOICE_RULES).forEach(key => {
+    if (config?.[key] !== undefined && config[key] !== null && config[key] !== '') {
+      rules[key] = config[key];
+    }
+  });
+
+  if (!PAYMENT_TERMS_PRESETS.some(preset => preset.value === rules.default_payment_terms)) {
+    console.warn(`Unknown payment terms "${rules.default_payment_terms}", using ${DEFAULT_INVOICE_RULES.default_payment_terms}`);
+    rules.default_payment_terms = DEFAULT_INVOICE_RULES.default_payment_terms;
+  }
+
+  return rules;
+};
+
+/**
+ * Validates invoice rules before they are saved
+ * @param {Object} rules - Invoice rules
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export const validateInvoiceRules = (rules) => {
+  const errors = [];
+  const template = (rules?.invoice_number_format || '').trim();
+
+  if (!template) {
+    errors.push('Invoice number format is required');
+  } else {
+    const tokens = getTemplateTokens(template);
+    const unknown = tokens.filter(token => !INVOICE_NUMBER_TOKENS.includes(token) && !SEQUENCE_TOKEN_PATTERN.test(token));
+    if (unknown.length > 0) {
+      errors.push(`Unknown invoice number tokens: ${unknown.map(token => `{${token}}`).join(', ')}`);
+    }
+    if (tokens.filter(token => SEQUENCE_TOKEN_PATTERN.test(token)).length !== 1) {
+      errors.push('Invoice number format must contain exactly one sequence token, e.g. {NNN}');
+    }
+  }
+
+  if (!PAYMENT_TERMS_PRESETS.some(preset => preset.value === rules?.default_payment_terms)) {
+    errors.push(`Payment terms must be one of: ${PAYMENT_TERMS_PRESETS.map(preset => preset.value).join(', ')}`);
+  }
+
+  const taxCodes = [
+    ['CAD tax code', rules?.cad_tax_code],
+    ['Non-CAD tax code', rules?.non_cad_tax_code],
+    ...Object.entries(rules?.province_tax_codes || {}).map(([province, code]) => [`Tax code for ${province}`, code]),
+    ...Object.entries(rules?.customer_tax_codes || {}).map(([customerId, code]) => [`Tax code for customer ${customerId}`, code])
+  ];
+  taxCodes.forEach(([label, code]) => {
+    if (code === undefined || code === null || String(code).trim() === '') {
+      errors.push(`${label} is required`);
+    }
+  });
+
+  Object.keys(rules?.province_tax_codes || {}).forEach(province => {
+    if (!TAX_PROVINCES.includes(province)) {
+      errors.push(`Unknown province: ${province}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Builds an invoice number from a template
+ * @param {string} template - Invoice number template
+ * @param {Object} values - Token values
+ * @param {string} values.qboCustomerId - QuickBooks customer ID
+ * @param {Date} values.date - Date that sets the year and month tokens
+ * @param {number} values.sequence - Sequence number
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (template, { qboCustomerId, date, sequence }) => {
+  const year = date.getFullYear().toString();
+  const values = {
+    qboCustomerId: qboCustomerId || '',
+    YYYY: year,
+    YY: year.slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, '0')
+  };
+
+  return (template || '').replace(TOKEN_PATTERN, (match, token) => {
+    if (SEQUENCE_TOKEN_PATTERN.test(token)) {
+      return String(sequence).padStart(token.length, '0');
+    }
+    return values[token] ?? match;
+  });
+};
+
+/**
+ * Determines which invoices share a sequence with a new invoice number
+ * Sequences restart every month when the template has {MM}, every year when it only has a year
+ * token, and never otherwise. They are counted per customer when the template has {qboCustomerId}.
+ *
+ * @param {string} template - Invoice number template
+ * @param {string} qboCustomerId - QuickBooks customer ID
+ * @param {Date} date - Date that sets the period
+ * @returns {Object} Scope ({ customerId, startDate, endDate }); null values mean unrestricted
+ */
+export const getInvoiceSequenceScope = (template, qboCustomerId, date) => {
+  const tokens = getTemplateTokens(template);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  let startDate = null;
+  let endDate = null;
+  if (tokens.includes('MM')) {
+    startDate = formatDate(new Date(year, month, 1));
+    endDate = formatDate(new Date(year, month + 1, 0));
+  } else if (tokens.includes('YY') || tokens.includes('YYYY')) {
+    startDate = formatDate(new Date(year, 0, 1));
+    endDate = formatDate(new Date(year, 11, 31));
+  }
+
+  return {
+    customerId: tokens.includes('qboCustomerId') ? qboCustomerId : null,
+    startDate,
+    endDate
+  };
+};
+
+/**
+ * Calculates a due date from payment terms
+ * @param {string} terms - Payment terms preset value
+ * @param {Date} [invoiceDate=new Date()] - Invoice date
+ * @returns {string} Due date in YYYY-MM-DD format
+ */
+export const calculateDueDateForTerms = (terms, invoiceDate = new Date()) => {
+  const preset = PAYMENT_TERMS_PRESETS.find(option => option.value === terms)
+    || PAYMENT_TERMS_PRESETS.find(option => option.value === DEFAULT_INVOICE_RULES.default_payment_terms);
+
+  const dueDate = new Date(invoiceDate.getFullYear(), invoiceDate.getMonth(), invoiceDate.getDate() + preset.days);
+  if (preset.endOfMonth) {
+    return formatDate(new Date(dueDate.getFullYear(), dueDate.getMonth() + 1, 0));
+  }
+  return formatDate(dueDate);
+};
+
+/**
+ * Picks the tax code for an invoice
+ * A customer override wins, then the customer's province, then the currency default
+ *
+ * @param {Object} rules - Invoice rules
+ * @param {Object} invoice - Invoice details
+ * @param {string} invoice.currency - Currency code
+ * @param {string} [invoice.qboCustomerId] - QuickBooks customer ID
+ * @param {string} [invoice.province] - Billing province code (e.g. ON)
+ * @returns {number|string} Tax code reference
+ */
+export const resolveTaxCode = (rules, { currency, qboCustomerId, province }) => {
+  const customerCode = rules?.customer_tax_codes?.[qboCustomerId];
+  if (customerCode !== undefined && customerCode !== '') {
+    return customerCode;
+  }
+
+  const provinceCode = rules?.province_tax_codes?.[(province || '').toUpperCase()];
+  if (provinceCode !== undefined && provinceCode !== '') {
+    return provinceCode;
+  }
+
+  return currency === 'CAD'
+    ? (rules?.cad_tax_code ?? DEFAULT_INVOICE_RULES.cad_tax_code)
+    : (rules?.non_cad_tax_code ?? DEFAULT_INVOICE_RULES.non_cad_tax_code);
+};
+
+/**
+ * Loads an organization's invoice rules
+ * @param {string} organizationId - Organization UUID
+ * @returns {Object} Invoice rules (defaults when nothing is saved)
+ */
+export const loadInvoiceRules = (organizationId) => {
+  if (!organizationId) {
+    return { ...DEFAULT_INVOICE_RULES };
+  }
+
+  try {
+    const savedConfig = localStorage.getItem(`qb_config_${organizationId}`);
+    return normalizeInvoiceRules(savedConfig ? JSON.parse(savedConfig) : {});
+  } catch (error) {
+    console.warn('Invalid QuickBooks config in localStorage, using default invoice rules.', error);
+    return { ...DEFAULT_INVOICE_RULES };
+  }
+};
+
+/**
+ * Previews the invoice number, due date and tax code the rules produce
+ * @param {Object} rules - Invoice rules
+ * @param {Object} [sample={}] - Sample invoice
+ * @param {string} [sample.qboCustomerId='58'] - QuickBooks customer ID
+ * @param {Date} [sample.date=new Date()] - Invoice date
+ * @param {number} [sample.sequence=1] - Sequence number
+ * @param {string} [sample.currency='CAD'] - Currency code
+ * @param {string} [sample.province=''] - Billing province code
+ * @returns {Object} Preview ({ docNumber, dueDate, taxCode, errors })
+ */
+export const previewInvoiceRules = (rules, sample = {}) => {
+  const {
+    qboCustomerId = '58',
+    date = new Date(),
+    sequence = 1,
+    currency = 'CAD',
+    province = ''
+  } = sample;
+
+  const { errors } = validateInvoiceRules(rules);
+  const docNumber = formatInvoiceNumber(rules?.invoice_number_format, { qboCustomerId, date, sequence });
+  if (docNumber.length > DOC_NUMBER_MAX_LENGTH) {
+    errors.push(`Invoice numbers must be at most ${DOC_NUMBER_MAX_LENGTH} characters (preview has ${docNumber.length})`);
+  }
+
+  return {
+    docNumber,
+    dueDate: calculateDueDateForTerms(rules?.default_payment_terms, date),
+    taxCode: resolveTaxCode(rules, { currency, qboCustomerId, province }),
+    errors
+  };
+};
+
+export default {
+  PAYMENT_TERMS_PRESETS,
+  INVOICE_NUMBER_TOKENS,
+  TAX_PROVINCES,
+  DEFAULT_INVOICE_RULES,
+  normalizeInvoiceRules,
+  validateInvoiceRules,
+  formatInvoiceNumber,
+  getInvoiceSequenceScope,
+  calculateDueDateForTerms,
+  resolveTaxCode,
+  loadInvoiceRules,
+  previewInvoiceRules
+};
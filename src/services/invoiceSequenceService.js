@@ -0,0 +1,117 @@
+/**
+ * Invoice Sequence Service
+ *
+ * Allocates invoice numbers from sequences reserved atomically in our database, instead of
+ * counting the invoices QuickBooks returns. Each reserved number is checked against QuickBooks;
+ * numbers already used there (e.g. invoices created directly in QuickBooks) are recorded as used
+ * and the next number is reserved.
+ *
+ * Reservation lifecycle: reserved -> used (invoice created) or released (number given back)
+ */
+
+import {
+  reserveInvoiceSequence,
+  confirmInvoiceSequence,
+  releaseInvoiceSequence
+} from '../api/invoiceSequences';
+import { findQBOInvoiceByDocNumber } from '../api/quickbooksApi';
+import { formatInvoiceNumber, getInvoiceSequenceScope } from './invoiceRulesService';
+
+// Numbers to try before giving up when QuickBooks already has them
+const MAX_RESERVATION_ATTEMPTS = 20;
+
+/**
+ * Builds the key identifying a sequence scope
+ * @param {Object} scope - Scope from getInvoiceSequenceScope ({ customerId, startDate, endDate })
+ * @returns {string} Scope key, e.g. "customer:58|2026-09-01"
+ */
+export const getSequenceScopeKey = ({ customerId, startDate }) => [
+  customerId ? `customer:${customerId}` : 'all',
+  startDate || 'all'
+].join('|');
+
+/**
+ * Reserves the next free invoice number for an invoice
+ * @param {Object} params - Reservation parameters
+ * @param {string} params.organizationId - Organization UUID
+ * @param {string} params.template - Invoice number template
+ * @param {string} params.qboCustomerId - QuickBooks customer ID
+ * @param {Date} params.date - Date that sets the sequence period
+ * @returns {Promise<Object>} Reserved number ({ docNumber, sequence, reservationId })
+ * @throws {Error} If no organization is given or no free number is found
+ */
+export const reserveInvoiceNumber = async ({ organizationId, template, qboCustomerId, date }) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to reserve an invoice number');
+  }
+
+  const scopeKey = getSequenceScopeKey(getInvoiceSequenceScope(template, qboCustomerId, date));
+
+  for (let attempt = 1; attempt <= MAX_RESERVATION_ATTEMPTS; attempt++) {
+    const { reservationId, sequence } = await reserveInvoiceSequence(organizationId, scopeKey);
+    const docNumber = formatInvoiceNumber(template, { qboCustomerId, date, sequence });
+
+    const existingInvoice = await findQBOInvoiceByDocNumber(docNumber);
+    if (!existingInvoice) {
+      console.log(`Reserved invoice number ${docNumber} (scope ${scopeKey}, sequence ${sequence})`);
+      return { docNumber, sequence, reservationId };
+    }
+
+    // QuickBooks already has this number, so it stays used and the next one is tried
+    console.warn(`Invoice number ${docNumber} already exists in QuickBooks (invoice ${existingInvoice.Id}), trying the next number`);
+    await confirmInvoiceSequence(reservationId, docNumber, existingInvoice.Id);
+  }
+
+  throw new Error(`Could not find a free invoice number after ${MAX_RESERVATION_ATTEMPTS} attempts`);
+};
+
+/**
+ * Records that a reserved number was used by a QuickBooks invoice
+ * A failure is only logged: the number stays reserved, so it is never handed out again
+ *
+ * @param {string} reservationId - Reservation UUID
+ * @param {string} docNumber - Invoice DocNumber
+ * @param {string} qboInvoiceId - QuickBooks invoice ID
+ * @returns {Promise<boolean>} True if the reservation was confirmed
+ */
+export const confirmInvoiceNumber = async (reservationId, docNumber, qboInvoiceId) => {
+  if (!reservationId) {
+    return false;
+  }
+
+  try {
+    await confirmInvoiceSequence(reservationId, docNumber, qboInvoiceId);
+    return true;
+  } catch (error) {
+    console.warn(`Invoice ${qboInvoiceId} was created but its number reservation could not be confirmed:`, error);
+    return false;
+  }
+};
+
+/**
+ * Gives a reserved number back so the next invoice in its sequence reuses it
+ * A failure is only logged: it leaves a gap in the sequence, never a duplicate
+ *
+ * @param {string} reservationId - Reservation UUID
+ * @returns {Promise<boolean>} True if the number was released
+ */
+export const releaseInvoiceNumber = async (reservationId) => {
+  if (!reservationId) {
+    return false;
+  }
+
+  try {
+    await releaseInvoiceSequence(reservationId);
+    return true;
+  } catch (error) {
+    console.warn(`Invoice number reservation ${reservationId} could not be released:`, error);
+    return false;
+  }
+};
+
+export default {
+  getSequenceScopeKey,
+  reserveInvoiceNumber,
+  confirmInvoiceNumber,
+  releaseInvoiceNumber
+};
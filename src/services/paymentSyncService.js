@@ -0,0 +1,278 @@
+/**
+ * Payment Sync Service
+ *
+ * Keeps sales records' payment status in step with QuickBooks and reports accounts receivable.
+ * - Payment and Invoice webhook events received by the backend are read back, and the invoices
+ *   they touch are re-fetched; each invoice's balance sets the payment status of the sales
+ *   records billed on it (unpaid, partially paid or paid)
+ * - A/R aging groups the open QuickBooks invoices by customer into current, 30, 60 and 90+ buckets
+ *
+ * Events are processed up to the latest one seen; the position is kept per organization in
+ * localStorage. Re-processing an event is harmless because the invoice is always re-fetched.
+ */
+
+import { listQBOWebhookEvents, getQBOInvoice, getQBOPayment, listQBOOpenInvoices } from '../api/quickbooksApi';
+import { updateSalesPaymentStatus } from './salesService';
+import { roundAmount } from '../utils/moneyUtils';
+
+/**
+ * Payment statuses of an invoiced sales record
+ */
+export const PAYMENT_STATUSES = {
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid'
+};
+
+/**
+ * A/R aging buckets, by days since the invoice date
+ * maxDays is inclusive; null means no upper limit
+ */
+export const AR_AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 30 },
+  { key: 'days30', label: '30', maxDays: 60 },
+  { key: 'days60', label: '60', maxDays: 90 },
+  { key: 'days90', label: '90+', maxDays: null }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// QuickBooks entities whose events can change an invoice's balance
+const PAYMENT_ENTITY = 'Payment';
+const INVOICE_ENTITY = 'Invoice';
+
+/**
+ * Gets the localStorage key holding an organization's sync position
+ * @param {string} organizationId - Organization UUID
+ * @returns {string} localStorage key
+ */
+const getSyncStateKey = (organizationId) => `qb_payment_sync_${organizationId}`;
+
+/**
+ * Reads when the latest processed webhook event happened
+ * @param {string} organizationId - Organization UUID
+ * @returns {string|null} ISO timestamp, or null if nothing has been processed
+ */
+const loadLastProcessedAt = (organizationId) => {
+  try {
+    const saved = localStorage.getItem(getSyncStateKey(organizationId));
+    return saved ? JSON.parse(saved).lastProcessedAt || null : null;
+  } catch (error) {
+    console.warn('Invalid payment sync state in localStorage, processing all webhook events.', error);
+    return null;
+  }
+};
+
+/**
+ * Flattens a webhook event list into the entities that changed
+ * Accepts raw QuickBooks notifications ({ eventNotifications: [{ dataChangeEvent: { entities } }] })
+ * as well as events the backend has already flattened ({ name, id, operation, lastUpdated })
+ *
+ * @param {Object|Array} response - listQBOWebhookEvents response
+ * @returns {Array} Changed entities ({ name, id, operation, lastUpdated })
+ */
+export const extractWebhookEntities = (response) => {
+  const events = Array.isArray(response)
+    ? response
+    : (response?.events || response?.data || response?.eventNotifications || []);
+
+  return events.flatMap(event => {
+    const payload = event?.payload || event?.data || event;
+    const notifications = payload?.eventNotifications || (payload?.dataChangeEvent ? [payload] : null);
+
+    if (notifications) {
+      return notifications.flatMap(notification => notification?.dataChangeEvent?.entities || []);
+    }
+    return [{
+      name: payload?.name || payload?.entity_name || payload?.entity,
+      id: payload?.id || payload?.entity_id,
+      operation: payload?.operation,
+      lastUpdated: payload?.lastUpdated || payload?.last_updated || event?.created_at
+    }];
+  }).filter(entity => entity?.name && entity?.id);
+};
+
+/**
+ * Determines an invoice's payment status from its balance
+ * @param {Object} invoice - QuickBooks invoice (TotalAmt, Balance)
+ * @returns {string} Payment status
+ */
+export const getInvoicePaymentStatus = (invoice) => {
+  const total = roundAmount(invoice?.TotalAmt);
+  const balance = roundAmount(invoice?.Balance);
+
+  if (balance <= 0) {
+    return PAYMENT_STATUSES.PAID;
+  }
+  return balance < total ? PAYMENT_STATUSES.PARTIALLY_PAID : PAYMENT_STATUSES.UNPAID;
+};
+
+/**
+ * Summarizes the billing status of a group of sales records
+ * @param {Array} records - Sales records (inv_id, payment_status)
+ * @returns {string} 'uninvoiced' unless every record is invoiced, otherwise 'invoiced' or the
+ *   payment status shared by the group ('paid' only when every record is paid)
+ */
+export const getRecordsPaymentStatus = (records) => {
+  if (!records?.length || records.some(record => !record.inv_id)) {
+    return 'uninvoiced';
+  }
+  if (records.every(record => record.payment_status === PAYMENT_STATUSES.PAID)) {
+    return PAYMENT_STATUSES.PAID;
+  }
+  if (records.some(record => [PAYMENT_STATUSES.PAID, PAYMENT_STATUSES.PARTIALLY_PAID].includes(record.payment_status))) {
+    return PAYMENT_STATUSES.PARTIALLY_PAID;
+  }
+  return 'invoiced';
+};
+
+/**
+ * Finds the invoices a payment was applied to
+ * @param {string} paymentId - QuickBooks payment ID
+ * @returns {Promise<Array<string>>} Invoice IDs
+ */
+const getPaymentInvoiceIds = async (paymentId) => {
+  const payment = await getQBOPayment(paymentId);
+  return (payment?.Line || [])
+    .flatMap(line => line.LinkedTxn || [])
+    .filter(txn => txn.TxnType === INVOICE_ENTITY)
+    .map(txn => String(txn.TxnId));
+};
+
+/**
+ * Processes new Payment and Invoice webhook events and updates the payment status of the sales
+ * records on the invoices they touch
+ * Deleted payments can't be looked up, so the invoice they paid is corrected by its own Invoice
+ * update event.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object>} Result ({ eventsProcessed, invoices: [{ invoiceId, status, balance }],
+ *   errors })
+ * @throws {Error} If no organization is given or the webhook events can't be loaded
+ */
+export const syncPaymentStatusFromWebhooks = async (organizationId) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to sync payments');
+  }
+
+  const lastProcessedAt = loadLastProcessedAt(organizationId);
+  const entities = extractWebhookEntities(await listQBOWebhookEvents())
+    .filter(entity => [PAYMENT_ENTITY, INVOICE_ENTITY].includes(entity.name))
+    .filter(entity => !lastProcessedAt || !entity.lastUpdated || entity.lastUpdated > lastProcessedAt);
+
+  const invoiceIds = new Set();
+  const errors = [];
+
+  for (const entity of entities) {
+    if (entity.name === INVOICE_ENTITY) {
+      // A voided invoice has no balance but was not paid
+      if (!['Delete', 'Void'].includes(entity.operation)) {
+        invoiceIds.add(String(entity.id));
+      }
+      continue;
+    }
+
+    if (entity.operation === 'Delete') {
+      continue;
+    }
+    try {
+      (await getPaymentInvoiceIds(entity.id)).forEach(invoiceId => invoiceIds.add(invoiceId));
+    } catch (error) {
+      console.error(`Payment ${entity.id} could not be loaded:`, error);
+      errors.push(`Payment ${entity.id}: ${error.message}`);
+    }
+  }
+
+  const invoices = [];
+  for (const invoiceId of invoiceIds) {
+    try {
+      const response = await getQBOInvoice(invoiceId);
+      const invoice = response?.Invoice || response?.invoice || response;
+      const status = getInvoicePaymentStatus(invoice);
+
+      const result = await updateSalesPaymentStatus(invoiceId, status, organizationId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      invoices.push({ invoiceId, status, balance: roundAmount(invoice?.Balance) });
+    } catch (error) {
+      console.error(`Payment status for invoice ${invoiceId} could not be updated:`, error);
+      errors.push(`Invoice ${invoiceId}: ${error.message}`);
+    }
+  }
+
+  // Only move past the processed events when all of them succeeded, so failures are retried
+  const latest = entities.map(entity => entity.lastUpdated).filter(Boolean).sort().pop();
+  if (latest && errors.length === 0) {
+    localStorage.setItem(getSyncStateKey(organizationId), JSON.stringify({ lastProcessedAt: latest }));
+  }
+
+  console.log(`Payment sync processed ${entities.length} webhook events, updated ${invoices.length} invoices`);
+  return { eventsProcessed: entities.length, invoices, errors };
+};
+
+/**
+ * Groups open invoices into A/R aging buckets per customer
+ * @param {Array} invoices - Open QuickBooks invoices (CustomerRef, TxnDate, Balance)
+ * @param {Date} [asOf=new Date()] - Date the invoices are aged to
+ * @returns {Object} Aging ({ customers: [{ customerId, customerName, current, days30, days60,
+ *   days90, total, invoiceCount }], totals }) with customers sorted by total owing
+ */
+export const calculateARAging = (invoices, asOf = new Date()) => {
+  const emptyBuckets = () => Object.fromEntries(AR_AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const today = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+  const customers = new Map();
+  const totals = { ...emptyBuckets(), total: 0, invoiceCount: 0 };
+
+  (invoices || []).forEach(invoice => {
+    const balance = roundAmount(invoice.Balance);
+    if (balance <= 0) {
+      return;
+    }
+
+    const [year, month, day] = (invoice.TxnDate || '').split('-').map(Number);
+    const age = year ? Math.max(0, Math.floor((today - Date.UTC(year, month - 1, day)) / DAY_MS)) : 0;
+    const bucket = AR_AGING_BUCKETS.find(candidate => candidate.maxDays === null || age <= candidate.maxDays);
+
+    const customerId = invoice.CustomerRef?.value || 'unknown';
+    if (!customers.has(customerId)) {
+      customers.set(customerId, {
+        customerId,
+        customerName: invoice.CustomerRef?.name || 'Unknown customer',
+        ...emptyBuckets(),
+        total: 0,
+        invoiceCount: 0
+      });
+    }
+
+    const customer = customers.get(customerId);
+    [customer, totals].forEach(row => {
+      row[bucket.key] = roundAmount(row[bucket.key] + balance);
+      row.total = roundAmount(row.total + balance);
+      row.invoiceCount += 1;
+    });
+  });
+
+  return {
+    customers: Array.from(customers.values()).sort((a, b) => b.total - a.total),
+    totals
+  };
+};
+
+/**
+ * Loads the A/R aging report from QuickBooks' open invoices
+ * @param {Date} [asOf=new Date()] - Date the invoices are aged to
+ * @returns {Promise<Object>} Aging from calculateARAging
+ */
+export const loadARAging = async (asOf = new Date()) => calculateARAging(await listQBOOpenInvoices(), asOf);
+
+export default {
+  PAYMENT_STATUSES,
+  AR_AGING_BUCKETS,
+  extractWebhookEntities,
+  getInvoicePaymentStatus,
+  getRecordsPaymentStatus,
+  syncPaymentStatusFromWebhooks,
+  calculateARAging,
+  loadARAging
+};
@@ -327,6 +327,55 @@ export function formatProductForDisplay(product) {
   };
 }
 
+/**
+ * Snapshot of a product as it was when added to a proposal
+ * @param {Object} product - Product record
+ * @returns {Object} - Product snapshot
+ */
+export function createProductSnapshot(product) {
+  const metadata = product.product_metadata || product.metadata || {};
+  return {
+    product_id: product.id,
+    name: product.name,
+    description: product.description || '',
+    price: Number(product.price || 0),
+    is_subscription: Boolean(product.is_subscription),
+    subscription_frequency: product.subscription_frequency || null,
+    included_units: Number(product.included_units || 0),
+    unit_type: product.unit_type || null,
+    overage_rate: product.overage_rate ?? null,
+    is_one_time: Boolean(product.is_one_time),
+    product_metadata: metadata
+  };
+}
+
+/**
+ * Builds a proposal deliverable from a catalog product
+ * @param {Object} product - Product record
+ * @param {number} order - Position among the proposal's deliverables
+ * @returns {Object} - Proposal deliverable
+ */
+export function createDeliverableFromProduct(product, order) {
+  const snapshot = createProductSnapshot(product);
+  const billingInterval = snapshot.subscription_frequency || 'monthly';
+
+  return {
+    id: crypto.randomUUID(),
+    product_id: product.id,
+    product_snapshot: snapshot,
+    title: product.name,
+    description: product.description || '',
+    price: snapshot.price,
+    type: snapshot.is_subscription ? 'subscription' : 'fixed',
+    estimated_time: 0,
+    billing_interval: billingInterval,
+    subscription_duration_months: null,
+    selection_group: '',
+    is_required: false,
+    order
+  };
+}
+
 /**
  * Helper function to parse stringified JSON if needed
  * @param {any} value - The value to parse
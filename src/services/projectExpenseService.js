@@ -0,0 +1,242 @@
+/**
+ * Project Expense Service
+ *
+ * Tracks what a project costs besides hours, so its stats show true profitability:
+ * - Each expense records the vendor, amount, receipt and whether it is billable
+ * - Expenses are synced to QuickBooks as bills against the configured expense account; the
+ *   bill line carries the project's customer (when mapped) for job costing
+ * - Billable expenses are re-billed to the customer, plus any markup, as a sale that is
+ *   invoiced like any other. QuickBooks marks the bill line not billable, so the expense
+ *   isn't billed twice.
+ */
+
+import { createQBOBill } from '../api/quickbooksApi';
+import {
+  fetchProjectExpenses,
+  createProjectExpense,
+  updateProjectExpense,
+  deleteProjectExpense
+} from '../api/projectExpenses';
+import { createSale } from './salesService';
+import { calculateExpenseRebillAmount } from './projectService';
+import { resolveMappedQBOCustomer } from './customerReconciliationService';
+import { roundAmount } from '../utils/moneyUtils';
+import { assertNoFault } from '../utils/quickbooksUtils';
+
+const DESCRIPTION_MAX_LENGTH = 500;
+
+/**
+ * Loads the expense settings from an organization's QuickBooks config
+ * @param {string} organizationId - Organization UUID
+ * @returns {Object} Settings ({ expenseAccountId, defaultMarkup })
+ */
+export const loadExpenseSettings = (organizationId) => {
+  const settings = { expenseAccountId: '', defaultMarkup: 0 };
+  if (!organizationId) {
+    return settings;
+  }
+
+  try {
+    const savedConfig = JSON.parse(localStorage.getItem(`qb_config_${organizationId}`) || '{}');
+    return {
+      expenseAccountId: String(savedConfig.expense_account_id || '').trim(),
+      defaultMarkup: Math.max(0, Number(savedConfig.default_expense_markup) || 0)
+    };
+  } catch (error) {
+    console.warn('Invalid QuickBooks config in localStorage, using default expense settings.', error);
+    return settings;
+  }
+};
+
+/**
+ * Validates a project expense
+ * @param {Object} expense - Expense (vendor_name, amount, expense_date, receipt_url, markup_percent, description)
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateExpense = (expense) => {
+  const errors = [];
+
+  if (!expense?.vendor_name || !expense.vendor_name.trim()) {
+    errors.push('Vendor is required');
+  }
+  if (!(Number(expense?.amount) > 0)) {
+    errors.push('Amount must be greater than 0');
+  }
+  if (!expense?.expense_date || Number.isNaN(new Date(expense.expense_date).getTime())) {
+    errors.push('A valid expense date is required');
+  }
+  if (expense?.markup_percent !== undefined && expense.markup_percent !== '' &&
+      !(Number(expense.markup_percent) >= 0)) {
+    errors.push('Markup must be 0 or greater');
+  }
+  if (expense?.receipt_url && !/^https?:\/\//i.test(expense.receipt_url.trim())) {
+    errors.push('Receipt must be an http(s) link');
+  }
+  if ((expense?.description || '').length > DESCRIPTION_MAX_LENGTH) {
+    errors.push(`Description must be ${DESCRIPTION_MAX_LENGTH} characters or fewer`);
+  }
+
+  return errors;
+};
+
+/**
+ * Loads a project's expenses
+ * @param {string} organizationId - Organization UUID
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} Project expenses, newest first
+ */
+export const loadProjectExpenses = async (organizationId, projectId) => fetchProjectExpenses(organizationId, projectId);
+
+/**
+ * Records an expense against a project
+ * @param {Object} params - Expense parameters
+ * @param {string} params.organizationId - Organization UUID
+ * @param {Object} params.project - Project (id, _custID or customer_id)
+ * @param {Object} params.expense - Expense form values
+ * @param {string} [params.userId=null] - Staff member recording the expense
+ * @returns {Promise<Object>} Created project expense
+ * @throws {Error} If the expense is invalid
+ */
+export const addProjectExpense = async ({ organizationId, project, expense, userId = null }) => {
+  if (!organizationId || !project?.id) {
+    throw new Error('Organization and project are required to record an expense');
+  }
+  const errors = validateExpense(expense);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  return createProjectExpense({
+    organization_id: organizationId,
+    project_id: project.id,
+    customer_id: project._custID || project.customer_id || null,
+    vendor_name: expense.vendor_name.trim(),
+    qbo_vendor_id: expense.qbo_vendor_id || null,
+    description: expense.description?.trim() || null,
+    amount: roundAmount(expense.amount),
+    expense_date: expense.expense_date,
+    receipt_url: expense.receipt_url?.trim() || null,
+    billable: Boolean(expense.billable),
+    markup_percent: expense.billable ? Number(expense.markup_percent) || 0 : 0,
+    created_by: userId
+  });
+};
+
+/**
+ * Deletes an expense that hasn't been synced or re-billed yet
+ * @param {Object} expense - Project expense
+ * @returns {Promise<void>}
+ * @throws {Error} If the expense is already a QuickBooks bill or a sale
+ */
+export const removeProjectExpense = async (expense) => {
+  if (expense?.qbo_bill_id || expense?.rebilled_sale_id) {
+    throw new Error('Expenses synced to QuickBooks or re-billed to the customer cannot be deleted here');
+  }
+  await deleteProjectExpense(expense.id);
+};
+
+/**
+ * Builds the QuickBooks bill for an expense
+ * @param {Object} expense - Project expense
+ * @param {string} expenseAccountId - QuickBooks expense account ID
+ * @param {Object|null} qboCustomer - QuickBooks customer the project is for, if mapped
+ * @returns {Object} QuickBooks bill payload
+ */
+export const buildBillPayload = (expense, expenseAccountId, qboCustomer = null) => ({
+  VendorRef: { value: expense.qbo_vendor_id },
+  TxnDate: expense.expense_date,
+  PrivateNote: [expense.description, expense.receipt_url && `Receipt: ${expense.receipt_url}`]
+    .filter(Boolean).join('\n').slice(0, 4000),
+  Line: [{
+    Amount: roundAmount(expense.amount),
+    Description: expense.description || `Expense from ${expense.vendor_name}`,
+    DetailType: 'AccountBasedExpenseLineDetail',
+    AccountBasedExpenseLineDetail: {
+      AccountRef: { value: expenseAccountId },
+      BillableStatus: 'NotBillable',
+      ...(qboCustomer ? { CustomerRef: { value: qboCustomer.Id, name: qboCustomer.DisplayName } } : {})
+    }
+  }]
+});
+
+/**
+ * Syncs an expense to QuickBooks as a bill
+ * Already synced expenses are returned unchanged, so syncing twice doesn't duplicate the bill.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {Object} expense - Project expense
+ * @returns {Promise<Object>} Updated project expense (qbo_bill_id, synced_at)
+ * @throws {Error} If the vendor or expense account is missing or QuickBooks rejects the bill
+ */
+export const syncExpenseToQBO = async (organizationId, expense) => {
+  if (expense.qbo_bill_id) {
+    return expense;
+  }
+  if (!expense.qbo_vendor_id) {
+    throw new Error(`Choose the QuickBooks vendor for ${expense.vendor_name} before syncing`);
+  }
+  const { expenseAccountId } = loadExpenseSettings(organizationId);
+  if (!expenseAccountId) {
+    throw new Error('Set the expense account in the QuickBooks configuration before syncing expenses');
+  }
+
+  let qboCustomer = null;
+  if (expense.customer_id) {
+    try {
+      qboCustomer = await resolveMappedQBOCustomer(organizationId, expense.customer_id);
+    } catch (error) {
+      console.warn(`Bill for expense ${expense.id} will not name a customer:`, error);
+    }
+  }
+
+  const result = await createQBOBill(buildBillPayload(expense, expenseAccountId, qboCustomer));
+  assertNoFault(result, 'create the bill');
+  const bill = result?.Bill || result?.bill;
+  if (!bill?.Id) {
+    throw new Error('QuickBooks did not return a bill ID');
+  }
+  console.log(`Bill ${bill.Id} created for expense ${expense.id}`);
+
+  return updateProjectExpense(expense.id, {
+    qbo_bill_id: bill.Id,
+    synced_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Re-bills a billable expense to the project's customer as a sale
+ * The sale is invoiced with the customer's other unbilled sales.
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {Object} expense - Project expense
+ * @returns {Promise<Object>} Updated project expense (rebilled_sale_id)
+ * @throws {Error} If the expense isn't billable, was already re-billed or the sale can't be created
+ */
+export const rebillExpense = async (organizationId, expense) => {
+  if (!expense.billable) {
+    throw new Error('Only billable expenses can be re-billed');
+  }
+  if (expense.rebilled_sale_id) {
+    throw new Error('This expense has already been re-billed');
+  }
+  if (!expense.customer_id) {
+    throw new Error('The project has no customer to re-bill');
+  }
+
+  const amount = calculateExpenseRebillAmount(expense);
+  const result = await createSale({
+    organization_id: organizationId,
+    customer_id: expense.customer_id,
+    project_id: expense.project_id,
+    product_name: ['Expense', [expense.vendor_name, expense.description].filter(Boolean).join(' - ')].join(': '),
+    quantity: 1,
+    unit_price: amount,
+    total_price: amount,
+    date: expense.expense_date
+  });
+  if (!result?.success || !result.data?.id) {
+    throw new Error(`Failed to re-bill expense: ${result?.error || 'the sale was not created'}`);
+  }
+
+  return updateProjectExpense(expense.id, { rebilled_sale_id: result.data.id });
+};
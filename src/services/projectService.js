@@ -2,6 +2,8 @@
  * Project data processing and business logic
  */
 
+import { roundAmount } from '../utils/moneyUtils';
+
 /**
  * Converts a date from YYYY-MM-DD format to MM/DD/YYYY format for FileMaker
  * @param {string} dateString - Date in YYYY-MM-DD format
@@ -739,13 +741,58 @@ export function calculateRecordsUnbilledHours(records, currentMonthOnly = false,
     return unbilledHours.toFixed(1) + " hrs";
 }
 
+/**
+ * Calculates what re-billing an expense charges the customer
+ * @param {Object} expense - Project expense (amount, markup_percent)
+ * @returns {number} Amount plus markup, rounded to cents
+ */
+export function calculateExpenseRebillAmount(expense) {
+    const amount = Number(expense?.amount) || 0;
+    const markup = Number(expense?.markup_percent) || 0;
+    return roundAmount(amount * (1 + markup / 100));
+}
+
+/**
+ * Calculates a project's profitability from its time records and expenses
+ * Revenue is the fixed price for fixed-price projects, otherwise billable hours at their hourly
+ * rate, plus what billable expenses are re-billed for. Profit is revenue less expenses; staff
+ * time has no cost rate here, so it isn't deducted.
+ *
+ * @param {Object} project - Project in FileMaker or backend format
+ * @param {Array} projectRecords - The project's time records
+ * @param {Array} [expenses=[]] - The project's expenses
+ * @returns {Object} Profitability ({ revenue, expenseTotal, profit, margin }); margin is a percentage
+ */
+export function calculateProjectProfitability(project, projectRecords, expenses = []) {
+    const laborRevenue = isFixedPriceProject(project)
+        ? Number(project.value) || 0
+        : (projectRecords || []).reduce((total, record) =>
+            total + (parseFloat(record.fieldData?.Billable_Time_Rounded) || 0) * (parseFloat(record.fieldData?.Hourly_Rate) || 0), 0
+        );
+    const expenseTotal = (expenses || []).reduce((total, expense) => total + (Number(expense.amount) || 0), 0);
+    const rebilledRevenue = (expenses || [])
+        .filter(expense => expense.billable)
+        .reduce((total, expense) => total + calculateExpenseRebillAmount(expense), 0);
+
+    const revenue = roundAmount(laborRevenue + rebilledRevenue);
+    const profit = roundAmount(revenue - expenseTotal);
+
+    return {
+        revenue,
+        expenseTotal: roundAmount(expenseTotal),
+        profit,
+        margin: revenue > 0 ? Math.round(profit / revenue * 1000) / 10 : 0
+    };
+}
+
 // Calculate detailed stats for a single project
-export function calculateProjectDetailStats(project, records) {
+export function calculateProjectDetailStats(project, records, expenses = []) {
     if (!project || !records) {
         return {
             totalHours: "0.0",
             unbilledHours: "0.0",
-            completion: 0
+            completion: 0,
+            ...calculateProjectProfitability(project, [], expenses)
         };
     }
 
@@ -760,7 +807,8 @@ export function calculateProjectDetailStats(project, records) {
     return {
         totalHours: calculateRecordsTotalHours(projectRecords),
         unbilledHours: calculateRecordsUnbilledHours(projectRecords),
-        completion: calculateProjectCompletion(project)
+        completion: calculateProjectCompletion(project),
+        ...calculateProjectProfitability(project, projectRecords, expenses)
     };
 }
 
@@ -783,9 +831,59 @@ export function getProcessedProject(project, relatedData) {
     }, relatedData)[0];
 }
 
+/**
+ * Whether a project is billed at a fixed price
+ * Hours on these projects are non-billable, so task estimates are what protect the margin
+ * @param {Object} project - Project in FileMaker or backend format
+ * @returns {boolean}
+ */
+export function isFixedPriceProject(project) {
+    return Boolean(project?.f_fixedPrice || project?.is_fixed_price);
+}
+
+/**
+ * Gets a fixed-price project's billing milestones: half its value when it starts and half when
+ * it completes. A milestone is left out until the project has the date it falls on.
+ * @param {Object} project - Project in FileMaker or backend format
+ * @returns {Array} Milestones ({ amount, date, description, type }); type is 'sellable' on start
+ *   and 'sales' on completion
+ */
+export function getFixedPriceMilestones(project) {
+    if (!isFixedPriceProject(project)) {
+        return [];
+    }
+
+    const projectValue = project.value || project.budget || 0;
+    const projectName = project.projectName || project.name;
+    const startDate = project.dateStart || project.start_date;
+    const endDate = project.dateEnd || project.target_end_date || project.actual_end_date;
+    const milestones = [];
+
+    if (startDate) {
+        milestones.push({
+            amount: projectValue / 2,
+            date: startDate,
+            description: `Fixed price project (${projectName}) - 50% on start`,
+            type: 'sellable'
+        });
+    }
+    if (endDate) {
+        milestones.push({
+            amount: projectValue / 2,
+            date: endDate,
+            description: `Fixed price project (${projectName}) - 50% on completion`,
+            type: 'sales'
+        });
+    }
+
+    return milestones;
+}
+
 /**
  * Processes a project's fixed price or subscription value according to business rules
  * Works with both FileMaker and Backend API data formats
+ * Subscription projects create no sales here; they are billed monthly by billing runs
+ * (see subscriptionBillingService)
  * @param {Object} project - The project to process
  * @param {boolean} isUpdate - Whether this is an update to an existing project
  * @returns {Object} - Object containing any sales entries to be created
@@ -797,14 +895,10 @@ export function processProjectValue(project, isUpdate = false) {
     };
 
     // Normalize field names (handle both FileMaker and backend formats)
-    const isFixedPrice = project.f_fixedPrice || project.is_fixed_price;
+    const isFixedPrice = isFixedPriceProject(project);
     const isSubscription = project.f_subscription || project.is_subscription;
-    const projectValue = project.value || project.budget || 0;
     const customerId = project._custID || project.customer_id;
-    const projectName = project.projectName || project.name;
     const projectId = project.id || project.__ID;
-    const startDate = project.dateStart || project.start_date;
-    const endDate = project.dateEnd || project.target_end_date || project.actual_end_date;
 
     // Skip processing if neither fixed price nor subscription is set
     if (!isFixedPrice && !isSubscription) {
@@ -815,108 +909,25 @@ export function processProjectValue(project, isUpdate = false) {
     if (isFixedPrice) {
         result.billableStatus = false; // All hours are non-billable for fixed price projects
 
-        // Check if project has a start date
-        if (startDate) {
-            const startDateObj = new Date(startDate);
-            const today = new Date();
-
-            // Only process if the start date is today or in the past
-            if (startDateObj <= today) {
-                // Add half the value to "sellable" when the project is started
-                result.salesToCreate.push({
-                    customer_id: customerId,
-                    amount: projectValue / 2,
-                    date: startDate,
-                    description: `Fixed price project (${projectName}) - 50% on start`,
-                    project_id: projectId,
-                    type: 'sellable'
-                });
-            }
-        }
-
-        // Check if project has an end date
-        if (endDate) {
-            const endDateObj = new Date(endDate);
-            const today = new Date();
-
-            // Only process if the end date is today or in the past
-            if (endDateObj <= today) {
-                // Add remaining half of the value to "sales" when the project is concluded
-                result.salesToCreate.push({
-                    customer_id: customerId,
-                    amount: projectValue / 2,
-                    date: endDate,
-                    description: `Fixed price project (${projectName}) - 50% on completion`,
-                    project_id: projectId,
-                    type: 'sales'
-                });
-            }
-        }
-    }
-
-    // Process subscription projects
-    if (isSubscription && startDate) {
-        const startDateObj = new Date(startDate);
+        // Only milestones whose date is today or in the past become sales
         const today = new Date();
-        const endDateObj = endDate ? new Date(endDate) : null;
-
-        // Only process if the project has started and hasn't ended
-        if (startDateObj <= today && (!endDateObj || endDateObj >= today)) {
-            // Calculate how many months have passed since the start date
-            const monthsPassed = calculateMonthsBetweenDates(startDateObj, today);
-
-            // For each month, add the value to "sales"
-            for (let i = 0; i < monthsPassed; i++) {
-                const monthDate = new Date(startDateObj);
-                monthDate.setMonth(startDateObj.getMonth() + i);
-
-                // Skip if this date is after the end date
-                if (endDateObj && monthDate > endDateObj) {
-                    break;
-                }
-
+        getFixedPriceMilestones(project)
+            .filter(milestone => new Date(milestone.date) <= today)
+            .forEach(milestone => {
                 result.salesToCreate.push({
                     customer_id: customerId,
-                    amount: projectValue,
-                    date: monthDate.toISOString().split('T')[0], // Format as YYYY-MM-DD
-                    description: `Subscription project (${projectName}) - Month ${i + 1}`,
+                    amount: milestone.amount,
+                    date: milestone.date,
+                    description: milestone.description,
                     project_id: projectId,
-                    type: 'sales'
+                    type: milestone.type
                 });
-            }
-        }
+            });
     }
 
     return result;
 }
 
-/**
- * Calculates the number of months between two dates
- * @param {Date} startDate - The start date
- * @param {Date} endDate - The end date
- * @returns {number} - The number of months between the dates
- */
-function calculateMonthsBetweenDates(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    // Calculate the difference in months
-    const yearDiff = end.getFullYear() - start.getFullYear();
-    const monthDiff = end.getMonth() - start.getMonth();
-    
-    // Calculate total months difference
-    let months = yearDiff * 12 + monthDiff;
-    
-    // If the end date is before the same day of the month as the start date,
-    // we haven't completed that month yet, so subtract 1
-    if (end.getDate() < start.getDate()) {
-        months--;
-    }
-    
-    // Ensure we return at least 1 if we're in the same month and the day has passed
-    return Math.max(0, months);
-}
-
 /**
  * Updates the billable status of time records based on project settings
  *
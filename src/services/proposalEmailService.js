@@ -1,4 +1,11 @@
-import { sendEmailWithAttachment, createHtmlEmailTemplate } from './mailjetService'
+import { sendEmailWithAttachment, createHtmlEmailTemplate } from './mailjetService.js'
+
+/**
+ * Escape text entered by customers before putting it in email HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
 
 /**
  * Proposal Email Service
@@ -120,6 +127,67 @@ export class ProposalEmailService {
     })
   }
   
+  /**
+   * Send the sealed signature certificate for an accepted proposal
+   * @param {Object} proposal - Accepted proposal data
+   * @param {string} recipientEmail - Recipient email address
+   * @param {string} recipientName - Recipient name
+   * @param {Object} certificate - Certificate ({ base64, fileName, dataHash, signerName })
+   * @returns {Promise<Object>} Email send result
+   */
+  static async sendSignatureCertificateEmail(proposal, recipientEmail, recipientName, certificate) {
+    try {
+      const emailContent = this.generateSignatureCertificateContent(proposal, certificate)
+      
+      const result = await sendEmailWithAttachment({
+        to: recipientEmail,
+        customerName: recipientName,
+        subject: `Signed Proposal: ${proposal.title}`,
+        text: `${certificate.signerName} signed "${proposal.title}". The signature certificate is attached (SHA-256 ${certificate.dataHash}).`,
+        html: emailContent,
+        attachment: {
+          filename: certificate.fileName,
+          content: certificate.base64
+        }
+      })
+      
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Email was not sent')
+      }
+      
+      return {
+        success: true,
+        data: result
+      }
+    } catch (error) {
+      console.error('[ProposalEmailService] Send signature certificate error:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+  
+  /**
+   * Generate signature certificate email content
+   * @param {Object} proposal - Proposal data
+   * @param {Object} certificate - Certificate ({ dataHash, signerName })
+   * @returns {string} HTML email content
+   */
+  static generateSignatureCertificateContent(proposal, certificate) {
+    return createHtmlEmailTemplate({
+      title: `Signed Proposal: ${proposal.title}`,
+      mainText: `
+        <p>${escapeHtml(certificate.signerName)} has signed this proposal electronically.</p>
+        <p>The attached certificate records the signer, the approved deliverables and total, and when and where it was signed.</p>
+        <p><strong>Seal (SHA-256):</strong> ${certificate.dataHash}</p>
+      `,
+      buttonText: "View Proposal",
+      buttonUrl: `${window.location.origin}/proposal/view/${proposal.access_token}`,
+      footerText: "Keep this certificate with your records."
+    })
+  }
+  
   /**
    * Send MoA and payment link email
    * @param {Object} proposal - Proposal data
@@ -183,23 +251,33 @@ export class ProposalEmailService {
    * @param {Object} proposal - Proposal data
    * @param {string} customerEmail - Customer email address
    * @param {string} customerName - Customer name
+   * @param {Object} [options] - Reminder options
+   * @param {string} [options.stage] - 'unviewed' or 'unsigned', to word the reminder
+   * @param {string} [options.baseUrl] - Site the proposal link points to (defaults to the current origin)
+   * @param {Date} [options.now] - Time the reminder is sent, for the days until expiry
+   * @param {Function} [options.send] - Sends the email (defaults to sendEmailWithAttachment)
    * @returns {Promise<Object>} Email send result
    */
-  static async sendProposalReminder(proposal, customerEmail, customerName) {
+  static async sendProposalReminder(proposal, customerEmail, customerName, options = {}) {
+    const { now = new Date(), send = sendEmailWithAttachment } = options
     try {
       const daysUntilExpiry = Math.ceil(
-        (new Date(proposal.expires_at) - new Date()) / (1000 * 60 * 60 * 24)
+        (new Date(proposal.expires_at) - now) / (1000 * 60 * 60 * 24)
       )
       
-      const emailContent = this.generateReminderContent(proposal, daysUntilExpiry)
+      const emailContent = this.generateReminderContent(proposal, daysUntilExpiry, options)
       
-      const result = await sendEmailWithAttachment({
+      const result = await send({
         to: customerEmail,
         toName: customerName,
         subject: `Reminder: Project Proposal - ${proposal.title}`,
         html: emailContent,
       })
       
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Email was not sent')
+      }
+      
       return {
         success: true,
         data: result
@@ -217,16 +295,24 @@ export class ProposalEmailService {
    * Generate reminder email content
    * @param {Object} proposal - Proposal data
    * @param {number} daysUntilExpiry - Days until proposal expires
+   * @param {Object} [options] - Reminder options ({ stage, baseUrl })
    * @returns {string} HTML email content
    */
-  static generateReminderContent(proposal, daysUntilExpiry) {
-    const proposalUrl = `${window.location.origin}/proposal/view/${proposal.access_token}`
+  static generateReminderContent(proposal, daysUntilExpiry, options = {}) {
+    const { stage, baseUrl = window.location.origin } = options
+    const proposalUrl = `${baseUrl}/proposal/view/${proposal.access_token}`
+    const dayLabel = daysUntilExpiry === 1 ? 'day' : 'days'
+    const opening = stage === 'unviewed'
+      ? '<p>We sent you a project proposal and wanted to make sure it reached you.</p>'
+      : stage === 'unsigned'
+        ? '<p>Thanks for taking a look at your project proposal. Let us know if you have any questions before approving it.</p>'
+        : '<p>This is a friendly reminder about your project proposal.</p>'
     
     return createHtmlEmailTemplate({
       title: `Reminder: ${proposal.title}`,
       mainText: `
-        <p>This is a friendly reminder about your project proposal.</p>
-        <p>Your proposal will expire in <strong>${daysUntilExpiry} days</strong>.</p>
+        ${opening}
+        <p>Your proposal will expire in <strong>${daysUntilExpiry} ${dayLabel}</strong>.</p>
         <p>Please review and approve your proposal to secure your project timeline.</p>
       `,
       buttonText: "Review Proposal",
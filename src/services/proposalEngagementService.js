@@ -0,0 +1,373 @@
+/**
+ * Proposal Engagement Service
+ *
+ * Tracks how a customer reads a public proposal, one session per visit:
+ * - Time spent on each section, concept and deliverable, counted only while the page is visible
+ * - Deliverables toggled on and off before approval
+ * - The device the proposal was opened on
+ * Sessions are sent to the backend as cumulative snapshots, so re-sending one simply replaces it.
+ * For the sales rep, sessions are summarized into a timeline and a deliverable-by-visit heatmap.
+ */
+
+import { recordProposalEngagement } from '../api/proposals';
+import { fetchProposalEngagement } from '../api/proposalExtended';
+
+/**
+ * What time is tracked against; keys of a session's `time`
+ */
+export const ENGAGEMENT_TARGETS = {
+  SECTION: 'sections',
+  CONCEPT: 'concepts',
+  DELIVERABLE: 'deliverables'
+};
+
+/**
+ * Viewer sections, in page order
+ */
+export const ENGAGEMENT_SECTIONS = {
+  overview: 'Project Overview',
+  concepts: 'Concepts & Designs',
+  deliverables: 'Project Deliverables',
+  approval: 'Proposal Approval'
+};
+
+/**
+ * A deliverable toggled this many times (across all visits) is flagged as a hesitation
+ */
+export const HESITATION_TOGGLES = 2;
+
+// Keeps a session payload bounded however long the page stays open
+const MAX_SESSION_EVENTS = 500;
+
+const createSessionId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Describes the device a proposal is viewed on
+ * @param {string} userAgent - Browser user agent
+ * @param {number} [viewportWidth] - Viewport width in CSS pixels
+ * @returns {Object} Device ({ type, os, browser, viewport_width })
+ */
+export const detectDevice = (userAgent = '', viewportWidth = null) => {
+  const agent = userAgent || '';
+
+  let type = 'desktop';
+  if (/iPad|Tablet/i.test(agent) || (/Android/i.test(agent) && !/Mobile/i.test(agent))) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/i.test(agent) || (viewportWidth && viewportWidth < 768)) {
+    type = 'mobile';
+  }
+
+  let os = 'Other';
+  if (/iPhone|iPad|iPod/i.test(agent)) os = 'iOS';
+  else if (/Android/i.test(agent)) os = 'Android';
+  else if (/Windows/i.test(agent)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/i.test(agent)) os = 'macOS';
+  else if (/CrOS/i.test(agent)) os = 'ChromeOS';
+  else if (/Linux/i.test(agent)) os = 'Linux';
+
+  let browser = 'Other';
+  if (/Edg\//i.test(agent)) browser = 'Edge';
+  else if (/OPR\//i.test(agent)) browser = 'Opera';
+  else if (/Firefox\/|FxiOS/i.test(agent)) browser = 'Firefox';
+  else if (/Chrome\/|CriOS/i.test(agent)) browser = 'Chrome';
+  else if (/Safari\//i.test(agent)) browser = 'Safari';
+
+  return { type, os, browser, viewport_width: viewportWidth || null };
+};
+
+/**
+ * Creates the tracker for one visit to a public proposal
+ * Open targets are timed until they are left or the page is hidden; `pause` and `resume`
+ * follow page visibility. Tracking problems are logged and never reach the viewer.
+ *
+ * @param {Object} options - Tracker options
+ * @param {string} options.proposalId - Proposal ID
+ * @param {string} [options.userAgent] - Browser user agent
+ * @param {number} [options.viewportWidth] - Viewport width in CSS pixels
+ * @param {Function} [options.send] - Sends a session snapshot (defaults to recordProposalEngagement)
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {Object} Tracker ({ sessionId, enter, leave, recordToggle, recordEvent, pause, resume, snapshot, flush })
+ */
+export const createEngagementTracker = ({
+  proposalId,
+  userAgent = '',
+  viewportWidth = null,
+  send = recordProposalEngagement,
+  now = () => Date.now()
+}) => {
+  const sessionId = createSessionId();
+  const startedAt = now();
+  const time = {
+    [ENGAGEMENT_TARGETS.SECTION]: {},
+    [ENGAGEMENT_TARGETS.CONCEPT]: {},
+    [ENGAGEMENT_TARGETS.DELIVERABLE]: {}
+  };
+  const events = [];
+  // Open targets by "kind:id", with when their current timing started (null while paused)
+  const open = new Map();
+  let visibleSince = startedAt;
+  let visibleMs = 0;
+  let lastActiveAt = startedAt;
+  let paused = false;
+
+  const keyFor = (kind, id) => `${kind}:${id}`;
+
+  const addTime = (totals, { kind, id, since }, until) => {
+    if (since === null) return;
+    totals[kind][id] = (totals[kind][id] || 0) + Math.max(0, until - since);
+  };
+
+  const pushEvent = (event) => {
+    lastActiveAt = now();
+    if (events.length < MAX_SESSION_EVENTS) {
+      events.push({ ...event, at: new Date(lastActiveAt).toISOString() });
+    }
+  };
+
+  const enter = (kind, id) => {
+    if (!id || open.has(keyFor(kind, id))) return;
+    open.set(keyFor(kind, id), { kind, id, since: paused ? null : now() });
+    lastActiveAt = now();
+  };
+
+  const leave = (kind, id) => {
+    const key = keyFor(kind, id);
+    if (!open.has(key)) return;
+    addTime(time, open.get(key), now());
+    open.delete(key);
+  };
+
+  const pause = () => {
+    if (paused) return;
+    const at = now();
+    open.forEach((target) => {
+      addTime(time, target, at);
+      target.since = null;
+    });
+    visibleMs += at - visibleSince;
+    paused = true;
+  };
+
+  const resume = () => {
+    if (!paused) return;
+    const at = now();
+    open.forEach((target) => {
+      target.since = at;
+    });
+    visibleSince = at;
+    paused = false;
+  };
+
+  /**
+   * The session so far, including time on targets that are still open
+   * @returns {Object} Session payload
+   */
+  const snapshot = () => {
+    const at = now();
+    const totals = Object.fromEntries(Object.entries(time).map(([kind, values]) => [kind, { ...values }]));
+    open.forEach(target => addTime(totals, target, at));
+
+    return {
+      session_id: sessionId,
+      proposal_id: proposalId,
+      started_at: new Date(startedAt).toISOString(),
+      last_active_at: new Date(lastActiveAt).toISOString(),
+      active_ms: visibleMs + (paused ? 0 : at - visibleSince),
+      device: detectDevice(userAgent, viewportWidth),
+      user_agent: userAgent || null,
+      time: totals,
+      events: [...events]
+    };
+  };
+
+  let inFlight = null;
+  /**
+   * Sends the session snapshot, after any flush already in progress
+   * @returns {Promise<boolean>} Whether the backend stored it
+   */
+  const flush = () => {
+    if (inFlight) return inFlight.then(() => flush());
+    inFlight = Promise.resolve()
+      .then(() => send(snapshot()))
+      .then((result) => {
+        if (result && result.success === false) {
+          console.warn('[ProposalEngagement] Session not stored:', result.error);
+          return false;
+        }
+        return true;
+      })
+      .catch((error) => {
+        console.warn('[ProposalEngagement] Session not stored:', error.message);
+        return false;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+    return inFlight;
+  };
+
+  return {
+    sessionId,
+    enter,
+    leave,
+    recordToggle: (deliverableId, selected) => pushEvent({ type: 'toggle', deliverable_id: deliverableId, selected }),
+    recordEvent: (type, details = {}) => pushEvent({ type, ...details }),
+    pause,
+    resume,
+    snapshot,
+    flush
+  };
+};
+
+/**
+ * Loads a proposal's view sessions, oldest first
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Array>} Sessions
+ */
+export const loadProposalEngagement = async (proposalId) => {
+  const result = await fetchProposalEngagement(proposalId);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load proposal engagement');
+  }
+  return [...(result.data || [])].sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+};
+
+const intensityFor = (value, max) => (max > 0 ? Math.round((value / max) * 100) / 100 : 0);
+
+const rankTime = (totals, labelFor) => {
+  const max = Math.max(0, ...Object.values(totals));
+  return Object.entries(totals)
+    .map(([id, timeMs]) => ({ id, label: labelFor(id), timeMs, intensity: intensityFor(timeMs, max) }))
+    .sort((a, b) => b.timeMs - a.timeMs);
+};
+
+/**
+ * Summarizes a proposal's view sessions for the sales rep
+ * Deliverables are listed in proposal order, followed by any that only appear in sessions
+ * (e.g. removed since). Heatmap cells hold time per deliverable per visit, with intensity
+ * relative to the busiest cell.
+ *
+ * @param {Array} sessions - Sessions, as loaded by loadProposalEngagement
+ * @param {Object} [proposal] - Proposal, for deliverable and concept titles
+ * @returns {Object} Summary ({ totals, deliverables, hesitations, heatmap, sections, concepts, timeline })
+ */
+export const summarizeEngagement = (sessions = [], proposal = {}) => {
+  const ordered = [...sessions].sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+  const deliverableTitles = new Map((proposal.deliverables || []).map(deliverable => [deliverable.id, deliverable.title]));
+  const conceptTitles = new Map((proposal.concepts || []).map(concept => [concept.id, concept.title]));
+
+  const deliverableIds = [...deliverableTitles.keys()];
+  ordered.forEach((session) => {
+    const seen = [
+      ...Object.keys(session.time?.deliverables || {}),
+      ...(session.events || []).filter(event => event.type === 'toggle').map(event => event.deliverable_id)
+    ];
+    seen.forEach((id) => {
+      if (id && !deliverableIds.includes(id)) deliverableIds.push(id);
+    });
+  });
+
+  const deliverables = deliverableIds.map((id) => {
+    const toggles = ordered.flatMap(session => (session.events || [])
+      .filter(event => event.type === 'toggle' && event.deliverable_id === id));
+    const visitsToggled = ordered.filter(session => (session.events || [])
+      .some(event => event.type === 'toggle' && event.deliverable_id === id)).length;
+    return {
+      id,
+      title: deliverableTitles.get(id) || 'Removed deliverable',
+      timeMs: ordered.reduce((sum, session) => sum + (session.time?.deliverables?.[id] || 0), 0),
+      toggles: toggles.length,
+      toggledOn: toggles.filter(event => event.selected).length,
+      toggledOff: toggles.filter(event => !event.selected).length,
+      visitsToggled,
+      lastSelected: toggles.length > 0 ? Boolean(toggles[toggles.length - 1].selected) : null,
+      hesitation: toggles.length >= HESITATION_TOGGLES
+    };
+  });
+
+  const cells = deliverables.map(deliverable => ordered.map((session) => ({
+    timeMs: session.time?.deliverables?.[deliverable.id] || 0,
+    toggles: (session.events || [])
+      .filter(event => event.type === 'toggle' && event.deliverable_id === deliverable.id).length
+  })));
+  const maxCell = Math.max(0, ...cells.flat().map(cell => cell.timeMs));
+
+  const sumTime = (kind) => ordered.reduce((totals, session) => {
+    Object.entries(session.time?.[kind] || {}).forEach(([id, timeMs]) => {
+      totals[id] = (totals[id] || 0) + timeMs;
+    });
+    return totals;
+  }, {});
+
+  const devices = ordered.reduce((counts, session) => {
+    const type = session.device?.type || 'unknown';
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    totals: {
+      sessions: ordered.length,
+      activeMs: ordered.reduce((sum, session) => sum + (session.active_ms || 0), 0),
+      firstViewedAt: ordered[0]?.started_at || null,
+      lastViewedAt: ordered.length > 0
+        ? ordered[ordered.length - 1].last_active_at || ordered[ordered.length - 1].started_at
+        : null,
+      toggles: deliverables.reduce((sum, deliverable) => sum + deliverable.toggles, 0),
+      devices
+    },
+    deliverables,
+    hesitations: deliverables
+      .filter(deliverable => deliverable.hesitation)
+      .sort((a, b) => b.toggles - a.toggles),
+    heatmap: {
+      sessions: ordered.map((session, index) => ({
+        id: session.session_id,
+        label: `Visit ${index + 1}`,
+        startedAt: session.started_at,
+        device: session.device || null
+      })),
+      rows: deliverables.map((deliverable, rowIndex) => ({
+        id: deliverable.id,
+        title: deliverable.title,
+        hesitation: deliverable.hesitation,
+        cells: cells[rowIndex].map(cell => ({ ...cell, intensity: intensityFor(cell.timeMs, maxCell) }))
+      }))
+    },
+    sections: rankTime(sumTime(ENGAGEMENT_TARGETS.SECTION), id => ENGAGEMENT_SECTIONS[id] || id),
+    concepts: rankTime(sumTime(ENGAGEMENT_TARGETS.CONCEPT), id => conceptTitles.get(id) || 'Removed concept'),
+    timeline: ordered.map((session, index) => ({
+      id: session.session_id,
+      label: `Visit ${index + 1}`,
+      startedAt: session.started_at,
+      activeMs: session.active_ms || 0,
+      device: session.device || null,
+      events: [...(session.events || [])]
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+        .map(event => ({
+          ...event,
+          title: event.deliverable_id ? deliverableTitles.get(event.deliverable_id) || 'Removed deliverable'
+            : event.concept_id ? conceptTitles.get(event.concept_id) || 'Removed concept'
+              : null
+        }))
+    }))
+  };
+};
+
+/**
+ * Formats a duration for display (e.g. "45s", "3m 20s", "1h 5m")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (ms = 0) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
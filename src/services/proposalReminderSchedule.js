@@ -0,0 +1,230 @@
+/**
+ * Proposal Reminder Schedule
+ *
+ * The reminder cadence, planning and the reminder job, split from proposalReminderService so
+ * the scheduled script (scripts/send-proposal-reminders.js) can load it with plain Node:
+ * imports here use explicit .js extensions and stay clear of the browser API clients.
+ */
+
+import { ProposalEmailService } from './proposalEmailService.js';
+
+export const DEFAULT_REMINDER_CADENCE = [3, 7, 14];
+
+export const REMINDER_STAGES = {
+  UNVIEWED: 'unviewed',
+  UNSIGNED: 'unsigned'
+};
+
+// Longest reminder step, in days after sending
+const MAX_CADENCE_DAY = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reminder stage a proposal is in, from its status
+ * @param {Object} proposal - Proposal
+ * @returns {string|null} REMINDER_STAGES value, or null when no reminder applies
+ */
+export const getReminderStage = (proposal) => {
+  if (proposal?.status === 'sent') return REMINDER_STAGES.UNVIEWED;
+  if (proposal?.status === 'viewed') return REMINDER_STAGES.UNSIGNED;
+  return null;
+};
+
+/**
+ * Cleans up a reminder cadence entered as an array or a comma-separated list
+ * @param {Array<number|string>|string} cadence - Days after sending
+ * @returns {Array<number>} Distinct days, ascending
+ * @throws {Error} When a day isn't a whole number from 1 to 365
+ */
+export const normalizeReminderCadence = (cadence) => {
+  const values = typeof cadence === 'string'
+    ? cadence.split(',').map(value => value.trim()).filter(Boolean)
+    : cadence || [];
+
+  const days = values.map(Number);
+  if (days.some(day => !Number.isInteger(day) || day < 1 || day > MAX_CADENCE_DAY)) {
+    throw new Error(`Reminder days must be whole numbers from 1 to ${MAX_CADENCE_DAY}`);
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+// An empty cadence turns reminders off; a missing or invalid one uses the default
+const cadenceFor = (proposal) => {
+  if (proposal.reminder_cadence == null) return DEFAULT_REMINDER_CADENCE;
+  try {
+    return normalizeReminderCadence(proposal.reminder_cadence);
+  } catch {
+    return DEFAULT_REMINDER_CADENCE;
+  }
+};
+
+const sameTime = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Works out which proposals expire and which customers are due a reminder
+ * Only the latest due step is sent; steps missed while the job wasn't running
+ * are skipped rather than sent all at once.
+ *
+ * @param {Object} options - Planning options
+ * @param {Array} options.proposals - Proposals, with status, sent_at, expires_at and reminder settings
+ * @param {Array} [options.reminders] - Logged reminders for those proposals
+ * @param {Date} [options.now] - Time of the run
+ * @returns {Object} Plan ({ expirations, reminders: [{ proposal, cadenceDay, stage, daysUntilExpiry }], skipped })
+ */
+export const planProposalReminders = ({ proposals, reminders = [], now = new Date() }) => {
+  const plan = { expirations: [], reminders: [], skipped: [] };
+
+  proposals.forEach((proposal) => {
+    const stage = getReminderStage(proposal);
+    if (!stage) return;
+
+    if (proposal.expires_at && new Date(proposal.expires_at) <= now) {
+      plan.expirations.push(proposal);
+      return;
+    }
+    if (proposal.reminders_paused) {
+      plan.skipped.push({ proposal, reason: 'paused' });
+      return;
+    }
+    if (!proposal.sent_at) {
+      plan.skipped.push({ proposal, reason: 'not sent' });
+      return;
+    }
+
+    const daysSinceSent = Math.floor((now - new Date(proposal.sent_at)) / DAY_MS);
+    const sentDays = reminders
+      .filter(reminder => reminder.proposal_id === proposal.id && reminder.status === 'sent' &&
+        sameTime(reminder.cycle_started_at, proposal.sent_at))
+      .map(reminder => reminder.cadence_day);
+    const lastSentDay = Math.max(0, ...sentDays);
+    const dueDays = cadenceFor(proposal).filter(day => day <= daysSinceSent && day > lastSentDay);
+    if (dueDays.length === 0) return;
+
+    plan.reminders.push({
+      proposal,
+      cadenceDay: dueDays[dueDays.length - 1],
+      stage,
+      daysUntilExpiry: proposal.expires_at
+        ? Math.ceil((new Date(proposal.expires_at) - now) / DAY_MS)
+        : null
+    });
+  });
+
+  return plan;
+};
+
+/**
+ * Runs one pass of the reminder and expiry job
+ * Failures are logged per proposal and never stop the run; a failed reminder is retried
+ * on the next run.
+ *
+ * @param {Object} options - Job options
+ * @param {Object} options.store - Data access
+ * @param {Function} options.store.listOpenProposals - Resolves to 'sent' and 'viewed' proposals,
+ *   each with customer_email and customer_name
+ * @param {Function} options.store.listReminders - Resolves to logged reminders for proposal IDs
+ * @param {Function} options.store.logReminder - Saves a reminder log entry
+ * @param {Function} options.store.expireProposal - Moves a proposal to 'expired' (proposalId, expiredAt)
+ * @param {Function} [options.sendEmail] - Mail transport, as sendEmailWithAttachment
+ * @param {string} options.baseUrl - Site the proposal links point to
+ * @param {Date} [options.now] - Time of the run
+ * @param {boolean} [options.dryRun] - Plan without sending, logging or expiring anything
+ * @returns {Promise<Object>} Results ({ expired, sent, failed, skipped, dryRun })
+ */
+export const runProposalReminderJob = async ({
+  store,
+  sendEmail,
+  baseUrl,
+  now = new Date(),
+  dryRun = false
+}) => {
+  const proposals = await store.listOpenProposals();
+  const reminders = proposals.length > 0
+    ? await store.listReminders(proposals.map(proposal => proposal.id))
+    : [];
+  const plan = planProposalReminders({ proposals, reminders, now });
+  const results = {
+    expired: [],
+    sent: [],
+    failed: [],
+    skipped: plan.skipped.map(({ proposal, reason }) => ({ proposalId: proposal.id, reason })),
+    dryRun
+  };
+
+  for (const proposal of plan.expirations) {
+    try {
+      if (!dryRun) {
+        await store.expireProposal(proposal.id, now.toISOString());
+      }
+      results.expired.push(proposal.id);
+    } catch (error) {
+      results.failed.push({ proposalId: proposal.id, error: `Expiry failed: ${error.message}` });
+    }
+  }
+
+  for (const { proposal, cadenceDay, stage, daysUntilExpiry } of plan.reminders) {
+    if (!proposal.customer_email) {
+      results.skipped.push({ proposalId: proposal.id, reason: 'no customer email' });
+      continue;
+    }
+
+    const reminder = {
+      proposal_id: proposal.id,
+      cycle_started_at: proposal.sent_at,
+      cadence_day: cadenceDay,
+      stage,
+      recipient_email: proposal.customer_email,
+      days_until_expiry: daysUntilExpiry
+    };
+    if (dryRun) {
+      results.sent.push(reminder);
+      continue;
+    }
+
+    try {
+      const result = await ProposalEmailService.sendProposalReminder(
+        proposal,
+        proposal.customer_email,
+        proposal.customer_name,
+        { stage, baseUrl, now, send: sendEmail }
+      );
+      const entry = {
+        ...reminder,
+        status: result.success ? 'sent' : 'failed',
+        error: result.success ? null : result.error,
+        sent_at: now.toISOString()
+      };
+      await store.logReminder(entry);
+      if (result.success) {
+        results.sent.push(entry);
+      } else {
+        results.failed.push({ proposalId: proposal.id, error: result.error });
+      }
+    } catch (error) {
+      results.failed.push({ proposalId: proposal.id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Next reminder step for a proposal, for display
+ * @param {Object} proposal - Proposal
+ * @param {Array} reminders - Logged reminders for the proposal
+ * @returns {Object|null} Next step ({ cadenceDay, dueAt }), or null when none is left
+ */
+export const getNextReminder = (proposal, reminders = []) => {
+  if (!getReminderStage(proposal) || proposal.reminders_paused || !proposal.sent_at) return null;
+
+  const sentDays = reminders
+    .filter(reminder => reminder.status === 'sent' && sameTime(reminder.cycle_started_at, proposal.sent_at))
+    .map(reminder => reminder.cadence_day);
+  const lastSentDay = Math.max(0, ...sentDays);
+  const cadenceDay = cadenceFor(proposal).find(day => day > lastSentDay);
+  if (!cadenceDay) return null;
+
+  const dueAt = new Date(new Date(proposal.sent_at).getTime() + cadenceDay * DAY_MS);
+  if (proposal.expires_at && dueAt >= new Date(proposal.expires_at)) return null;
+  return { cadenceDay, dueAt: dueAt.toISOString() };
+};
@@ -0,0 +1,63 @@
+/**
+ * Proposal Reminder Service
+ *
+ * Follows up on proposals the customer hasn't acted on, and expires them on time:
+ * - Each proposal has a cadence of days after it was sent (3, 7 and 14 by default)
+ * - On each step, a customer who hasn't opened the proposal, or opened but not signed it,
+ *   is emailed a reminder; each step is sent at most once per send
+ * - Proposals past their expiry date move to 'expired'
+ * - Reminders can be paused and resumed per proposal, and every reminder is logged
+ *
+ * The job itself takes its data access and mail transport as arguments, so it runs the same
+ * from the scheduled script (scripts/send-proposal-reminders.js) and in tests. It lives with
+ * the cadence and planning in proposalReminderSchedule, which the script loads directly.
+ */
+
+import { fetchProposalReminders } from '../api/proposalExtended';
+import { updateProposalReminderSettings } from '../api/proposals';
+import { normalizeReminderCadence } from './proposalReminderSchedule';
+
+export {
+  DEFAULT_REMINDER_CADENCE,
+  REMINDER_STAGES,
+  getReminderStage,
+  normalizeReminderCadence,
+  planProposalReminders,
+  runProposalReminderJob,
+  getNextReminder
+} from './proposalReminderSchedule';
+
+/**
+ * Loads the reminders sent for a proposal, newest first
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Array>} Reminders
+ */
+export const loadProposalReminders = async (proposalId) => {
+  const result = await fetchProposalReminders(proposalId);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load proposal reminders');
+  }
+  return [...(result.data || [])].sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
+};
+
+/**
+ * Saves a proposal's reminder cadence, pause state or expiry date
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} settings - Settings to change
+ * @param {Array<number>|string} [settings.cadence] - Days after sending to remind the customer
+ * @param {boolean} [settings.paused] - Whether reminders are paused
+ * @param {string} [settings.expiresAt] - Expiry date (ISO date or datetime)
+ * @returns {Promise<Object>} Updated proposal
+ * @throws {Error} When the cadence is invalid or the update fails
+ */
+export const saveProposalReminderSettings = async (proposalId, { cadence, paused, expiresAt } = {}) => {
+  const result = await updateProposalReminderSettings(proposalId, {
+    reminderCadence: cadence === undefined ? undefined : normalizeReminderCadence(cadence),
+    remindersPaused: paused,
+    expiresAt: expiresAt === undefined ? undefined : new Date(expiresAt).toISOString()
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to save reminder settings');
+  }
+  return result.data;
+};
@@ -78,14 +78,35 @@ export class ProposalSecurityService {
     }
   }
   
+  /**
+   * Serialize data as JSON with object keys sorted at every level
+   * Equal data always produces the same string, whatever order its keys were set in.
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  static canonicalStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (item === undefined ? 'null' : this.canonicalStringify(item))).join(',')}]`
+    }
+    if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+      const entries = Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .map(key => `${JSON.stringify(key)}:${this.canonicalStringify(value[key])}`)
+      return `{${entries.join(',')}}`
+    }
+    return JSON.stringify(value)
+  }
+  
   /**
    * Generate secure hash for proposal data integrity
+   * Nested objects are hashed too, so snapshots of deliverables and pricing are covered.
    * @param {Object} proposalData - Proposal data to hash
    * @returns {Promise<string>} SHA-256 hash
    */
   static async generateDataHash(proposalData) {
     try {
-      const dataString = JSON.stringify(proposalData, Object.keys(proposalData).sort())
+      const dataString = this.canonicalStringify(proposalData)
       const encoder = new TextEncoder()
       const data = encoder.encode(dataString)
       
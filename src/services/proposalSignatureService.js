@@ -0,0 +1,341 @@
+/**
+ * Proposal Signature Service
+ *
+ * Turns a public proposal approval into a signed agreement:
+ * - The signer gives their name, title and email and signs by typing their name or drawing
+ * - The signature record keeps the consent text, signing time, user agent and the IP address
+ *   the acceptance endpoint saw, alongside the approved deliverables and total
+ * - The record is sealed with its SHA-256 hash into a PDF certificate (the record itself is
+ *   attached to the PDF), stored, verified and emailed to the signer and to us
+ */
+
+import { StandardFonts, rgb } from 'pdf-lib';
+import { createPdf } from '../utils/pdfUtils';
+import { isValidEmail } from '../utils/validation';
+import { roundAmount } from '../utils/moneyUtils';
+import { recordSignatureCertificate } from '../api/proposals';
+import { ProposalSecurityService } from './proposalSecurityService';
+import { ProposalEmailService } from './proposalEmailService';
+
+export const SIGNATURE_METHODS = {
+  TYPED: 'typed',
+  DRAWN: 'drawn'
+};
+
+export const SIGNATURE_CONSENT_TEXT = 'I agree to sign this proposal electronically. My typed or drawn signature ' +
+  'is the legal equivalent of my handwritten signature. I have reviewed the selected deliverables and the ' +
+  'terms and conditions, and I authorize Clarity Business Solutions to proceed with this project.';
+
+/**
+ * Inbox that receives our copy of every signature certificate
+ */
+export const BUSINESS_SIGNATURE_EMAIL = 'info@claritybusinesssolutions.ca';
+
+export const SIGNATURE_RECORD_FILENAME = 'signature-record.json';
+
+const MARGIN = 50;
+const LINE_HEIGHT = 16;
+
+/**
+ * Validates what the signer entered
+ * @param {Object} signature - Signature ({ signerName, signerTitle, signerEmail, method, typedName, image, consented })
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export const validateSignature = (signature) => {
+  const errors = [];
+
+  if (!signature?.signerName?.trim()) {
+    errors.push('Your full name is required');
+  }
+  if (!signature?.signerEmail?.trim() || !isValidEmail(signature.signerEmail.trim())) {
+    errors.push('A valid email address is required');
+  }
+  if (signature?.method === SIGNATURE_METHODS.TYPED) {
+    if (!signature.typedName?.trim()) {
+      errors.push('Type your name to sign');
+    }
+  } else if (signature?.method === SIGNATURE_METHODS.DRAWN) {
+    if (!/^data:image\/png;base64,/.test(signature.image || '')) {
+      errors.push('Draw your signature to sign');
+    }
+  } else {
+    errors.push('Choose how to sign');
+  }
+  if (!signature?.consented) {
+    errors.push('You must agree to sign electronically');
+  }
+
+  return errors;
+};
+
+/**
+ * Builds the signature record for an approval
+ * The IP address is filled in from the acceptance response, since only the server sees it.
+ *
+ * @param {Object} params - Record parameters
+ * @param {Object} params.proposal - Proposal being signed (id, title)
+ * @param {Array} params.deliverables - Selected deliverables
+ * @param {number} params.totalPrice - Approved total
+ * @param {Object} params.signature - Validated signature (see validateSignature)
+ * @param {string} [params.currency='CAD'] - Currency of the total
+ * @param {string} [params.userAgent] - Signer's browser
+ * @param {Date} [params.signedAt=new Date()] - When the signer signed
+ * @returns {Object} Signature record
+ */
+export const buildSignatureRecord = ({
+  proposal,
+  deliverables,
+  totalPrice,
+  signature,
+  currency = 'CAD',
+  userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '',
+  signedAt = new Date()
+}) => ({
+  proposal: {
+    id: proposal.id,
+    title: proposal.title,
+    version_number: proposal.version_number ?? null
+  },
+  deliverables: deliverables.map(deliverable => ({
+    id: deliverable.id,
+    title: deliverable.title,
+    type: deliverable.type || 'fixed',
+    price: Number(deliverable.price) || 0
+  })),
+  total_price: roundAmount(totalPrice),
+  currency,
+  signer: {
+    name: signature.signerName.trim(),
+    title: signature.signerTitle?.trim() || '',
+    email: signature.signerEmail.trim().toLowerCase()
+  },
+  signature: signature.method === SIGNATURE_METHODS.TYPED
+    ? { method: SIGNATURE_METHODS.TYPED, typed_name: signature.typedName.trim() }
+    : { method: SIGNATURE_METHODS.DRAWN, image: signature.image },
+  consent_text: SIGNATURE_CONSENT_TEXT,
+  signed_at: signedAt.toISOString(),
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
+  user_agent: userAgent || '',
+  ip_address: null
+});
+
+/**
+ * Replaces characters the standard PDF fonts can't encode
+ * @param {string} text - Text to draw
+ * @returns {string} Drawable text
+ */
+const toPdfText = (text) => String(text || '').replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?');
+
+/**
+ * Splits text into lines that fit a width
+ * @param {string} text - Text to wrap
+ * @param {Object} font - pdf-lib font
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Line width in points
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+  let line = '';
+  toPdfText(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Converts PDF bytes to base64 for email attachments and upload
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {string} Base64 content
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Builds the sealed PDF certificate for a signature record
+ * The certificate prints the record's SHA-256 hash and attaches the record as JSON, so
+ * anyone holding the PDF can re-hash the record and compare.
+ *
+ * @param {Object} record - Signature record
+ * @param {string} dataHash - SHA-256 hash of the record
+ * @returns {Promise<Object>} Certificate ({ bytes, base64, fileName })
+ */
+export const generateSignatureCertificatePdf = async (record, dataHash) => {
+  const pdf = await createPdf({ format: 'letter' });
+  const { pdfDoc } = pdf;
+  const italic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+  const [pageWidth, pageHeight] = pdf.pageSize;
+  const contentWidth = pageWidth - MARGIN * 2;
+  const muted = rgb(0.4, 0.4, 0.4);
+  let y = pageHeight - MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      pdf.addPage();
+      y = pageHeight - MARGIN;
+    }
+  };
+  const writeLine = (text, options = {}) => {
+    ensureSpace(LINE_HEIGHT);
+    pdf.drawText(toPdfText(text), MARGIN + (options.indent || 0), y, options);
+    y -= options.lineHeight ?? LINE_HEIGHT;
+  };
+  const writeWrapped = (text, options = {}) => {
+    const size = options.size || 10;
+    wrapText(text, pdf.fonts[options.font || 'helvetica'], size, contentWidth).forEach(line => (
+      writeLine(line, { ...options, size, lineHeight: size + 4 })
+    ));
+  };
+  const writeField = (label, value) => {
+    writeLine(label, { font: 'helveticaBold', size: 10 });
+    writeWrapped(value || 'Not recorded');
+    y -= 4;
+  };
+
+  pdfDoc.setTitle(`Signature Certificate - ${record.proposal.title}`);
+  pdfDoc.setSubject(`SHA-256 ${dataHash}`);
+  pdfDoc.setCreator('Clarity Business Solutions');
+
+  writeLine('Signature Certificate', { font: 'helveticaBold', size: 20, lineHeight: 28 });
+  writeWrapped(record.proposal.title, { size: 12 });
+  y -= 8;
+
+  writeField('Proposal ID', record.proposal.id + (record.proposal.version_number ? ` (version ${record.proposal.version_number})` : ''));
+  writeField('Signer', [record.signer.name, record.signer.title].filter(Boolean).join(', '));
+  writeField('Email', record.signer.email);
+  writeField('Signed at', `${record.signed_at}${record.timezone ? ` (signer's time zone: ${record.timezone})` : ''}`);
+  writeField('IP address', record.ip_address);
+  writeField('User agent', record.user_agent);
+
+  writeLine('Approved deliverables', { font: 'helveticaBold', size: 10 });
+  record.deliverables.forEach(deliverable => {
+    const price = `${deliverable.price.toFixed(2)} ${record.currency}`;
+    writeLine(String(deliverable.title || '').slice(0, 70), { size: 10, indent: 10, lineHeight: 0 });
+    writeLine(price, { size: 10, indent: contentWidth - pdf.fonts.helvetica.widthOfTextAtSize(price, 10) });
+  });
+  const total = `Total: ${record.total_price.toFixed(2)} ${record.currency}`;
+  writeLine(total, { font: 'helveticaBold', size: 11, indent: contentWidth - pdf.fonts.helveticaBold.widthOfTextAtSize(total, 11) });
+  y -= 8;
+
+  writeField('Consent', record.consent_text);
+
+  writeLine('Signature', { font: 'helveticaBold', size: 10 });
+  if (record.signature.method === SIGNATURE_METHODS.DRAWN) {
+    const image = await pdfDoc.embedPng(record.signature.image);
+    const { width, height } = image.scaleToFit(240, 80);
+    ensureSpace(height + 8);
+    pdf.getPage().drawImage(image, { x: MARGIN, y: y - height, width, height });
+    y -= height + 8;
+  } else {
+    ensureSpace(32);
+    pdf.getPage().drawText(toPdfText(record.signature.typed_name), { x: MARGIN, y: y - 20, size: 24, font: italic });
+    y -= 32;
+  }
+  pdf.drawLine(MARGIN, y + 4, MARGIN + 240, y + 4, { thickness: 0.5, color: muted });
+  writeLine(`${record.signature.method === SIGNATURE_METHODS.DRAWN ? 'Drawn' : 'Typed'} by ${record.signer.name}`, { size: 9, color: muted });
+  y -= 12;
+
+  writeLine('Seal (SHA-256 of the attached signature record)', { font: 'helveticaBold', size: 10 });
+  writeLine(dataHash, { size: 9 });
+  writeWrapped(`The signature record is attached to this PDF as ${SIGNATURE_RECORD_FILENAME}. ` +
+    'Hashing it with sorted keys reproduces the seal above if the record is unchanged.', { size: 8, color: muted });
+
+  await pdfDoc.attach(new TextEncoder().encode(JSON.stringify(record, null, 2)), SIGNATURE_RECORD_FILENAME, {
+    mimeType: 'application/json',
+    description: 'Signature record sealed by this certificate',
+    creationDate: new Date(record.signed_at)
+  });
+
+  const { bytes } = await pdf.save();
+  return {
+    bytes,
+    base64: bytesToBase64(bytes),
+    fileName: `signature-certificate-${record.proposal.id}.pdf`
+  };
+};
+
+/**
+ * Checks a signature record against its seal
+ * @param {Object} record - Signature record
+ * @param {string} dataHash - Hash printed on the certificate
+ * @returns {Promise<boolean>} True if the record is unchanged
+ */
+export const verifySignatureRecord = async (record, dataHash) => {
+  if (!record || !dataHash) {
+    return false;
+  }
+  return ProposalSecurityService.verifyDataIntegrity(record, dataHash);
+};
+
+/**
+ * Seals, stores and emails the certificate once the proposal has been accepted
+ * Acceptance has already happened by this point, so failures are reported, not thrown.
+ * The certificate is only emailed once the server has stored the record and it still matches the seal.
+ *
+ * @param {Object} params - Certificate parameters
+ * @param {Object} params.proposal - Accepted proposal (id, title, access_token, owner_email)
+ * @param {Object} params.record - Signature record sent with the acceptance
+ * @param {Object} [params.acceptance] - Acceptance response (signature.ip_address)
+ * @returns {Promise<Object>} Result ({ record, dataHash, verified, emailed: { signer, business }, errors })
+ */
+export const completeSignatureCertificate = async ({ proposal, record, acceptance = {} }) => {
+  const errors = [];
+  const sealedRecord = {
+    ...record,
+    ip_address: acceptance?.signature?.ip_address || record.ip_address || null
+  };
+  const dataHash = await ProposalSecurityService.generateDataHash(sealedRecord);
+  const certificate = await generateSignatureCertificatePdf(sealedRecord, dataHash);
+
+  let verified = false;
+  const stored = await recordSignatureCertificate({
+    proposalId: proposal.id,
+    record: sealedRecord,
+    dataHash,
+    certificateBase64: certificate.base64,
+    fileName: certificate.fileName
+  });
+  if (stored.success) {
+    // Re-hash what the server kept, so a certificate is never sent for a record that changed in transit
+    verified = await verifySignatureRecord(stored.data?.record, dataHash);
+    if (!verified) {
+      errors.push('The stored signature record does not match its seal');
+    }
+  } else {
+    errors.push(`Certificate was not stored: ${stored.error}`);
+  }
+
+  const recipients = {
+    signer: { email: sealedRecord.signer.email, name: sealedRecord.signer.name },
+    business: { email: proposal.owner_email || BUSINESS_SIGNATURE_EMAIL, name: 'Clarity Business Solutions' }
+  };
+  const emailed = { signer: false, business: false };
+  if (verified) {
+    for (const [party, recipient] of Object.entries(recipients)) {
+      const result = await ProposalEmailService.sendSignatureCertificateEmail(
+        proposal, recipient.email, recipient.name, { ...certificate, dataHash, signerName: sealedRecord.signer.name }
+      );
+      emailed[party] = Boolean(result.success);
+      if (!result.success) {
+        errors.push(`Certificate email to ${recipient.email} failed: ${result.error}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    console.warn('[ProposalSignature] Certificate completed with problems:', errors);
+  }
+  return { record: sealedRecord, dataHash, verified, emailed, errors };
+};
@@ -0,0 +1,579 @@
+/**
+ * Proposal Template Service
+ *
+ * Organization templates new proposals start from instead of being written from scratch:
+ * - Intro copy and a title, with variables like {{customer.name}} filled in per proposal
+ * - Concept placeholders to replace with the real mockups and documents
+ * - A deliverable bundle, mostly catalog products, plus the requirements those products define
+ * - Default packages and customer requirements
+ *
+ * A template is copied into a new proposal once; the proposal is then edited as usual and
+ * later changes to the template don't affect it.
+ */
+
+import {
+  fetchProposalTemplates,
+  createProposalTemplate,
+  updateProposalTemplate,
+  deleteProposalTemplate
+} from '../api/proposalTemplates';
+import { createProposal, addProposalConcept } from '../api/proposals';
+import {
+  fetchProposalDeliverables,
+  createProposalDeliverable,
+  createProposalRequirement,
+  createCompletePackage,
+  fetchCompleteProposalData
+} from '../api/proposalExtended';
+import { createDeliverableFromProduct } from './productService';
+import { processProposalData } from './proposalService';
+
+/**
+ * Variables template text can use, for the template editor's help text
+ */
+export const TEMPLATE_VARIABLES = [
+  { key: 'customer.name', label: 'Customer name' },
+  { key: 'customer.contact', label: 'Customer contact person' },
+  { key: 'customer.email', label: 'Customer email' },
+  { key: 'project.name', label: 'Project name' },
+  { key: 'user.name', label: 'Your name' },
+  { key: 'date.today', label: 'Today\'s date' },
+  { key: 'proposal.expires_on', label: 'Proposal expiry date' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const KNOWN_VARIABLES = new Set(TEMPLATE_VARIABLES.map(variable => variable.key));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Values for template variables
+ * @param {Object} context - What the proposal is for
+ * @param {string} [context.customerName] - Customer name
+ * @param {string} [context.customerContact] - Customer contact person
+ * @param {string} [context.customerEmail] - Customer email
+ * @param {string} [context.projectName] - Project name
+ * @param {string} [context.userName] - Name of the person writing the proposal
+ * @param {Date} [context.now] - Today
+ * @param {number} [context.expiryDays] - Days until the proposal expires
+ * @returns {Object} Variables, nested as used in templates (e.g. customer.name)
+ */
+export const buildTemplateVariables = ({
+  customerName = '',
+  customerContact = '',
+  customerEmail = '',
+  projectName = '',
+  userName = '',
+  now = new Date(),
+  expiryDays = 30
+} = {}) => ({
+  customer: { name: customerName || '', contact: customerContact || '', email: customerEmail || '' },
+  project: { name: projectName || '' },
+  user: { name: userName || '' },
+  date: { today: formatDate(now) },
+  proposal: { expires_on: formatDate(new Date(now.getTime() + expiryDays * DAY_MS)) }
+});
+
+/**
+ * Fills in {{variables}} in template text
+ * Variables without a value are left as written, so they stand out when editing.
+ * @param {string} text - Template text
+ * @param {Object} variables - Variables from buildTemplateVariables
+ * @returns {string} Text with variables filled in
+ */
+export const renderTemplateText = (text, variables = {}) => {
+  if (!text) return '';
+  return String(text).replace(VARIABLE_PATTERN, (match, key) => {
+    const value = key.split('.').reduce((scope, part) => (scope == null ? undefined : scope[part]), variables);
+    return value === undefined || value === null || typeof value === 'object' ? match : String(value);
+  });
+};
+
+// Every piece of template text that variables can appear in
+const templateTexts = (template) => [
+  template.title,
+  template.intro,
+  ...(template.concepts || []).flatMap(concept => [concept.title, concept.description]),
+  ...(template.deliverables || []).flatMap(deliverable => [deliverable.title, deliverable.description]),
+  ...(template.requirements || []).flatMap(requirement => [requirement.title, requirement.description]),
+  ...(template.packages || []).flatMap(pkg => [pkg.name, pkg.description])
+].filter(Boolean);
+
+/**
+ * Checks a template before it is saved
+ * @param {Object} template - Proposal template
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export const validateProposalTemplate = (template) => {
+  const errors = [];
+
+  if (!template?.name?.trim()) {
+    errors.push('Template name is required');
+  }
+
+  const deliverableKeys = new Set();
+  (template?.deliverables || []).forEach((deliverable, index) => {
+    if (!deliverable.product_id && !deliverable.title?.trim()) {
+      errors.push(`Deliverable ${index + 1}: Choose a product or enter a title`);
+    }
+    if (deliverableKeys.has(deliverable.key)) {
+      errors.push(`Deliverable ${index + 1}: Duplicate key '${deliverable.key}'`);
+    }
+    deliverableKeys.add(deliverable.key);
+  });
+
+  const requirementKeys = new Set();
+  (template?.requirements || []).forEach((requirement, index) => {
+    if (!requirement.title?.trim()) {
+      errors.push(`Requirement ${index + 1}: Title is required`);
+    }
+    if (requirementKeys.has(requirement.key)) {
+      errors.push(`Requirement ${index + 1}: Duplicate key '${requirement.key}'`);
+    }
+    requirementKeys.add(requirement.key);
+  });
+
+  (template?.packages || []).forEach((pkg, index) => {
+    if (!pkg.name?.trim()) {
+      errors.push(`Package ${index + 1}: Name is required`);
+    }
+    (pkg.deliverable_keys || []).filter(key => !deliverableKeys.has(key)).forEach((key) => {
+      errors.push(`Package ${index + 1}: Unknown deliverable '${key}'`);
+    });
+    (pkg.requirement_keys || []).filter(key => !requirementKeys.has(key)).forEach((key) => {
+      errors.push(`Package ${index + 1}: Unknown requirement '${key}'`);
+    });
+  });
+
+  const unknownVariables = new Set();
+  templateTexts(template || {}).forEach((text) => {
+    for (const [, key] of text.matchAll(VARIABLE_PATTERN)) {
+      if (!KNOWN_VARIABLES.has(key)) unknownVariables.add(key);
+    }
+  });
+  unknownVariables.forEach((key) => {
+    errors.push(`Unknown variable {{${key}}}`);
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Same defaults as a deliverable added by hand in DeliverablesTab
+const customDeliverable = (order) => ({
+  id: crypto.randomUUID(),
+  product_id: null,
+  product_snapshot: {},
+  title: '',
+  description: '',
+  price: 0,
+  type: 'fixed',
+  estimated_time: 0,
+  billing_interval: 'monthly',
+  subscription_duration_months: null,
+  selection_group: '',
+  is_required: false,
+  order
+});
+
+// Requirements a product asks the customer for (product metadata), as proposal requirements
+const productRequirements = (product) => (product.product_metadata || product.metadata || {}).requirements || [];
+
+/**
+ * Fills in a template for one proposal, without saving anything
+ * @param {Object} template - Proposal template
+ * @param {Object} options - Instantiation options
+ * @param {Array} [options.products] - Product catalog
+ * @param {Object} [options.variables] - Variables from buildTemplateVariables
+ * @returns {Object} Proposal content ({ title, description, concepts, deliverables, requirements,
+ *   packages, missingProducts }); packages refer to deliverables and requirements by template key
+ */
+export const instantiateProposalTemplate = (template, { products = [], variables = {} } = {}) => {
+  const render = (text) => renderTemplateText(text, variables);
+  const missingProducts = [];
+  const bundledProducts = [];
+
+  const deliverables = (template.deliverables || []).reduce((result, entry, index) => {
+    const key = entry.key || `deliverable-${index + 1}`;
+    const product = entry.product_id ? products.find(item => item.id === entry.product_id) : null;
+
+    if (entry.product_id && !product) {
+      missingProducts.push(entry.title || entry.product_id);
+      // Keep a product that left the catalog as a custom deliverable if it has a title
+      if (!entry.title) return result;
+    }
+
+    const base = product
+      ? createDeliverableFromProduct(product, result.length)
+      : customDeliverable(result.length);
+    if (product) bundledProducts.push(product);
+
+    result.push({
+      ...base,
+      title: render(entry.title || base.title),
+      description: render(entry.description || base.description),
+      price: entry.price != null && entry.price !== '' ? Number(entry.price) : base.price,
+      type: entry.type || base.type,
+      selection_group: entry.selection_group || '',
+      is_required: Boolean(entry.is_required),
+      template_key: key
+    });
+    return result;
+  }, []);
+
+  const requirements = (template.requirements || []).map((entry, index) => ({
+    id: crypto.randomUUID(),
+    title: render(entry.title),
+    description: render(entry.description),
+    category: entry.category || 'content',
+    priority: entry.priority || 'medium',
+    is_required: entry.is_required !== false,
+    template_key: entry.key || `requirement-${index + 1}`
+  }));
+
+  if (template.include_product_requirements !== false) {
+    const titles = new Set(requirements.map(requirement => requirement.title.trim().toLowerCase()));
+    bundledProducts.forEach((product) => {
+      productRequirements(product).forEach((entry) => {
+        const title = (entry.name || '').trim();
+        if (!title || titles.has(title.toLowerCase())) return;
+        titles.add(title.toLowerCase());
+        requirements.push({
+          id: crypto.randomUUID(),
+          title,
+          description: (entry.fields || []).map(field => field.label).filter(Boolean).join(', '),
+          category: 'content',
+          priority: 'medium',
+          is_required: true,
+          template_key: null
+        });
+      });
+    });
+  }
+
+  return {
+    title: render(template.title),
+    description: render(template.intro),
+    concepts: (template.concepts || []).map((entry, index) => ({
+      id: crypto.randomUUID(),
+      title: render(entry.title),
+      description: render(entry.description),
+      type: entry.type || 'placeholder',
+      url: '',
+      thumbnailUrl: '',
+      order: index
+    })),
+    deliverables,
+    requirements,
+    packages: (template.packages || []).map(pkg => ({
+      name: render(pkg.name),
+      description: render(pkg.description),
+      discount_percentage: Number(pkg.discount_percentage) || 0,
+      is_featured: Boolean(pkg.is_featured),
+      deliverable_keys: pkg.deliverable_keys || [],
+      requirement_keys: pkg.requirement_keys || []
+    })),
+    missingProducts
+  };
+};
+
+/**
+ * Creates a proposal for a project from a template
+ * The proposal is saved with its deliverables, requirements, concept placeholders and packages,
+ * then opened for editing. Parts that fail to save are reported as warnings rather than
+ * undoing the proposal.
+ *
+ * @param {Object} options - Creation options
+ * @param {Object} options.template - Proposal template
+ * @param {Object} options.project - Project (id, customer_id or _custID)
+ * @param {Array} [options.products] - Product catalog
+ * @param {Object} [options.variables] - Variables from buildTemplateVariables
+ * @returns {Promise<Object>} Result ({ proposal, warnings })
+ * @throws {Error} When the proposal itself can't be created
+ */
+export const createProposalFromTemplate = async ({ template, project, products = [], variables = {} }) => {
+  const content = instantiateProposalTemplate(template, { products, variables });
+  const warnings = content.missingProducts.map(name => `${name} is no longer in the product catalog`);
+  const totalPrice = content.deliverables.reduce((sum, deliverable) => sum + (Number(deliverable.price) || 0), 0);
+
+  const proposalResult = await createProposal({
+    title: content.title || template.name,
+    description: content.description,
+    projectId: project.id,
+    customerId: project._custID || project.customer_id,
+    totalPrice,
+    selectedPrice: totalPrice
+  });
+  if (!proposalResult.success) {
+    throw new Error(proposalResult.error || 'Failed to create proposal');
+  }
+  const proposalId = proposalResult.data.id;
+
+  // Sequential so sort order and the key → ID map follow the template
+  const deliverableIds = {};
+  const deliverables = [];
+  for (const [index, deliverable] of content.deliverables.entries()) {
+    const result = await createProposalDeliverable({
+      proposal_id: proposalId,
+      product_id: deliverable.product_id,
+      product_snapshot: deliverable.product_snapshot,
+      title: deliverable.title,
+      description: deliverable.description,
+      price: deliverable.price,
+      type: deliverable.type,
+      estimated_time: deliverable.estimated_time,
+      billing_interval: deliverable.billing_interval,
+      subscription_duration_months: deliverable.subscription_duration_months,
+      selection_group: deliverable.selection_group || null,
+      is_required: deliverable.is_required,
+      sort_order: index
+    });
+    if (!result.success) {
+      warnings.push(`Deliverable "${deliverable.title}" wasn't added: ${result.error}`);
+      continue;
+    }
+    deliverableIds[deliverable.template_key] = result.data.id;
+    deliverables.push({ ...deliverable, id: result.data.id, dbId: result.data.id, order: index });
+  }
+
+  const requirementIds = {};
+  const requirements = [];
+  for (const [index, requirement] of content.requirements.entries()) {
+    const result = await createProposalRequirement({
+      proposal_id: proposalId,
+      title: requirement.title,
+      description: requirement.description,
+      category: requirement.category,
+      priority: requirement.priority,
+      is_required: requirement.is_required,
+      order_index: index
+    });
+    if (!result.success) {
+      warnings.push(`Requirement "${requirement.title}" wasn't added: ${result.error}`);
+      continue;
+    }
+    if (requirement.template_key) requirementIds[requirement.template_key] = result.data.id;
+    requirements.push({ ...requirement, id: result.data.id });
+  }
+
+  const concepts = [];
+  for (const concept of content.concepts) {
+    const result = await addProposalConcept(proposalId, {
+      title: concept.title,
+      description: concept.description,
+      type: concept.type,
+      url: concept.url,
+      order: concept.order
+    });
+    if (!result.success) {
+      warnings.push(`Concept "${concept.title}" wasn't added: ${result.error}`);
+      continue;
+    }
+    concepts.push({ ...concept, id: result.data.id });
+  }
+
+  const packages = [];
+  for (const pkg of content.packages) {
+    const result = await createCompletePackage(
+      proposalId,
+      {
+        name: pkg.name,
+        description: pkg.description,
+        discount_percentage: pkg.discount_percentage,
+        is_featured: pkg.is_featured
+      },
+      pkg.deliverable_keys.map(key => deliverableIds[key]).filter(Boolean),
+      pkg.requirement_keys.map(key => requirementIds[key]).filter(Boolean)
+    );
+    if (!result.success) {
+      warnings.push(`Package "${pkg.name}" wasn't added: ${result.error}`);
+      continue;
+    }
+    packages.push(result.data);
+  }
+
+  return {
+    proposal: {
+      ...processProposalData({ ...proposalResult.data, deliverables, concepts }),
+      requirements,
+      packages
+    },
+    warnings
+  };
+};
+
+/**
+ * Turns a proposal's content into a template
+ * The customer and project names are swapped back for their variables, and uploaded concepts
+ * become placeholders.
+ *
+ * @param {Object} proposal - Proposal content
+ * @param {string} proposal.title - Title
+ * @param {string} proposal.description - Description
+ * @param {Array} [proposal.concepts] - Concepts
+ * @param {Array} [proposal.deliverables] - Deliverables
+ * @param {Array} [proposal.requirements] - Requirements
+ * @param {Array} [proposal.packages] - Packages (with deliverable_ids / requirement_ids, or deliverables / requirements)
+ * @param {Object} [variables] - Variables the proposal was written with
+ * @returns {Object} Template content (without name or organization)
+ */
+export const templateFromProposal = (proposal, variables = {}) => {
+  const replacements = [
+    ['customer.name', variables.customer?.name],
+    ['project.name', variables.project?.name]
+  ].filter(([, value]) => value && value.trim().length > 2);
+  const generalize = (text) => replacements.reduce(
+    (result, [key, value]) => result.split(value).join(`{{${key}}}`),
+    text || ''
+  );
+
+  const deliverableKeys = {};
+  const deliverables = (proposal.deliverables || []).map((deliverable, index) => {
+    const key = `deliverable-${index + 1}`;
+    [deliverable.id, deliverable.dbId].filter(Boolean).forEach((id) => {
+      deliverableKeys[id] = key;
+    });
+    const snapshot = deliverable.product_id ? deliverable.product_snapshot || {} : {};
+    const price = Number(deliverable.price) || 0;
+    // Product deliverables only keep what was changed from the product
+    return {
+      key,
+      product_id: deliverable.product_id || null,
+      title: deliverable.product_id && deliverable.title === snapshot.name ? '' : generalize(deliverable.title),
+      description: deliverable.product_id && deliverable.description === snapshot.description ? '' : generalize(deliverable.description),
+      price: deliverable.product_id && price === Number(snapshot.price) ? null : price,
+      type: deliverable.type || 'fixed',
+      is_required: Boolean(deliverable.is_required),
+      selection_group: deliverable.selection_group || ''
+    };
+  });
+
+  const requirementKeys = {};
+  const requirements = (proposal.requirements || []).map((requirement, index) => {
+    const key = `requirement-${index + 1}`;
+    requirementKeys[requirement.id] = key;
+    return {
+      key,
+      title: generalize(requirement.title),
+      description: generalize(requirement.description),
+      category: requirement.category || 'content',
+      priority: requirement.priority || 'medium',
+      is_required: requirement.is_required !== false
+    };
+  });
+
+  const idsOf = (pkg, field) => pkg[`${field}_ids`] || (pkg[`${field}s`] || []).map(item => item.id);
+
+  return {
+    title: generalize(proposal.title),
+    intro: generalize(proposal.description),
+    concepts: (proposal.concepts || []).map(concept => ({
+      title: generalize(concept.title),
+      description: generalize(concept.description),
+      type: 'placeholder'
+    })),
+    deliverables,
+    requirements,
+    packages: (proposal.packages || []).map(pkg => ({
+      name: generalize(pkg.name),
+      description: generalize(pkg.description),
+      discount_percentage: Number(pkg.discount_percentage) || 0,
+      is_featured: Boolean(pkg.is_featured),
+      deliverable_keys: idsOf(pkg, 'deliverable').map(id => deliverableKeys[id]).filter(Boolean),
+      requirement_keys: idsOf(pkg, 'requirement').map(id => requirementKeys[id]).filter(Boolean)
+    })),
+    // The proposal's requirements already include the ones its products asked for
+    include_product_requirements: false
+  };
+};
+
+/**
+ * Loads the organization's proposal templates
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Templates, by name
+ */
+export const loadProposalTemplates = async (organizationId) => fetchProposalTemplates(organizationId);
+
+/**
+ * Creates or updates a proposal template
+ * @param {Object} options - Save options
+ * @param {string} options.organizationId - Organization UUID
+ * @param {Object} options.template - Template (with id when updating)
+ * @param {string} [options.userId] - Supabase user saving it
+ * @returns {Promise<Object>} Saved template
+ * @throws {Error} When the template is invalid or can't be saved
+ */
+export const saveProposalTemplate = async ({ organizationId, template, userId = null }) => {
+  if (!organizationId) {
+    throw new Error('Organization is required to save proposal templates');
+  }
+
+  const validation = validateProposalTemplate(template);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.join(', '));
+  }
+
+  const fields = {
+    name: template.name.trim(),
+    description: template.description || null,
+    title: template.title || '',
+    intro: template.intro || '',
+    concepts: template.concepts || [],
+    deliverables: template.deliverables || [],
+    requirements: template.requirements || [],
+    packages: template.packages || [],
+    include_product_requirements: template.include_product_requirements !== false
+  };
+
+  if (template.id) {
+    return updateProposalTemplate(template.id, fields);
+  }
+  return createProposalTemplate({ ...fields, organization_id: organizationId, created_by: userId });
+};
+
+/**
+ * Saves a proposal as a new template for the organization
+ * Reads the proposal's saved deliverables, requirements and packages, so use it on saved proposals.
+ *
+ * @param {Object} options - Save options
+ * @param {string} options.organizationId - Organization UUID
+ * @param {string} options.name - Template name
+ * @param {Object} options.proposal - Saved proposal (id, title, description, concepts)
+ * @param {Object} [options.variables] - Variables the proposal was written with
+ * @param {string} [options.userId] - Supabase user saving it
+ * @returns {Promise<Object>} Saved template
+ * @throws {Error} When the proposal can't be read or the template can't be saved
+ */
+export const saveProposalAsTemplate = async ({ organizationId, name, proposal, variables = {}, userId = null }) => {
+  const [deliverablesResult, completeResult] = await Promise.all([
+    fetchProposalDeliverables(proposal.id),
+    fetchCompleteProposalData(proposal.id)
+  ]);
+  if (!deliverablesResult.success) {
+    throw new Error(deliverablesResult.error || 'Failed to load proposal deliverables');
+  }
+  if (!completeResult.success) {
+    throw new Error(completeResult.error || 'Failed to load proposal requirements and packages');
+  }
+
+  const content = templateFromProposal({
+    title: proposal.title,
+    description: proposal.description,
+    concepts: proposal.concepts,
+    deliverables: [...deliverablesResult.data].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0)),
+    requirements: completeResult.data.requirements,
+    packages: completeResult.data.packages
+  }, variables);
+
+  return saveProposalTemplate({ organizationId, template: { ...content, name }, userId });
+};
+
+/**
+ * Deletes a proposal template
+ * @param {string} templateId - Proposal template UUID
+ * @returns {Promise<void>}
+ */
+export const removeProposalTemplate = async (templateId) => deleteProposalTemplate(templateId);
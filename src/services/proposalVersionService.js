@@ -0,0 +1,300 @@
+/**
+ * Proposal Version Service
+ *
+ * Proposals are edited in place, so each send freezes what the customer was sent:
+ * - A snapshot holds the concepts, deliverables, packages, requirements and pricing
+ * - Each snapshot is stored as a numbered, immutable version anchored by its SHA-256 hash
+ * - Any two versions (or a version and the current draft) can be compared, highlighting
+ *   added and removed deliverables and price changes
+ */
+
+import { fetchProposalVersions, createProposalVersion } from '../api/proposalExtended';
+import { updateProposalStatus } from '../api/proposals';
+import { ProposalSecurityService } from './proposalSecurityService';
+import { ProposalEmailService } from './proposalEmailService';
+import { roundAmount } from '../utils/moneyUtils';
+
+/**
+ * Fields compared between versions, per section
+ */
+export const DIFF_FIELDS = {
+  deliverables: ['title', 'description', 'type', 'price', 'estimated_time', 'billing_interval',
+    'subscription_duration_months', 'selection_group', 'is_required'],
+  packages: ['name', 'description', 'discount_percentage', 'is_featured', 'final_price', 'deliverable_ids'],
+  requirements: ['title', 'description', 'category', 'is_required'],
+  concepts: ['title', 'description', 'type', 'url']
+};
+
+/**
+ * Totals a proposal's deliverable prices by billing type
+ * @param {Array} deliverables - Snapshot deliverables
+ * @returns {Object} Pricing ({ fixedTotal, hourlyTotal, subscriptionTotal, totalPrice })
+ */
+export const calculateSnapshotPricing = (deliverables = []) => {
+  const totalFor = (type) => roundAmount(deliverables
+    .filter(deliverable => (deliverable.type || 'fixed') === type)
+    .reduce((sum, deliverable) => sum + (Number(deliverable.price) || 0), 0));
+
+  const pricing = {
+    fixedTotal: totalFor('fixed'),
+    hourlyTotal: totalFor('hourly'),
+    subscriptionTotal: totalFor('subscription')
+  };
+  return {
+    ...pricing,
+    totalPrice: roundAmount(pricing.fixedTotal + pricing.hourlyTotal + pricing.subscriptionTotal)
+  };
+};
+
+/**
+ * Builds the snapshot stored with a version from the proposal as edited
+ * Only what the customer sees is kept, so editor-only state doesn't change the hash.
+ *
+ * @param {Object} proposal - Proposal content
+ * @param {string} proposal.title - Proposal title
+ * @param {string} [proposal.description] - Proposal description
+ * @param {Array} [proposal.concepts] - Concepts and assets
+ * @param {Array} [proposal.deliverables] - Deliverables
+ * @param {Array} [proposal.packages] - Packages
+ * @param {Array} [proposal.requirements] - Requirements from the customer
+ * @returns {Object} Snapshot
+ */
+export const buildProposalSnapshot = ({
+  title,
+  description = '',
+  concepts = [],
+  deliverables = [],
+  packages = [],
+  requirements = []
+}) => {
+  const snapshotDeliverables = deliverables.map(deliverable => ({
+    id: deliverable.dbId || deliverable.id,
+    title: deliverable.title || '',
+    description: deliverable.description || '',
+    type: deliverable.type || 'fixed',
+    price: roundAmount(deliverable.price),
+    estimated_time: Number(deliverable.estimated_time) || 0,
+    billing_interval: deliverable.type === 'subscription' ? deliverable.billing_interval || 'monthly' : null,
+    subscription_duration_months: deliverable.subscription_duration_months || null,
+    selection_group: deliverable.selection_group || '',
+    is_required: Boolean(deliverable.is_required),
+    product_id: deliverable.product_id || null
+  }));
+
+  return {
+    title: title || '',
+    description: description || '',
+    concepts: concepts.map(concept => ({
+      id: concept.dbId || concept.id,
+      title: concept.title || '',
+      description: concept.description || '',
+      type: concept.type || '',
+      url: concept.url || ''
+    })),
+    deliverables: snapshotDeliverables,
+    packages: packages.map(pkg => ({
+      id: pkg.id,
+      name: pkg.name || '',
+      description: pkg.description || '',
+      discount_percentage: Number(pkg.discount_percentage) || 0,
+      is_featured: Boolean(pkg.is_featured),
+      final_price: roundAmount(pkg.final_price),
+      deliverable_ids: [...(pkg.deliverable_ids || [])].sort()
+    })),
+    requirements: requirements.map(requirement => ({
+      id: requirement.id,
+      title: requirement.title || '',
+      description: requirement.description || '',
+      category: requirement.category || 'content',
+      is_required: requirement.is_required !== false
+    })),
+    pricing: calculateSnapshotPricing(snapshotDeliverables)
+  };
+};
+
+/**
+ * Loads a proposal's versions
+ * @param {string} proposalId - Proposal ID
+ * @returns {Promise<Array>} Versions, newest first
+ * @throws {Error} If the versions can't be loaded
+ */
+export const loadProposalVersions = async (proposalId) => {
+  if (!proposalId) {
+    return [];
+  }
+
+  const result = await fetchProposalVersions(proposalId);
+  if (!result.success) {
+    throw new Error(`Failed to load proposal versions: ${result.error}`);
+  }
+  return [...result.data].sort((a, b) => b.version_number - a.version_number);
+};
+
+/**
+ * Stores a snapshot as the proposal's next version
+ * When the snapshot is identical to the latest version (same hash), that version is
+ * returned instead, so resending an unchanged proposal doesn't add a duplicate.
+ *
+ * @param {Object} params - Version parameters
+ * @param {string} params.proposalId - Proposal ID
+ * @param {Object} params.snapshot - Snapshot from buildProposalSnapshot
+ * @param {Array} [params.versions] - Existing versions, newest first (loaded when omitted)
+ * @param {string} [params.userId=null] - Staff member sending the proposal
+ * @returns {Promise<Object>} Result ({ version, created })
+ * @throws {Error} If the version can't be saved
+ */
+export const snapshotProposalVersion = async ({ proposalId, snapshot, versions, userId = null }) => {
+  if (!proposalId) {
+    throw new Error('Save the proposal before sending it');
+  }
+
+  const existing = versions || await loadProposalVersions(proposalId);
+  const latest = existing.reduce((newest, version) => (
+    !newest || version.version_number > newest.version_number ? version : newest
+  ), null);
+
+  const dataHash = await ProposalSecurityService.generateDataHash(snapshot);
+  if (latest?.data_hash === dataHash) {
+    return { version: latest, created: false };
+  }
+
+  const result = await createProposalVersion({
+    proposal_id: proposalId,
+    version_number: (latest?.version_number || 0) + 1,
+    snapshot,
+    data_hash: dataHash,
+    total_price: snapshot.pricing.totalPrice,
+    sent_at: new Date().toISOString(),
+    created_by: userId
+  });
+  if (!result.success) {
+    throw new Error(`Failed to save proposal version: ${result.error}`);
+  }
+
+  return { version: result.data, created: true };
+};
+
+/**
+ * Sends a proposal: snapshots it as a version, marks it sent and emails the customer link
+ * The version is kept even if the email fails, since the link still shows what was sent.
+ *
+ * @param {Object} params - Send parameters
+ * @param {Object} params.proposal - Saved proposal (id, title, access_token)
+ * @param {Object} params.snapshot - Snapshot from buildProposalSnapshot
+ * @param {Array} [params.versions] - Existing versions, newest first
+ * @param {string} [params.customerEmail] - Customer email; the link isn't emailed without one
+ * @param {string} [params.customerName] - Customer name
+ * @param {string} [params.userId=null] - Staff member sending the proposal
+ * @returns {Promise<Object>} Result ({ version, created, emailed, emailError })
+ * @throws {Error} If the version can't be saved or the status can't be updated
+ */
+export const sendProposal = async ({ proposal, snapshot, versions, customerEmail, customerName, userId = null }) => {
+  const { version, created } = await snapshotProposalVersion({
+    proposalId: proposal?.id,
+    snapshot,
+    versions,
+    userId
+  });
+
+  const statusResult = await updateProposalStatus(proposal.id, 'sent');
+  if (!statusResult.success) {
+    throw new Error(`Version ${version.version_number} was saved but the proposal could not be marked sent: ${statusResult.error}`);
+  }
+
+  if (!customerEmail) {
+    return { version, created, emailed: false, emailError: null };
+  }
+
+  const emailResult = await ProposalEmailService.sendProposalEmail(proposal, customerEmail, customerName);
+  return {
+    version,
+    created,
+    emailed: Boolean(emailResult.success),
+    emailError: emailResult.success ? null : emailResult.error
+  };
+};
+
+/**
+ * Checks that a version's snapshot still matches the hash stored when it was sent
+ * @param {Object} version - Proposal version (snapshot, data_hash)
+ * @returns {Promise<boolean>} True if the snapshot is unchanged
+ */
+export const verifyProposalVersion = async (version) => {
+  if (!version?.snapshot || !version.data_hash) {
+    return false;
+  }
+  return ProposalSecurityService.verifyDataIntegrity(version.snapshot, version.data_hash);
+};
+
+/**
+ * Compares one field of two items
+ * @param {*} before - Earlier value
+ * @param {*} after - Later value
+ * @returns {boolean} True if the values differ
+ */
+const fieldChanged = (before, after) => (
+  ProposalSecurityService.canonicalStringify(before ?? null) !== ProposalSecurityService.canonicalStringify(after ?? null)
+);
+
+/**
+ * Diffs two lists of snapshot items by ID
+ * @param {Array} before - Items in the earlier snapshot
+ * @param {Array} after - Items in the later snapshot
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} Diff ({ added, removed, changed, unchanged })
+ */
+const diffItems = (before = [], after = [], fields) => {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const diff = { added: [], removed: before.filter(item => !afterIds.has(item.id)), changed: [], unchanged: [] };
+
+  after.forEach(item => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      diff.added.push(item);
+      return;
+    }
+    const changedFields = fields.filter(field => fieldChanged(previous[field], item[field]));
+    if (changedFields.length > 0) {
+      diff.changed.push({ before: previous, after: item, fields: changedFields });
+    } else {
+      diff.unchanged.push(item);
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Compares two proposal snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Object} Diff per section, price changes and whether anything changed
+ */
+export const diffProposalSnapshots = (before, after) => {
+  const sections = Object.fromEntries(Object.entries(DIFF_FIELDS).map(([section, fields]) => (
+    [section, diffItems(before?.[section], after?.[section], fields)]
+  )));
+
+  const beforePricing = before?.pricing || calculateSnapshotPricing(before?.deliverables);
+  const afterPricing = after?.pricing || calculateSnapshotPricing(after?.deliverables);
+  const priceChanges = Object.keys(afterPricing)
+    .filter(key => roundAmount(beforePricing[key]) !== roundAmount(afterPricing[key]))
+    .map(key => ({
+      key,
+      before: roundAmount(beforePricing[key]),
+      after: roundAmount(afterPricing[key]),
+      delta: roundAmount(afterPricing[key] - beforePricing[key])
+    }));
+
+  const textChanges = ['title', 'description'].filter(field => fieldChanged(before?.[field], after?.[field]));
+
+  return {
+    ...sections,
+    textChanges,
+    priceChanges,
+    hasChanges: textChanges.length > 0 || priceChanges.length > 0 || Object.values(sections).some(section => (
+      section.added.length > 0 || section.removed.length > 0 || section.changed.length > 0
+    ))
+  };
+};
@@ -0,0 +1,675 @@
+/**
+ * Recurring Task Service
+ *
+ * Recurring task series attached to a project: an RRULE-style rule (the FREQ, INTERVAL,
+ * BYDAY, BYMONTHDAY, COUNT and UNTIL parts of RFC 5545), a task template, and per-date
+ * exceptions for skipped or edited occurrences. generateRecurringTasks materializes due
+ * occurrences through createNewTask and is safe to run any number of times.
+ */
+
+import {
+    fetchTasksForProject,
+    fetchRecurringTasks,
+    createRecurringTask,
+    updateRecurringTask,
+    deleteRecurringTask
+} from '../api/tasks';
+import { createNewTask, validateTaskData } from './taskService';
+
+/**
+ * Supported recurrence frequencies
+ */
+export const RECURRENCE_FREQUENCIES = {
+    DAILY: 'DAILY',
+    WEEKLY: 'WEEKLY',
+    MONTHLY: 'MONTHLY',
+    YEARLY: 'YEARLY'
+};
+
+/**
+ * RRULE weekday codes, Monday first (weeks start on Monday, matching timesheets)
+ */
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const ORDINAL_NAMES = {
+    1: 'first',
+    2: 'second',
+    3: 'third',
+    4: 'fourth',
+    5: 'fifth',
+    [-1]: 'last',
+    [-2]: 'second to last',
+    [-3]: 'third to last',
+    [-4]: 'fourth to last',
+    [-5]: 'fifth to last'
+};
+const FREQUENCY_UNITS = {
+    DAILY: 'day',
+    WEEKLY: 'week',
+    MONTHLY: 'month',
+    YEARLY: 'year'
+};
+
+// Guards against rules that never produce a date inside the requested range
+const MAX_PERIODS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Template fields copied from a series onto each generated task
+const TEMPLATE_FIELDS = ['customer_id', 'staff_id', 'task_type', 'notes', 'priority', 'estimated_hours'];
+
+// Fields an exception may override for a single occurrence
+const OCCURRENCE_OVERRIDE_FIELDS = ['title', 'due_date', 'notes', 'staff_id'];
+
+/*
+ * Date keys (YYYY-MM-DD) are handled as UTC midnights so DST changes never shift a day
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// 0 = Monday ... 6 = Sunday
+function weekdayIndex(date) {
+    return (date.getUTCDay() + 6) % 7;
+}
+
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDateKey(value).getTime());
+}
+
+/**
+ * Formats a local date as a YYYY-MM-DD key
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string} Date key in the user's timezone
+ */
+export function toLocalDateKey(date = new Date()) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Parses an RRULE string
+ * BYDAY ordinals (e.g. 2TU, -1FR) are only accepted for monthly rules, and a monthly rule
+ * uses either BYDAY or BYMONTHDAY.
+ *
+ * @param {string} rrule - Rule such as "FREQ=MONTHLY;BYMONTHDAY=1" (an "RRULE:" prefix is allowed)
+ * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, count, until }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+export function parseRRule(rrule) {
+    if (!rrule || typeof rrule !== 'string') {
+        throw new Error('Recurrence rule is required');
+    }
+
+    const parts = {};
+    rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value = ''] = part.split('=');
+        parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+    const freq = parts.FREQ;
+    if (!Object.values(RECURRENCE_FREQUENCIES).includes(freq)) {
+        throw new Error(`Unsupported recurrence frequency: ${freq || 'none'}`);
+    }
+
+    const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new Error('Recurrence interval must be a positive whole number');
+    }
+
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(token => {
+        const match = token.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+        const ordinal = match?.[1] ? Number(match[1]) : null;
+        if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new Error(`Invalid BYDAY value: ${token}`);
+        }
+        return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+    }) : [];
+
+    const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(token => {
+        const day = Number(token);
+        if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${token}`);
+        }
+        return day;
+    }) : [];
+
+    const count = parts.COUNT ? Number(parts.COUNT) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+        throw new Error('Recurrence count must be a positive whole number');
+    }
+
+    let until = null;
+    if (parts.UNTIL) {
+        const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) {
+            throw new Error(`Invalid UNTIL value: ${parts.UNTIL}`);
+        }
+        until = `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    if (count && until) {
+        throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+    }
+    if (freq !== RECURRENCE_FREQUENCIES.MONTHLY && byDay.some(day => day.ordinal !== null)) {
+        throw new Error('Numbered weekdays (e.g. 2TU) are only supported for monthly rules');
+    }
+    if (freq === RECURRENCE_FREQUENCIES.MONTHLY && byDay.length && byMonthDay.length) {
+        throw new Error('Monthly rules use either BYDAY or BYMONTHDAY, not both');
+    }
+
+    return { freq, interval, byDay, byMonthDay, count, until };
+}
+
+/**
+ * Builds an RRULE string from its parts
+ * @param {Object} rule - { freq, interval, byDay, byMonthDay, count, until } as returned by parseRRule
+ * @returns {string} RRULE string
+ */
+export function buildRRule({ freq, interval = 1, byDay = [], byMonthDay = [], count = null, until = null }) {
+    const parts = [`FREQ=${freq}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (byDay.length) {
+        parts.push(`BYDAY=${byDay.map(({ weekday, ordinal }) => `${ordinal ?? ''}${WEEKDAYS[weekday]}`).join(',')}`);
+    }
+    if (byMonthDay.length) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    if (count) parts.push(`COUNT=${count}`);
+    if (until) parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+
+    // Round-trip through the parser so invalid combinations fail here rather than at generation
+    const rrule = parts.join(';');
+    parseRRule(rrule);
+    return rrule;
+}
+
+function withOrdinalSuffix(number) {
+    const suffix = (number % 100 >= 11 && number % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+    return `${number}${suffix}`;
+}
+
+function formatMonthDay(day) {
+    if (day === -1) return 'the last day';
+    if (day < 0) return `the ${withOrdinalSuffix(-day)} to last day`;
+    return `the ${withOrdinalSuffix(day)}`;
+}
+
+/**
+ * Describes a recurrence rule in plain English
+ * @param {string} rrule - RRULE string
+ * @returns {string} e.g. "Every other week on Tuesday" or "Every month on the 1st"
+ */
+export function describeRRule(rrule) {
+    const rule = parseRRule(rrule);
+    const unit = FREQUENCY_UNITS[rule.freq];
+
+    let description;
+    if (rule.interval === 1) {
+        description = `Every ${unit}`;
+    } else if (rule.interval === 2) {
+        description = `Every other ${unit}`;
+    } else {
+        description = `Every ${rule.interval} ${unit}s`;
+    }
+
+    if (rule.byDay.length) {
+        const days = rule.byDay.map(({ weekday, ordinal }) =>
+            ordinal === null ? WEEKDAY_NAMES[weekday] : `the ${ORDINAL_NAMES[ordinal]} ${WEEKDAY_NAMES[weekday]}`
+        );
+        description += ` on ${days.join(', ')}`;
+    } else if (rule.byMonthDay.length) {
+        description += ` on ${rule.byMonthDay.map(formatMonthDay).join(', ')}`;
+    }
+
+    if (rule.count) {
+        description += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    } else if (rule.until) {
+        description += `, until ${rule.until}`;
+    }
+
+    return description;
+}
+
+/**
+ * Candidate dates for the n-th period (day, week, month or year) of a rule, ascending
+ */
+function getPeriodDates(rule, start, period) {
+    switch (rule.freq) {
+        case RECURRENCE_FREQUENCIES.DAILY:
+            return [addDays(start, period * rule.interval)];
+
+        case RECURRENCE_FREQUENCIES.WEEKLY: {
+            const weekStart = addDays(start, -weekdayIndex(start) + 7 * rule.interval * period);
+            const weekdays = rule.byDay.length ? rule.byDay.map(day => day.weekday) : [weekdayIndex(start)];
+            return [...new Set(weekdays)].sort((a, b) => a - b).map(weekday => addDays(weekStart, weekday));
+        }
+
+        case RECURRENCE_FREQUENCIES.MONTHLY: {
+            const monthIndex = start.getUTCMonth() + rule.interval * period;
+            const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+            const month = monthIndex % 12;
+            const lastDay = daysInMonth(year, month);
+            const days = [];
+
+            rule.byMonthDay.forEach(day => {
+                const resolved = day > 0 ? day : lastDay + day + 1;
+                // Months without that day are skipped, as RFC 5545 does
+                if (resolved >= 1 && resolved <= lastDay) days.push(resolved);
+            });
+
+            rule.byDay.forEach(({ weekday, ordinal }) => {
+                const matching = [];
+                for (let day = 1; day <= lastDay; day++) {
+                    if (weekdayIndex(new Date(Date.UTC(year, month, day))) === weekday) matching.push(day);
+                }
+                if (ordinal === null) {
+                    days.push(...matching);
+                } else {
+                    const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                    if (picked) days.push(picked);
+                }
+            });
+
+            if (!rule.byMonthDay.length && !rule.byDay.length && start.getUTCDate() <= lastDay) {
+                days.push(start.getUTCDate());
+            }
+
+            return [...new Set(days)].sort((a, b) => a - b).map(day => new Date(Date.UTC(year, month, day)));
+        }
+
+        case RECURRENCE_FREQUENCIES.YEARLY: {
+            const year = start.getUTCFullYear() + rule.interval * period;
+            const month = start.getUTCMonth();
+            // Feb 29 series only fall on leap years
+            return start.getUTCDate() <= daysInMonth(year, month)
+                ? [new Date(Date.UTC(year, month, start.getUTCDate()))]
+                : [];
+        }
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Lists the occurrence dates of a rule
+ * COUNT is counted from the start date, so occurrences before `from` still use it up.
+ *
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {string} startDate - Series start (DTSTART), YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.from=startDate] - First date to return, YYYY-MM-DD
+ * @param {string} [options.to] - Last date to return, YYYY-MM-DD
+ * @param {number} [options.limit] - Maximum number of dates to return
+ * @returns {Array<string>} Occurrence date keys in order
+ */
+export function getOccurrences(rrule, startDate, { from = startDate, to = null, limit = Infinity } = {}) {
+    const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+    if (!isDateKey(startDate)) {
+        throw new Error('Start date must be in YYYY-MM-DD format');
+    }
+
+    const endDate = [to, rule.until].filter(Boolean).sort()[0] || null;
+    if (!endDate && !rule.count && limit === Infinity) {
+        throw new Error('An end date or limit is required for open-ended rules');
+    }
+
+    const start = parseDateKey(startDate);
+    const occurrences = [];
+    let emitted = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const date of getPeriodDates(rule, start, period)) {
+            const key = formatDateKey(date);
+            if (key < startDate) continue;
+            if (endDate && key > endDate) return occurrences;
+            if (rule.count && emitted >= rule.count) return occurrences;
+
+            emitted += 1;
+            if (key >= from) {
+                occurrences.push(key);
+                if (occurrences.length >= limit) return occurrences;
+            }
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Lists a series' occurrences with its per-date exceptions applied
+ * Dates up to the series' generation cursor (last_generated_date) are marked generated.
+ *
+ * @param {Object} series - Recurring task series
+ * @param {Object} [options] - Range options, as for getOccurrences
+ * @returns {Array<Object>} { date, title, dueDate, skipped, edited, generated }
+ */
+export function getSeriesOccurrences(series, options = {}) {
+    const exceptions = series.exceptions || {};
+
+    return getOccurrences(series.rrule, series.start_date, options).map(date => {
+        const exception = exceptions[date] || {};
+        return {
+            date,
+            title: exception.title || series.title,
+            dueDate: exception.due_date || date,
+            skipped: Boolean(exception.skipped),
+            edited: OCCURRENCE_OVERRIDE_FIELDS.some(field => exception[field] !== undefined),
+            generated: Boolean(series.last_generated_date) && date <= series.last_generated_date
+        };
+    });
+}
+
+/**
+ * Builds the createNewTask parameters for one occurrence
+ * @param {Object} series - Recurring task series
+ * @param {string} date - Occurrence date key
+ * @returns {Object} Task parameters
+ */
+export function buildOccurrenceTask(series, date) {
+    const exception = series.exceptions?.[date] || {};
+    const taskData = {
+        project_id: series.project_id,
+        title: exception.title || series.title,
+        due_date: exception.due_date || date,
+        recurrence_id: series.id,
+        occurrence_date: date
+    };
+
+    TEMPLATE_FIELDS.forEach(field => {
+        const value = exception[field] !== undefined ? exception[field] : series[field];
+        if (value !== undefined && value !== null && value !== '') {
+            taskData[field] = value;
+        }
+    });
+
+    return taskData;
+}
+
+/**
+ * Works out which occurrences of a series are due and not yet materialized
+ * Occurrences are due once they fall within lead_days of today. Occurrences after the
+ * generation cursor that already have a task (matched on recurrence_id + occurrence_date)
+ * are left alone, so running the plan twice never duplicates work.
+ *
+ * @param {Object} series - Recurring task series
+ * @param {Array} existingTasks - Tasks already in the project (backend or processed shape)
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Object} { horizon, toCreate } - horizon is the new cursor once toCreate is saved
+ */
+export function planRecurringTasks(series, existingTasks = [], today = new Date()) {
+    const horizon = formatDateKey(addDays(parseDateKey(toLocalDateKey(today)), series.lead_days || 0));
+    const from = series.last_generated_date
+        ? formatDateKey(addDays(parseDateKey(series.last_generated_date), 1))
+        : series.start_date;
+
+    if (series.is_active === false || from > horizon) {
+        return { horizon, toCreate: [] };
+    }
+
+    const existingDates = new Set(
+        (existingTasks || [])
+            .filter(task => (task.recurrence_id || task.recurrenceId) === series.id)
+            .map(task => task.occurrence_date || task.occurrenceDate)
+    );
+
+    const toCreate = getSeriesOccurrences(series, { from, to: horizon })
+        .filter(occurrence => !occurrence.skipped && !existingDates.has(occurrence.date))
+        .map(occurrence => buildOccurrenceTask(series, occurrence.date));
+
+    return { horizon, toCreate };
+}
+
+/**
+ * Materializes due occurrences for every active series in a project
+ * The cursor of a series only moves once all of its due occurrences were created, so a
+ * failed run is retried next time. The tasks table allows one task per recurrence_id +
+ * occurrence_date (migration 014), so when another session created the same occurrence
+ * first the backend answers 409, which is treated as done.
+ *
+ * @param {string} projectId - Project ID
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Promise<Object>} { created, failures, series } - series carries the updated cursors
+ */
+export async function generateRecurringTasks(projectId, today = new Date()) {
+    const [seriesList, existingTasks] = await Promise.all([
+        fetchRecurringTasks(projectId),
+        fetchTasksForProject(projectId)
+    ]);
+
+    const created = [];
+    const failures = [];
+    const series = [];
+
+    for (const item of seriesList || []) {
+        let plan;
+        try {
+            plan = planRecurringTasks(item, existingTasks, today);
+        } catch (error) {
+            console.error('[Recurring Task Service] Invalid series:', item.id, error);
+            failures.push({ seriesId: item.id, occurrenceDate: null, error: error.message });
+            series.push(item);
+            continue;
+        }
+
+        let complete = true;
+        // Sequential so occurrences are created in date order
+        for (const taskData of plan.toCreate) {
+            try {
+                created.push(await createNewTask(taskData));
+            } catch (error) {
+                if (error.status === 409) continue;
+                console.error('[Recurring Task Service] Error creating occurrence:', taskData.occurrence_date, error);
+                failures.push({ seriesId: item.id, occurrenceDate: taskData.occurrence_date, error: error.message });
+                complete = false;
+            }
+        }
+
+        if (complete && item.is_active !== false && plan.horizon > (item.last_generated_date || '')) {
+            try {
+                await updateRecurringTask(item.id, { last_generated_date: plan.horizon });
+                series.push({ ...item, last_generated_date: plan.horizon });
+                continue;
+            } catch (error) {
+                // Not fatal - the next run skips the occurrences that now exist
+                console.error('[Recurring Task Service] Error advancing series cursor:', item.id, error);
+            }
+        }
+        series.push(item);
+    }
+
+    console.log('[Recurring Task Service] Generated recurring tasks:', created.length);
+    return { created, failures, series };
+}
+
+/**
+ * Validates recurring series data
+ * The task template is checked with the task rules so generated tasks are valid.
+ *
+ * @param {Object} data - Series data
+ * @returns {Object} Validation result { isValid, errors, fieldErrors }
+ */
+export function validateRecurringTask(data) {
+    const fieldErrors = {};
+
+    const template = { title: data?.title, project_id: data?.project_id };
+    TEMPLATE_FIELDS.forEach(field => {
+        if (data?.[field] !== undefined && data[field] !== null && data[field] !== '') {
+            template[field] = data[field];
+        }
+    });
+    const templateValidation = validateTaskData(template, { partial: true });
+    Object.assign(fieldErrors, templateValidation.fieldErrors);
+    if (!data?.title?.trim()) {
+        fieldErrors.title = 'Task title is required';
+    }
+
+    try {
+        parseRRule(data?.rrule);
+    } catch (error) {
+        fieldErrors.rrule = error.message;
+    }
+
+    if (!isDateKey(data?.start_date)) {
+        fieldErrors.start_date = 'Start date must be in YYYY-MM-DD format';
+    }
+
+    const leadDays = data?.lead_days ?? 0;
+    if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 60) {
+        fieldErrors.lead_days = 'Lead time must be between 0 and 60 days';
+    }
+
+    const errors = Object.values(fieldErrors);
+    return {
+        isValid: errors.length === 0,
+        errors,
+        fieldErrors
+    };
+}
+
+/**
+ * Loads the recurring series of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Series
+ */
+export async function loadRecurringTasks(projectId) {
+    return (await fetchRecurringTasks(projectId)) || [];
+}
+
+/**
+ * Creates or updates a recurring series
+ * New series never backfill: when the start date is in the past the cursor starts at
+ * yesterday, so only today's and later occurrences are generated.
+ *
+ * @param {Object} data - Series data
+ * @param {string|null} [seriesId=null] - Series to update, or null to create
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Promise<Object>} Saved series
+ */
+export async function saveRecurringTask(data, seriesId = null, today = new Date()) {
+    const validation = validateRecurringTask(data);
+    if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+    }
+
+    const payload = { ...data, title: data.title.trim() };
+
+    if (seriesId) {
+        return updateRecurringTask(seriesId, payload);
+    }
+
+    const todayKey = toLocalDateKey(today);
+    if (payload.start_date < todayKey && !payload.last_generated_date) {
+        payload.last_generated_date = formatDateKey(addDays(parseDateKey(todayKey), -1));
+    }
+
+    return createRecurringTask({ exceptions: {}, is_active: true, ...payload });
+}
+
+/**
+ * Pauses or resumes a recurring series
+ * Resuming applies the same no-backfill rule as creation: dates missed while paused are not generated.
+ *
+ * @param {Object} series - Recurring task series
+ * @param {boolean} isActive - Whether the series should generate tasks
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Promise<Object>} Updated series
+ */
+export async function setRecurringTaskActive(series, isActive, today = new Date()) {
+    const data = { is_active: isActive };
+
+    const yesterday = formatDateKey(addDays(parseDateKey(toLocalDateKey(today)), -1));
+    if (isActive && series.start_date <= yesterday && (series.last_generated_date || '') < yesterday) {
+        data.last_generated_date = yesterday;
+    }
+
+    return updateRecurringTask(series.id, data);
+}
+
+/**
+ * Deletes a recurring series; tasks it already generated are kept
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+export async function removeRecurringTask(seriesId) {
+    return deleteRecurringTask(seriesId);
+}
+
+function assertFutureOccurrence(series, date) {
+    if (!getOccurrences(series.rrule, series.start_date, { from: date, to: date }).includes(date)) {
+        throw new Error(`${date} is not an occurrence of this series`);
+    }
+    if (series.last_generated_date && date <= series.last_generated_date) {
+        throw new Error('This occurrence was already created - edit the task instead');
+    }
+}
+
+/**
+ * Skips a single occurrence
+ * @param {Object} series - Recurring task series
+ * @param {string} date - Occurrence date key
+ * @returns {Promise<Object>} Updated series
+ */
+export async function skipOccurrence(series, date) {
+    assertFutureOccurrence(series, date);
+
+    return updateRecurringTask(series.id, {
+        exceptions: { ...(series.exceptions || {}), [date]: { skipped: true } }
+    });
+}
+
+/**
+ * Overrides fields of a single occurrence (title, due date, notes, assignee)
+ * @param {Object} series - Recurring task series
+ * @param {string} date - Occurrence date key
+ * @param {Object} overrides - Fields to override
+ * @returns {Promise<Object>} Updated series
+ */
+export async function editOccurrence(series, date, overrides) {
+    assertFutureOccurrence(series, date);
+
+    const exception = {};
+    OCCURRENCE_OVERRIDE_FIELDS.forEach(field => {
+        if (overrides?.[field] !== undefined && overrides[field] !== '') {
+            exception[field] = overrides[field];
+        }
+    });
+
+    const validation = validateTaskData(exception, { partial: true });
+    if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+    }
+
+    return updateRecurringTask(series.id, {
+        exceptions: { ...(series.exceptions || {}), [date]: exception }
+    });
+}
+
+/**
+ * Removes any skip or override from a single occurrence
+ * @param {Object} series - Recurring task series
+ * @param {string} date - Occurrence date key
+ * @returns {Promise<Object>} Updated series
+ */
+export async function restoreOccurrence(series, date) {
+    assertFutureOccurrence(series, date);
+
+    const exceptions = { ...(series.exceptions || {}) };
+    delete exceptions[date];
+    return updateRecurringTask(series.id, { exceptions });
+}
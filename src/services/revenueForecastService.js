@@ -0,0 +1,387 @@
+/**
+ * Revenue Forecast Service
+ *
+ * Projects revenue for the coming months from four streams:
+ * - Fixed-price milestones: half of a fixed-price project's value on its start date and half on
+ *   its end date (the same milestones processProjectValue turns into sales)
+ * - Subscriptions: each subscription project's monthly charge, prorated like billing runs
+ * - Approved proposals: what is left to bill on a proposal approved for an hourly project, spread
+ *   evenly until the project's end date (over three months when it has none)
+ * - Hourly billing: each customer's trailing monthly average of hourly sales. Projects backed by
+ *   an approved proposal are left out, since the proposal already forecasts them.
+ *
+ * Scenarios weight the less certain streams (proposals and hourly billing). Amounts are in the
+ * home currency; sales are converted before forecasting, project and proposal values are taken
+ * as already being in it.
+ */
+
+import { fetchActiveCustomers } from '../api/customers';
+import { fetchProjectsForCustomers } from '../api/projects';
+import { fetchProposalsForProject } from '../api/proposals';
+import { getFixedPriceMilestones, isFixedPriceProject } from './projectService';
+import { processProposalData } from './proposalService';
+import { isSubscriptionProject, getBillingPeriod, calculateSubscriptionCharge } from './subscriptionBillingService';
+import { roundAmount } from '../utils/moneyUtils';
+
+/**
+ * Forecast revenue streams, in the order they are stacked
+ */
+export const FORECAST_STREAMS = {
+  FIXED_PRICE: 'fixedPrice',
+  SUBSCRIPTIONS: 'subscriptions',
+  PROPOSALS: 'proposals',
+  HOURLY: 'hourly'
+};
+
+export const STREAM_LABELS = {
+  [FORECAST_STREAMS.FIXED_PRICE]: 'Fixed-price milestones',
+  [FORECAST_STREAMS.SUBSCRIPTIONS]: 'Subscriptions',
+  [FORECAST_STREAMS.PROPOSALS]: 'Approved proposals',
+  [FORECAST_STREAMS.HOURLY]: 'Hourly billing'
+};
+
+const STREAM_COLORS = {
+  [FORECAST_STREAMS.FIXED_PRICE]: 'rgba(59, 130, 246, 0.7)',
+  [FORECAST_STREAMS.SUBSCRIPTIONS]: 'rgba(16, 185, 129, 0.7)',
+  [FORECAST_STREAMS.PROPOSALS]: 'rgba(245, 158, 11, 0.7)',
+  [FORECAST_STREAMS.HOURLY]: 'rgba(139, 92, 246, 0.7)'
+};
+
+/**
+ * Forecast scenarios, as a weight per stream
+ */
+export const FORECAST_SCENARIOS = {
+  conservative: {
+    label: 'Conservative',
+    weights: { fixedPrice: 1, subscriptions: 1, proposals: 0.5, hourly: 0.8 }
+  },
+  expected: {
+    label: 'Expected',
+    weights: { fixedPrice: 1, subscriptions: 1, proposals: 1, hourly: 1 }
+  },
+  optimistic: {
+    label: 'Optimistic',
+    weights: { fixedPrice: 1, subscriptions: 1, proposals: 1, hourly: 1.2 }
+  }
+};
+
+export const FORECAST_HORIZONS = [6, 9, 12];
+
+const TRAILING_MONTHS = 3;
+const DEFAULT_PROPOSAL_MONTHS = 3;
+const CUSTOMER_PAGE_SIZE = 200;
+
+// Number of projects whose proposals are requested at once
+const PROPOSAL_BATCH_SIZE = 10;
+
+/**
+ * Parses a date-only value as a local date
+ * @param {string|Date} value - Date (YYYY-MM-DD or any parseable date)
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Builds the forecast's months
+ * @param {number} count - Number of months
+ * @param {Date} [start=new Date()] - Any date in the first month
+ * @returns {Array} Months ({ key, label, start, end, period })
+ */
+export const buildForecastMonths = (count, start = new Date()) => Array.from({ length: count }, (_, index) => {
+  const period = getBillingPeriod(new Date(start.getFullYear(), start.getMonth() + index, 1));
+  return {
+    key: period.key,
+    label: period.start.toLocaleString('en-US', { month: 'short', year: 'numeric' }),
+    start: period.start,
+    end: period.end,
+    period
+  };
+});
+
+/**
+ * Finds which forecast month a date falls in
+ * @param {Array} months - Months from buildForecastMonths
+ * @param {Date} date - Date
+ * @returns {number} Month index, or -1 outside the forecast
+ */
+const findMonthIndex = (months, date) => months.findIndex(month => date >= month.start && date <= month.end);
+
+/**
+ * Forecasts fixed-price milestones falling within the forecast
+ * @param {Array} projects - Projects
+ * @param {Array} months - Months from buildForecastMonths
+ * @returns {Object} Forecast ({ amounts, unscheduled }); unscheduled lists fixed-price projects
+ *   without the end date their completion milestone falls on
+ */
+export const forecastFixedPrice = (projects, months) => {
+  const amounts = months.map(() => 0);
+  const unscheduled = [];
+
+  (projects || []).filter(isFixedPriceProject).forEach(project => {
+    const milestones = getFixedPriceMilestones(project);
+    if (!milestones.some(milestone => milestone.type === 'sales')) {
+      unscheduled.push(project);
+    }
+    milestones.forEach(milestone => {
+      const index = findMonthIndex(months, parseDate(milestone.date));
+      if (index !== -1) {
+        amounts[index] += Number(milestone.amount) || 0;
+      }
+    });
+  });
+
+  return { amounts: amounts.map(roundAmount), unscheduled };
+};
+
+/**
+ * Forecasts subscription charges for each month
+ * @param {Array} projects - Projects
+ * @param {Array} months - Months from buildForecastMonths
+ * @returns {Array<number>} Amount per month
+ */
+export const forecastSubscriptions = (projects, months) => {
+  const subscriptions = (projects || []).filter(isSubscriptionProject);
+
+  return months.map(month => roundAmount(subscriptions.reduce((total, project) => {
+    const charge = calculateSubscriptionCharge(project, month.period);
+    return total + (charge ? charge.amount : 0);
+  }, 0)));
+};
+
+/**
+ * Forecasts what is left to bill on approved proposals
+ * Proposals for fixed-price and subscription projects are left out, as those projects are
+ * forecast by their value. Only a project's latest approved proposal counts, less what the
+ * project has already been billed.
+ *
+ * @param {Array} proposals - Processed proposals (status, projectId, totalPrice, selectedPrice, approvedAt)
+ * @param {Array} projects - Projects
+ * @param {Array} sales - Sales records (project_id, total_price)
+ * @param {Array} months - Months from buildForecastMonths
+ * @returns {Object} Forecast ({ amounts, projectIds }); projectIds are the projects the proposals forecast
+ */
+export const forecastProposals = (proposals, projects, sales, months) => {
+  const amounts = months.map(() => 0);
+  const projectIds = new Set();
+  const projectsById = new Map((projects || []).map(project => [project.id || project.__ID, project]));
+
+  const latestByProject = new Map();
+  (proposals || []).filter(proposal => proposal.status === 'approved').forEach(proposal => {
+    const latest = latestByProject.get(proposal.projectId);
+    if (!latest || new Date(proposal.approvedAt || 0) > new Date(latest.approvedAt || 0)) {
+      latestByProject.set(proposal.projectId, proposal);
+    }
+  });
+
+  latestByProject.forEach(proposal => {
+    const project = projectsById.get(proposal.projectId);
+    if (!project || isFixedPriceProject(project) || isSubscriptionProject(project)) {
+      return;
+    }
+    projectIds.add(proposal.projectId);
+
+    const billed = (sales || [])
+      .filter(sale => sale.project_id === proposal.projectId)
+      .reduce((total, sale) => total + (Number(sale.total_price) || 0), 0);
+    const remaining = (proposal.selectedPrice || proposal.totalPrice || 0) - billed;
+    if (remaining <= 0) {
+      return;
+    }
+
+    // Spread until the project's end month (overdue projects in the first month); past the
+    // forecast, only the months within it are counted
+    const endDate = parseDate(project.dateEnd || project.target_end_date);
+    const firstMonth = months[0].start;
+    const spread = endDate
+      ? Math.max(1, (endDate.getFullYear() - firstMonth.getFullYear()) * 12 + endDate.getMonth() - firstMonth.getMonth() + 1)
+      : DEFAULT_PROPOSAL_MONTHS;
+
+    for (let index = 0; index < Math.min(spread, months.length); index++) {
+      amounts[index] += remaining / spread;
+    }
+  });
+
+  return { amounts: amounts.map(roundAmount), projectIds };
+};
+
+/**
+ * Forecasts hourly billing as each customer's trailing monthly average
+ * Hourly sales are those created from time records (financial_id).
+ *
+ * @param {Array} sales - Sales records (customer_id, customer name, project_id, financial_id, total_price, date)
+ * @param {Array} months - Months from buildForecastMonths
+ * @param {Set} [excludedProjectIds=new Set()] - Projects forecast another way
+ * @returns {Object} Forecast ({ amounts, customers }); customers lists each customer's monthly average
+ */
+export const forecastHourly = (sales, months, excludedProjectIds = new Set()) => {
+  const firstMonth = months[0].start;
+  const trailingStart = new Date(firstMonth.getFullYear(), firstMonth.getMonth() - TRAILING_MONTHS, 1);
+  const byCustomer = new Map();
+
+  (sales || []).forEach(sale => {
+    const date = parseDate(sale.date);
+    if (!sale.financial_id || !sale.customer_id || !date || date < trailingStart || date >= firstMonth ||
+        excludedProjectIds.has(sale.project_id)) {
+      return;
+    }
+    const customer = byCustomer.get(sale.customer_id) || {
+      customerId: sale.customer_id,
+      customerName: sale.customerName || sale.customer_name || sale.customers?.business_name || 'Unknown Customer',
+      total: 0
+    };
+    customer.total += Number(sale.total_price) || 0;
+    byCustomer.set(sale.customer_id, customer);
+  });
+
+  const customers = [...byCustomer.values()]
+    .map(customer => ({
+      customerId: customer.customerId,
+      customerName: customer.customerName,
+      monthlyAverage: roundAmount(customer.total / TRAILING_MONTHS)
+    }))
+    .sort((a, b) => b.monthlyAverage - a.monthlyAverage);
+  const monthlyTotal = roundAmount(customers.reduce((total, customer) => total + customer.monthlyAverage, 0));
+
+  return { amounts: months.map(() => monthlyTotal), customers };
+};
+
+/**
+ * Builds the revenue forecast
+ * @param {Object} params - Forecast parameters
+ * @param {Array} params.projects - Projects
+ * @param {Array} [params.proposals=[]] - Processed proposals
+ * @param {Array} [params.sales=[]] - Sales records in the home currency
+ * @param {number} [params.months=6] - Number of months to forecast
+ * @param {string} [params.scenario='expected'] - Key of FORECAST_SCENARIOS
+ * @param {Date} [params.start=new Date()] - Any date in the first month
+ * @returns {Object} Forecast ({ months, streams, totals, total, hourlyCustomers, unscheduled });
+ *   streams and totals are keyed by FORECAST_STREAMS
+ * @throws {Error} If the scenario is unknown
+ */
+export const buildRevenueForecast = ({
+  projects,
+  proposals = [],
+  sales = [],
+  months: monthCount = 6,
+  scenario = 'expected',
+  start = new Date()
+}) => {
+  const { weights } = FORECAST_SCENARIOS[scenario] || {};
+  if (!weights) {
+    throw new Error(`Unknown forecast scenario "${scenario}"`);
+  }
+
+  const months = buildForecastMonths(monthCount, start);
+  const fixedPrice = forecastFixedPrice(projects, months);
+  const proposalForecast = forecastProposals(proposals, projects, sales, months);
+  const hourly = forecastHourly(sales, months, proposalForecast.projectIds);
+  const unweighted = {
+    [FORECAST_STREAMS.FIXED_PRICE]: fixedPrice.amounts,
+    [FORECAST_STREAMS.SUBSCRIPTIONS]: forecastSubscriptions(projects, months),
+    [FORECAST_STREAMS.PROPOSALS]: proposalForecast.amounts,
+    [FORECAST_STREAMS.HOURLY]: hourly.amounts
+  };
+
+  const streams = Object.fromEntries(Object.entries(unweighted).map(([stream, amounts]) => [
+    stream,
+    amounts.map(amount => roundAmount(amount * weights[stream]))
+  ]));
+  const totals = Object.fromEntries(Object.entries(streams).map(([stream, amounts]) => [
+    stream,
+    roundAmount(amounts.reduce((total, amount) => total + amount, 0))
+  ]));
+
+  return {
+    months: months.map(({ key, label }) => ({ key, label })),
+    streams,
+    totals,
+    total: roundAmount(Object.values(totals).reduce((total, amount) => total + amount, 0)),
+    hourlyCustomers: hourly.customers,
+    unscheduled: fixedPrice.unscheduled
+  };
+};
+
+/**
+ * Prepares a forecast for a stacked bar chart
+ * @param {Object} forecast - Forecast from buildRevenueForecast
+ * @returns {Object} Chart data ({ labels, datasets })
+ */
+export const prepareForecastChartData = (forecast) => ({
+  labels: forecast.months.map(month => month.label),
+  datasets: Object.values(FORECAST_STREAMS).map(stream => ({
+    label: STREAM_LABELS[stream],
+    data: forecast.streams[stream],
+    backgroundColor: STREAM_COLORS[stream]
+  }))
+});
+
+/**
+ * Loads every active customer, one page at a time
+ * @returns {Promise<Array>} Active customers
+ */
+const loadAllActiveCustomers = async () => {
+  const customers = [];
+  for (let offset = 0; ; offset += CUSTOMER_PAGE_SIZE) {
+    const response = await fetchActiveCustomers({ limit: CUSTOMER_PAGE_SIZE, offset, include_related: false });
+    const page = Array.isArray(response) ? response : (response?.customers || response?.data || []);
+    customers.push(...page);
+
+    const hasMore = response?.pagination?.has_more ?? page.length === CUSTOMER_PAGE_SIZE;
+    if (!hasMore || page.length === 0) {
+      return customers;
+    }
+  }
+};
+
+/**
+ * Fetches the proposals of each project, a batch of projects at a time
+ * @param {Array} projects - Projects to fetch proposals for
+ * @returns {Promise<Array>} fetchProposalsForProject results, in the order of the projects
+ */
+const fetchProposalsInBatches = async (projects) => {
+  const results = [];
+  for (let start = 0; start < projects.length; start += PROPOSAL_BATCH_SIZE) {
+    const batch = projects.slice(start, start + PROPOSAL_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(project => fetchProposalsForProject(project.id))));
+  }
+  return results;
+};
+
+/**
+ * Loads the projects and approved proposals a forecast is built from
+ * Proposals are only loaded for hourly projects; the other projects are forecast by their value.
+ *
+ * @returns {Promise<Object>} Inputs ({ projects, proposals, errors }); errors lists projects whose
+ *   proposals could not be loaded
+ */
+export const loadForecastInputs = async () => {
+  const customers = await loadAllActiveCustomers();
+  if (customers.length === 0) {
+    return { projects: [], proposals: [], errors: [] };
+  }
+
+  const projectsResponse = await fetchProjectsForCustomers(customers.map(customer => customer.id), { limit: 200 });
+  const projects = Array.isArray(projectsResponse) ? projectsResponse : (projectsResponse?.data || []);
+
+  const hourlyProjects = projects.filter(project => !isFixedPriceProject(project) && !isSubscriptionProject(project));
+  const results = await fetchProposalsInBatches(hourlyProjects);
+  const proposals = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    if (!result.success) {
+      errors.push(`${hourlyProjects[index].projectName || hourlyProjects[index].name}: ${result.error}`);
+      return;
+    }
+    result.data
+      .map(processProposalData)
+      .filter(proposal => proposal.status === 'approved')
+      .forEach(proposal => proposals.push({ ...proposal, projectId: proposal.projectId || hourlyProjects[index].id }));
+  });
+
+  return { projects, proposals, errors };
+};
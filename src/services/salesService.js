@@ -57,6 +57,16 @@ function transformFinancialRecordsToSales(financialRecords) {
       // Billing status
       inv_id: fieldData.inv_id,
       billed: fieldData.f_billed === 1 || !!fieldData.inv_id,
+      payment_status: fieldData.inv_id ? (fieldData.payment_status || 'unpaid') : null,
+
+      // Currency (null = home currency) and the exchange rate stored when invoiced
+      currency: fieldData.currency || null,
+      fx_rate: fieldData.fx_rate ? parseFloat(fieldData.fx_rate) : null,
+      fx_home_currency: fieldData.fx_home_currency || null,
+
+      // Credit memos against the invoice (credited_amount > 0 = adjusted)
+      credited_amount: parseFloat(fieldData.credited_amount || 0),
+      adjusted_at: fieldData.adjusted_at || null,
 
       // Metadata
       organization_id: fieldData.organization_id || null,
@@ -616,6 +626,139 @@ export async function updateSaleTargeted(saleId, patchData) {
   }
 }
 
+/**
+ * Sets the payment status of every sale billed on a QuickBooks invoice
+ * paid_at is only set when a sale becomes paid, so repeated syncs keep the original date.
+ * @param {string} invoiceId - QuickBooks invoice ID (inv_id)
+ * @param {string} paymentStatus - Payment status ('unpaid', 'partially_paid' or 'paid')
+ * @param {string} organizationId - Organization the sales belong to
+ * @returns {Promise<Object>} - Object containing success status and updated sales data
+ */
+export async function updateSalesPaymentStatus(invoiceId, paymentStatus, organizationId) {
+  try {
+    if (!invoiceId) {
+      throw new Error('Invoice ID is required');
+    }
+
+    if (!organizationId) {
+      throw new Error('Organization ID is required');
+    }
+
+    if (!['unpaid', 'partially_paid', 'paid'].includes(paymentStatus)) {
+      throw new Error(`Invalid payment status: ${paymentStatus}`);
+    }
+
+    const match = { inv_id: String(invoiceId), organization_id: organizationId };
+    const results = paymentStatus === 'paid'
+      // Only sales that were not paid yet transition; already-paid sales keep their paid_at
+      ? await Promise.all(['unpaid', 'partially_paid'].map(previousStatus => update('customer_sales', {
+        payment_status: 'paid',
+        paid_at: new Date().toISOString()
+      }, { ...match, payment_status: previousStatus })))
+      : [await update('customer_sales', { payment_status: paymentStatus, paid_at: null }, match)];
+
+    const failed = results.find(result => !result.success);
+    if (failed) {
+      throw new Error(failed.error || 'Failed to update payment status');
+    }
+
+    return {
+      success: true,
+      data: results.flatMap(result => (Array.isArray(result.data) ? processJsonData(result.data) : []))
+    };
+  } catch (error) {
+    console.error(`Error updating payment status for invoice ${invoiceId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Stores the currency and exchange rate of every sale billed on a QuickBooks invoice
+ * @param {string} invoiceId - QuickBooks invoice ID (inv_id)
+ * @param {Object} fxSnapshot - Currency fields ({ currency, fx_rate, fx_home_currency })
+ * @param {string} organizationId - Organization the sales belong to
+ * @returns {Promise<Object>} - Object containing success status and updated sales data
+ */
+export async function updateSalesCurrency(invoiceId, fxSnapshot, organizationId) {
+  try {
+    if (!invoiceId) {
+      throw new Error('Invoice ID is required');
+    }
+
+    if (!organizationId) {
+      throw new Error('Organization ID is required');
+    }
+
+    if (!fxSnapshot?.currency) {
+      throw new Error('Currency is required');
+    }
+
+    const result = await update('customer_sales', {
+      currency: fxSnapshot.currency,
+      fx_rate: fxSnapshot.fx_rate ?? null,
+      fx_home_currency: fxSnapshot.fx_home_currency ?? null
+    }, { inv_id: String(invoiceId), organization_id: organizationId });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update sales currency');
+    }
+
+    return {
+      success: true,
+      data: Array.isArray(result.data) ? processJsonData(result.data) : []
+    };
+  } catch (error) {
+    console.error(`Error updating currency for invoice ${invoiceId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Records the total credited on a sale by credit memos against its invoice
+ * A sale with a credited amount is shown as adjusted.
+ * @param {string} saleId - The ID of the sale
+ * @param {number} creditedAmount - Total credited on the sale
+ * @returns {Promise<Object>} - Object containing success status and updated sale data
+ */
+export async function updateSaleCreditedAmount(saleId, creditedAmount) {
+  try {
+    if (!saleId) {
+      throw new Error('Sale ID is required');
+    }
+
+    if (!(Number(creditedAmount) >= 0)) {
+      throw new Error(`Invalid credited amount: ${creditedAmount}`);
+    }
+
+    const result = await update('customer_sales', {
+      credited_amount: Number(creditedAmount),
+      adjusted_at: new Date().toISOString()
+    }, { id: saleId });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to update credited amount');
+    }
+
+    const data = Array.isArray(result.data) ? processJsonData(result.data) : [];
+    return {
+      success: true,
+      data: data[0] || null
+    };
+  } catch (error) {
+    console.error(`Error updating credited amount for sale ${saleId}:`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Deletes a sale
  * @param {string} saleId - The ID of the sale to delete
@@ -0,0 +1,510 @@
+/**
+ * Subscription Billing Service
+ *
+ * Monthly billing runs for subscription projects. For one month, a run:
+ * - Charges every subscription project active during the month its monthly value, prorated by
+ *   day when the subscription starts or ends (is cancelled) part way through the month
+ * - Creates the month's sales with createSalesBatch
+ * - Creates one QuickBooks invoice per customer with generateInvoicePayload
+ *
+ * A dry run reports what would be billed without writing anything. Runs are idempotent: each
+ * project's month is claimed in subscription_billing_entries before its sale is created, so
+ * re-running a month skips projects already billed for it.
+ *
+ * Billing entry lifecycle: pending -> sales_created -> invoiced
+ */
+
+import {
+  fetchSubscriptionBillingEntries,
+  claimSubscriptionBillingEntry,
+  updateSubscriptionBillingEntry,
+  deleteSubscriptionBillingEntry
+} from '../api/subscriptionBilling';
+import { createQBOInvoice, searchQBOCustomers } from '../api/quickbooksApi';
+import { createSalesBatch, updateSaleTargeted } from './salesService';
+import { generateInvoicePayload } from './invoiceGenerationService';
+import { confirmInvoiceNumber, releaseInvoiceNumber } from './invoiceSequenceService';
+import { recordInvoiceCurrency } from './currencyService';
+import { resolveMappedQBOCustomer } from './customerReconciliationService';
+import { roundAmount } from '../utils/moneyUtils';
+import { assertNoFault } from '../utils/quickbooksUtils';
+
+/**
+ * Statuses of a project in a billing run report
+ */
+export const BILLING_ITEM_STATUSES = {
+  READY: 'ready',
+  INACTIVE: 'inactive',
+  ALREADY_BILLED: 'already_billed',
+  NO_QBO_CUSTOMER: 'no_qbo_customer',
+  SALES_CREATED: 'sales_created',
+  INVOICED: 'invoiced',
+  FAILED: 'failed'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date as YYYY-MM-DD using local date parts
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Parses a project date as a local calendar date
+ * YYYY-MM-DD strings are read as local dates so they don't shift a day in negative UTC offsets
+ *
+ * @param {string|Date} value - Date value (YYYY-MM-DD, MM/DD/YYYY or Date)
+ * @returns {Date|null} Date at local midnight, or null when missing or invalid
+ */
+const parseProjectDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const isoMatch = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const date = isoMatch
+    ? new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Counts calendar days from one date to another, both included
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {number} Number of days
+ */
+const countDays = (from, to) => Math.round(
+  (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+    Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS
+) + 1;
+
+/**
+ * Whether a project is billed as a subscription
+ * @param {Object} project - Project (FileMaker or backend format)
+ * @returns {boolean} True for subscription projects
+ */
+export const isSubscriptionProject = (project) => Boolean(project?.f_subscription || project?.is_subscription);
+
+/**
+ * Builds the billing period for a month
+ * @param {string|Date} [month=new Date()] - Month as YYYY-MM, or any date in the month
+ * @returns {Object} Period ({ key, start, end, startDate, endDate, days })
+ * @throws {Error} If the month is not valid
+ */
+export const getBillingPeriod = (month = new Date()) => {
+  let year;
+  let monthIndex;
+
+  if (typeof month === 'string') {
+    const match = month.match(/^(\d{4})-(\d{2})$/);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new Error(`Invalid billing month "${month}", expected YYYY-MM`);
+    }
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  } else if (month instanceof Date && !isNaN(month.getTime())) {
+    year = month.getFullYear();
+    monthIndex = month.getMonth();
+  } else {
+    throw new Error('Invalid billing month');
+  }
+
+  const start = new Date(year, monthIndex, 1);
+  const end = new Date(year, monthIndex + 1, 0);
+
+  return {
+    key: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+    start,
+    end,
+    startDate: formatDate(start),
+    endDate: formatDate(end),
+    days: end.getDate()
+  };
+};
+
+/**
+ * Calculates what a subscription project is charged for a billing period
+ * The monthly value is prorated by day when the subscription starts or ends within the period.
+ *
+ * @param {Object} project - Subscription project
+ * @param {Object} period - Billing period from getBillingPeriod
+ * @returns {Object|null} Charge ({ amount, monthlyValue, billedDays, periodDays, prorated,
+ *   serviceStart, serviceEnd }), or null when the project is not billable for the period
+ */
+export const calculateSubscriptionCharge = (project, period) => {
+  const monthlyValue = parseFloat(project?.value || project?.budget || 0);
+  const startDate = parseProjectDate(project?.dateStart || project?.start_date);
+  const endDate = parseProjectDate(project?.dateEnd || project?.target_end_date || project?.actual_end_date);
+
+  if (!(monthlyValue > 0) || !startDate) {
+    return null;
+  }
+
+  if (startDate > period.end || (endDate && endDate < period.start)) {
+    return null;
+  }
+
+  const serviceStart = startDate > period.start ? startDate : period.start;
+  const serviceEnd = endDate && endDate < period.end ? endDate : period.end;
+  const billedDays = countDays(serviceStart, serviceEnd);
+  const prorated = billedDays < period.days;
+
+  return {
+    amount: prorated ? roundAmount(monthlyValue * billedDays / period.days) : roundAmount(monthlyValue),
+    monthlyValue: roundAmount(monthlyValue),
+    billedDays,
+    periodDays: period.days,
+    prorated,
+    serviceStart: formatDate(serviceStart),
+    serviceEnd: formatDate(serviceEnd)
+  };
+};
+
+/**
+ * Builds the sale a billing run creates for a project
+ * The quantity is the billed fraction of the month, so the invoice line reads e.g. 0.5 x 1,000.00
+ *
+ * @param {Object} project - Subscription project
+ * @param {Object} charge - Charge from calculateSubscriptionCharge
+ * @param {Object} period - Billing period from getBillingPeriod
+ * @param {string} organizationId - Organization UUID
+ * @returns {Object} Sale data for createSalesBatch
+ */
+export const buildSubscriptionSale = (project, charge, period, organizationId) => {
+  const projectName = project.projectName || project.name || 'Subscription';
+  const proration = charge.prorated ? ` (${charge.billedDays}/${charge.periodDays} days)` : '';
+
+  return {
+    organization_id: organizationId,
+    customer_id: project._custID || project.customer_id,
+    project_id: project.id || project.__ID,
+    product_name: `${projectName} subscription ${period.key}${proration}`,
+    quantity: charge.prorated ? Math.round(charge.billedDays / charge.periodDays * 10000) / 10000 : 1,
+    unit_price: charge.monthlyValue,
+    total_price: charge.amount,
+    date: charge.serviceEnd
+  };
+};
+
+/**
+ * Finds the QuickBooks customer for a CRM customer
+ * A confirmed customer mapping wins. Unmapped customers are searched by name: an exact
+ * (case-insensitive) DisplayName match wins; otherwise the search must return exactly one
+ *
+ * @param {string} organizationId - Organization UUID
+ * @param {string} customerId - CRM customer UUID
+ * @param {string} customerName - CRM customer name
+ * @returns {Promise<Object|null>} QuickBooks customer, or null when there is no single match
+ */
+const findQBOCustomer = async (organizationId, customerId, customerName) => {
+  const mapped = await resolveMappedQBOCustomer(organizationId, customerId);
+  if (mapped) {
+    return mapped;
+  }
+  if (!customerName) {
+    return null;
+  }
+
+  const result = await searchQBOCustomers({ name: customerName, active_only: true, max_results: 20 });
+  const candidates = result?.customers || [];
+  const exact = candidates.filter(customer =>
+    (customer.DisplayName || '').trim().toLowerCase() === customerName.trim().toLowerCase()
+  );
+
+  if (exact.length === 1) {
+    return exact[0];
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Adds up a billing run report
+ * @param {Array} items - Report items
+ * @returns {Object} Totals ({ projects, billable, amount, alreadyBilled, needsAttention })
+ */
+const summarizeBillingRun = (items) => {
+  const billable = items.filter(item => [
+    BILLING_ITEM_STATUSES.READY,
+    BILLING_ITEM_STATUSES.SALES_CREATED,
+    BILLING_ITEM_STATUSES.INVOICED
+  ].includes(item.status));
+
+  return {
+    projects: items.length,
+    billable: billable.length,
+    amount: roundAmount(billable.reduce((sum, item) => sum + item.amount, 0)),
+    alreadyBilled: items.filter(item => item.status === BILLING_ITEM_STATUSES.ALREADY_BILLED).length,
+    needsAttention: items.filter(item => [
+      BILLING_ITEM_STATUSES.NO_QBO_CUSTOMER,
+      BILLING_ITEM_STATUSES.SALES_CREATED,
+      BILLING_ITEM_STATUSES.FAILED
+    ].includes(item.status)).length
+  };
+};
+
+/**
+ * Invoices one customer's subscription sales in QuickBooks
+ * Failures are recorded on the items; the sales stay uninvoiced and can be invoiced from
+ * Financial Activity
+ *
+ * @param {Array} items - Report items for the customer, each with its created sale and entry
+ * @param {Object} qboCustomer - QuickBooks customer
+ * @param {Object} options - Run options ({ organizationId, rules })
+ * @returns {Promise<Object|null>} Invoice summary ({ customerId, customerName, docNumber, invoiceId,
+ *   amount }), or null when the invoice could not be created
+ */
+const invoiceCustomerSubscriptions = async (items, qboCustomer, { organizationId, rules }) => {
+  const sales = items.map(item => item.sale);
+  let reservation = null;
+  let invoiceId = null;
+
+  try {
+    const payload = await generateInvoicePayload(sales, qboCustomer, {
+      organizationId,
+      rules,
+      onNumberReserved: (reserved) => {
+        reservation = reserved;
+      }
+    });
+
+    const result = await createQBOInvoice(payload);
+    assertNoFault(result, 'create the invoice');
+
+    invoiceId = result?.Invoice?.Id || result?.invoice?.Id;
+    if (!invoiceId) {
+      throw new Error('QuickBooks did not return an invoice ID');
+    }
+  } catch (error) {
+    console.error(`Subscription invoice for ${items[0].customerName} failed:`, error);
+    await releaseInvoiceNumber(reservation?.reservationId);
+    items.forEach(item => {
+      item.status = BILLING_ITEM_STATUSES.SALES_CREATED;
+      item.message = `Sale created but invoicing failed: ${error.message}`;
+    });
+    return null;
+  }
+
+  await confirmInvoiceNumber(reservation?.reservationId, reservation?.docNumber, invoiceId);
+
+  for (const item of items) {
+    item.status = BILLING_ITEM_STATUSES.INVOICED;
+    item.invoiceId = invoiceId;
+    item.docNumber = reservation?.docNumber || null;
+
+    const saleUpdate = await updateSaleTargeted(item.sale.id, { inv_id: invoiceId });
+    if (!saleUpdate.success) {
+      item.message = `Invoiced, but the sale could not be marked invoiced: ${saleUpdate.error}`;
+    }
+
+    try {
+      await updateSubscriptionBillingEntry(item.entryId, {
+        status: 'invoiced',
+        doc_number: item.docNumber,
+        qbo_invoice_id: invoiceId
+      });
+    } catch (error) {
+      // The entry is already sales_created, so the period still can't be billed twice
+      console.warn(`Billing entry ${item.entryId} could not be marked invoiced:`, error);
+    }
+  }
+
+  await recordInvoiceCurrency(organizationId, invoiceId, qboCustomer.CurrencyRef?.value || 'CAD');
+
+  return {
+    customerId: items[0].customerId,
+    customerName: items[0].customerName,
+    docNumber: reservation?.docNumber || null,
+    invoiceId,
+    amount: roundAmount(items.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+/**
+ * Runs subscription billing for a month
+ * @param {Object} params - Run parameters
+ * @param {string} params.organizationId - Organization UUID
+ * @param {Array} params.projects - Projects to consider (non-subscription projects are ignored)
+ * @param {Array} [params.customers=[]] - CRM customers, used for names the projects don't carry
+ * @param {string|Date} [params.month] - Month to bill (YYYY-MM), the current month by default
+ * @param {boolean} [params.dryRun=true] - Report what would be billed without writing anything
+ * @param {Object} [params.rules] - Organization invoice rules
+ * @returns {Promise<Object>} Report ({ period, dryRun, items, invoices, totals })
+ * @throws {Error} If no organization is given or existing billing entries can't be loaded
+ */
+export const runSubscriptionBilling = async ({
+  organizationId,
+  projects,
+  customers = [],
+  month,
+  dryRun = true,
+  rules
+}) => {
+  if (!organizationId) {
+    throw new Error('Organization ID is required to run subscription billing');
+  }
+
+  const period = getBillingPeriod(month);
+  const entries = await fetchSubscriptionBillingEntries(organizationId, period.key);
+  const entriesByProject = new Map(entries.map(entry => [entry.project_id, entry]));
+  const customerNames = new Map(customers.map(customer => [
+    customer.id,
+    customer.business_name || customer.Name || customer.name
+  ]));
+
+  const items = (projects || []).filter(isSubscriptionProject).map(project => {
+    const customerId = project._custID || project.customer_id;
+    const charge = calculateSubscriptionCharge(project, period);
+    const existing = entriesByProject.get(project.id || project.__ID);
+
+    const item = {
+      projectId: project.id || project.__ID,
+      projectName: project.projectName || project.name,
+      customerId,
+      customerName: project.customerName || project.customer_name || customerNames.get(customerId) || '',
+      amount: charge?.amount || 0,
+      charge,
+      project,
+      status: BILLING_ITEM_STATUSES.READY,
+      message: charge?.prorated ? `Prorated ${charge.billedDays}/${charge.periodDays} days` : ''
+    };
+
+    if (!charge) {
+      item.status = BILLING_ITEM_STATUSES.INACTIVE;
+      item.message = 'Not active during this period';
+    } else if (existing) {
+      item.status = BILLING_ITEM_STATUSES.ALREADY_BILLED;
+      item.amount = Number(existing.amount) || 0;
+      item.invoiceId = existing.qbo_invoice_id || null;
+      item.docNumber = existing.doc_number || null;
+      item.message = existing.qbo_invoice_id
+        ? `Already billed on invoice ${existing.doc_number || existing.qbo_invoice_id}`
+        : 'Already billed; the sale is waiting to be invoiced';
+    }
+    return item;
+  });
+
+  // One QuickBooks lookup per customer
+  const qboCustomers = new Map();
+  const lookupErrors = new Map();
+  for (const item of items.filter(candidate => candidate.status === BILLING_ITEM_STATUSES.READY)) {
+    if (!qboCustomers.has(item.customerId)) {
+      try {
+        qboCustomers.set(item.customerId, await findQBOCustomer(organizationId, item.customerId, item.customerName));
+      } catch (error) {
+        console.error(`QuickBooks customer lookup failed for ${item.customerName}:`, error);
+        qboCustomers.set(item.customerId, null);
+        lookupErrors.set(item.customerId, error.message);
+      }
+    }
+    if (!qboCustomers.get(item.customerId)) {
+      item.status = BILLING_ITEM_STATUSES.NO_QBO_CUSTOMER;
+      item.message = lookupErrors.get(item.customerId) || `No single QuickBooks customer matches "${item.customerName}"`;
+    }
+  }
+
+  const invoices = [];
+  if (!dryRun) {
+    const claimed = [];
+    for (const item of items.filter(candidate => candidate.status === BILLING_ITEM_STATUSES.READY)) {
+      const entry = await claimSubscriptionBillingEntry({
+        organization_id: organizationId,
+        project_id: item.projectId,
+        customer_id: item.customerId,
+        billing_period: period.key,
+        amount: item.amount,
+        billed_days: item.charge.billedDays,
+        period_days: item.charge.periodDays
+      });
+
+      if (!entry) {
+        // Another run billed this period after the report was built
+        item.status = BILLING_ITEM_STATUSES.ALREADY_BILLED;
+        item.message = 'Already billed by another run';
+        continue;
+      }
+      item.entryId = entry.id;
+      claimed.push(item);
+    }
+
+    const salesResult = claimed.length > 0
+      ? await createSalesBatch(claimed.map(item => buildSubscriptionSale(item.project, item.charge, period, organizationId)))
+      : { success: true, data: [] };
+    const createdSales = salesResult.data || [];
+
+    for (const item of claimed) {
+      item.sale = createdSales.find(sale => sale.project_id === item.projectId);
+
+      if (!item.sale) {
+        item.status = BILLING_ITEM_STATUSES.FAILED;
+        item.message = `Sale could not be created: ${(salesResult.errors || [salesResult.error]).filter(Boolean).join('; ') || 'Unknown error'}`;
+        try {
+          // Give the period back so the next run can bill it
+          await deleteSubscriptionBillingEntry(item.entryId);
+        } catch (error) {
+          console.warn(`Billing entry ${item.entryId} could not be removed:`, error);
+        }
+        continue;
+      }
+
+      item.status = BILLING_ITEM_STATUSES.SALES_CREATED;
+      try {
+        await updateSubscriptionBillingEntry(item.entryId, { status: 'sales_created', sale_ids: [item.sale.id] });
+      } catch (error) {
+        console.warn(`Billing entry ${item.entryId} could not record its sale:`, error);
+      }
+    }
+
+    const byCustomer = new Map();
+    claimed.filter(item => item.sale).forEach(item => {
+      byCustomer.set(item.customerId, [...(byCustomer.get(item.customerId) || []), item]);
+    });
+
+    for (const [customerId, customerItems] of byCustomer) {
+      const invoice = await invoiceCustomerSubscriptions(customerItems, qboCustomers.get(customerId), { organizationId, rules });
+      if (invoice) {
+        invoices.push(invoice);
+      }
+    }
+  }
+
+  return {
+    period: period.key,
+    dryRun,
+    items: items.map(item => ({
+      projectId: item.projectId,
+      projectName: item.projectName,
+      customerId: item.customerId,
+      customerName: item.customerName,
+      amount: item.amount,
+      status: item.status,
+      message: item.message,
+      invoiceId: item.invoiceId || null,
+      docNumber: item.docNumber || null,
+      prorated: Boolean(item.charge?.prorated),
+      billedDays: item.charge?.billedDays || 0,
+      periodDays: period.days
+    })),
+    invoices,
+    totals: summarizeBillingRun(items)
+  };
+};
+
+export default {
+  BILLING_ITEM_STATUSES,
+  isSubscriptionProject,
+  getBillingPeriod,
+  calculateSubscriptionCharge,
+  buildSubscriptionSale,
+  runSubscriptionBilling
+};
@@ -1,10 +1,17 @@
 import {
     fetchTasksForProject,
+    fetchAssignedTasks,
     fetchTaskTimers,
+    fetchProjectTimers,
     fetchTaskNotes,
     createTask as createTaskAPI,
     updateTask as updateTaskAPI,
     updateTaskStatus as updateTaskStatusAPI,
+    updateTaskWorkflowStatus as updateTaskWorkflowStatusAPI,
+    fetchTaskBoardColumns,
+    saveTaskBoardColumns as saveTaskBoardColumnsAPI,
+    fetchTimerRoundingPolicy,
+    saveTimerRoundingPolicy as saveTimerRoundingPolicyAPI,
     startTaskTimer as startTaskTimerAPI,
     stopTaskTimer as stopTaskTimerAPI,
     pauseTimer as pauseTimerAPI,
@@ -12,12 +19,31 @@ import {
     getActiveTimer as getActiveTimerAPI
 } from '../api/tasks';
 import { fetchLinks } from '../api/links';
-import { fetchFinancialRecordByRecordId, createFinancialRecord } from '../api/financialRecords';
+import { fetchFinancialRecordByRecordId, fetchRecordsForDateRange, createFinancialRecord } from '../api/financialRecords';
 import { createSaleFromFinancialRecord } from './salesService';
 import { getSupabaseClient } from './supabaseService';
 import { getEnvironmentContext, ENVIRONMENT_TYPES } from './dataService';
 import { v4 as uuidv4 } from 'uuid';
 import { sanitizeText, FIELD_LIMITS } from '../utils/inputSanitization';
+import { formatDate } from '../utils/dateUtils';
+import {
+    TIMER_EVENT_TYPES,
+    JOURNAL_ENTRY_STATUS,
+    getTimerJournal,
+    appendTimerEvent,
+    removeTimerEvent,
+    remapTimerEntryId,
+    resolveTimerEntryId,
+    forgetTimerEntryId,
+    markTimerConflict,
+    clearTimerConflict,
+    discardTimerEvents,
+    hasPendingTimerEvents,
+    getTimerConflicts,
+    createLocalTimerId,
+    isLocalTimerId,
+    isOfflineError
+} from './timerJournalService';
 
 /**
  * Loads tasks for a project with processing and sorting
@@ -61,10 +87,12 @@ export async function loadTaskDetails(taskId) {
  * Checks for existing active timer before starting new one
  * @param {Object} task - Task to start timer for
  * @param {string} staffId - Staff ID (optional, defaults to task._staffID)
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.startedAt] - ISO timestamp to backdate the start to (idle time reassignment)
  * @returns {Promise<Object>} Created timer record
  * @throws {Error} If task is invalid or staff already has active timer
  */
-export async function startTimer(task, staffId = null) {
+export async function startTimer(task, staffId = null, options = {}) {
     if (!task?.id) {
         throw new Error('Invalid task for timer');
     }
@@ -76,6 +104,12 @@ export async function startTimer(task, staffId = null) {
 
     console.log('[Task Service] Starting timer for task:', task.id, 'staff:', effectiveStaffId);
 
+    // Journaled events must reach the server first, so queue behind them
+    if (hasPendingTimerEvents()) {
+        console.log('[Task Service] Timer journal has pending events - journaling start');
+        return journalTimerStart(task, effectiveStaffId, options.startedAt);
+    }
+
     // Check for existing active timer (backend enforces this, but we check for better UX)
     try {
         const activeTimer = await getActiveTimerAPI(effectiveStaffId);
@@ -94,10 +128,17 @@ export async function startTimer(task, staffId = null) {
     }
 
     try {
-        const result = await startTaskTimerAPI(task.id, task);
+        const result = options.startedAt
+            ? await startTaskTimerAPI(task.id, task, { startedAt: options.startedAt })
+            : await startTaskTimerAPI(task.id, task);
         console.log('[Task Service] Timer started successfully:', result);
         return result;
     } catch (error) {
+        if (isOfflineError(error)) {
+            console.warn('[Task Service] Backend unreachable - journaling timer start');
+            return journalTimerStart(task, effectiveStaffId, options.startedAt);
+        }
+
         console.error('[Task Service] Failed to start timer:', error);
 
         // Handle concurrency error from backend
@@ -109,6 +150,143 @@ export async function startTimer(task, staffId = null) {
     }
 }
 
+/**
+ * Description recorded on a timer stopped because another session took over
+ */
+export const TAKEOVER_STOP_DESCRIPTION = 'Stopped from another session';
+
+/**
+ * Stops the timer running in another session and starts a new one for this task
+ * The stopped timer is saved through stopTimer so its time still goes to timesheet approval
+ *
+ * @param {Object} task - Task to start the timer for
+ * @param {string} [staffId] - Staff ID (optional, defaults to task._staffID)
+ * @param {string} [organizationId] - Organization ID passed on to stopTimer
+ * @returns {Promise<Object>} Created timer record
+ */
+export async function takeOverActiveTimer(task, staffId = null, organizationId = null) {
+    if (!task?.id) {
+        throw new Error('Invalid task for timer');
+    }
+
+    const effectiveStaffId = staffId || task._staffID || task.staff_id;
+    const activeTimer = await getActiveTimerAPI(effectiveStaffId);
+
+    if (activeTimer) {
+        console.log('[Task Service] Taking over active timer:', activeTimer.id);
+        await stopTimer({
+            recordId: activeTimer.id,
+            description: activeTimer.description || TAKEOVER_STOP_DESCRIPTION
+        }, organizationId);
+    }
+
+    return await startTimer(task, staffId);
+}
+
+/**
+ * Ways to resolve time a running timer spent idle
+ * - discard: drop the idle span
+ * - keep: count the idle span as work on the current task
+ * - reassign: log the idle span against another task
+ */
+export const IDLE_TIME_ACTIONS = {
+    DISCARD: 'discard',
+    KEEP: 'keep',
+    REASSIGN: 'reassign'
+};
+
+/**
+ * Description recorded on the entry created for reassigned idle time
+ */
+export const IDLE_REASSIGN_DESCRIPTION = 'Reassigned idle time';
+
+/**
+ * Resolves an idle span detected on a running timer
+ * Discarding or reassigning stops the current entry at the moment the user went idle
+ * (through stopTimer, so the trimmed duration is what gets approved and billed) and starts a
+ * fresh timer for the same task when they came back. Reassigned time is logged as a
+ * completed entry on the other task in between.
+ * Once the entry is stopped, later failures are returned in `error` rather than thrown,
+ * so the caller can bring its timer state in line with what actually happened.
+ *
+ * @param {Object} params - Idle resolution parameters
+ * @param {string} params.action - One of IDLE_TIME_ACTIONS
+ * @param {string} params.recordId - Running timer entry ID
+ * @param {Object} params.task - Task the timer is running for
+ * @param {string} params.idleStartedAt - ISO timestamp of the last activity before going idle
+ * @param {string} params.idleEndedAt - ISO timestamp the user came back
+ * @param {Object} [params.reassignTask] - Task to log the idle span against (reassign only)
+ * @param {string} [params.description=''] - Work description for the entry being closed
+ * @param {number} [params.totalPauseTime=0] - Pause duration of the entry being closed, in seconds
+ * @param {number} [params.adjustment=0] - Manual adjustment of the entry being closed, in seconds
+ * @param {string} [params.staffId] - Staff ID (optional, defaults to task._staffID)
+ * @param {string} [organizationId] - Organization ID passed on to stopTimer
+ * @returns {Promise<Object>} { stopped, reassigned, timer, error } - timer is null when the idle span
+ *   was kept or the restart failed; error holds the first failure after the stop
+ * @throws {Error} If the action or idle span is invalid, or the entry could not be stopped
+ */
+export async function resolveIdleTime(params, organizationId = null) {
+    const { action, recordId, task, idleStartedAt, idleEndedAt, reassignTask = null } = params || {};
+
+    if (!Object.values(IDLE_TIME_ACTIONS).includes(action)) {
+        throw new Error(`Unknown idle time action: ${action}`);
+    }
+    if (action === IDLE_TIME_ACTIONS.KEEP) {
+        return { stopped: null, reassigned: null, timer: null, error: null };
+    }
+
+    if (!recordId || !task?.id) {
+        throw new Error('No active timer');
+    }
+    const idleStart = new Date(idleStartedAt);
+    const idleEnd = new Date(idleEndedAt);
+    if (isNaN(idleStart.getTime()) || isNaN(idleEnd.getTime()) || idleStart >= idleEnd) {
+        throw new Error('Invalid idle time span');
+    }
+    if (action === IDLE_TIME_ACTIONS.REASSIGN && !reassignTask?.id) {
+        throw new Error('Select a task to reassign the idle time to');
+    }
+
+    const staffId = params.staffId || task._staffID || task.staff_id || null;
+    console.log('[Task Service] Resolving idle time:', action, idleStart.toISOString(), '-', idleEnd.toISOString());
+
+    const stopped = await stopTimer({
+        recordId,
+        description: params.description || '',
+        saveImmediately: !params.description,
+        totalPauseTime: params.totalPauseTime || 0,
+        adjustment: params.adjustment || 0,
+        occurredAt: idleStart.toISOString()
+    }, organizationId);
+
+    let reassigned = null;
+    let error = null;
+    if (action === IDLE_TIME_ACTIONS.REASSIGN) {
+        try {
+            const reassignedTimer = await startTimer(reassignTask, staffId, { startedAt: idleStart.toISOString() });
+            reassigned = await stopTimer({
+                recordId: reassignedTimer.id,
+                description: IDLE_REASSIGN_DESCRIPTION,
+                saveImmediately: false,
+                occurredAt: idleEnd.toISOString()
+            }, organizationId);
+        } catch (reassignError) {
+            console.error('[Task Service] Failed to reassign idle time:', reassignError);
+            error = reassignError;
+        }
+    }
+
+    let timer = null;
+    try {
+        timer = await startTimer(task, staffId, { startedAt: idleEnd.toISOString() });
+    } catch (restartError) {
+        console.error('[Task Service] Failed to restart timer after idle time:', restartError);
+        error = error || restartError;
+    }
+
+    return { stopped, reassigned, timer, error };
+}
+
 /**
  * Helper function to format product name for financial records
  * Format: CUSTOMERCAPS:ProjectFirstWord
@@ -129,12 +307,16 @@ function formatProductName(customerName, projectName) {
 /**
  * Helper function to create financial record from time entry data
  * Uses Supabase create_financial_record RPC
+ * The billed quantity follows the customer's billing rounding policy (or the organization default);
+ * the rounding applied is stored with the record so it can be shown alongside the logged time
+ *
  * @param {Object} timeEntry - Time entry data from backend
  * @param {string} organizationId - Organization ID
- * @returns {Promise<string>} Financial record ID
+ * @param {Map} [billedDays] - Day totals shared by the entries billed in one batch (see loadBilledMinutesForDay)
+ * @returns {Promise<Object|null>} Created record ({ id, rounding }), or null when nothing is billable
  * @throws {Error} If required data is missing or creation fails
  */
-async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
+async function createFinancialRecordFromTimeEntry(timeEntry, organizationId, billedDays = null) {
     console.log('[Task Service] Creating financial record from time entry:', timeEntry.id);
 
     // Validate time entry has required data
@@ -152,9 +334,6 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
         return null;
     }
 
-    // Calculate billable hours (convert minutes to hours with 2 decimal places)
-    const billableHours = Math.round((timeEntry.duration_minutes / 60) * 100) / 100;
-
     // Get unit price (hourly rate)
     const unitPrice = timeEntry.hourly_rate || 0;
 
@@ -201,8 +380,18 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
         // Generate financial ID
         const financialId = uuidv4();
 
-        // Get current date in YYYY-MM-DD format
-        const date = new Date().toISOString().split('T')[0];
+        // Bill the entry on the local day the work was done, not the day it was approved
+        const date = getTimeEntryWorkDate(timeEntry);
+
+        // Apply the billing rounding policy; earlier entries only matter for daily minimums
+        const { policy } = await resolveRoundingPolicy(timeEntry.customer_id);
+        const billedToday = policy.daily_minimum_minutes > 0
+            ? await loadBilledMinutesForDay(timeEntry.customer_id, date, billedDays)
+            : undefined;
+        const rounding = applyRoundingPolicy(timeEntry.duration_minutes, policy, billedToday);
+
+        // Convert minutes to hours with 2 decimal places
+        const billableHours = Math.round((rounding.billedMinutes / 60) * 100) / 100;
 
         console.log('[Task Service] Creating financial record with params:', {
             financialId,
@@ -210,7 +399,8 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
             productName,
             quantity: billableHours,
             unitPrice,
-            date
+            date,
+            rounding
         });
 
         // Create financial record using Supabase RPC
@@ -221,12 +411,21 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
             quantity: billableHours,
             unitPrice,
             date,
-            productId: null
+            productId: null,
+            timeEntryId: timeEntry.id || null,
+            configurationData: { rounding: toStoredRounding(rounding) }
         });
 
         console.log('[Task Service] ✓ Financial record created successfully, ID:', recordId);
 
-        return recordId;
+        if (billedToday && billedDays) {
+            billedDays.set(`${timeEntry.customer_id}|${date}`, {
+                billedMinutes: billedToday.billedMinutes + rounding.billedMinutes,
+                roundedMinutes: billedToday.roundedMinutes + rounding.roundedMinutes
+            });
+        }
+
+        return { id: recordId, rounding };
 
     } catch (error) {
         console.error('[Task Service] ✗ Failed to create financial record:', error);
@@ -236,8 +435,7 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
 
 /**
  * Stops a timer with validation and adjustments
- * Creates financial record using Supabase create_financial_record RPC
- * Fixed-price projects are detected automatically and no financial record is created
+ * The stopped entry is billed once its timesheet is approved (see approveTimesheet)
  *
  * @param {Object} params - Timer stop parameters
  * @param {string} params.recordId - Timer entry ID (UUID for backend, recordId for FileMaker)
@@ -245,8 +443,9 @@ async function createFinancialRecordFromTimeEntry(timeEntry, organizationId) {
  * @param {boolean} [params.saveImmediately=false] - Save without description
  * @param {number} [params.totalPauseTime=0] - Total pause duration in seconds
  * @param {number} [params.adjustment=0] - Manual adjustment in seconds
- * @param {string} organizationId - Organization ID for financial record creation
- * @returns {Promise<Object>} Updated timer record with financial record if created
+ * @param {string} [params.occurredAt] - ISO timestamp to end the entry at instead of now (idle trimming)
+ * @param {string} organizationId - Organization ID for legacy FileMaker sales records
+ * @returns {Promise<Object>} Updated timer record, with the financial record if the backend created one
  * @throws {Error} If timer record is invalid or stop operation fails
  */
 export async function stopTimer(params, organizationId = null) {
@@ -260,6 +459,35 @@ export async function stopTimer(params, organizationId = null) {
         throw new Error('Time adjustment must be in 6-minute (0.1 hour) increments');
     }
 
+    // Timers started offline, or with events still queued, must stop through the journal
+    const timerId = resolveTimerEntryId(params.recordId);
+    if (isLocalTimerId(timerId) || hasPendingTimerEvents(timerId)) {
+        console.log('[Task Service] Timer has journaled events - journaling stop');
+        return journalTimerStop({ ...params, recordId: timerId });
+    }
+
+    try {
+        return await stopTimerOnServer({ ...params, recordId: timerId }, organizationId);
+    } catch (error) {
+        if (isOfflineError(error)) {
+            console.warn('[Task Service] Backend unreachable - journaling timer stop');
+            return journalTimerStop({ ...params, recordId: timerId });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Stops a timer on the backend, retrying transient failures
+ * Backend entries get their financial record when their timesheet is approved, not here.
+ * Network failures are not retried - they are rethrown so the caller can journal the stop
+ *
+ * @param {Object} params - Timer stop parameters (see stopTimer)
+ * @param {string} [params.occurredAt] - ISO timestamp the timer was actually stopped (journal replay)
+ * @param {string} organizationId - Organization ID for legacy FileMaker sales records
+ * @returns {Promise<Object>} Updated timer record, with the financial record if the backend created one
+ */
+async function stopTimerOnServer(params, organizationId) {
     console.log('[Task Service] ========== STOP TIMER START ==========');
     console.log('[Task Service] Stopping timer:', params.recordId);
     console.log('[Task Service] Description:', params.description || '(none)');
@@ -268,12 +496,6 @@ export async function stopTimer(params, organizationId = null) {
     console.log('[Task Service] Adjustment:', params.adjustment || 0, 'seconds');
     console.log('[Task Service] Total adjustment:', (params.totalPauseTime || 0) + (params.adjustment || 0), 'seconds');
 
-    // Get organization ID
-    const orgId = organizationId || (window.state?.user?.supabaseOrgID);
-    if (!orgId) {
-        console.warn('[Task Service] ⚠ No organization ID found - financial record creation may fail');
-    }
-
     let retryCount = 0;
     const maxRetries = 2;
     let lastError = null;
@@ -286,7 +508,8 @@ export async function stopTimer(params, organizationId = null) {
                 params.recordId,
                 params.description,
                 params.saveImmediately,
-                (params.totalPauseTime || 0) + (params.adjustment || 0)
+                (params.totalPauseTime || 0) + (params.adjustment || 0),
+                params.occurredAt ? { occurredAt: params.occurredAt } : undefined
             );
 
             console.log('[Task Service] Timer stopped successfully on attempt', retryCount + 1);
@@ -299,39 +522,13 @@ export async function stopTimer(params, organizationId = null) {
                 console.log('[Task Service] Is billable:', result.time_entry.is_billable);
                 console.log('[Task Service] Status:', result.time_entry.status);
 
-                // Check if backend already created a financial record
+                // Timer time only becomes billable once its timesheet is approved
+                // (approveTimesheet); the entry is left as a draft here
                 if (result.financial_record) {
                     console.log('[Task Service] ✓ Financial record already created by backend');
                     console.log('[Task Service] Financial record ID:', result.financial_record.id);
-                } else if (result.time_entry.is_billable && orgId) {
-                    // Backend didn't create financial record - create one via RPC
-                    console.log('[Task Service] Creating financial record via RPC...');
-
-                    try {
-                        const financialRecordId = await createFinancialRecordFromTimeEntry(
-                            result.time_entry,
-                            orgId
-                        );
-
-                        if (financialRecordId) {
-                            console.log('[Task Service] ✓ Financial record created via RPC, ID:', financialRecordId);
-                            // Add financial_record to result for consistency
-                            result.financial_record = { id: financialRecordId };
-                        } else {
-                            console.log('[Task Service] ⚠ No financial record created (non-billable or fixed-price)');
-                        }
-                    } catch (financialError) {
-                        console.error('[Task Service] ✗ Failed to create financial record via RPC:', financialError);
-                        // Don't fail the timer stop - financial record creation is non-critical
-                        console.warn('[Task Service] Timer stopped but financial record creation failed');
-                    }
                 } else {
-                    console.log('[Task Service] ⚠ No financial record created');
-                    if (!result.time_entry.is_billable) {
-                        console.log('[Task Service] Reason: Non-billable time entry');
-                    } else if (!orgId) {
-                        console.log('[Task Service] Reason: Missing organization ID');
-                    }
+                    console.log('[Task Service] Financial record deferred to timesheet approval');
                 }
 
                 console.log('[Task Service] ========== STOP TIMER SUCCESS ==========');
@@ -417,6 +614,11 @@ export async function stopTimer(params, organizationId = null) {
             return result;
 
         } catch (error) {
+            // Retrying cannot help while offline - let the caller journal the stop
+            if (isOfflineError(error)) {
+                throw error;
+            }
+
             lastError = error;
             retryCount++;
 
@@ -452,13 +654,23 @@ export async function pauseTimer(entryId) {
         throw new Error('Timer entry ID is required');
     }
 
-    console.log('[Task Service] Pausing timer:', entryId);
+    const timerId = resolveTimerEntryId(entryId);
+    if (isLocalTimerId(timerId) || hasPendingTimerEvents(timerId)) {
+        return journalTimerEvent(TIMER_EVENT_TYPES.PAUSE, timerId);
+    }
+
+    console.log('[Task Service] Pausing timer:', timerId);
 
     try {
-        const result = await pauseTimerAPI(entryId);
+        const result = await pauseTimerAPI(timerId);
         console.log('[Task Service] Timer paused successfully:', result);
         return result;
     } catch (error) {
+        if (isOfflineError(error)) {
+            console.warn('[Task Service] Backend unreachable - journaling timer pause');
+            return journalTimerEvent(TIMER_EVENT_TYPES.PAUSE, timerId);
+        }
+
         console.error('[Task Service] Failed to pause timer:', error);
 
         // Provide user-friendly error messages
@@ -486,13 +698,23 @@ export async function resumeTimer(entryId) {
         throw new Error('Timer entry ID is required');
     }
 
-    console.log('[Task Service] Resuming timer:', entryId);
+    const timerId = resolveTimerEntryId(entryId);
+    if (isLocalTimerId(timerId) || hasPendingTimerEvents(timerId)) {
+        return journalTimerEvent(TIMER_EVENT_TYPES.RESUME, timerId);
+    }
+
+    console.log('[Task Service] Resuming timer:', timerId);
 
     try {
-        const result = await resumeTimerAPI(entryId);
+        const result = await resumeTimerAPI(timerId);
         console.log('[Task Service] Timer resumed successfully:', result);
         return result;
     } catch (error) {
+        if (isOfflineError(error)) {
+            console.warn('[Task Service] Backend unreachable - journaling timer resume');
+            return journalTimerEvent(TIMER_EVENT_TYPES.RESUME, timerId);
+        }
+
         console.error('[Task Service] Failed to resume timer:', error);
 
         // Provide user-friendly error messages
@@ -532,6 +754,227 @@ export async function getActiveTimer(staffId = null) {
     }
 }
 
+/**
+ * Offline timer journal
+ */
+
+/**
+ * Journals a timer start that could not reach the backend
+ * Returns a record shaped like the backend response so the timer keeps running locally
+ * @param {Object} task - Task the timer was started for
+ * @param {string} staffId - Staff ID
+ * @param {string} [startedAt] - ISO timestamp the timer started, defaults to now
+ * @returns {Object} Local timer record flagged with is_offline
+ */
+function journalTimerStart(task, staffId, startedAt = null) {
+    const entry = appendTimerEvent({
+        type: TIMER_EVENT_TYPES.START,
+        entryId: createLocalTimerId(),
+        taskId: task.id,
+        staffId,
+        occurredAt: startedAt,
+        payload: {
+            task: {
+                id: task.id,
+                _staffID: staffId,
+                _projectID: task._projectID || task.project_id || null
+            }
+        }
+    });
+
+    return {
+        id: entry.entryId,
+        task_id: task.id,
+        staff_id: staffId,
+        start_time: entry.occurredAt,
+        status: 'active',
+        pause_duration_seconds: 0,
+        adjustment_seconds: 0,
+        is_offline: true
+    };
+}
+
+/**
+ * Journals a pause or resume that could not reach the backend
+ * @param {string} type - TIMER_EVENT_TYPES.PAUSE or TIMER_EVENT_TYPES.RESUME
+ * @param {string} entryId - Timer entry ID
+ * @returns {Object} Local timer record flagged with is_offline
+ */
+function journalTimerEvent(type, entryId) {
+    const entry = appendTimerEvent({ type, entryId });
+    return {
+        id: entry.entryId,
+        status: type === TIMER_EVENT_TYPES.PAUSE ? 'paused' : 'active',
+        is_offline: true
+    };
+}
+
+/**
+ * Journals a timer stop that could not reach the backend
+ * The entry reaches the timesheet once the stop is replayed
+ * @param {Object} params - Timer stop parameters (see stopTimer)
+ * @returns {Object} Stop result flagged with queued
+ */
+function journalTimerStop(params) {
+    const entry = appendTimerEvent({
+        type: TIMER_EVENT_TYPES.STOP,
+        entryId: params.recordId,
+        occurredAt: params.occurredAt || null,
+        payload: {
+            description: params.description || '',
+            saveImmediately: params.saveImmediately || false,
+            totalPauseTime: params.totalPauseTime || 0,
+            adjustment: params.adjustment || 0
+        }
+    });
+
+    return {
+        time_entry: {
+            id: entry.entryId,
+            status: 'completed',
+            end_time: entry.occurredAt
+        },
+        financial_record: null,
+        queued: true
+    };
+}
+
+/**
+ * Checks the server's active timer against a journaled event before replaying it
+ * @param {Object} event - Journal entry
+ * @param {string} entryId - Resolved timer entry ID
+ * @returns {Promise<Object|null>} Conflict details, or null if the event can be replayed
+ */
+async function detectTimerConflict(event, entryId) {
+    const activeTimer = await getActiveTimerAPI(event.staffId || null);
+
+    if (event.type === TIMER_EVENT_TYPES.START) {
+        return activeTimer && activeTimer.id !== entryId
+            ? { reason: 'A different timer is already running on the server', serverTimer: activeTimer }
+            : null;
+    }
+
+    if (!activeTimer) {
+        return { reason: 'This timer is no longer running on the server', serverTimer: null };
+    }
+    if (activeTimer.id !== entryId) {
+        return { reason: 'A different timer is running on the server', serverTimer: activeTimer };
+    }
+    return null;
+}
+
+/**
+ * Sends one journaled event to the backend at its original timestamp
+ * @param {Object} event - Journal entry
+ * @param {string} entryId - Resolved timer entry ID
+ * @param {string} organizationId - Organization ID passed on to the stop
+ * @returns {Promise<string|null>} Server ID when a local timer was started, otherwise null
+ */
+async function applyTimerEvent(event, entryId, organizationId) {
+    const options = { occurredAt: event.occurredAt };
+
+    switch (event.type) {
+        case TIMER_EVENT_TYPES.START: {
+            const task = event.payload?.task || { _staffID: event.staffId };
+            const result = await startTaskTimerAPI(event.taskId, task, { startedAt: event.occurredAt });
+            remapTimerEntryId(entryId, result.id);
+            return result.id;
+        }
+        case TIMER_EVENT_TYPES.PAUSE:
+            await pauseTimerAPI(entryId, options);
+            return null;
+        case TIMER_EVENT_TYPES.RESUME:
+            await resumeTimerAPI(entryId, options);
+            return null;
+        case TIMER_EVENT_TYPES.STOP:
+            await stopTimerOnServer({ ...event.payload, recordId: entryId, ...options }, organizationId);
+            forgetTimerEntryId(entryId);
+            return null;
+        default:
+            throw new Error(`Unknown timer event type: ${event.type}`);
+    }
+}
+
+let activeJournalReplay = null;
+
+/**
+ * Replays journaled timer events against the backend in the order they occurred
+ * Each timer is checked against the server's active timer first; on a mismatch its events
+ * are flagged as a conflict and held back until resolved with resolveTimerConflict.
+ * Replay stops at the first network failure and resumes on the next call.
+ * Concurrent calls share a single replay.
+ *
+ * @param {string} [organizationId] - Organization ID passed on to replayed stops
+ * @returns {Promise<Object>} Summary { replayed, remaining, conflicts, idMap }
+ */
+export function replayTimerJournal(organizationId = null) {
+    if (!activeJournalReplay) {
+        activeJournalReplay = runTimerJournalReplay(organizationId).finally(() => {
+            activeJournalReplay = null;
+        });
+    }
+    return activeJournalReplay;
+}
+
+async function runTimerJournalReplay(organizationId) {
+    const summary = { replayed: 0, remaining: 0, conflicts: [], idMap: {} };
+    const heldBack = new Set();
+
+    for (const event of getTimerJournal()) {
+        const entryId = resolveTimerEntryId(event.entryId);
+
+        if (event.status === JOURNAL_ENTRY_STATUS.CONFLICT || heldBack.has(entryId)) {
+            heldBack.add(entryId);
+            continue;
+        }
+
+        try {
+            const conflict = await detectTimerConflict(event, entryId);
+            if (conflict) {
+                console.warn('[Task Service] Timer journal conflict:', entryId, conflict.reason);
+                markTimerConflict(entryId, conflict);
+                heldBack.add(entryId);
+                continue;
+            }
+
+            const serverId = await applyTimerEvent(event, entryId, organizationId);
+            if (serverId) {
+                summary.idMap[entryId] = serverId;
+            }
+            removeTimerEvent(event.id);
+            summary.replayed++;
+        } catch (error) {
+            if (isOfflineError(error)) {
+                console.warn('[Task Service] Still offline - timer journal replay paused');
+                break;
+            }
+            console.error('[Task Service] Failed to replay timer event:', event, error);
+            markTimerConflict(entryId, { reason: error.message, serverTimer: null });
+            heldBack.add(entryId);
+        }
+    }
+
+    summary.remaining = getTimerJournal().length;
+    summary.conflicts = getTimerConflicts();
+    console.log('[Task Service] Timer journal replay finished:', summary);
+    return summary;
+}
+
+/**
+ * Resolves a timer journal conflict
+ * @param {string} entryId - Timer entry ID of the conflicting events
+ * @param {'retry'|'discard'} action - Retry the replay, or drop the journaled events
+ */
+export function resolveTimerConflict(entryId, action) {
+    if (action === 'retry') {
+        clearTimerConflict(entryId);
+    } else if (action === 'discard') {
+        discardTimerEvents(entryId);
+    } else {
+        throw new Error(`Unknown conflict resolution: ${action}`);
+    }
+}
+
 /**
  * Task data processing and business logic
  */
@@ -565,7 +1008,15 @@ export function processTaskData(data) {
                 description: task.description,
                 dueDate: task.due_date,
                 priority: task.priority,
-                status: task.status
+                status: task.status,
+                estimatedHours: task.estimated_hours,
+                blockedBy: task.blocked_by || [],
+                recurrenceId: task.recurrence_id || null,
+                occurrenceDate: task.occurrence_date || null,
+                boardPosition: task.board_position ?? null,
+                assigneeIds: task.assignee_ids || [],
+                projectName: task.project_name || null,
+                customerName: task.customer_name || null
             };
         });
     }
@@ -620,7 +1071,15 @@ export function processTimerRecords(timerRecords) {
                 adjustmentSeconds: record.adjustment_seconds || 0,
                 isBillable: record.is_billable,
                 billableAmount: record.billable_amount,
-                hourlyRate: record.hourly_rate
+                hourlyRate: record.hourly_rate,
+                taskId: record.task_id || null,
+                staffId: record.staff_id || null,
+                source: record.source || 'timer',
+                approvalStatus: record.approval_status || 'draft',
+                rejectionReason: record.rejection_reason || null,
+                financialRecordId: record.financial_record_id || null,
+                customerId: record.customer_id || null,
+                projectId: record.project_id || null
             };
         });
     }
@@ -776,12 +1235,36 @@ export function formatDuration(minutes) {
         : `${hours}h ${remainingMinutes}m`;
 }
 
+// Upper bound for a single task's estimate; larger pieces of work should be split up
+const MAX_ESTIMATED_HOURS = 1000;
+
+/**
+ * Workflow statuses a task can be in
+ * completed and cancelled are resolved; the backend keeps is_completed in sync with the status
+ */
+export const TASK_STATUSES = {
+    BACKLOG: 'backlog',
+    PENDING: 'pending',
+    IN_PROGRESS: 'in_progress',
+    REVIEW: 'review',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const RESOLVED_TASK_STATUSES = [TASK_STATUSES.COMPLETED, TASK_STATUSES.CANCELLED];
+
 /**
  * Task field definitions with validation rules
  * Updated to match new backend schema from TaskCreate API model
  *
  * Backend Required Fields: project_id, customer_id, title
- * Backend Optional Fields: staff_id, task_type, notes, is_completed, status, priority, estimated_hours, due_date, filemaker_task_id
+ * Backend Optional Fields: staff_id, task_type, notes, is_completed, status, priority, estimated_hours, due_date, filemaker_task_id, blocked_by,
+ *   recurrence_id, occurrence_date, board_position, assignee_ids
+ *
+ * blocked_by holds the IDs of predecessor tasks in the same project; cycles are
+ * rejected by validateTaskData when the project's tasks are supplied.
+ * recurrence_id/occurrence_date link a task generated by recurringTaskService to its series.
+ * assignee_ids holds staff IDs; they must belong to the project's team when the team is supplied.
  *
  * Note: organization_id is NOT sent to backend - it's inferred from authenticated user context
  */
@@ -860,7 +1343,7 @@ export const TASK_FIELDS = {
         type: 'string',
         validate: (value) => {
             if (!value) return null;
-            const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
+            const validStatuses = Object.values(TASK_STATUSES);
             return validStatuses.includes(value) ? null : `Status must be one of: ${validStatuses.join(', ')}`;
         }
     },
@@ -875,7 +1358,7 @@ export const TASK_FIELDS = {
     },
     estimated_hours: {
         required: false,
-        type: 'number',
+        type: ['number', 'string'],
         validate: (value) => {
             if (value === undefined || value === null) return null;
             // Backend accepts both number and string pattern
@@ -884,10 +1367,12 @@ export const TASK_FIELDS = {
                 if (!pattern.test(value)) return 'Estimated hours must be a valid number';
                 const parsed = parseFloat(value);
                 if (isNaN(parsed) || parsed < 0) return 'Estimated hours must be positive';
+                if (parsed > MAX_ESTIMATED_HOURS) return `Estimated hours must be at most ${MAX_ESTIMATED_HOURS}`;
                 return null;
             }
             if (typeof value !== 'number' || isNaN(value)) return 'Estimated hours must be a number';
             if (value < 0) return 'Estimated hours must be positive';
+            if (value > MAX_ESTIMATED_HOURS) return `Estimated hours must be at most ${MAX_ESTIMATED_HOURS}`;
             return null;
         }
     },
@@ -910,6 +1395,61 @@ export const TASK_FIELDS = {
             if (!value) return null;
             return null; // No specific validation needed
         }
+    },
+    blocked_by: {
+        required: false,
+        type: 'object',
+        validate: (value) => {
+            if (!value) return null;
+            if (!Array.isArray(value)) return 'Blocked by must be a list of task IDs';
+            // Basic UUID validation
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+            if (!value.every(id => typeof id === 'string' && uuidRegex.test(id))) {
+                return 'Blocked by tasks must be valid UUIDs';
+            }
+            return new Set(value).size === value.length ? null : 'Blocked by tasks must not repeat';
+        }
+    },
+    recurrence_id: {
+        required: false,
+        type: 'string',
+        validate: (value) => {
+            if (!value) return null;
+            // Basic UUID validation
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+            return uuidRegex.test(value) ? null : 'Recurrence ID must be a valid UUID';
+        }
+    },
+    occurrence_date: {
+        required: false,
+        type: 'string',
+        validate: (value) => {
+            if (!value) return null;
+            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+            return dateRegex.test(value) ? null : 'Occurrence date must be in YYYY-MM-DD format';
+        }
+    },
+    board_position: {
+        required: false,
+        type: 'number',
+        validate: (value) => {
+            if (value === undefined || value === null) return null;
+            return Number.isFinite(value) ? null : 'Board position must be a number';
+        }
+    },
+    assignee_ids: {
+        required: false,
+        type: 'object',
+        validate: (value) => {
+            if (!value) return null;
+            if (!Array.isArray(value)) return 'Assignees must be a list of staff IDs';
+            // Basic UUID validation
+            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+            if (!value.every(id => typeof id === 'string' && uuidRegex.test(id))) {
+                return 'Assignees must be valid staff IDs';
+            }
+            return new Set(value).size === value.length ? null : 'Assignees must not repeat';
+        }
     }
 };
 
@@ -919,9 +1459,12 @@ export const TASK_FIELDS = {
  * @param {Object} options - Validation options
  * @param {boolean} options.isUpdate - Whether this is an update operation
  * @param {boolean} options.partial - Whether to allow partial data (only validate provided fields)
+ * @param {Array} [options.projectTasks] - Tasks in the same project, enables blocked_by reference and cycle checks
+ * @param {string} [options.taskId] - ID of the task being updated, used for the blocked_by checks
+ * @param {Array} [options.teamStaff] - Members of the project's team (from getTeamStaff), enables assignee checks
  * @returns {Object} Validation result { isValid, errors, fieldErrors }
  */
-export function validateTaskData(data, { isUpdate = false, partial = false } = {}) {
+export function validateTaskData(data, { isUpdate = false, partial = false, projectTasks = null, taskId = null, teamStaff = null } = {}) {
     const errors = [];
     const fieldErrors = {};
 
@@ -963,9 +1506,13 @@ export function validateTaskData(data, { isUpdate = false, partial = false } = {
                     fieldErrors[field] = `${field} must be a boolean`;
                     return;
                 }
-            } else if (typeof value !== rules.type) {
-                fieldErrors[field] = `${field} must be a ${rules.type}`;
-                return;
+            } else {
+                // Some fields accept more than one representation (e.g. numeric strings)
+                const types = Array.isArray(rules.type) ? rules.type : [rules.type];
+                if (!types.includes(typeof value)) {
+                    fieldErrors[field] = `${field} must be a ${types.join(' or ')}`;
+                    return;
+                }
             }
 
             // Custom field validation
@@ -978,6 +1525,21 @@ export function validateTaskData(data, { isUpdate = false, partial = false } = {
         }
     });
 
+    // Dependency checks need the surrounding project, so they run after the per-field rules
+    if (Array.isArray(data.blocked_by) && data.blocked_by.length > 0 && !fieldErrors.blocked_by) {
+        const dependencyError = validateTaskDependencies(data.blocked_by, projectTasks, taskId);
+        if (dependencyError) {
+            fieldErrors.blocked_by = dependencyError;
+        }
+    }
+
+    if (Array.isArray(data.assignee_ids) && data.assignee_ids.length > 0 && !fieldErrors.assignee_ids) {
+        const assigneeError = validateTaskAssignees(data.assignee_ids, teamStaff);
+        if (assigneeError) {
+            fieldErrors.assignee_ids = assigneeError;
+        }
+    }
+
     // Add field errors to main errors array
     Object.values(fieldErrors).forEach(error => {
         errors.push(error);
@@ -990,6 +1552,57 @@ export function validateTaskData(data, { isUpdate = false, partial = false } = {
     };
 }
 
+/**
+ * Checks an assignee list against the project's team
+ * @param {Array<string>} assigneeIds - Staff IDs
+ * @param {Array|null} teamStaff - Team members from getTeamStaff (or staff IDs); null skips the check
+ * @returns {string|null} Error message or null when valid
+ */
+function validateTaskAssignees(assigneeIds, teamStaff) {
+    if (!Array.isArray(teamStaff)) return null;
+
+    if (teamStaff.length === 0) {
+        return 'Assign the project to a team before assigning tasks';
+    }
+
+    const memberIds = new Set(teamStaff.map(member => (typeof member === 'string' ? member : member?.staffId)));
+    return assigneeIds.every(id => memberIds.has(id))
+        ? null
+        : 'Assignees must be members of the project team';
+}
+
+/**
+ * Checks a blocked_by list against the project's tasks
+ * @param {Array<string>} blockedBy - Predecessor task IDs
+ * @param {Array|null} projectTasks - Tasks in the same project
+ * @param {string|null} taskId - ID of the task being saved (null for new tasks)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateTaskDependencies(blockedBy, projectTasks, taskId) {
+    if (taskId && blockedBy.includes(taskId)) {
+        return 'A task cannot be blocked by itself';
+    }
+
+    if (!Array.isArray(projectTasks)) return null;
+
+    const knownIds = new Set(projectTasks.map(task => task.id));
+    if (blockedBy.some(id => !knownIds.has(id))) {
+        return 'Blocked by tasks must belong to the same project';
+    }
+
+    // A new task has no dependents yet, so it cannot close a cycle
+    if (!taskId) return null;
+
+    const cycle = findDependencyCycle(projectTasks, { taskId, blockedBy });
+    if (!cycle) return null;
+
+    const titles = cycle.map(id => {
+        const task = projectTasks.find(t => t.id === id);
+        return task?.title || task?.task || id;
+    });
+    return `Dependencies would create a cycle: ${titles.join(' → ')}`;
+}
+
 /**
  * Formats task data for display
  * @param {Object} task - Task record
@@ -1032,9 +1645,16 @@ export function formatTaskForDisplay(task, timerRecords = [], notes = [], links
  * @param {boolean} [params.is_completed=false] - Completion status (optional)
  * @param {number} [params.estimated_hours] - Estimated hours (optional)
  * @param {string} [params.due_date] - Due date in YYYY-MM-DD format (optional)
+ * @param {Array<string>} [params.blocked_by] - IDs of tasks this task waits on (optional)
+ * @param {string} [params.recurrence_id] - Recurring series the task was generated from (optional)
+ * @param {string} [params.occurrence_date] - Series occurrence the task stands for, YYYY-MM-DD (optional)
+ * @param {Array<string>} [params.assignee_ids] - Staff IDs the task is assigned to (optional)
+ * @param {Object} [options] - Save options
+ * @param {Array} [options.projectTasks] - Existing project tasks used to validate blocked_by
+ * @param {Array} [options.teamStaff] - Project team members used to validate assignee_ids
  * @returns {Promise<Object>} Created task data
  */
-export async function createNewTask(params) {
+export async function createNewTask(params, { projectTasks = null, teamStaff = null } = {}) {
     if (!params || typeof params !== 'object') {
         throw new Error('Invalid task parameters');
     }
@@ -1050,6 +1670,10 @@ export async function createNewTask(params) {
     const isCompleted = params.is_completed !== undefined ? params.is_completed : false;
     const dueDate = params.due_date;
     const estimatedHours = params.estimated_hours;
+    const blockedBy = params.blocked_by || params.blockedBy;
+    const recurrenceId = params.recurrence_id;
+    const occurrenceDate = params.occurrence_date;
+    const assigneeIds = params.assignee_ids || params.assigneeIds;
 
     // Handle priority conversion: old format was string ("active", "high", "low"), new format is integer (1-5)
     let priority = params.priority !== undefined ? params.priority : 3; // Default to 3 (medium)
@@ -1080,9 +1704,13 @@ export async function createNewTask(params) {
     if (notes) taskData.notes = notes;
     if (estimatedHours !== undefined) taskData.estimated_hours = estimatedHours;
     if (dueDate) taskData.due_date = dueDate;
+    if (blockedBy?.length) taskData.blocked_by = blockedBy;
+    if (recurrenceId) taskData.recurrence_id = recurrenceId;
+    if (occurrenceDate) taskData.occurrence_date = occurrenceDate;
+    if (assigneeIds?.length) taskData.assignee_ids = assigneeIds;
 
     // Validate task data against backend schema
-    const validation = validateTaskData(taskData, { partial: false });
+    const validation = validateTaskData(taskData, { partial: false, projectTasks, teamStaff });
     if (!validation.isValid) {
         console.error('[Task Service] Validation failed:', validation.errors);
         throw new Error(validation.errors[0]); // Throw first error
@@ -1110,13 +1738,19 @@ export async function createNewTask(params) {
  * Updates a task with validation and state management
  * @param {string} taskId - Task ID to update
  * @param {Object} taskData - New task data
+ * @param {Object} [options] - Save options
+ * @param {Array} [options.projectTasks] - Project tasks used to reject dependency cycles
+ * @param {Array} [options.teamStaff] - Project team members used to check assignees
  * @returns {Promise<Object>} Updated task data
  */
-export async function updateExistingTask(taskId, taskData) {
+export async function updateExistingTask(taskId, taskData, { projectTasks = null, teamStaff = null } = {}) {
     // Validate task data
     const validation = validateTaskData(taskData, {
         isUpdate: true,
-        partial: true
+        partial: true,
+        projectTasks,
+        taskId,
+        teamStaff
     });
     if (!validation.isValid) {
         throw new Error(validation.errors[0]);
@@ -1230,12 +1864,15 @@ export function calculateTaskStats(tasks, timerRecords) {
             completed: 0,
             completionRate: 0,
             totalTimeSpent: '0m',
-            averageTimePerTask: '0m'
+            averageTimePerTask: '0m',
+            totalEstimatedHours: 0,
+            overEstimate: 0
         };
     }
 
     const grouped = groupTasksByStatus(tasks);
     const totalTime = calculateTotalTaskTime(timerRecords);
+    const estimatedTasks = tasks.filter(task => getTaskEstimatedHours(task));
     
     return {
         total: tasks.length,
@@ -1243,32 +1880,155 @@ export function calculateTaskStats(tasks, timerRecords) {
         completed: grouped.completed.length,
         completionRate: Math.round((grouped.completed.length / tasks.length) * 100) || 0,
         totalTimeSpent: formatDuration(totalTime),
-        averageTimePerTask: formatDuration(Math.round(totalTime / tasks.length)) || '0m'
+        averageTimePerTask: formatDuration(Math.round(totalTime / tasks.length)) || '0m',
+        totalEstimatedHours: estimatedTasks.reduce((total, task) => total + getTaskEstimatedHours(task), 0),
+        // actualHours is merged onto tasks by useTask once loadTaskActuals resolves
+        overEstimate: estimatedTasks.filter(task =>
+            calculateEstimateBurn(getTaskEstimatedHours(task), task.actualHours).status === ESTIMATE_STATUS.OVER
+        ).length
     };
 }
 
 /**
- * Validates timer adjustment
- * Business rule: Only allow adjustments in 6-minute (0.1 hour) increments
- *
- * @param {number} minutes - Minutes to adjust
- * @returns {boolean} Whether the adjustment is valid
+ * Estimates vs. actuals
  */
-export function isValidTimerAdjustment(minutes) {
-    // Only allow adjustments in 6-minute increments
-    return minutes % 6 === 0;
-}
 
 /**
- * Validates timer adjustment in seconds
- * Business rule: Only allow adjustments in 360-second (6-minute / 0.1 hour) increments
- *
- * @param {number} seconds - Seconds to adjust
- * @returns {boolean} Whether the adjustment is valid
+ * Shares of a task's estimate at which a running timer raises an alert
  */
-export function isValidTimerAdjustmentSeconds(seconds) {
-    // Only allow adjustments in 360-second (6-minute) increments
-    return seconds % 360 === 0;
+export const ESTIMATE_ALERT_THRESHOLDS = [0.8, 1];
+
+/**
+ * Burn status of a task against its estimate
+ */
+export const ESTIMATE_STATUS = {
+    UNESTIMATED: 'unestimated',
+    ON_TRACK: 'on_track',
+    AT_RISK: 'at_risk',
+    OVER: 'over'
+};
+
+/**
+ * Reads a task's estimate in hours
+ * Accepts both processed (estimatedHours) and backend (estimated_hours) records,
+ * preferring estimated_hours as it holds the latest saved value
+ *
+ * @param {Object} task - Task record
+ * @returns {number|null} Estimated hours, or null when the task has no positive estimate
+ */
+export function getTaskEstimatedHours(task) {
+    const hours = parseFloat(task?.estimated_hours !== undefined ? task.estimated_hours : task?.estimatedHours);
+    return hours > 0 ? hours : null;
+}
+
+/**
+ * Compares logged hours against an estimate
+ * A task is at risk from the first alert threshold and over once the estimate is used up
+ *
+ * @param {number|null} estimatedHours - Estimated hours
+ * @param {number|null} actualHours - Logged hours
+ * @returns {Object} { estimatedHours, actualHours, ratio, percent, remainingHours, status }
+ */
+export function calculateEstimateBurn(estimatedHours, actualHours) {
+    const actual = Math.max(0, parseFloat(actualHours) || 0);
+
+    if (!(estimatedHours > 0)) {
+        return {
+            estimatedHours: null,
+            actualHours: actual,
+            ratio: null,
+            percent: null,
+            remainingHours: null,
+            status: ESTIMATE_STATUS.UNESTIMATED
+        };
+    }
+
+    const ratio = actual / estimatedHours;
+    let status = ESTIMATE_STATUS.ON_TRACK;
+    if (ratio >= ESTIMATE_ALERT_THRESHOLDS[ESTIMATE_ALERT_THRESHOLDS.length - 1]) {
+        status = ESTIMATE_STATUS.OVER;
+    } else if (ratio >= ESTIMATE_ALERT_THRESHOLDS[0]) {
+        status = ESTIMATE_STATUS.AT_RISK;
+    }
+
+    return {
+        estimatedHours,
+        actualHours: Math.round(actual * 100) / 100,
+        ratio,
+        percent: Math.round(ratio * 100),
+        remainingHours: Math.round((estimatedHours - actual) * 100) / 100,
+        status
+    };
+}
+
+/**
+ * Finds the highest alert threshold crossed while logged time grew
+ *
+ * @param {number|null} estimatedHours - Estimated hours
+ * @param {number} previousHours - Logged hours at the last check
+ * @param {number} currentHours - Logged hours now
+ * @returns {number|null} Crossed threshold (e.g. 0.8 or 1) or null
+ */
+export function getCrossedEstimateThreshold(estimatedHours, previousHours, currentHours) {
+    if (!(estimatedHours > 0) || !(currentHours > previousHours)) {
+        return null;
+    }
+
+    const crossed = ESTIMATE_ALERT_THRESHOLDS.filter(threshold =>
+        previousHours < estimatedHours * threshold && currentHours >= estimatedHours * threshold
+    );
+    return crossed.length ? crossed[crossed.length - 1] : null;
+}
+
+/**
+ * Loads the hours logged against each estimated task
+ * The project's time entries are fetched in one request and totalled per task.
+ * Tasks without an estimate are skipped since there is nothing to compare against.
+ *
+ * @param {string} projectId - Project ID
+ * @param {Array} tasks - Project tasks
+ * @returns {Promise<Object>} Map of task ID to logged hours
+ */
+export async function loadTaskActuals(projectId, tasks) {
+    const estimatedIds = (tasks || [])
+        .filter(task => task?.id && getTaskEstimatedHours(task))
+        .map(task => task.id);
+
+    if (!projectId || estimatedIds.length === 0) {
+        return {};
+    }
+
+    const records = processTimerRecords(await fetchProjectTimers(projectId) || []);
+    const recordsByTask = new Map(estimatedIds.map(taskId => [taskId, []]));
+    records.forEach(record => recordsByTask.get(record.taskId)?.push(record));
+
+    return Object.fromEntries(
+        Array.from(recordsByTask, ([taskId, taskRecords]) => [taskId, calculateTotalTaskTime(taskRecords) / 60])
+    );
+}
+
+/**
+ * Validates timer adjustment
+ * Business rule: Only allow adjustments in 6-minute (0.1 hour) increments
+ *
+ * @param {number} minutes - Minutes to adjust
+ * @returns {boolean} Whether the adjustment is valid
+ */
+export function isValidTimerAdjustment(minutes) {
+    // Only allow adjustments in 6-minute increments
+    return minutes % 6 === 0;
+}
+
+/**
+ * Validates timer adjustment in seconds
+ * Business rule: Only allow adjustments in 360-second (6-minute / 0.1 hour) increments
+ *
+ * @param {number} seconds - Seconds to adjust
+ * @returns {boolean} Whether the adjustment is valid
+ */
+export function isValidTimerAdjustmentSeconds(seconds) {
+    // Only allow adjustments in 360-second (6-minute) increments
+    return seconds % 360 === 0;
 }
 
 /**
@@ -1293,6 +2053,372 @@ export function roundToValidAdjustmentSeconds(seconds) {
     return Math.round(seconds / 360) * 360;
 }
 
+/**
+ * Billing rounding
+ */
+
+/**
+ * Rounding modes for billed time
+ * Entries are always rounded up to the next increment; NONE bills the logged minutes
+ */
+export const BILLING_ROUNDING_MODES = {
+    NONE: 'none',
+    UP_6: 'up_6',
+    UP_15: 'up_15',
+    UP_30: 'up_30'
+};
+
+const ROUNDING_INCREMENT_MINUTES = {
+    [BILLING_ROUNDING_MODES.NONE]: 0,
+    [BILLING_ROUNDING_MODES.UP_6]: 6,
+    [BILLING_ROUNDING_MODES.UP_15]: 15,
+    [BILLING_ROUNDING_MODES.UP_30]: 30
+};
+
+// Minimum charges cannot exceed a full day
+const MAX_MINIMUM_MINUTES = 24 * 60;
+
+// customer_settings type holding a customer's override of the organization policy
+const CUSTOMER_ROUNDING_SETTING_TYPE = 'BILLING_ROUNDING';
+
+/**
+ * Policy used when neither the organization nor the customer has configured one
+ * Bills exactly the logged time
+ */
+export const DEFAULT_BILLING_ROUNDING_POLICY = Object.freeze({
+    mode: BILLING_ROUNDING_MODES.NONE,
+    minimum_entry_minutes: 0,
+    daily_minimum_minutes: 0
+});
+
+/**
+ * Validates a billing rounding policy
+ * @param {Object} policy - Rounding policy ({ mode, minimum_entry_minutes, daily_minimum_minutes })
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export function validateRoundingPolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object') {
+        return { isValid: false, errors: ['Rounding policy is required'] };
+    }
+
+    if (!Object.values(BILLING_ROUNDING_MODES).includes(policy.mode)) {
+        errors.push('Rounding mode must be one of: ' + Object.values(BILLING_ROUNDING_MODES).join(', '));
+    }
+
+    [
+        ['minimum_entry_minutes', 'Minimum charge per entry'],
+        ['daily_minimum_minutes', 'Daily minimum']
+    ].forEach(([field, label]) => {
+        const value = policy[field] ?? 0;
+        if (!Number.isInteger(value) || value < 0 || value > MAX_MINIMUM_MINUTES) {
+            errors.push(`${label} must be a whole number of minutes between 0 and ${MAX_MINIMUM_MINUTES}`);
+        }
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Fills in missing minimums so a saved policy can be applied directly
+ * @param {Object} policy - Rounding policy
+ * @returns {Object} Complete rounding policy
+ */
+function completeRoundingPolicy(policy) {
+    return {
+        mode: policy.mode,
+        minimum_entry_minutes: policy.minimum_entry_minutes ?? 0,
+        daily_minimum_minutes: policy.daily_minimum_minutes ?? 0
+    };
+}
+
+/**
+ * Applies a billing rounding policy to one time entry
+ * The entry is rounded up to the mode's increment, then raised to the per-entry minimum.
+ * A daily minimum tops up the customer's total for the day: the first entries are billed up to
+ * the minimum and later entries are only billed once the day's rounded time passes it, so the
+ * day is never billed more than max(daily minimum, rounded time).
+ *
+ * @param {number} minutes - Logged minutes for the entry
+ * @param {Object} policy - Rounding policy
+ * @param {Object} [billedToday] - Customer's earlier entries on the same day
+ * @param {number} [billedToday.billedMinutes=0] - Minutes already billed
+ * @param {number} [billedToday.roundedMinutes=0] - Those entries' minutes before the daily minimum
+ * @returns {Object} Rounding result ({ policy, loggedMinutes, roundedMinutes, billedMinutes, adjustments })
+ */
+export function applyRoundingPolicy(minutes, policy = DEFAULT_BILLING_ROUNDING_POLICY, { billedMinutes = 0, roundedMinutes = 0 } = {}) {
+    const loggedMinutes = Math.max(0, minutes || 0);
+    const applied = completeRoundingPolicy(policy);
+    const adjustments = [];
+
+    let rounded = loggedMinutes;
+    const increment = ROUNDING_INCREMENT_MINUTES[applied.mode] || 0;
+    if (increment && rounded > 0 && rounded % increment !== 0) {
+        rounded = Math.ceil(rounded / increment) * increment;
+        adjustments.push(`Rounded up to ${increment}-minute increment`);
+    }
+
+    if (rounded < applied.minimum_entry_minutes) {
+        rounded = applied.minimum_entry_minutes;
+        adjustments.push(`Minimum charge of ${formatDuration(applied.minimum_entry_minutes)} per entry`);
+    }
+
+    let billed = rounded;
+    if (applied.daily_minimum_minutes > 0) {
+        const dayTotal = Math.max(applied.daily_minimum_minutes, roundedMinutes + rounded);
+        billed = Math.max(0, dayTotal - billedMinutes);
+        if (billed > rounded) {
+            adjustments.push(`Topped up to daily minimum of ${formatDuration(applied.daily_minimum_minutes)}`);
+        } else if (billed < rounded) {
+            adjustments.push(`Covered by daily minimum of ${formatDuration(applied.daily_minimum_minutes)}`);
+        }
+    }
+
+    return {
+        policy: applied,
+        loggedMinutes,
+        roundedMinutes: rounded,
+        billedMinutes: billed,
+        adjustments
+    };
+}
+
+/**
+ * Converts a rounding result to the snake_case shape stored in a financial record's configuration_data
+ * @param {Object} rounding - Result of applyRoundingPolicy
+ * @returns {Object} Stored rounding details
+ */
+function toStoredRounding(rounding) {
+    return {
+        ...rounding.policy,
+        logged_minutes: rounding.loggedMinutes,
+        rounded_minutes: rounding.roundedMinutes,
+        billed_minutes: rounding.billedMinutes,
+        adjustments: rounding.adjustments
+    };
+}
+
+/**
+ * Reads the rounding applied to a financial record
+ * Accepts both the result returned from stopTimer and stored configuration_data
+ *
+ * @param {Object} financialRecord - Financial record
+ * @returns {Object|null} Rounding details ({ mode, loggedMinutes, billedMinutes, adjustments }), or null if none recorded
+ */
+export function getFinancialRecordRounding(financialRecord) {
+    const stored = financialRecord?.rounding || financialRecord?.configuration_data?.rounding;
+    if (!stored) {
+        return null;
+    }
+
+    return {
+        mode: stored.policy?.mode ?? stored.mode,
+        loggedMinutes: stored.loggedMinutes ?? stored.logged_minutes ?? 0,
+        billedMinutes: stored.billedMinutes ?? stored.billed_minutes ?? 0,
+        adjustments: stored.adjustments || []
+    };
+}
+
+/**
+ * Loads the organization's default rounding policy
+ * Falls back to DEFAULT_BILLING_ROUNDING_POLICY when none is saved or the saved one is unusable
+ *
+ * @returns {Promise<Object>} Rounding policy
+ */
+export async function loadOrganizationRoundingPolicy() {
+    try {
+        const policy = await fetchTimerRoundingPolicy();
+        if (!policy) {
+            return DEFAULT_BILLING_ROUNDING_POLICY;
+        }
+
+        const validation = validateRoundingPolicy(policy);
+        if (!validation.isValid) {
+            console.warn('[Task Service] Ignoring invalid rounding policy:', validation.errors);
+            return DEFAULT_BILLING_ROUNDING_POLICY;
+        }
+        return completeRoundingPolicy(policy);
+    } catch (error) {
+        console.error('[Task Service] Error loading rounding policy, using default:', error);
+        return DEFAULT_BILLING_ROUNDING_POLICY;
+    }
+}
+
+/**
+ * Saves the organization's default rounding policy
+ * @param {Object} policy - Rounding policy
+ * @returns {Promise<Object>} Saved rounding policy
+ * @throws {Error} First validation error when the policy is invalid
+ */
+export async function saveOrganizationRoundingPolicy(policy) {
+    const validation = validateRoundingPolicy(policy);
+    if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+    }
+
+    const cleaned = completeRoundingPolicy(policy);
+    const saved = await saveTimerRoundingPolicyAPI(cleaned);
+    return saved?.mode ? completeRoundingPolicy(saved) : cleaned;
+}
+
+/**
+ * Loads a customer's rounding policy override from customer_settings
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object|null>} Rounding policy, or null when the customer uses the organization default
+ */
+export async function loadCustomerRoundingPolicy(customerId) {
+    if (!customerId) {
+        throw new Error('Customer ID is required');
+    }
+
+    const supabase = getSupabaseClient();
+    const { data: setting, error } = await supabase
+        .from('customer_settings')
+        .select('data')
+        .eq('customer_id', customerId)
+        .eq('type', CUSTOMER_ROUNDING_SETTING_TYPE)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to load rounding policy: ${error.message}`);
+    }
+    if (!setting?.data) {
+        return null;
+    }
+
+    try {
+        const policy = typeof setting.data === 'string' ? JSON.parse(setting.data) : setting.data;
+        if (validateRoundingPolicy(policy).isValid) {
+            return completeRoundingPolicy(policy);
+        }
+    } catch (parseError) {
+        // Fall through to the organization default
+    }
+    console.warn('[Task Service] Ignoring invalid rounding policy for customer:', customerId);
+    return null;
+}
+
+/**
+ * Saves or clears a customer's rounding policy override in customer_settings
+ * @param {string} customerId - Customer ID
+ * @param {Object|null} policy - Rounding policy, or null to use the organization default
+ * @returns {Promise<Object|null>} Saved policy, or null when the override was removed
+ * @throws {Error} First validation error when the policy is invalid
+ */
+export async function saveCustomerRoundingPolicy(customerId, policy) {
+    if (!customerId) {
+        throw new Error('Customer ID is required');
+    }
+
+    const supabase = getSupabaseClient();
+
+    if (!policy) {
+        const { error } = await supabase
+            .from('customer_settings')
+            .delete()
+            .eq('customer_id', customerId)
+            .eq('type', CUSTOMER_ROUNDING_SETTING_TYPE);
+
+        if (error) {
+            throw new Error(`Failed to remove rounding policy: ${error.message}`);
+        }
+        return null;
+    }
+
+    const validation = validateRoundingPolicy(policy);
+    if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+    }
+
+    const cleaned = completeRoundingPolicy(policy);
+    const { data: existing, error: queryError } = await supabase
+        .from('customer_settings')
+        .select('id')
+        .eq('customer_id', customerId)
+        .eq('type', CUSTOMER_ROUNDING_SETTING_TYPE)
+        .maybeSingle();
+
+    if (queryError) {
+        throw new Error(`Failed to query settings: ${queryError.message}`);
+    }
+
+    const { error } = existing
+        ? await supabase
+            .from('customer_settings')
+            .update({ data: JSON.stringify(cleaned) })
+            .eq('id', existing.id)
+        : await supabase
+            .from('customer_settings')
+            .insert([{
+                id: uuidv4(),
+                customer_id: customerId,
+                type: CUSTOMER_ROUNDING_SETTING_TYPE,
+                data: JSON.stringify(cleaned)
+            }]);
+
+    if (error) {
+        throw new Error(`Failed to save rounding policy: ${error.message}`);
+    }
+    return cleaned;
+}
+
+/**
+ * Resolves the rounding policy that applies to a customer's time
+ * A customer override wins over the organization default
+ *
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} Applicable policy ({ policy, source: 'customer' | 'organization' })
+ */
+export async function resolveRoundingPolicy(customerId) {
+    try {
+        const customerPolicy = await loadCustomerRoundingPolicy(customerId);
+        if (customerPolicy) {
+            return { policy: customerPolicy, source: 'customer' };
+        }
+    } catch (error) {
+        console.error('[Task Service] Error loading customer rounding policy, using organization default:', error);
+    }
+
+    return { policy: await loadOrganizationRoundingPolicy(), source: 'organization' };
+}
+
+/**
+ * Totals the time already billed to a customer on a day, for daily minimums
+ * When entries are billed in a batch, the day is loaded once into billedDays and the batch's own
+ * records are added there as they are created, so each work day gets its own daily minimum.
+ *
+ * @param {string} customerId - Customer ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {Map} [billedDays] - Day totals by `${customerId}|${date}`, shared across a batch
+ * @returns {Promise<Object>} Day totals ({ billedMinutes, roundedMinutes })
+ */
+async function loadBilledMinutesForDay(customerId, date, billedDays = null) {
+    const key = `${customerId}|${date}`;
+    if (billedDays?.has(key)) {
+        return billedDays.get(key);
+    }
+
+    const records = await fetchRecordsForDateRange(date, date);
+    const dayTotals = (records?.response?.data || [])
+        .map(record => record.fieldData)
+        .filter(fields => fields._custID === customerId)
+        .reduce((totals, fields) => {
+            const billedMinutes = Math.round((fields.Billable_Time_Rounded || 0) * 60);
+            const rounding = fields.configuration_data?.rounding;
+            return {
+                billedMinutes: totals.billedMinutes + billedMinutes,
+                roundedMinutes: totals.roundedMinutes + (rounding?.rounded_minutes ?? billedMinutes)
+            };
+        }, { billedMinutes: 0, roundedMinutes: 0 });
+
+    billedDays?.set(key, dayTotals);
+    return dayTotals;
+}
+
 /**
  * Calculates total time from timer records
  * @param {Array} timerRecords - Array of timer records
@@ -1311,6 +2437,8 @@ export function calculateTotalTaskTime(timerRecords) {
 
 /**
  * Sorts tasks by priority and status
+ * Within each status group, predecessors are moved ahead of the tasks they block
+ *
  * @param {Array} tasks - Array of task records
  * @returns {Array} Sorted task records
  */
@@ -1319,7 +2447,7 @@ export function sortTasks(tasks) {
         return [];
     }
 
-    return [...tasks].sort((a, b) => {
+    const sorted = [...tasks].sort((a, b) => {
         // Active tasks first
         if (a.isCompleted !== b.isCompleted) {
             return a.isCompleted ? 1 : -1;
@@ -1327,6 +2455,613 @@ export function sortTasks(tasks) {
         // Then by creation date (newest first)
         return new Date(b.createdAt) - new Date(a.createdAt);
     });
+
+    if (!sorted.some(task => getTaskDependencyIds(task).length > 0)) {
+        return sorted;
+    }
+
+    // Depth-first topological pass that otherwise keeps the date order
+    const byId = new Map(sorted.map(task => [task.id, task]));
+    const visited = new Set();
+    const ordered = [];
+    const visit = (task) => {
+        if (visited.has(task.id)) return;
+        visited.add(task.id);
+        getTaskDependencyIds(task).forEach(depId => {
+            const dep = byId.get(depId);
+            if (dep && Boolean(dep.isCompleted) === Boolean(task.isCompleted)) {
+                visit(dep);
+            }
+        });
+        ordered.push(task);
+    };
+    sorted.forEach(visit);
+
+    return ordered;
+}
+
+/**
+ * Task dependencies
+ */
+
+// Weight used for tasks without an estimate when computing the critical path
+const DEFAULT_CRITICAL_PATH_HOURS = 1;
+
+/**
+ * Returns the IDs of the tasks a task is blocked by
+ * Accepts both processed (blockedBy) and backend (blocked_by) records; blocked_by wins
+ * because useTask merges saved form data over the processed task
+ *
+ * @param {Object} task - Task record
+ * @returns {Array<string>} Predecessor task IDs
+ */
+export function getTaskDependencyIds(task) {
+    const ids = task?.blocked_by !== undefined ? task.blocked_by : task?.blockedBy;
+    return Array.isArray(ids) ? ids.filter(Boolean) : [];
+}
+
+/**
+ * Whether a task's due date is before today (local time)
+ * @param {Object} task - Task record
+ * @param {Date} today - Reference date
+ * @returns {boolean}
+ */
+function isTaskOverdue(task, today) {
+    const dueDate = task?.dueDate || task?.due_date;
+    const todayKey = [
+        today.getFullYear(),
+        String(today.getMonth() + 1).padStart(2, '0'),
+        String(today.getDate()).padStart(2, '0')
+    ].join('-');
+    return Boolean(dueDate) && dueDate.slice(0, 10) < todayKey;
+}
+
+/**
+ * Whether a task no longer blocks anything (completed or cancelled)
+ * @param {Object} task - Task record
+ * @returns {boolean}
+ */
+function isTaskResolved(task) {
+    return Boolean(task?.isCompleted || task?.is_completed) || RESOLVED_TASK_STATUSES.includes(task?.status);
+}
+
+/**
+ * Finds a cycle in the blocked-by graph
+ *
+ * @param {Array} tasks - Project tasks
+ * @param {Object} [options]
+ * @param {string} [options.taskId] - Only look for cycles through this task
+ * @param {Array<string>} [options.blockedBy] - Proposed blocked_by list for taskId, replacing the stored one
+ * @returns {Array<string>|null} Task IDs along the cycle (first ID repeated at the end) or null
+ */
+export function findDependencyCycle(tasks, { taskId = null, blockedBy = null } = {}) {
+    const graph = new Map();
+    (tasks || []).forEach(task => graph.set(task.id, getTaskDependencyIds(task)));
+    if (taskId && blockedBy) {
+        graph.set(taskId, blockedBy);
+    }
+
+    const finished = new Set();
+    const stack = [];
+    const visit = (id) => {
+        if (finished.has(id)) return null;
+        const index = stack.indexOf(id);
+        if (index !== -1) return [...stack.slice(index), id];
+
+        stack.push(id);
+        for (const depId of graph.get(id) || []) {
+            const cycle = visit(depId);
+            if (cycle) return cycle;
+        }
+        stack.pop();
+        finished.add(id);
+        return null;
+    };
+
+    const roots = taskId ? [taskId] : [...graph.keys()];
+    for (const id of roots) {
+        const cycle = visit(id);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Adds the derived blocked state to each task
+ * A task is blocked while any of its predecessors is still open
+ *
+ * @param {Array} tasks - Project tasks
+ * @returns {Array} Tasks with blockedBy, blockingTasks and isBlocked
+ */
+export function annotateTaskDependencies(tasks) {
+    if (!tasks?.length) {
+        return [];
+    }
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+
+    return tasks.map(task => {
+        const blockedBy = getTaskDependencyIds(task);
+        const blockingTasks = blockedBy
+            .map(id => byId.get(id))
+            .filter(dep => dep && !isTaskResolved(dep));
+
+        return {
+            ...task,
+            blockedBy,
+            blockingTasks,
+            isBlocked: !isTaskResolved(task) && blockingTasks.length > 0
+        };
+    });
+}
+
+/**
+ * Computes the critical path through a project's open tasks
+ * The path is the longest chain of blocked-by dependencies weighted by estimated hours.
+ * The holding task is the first overdue task on that path, or the task at its head
+ * when nothing on the path is overdue.
+ *
+ * @param {Array} tasks - Project tasks
+ * @param {Date} [today=new Date()] - Reference date for overdue checks
+ * @returns {Object} { path, totalHours, overdueTasks, holdingTask }
+ */
+export function calculateCriticalPath(tasks, today = new Date()) {
+    const openTasks = (tasks || []).filter(task => !isTaskResolved(task));
+    if (!openTasks.length) {
+        return { path: [], totalHours: 0, overdueTasks: [], holdingTask: null };
+    }
+
+    const byId = new Map(openTasks.map(task => [task.id, task]));
+    const memo = new Map();
+    const visiting = new Set();
+
+    const longestChain = (task) => {
+        if (memo.has(task.id)) return memo.get(task.id);
+        // Stored data may still contain a cycle; treat the back edge as absent
+        if (visiting.has(task.id)) return { hours: 0, previousId: null };
+
+        visiting.add(task.id);
+        let best = { hours: 0, previousId: null };
+        getTaskDependencyIds(task).forEach(depId => {
+            const dep = byId.get(depId);
+            if (!dep) return;
+            const chain = longestChain(dep);
+            if (chain.hours > best.hours) {
+                best = { hours: chain.hours, previousId: depId };
+            }
+        });
+        visiting.delete(task.id);
+
+        const hours = getTaskEstimatedHours(task) || DEFAULT_CRITICAL_PATH_HOURS;
+        const result = { hours: best.hours + hours, previousId: best.previousId };
+        memo.set(task.id, result);
+        return result;
+    };
+
+    let endTask = null;
+    openTasks.forEach(task => {
+        if (!endTask || longestChain(task).hours > longestChain(endTask).hours) {
+            endTask = task;
+        }
+    });
+
+    const path = [];
+    const seen = new Set();
+    let current = endTask;
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift(current);
+        current = byId.get(memo.get(current.id)?.previousId);
+    }
+
+    const overdueTasks = path.filter(task => isTaskOverdue(task, today));
+
+    return {
+        path,
+        totalHours: Math.round(longestChain(endTask).hours * 100) / 100,
+        overdueTasks,
+        holdingTask: overdueTasks[0] || path[0]
+    };
+}
+
+/**
+ * Task board
+ */
+
+// Gap left between board positions so most moves only rewrite the moved task
+const BOARD_POSITION_STEP = 1024;
+const MAX_BOARD_COLUMNS = 8;
+const MAX_BOARD_COLUMN_TITLE_LENGTH = 50;
+
+/**
+ * Columns used until an organization saves its own
+ * A task lands in the column that lists its status; dropping a task on a column
+ * gives it the column's first status unless it already has one of the others
+ */
+export const DEFAULT_BOARD_COLUMNS = [
+    { id: 'backlog', title: 'Backlog', statuses: [TASK_STATUSES.BACKLOG, TASK_STATUSES.PENDING] },
+    { id: 'in_progress', title: 'In Progress', statuses: [TASK_STATUSES.IN_PROGRESS] },
+    { id: 'review', title: 'Review', statuses: [TASK_STATUSES.REVIEW] },
+    { id: 'done', title: 'Done', statuses: [TASK_STATUSES.COMPLETED, TASK_STATUSES.CANCELLED] }
+];
+
+/**
+ * Returns a task's workflow status
+ * Tasks toggled through the legacy completion flag (or loaded from FileMaker) may carry a
+ * status that disagrees with isCompleted; the flag wins so list and board agree
+ *
+ * @param {Object} task - Task record
+ * @returns {string} One of TASK_STATUSES
+ */
+export function getTaskStatus(task) {
+    const status = Object.values(TASK_STATUSES).includes(task?.status) ? task.status : null;
+    const isCompleted = Boolean(task?.isCompleted ?? task?.is_completed);
+
+    if (isCompleted) {
+        return RESOLVED_TASK_STATUSES.includes(status) ? status : TASK_STATUSES.COMPLETED;
+    }
+    if (!status || status === TASK_STATUSES.COMPLETED) {
+        return TASK_STATUSES.PENDING;
+    }
+    return status;
+}
+
+/**
+ * Returns a task's sort position within its board column
+ * board_position wins over boardPosition because useTask merges saved data over the processed task
+ *
+ * @param {Object} task - Task record
+ * @returns {number|null} Position, or null when the task has never been ordered
+ */
+export function getTaskBoardPosition(task) {
+    const position = task?.board_position !== undefined ? task.board_position : task?.boardPosition;
+    return Number.isFinite(position) ? position : null;
+}
+
+/**
+ * Validates board columns before saving
+ * Every status must belong to exactly one column so each task has a single place on the board
+ *
+ * @param {Array} columns - Ordered columns ({ id, title, statuses })
+ * @returns {Object} Validation result { isValid, errors }
+ */
+export function validateBoardColumns(columns) {
+    const errors = [];
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+        return { isValid: false, errors: ['The board needs at least one column'] };
+    }
+    if (columns.length > MAX_BOARD_COLUMNS) {
+        errors.push(`The board can have at most ${MAX_BOARD_COLUMNS} columns`);
+    }
+
+    const ids = new Set();
+    const titles = new Set();
+    const statusOwners = {};
+    const validStatuses = Object.values(TASK_STATUSES);
+
+    columns.forEach((column, index) => {
+        const title = column?.title?.trim();
+        if (!column?.id || ids.has(column.id)) {
+            errors.push(`Column ${index + 1} needs a unique ID`);
+        }
+        ids.add(column?.id);
+
+        if (!title) {
+            errors.push(`Column ${index + 1} needs a title`);
+        } else if (title.length > MAX_BOARD_COLUMN_TITLE_LENGTH) {
+            errors.push(`Column title "${title}" must be at most ${MAX_BOARD_COLUMN_TITLE_LENGTH} characters`);
+        } else if (titles.has(title.toLowerCase())) {
+            errors.push(`Column title "${title}" is used more than once`);
+        }
+        titles.add(title?.toLowerCase());
+
+        if (!Array.isArray(column?.statuses) || column.statuses.length === 0) {
+            errors.push(`Column "${title || index + 1}" needs at least one status`);
+            return;
+        }
+        column.statuses.forEach(status => {
+            if (!validStatuses.includes(status)) {
+                errors.push(`Column "${title || index + 1}" has an unknown status: ${status}`);
+            } else if (statusOwners[status]) {
+                errors.push(`Status ${status} is in both "${statusOwners[status]}" and "${title || index + 1}"`);
+            } else {
+                statusOwners[status] = title || String(index + 1);
+            }
+        });
+    });
+
+    validStatuses
+        .filter(status => !statusOwners[status])
+        .forEach(status => errors.push(`Status ${status} must belong to a column`));
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Loads the organization's board columns
+ * Falls back to DEFAULT_BOARD_COLUMNS when none are saved or the saved set is unusable,
+ * so the board always renders
+ *
+ * @returns {Promise<Array>} Ordered board columns
+ */
+export async function loadTaskBoardColumns() {
+    try {
+        const columns = await fetchTaskBoardColumns();
+        if (!columns?.length) {
+            return DEFAULT_BOARD_COLUMNS;
+        }
+
+        const validation = validateBoardColumns(columns);
+        if (!validation.isValid) {
+            console.warn('[Task Service] Ignoring invalid board columns:', validation.errors);
+            return DEFAULT_BOARD_COLUMNS;
+        }
+        return columns;
+    } catch (error) {
+        console.error('[Task Service] Error loading board columns, using defaults:', error);
+        return DEFAULT_BOARD_COLUMNS;
+    }
+}
+
+/**
+ * Saves the organization's board columns
+ * @param {Array} columns - Ordered columns ({ id, title, statuses })
+ * @returns {Promise<Array>} Saved board columns
+ * @throws {Error} First validation error when the columns are invalid
+ */
+export async function saveTaskBoardColumns(columns) {
+    const cleaned = (columns || []).map(column => ({
+        id: column.id,
+        title: (column.title || '').trim(),
+        statuses: column.statuses
+    }));
+
+    const validation = validateBoardColumns(cleaned);
+    if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+    }
+
+    const saved = await saveTaskBoardColumnsAPI(cleaned);
+    return saved?.length ? saved : cleaned;
+}
+
+/**
+ * Groups tasks into board columns, ordered by board position
+ * Tasks that have never been ordered follow the positioned ones, newest first
+ *
+ * @param {Array} tasks - Task records
+ * @param {Array} columns - Ordered board columns
+ * @returns {Object} Tasks keyed by column ID
+ */
+export function groupTasksByColumn(tasks, columns) {
+    const groups = Object.fromEntries((columns || []).map(column => [column.id, []]));
+    const columnByStatus = {};
+    (columns || []).forEach(column => {
+        column.statuses.forEach(status => {
+            columnByStatus[status] = column.id;
+        });
+    });
+
+    (tasks || []).forEach(task => {
+        const columnId = columnByStatus[getTaskStatus(task)];
+        if (columnId) {
+            groups[columnId].push(task);
+        }
+    });
+
+    Object.values(groups).forEach(columnTasks => {
+        columnTasks.sort((a, b) => {
+            const positionA = getTaskBoardPosition(a);
+            const positionB = getTaskBoardPosition(b);
+            if (positionA !== null && positionB !== null) {
+                return positionA - positionB;
+            }
+            if (positionA !== null || positionB !== null) {
+                return positionA !== null ? -1 : 1;
+            }
+            return new Date(b.createdAt) - new Date(a.createdAt);
+        });
+    });
+
+    return groups;
+}
+
+/**
+ * Plans the status and position updates for dropping a task on the board
+ * The moved task normally takes the midpoint between its new neighbours; when there is
+ * no usable gap (unordered neighbours or exhausted precision) the column is renumbered
+ *
+ * @param {Array} tasks - Task records
+ * @param {Array} columns - Ordered board columns
+ * @param {string} taskId - Task being moved
+ * @param {string} columnId - Target column
+ * @param {number} index - Target index within the column, counted without the moved task
+ * @returns {Array<Object>} Updates { taskId, status, board_position }, moved task first; empty for a no-op
+ */
+export function planBoardMove(tasks, columns, taskId, columnId, index) {
+    const task = (tasks || []).find(t => t.id === taskId);
+    const column = (columns || []).find(c => c.id === columnId);
+    if (!task) {
+        throw new Error('Task not found');
+    }
+    if (!column) {
+        throw new Error('Board column not found');
+    }
+
+    const currentStatus = getTaskStatus(task);
+    const status = column.statuses.includes(currentStatus) ? currentStatus : column.statuses[0];
+    const columnTasks = groupTasksByColumn(tasks, columns)[columnId];
+    const currentIndex = columnTasks.findIndex(t => t.id === taskId);
+    const others = columnTasks.filter(t => t.id !== taskId);
+    const targetIndex = Math.max(0, Math.min(index, others.length));
+
+    if (currentIndex === targetIndex && getTaskBoardPosition(task) !== null) {
+        return [];
+    }
+
+    const before = getTaskBoardPosition(others[targetIndex - 1]);
+    const after = getTaskBoardPosition(others[targetIndex]);
+    const hasBefore = targetIndex > 0;
+    const hasAfter = targetIndex < others.length;
+
+    let position = null;
+    if (!hasBefore && !hasAfter) {
+        position = BOARD_POSITION_STEP;
+    } else if (!hasBefore && after !== null) {
+        position = after - BOARD_POSITION_STEP;
+    } else if (!hasAfter && before !== null) {
+        position = before + BOARD_POSITION_STEP;
+    } else if (before !== null && after !== null) {
+        const midpoint = (before + after) / 2;
+        position = midpoint > before && midpoint < after ? midpoint : null;
+    }
+
+    if (position !== null) {
+        return [{ taskId, status, board_position: position }];
+    }
+
+    // Renumber the whole column, writing only the tasks whose position changes
+    const reordered = [...others];
+    reordered.splice(targetIndex, 0, task);
+    const neighbourUpdates = [];
+    reordered.forEach((t, i) => {
+        const boardPosition = (i + 1) * BOARD_POSITION_STEP;
+        if (t.id === taskId) {
+            position = boardPosition;
+        } else if (getTaskBoardPosition(t) !== boardPosition) {
+            neighbourUpdates.push({ taskId: t.id, status: getTaskStatus(t), board_position: boardPosition });
+        }
+    });
+
+    return [{ taskId, status, board_position: position }, ...neighbourUpdates];
+}
+
+/**
+ * Applies planned board updates to task records
+ * @param {Array} tasks - Task records
+ * @param {Array<Object>} updates - Updates from planBoardMove
+ * @returns {Array} Task records with the new status, position and completion flag
+ */
+export function applyBoardUpdates(tasks, updates) {
+    const byId = new Map((updates || []).map(update => [update.taskId, update]));
+    return (tasks || []).map(task => {
+        const update = byId.get(task.id);
+        if (!update) return task;
+        const isCompleted = RESOLVED_TASK_STATUSES.includes(update.status);
+        return {
+            ...task,
+            status: update.status,
+            board_position: update.board_position,
+            boardPosition: update.board_position,
+            isCompleted,
+            ...(task.is_completed !== undefined && { is_completed: isCompleted })
+        };
+    });
+}
+
+/**
+ * Persists planned board updates, one task at a time
+ * @param {Array<Object>} updates - Updates from planBoardMove
+ * @returns {Promise<Array>} Updated task records
+ */
+export async function saveBoardUpdates(updates) {
+    const results = [];
+    for (const { taskId, status, board_position } of updates || []) {
+        results.push(await updateTaskWorkflowStatusAPI(taskId, { status, board_position }));
+    }
+    return results;
+}
+
+/**
+ * My Work
+ */
+
+/**
+ * Returns the staff IDs a task is assigned to
+ * assignee_ids wins over assigneeIds because useTask merges saved form data over the processed task
+ *
+ * @param {Object} task - Task record
+ * @returns {Array<string>} Staff IDs
+ */
+export function getTaskAssigneeIds(task) {
+    const ids = task?.assignee_ids !== undefined ? task.assignee_ids : task?.assigneeIds;
+    return Array.isArray(ids) ? ids.filter(Boolean) : [];
+}
+
+/**
+ * Sorts tasks by due date, soonest first
+ * Tasks without a due date follow, then ties break on priority (1 is highest) and age
+ *
+ * @param {Array} tasks - Task records
+ * @returns {Array} Sorted task records
+ */
+export function sortTasksByDueDate(tasks) {
+    return [...(tasks || [])].sort((a, b) => {
+        const dueA = (a.dueDate || a.due_date || '').slice(0, 10);
+        const dueB = (b.dueDate || b.due_date || '').slice(0, 10);
+        if (dueA !== dueB) {
+            if (!dueA) return 1;
+            if (!dueB) return -1;
+            return dueA < dueB ? -1 : 1;
+        }
+        const priorityA = a.priority ?? 3;
+        const priorityB = b.priority ?? 3;
+        if (priorityA !== priorityB) {
+            return priorityA - priorityB;
+        }
+        return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+}
+
+/**
+ * Loads a staff member's open tasks across every customer and project
+ * @param {string} staffId - Logged-in staff member
+ * @param {Date} [today] - Reference date for the overdue flag
+ * @returns {Promise<Array>} Open assigned tasks sorted by due date, each with isOverdue
+ */
+export async function loadMyWork(staffId, today = new Date()) {
+    if (!staffId) {
+        throw new Error('Staff ID is required');
+    }
+
+    console.log('[Task Service] Loading my work for staff:', staffId);
+    const data = await fetchAssignedTasks(staffId);
+
+    // The backend filters already; re-check so stale or legacy records never show up
+    const openTasks = processTaskData(data || [])
+        .filter(task => !isTaskResolved(task) && getTaskAssigneeIds(task).includes(staffId))
+        .map(task => ({ ...task, isOverdue: isTaskOverdue(task, today) }));
+
+    return sortTasksByDueDate(openTasks);
+}
+
+/**
+ * Starts a timer on an assigned task for the logged-in staff member
+ * The task's own staff_id belongs to whoever created it, so the timer is started for staffId instead
+ *
+ * @param {Object} task - Task from loadMyWork
+ * @param {string} staffId - Logged-in staff member
+ * @returns {Promise<Object>} Created timer record, or the running one when it is already on this task
+ * @throws {Error} When a timer is already running on another task
+ */
+export async function startMyWorkTimer(task, staffId) {
+    if (!staffId) {
+        throw new Error('Staff ID is required');
+    }
+
+    const activeTimer = await getActiveTimerAPI(staffId);
+    if (activeTimer) {
+        if (activeTimer.task_id === task?.id) {
+            return activeTimer;
+        }
+        throw new Error('A timer is already running. Stop it before starting another.');
+    }
+
+    return await startNewTaskTimer({ ...task, _staffID: staffId, staff_id: staffId });
 }
 
 /**
@@ -1351,6 +3086,60 @@ export function extractFinancialRecord(stopTimerResponse) {
     return null;
 }
 
+/**
+ * Ensures an approved timesheet entry has its financial record
+ * Uses the record the backend created on approval when present; otherwise creates one via
+ * the create_financial_record RPC, unless the entry is already linked to one.
+ * This is the only place timer and timesheet entries become financial records.
+ *
+ * @param {Object} approvalResult - Result for one entry from the approve endpoint ({ time_entry, financial_record })
+ * @param {string} organizationId - Organization ID for financial record creation
+ * @param {Map} [billedDays] - Day totals shared by the entries approved together; bill them in work order
+ * @returns {Promise<Object|null>} Financial record, or null if the entry is not billable
+ */
+export async function createFinancialRecordForApprovedEntry(approvalResult, organizationId = null, billedDays = null) {
+    const financialRecord = extractFinancialRecord(approvalResult);
+    if (financialRecord) {
+        return financialRecord;
+    }
+
+    const timeEntry = approvalResult?.time_entry;
+    if (!timeEntry?.is_billable) {
+        return null;
+    }
+    if (timeEntry.financial_record_id) {
+        return { id: timeEntry.financial_record_id };
+    }
+
+    const orgId = organizationId || (window.state?.user?.supabaseOrgID);
+    return await createFinancialRecordFromTimeEntry(timeEntry, orgId, billedDays);
+}
+
+/**
+ * Gets the local day a time entry's work was done
+ * @param {Object} timeEntry - Time entry from backend (start_time)
+ * @returns {string} Day in YYYY-MM-DD format, today if the entry has no start time
+ */
+export function getTimeEntryWorkDate(timeEntry) {
+    return formatDate(timeEntry?.start_time ? new Date(timeEntry.start_time) : new Date());
+}
+
+/**
+ * Finds the financial record already billing a time entry
+ * Looks on the entry's work day for a record linked to it through time_entry_id.
+ *
+ * @param {Object} timeEntry - Time entry from backend (id, start_time)
+ * @returns {Promise<Object|null>} Record fields (legacy fieldData), or null if the entry was never billed
+ */
+export async function findFinancialRecordForTimeEntry(timeEntry) {
+    const date = getTimeEntryWorkDate(timeEntry);
+    const records = await fetchRecordsForDateRange(date, date);
+
+    return (records?.response?.data || [])
+        .map(record => record.fieldData)
+        .find(fields => fields.time_entry_id === timeEntry.id) || null;
+}
+
 /**
  * Extracts time entry from stop timer response
  *
@@ -1377,6 +3166,8 @@ export function extractTimeEntry(stopTimerResponse) {
 
 /**
  * Formats financial record for display
+ * When billing rounding was applied, the logged time, billed time and the reasons they differ
+ * are included so the charge can be explained to the customer
  *
  * @param {Object} financialRecord - Financial record from backend
  * @returns {Object} Formatted display data
@@ -1386,15 +3177,26 @@ export function formatFinancialRecordForDisplay(financialRecord) {
         return null;
     }
 
+    const rounding = getFinancialRecordRounding(financialRecord);
+    const hours = financialRecord.hours ?? (rounding ? rounding.billedMinutes / 60 : 0);
+
     return {
         id: financialRecord.id,
         amount: parseFloat(financialRecord.amount || 0).toFixed(2),
-        hours: parseFloat(financialRecord.hours || 0).toFixed(2),
+        hours: parseFloat(hours || 0).toFixed(2),
         rate: parseFloat(financialRecord.rate || 0).toFixed(2),
         date: financialRecord.date,
         description: financialRecord.description,
         status: financialRecord.status || 'unbilled',
-        isBillable: financialRecord.is_billable
+        isBillable: financialRecord.is_billable,
+        ...(rounding && {
+            loggedHours: (rounding.loggedMinutes / 60).toFixed(2),
+            roundingMode: rounding.mode,
+            roundingAdjustments: rounding.adjustments,
+            roundingSummary: rounding.adjustments.length > 0
+                ? `Logged ${formatDuration(rounding.loggedMinutes)}, billed ${formatDuration(rounding.billedMinutes)} (${rounding.adjustments.join('; ')})`
+                : null
+        })
     };
 }
 
@@ -0,0 +1,255 @@
+/**
+ * Timer Journal Service
+ *
+ * Keeps an ordered, localStorage-backed journal of timer events (start, pause,
+ * resume, stop) that could not reach the backend. The journal survives page
+ * reloads so a dropped connection never loses a time entry; taskService replays
+ * it against the tasks API once connectivity returns.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const JOURNAL_STORAGE_KEY = 'timerJournal';
+const ID_MAP_STORAGE_KEY = 'timerJournalIdMap';
+const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * Timer event types recorded in the journal
+ */
+export const TIMER_EVENT_TYPES = {
+    START: 'start',
+    PAUSE: 'pause',
+    RESUME: 'resume',
+    STOP: 'stop'
+};
+
+/**
+ * Journal entry states
+ * - pending: waiting to be replayed
+ * - conflict: replay halted because the server state disagrees with the journal
+ */
+export const JOURNAL_ENTRY_STATUS = {
+    PENDING: 'pending',
+    CONFLICT: 'conflict'
+};
+
+/**
+ * Reads the journal from localStorage
+ * @returns {Array} Journal entries in the order they occurred
+ */
+export function getTimerJournal() {
+    try {
+        const saved = localStorage.getItem(JOURNAL_STORAGE_KEY);
+        const parsed = saved ? JSON.parse(saved) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.warn('[Timer Journal] Failed to read journal, resetting', error);
+        localStorage.removeItem(JOURNAL_STORAGE_KEY);
+        return [];
+    }
+}
+
+/**
+ * Persists the journal to localStorage
+ * @param {Array} entries - Journal entries
+ */
+function saveTimerJournal(entries) {
+    if (entries.length === 0) {
+        localStorage.removeItem(JOURNAL_STORAGE_KEY);
+        return;
+    }
+    localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Appends a timer event to the journal
+ * @param {Object} event - Timer event
+ * @param {string} event.type - One of TIMER_EVENT_TYPES
+ * @param {string} event.entryId - Server time entry ID, or a local ID for timers started offline
+ * @param {string} [event.taskId] - Task ID (required for start events)
+ * @param {string} [event.staffId] - Staff ID (required for start events)
+ * @param {Object} [event.payload] - Extra data for the API call (description, adjustment, ...)
+ * @param {string} [event.occurredAt] - ISO timestamp, defaults to now
+ * @returns {Object} The journal entry that was stored
+ */
+export function appendTimerEvent({ type, entryId, taskId = null, staffId = null, payload = {}, occurredAt = null }) {
+    if (!Object.values(TIMER_EVENT_TYPES).includes(type)) {
+        throw new Error(`Invalid timer event type: ${type}`);
+    }
+    if (!entryId) {
+        throw new Error('Timer entry ID is required to journal an event');
+    }
+
+    const entry = {
+        id: uuidv4(),
+        type,
+        entryId: resolveTimerEntryId(entryId),
+        taskId,
+        staffId,
+        payload,
+        occurredAt: occurredAt || new Date().toISOString(),
+        status: JOURNAL_ENTRY_STATUS.PENDING,
+        conflict: null
+    };
+
+    saveTimerJournal([...getTimerJournal(), entry]);
+    console.log('[Timer Journal] Event journaled:', entry.type, entry.entryId);
+    return entry;
+}
+
+/**
+ * Removes a replayed entry from the journal
+ * @param {string} journalId - Journal entry ID
+ */
+export function removeTimerEvent(journalId) {
+    saveTimerJournal(getTimerJournal().filter(entry => entry.id !== journalId));
+}
+
+/**
+ * Reads the local-to-server timer ID map from localStorage
+ * @returns {Object} Map of local timer ID to server time entry ID
+ */
+function getTimerIdMap() {
+    try {
+        return JSON.parse(localStorage.getItem(ID_MAP_STORAGE_KEY) || '{}');
+    } catch {
+        localStorage.removeItem(ID_MAP_STORAGE_KEY);
+        return {};
+    }
+}
+
+/**
+ * Rewrites a local timer ID to the server ID once the offline start is replayed
+ * The mapping is kept so callers still holding the local ID reach the right timer
+ * @param {string} localId - Local timer ID
+ * @param {string} serverId - Time entry ID assigned by the backend
+ */
+export function remapTimerEntryId(localId, serverId) {
+    localStorage.setItem(ID_MAP_STORAGE_KEY, JSON.stringify({ ...getTimerIdMap(), [localId]: serverId }));
+    saveTimerJournal(getTimerJournal().map(entry => (
+        entry.entryId === localId ? { ...entry, entryId: serverId } : entry
+    )));
+}
+
+/**
+ * Resolves a timer ID to the server ID when it was started offline and has since been replayed
+ * @param {string} entryId - Local or server timer ID
+ * @returns {string} Server ID if known, otherwise the ID unchanged
+ */
+export function resolveTimerEntryId(entryId) {
+    return getTimerIdMap()[entryId] || entryId;
+}
+
+/**
+ * Forgets the local ID mapping for a timer that has been stopped on the server
+ * @param {string} serverId - Time entry ID assigned by the backend
+ */
+export function forgetTimerEntryId(serverId) {
+    const idMap = getTimerIdMap();
+    const remaining = Object.fromEntries(Object.entries(idMap).filter(([, id]) => id !== serverId));
+    if (Object.keys(remaining).length === 0) {
+        localStorage.removeItem(ID_MAP_STORAGE_KEY);
+    } else {
+        localStorage.setItem(ID_MAP_STORAGE_KEY, JSON.stringify(remaining));
+    }
+}
+
+/**
+ * Flags every journaled event for a timer as conflicting with the server
+ * @param {string} entryId - Timer entry ID
+ * @param {Object} conflict - Conflict details (reason, serverTimer)
+ */
+export function markTimerConflict(entryId, conflict) {
+    saveTimerJournal(getTimerJournal().map(entry => (
+        entry.entryId === entryId
+            ? { ...entry, status: JOURNAL_ENTRY_STATUS.CONFLICT, conflict }
+            : entry
+    )));
+}
+
+/**
+ * Returns a conflicting timer's events to the pending state so they are replayed again
+ * @param {string} entryId - Timer entry ID
+ */
+export function clearTimerConflict(entryId) {
+    saveTimerJournal(getTimerJournal().map(entry => (
+        entry.entryId === entryId
+            ? { ...entry, status: JOURNAL_ENTRY_STATUS.PENDING, conflict: null }
+            : entry
+    )));
+}
+
+/**
+ * Drops every journaled event for a timer
+ * @param {string} entryId - Timer entry ID
+ */
+export function discardTimerEvents(entryId) {
+    saveTimerJournal(getTimerJournal().filter(entry => entry.entryId !== entryId));
+}
+
+/**
+ * Checks whether events are waiting to be replayed
+ * For a specific timer, conflicting events count too so that later events queue behind them;
+ * across all timers only pending events count, so one conflict does not hold back other timers
+ * @param {string} [entryId] - Limit the check to one timer
+ * @returns {boolean} True if the journal holds events
+ */
+export function hasPendingTimerEvents(entryId = null) {
+    if (entryId) {
+        const resolvedId = resolveTimerEntryId(entryId);
+        return getTimerJournal().some(entry => entry.entryId === resolvedId);
+    }
+    return getTimerJournal().some(entry => entry.status === JOURNAL_ENTRY_STATUS.PENDING);
+}
+
+/**
+ * Gets journaled events that conflict with the server, grouped per timer
+ * @returns {Array} Conflicts { entryId, reason, serverTimer, events }
+ */
+export function getTimerConflicts() {
+    const conflicts = new Map();
+    getTimerJournal()
+        .filter(entry => entry.status === JOURNAL_ENTRY_STATUS.CONFLICT)
+        .forEach(entry => {
+            if (!conflicts.has(entry.entryId)) {
+                conflicts.set(entry.entryId, {
+                    entryId: entry.entryId,
+                    reason: entry.conflict?.reason,
+                    serverTimer: entry.conflict?.serverTimer || null,
+                    events: []
+                });
+            }
+            conflicts.get(entry.entryId).events.push(entry);
+        });
+    return Array.from(conflicts.values());
+}
+
+/**
+ * Creates an ID for a timer started while offline
+ * @returns {string} Local timer ID
+ */
+export function createLocalTimerId() {
+    return `${LOCAL_ID_PREFIX}${uuidv4()}`;
+}
+
+/**
+ * Checks whether a timer ID was generated locally and not yet known to the server
+ * @param {string} entryId - Timer entry ID
+ * @returns {boolean} True for local IDs
+ */
+export function isLocalTimerId(entryId) {
+    return typeof entryId === 'string' && entryId.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Determines whether an error means the backend could not be reached
+ * Such failures are journaled; anything else is a real error and is surfaced
+ * @param {Error} error - Error thrown by the tasks API
+ * @returns {boolean} True if the operation should be journaled for later replay
+ */
+export function isOfflineError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return true;
+    }
+    return Boolean(error?.isNetworkError);
+}
@@ -0,0 +1,189 @@
+/**
+ * Timer Sync Service
+ *
+ * Keeps every open client in step with the single server-side active timer.
+ * Changes to time entries arrive over a Supabase realtime channel; when realtime
+ * is unavailable the service falls back to polling getActiveTimer. Clients also
+ * refresh when the tab becomes visible again, since browsers throttle background tabs.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getSupabaseClient } from './supabaseService';
+import { getActiveTimer } from '../api/tasks';
+import { hasPendingTimerEvents, isLocalTimerId } from './timerJournalService';
+
+/**
+ * Polling intervals in milliseconds
+ * - FALLBACK: used when realtime is unavailable
+ * - SAFETY_NET: slow poll kept alongside realtime in case an event is missed
+ */
+export const TIMER_SYNC_INTERVALS = {
+    FALLBACK: 15000,
+    SAFETY_NET: 60000
+};
+
+const REFRESH_DEBOUNCE_MS = 500;
+
+// Open subscriptions per staff member, shared by every component that watches the timer
+const sharedSubscriptions = new Map();
+
+/**
+ * Subscribes to the server-side active timer
+ * Subscribers watching the same staff member share one realtime channel and poller;
+ * late subscribers are called straight away with the last known timer.
+ *
+ * @param {Object} options - Subscription options
+ * @param {Function} options.onChange - Called with the server's active timer (or null) after every refresh
+ * @param {string} [options.staffId] - Staff member to watch (defaults to the current user)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToActiveTimer({ onChange, staffId = null }) {
+    if (typeof onChange !== 'function') {
+        throw new Error('onChange callback is required to subscribe to the active timer');
+    }
+
+    const key = staffId || 'current';
+    if (!sharedSubscriptions.has(key)) {
+        const created = { listeners: new Set(), latest: null, close: null };
+        created.close = openActiveTimerSubscription(staffId, (activeTimer) => {
+            created.latest = { activeTimer };
+            created.listeners.forEach(listener => listener(activeTimer));
+        });
+        sharedSubscriptions.set(key, created);
+    }
+
+    const subscription = sharedSubscriptions.get(key);
+    if (subscription.latest) {
+        onChange(subscription.latest.activeTimer);
+    }
+    subscription.listeners.add(onChange);
+
+    let unsubscribed = false;
+    return () => {
+        if (unsubscribed) return;
+        unsubscribed = true;
+        subscription.listeners.delete(onChange);
+        if (subscription.listeners.size === 0) {
+            subscription.close();
+            sharedSubscriptions.delete(key);
+        }
+    };
+}
+
+/**
+ * Opens the realtime channel and poller behind a shared subscription
+ * @param {string|null} staffId - Staff member to watch
+ * @param {Function} onChange - Called with the server's active timer (or null) after every refresh
+ * @returns {Function} Close function
+ */
+function openActiveTimerSubscription(staffId, onChange) {
+    let stopped = false;
+    let pollHandle = null;
+    let debounceHandle = null;
+    let channel = null;
+    let supabase = null;
+
+    const refresh = async () => {
+        if (stopped) return;
+        try {
+            const activeTimer = await getActiveTimer(staffId);
+            if (!stopped) {
+                onChange(activeTimer);
+            }
+        } catch (error) {
+            // An unreachable server says nothing about the timer - keep the local state
+            console.warn('[Timer Sync] Failed to refresh active timer:', error.message);
+        }
+    };
+
+    const scheduleRefresh = () => {
+        clearTimeout(debounceHandle);
+        debounceHandle = setTimeout(refresh, REFRESH_DEBOUNCE_MS);
+    };
+
+    const startPolling = (intervalMs) => {
+        clearInterval(pollHandle);
+        pollHandle = setInterval(refresh, intervalMs);
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.visibilityState === 'visible') {
+            refresh();
+        }
+    };
+
+    try {
+        supabase = getSupabaseClient();
+        channel = supabase
+            .channel(`active-timer-${uuidv4()}`)
+            .on(
+                'postgres_changes',
+                {
+                    event: '*',
+                    schema: 'public',
+                    table: 'time_entries',
+                    ...(staffId ? { filter: `staff_id=eq.${staffId}` } : {})
+                },
+                scheduleRefresh
+            )
+            .subscribe((status) => {
+                if (status === 'SUBSCRIBED') {
+                    console.log('[Timer Sync] Realtime subscription active');
+                    startPolling(TIMER_SYNC_INTERVALS.SAFETY_NET);
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+                    console.warn('[Timer Sync] Realtime unavailable, polling instead:', status);
+                    startPolling(TIMER_SYNC_INTERVALS.FALLBACK);
+                }
+            });
+    } catch (error) {
+        console.warn('[Timer Sync] Could not open realtime channel, polling instead:', error);
+        channel = null;
+    }
+
+    // Poll until realtime confirms the subscription
+    startPolling(TIMER_SYNC_INTERVALS.FALLBACK);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    refresh();
+
+    return () => {
+        stopped = true;
+        clearInterval(pollHandle);
+        clearTimeout(debounceHandle);
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        if (channel && supabase) {
+            supabase.removeChannel(channel);
+        }
+    };
+}
+
+/**
+ * Decides how a client's local timer should change to match the server's active timer
+ * Timers with journaled offline events are left alone - the journal replay owns them.
+ *
+ * @param {Object} localTimer - Client timer state (see useTask)
+ * @param {Object|null} serverTimer - Active timer from getActiveTimer
+ * @returns {Object} { action: 'none'|'adopt'|'update'|'clear', serverTimer }
+ */
+export function reconcileActiveTimer(localTimer, serverTimer) {
+    const localId = localTimer?.id || localTimer?.recordId || null;
+
+    if (localTimer?.isOffline || isLocalTimerId(localId) || hasPendingTimerEvents()) {
+        return { action: 'none', serverTimer };
+    }
+
+    if (!serverTimer) {
+        return { action: localId ? 'clear' : 'none', serverTimer: null };
+    }
+
+    if (serverTimer.id !== localId) {
+        return { action: 'adopt', serverTimer };
+    }
+
+    const serverPause = serverTimer.pause_duration_seconds || 0;
+    const localPause = localTimer.pause_duration_seconds || 0;
+    if ((serverTimer.status || 'active') !== (localTimer.status || 'active') || serverPause !== localPause) {
+        return { action: 'update', serverTimer };
+    }
+
+    return { action: 'none', serverTimer };
+}
@@ -0,0 +1,536 @@
+/**
+ * Timesheet Service
+ *
+ * Weekly timesheets built from time entries: a staff × day × task grid with manual
+ * entries, copy-last-week and a submit → approve/reject workflow. Entries only become
+ * billable financial records once a manager approves the week.
+ */
+
+import {
+    fetchTaskTimers,
+    createTimeEntry,
+    updateTimeEntry,
+    deleteTimeEntry,
+    reviewTimeEntries
+} from '../api/tasks';
+import {
+    processTimerRecords,
+    isValidTimerAdjustment,
+    createFinancialRecordForApprovedEntry,
+    findFinancialRecordForTimeEntry
+} from './taskService';
+
+/**
+ * Timesheet approval states
+ */
+export const TIMESHEET_STATUS = {
+    DRAFT: 'draft',
+    SUBMITTED: 'submitted',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Allowed approval state transitions
+ * Rejected weeks go back to the staff member to fix and resubmit; approval is final.
+ */
+export const TIMESHEET_TRANSITIONS = {
+    [TIMESHEET_STATUS.DRAFT]: [TIMESHEET_STATUS.SUBMITTED],
+    [TIMESHEET_STATUS.SUBMITTED]: [TIMESHEET_STATUS.APPROVED, TIMESHEET_STATUS.REJECTED],
+    [TIMESHEET_STATUS.REJECTED]: [TIMESHEET_STATUS.SUBMITTED],
+    [TIMESHEET_STATUS.APPROVED]: []
+};
+
+/**
+ * Source recorded on time entries entered through the timesheet rather than a timer
+ */
+export const TIMESHEET_ENTRY_SOURCE = 'timesheet';
+
+const MANUAL_ENTRY_START_HOUR = 9;
+const MAX_HOURS_PER_DAY = 24;
+
+/**
+ * Checks whether a timesheet may move from one approval state to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransitionTimesheet(from, to) {
+    return (TIMESHEET_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Checks whether entries in a timesheet with this status can still be changed
+ * @param {string} status - Timesheet status
+ * @returns {boolean} True for draft and rejected timesheets
+ */
+export function isTimesheetEditable(status) {
+    return status === TIMESHEET_STATUS.DRAFT || status === TIMESHEET_STATUS.REJECTED;
+}
+
+/**
+ * Checks whether a user may approve or reject timesheets
+ * @param {Object} user - Current user from app state
+ * @returns {boolean} True for organization admins and owners
+ */
+export function canReviewTimesheets(user) {
+    return user?.role === 'admin' || user?.role === 'owner';
+}
+
+/**
+ * Gets the Monday starting the week that contains a date
+ * @param {Date|string} [date=new Date()] - Any date in the week
+ * @returns {Date} Monday at local midnight
+ */
+export function getWeekStart(date = new Date()) {
+    const weekStart = new Date(date);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+    weekStart.setHours(0, 0, 0, 0);
+    return weekStart;
+}
+
+/**
+ * Shifts a date by a number of days
+ * @param {Date} date - Date to shift
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+    const shifted = new Date(date);
+    shifted.setDate(shifted.getDate() + days);
+    return shifted;
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date key
+ */
+export function toDateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Lists the days of a week
+ * @param {Date} weekStart - Monday of the week
+ * @returns {Array<string>} Seven YYYY-MM-DD keys, Monday first
+ */
+export function getWeekDays(weekStart) {
+    return Array.from({ length: 7 }, (_, i) => toDateKey(addDays(weekStart, i)));
+}
+
+/**
+ * Rounds hours to the timesheet's 0.1 hour resolution
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+function roundHours(hours) {
+    return Math.round(hours * 10) / 10;
+}
+
+/**
+ * Loads the completed time entries of a week for a set of tasks
+ * @param {Array} tasks - Tasks to load entries for
+ * @param {Date} weekStart - Monday of the week
+ * @param {string} [staffId] - Limit to one staff member
+ * @returns {Promise<Array>} Entries as returned by processTimerRecords, each with taskId set
+ */
+export async function fetchWeekEntries(tasks, weekStart, staffId = null) {
+    const days = getWeekDays(weekStart);
+    const filters = {
+        start_date: days[0],
+        end_date: days[6],
+        ...(staffId ? { staff_id: staffId } : {})
+    };
+
+    const entriesPerTask = await Promise.all((tasks || []).map(async task => {
+        const records = await fetchTaskTimers(task.id, filters);
+        return processTimerRecords(records || []).map(entry => ({
+            ...entry,
+            taskId: entry.taskId || task.id
+        }));
+    }));
+
+    // Running timers have no duration yet - they appear once stopped
+    return entriesPerTask
+        .flat()
+        .filter(entry => entry.startTime && entry.endTime && days.includes(toDateKey(entry.startTime)));
+}
+
+/**
+ * Derives a timesheet's approval status from its entries
+ * Any rejected entry sends the week back; the week is only approved once every entry is.
+ *
+ * @param {Array} entries - Entries in the timesheet
+ * @returns {string} One of TIMESHEET_STATUS
+ */
+export function getTimesheetStatus(entries) {
+    if (!entries?.length) {
+        return TIMESHEET_STATUS.DRAFT;
+    }
+
+    const statuses = entries.map(entry => entry.approvalStatus || TIMESHEET_STATUS.DRAFT);
+    if (statuses.includes(TIMESHEET_STATUS.REJECTED)) {
+        return TIMESHEET_STATUS.REJECTED;
+    }
+    if (statuses.includes(TIMESHEET_STATUS.DRAFT)) {
+        return TIMESHEET_STATUS.DRAFT;
+    }
+    if (statuses.every(status => status === TIMESHEET_STATUS.APPROVED)) {
+        return TIMESHEET_STATUS.APPROVED;
+    }
+    return TIMESHEET_STATUS.SUBMITTED;
+}
+
+/**
+ * Builds the weekly grid, one timesheet per staff member with a row per task
+ * @param {Array} entries - Entries from fetchWeekEntries
+ * @param {Array} tasks - Tasks the entries belong to
+ * @param {Date} weekStart - Monday of the week
+ * @param {Object} [options] - Grid options
+ * @param {Array<string>} [options.staffIds] - Staff who get a timesheet even without entries,
+ *   with a row for every open task so they can enter time
+ * @returns {Object} { days, sheets: [{ staffId, status, rows, dayTotals, total, entries }] }
+ */
+export function buildTimesheetGrid(entries, tasks, weekStart, { staffIds = [] } = {}) {
+    const days = getWeekDays(weekStart);
+    const tasksById = new Map((tasks || []).map(task => [task.id, task]));
+    const sheets = new Map();
+
+    const getSheet = (staffId) => {
+        if (!sheets.has(staffId)) {
+            sheets.set(staffId, { staffId, rows: new Map(), entries: [] });
+        }
+        return sheets.get(staffId);
+    };
+
+    const getRow = (sheet, task) => {
+        if (!sheet.rows.has(task.id)) {
+            sheet.rows.set(task.id, {
+                task,
+                cells: Object.fromEntries(days.map(day => [day, { hours: 0, entries: [] }]))
+            });
+        }
+        return sheet.rows.get(task.id);
+    };
+
+    staffIds.filter(Boolean).forEach(staffId => {
+        const sheet = getSheet(staffId);
+        (tasks || []).filter(task => !task.isCompleted).forEach(task => getRow(sheet, task));
+    });
+
+    (entries || []).forEach(entry => {
+        const task = tasksById.get(entry.taskId) || { id: entry.taskId, task: 'Unknown task' };
+        const sheet = getSheet(entry.staffId);
+        const cell = getRow(sheet, task).cells[toDateKey(entry.startTime)];
+        if (!cell) return;
+
+        cell.entries.push(entry);
+        cell.hours = roundHours(cell.hours + (entry.duration || 0));
+        sheet.entries.push(entry);
+    });
+
+    return {
+        days,
+        sheets: Array.from(sheets.values()).map(sheet => {
+            const rows = Array.from(sheet.rows.values()).map(row => ({
+                ...row,
+                total: roundHours(days.reduce((sum, day) => sum + row.cells[day].hours, 0))
+            }));
+            const dayTotals = Object.fromEntries(days.map(day => [
+                day,
+                roundHours(rows.reduce((sum, row) => sum + row.cells[day].hours, 0))
+            ]));
+
+            return {
+                staffId: sheet.staffId,
+                status: getTimesheetStatus(sheet.entries),
+                rows,
+                dayTotals,
+                total: roundHours(rows.reduce((sum, row) => sum + row.total, 0)),
+                entries: sheet.entries
+            };
+        })
+    };
+}
+
+/**
+ * Validates hours entered in a timesheet cell
+ * Business rule: time is recorded in 6-minute (0.1 hour) increments, as with timer adjustments
+ *
+ * @param {number} hours - Hours for one task on one day
+ * @throws {Error} If the hours are invalid
+ */
+export function validateTimesheetHours(hours) {
+    if (typeof hours !== 'number' || isNaN(hours) || hours < 0) {
+        throw new Error('Hours must be a positive number');
+    }
+    if (hours > MAX_HOURS_PER_DAY) {
+        throw new Error(`Hours cannot exceed ${MAX_HOURS_PER_DAY} per day`);
+    }
+    if (!isValidTimerAdjustment(Math.round(hours * 600) / 10)) {
+        throw new Error('Hours must be in 0.1 hour (6-minute) increments');
+    }
+}
+
+/**
+ * Builds the request body for a manual timesheet entry
+ * Manual entries start at 9:00 local time on their day
+ *
+ * @param {Object} task - Task the time is for
+ * @param {string} staffId - Staff member
+ * @param {string} date - YYYY-MM-DD day
+ * @param {number} minutes - Duration in minutes
+ * @param {string} [description] - Work description
+ * @returns {Object} Time entry data for createTimeEntry/updateTimeEntry
+ */
+function buildManualEntry(task, staffId, date, minutes, description = '') {
+    const start = new Date(`${date}T00:00:00`);
+    start.setHours(MANUAL_ENTRY_START_HOUR);
+    const end = new Date(start.getTime() + minutes * 60 * 1000);
+
+    return {
+        task_id: task.id,
+        staff_id: staffId,
+        project_id: task._projectID || task.project_id || null,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        duration_minutes: minutes,
+        description,
+        source: TIMESHEET_ENTRY_SOURCE,
+        approval_status: TIMESHEET_STATUS.DRAFT
+    };
+}
+
+/**
+ * Sets the hours for one task on one day
+ * Time tracked with a timer is left alone; the difference is kept in a single manual entry,
+ * which is created, resized or removed as needed.
+ *
+ * @param {Object} params - Cell parameters
+ * @param {Object} params.task - Task of the row
+ * @param {string} params.staffId - Staff member of the timesheet
+ * @param {string} params.date - YYYY-MM-DD day of the column
+ * @param {number} params.hours - New total hours for the cell
+ * @param {Array} [params.entries] - Entries currently in the cell
+ * @param {string} [params.description] - Description for the manual entry
+ * @returns {Promise<Object|null>} Saved manual entry, or null if none is needed
+ * @throws {Error} If the hours are invalid or the cell can no longer be edited
+ */
+export async function saveTimesheetCell({ task, staffId, date, hours, entries = [], description = '' }) {
+    if (!task?.id || !staffId || !date) {
+        throw new Error('Task, staff and date are required');
+    }
+    validateTimesheetHours(hours);
+
+    if (entries.some(entry => !isTimesheetEditable(entry.approvalStatus || TIMESHEET_STATUS.DRAFT))) {
+        throw new Error('Time that has been submitted or approved cannot be changed');
+    }
+
+    const manualEntries = entries.filter(entry => entry.source === TIMESHEET_ENTRY_SOURCE);
+    const trackedHours = roundHours(entries
+        .filter(entry => entry.source !== TIMESHEET_ENTRY_SOURCE)
+        .reduce((sum, entry) => sum + (entry.duration || 0), 0));
+
+    if (hours < trackedHours) {
+        throw new Error(`This day already has ${trackedHours} hours tracked with the timer`);
+    }
+
+    const minutes = Math.round((hours - trackedHours) * 60);
+    const [manualEntry, ...extraEntries] = manualEntries;
+
+    await Promise.all(extraEntries.map(entry => deleteTimeEntry(entry.id)));
+
+    if (minutes === 0) {
+        if (manualEntry) {
+            await deleteTimeEntry(manualEntry.id);
+        }
+        return null;
+    }
+
+    const data = buildManualEntry(task, staffId, date, minutes, description || manualEntry?.description || '');
+    return manualEntry
+        ? await updateTimeEntry(manualEntry.id, data)
+        : await createTimeEntry(data);
+}
+
+/**
+ * Copies the previous week's time into this week as manual entries
+ * Days that already have time for a task are skipped, so copying twice does not double up.
+ *
+ * @param {Array} tasks - Tasks on the timesheet
+ * @param {Date} weekStart - Monday of the week to copy into
+ * @param {string} staffId - Staff member whose timesheet is copied
+ * @returns {Promise<number>} Number of entries created
+ */
+export async function copyLastWeek(tasks, weekStart, staffId) {
+    if (!staffId) {
+        throw new Error('Staff ID is required to copy a timesheet');
+    }
+
+    const previousWeekStart = addDays(weekStart, -7);
+    const [previousEntries, currentEntries] = await Promise.all([
+        fetchWeekEntries(tasks, previousWeekStart, staffId),
+        fetchWeekEntries(tasks, weekStart, staffId)
+    ]);
+
+    const occupied = new Set(currentEntries.map(entry => `${entry.taskId}|${toDateKey(entry.startTime)}`));
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const cells = new Map();
+
+    previousEntries.forEach(entry => {
+        const date = toDateKey(addDays(entry.startTime, 7));
+        const key = `${entry.taskId}|${date}`;
+        if (occupied.has(key) || !tasksById.has(entry.taskId)) return;
+
+        const cell = cells.get(key) || { task: tasksById.get(entry.taskId), date, hours: 0, description: entry.description };
+        cell.hours += entry.duration || 0;
+        cells.set(key, cell);
+    });
+
+    const toCreate = Array.from(cells.values())
+        .map(cell => ({ ...cell, minutes: Math.round(roundHours(cell.hours) * 60) }))
+        .filter(cell => cell.minutes > 0);
+
+    await Promise.all(toCreate.map(cell => createTimeEntry(
+        buildManualEntry(cell.task, staffId, cell.date, cell.minutes, cell.description)
+    )));
+
+    console.log('[Timesheet Service] Copied last week:', toCreate.length, 'entries');
+    return toCreate.length;
+}
+
+/**
+ * Checks a timesheet may move to a new approval state and collects its entry IDs
+ * @param {Array} entries - Entries in the timesheet
+ * @param {string} to - Requested status
+ * @returns {Array<string>} Entry IDs to send
+ * @throws {Error} If the timesheet is empty or the transition is not allowed
+ */
+function getTransitionEntryIds(entries, to) {
+    if (!entries?.length) {
+        throw new Error('This timesheet has no time entries');
+    }
+
+    const from = getTimesheetStatus(entries);
+    if (!canTransitionTimesheet(from, to)) {
+        throw new Error(`A ${from} timesheet cannot be ${to}`);
+    }
+    return entries.map(entry => entry.id);
+}
+
+/**
+ * Submits a week of time for approval
+ * @param {Array} entries - Entries in the timesheet
+ * @returns {Promise<Array>} Updated entries
+ */
+export async function submitTimesheet(entries) {
+    const entryIds = getTransitionEntryIds(entries, TIMESHEET_STATUS.SUBMITTED);
+    return await reviewTimeEntries('submit', entryIds);
+}
+
+/**
+ * Approves a submitted week and creates financial records for its billable entries
+ * A failed financial record does not undo the approval; it is reported in failures and can be
+ * created later with createMissingFinancialRecords.
+ *
+ * @param {Array} entries - Entries in the timesheet
+ * @param {string} [organizationId] - Organization ID for financial record creation
+ * @returns {Promise<Object>} { results, financialRecords, failures }
+ */
+export async function approveTimesheet(entries, organizationId = null) {
+    const entryIds = getTransitionEntryIds(entries, TIMESHEET_STATUS.APPROVED);
+    const results = await reviewTimeEntries('approve', entryIds) || [];
+
+    // Bill in the order the work was done, with daily minimums applied per work day
+    const billedDays = new Map();
+    const byWorkTime = [...results].sort((a, b) =>
+        new Date(a?.time_entry?.start_time || 0) - new Date(b?.time_entry?.start_time || 0)
+    );
+
+    const financialRecords = [];
+    const failures = [];
+    for (const result of byWorkTime) {
+        try {
+            const financialRecord = await createFinancialRecordForApprovedEntry(result, organizationId, billedDays);
+            if (financialRecord) {
+                financialRecords.push(financialRecord);
+            }
+        } catch (error) {
+            console.error('[Timesheet Service] Failed to create financial record:', error);
+            failures.push({ entryId: result?.time_entry?.id, error: error.message });
+        }
+    }
+
+    return { results, financialRecords, failures };
+}
+
+/**
+ * Lists approved billable entries that are not linked to a financial record
+ * @param {Array} entries - Entries in the timesheet
+ * @returns {Array} Entries that may still need a financial record
+ */
+export function getUnbilledApprovedEntries(entries) {
+    return (entries || []).filter(entry =>
+        entry.approvalStatus === TIMESHEET_STATUS.APPROVED && entry.isBillable && !entry.financialRecordId
+    );
+}
+
+/**
+ * Creates the financial records that approval failed to create
+ * Approval is final, so this is the only way to bill those entries afterwards. Entries are billed
+ * in the order the work was done, and entries that already have a record are skipped, so it
+ * is safe to run more than once.
+ *
+ * @param {Array} entries - Entries in the timesheet
+ * @param {string} [organizationId] - Organization ID for financial record creation
+ * @returns {Promise<Object>} { financialRecords, failures }
+ */
+export async function createMissingFinancialRecords(entries, organizationId = null) {
+    const unbilled = getUnbilledApprovedEntries(entries)
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    const billedDays = new Map();
+    const financialRecords = [];
+    const failures = [];
+    for (const entry of unbilled) {
+        const timeEntry = {
+            id: entry.id,
+            customer_id: entry.customerId,
+            project_id: entry.projectId,
+            start_time: new Date(entry.startTime).toISOString(),
+            duration_minutes: Math.round((entry.duration || 0) * 60),
+            hourly_rate: entry.hourlyRate,
+            is_billable: entry.isBillable
+        };
+        try {
+            if (await findFinancialRecordForTimeEntry(timeEntry)) {
+                continue;
+            }
+            const financialRecord = await createFinancialRecordForApprovedEntry({ time_entry: timeEntry }, organizationId, billedDays);
+            if (financialRecord) {
+                financialRecords.push(financialRecord);
+            }
+        } catch (error) {
+            console.error('[Timesheet Service] Failed to create missing financial record:', error);
+            failures.push({ entryId: entry.id, error: error.message });
+        }
+    }
+
+    return { financialRecords, failures };
+}
+
+/**
+ * Rejects a submitted week, sending it back to the staff member
+ * @param {Array} entries - Entries in the timesheet
+ * @param {string} reason - Why the timesheet was rejected
+ * @returns {Promise<Array>} Updated entries
+ */
+export async function rejectTimesheet(entries, reason) {
+    if (!reason?.trim()) {
+        throw new Error('A reason is required to reject a timesheet');
+    }
+    const entryIds = getTransitionEntryIds(entries, TIMESHEET_STATUS.REJECTED);
+    return await reviewTimeEntries('reject', entryIds, { reason: reason.trim() });
+}
@@ -1,5 +1,10 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import * as proposalsAPI from '../../api/proposals'
+import {
+  validateSignature,
+  buildSignatureRecord,
+  completeSignatureCertificate
+} from '../../services/proposalSignatureService'
 
 const normalizeProposal = (proposal) => {
   if (!proposal) return proposal
@@ -35,19 +40,48 @@ export const fetchProposalByToken = createAsyncThunk(
 
 export const approveProposal = createAsyncThunk(
   'proposalViewer/approve',
-  async ({ selectedDeliverables, customerName, customerEmail }, { rejectWithValue }) => {
+  async ({ selectedDeliverables, signature }, { getState, rejectWithValue }) => {
     try {
+      const signatureErrors = validateSignature(signature)
+      if (signatureErrors.length > 0) {
+        return rejectWithValue(signatureErrors.join(', '))
+      }
+
+      const { proposal, totalPrice } = getState().proposalViewer
+      const record = buildSignatureRecord({
+        proposal,
+        deliverables: proposal.deliverables.filter(d => selectedDeliverables.includes(d.id)),
+        totalPrice,
+        signature
+      })
+
       const result = await proposalsAPI.acceptPublicProposal({
         selectedDeliverables,
-        customerName,
-        customerEmail,
+        customerName: record.signer.name,
+        customerEmail: record.signer.email,
         depositPercent: 50,
-        currency: 'cad'
+        currency: 'cad',
+        signature: record
       })
       if (!result.success) {
         return rejectWithValue(result.error)
       }
-      return result.data
+
+      // The proposal is accepted at this point, so certificate problems don't fail the approval
+      let certificate
+      try {
+        const { dataHash, verified, emailed, errors } = await completeSignatureCertificate({
+          proposal,
+          record,
+          acceptance: result.data
+        })
+        certificate = { dataHash, verified, emailed, errors }
+      } catch (certificateError) {
+        console.error('[ProposalViewer] Signature certificate error:', certificateError)
+        certificate = { dataHash: null, verified: false, emailed: {}, errors: [certificateError.message] }
+      }
+
+      return { ...result.data, certificate }
     } catch (error) {
       return rejectWithValue(error.message || 'Failed to approve proposal')
     }
@@ -72,7 +106,8 @@ const proposalViewerSlice = createSlice({
     // Error states
     error: null,
     approvalError: null,
-    checkoutUrl: null
+    checkoutUrl: null,
+    signatureCertificate: null
   },
   reducers: {
     clearError: (state) => {
@@ -111,6 +146,7 @@ const proposalViewerSlice = createSlice({
       state.error = null
       state.approvalError = null
       state.checkoutUrl = null
+      state.signatureCertificate = null
     }
   },
   extraReducers: (builder) => {
@@ -147,6 +183,7 @@ const proposalViewerSlice = createSlice({
       .addCase(approveProposal.fulfilled, (state, action) => {
         state.approving = false
         state.checkoutUrl = action.payload.checkout_url || null
+        state.signatureCertificate = action.payload.certificate || null
         if (action.payload.selected_proposal) {
           state.proposal = normalizeProposal(action.payload.selected_proposal)
         }
@@ -170,6 +207,7 @@ export const selectViewerApproving = (state) => state.proposalViewer.approving
 export const selectViewerError = (state) => state.proposalViewer.error
 export const selectApprovalError = (state) => state.proposalViewer.approvalError
 export const selectCheckoutUrl = (state) => state.proposalViewer.checkoutUrl
+export const selectSignatureCertificate = (state) => state.proposalViewer.signatureCertificate
 
 // Reducer
 export default proposalViewerSlice.reducer
@@ -0,0 +1,25 @@
+/**
+ * Tests for Money Utilities
+ */
+
+import { roundAmount } from '../moneyUtils';
+
+describe('Money Utilities', () => {
+  describe('roundAmount', () => {
+    it('should round to 2 decimal places', () => {
+      expect(roundAmount(10.005)).toBe(10.01);
+      expect(roundAmount(0.1 + 0.2)).toBe(0.3);
+      expect(roundAmount(-4.444)).toBe(-4.44);
+    });
+
+    it('should accept numeric strings', () => {
+      expect(roundAmount('125.499')).toBe(125.5);
+    });
+
+    it('should treat missing or non-numeric values as 0', () => {
+      expect(roundAmount(undefined)).toBe(0);
+      expect(roundAmount(null)).toBe(0);
+      expect(roundAmount('n/a')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Tests for QuickBooks Utilities
+ */
+
+import { assertNoFault } from '../quickbooksUtils';
+
+describe('QuickBooks Utilities', () => {
+  describe('assertNoFault', () => {
+    it('should accept a response without a fault', () => {
+      expect(() => assertNoFault({ Invoice: { Id: '1' } }, 'create invoice')).not.toThrow();
+    });
+
+    it('should throw with the fault detail', () => {
+      const result = { Fault: { Error: [{ Message: 'Stale object', Detail: 'SyncToken is out of date' }] } };
+
+      expect(() => assertNoFault(result, 'update invoice'))
+        .toThrow('Failed to update invoice in QuickBooks: SyncToken is out of date');
+    });
+
+    it('should fall back to the fault message, then a generic error', () => {
+      expect(() => assertNoFault({ Fault: { Error: [{ Message: 'Stale object' }] } }, 'update invoice'))
+        .toThrow('Failed to update invoice in QuickBooks: Stale object');
+      expect(() => assertNoFault({ Fault: {} }, 'update invoice'))
+        .toThrow('Failed to update invoice in QuickBooks: Unknown error');
+    });
+  });
+});
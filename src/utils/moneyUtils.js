@@ -0,0 +1,14 @@
+/**
+ * Money utility functions
+ * Handles rounding of amounts and quantities shared by the invoicing and billing services
+ */
+
+/**
+ * Rounds a money or quantity value to 2 decimal places
+ * Missing or non-numeric values round to 0.
+ * @param {number|string} value - Value to round
+ * @returns {number} - Rounded value
+ */
+export function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
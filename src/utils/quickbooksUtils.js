@@ -0,0 +1,17 @@
+/**
+ * QuickBooks utility functions
+ * Handles checking QuickBooks Online API responses
+ */
+
+/**
+ * Throws when a QuickBooks response is a fault
+ * @param {Object} result - QuickBooks response
+ * @param {string} action - What was being done, for the error message
+ * @throws {Error} - "Failed to <action> in QuickBooks: <detail>" when the response has a Fault
+ */
+export function assertNoFault(result, action) {
+  if (result?.Fault) {
+    const errorMessage = result.Fault.Error?.[0]?.Detail || result.Fault.Error?.[0]?.Message || 'Unknown error';
+    throw new Error(`Failed to ${action} in QuickBooks: ${errorMessage}`);
+  }
+}
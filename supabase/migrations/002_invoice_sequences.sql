@@ -0,0 +1,137 @@
+-- ============================================================================
+-- Invoice Sequence Reservations
+-- ============================================================================
+-- This migration adds:
+-- 1. invoice_sequences table (one counter per organization and sequence scope)
+-- 2. invoice_sequence_reservations table (every number handed out, and its state)
+-- 3. Functions to reserve, confirm and release invoice sequence numbers atomically
+--
+-- A sequence scope is the set of invoices sharing a sequence, e.g. one customer in
+-- one month for the default {qboCustomerId}{YY}{MM}{NNN} invoice number format.
+-- The scope key is built by the app (see invoiceSequenceService.js).
+-- ============================================================================
+
+-- ============================================================================
+-- 1. INVOICE SEQUENCES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  organization_id UUID NOT NULL,
+  scope_key TEXT NOT NULL,
+  last_sequence INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (organization_id, scope_key)
+);
+
+ALTER TABLE invoice_sequences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage invoice sequences" ON invoice_sequences
+  FOR ALL USING (auth.role() = 'authenticated');
+
+-- ============================================================================
+-- 2. INVOICE SEQUENCE RESERVATIONS TABLE
+-- ============================================================================
+-- reserved: handed out, invoice not yet created (e.g. the draft is in review)
+-- used:     the number is on an invoice in QuickBooks
+-- released: the number was given back and will be handed out again first
+
+CREATE TABLE IF NOT EXISTS invoice_sequence_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  scope_key TEXT NOT NULL,
+  sequence_number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'used', 'released')),
+  doc_number TEXT,
+  qbo_invoice_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT invoice_sequence_reservations_number_key UNIQUE (organization_id, scope_key, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_sequence_reservations_released
+  ON invoice_sequence_reservations(organization_id, scope_key, sequence_number)
+  WHERE status = 'released';
+
+ALTER TABLE invoice_sequence_reservations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage invoice sequence reservations" ON invoice_sequence_reservations
+  FOR ALL USING (auth.role() = 'authenticated');
+
+-- ============================================================================
+-- 3. FUNCTIONS
+-- ============================================================================
+
+-- Reserves the next number in a scope. Reservations in the same scope are
+-- serialized on the counter row, so concurrent callers never get the same number.
+-- Released numbers are handed out again (lowest first) before the counter moves.
+CREATE OR REPLACE FUNCTION reserve_invoice_sequence(p_organization_id UUID, p_scope_key TEXT)
+RETURNS TABLE (reservation_id UUID, reserved_sequence INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reservation_id UUID;
+  v_sequence INTEGER;
+BEGIN
+  INSERT INTO invoice_sequences (organization_id, scope_key)
+  VALUES (p_organization_id, p_scope_key)
+  ON CONFLICT (organization_id, scope_key) DO NOTHING;
+
+  PERFORM 1 FROM invoice_sequences
+  WHERE organization_id = p_organization_id AND scope_key = p_scope_key
+  FOR UPDATE;
+
+  UPDATE invoice_sequence_reservations
+  SET status = 'reserved', doc_number = NULL, qbo_invoice_id = NULL, updated_at = NOW()
+  WHERE id = (
+    SELECT id FROM invoice_sequence_reservations
+    WHERE organization_id = p_organization_id
+      AND scope_key = p_scope_key
+      AND status = 'released'
+    ORDER BY sequence_number
+    LIMIT 1
+  )
+  RETURNING id, sequence_number INTO v_reservation_id, v_sequence;
+
+  IF v_reservation_id IS NULL THEN
+    UPDATE invoice_sequences
+    SET last_sequence = last_sequence + 1, updated_at = NOW()
+    WHERE organization_id = p_organization_id AND scope_key = p_scope_key
+    RETURNING last_sequence INTO v_sequence;
+
+    INSERT INTO invoice_sequence_reservations (organization_id, scope_key, sequence_number)
+    VALUES (p_organization_id, p_scope_key, v_sequence)
+    RETURNING id INTO v_reservation_id;
+  END IF;
+
+  RETURN QUERY SELECT v_reservation_id, v_sequence;
+END;
+$$;
+
+-- Marks a reserved number as used by a QuickBooks invoice
+CREATE OR REPLACE FUNCTION confirm_invoice_sequence(
+  p_reservation_id UUID,
+  p_doc_number TEXT,
+  p_qbo_invoice_id TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE invoice_sequence_reservations
+  SET status = 'used', doc_number = p_doc_number, qbo_invoice_id = p_qbo_invoice_id, updated_at = NOW()
+  WHERE id = p_reservation_id;
+$$;
+
+-- Gives a reserved number back so the next reservation in its scope reuses it
+CREATE OR REPLACE FUNCTION release_invoice_sequence(p_reservation_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE invoice_sequence_reservations
+  SET status = 'released', updated_at = NOW()
+  WHERE id = p_reservation_id AND status = 'reserved';
+$$;
+
+COMMENT ON TABLE invoice_sequences IS 'Last invoice sequence number handed out per organization and sequence scope';
+COMMENT ON TABLE invoice_sequence_reservations IS 'Invoice sequence numbers handed out, with whether they were used or released';
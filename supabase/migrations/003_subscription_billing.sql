@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Subscription Billing Runs
+-- ============================================================================
+-- This migration adds:
+-- 1. subscription_billing_entries table (one row per subscription project and
+--    billing period that a billing run has charged)
+--
+-- The unique constraint on (organization_id, project_id, billing_period) is what
+-- makes billing runs idempotent: a run claims a project's period by inserting its
+-- row first, so re-running a month (or two runs at once) never bills it twice.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. SUBSCRIPTION BILLING ENTRIES TABLE
+-- ============================================================================
+-- pending:       claimed by a run, sales not yet created
+-- sales_created: sales created, QuickBooks invoice not created yet
+-- invoiced:      sales invoiced in QuickBooks
+
+CREATE TABLE IF NOT EXISTS subscription_billing_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  project_id UUID NOT NULL,
+  customer_id UUID,
+  billing_period TEXT NOT NULL CHECK (billing_period ~ '^[0-9]{4}-[0-9]{2}$'),
+  amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  billed_days INTEGER,
+  period_days INTEGER,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sales_created', 'invoiced')),
+  sale_ids UUID[] DEFAULT '{}',
+  doc_number TEXT,
+  qbo_invoice_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT subscription_billing_entries_period_key UNIQUE (organization_id, project_id, billing_period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_billing_entries_period
+  ON subscription_billing_entries(organization_id, billing_period);
+
+ALTER TABLE subscription_billing_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage subscription billing entries" ON subscription_billing_entries
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE subscription_billing_entries IS 'Subscription project periods charged by billing runs, one row per project and month';
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- Sales Payment Status
+-- ============================================================================
+-- This migration adds:
+-- 1. payment_status and paid_at columns on customer_sales
+--
+-- inv_id records which QuickBooks invoice billed a sale; payment_status records
+-- whether that invoice has been paid. It is kept up to date from QuickBooks
+-- Payment and Invoice webhook events (see paymentSyncService.js).
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CUSTOMER SALES PAYMENT COLUMNS
+-- ============================================================================
+
+ALTER TABLE customer_sales
+  ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'unpaid'
+    CHECK (payment_status IN ('unpaid', 'partially_paid', 'paid')),
+  ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_customer_sales_inv_id
+  ON customer_sales(inv_id)
+  WHERE inv_id IS NOT NULL;
+
+COMMENT ON COLUMN customer_sales.payment_status IS 'Payment status of the QuickBooks invoice in inv_id: unpaid, partially_paid or paid';
+COMMENT ON COLUMN customer_sales.paid_at IS 'When the QuickBooks invoice in inv_id was fully paid';
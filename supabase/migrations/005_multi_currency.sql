@@ -0,0 +1,56 @@
+-- ============================================================================
+-- Multi-Currency Reporting
+-- ============================================================================
+-- This migration adds:
+-- 1. currency, fx_rate and fx_home_currency columns on customer_sales
+-- 2. exchange_rates table (rates entered by hand or imported from CSV)
+--
+-- A sale is billed in its QuickBooks customer's currency. When it is invoiced the
+-- rate to the organization's home currency is looked up in exchange_rates and
+-- stored on the sale, so reports keep using the rate of the day it was billed.
+-- Sales without a snapshot are converted with the rate table at report time.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CUSTOMER SALES CURRENCY COLUMNS
+-- ============================================================================
+
+ALTER TABLE customer_sales
+  ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(18, 8) CHECK (fx_rate > 0),
+  ADD COLUMN IF NOT EXISTS fx_home_currency TEXT CHECK (fx_home_currency ~ '^[A-Z]{3}$');
+
+COMMENT ON COLUMN customer_sales.currency IS 'Currency the sale is billed in (the QuickBooks customer currency); NULL means the home currency';
+COMMENT ON COLUMN customer_sales.fx_rate IS 'Units of fx_home_currency per unit of currency when the sale was invoiced';
+COMMENT ON COLUMN customer_sales.fx_home_currency IS 'Home currency fx_rate converts to';
+
+-- ============================================================================
+-- 2. EXCHANGE RATES TABLE
+-- ============================================================================
+-- One rate per currency pair and day; a rate applies from effective_date until
+-- the next rate for the same pair.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  base_currency TEXT NOT NULL CHECK (base_currency ~ '^[A-Z]{3}$'),
+  quote_currency TEXT NOT NULL CHECK (quote_currency ~ '^[A-Z]{3}$'),
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  effective_date DATE NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT exchange_rates_pair_check CHECK (base_currency <> quote_currency),
+  CONSTRAINT exchange_rates_pair_date_key UNIQUE (organization_id, base_currency, quote_currency, effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_org
+  ON exchange_rates(organization_id, effective_date DESC);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage exchange rates" ON exchange_rates
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE exchange_rates IS 'Exchange rates per organization: 1 base_currency = rate quote_currency from effective_date';
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- Invoice Adjustments (Credit Memos)
+-- ============================================================================
+-- This migration adds:
+-- 1. credited_amount and adjusted_at columns on customer_sales
+-- 2. invoice_adjustments table (credit memos issued against QuickBooks invoices)
+--
+-- When a customer disputes billed hours, a QuickBooks credit memo is issued
+-- against the invoice for the whole invoice or for some of its sales. The credit
+-- is recorded on each sale it covers (a sale with credited_amount > 0 is
+-- "adjusted") and in invoice_adjustments, which keeps the adjustment history.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CUSTOMER SALES ADJUSTMENT COLUMNS
+-- ============================================================================
+
+ALTER TABLE customer_sales
+  ADD COLUMN IF NOT EXISTS credited_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (credited_amount >= 0),
+  ADD COLUMN IF NOT EXISTS adjusted_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN customer_sales.credited_amount IS 'Total credited on this sale by credit memos against its invoice';
+COMMENT ON COLUMN customer_sales.adjusted_at IS 'When the latest credit memo covering this sale was issued';
+
+-- ============================================================================
+-- 2. INVOICE ADJUSTMENTS TABLE
+-- ============================================================================
+-- lines: [{ "sale_id": "...", "description": "...", "amount": 120.00 }]
+-- applied:   the credit was applied to the invoice balance
+-- unapplied: the invoice had no balance left; the credit stays on the customer
+
+CREATE TABLE IF NOT EXISTS invoice_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  customer_id UUID,
+  qbo_invoice_id TEXT NOT NULL,
+  qbo_credit_memo_id TEXT NOT NULL,
+  credit_memo_number TEXT,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  applied_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  reason TEXT NOT NULL,
+  lines JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'unapplied')),
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_adjustments_invoice
+  ON invoice_adjustments(organization_id, qbo_invoice_id);
+
+ALTER TABLE invoice_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage invoice adjustments" ON invoice_adjustments
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE invoice_adjustments IS 'Credit memos issued against QuickBooks invoices, with the sales each one credits';
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Customer QuickBooks Mappings
+-- ============================================================================
+-- This migration adds:
+-- 1. customer_qbo_mappings table (confirmed links from CRM customers to QuickBooks customers)
+--
+-- QuickBooks customers used to be found by name every time an invoice was created,
+-- which broke when either side renamed a customer or had duplicates. A confirmed
+-- mapping links the CRM customer to the QuickBooks customer ID instead. Several CRM
+-- customers may map to the same QuickBooks customer (duplicates merged onto one
+-- QuickBooks customer), but each CRM customer has at most one mapping.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CUSTOMER QBO MAPPINGS TABLE
+-- ============================================================================
+-- match_score: fuzzy name/email/phone score (0-1) of the match when it was confirmed
+
+CREATE TABLE IF NOT EXISTS customer_qbo_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  customer_id UUID NOT NULL,
+  qbo_customer_id TEXT NOT NULL,
+  qbo_display_name TEXT,
+  match_score NUMERIC(4, 3),
+  confirmed_by UUID,
+  confirmed_at TIMESTAMPTZ DEFAULT NOW(),
+  last_synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (organization_id, customer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_qbo_mappings_qbo_customer
+  ON customer_qbo_mappings(organization_id, qbo_customer_id);
+
+ALTER TABLE customer_qbo_mappings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage customer QBO mappings" ON customer_qbo_mappings
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE customer_qbo_mappings IS 'Confirmed links from CRM customers to QuickBooks customers, used instead of name lookups';
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- Project Expenses
+-- ============================================================================
+-- This migration adds:
+-- 1. project_expenses table (costs incurred on a project, synced to QuickBooks as bills)
+--
+-- Project stats used to count hours only, so a project that bought software licences
+-- or paid a subcontractor looked more profitable than it was. Each expense records the
+-- vendor, amount and receipt; it is synced to QuickBooks as a bill, and billable
+-- expenses are re-billed to the customer (with an optional markup) as a sale that is
+-- invoiced like any other.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROJECT EXPENSES TABLE
+-- ============================================================================
+-- billable: the expense is re-billed to the customer
+-- markup_percent: added to the amount when re-billed (10 = 10%)
+-- qbo_bill_id: QuickBooks bill the expense was synced to
+-- rebilled_sale_id: customer_sales row the expense was re-billed as
+
+CREATE TABLE IF NOT EXISTS project_expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  project_id UUID NOT NULL,
+  customer_id UUID,
+  vendor_name TEXT NOT NULL,
+  qbo_vendor_id TEXT,
+  description TEXT,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  receipt_url TEXT,
+  billable BOOLEAN NOT NULL DEFAULT FALSE,
+  markup_percent NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (markup_percent >= 0),
+  qbo_bill_id TEXT,
+  synced_at TIMESTAMPTZ,
+  rebilled_sale_id UUID,
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_expenses_project
+  ON project_expenses(organization_id, project_id, expense_date);
+
+ALTER TABLE project_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage project expenses" ON project_expenses
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE project_expenses IS 'Costs incurred on projects, synced to QuickBooks as bills and optionally re-billed to the customer';
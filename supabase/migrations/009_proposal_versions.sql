@@ -0,0 +1,56 @@
+-- ============================================================================
+-- Proposal Versions
+-- ============================================================================
+-- This migration adds:
+-- 1. proposal_versions table (immutable snapshots of a proposal, one per send)
+--
+-- Proposals are edited in place, so once a customer had opened their link there
+-- was no record of what they actually saw. Each time a proposal is sent, its
+-- concepts, deliverables, packages, requirements and pricing are frozen into a
+-- numbered version. The SHA-256 hash of the snapshot is stored alongside it so a
+-- version can be shown to be unchanged since it was sent.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROPOSAL VERSIONS TABLE
+-- ============================================================================
+-- version_number: 1 for the first send, incremented on each later send
+-- snapshot: concepts, deliverables, packages, requirements and pricing as sent
+-- data_hash: SHA-256 of the snapshot (ProposalSecurityService.generateDataHash)
+
+CREATE TABLE IF NOT EXISTS proposal_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL CHECK (version_number > 0),
+  snapshot JSONB NOT NULL,
+  data_hash TEXT NOT NULL,
+  total_price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT proposal_versions_number_key UNIQUE (proposal_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_versions_proposal
+  ON proposal_versions(proposal_id, version_number);
+
+-- Versions are never edited once written
+CREATE OR REPLACE FUNCTION prevent_proposal_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Proposal versions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER proposal_versions_immutable_trigger
+  BEFORE UPDATE ON proposal_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_proposal_version_update();
+
+ALTER TABLE proposal_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage proposal versions" ON proposal_versions
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE proposal_versions IS 'Immutable snapshots of proposals, one per send, anchored by a SHA-256 hash';
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- Proposal Signatures
+-- ============================================================================
+-- This migration adds:
+-- 1. proposal_signatures table (e-signatures captured when a customer approves)
+--
+-- Public approval used to be a click with the selected deliverables and total. The
+-- signer now gives their name, title and email, types or draws a signature and
+-- agrees to the consent text. The signature record (including the IP address and
+-- user agent of the request) is sealed with its SHA-256 hash into a PDF
+-- certificate that is emailed to both parties.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROPOSAL SIGNATURES TABLE
+-- ============================================================================
+-- record: the signature record exactly as sealed, so the hash can be re-checked
+-- data_hash: SHA-256 of record (ProposalSecurityService.generateDataHash)
+-- signature_image: PNG data URL for drawn signatures; typed_name for typed ones
+-- certificate_pdf: base64 of the certificate PDF sent to both parties
+
+CREATE TABLE IF NOT EXISTS proposal_signatures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  signer_name TEXT NOT NULL,
+  signer_title TEXT,
+  signer_email TEXT NOT NULL,
+  method TEXT NOT NULL CHECK (method IN ('typed', 'drawn')),
+  typed_name TEXT,
+  signature_image TEXT,
+  consent_text TEXT NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  signed_at TIMESTAMPTZ NOT NULL,
+  record JSONB,
+  data_hash TEXT,
+  certificate_pdf TEXT,
+  certificate_sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT proposal_signatures_signature_check CHECK (
+    (method = 'typed' AND typed_name IS NOT NULL) OR
+    (method = 'drawn' AND signature_image IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_signatures_proposal
+  ON proposal_signatures(proposal_id);
+
+ALTER TABLE proposal_signatures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage proposal signatures" ON proposal_signatures
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE proposal_signatures IS 'E-signatures captured on public proposal approval, sealed into a hashed PDF certificate';
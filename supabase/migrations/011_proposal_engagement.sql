@@ -0,0 +1,52 @@
+-- ============================================================================
+-- Proposal Engagement
+-- ============================================================================
+-- This migration adds:
+-- 1. proposal_view_sessions table (one row per customer visit to a public proposal)
+--
+-- Opening a proposal used to only move its status to 'viewed'. The public viewer
+-- now records each visit: time spent per section, concept and deliverable, the
+-- deliverables toggled on and off before approval, and the device used. Sales
+-- reps see the sessions as a timeline and heatmap on the project's proposals tab.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROPOSAL VIEW SESSIONS TABLE
+-- ============================================================================
+-- session_id: generated by the viewer; each send replaces the row with the same id,
+--   since the viewer sends the whole session so far
+-- active_ms: time the page was visible during the visit
+-- time: milliseconds per target, as { sections: {...}, concepts: {...}, deliverables: {...} }
+-- events: toggles, concepts opened and approval, in order ({ type, at, ... })
+-- device: { type, os, browser, viewport_width }
+
+CREATE TABLE IF NOT EXISTS proposal_view_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL UNIQUE,
+  started_at TIMESTAMPTZ NOT NULL,
+  last_active_at TIMESTAMPTZ NOT NULL,
+  active_ms BIGINT NOT NULL DEFAULT 0 CHECK (active_ms >= 0),
+  device JSONB NOT NULL DEFAULT '{}'::jsonb,
+  user_agent TEXT,
+  time JSONB NOT NULL DEFAULT '{}'::jsonb,
+  events JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_view_sessions_proposal
+  ON proposal_view_sessions(proposal_id, started_at);
+
+-- Add updated_at trigger
+CREATE TRIGGER proposal_view_sessions_updated_at_trigger
+  BEFORE UPDATE ON proposal_view_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_projects_updated_at();
+
+ALTER TABLE proposal_view_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage proposal view sessions" ON proposal_view_sessions
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE proposal_view_sessions IS 'Customer visits to public proposals, with time per section, concept and deliverable and deliverable toggles';
@@ -0,0 +1,93 @@
+-- ============================================================================
+-- Proposal Reminders
+-- ============================================================================
+-- This migration adds:
+-- 1. Reminder settings on proposals (cadence, pause, when it was last sent)
+-- 2. proposal_reminders table (log of reminder emails sent to customers)
+--
+-- Proposals expired after a fixed 30 days and nobody followed up in between.
+-- A scheduled job (scripts/send-proposal-reminders.js) now emails customers who
+-- haven't opened or signed a proposal on a per-proposal cadence of days since it
+-- was sent, and moves proposals past their expires_at to 'expired'.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROPOSAL REMINDER SETTINGS
+-- ============================================================================
+-- sent_at: when the customer was last sent the proposal; reminder days count from here
+-- reminder_cadence: days after sending to remind, e.g. {3,7,14}
+-- reminders_paused: the job skips the proposal while set
+-- expired_at: when the job moved the proposal to 'expired'
+
+ALTER TABLE proposals
+  ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reminder_cadence INTEGER[] NOT NULL DEFAULT '{3,7,14}',
+  ADD COLUMN IF NOT EXISTS reminders_paused BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS reminders_paused_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+
+-- Proposals sent before this migration count from their latest version
+UPDATE proposals p
+SET sent_at = latest.sent_at
+FROM (
+  SELECT proposal_id, MAX(sent_at) AS sent_at
+  FROM proposal_versions
+  GROUP BY proposal_id
+) latest
+WHERE latest.proposal_id = p.id
+  AND p.sent_at IS NULL;
+
+-- Each new version is a send, so it restarts the reminder cadence
+CREATE OR REPLACE FUNCTION set_proposal_sent_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE proposals SET sent_at = NEW.sent_at WHERE id = NEW.proposal_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER proposal_versions_sent_at_trigger
+  AFTER INSERT ON proposal_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_proposal_sent_at();
+
+CREATE INDEX IF NOT EXISTS idx_proposals_reminder_due
+  ON proposals(status, expires_at)
+  WHERE status IN ('sent', 'viewed');
+
+-- ============================================================================
+-- 2. PROPOSAL REMINDERS TABLE
+-- ============================================================================
+-- cycle_started_at: the proposals.sent_at the reminder counted from
+-- cadence_day: the cadence step this reminder was for (days after sending)
+-- stage: 'unviewed' (never opened) or 'unsigned' (opened, not approved)
+-- status: 'failed' rows are retried on the next run; 'sent' rows are never repeated
+
+CREATE TABLE IF NOT EXISTS proposal_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+  cycle_started_at TIMESTAMPTZ NOT NULL,
+  cadence_day INTEGER NOT NULL CHECK (cadence_day > 0),
+  stage TEXT NOT NULL CHECK (stage IN ('unviewed', 'unsigned')),
+  recipient_email TEXT NOT NULL,
+  days_until_expiry INTEGER,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_reminders_proposal
+  ON proposal_reminders(proposal_id, sent_at);
+
+-- One sent reminder per cadence step per send
+CREATE UNIQUE INDEX IF NOT EXISTS idx_proposal_reminders_step
+  ON proposal_reminders(proposal_id, cycle_started_at, cadence_day)
+  WHERE status = 'sent';
+
+ALTER TABLE proposal_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage proposal reminders" ON proposal_reminders
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE proposal_reminders IS 'Reminder emails sent to customers about proposals they have not opened or signed';
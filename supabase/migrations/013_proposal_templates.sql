@@ -0,0 +1,59 @@
+-- ============================================================================
+-- Proposal Templates
+-- ============================================================================
+-- This migration adds:
+-- 1. proposal_templates table (reusable starting points for new proposals)
+--
+-- Every proposal was written from scratch, even though most follow one of a few
+-- shapes and the service catalog already defines the products and the requirements
+-- they need. A template holds the intro copy, concept placeholders, a bundle of
+-- deliverables (mostly catalog products), default packages and customer requirements.
+-- Text can use variables like {{customer.name}}, which are filled in when a new
+-- proposal is created from the template; the proposal is edited as usual afterwards.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. PROPOSAL TEMPLATES TABLE
+-- ============================================================================
+-- title / intro: proposal title and description, with {{variables}}
+-- concepts: [{ title, description, type }] placeholders to replace with real concepts
+-- deliverables: [{ key, product_id, title, description, price, type, is_required, selection_group }]
+--   product_id points at products; title, description and price override the product when set
+-- requirements: [{ key, title, description, category, priority, is_required }]
+-- packages: [{ name, description, discount_percentage, is_featured, deliverable_keys, requirement_keys }]
+--   deliverable_keys / requirement_keys refer to the keys above
+-- include_product_requirements: also ask for the requirements defined on each product
+
+CREATE TABLE IF NOT EXISTS proposal_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  title TEXT NOT NULL DEFAULT '',
+  intro TEXT NOT NULL DEFAULT '',
+  concepts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  deliverables JSONB NOT NULL DEFAULT '[]'::jsonb,
+  requirements JSONB NOT NULL DEFAULT '[]'::jsonb,
+  packages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  include_product_requirements BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (organization_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_templates_organization
+  ON proposal_templates(organization_id, name);
+
+-- Add updated_at trigger
+CREATE TRIGGER proposal_templates_updated_at_trigger
+  BEFORE UPDATE ON proposal_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_projects_updated_at();
+
+ALTER TABLE proposal_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admin can manage proposal templates" ON proposal_templates
+  FOR ALL USING (auth.role() = 'authenticated');
+
+COMMENT ON TABLE proposal_templates IS 'Organization proposal templates: intro copy, concept placeholders, deliverable bundles, default packages and requirements';
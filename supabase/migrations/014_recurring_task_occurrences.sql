@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Recurring Task Occurrences
+-- ============================================================================
+-- This migration adds:
+-- 1. recurrence_id and occurrence_date columns on tasks
+-- 2. A unique index so each occurrence of a series exists at most once
+--
+-- Tasks generated from a recurring series (see recurringTaskService.js) record the
+-- series and the occurrence they stand for. Generation runs in every open session,
+-- so two sessions can try to create the same occurrence at the same time; the
+-- unique index makes the second insert fail (the API answers 409), which the
+-- generator treats as already done.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. TASK OCCURRENCE COLUMNS
+-- ============================================================================
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS recurrence_id UUID,
+  ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+-- ============================================================================
+-- 2. ONE TASK PER OCCURRENCE
+-- ============================================================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_occurrence
+  ON tasks(recurrence_id, occurrence_date)
+  WHERE recurrence_id IS NOT NULL;
+
+COMMENT ON COLUMN tasks.recurrence_id IS 'Recurring task series this task was generated from';
+COMMENT ON COLUMN tasks.occurrence_date IS 'Occurrence of the recurring series this task stands for (unique per series)';